@@ -0,0 +1,211 @@
+// __tests__/addressNormalizer.test.js
+// Address normalization, property identity and distress-signal stacking in upsertLeadFromSource
+// Run with: npm test or jest
+
+const mongoose = require('mongoose');
+const { normalizeAddress, normalizeCounty } = require('../utils/addressNormalizer');
+const { pickCandidate } = require('../utils/propertyIdentity');
+const { buildDedupeKey, upsertLeadFromSource } = require('../utils/leadUpsert');
+const Lead = require('../models/Lead');
+const Property = require('../models/Property');
+const PreForeclosure = require('../models/PreForeclosure');
+const TaxLien = require('../models/TaxLien');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+
+describe('Address normalizer', () => {
+  test('USPS suffixes, directionals, units, state names and ZIP+4', () => {
+    expect(normalizeAddress('123 North Main Street, Apt. 4, Dallas, Texas 75201-1234')).toMatchObject({
+      line1: '123 N MAIN ST APT 4',
+      number: '123',
+      predirectional: 'N',
+      streetName: 'MAIN',
+      suffix: 'ST',
+      unitType: 'APT',
+      unit: '4',
+      city: 'Dallas',
+      state: 'TX',
+      zip: '75201',
+      zip4: '1234',
+      key: '123 N MAIN ST #4',
+      formatted: '123 N MAIN ST APT 4, Dallas, TX 75201'
+    });
+  });
+
+  test('same street line from different sources gets the same key', () => {
+    const keys = [
+      '123 Main St',
+      '123 Main Street, Dallas TX',
+      '123 MAIN STREET DALLAS TX 75201',
+      '123 Main St., Dallas, Texas'
+    ].map(a => normalizeAddress(a).key);
+    expect(new Set(keys)).toEqual(new Set(['123 MAIN ST']));
+
+    expect(normalizeAddress('123 N Main St #4').key).toBe(normalizeAddress('123 North Main Street Unit 4').key);
+  });
+
+  test('city is split from comma-less addresses after the street suffix', () => {
+    expect(normalizeAddress('2208 Oak Hollow Dr Arlington TX 76012')).toMatchObject({
+      streetName: 'OAK HOLLOW', suffix: 'DR', city: 'Arlington', state: 'TX', zip: '76012'
+    });
+    expect(normalizeAddress('1809 N Galloway Ave Mesquite, TX 75149')).toMatchObject({
+      key: '1809 N GALLOWAY AVE', city: 'Mesquite'
+    });
+  });
+
+  test('street names that look like directionals or suffixes are kept', () => {
+    expect(normalizeAddress('123 North St').key).toBe('123 NORTH ST');
+    expect(normalizeAddress('4 Park Place').key).toBe('4 PARK PL');
+    expect(normalizeAddress('5500 State Hwy 121, Plano, TX').key).toBe('5500 STATE HWY 121');
+    expect(normalizeAddress('100 Broadway').key).toBe('100 BROADWAY');
+    expect(normalizeAddress('12 First Street').key).toBe('12 1ST ST');
+  });
+
+  test('hints fill locality missing from the string', () => {
+    expect(normalizeAddress('915 W. Wheatland Rd.', { city: 'Duncanville', state: 'Texas', zip: '75116' })).toMatchObject({
+      key: '915 W WHEATLAND RD', city: 'Duncanville', state: 'TX', zip: '75116'
+    });
+    expect(normalizeAddress('')).toBeNull();
+    expect(normalizeAddress(null)).toBeNull();
+  });
+
+  test('normalizeCounty drops the "County" suffix', () => {
+    expect(normalizeCounty('Dallas County')).toBe('dallas');
+    expect(normalizeCounty('DALLAS CO.')).toBe('dallas');
+    expect(normalizeCounty('')).toBeNull();
+  });
+});
+
+describe('Property identity', () => {
+  const dallas = { zip: '75201', city: 'Dallas', county: 'dallas' };
+  const garland = { zip: '75040', city: 'Garland', county: 'dallas' };
+
+  test('ZIP decides when both sides have one', () => {
+    expect(pickCandidate([dallas, garland], { zip: '75040' })).toBe(garland);
+    expect(pickCandidate([dallas], { zip: '75040' })).toBeNull();
+  });
+
+  test('county / city must agree when there is no ZIP', () => {
+    expect(pickCandidate([dallas], { county: 'dallas' })).toBe(dallas);
+    expect(pickCandidate([dallas], { county: 'tarrant' })).toBeNull();
+    expect(pickCandidate([dallas, garland], { city: 'Garland' })).toBe(garland);
+  });
+
+  test('no locality at all only matches a unique street line', () => {
+    expect(pickCandidate([dallas], {})).toBe(dallas);
+    expect(pickCandidate([dallas, garland], {})).toBeNull();
+  });
+});
+
+describe('Lead upsert - dedupe key and signal stacking', () => {
+  let leads;
+  let properties;
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+    if (value && value.$in) return value.$in.includes(doc[key]);
+    return String(doc[key]) === String(value);
+  });
+
+  beforeEach(() => {
+    leads = [];
+    properties = [];
+    jest.spyOn(Lead, 'findOne').mockImplementation(async filter => leads.find(doc => matches(doc, filter)) || null);
+    jest.spyOn(Lead, 'create').mockImplementation(async data => {
+      const lead = new Lead(data);
+      leads.push(lead);
+      return lead;
+    });
+    jest.spyOn(Lead.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Property, 'find').mockImplementation(filter => ({
+      sort: () => ({ limit: async () => properties.filter(doc => matches(doc, filter)) })
+    }));
+    jest.spyOn(Property, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Property, 'create').mockImplementation(async data => {
+      const property = new Property(data);
+      properties.push(property);
+      return property;
+    });
+    jest.spyOn(Property.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(PreForeclosure, 'updateOne').mockResolvedValue({});
+    jest.spyOn(TaxLien, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('dedupe key ignores suffix spelling and trailing city/state', () => {
+    const a = buildDedupeKey({ propertyAddress: '123 Main St', county: 'Dallas County' }, 'county_scraper');
+    const b = buildDedupeKey({ propertyAddress: '123 Main Street, Dallas TX', county: 'Dallas County' }, 'county_scraper');
+    expect(a).toBe(b);
+  });
+
+  test('tax lien for a pre-foreclosure parcel stacks onto the same lead', async () => {
+    const preforeclosureId = new mongoose.Types.ObjectId();
+    const taxLienId = new mongoose.Types.ObjectId();
+
+    const first = await upsertLeadFromSource('county_scraper', {
+      tenantId: TENANT_ID,
+      source: 'preforeclosure',
+      category: 'Pre-Foreclosure',
+      propertyAddress: '4821 Lakeview Drive, Denton, TX 76205',
+      county: 'Denton County',
+      tags: ['preforeclosure'],
+      status: 'new',
+      signal: { type: 'preforeclosure', model: 'PreForeclosure', recordId: preforeclosureId }
+    });
+    expect(first.isNew).toBe(true);
+    expect(first.lead.zip).toBe('76205');
+    first.lead.status = 'contacted';
+
+    // Case-number dedupe key and a differently written address: only the property links them
+    const second = await upsertLeadFromSource('county_scraper', {
+      tenantId: TENANT_ID,
+      source: 'tax_lien',
+      category: 'Tax Lien',
+      propertyAddress: '4821 LAKEVIEW DR',
+      county: 'Denton',
+      caseNumber: 'TL-2025-118',
+      tags: ['tax_lien'],
+      status: 'new',
+      signal: { type: 'tax_lien', model: 'TaxLien', recordId: taxLienId }
+    });
+
+    expect(second.isNew).toBe(false);
+    expect(second.stacked).toBe(true);
+    expect(second.lead._id).toEqual(first.lead._id);
+    expect(leads).toHaveLength(1);
+    expect(second.lead.distressSignals).toEqual(['preforeclosure', 'tax_lien']);
+    expect(second.lead.tags).toEqual(['preforeclosure', 'tax_lien']);
+    // Origin and CRM state stay with the first source
+    expect(second.lead.source).toBe('preforeclosure');
+    expect(second.lead.status).toBe('contacted');
+
+    expect(properties).toHaveLength(1);
+    expect(properties[0].signals.map(s => s.type)).toEqual(['preforeclosure', 'tax_lien']);
+    expect(TaxLien.updateOne).toHaveBeenCalledWith({ _id: taxLienId }, { $set: { propertyId: properties[0]._id } });
+
+    // Same record re-scraped: nothing new to stack
+    const again = await upsertLeadFromSource('county_scraper', {
+      tenantId: TENANT_ID,
+      source: 'tax_lien',
+      propertyAddress: '4821 Lakeview Dr',
+      county: 'Denton County',
+      caseNumber: 'TL-2025-118',
+      signal: { type: 'tax_lien', model: 'TaxLien', recordId: taxLienId }
+    });
+    expect(again.stacked).toBe(false);
+    expect(properties[0].signals).toHaveLength(2);
+  });
+
+  test('same street line in another ZIP is a different property', async () => {
+    await upsertLeadFromSource('county_scraper', {
+      tenantId: TENANT_ID, source: 'preforeclosure', propertyAddress: '123 Main St, Dallas, TX 75201', county: 'Dallas'
+    });
+    const other = await upsertLeadFromSource('email_scraper', {
+      tenantId: TENANT_ID, source: 'email', propertyAddress: '123 Main St, Garland, TX 75040', ownerName: 'x'
+    });
+    expect(other.isNew).toBe(true);
+    expect(properties).toHaveLength(2);
+  });
+});
@@ -0,0 +1,259 @@
+// __tests__/blastEmailReplies.test.js
+// Email deal blasts: per-recipient reply addresses, replies / bounces / complaints via /api/inbound/email, SMTP provider,
+// and the closer's buyer blast email recorded as a deal blast
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Buyer = require('../models/Buyer');
+const Lead = require('../models/Lead');
+const BuyerFeedback = require('../models/BuyerFeedback');
+const DealBlast = require('../models/DealBlast');
+const DealBlastRecipient = require('../models/DealBlastRecipient');
+const KpiEvent = require('../models/KpiEvent');
+const Tenant = require('../models/Tenant');
+const InboundEmail = require('../models/InboundEmail');
+const MessageThread = require('../models/MessageThread');
+const Message = require('../models/Message');
+const EmailProvider = require('../services/outboundProviders/emailProvider');
+const { assignReplyAddress, findReplyToken, stripQuotedReply } = require('../src/services/blastReplyService');
+
+const REPLY_EMAIL = 'Acme Deals <replies@mail.acme.example>';
+const TOKEN = '0a1b2c3d4e5f60718293';
+
+describe('Blast reply addresses', () => {
+  beforeEach(() => { process.env.BLAST_REPLY_EMAIL = REPLY_EMAIL; });
+  afterEach(() => { delete process.env.BLAST_REPLY_EMAIL; });
+
+  test('each recipient gets its own plus-address, kept once issued', () => {
+    const recipient = {};
+    const address = assignReplyAddress(recipient);
+    expect(address).toMatch(/^replies\+[0-9a-f]{20}@mail\.acme\.example$/);
+    expect(assignReplyAddress(recipient)).toBe(address);
+    expect(assignReplyAddress({})).not.toBe(address);
+
+    delete process.env.BLAST_REPLY_EMAIL;
+    expect(assignReplyAddress({})).toBeNull();
+  });
+
+  test('the token is read only from the reply address', () => {
+    expect(findReplyToken(['Acme <REPLIES+0A1B2C3D4E5F60718293@mail.acme.example>'])).toBe(TOKEN);
+    expect(findReplyToken([`deals+${TOKEN}@mail.acme.example`, `replies+${TOKEN}@other.example`])).toBeNull();
+    expect(findReplyToken(['replies@mail.acme.example'])).toBeNull();
+  });
+
+  test('quoted blast text is cut from the reply', () => {
+    const body = "I'd do 145k cash\n\nOn Mon, Mar 3, 2025 at 9:00 AM Acme Deals <replies@mail.acme.example>\nwrote:\n> New Deal Opportunity";
+    expect(stripQuotedReply(body)).toBe("I'd do 145k cash");
+    expect(stripQuotedReply('Send pics\n-----Original Message-----\nFrom: Acme')).toBe('Send pics');
+  });
+});
+
+describe('Inbound email: blast replies, bounces and complaints', () => {
+  const TENANT_ID = new mongoose.Types.ObjectId();
+  let app;
+  let buyer;
+  let recipient;
+  let inbound;
+
+  const post = (email) => request(app)
+    .post('/api/inbound/email')
+    .set('X-INBOUND-SECRET', 'inbound-secret')
+    .send({ to: [`replies+${TOKEN}@mail.acme.example`], ...email });
+
+  beforeEach(() => {
+    process.env.INBOUND_SECRET = 'inbound-secret';
+    process.env.BLAST_REPLY_EMAIL = REPLY_EMAIL;
+    app = express();
+    app.use(express.json());
+    app.use('/api/inbound', require('../src/routes/inboundEmail'));
+
+    buyer = { _id: new mongoose.Types.ObjectId(), name: 'Sam Buyer', emails: ['sam@buyer.example'], optOut: { sms: false, email: false }, save: jest.fn() };
+    recipient = {
+      _id: new mongoose.Types.ObjectId(),
+      buyerId: buyer._id,
+      dealBlastId: { tenantId: TENANT_ID, leadId: new mongoose.Types.ObjectId() },
+      status: 'sent',
+      tracking: { messageId: '<blast-1@mail.acme.example>' },
+      set(path, value) {
+        const [parent, key] = path.split('.');
+        this[parent] = { ...this[parent], [key]: value };
+      },
+      save: jest.fn()
+    };
+    jest.spyOn(DealBlastRecipient, 'findOne').mockReturnValue({ populate: async () => recipient });
+    jest.spyOn(InboundEmail, 'exists').mockResolvedValue(null);
+    inbound = jest.spyOn(InboundEmail, 'create').mockResolvedValue({});
+    jest.spyOn(Buyer, 'findById').mockResolvedValueOnce(buyer).mockResolvedValue(null); // then background score refresh
+    jest.spyOn(Lead, 'findById').mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.INBOUND_SECRET;
+    delete process.env.BLAST_REPLY_EMAIL;
+    jest.restoreAllMocks();
+  });
+
+  test('a reply becomes email BuyerFeedback and a thread message, not a deal', async () => {
+    const thread = { _id: new mongoose.Types.ObjectId(), participants: [], save: jest.fn() };
+    jest.spyOn(MessageThread, 'findOne').mockResolvedValue(thread);
+    const message = jest.spyOn(Message, 'create').mockResolvedValue({});
+    const feedback = jest.spyOn(BuyerFeedback, 'create').mockResolvedValue({});
+
+    const res = await post({
+      messageId: '<reply-1@buyer.example>',
+      from: 'Sam Buyer <sam@buyer.example>',
+      subject: 'Re: New Deal Opportunity - 123 Main St',
+      text: "I'd do 145k cash, close in 10 days\n\n> New Deal Opportunity - 123 Main St"
+    }).expect(201);
+
+    expect(res.body).toMatchObject({ accepted: 1, created: [], blastEvents: 1 });
+    expect(recipient.status).toBe('interested');
+    expect(feedback).toHaveBeenCalledWith(expect.objectContaining({
+      tenantId: TENANT_ID.toString(),
+      source: 'email',
+      optionalNotes: "I'd do 145k cash, close in 10 days",
+      reply: expect.objectContaining({ intent: 'counter_offer', counterPrice: 145000 })
+    }));
+    expect(message).toHaveBeenCalledWith(expect.objectContaining({ channel: 'email', externalAddress: 'sam@buyer.example', inbound: true }));
+    expect(inbound).toHaveBeenCalledWith(expect.objectContaining({ dealBlastRecipientId: recipient._id, blastEvent: 'reply' }));
+  });
+
+  test('a hard bounce fails the recipient and opts the buyer out of email', async () => {
+    await post({
+      messageId: '<dsn-1@mx.buyer.example>',
+      from: 'Mail Delivery System <MAILER-DAEMON@mx.buyer.example>',
+      subject: 'Undelivered Mail Returned to Sender',
+      text: 'Final-Recipient: rfc822; sam@buyer.example\nAction: failed\nStatus: 5.1.1\nDiagnostic-Code: smtp; 550 5.1.1 User unknown'
+    }).expect(201);
+
+    expect(recipient.status).toBe('failed');
+    expect(recipient.tracking).toMatchObject({ deliveryStatus: 'bounced', errorCode: '5.1.1' });
+    expect(buyer.optOut).toMatchObject({ sms: false, email: true, emailReason: 'bounce' });
+    expect(inbound).toHaveBeenCalledWith(expect.objectContaining({ blastEvent: 'bounce' }));
+  });
+
+  test('a delayed delivery notice is recorded without opting the buyer out', async () => {
+    await post({
+      from: 'postmaster@mx.buyer.example',
+      subject: 'Delivery Status Notification (Delay)',
+      text: 'Delivery to the following recipient has been delayed.\nStatus: 4.4.7'
+    }).expect(201);
+
+    expect(recipient.status).toBe('sent');
+    expect(recipient.tracking.deliveryStatus).toBe('deferred');
+    expect(buyer.save).not.toHaveBeenCalled();
+  });
+
+  test('spam complaints and STOP replies opt the buyer out of email', async () => {
+    await post({
+      from: 'fbl@isp.example',
+      subject: 'Complaint about message',
+      text: 'Feedback-Type: abuse\nUser-Agent: ISP-FBL'
+    }).expect(201);
+    expect(recipient.status).toBe('opted_out');
+    expect(buyer.optOut).toMatchObject({ email: true, emailReason: 'complaint' });
+
+    Buyer.findById.mockResolvedValueOnce(buyer);
+    const feedback = jest.spyOn(BuyerFeedback, 'create');
+    await post({ from: 'sam@buyer.example', subject: 'Re: New Deal Opportunity', text: 'Unsubscribe\n\n> New Deal Opportunity' }).expect(201);
+    expect(buyer.optOut.emailReason).toBe('unsubscribe');
+    expect(feedback).not.toHaveBeenCalled();
+  });
+});
+
+describe('SMTP email provider', () => {
+  test('sends with the blast reply address as Reply-To and envelope sender', async () => {
+    const transporter = { sendMail: jest.fn().mockResolvedValue({ messageId: '<abc@mail.acme.example>' }) };
+    const provider = new EmailProvider({ transporter, fromAddress: 'deals@mail.acme.example' });
+
+    const result = await provider.send({
+      to: 'sam@buyer.example',
+      message: 'New deal',
+      subject: 'New Deal Opportunity - 123 Main St',
+      fromName: 'Acme Homes',
+      replyTo: `replies+${TOKEN}@mail.acme.example`,
+      returnPath: `replies+${TOKEN}@mail.acme.example`,
+      dealBlastRecipientId: 'r1'
+    });
+
+    expect(result).toEqual({ messageId: '<abc@mail.acme.example>', provider: 'email', status: 'sent' });
+    expect(transporter.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      replyTo: `replies+${TOKEN}@mail.acme.example`,
+      envelope: { from: `replies+${TOKEN}@mail.acme.example`, to: 'sam@buyer.example' },
+      headers: { 'X-Deal-Blast-Recipient': 'r1' }
+    }));
+    await expect(new EmailProvider({ transporter }).send({ to: 'not-an-email', message: 'x' })).rejects.toThrow('Invalid email address');
+  });
+});
+
+describe('Closer buyer blast email', () => {
+  const TENANT_ID = new mongoose.Types.ObjectId();
+  const USER_ID = new mongoose.Types.ObjectId();
+  const token = jwt.sign({ id: USER_ID.toString(), role: 'closer', tenantId: TENANT_ID.toString() }, jwtSecret);
+  let app;
+
+  beforeEach(() => {
+    process.env.BLAST_REPLY_EMAIL = REPLY_EMAIL;
+    app = express();
+    app.use(express.json());
+    app.use('/api/rapid-offer/closer', require('../routes/rapidOfferCloserRoutes'));
+    app.use(require('../middleware/errorHandler'));
+    jest.spyOn(Tenant, 'findById').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    jest.spyOn(KpiEvent, 'create').mockResolvedValue({});
+    jest.spyOn(EmailProvider.prototype, 'isConfigured').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    delete process.env.BLAST_REPLY_EMAIL;
+    jest.restoreAllMocks();
+  });
+
+  test('each buyer becomes a blast recipient and the email carries its reply address', async () => {
+    const lead = new Lead({ tenantId: TENANT_ID, propertyAddress: '123 Main St', city: 'Denton', state: 'TX', askingPrice: 150000 });
+    const findLead = jest.spyOn(Lead, 'findOne').mockResolvedValue(lead);
+    const buyers = ['sam@buyer.example', 'pat@buyer.example'].map(email => ({
+      _id: new mongoose.Types.ObjectId(), name: email, emails: [email], optOut: { email: false }, save: jest.fn()
+    }));
+    const findBuyers = jest.spyOn(Buyer, 'find').mockResolvedValue(buyers);
+    const blasts = [];
+    jest.spyOn(DealBlast.prototype, 'save').mockImplementation(async function save() { blasts.push(this); return this; });
+    const recipients = new Set();
+    jest.spyOn(DealBlastRecipient.prototype, 'save').mockImplementation(async function save() { recipients.add(this); return this; });
+    const send = jest.spyOn(EmailProvider.prototype, 'send')
+      .mockResolvedValueOnce({ messageId: '<m1@mail.acme.example>', provider: 'email', status: 'sent' })
+      .mockRejectedValueOnce(new Error('SMTP 550 mailbox unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app)
+      .post(`/api/rapid-offer/closer/leads/${lead._id}/send-buyer-blast`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ buyerIds: buyers.map(b => b._id) })
+      .expect(200);
+
+    expect(findLead).toHaveBeenCalledWith({ _id: lead._id.toString(), tenantId: TENANT_ID.toString() });
+    expect(findBuyers.mock.calls[0][0]).toMatchObject({ tenantId: TENANT_ID, active: true });
+
+    const blast = blasts[0];
+    expect(res.body).toMatchObject({ dealBlastId: blast._id.toString(), results: { sent: 1, failed: 1, total: 2 } });
+    expect(blast).toMatchObject({ tenantId: TENANT_ID, leadId: lead._id, channel: 'email', status: 'sent' });
+    expect(blast.createdBy.toString()).toBe(USER_ID.toString());
+    expect(blast.stats).toMatchObject({ recipients: 2, delivered: 1, failed: 1 });
+
+    const [sent, failed] = [...recipients];
+    expect(sent).toMatchObject({ buyerId: buyers[0]._id, status: 'sent', tracking: { messageId: '<m1@mail.acme.example>' } });
+    expect(failed).toMatchObject({ buyerId: buyers[1]._id, status: 'failed', reasonExcluded: 'SMTP 550 mailbox unavailable' });
+    expect(sent.replyToken).not.toBe(failed.replyToken);
+    expect(send.mock.calls[0][0]).toMatchObject({
+      to: 'sam@buyer.example',
+      replyTo: `replies+${sent.replyToken}@mail.acme.example`,
+      returnPath: `replies+${sent.replyToken}@mail.acme.example`,
+      dealBlastRecipientId: sent._id.toString()
+    });
+  });
+});
@@ -0,0 +1,282 @@
+// __tests__/branding.test.js
+// Tenant branding: theme resolution, branded emails / deal packages, logo loading, and the branding + preview endpoints
+// Run with: npm test or jest
+
+// Real fetch by default; tests stand in for a public logo host where they need one
+jest.mock('undici', () => {
+  const actual = jest.requireActual('undici');
+  return { ...actual, fetch: jest.fn((...args) => actual.fetch(...args)) };
+});
+
+const dns = require('dns');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { fetch, Response } = require('undici');
+const { jwtSecret } = require('../config/auth');
+const Tenant = require('../models/Tenant');
+const DealBlast = require('../models/DealBlast');
+const DealBlastRecipient = require('../models/DealBlastRecipient');
+const EmailProvider = require('../services/outboundProviders/emailProvider');
+const { DEFAULT_BRANDING, resolveBranding, validateBranding, senderFor, loadLogo } = require('../utils/branding');
+const { formatDealSummary, sendBuyerBlast } = require('../utils/buyerBlast/emailBlast');
+const { formatDealPackageAsHTML, formatDealPackageAsText } = require('../utils/dealPackageFormatter');
+const { buildMagicLinkEmail } = require('../services/magicLinkEmailService');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const TENANT = {
+  _id: TENANT_ID,
+  name: 'Acme',
+  brandName: 'Acme Home Buyers',
+  logoUrl: '',
+  primaryColor: '#123456',
+  secondaryColor: '#abcdef',
+  footerText: 'Acme Home Buyers LLC, 100 Main St, Denton TX. TREC #12345',
+  replyToEmail: 'deals@acme.example'
+};
+const BRANDING = resolveBranding(TENANT);
+const LEAD = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT_ID, propertyAddress: '4821 Lakeview Dr', city: 'Denton', state: 'TX', zip: '76205' };
+
+const sign = (role, tenantId = TENANT_ID) =>
+  jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role, tenantId: tenantId.toString() }, jwtSecret);
+
+describe('Branding theme', () => {
+  test('falls back to the platform defaults for unset or invalid fields', () => {
+    expect(resolveBranding(null)).toEqual(DEFAULT_BRANDING);
+    expect(resolveBranding({ name: 'Acme', brandName: '', primaryColor: 'blue', logoUrl: 'javascript:alert(1)', replyToEmail: 'nope' })).toEqual({
+      ...DEFAULT_BRANDING,
+      brandName: 'Acme'
+    });
+    expect(BRANDING).toMatchObject({ brandName: 'Acme Home Buyers', primaryColor: '#123456', replyTo: 'deals@acme.example' });
+  });
+
+  test('validates updates field by field', () => {
+    expect(validateBranding({ primaryColor: '#fff', logoUrl: 'ftp://x', replyToEmail: 'x@', footerText: 'a'.repeat(501) }).errors).toEqual([
+      'logoUrl must be an http(s) URL',
+      'primaryColor must be a hex color like #0b1d51',
+      'footerText must be at most 500 characters',
+      'replyToEmail must be an email address'
+    ]);
+    expect(validateBranding({ brandName: ' Acme ', replyToEmail: 'Deals@Acme.Example', logoUrl: '' })).toEqual({
+      update: { brandName: 'Acme', replyToEmail: 'deals@acme.example', logoUrl: '' },
+      errors: []
+    });
+    expect(senderFor(BRANDING, 'Nexus <noreply@nexus.local>')).toBe('"Acme Home Buyers" <noreply@nexus.local>');
+  });
+
+  test('buyer emails, deal packages and login emails carry the tenant brand and footer', () => {
+    const blast = formatDealSummary(LEAD, { branding: BRANDING });
+    expect(blast.html).toContain('background: #123456');
+    expect(blast.html).toContain('Acme Home Buyers LLC, 100 Main St');
+    expect(blast.html).not.toContain('Elite Nexus');
+    expect(blast.text.endsWith(`---\n${TENANT.footerText}\nAcme Home Buyers`)).toBe(true);
+
+    expect(formatDealPackageAsHTML(LEAD, { redacted: true, branding: BRANDING })).toContain('TREC #12345');
+    expect(formatDealPackageAsText(LEAD, { redacted: true })).not.toContain('TREC');
+
+    const login = buildMagicLinkEmail({ loginLink: 'https://app.example.com/?token=abc', branding: BRANDING });
+    expect(login.subject).toBe('Your Acme Home Buyers login link');
+    expect(login.html).toContain('sign in to Acme Home Buyers');
+  });
+
+  test('buyer blasts reply to the tenant address', async () => {
+    jest.spyOn(Tenant, 'findById').mockReturnValue({ select: () => ({ lean: async () => TENANT }) });
+    jest.spyOn(EmailProvider.prototype, 'isConfigured').mockReturnValue(true);
+    const send = jest.spyOn(EmailProvider.prototype, 'send').mockResolvedValue({ messageId: 'm1' });
+    jest.spyOn(DealBlast.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(DealBlastRecipient.prototype, 'save').mockImplementation(async function save() { return this; });
+    const buyer = { _id: new mongoose.Types.ObjectId(), name: 'B', emails: ['b@buyer.example'], save: jest.fn() };
+
+    // Without BLAST_REPLY_EMAIL there is no per-recipient address, so replies go to the tenant
+    const results = await sendBuyerBlast(LEAD, [buyer], { createdBy: new mongoose.Types.ObjectId() });
+    expect(results.sent).toHaveLength(1);
+    expect(send.mock.calls[0][0]).toMatchObject({ to: 'b@buyer.example', fromName: 'Acme Home Buyers', replyTo: 'deals@acme.example' });
+    jest.restoreAllMocks();
+  });
+});
+
+describe('Logo loading', () => {
+  let server;
+  let hits;
+  let port;
+
+  beforeAll(done => {
+    hits = 0;
+    server = http.createServer((req, res) => {
+      hits += 1;
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(Buffer.from('89504e47', 'hex'));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('refuses private, loopback and link-local addresses', async () => {
+    for (const logoUrl of [
+      `http://127.0.0.1:${port}/logo.png`,
+      `http://[::ffff:127.0.0.1]:${port}/logo.png`,
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.5/logo.png',
+      'http://[fe80::1]/logo.png'
+    ]) {
+      expect(await loadLogo({ logoUrl })).toBeNull();
+    }
+    expect(hits).toBe(0);
+  });
+
+  test('refuses host names that resolve to an internal address', async () => {
+    expect(await loadLogo({ logoUrl: `http://localhost:${port}/logo.png` })).toBeNull();
+
+    // A public-looking name rebound to loopback is caught when the connection is made
+    const lookup = dns.lookup;
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      lookup(hostname === 'cdn.acme.example' ? '127.0.0.1' : hostname, options, callback));
+    expect(await loadLogo({ logoUrl: `http://cdn.acme.example:${port}/logo.png` })).toBeNull();
+
+    expect(hits).toBe(0);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('cdn.acme.example'), expect.stringContaining('private address (127.0.0.1)'));
+  });
+
+  describe('from a public host', () => {
+    const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+    const png = (body, headers = {}) => new Response(body, { headers: { 'content-type': 'image/png', ...headers } });
+    const redirect = location => new Response(null, { status: 302, headers: { location } });
+
+    beforeEach(() => {
+      fetch.mockReset();
+      fetch.mockImplementation((...args) => jest.requireActual('undici').fetch(...args));
+    });
+
+    test('every redirect hop is checked, including redirects to IP literals', async () => {
+      for (const target of [`http://127.0.0.1:${port}/logo.png`, 'http://169.254.169.254/latest/meta-data/', 'file:///etc/passwd']) {
+        fetch.mockResolvedValueOnce(redirect(target));
+        expect(await loadLogo({ logoUrl: 'https://cdn.acme.example/logo.png' })).toBeNull();
+      }
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch.mock.calls[0][1]).toMatchObject({ redirect: 'manual' });
+      expect(hits).toBe(0);
+
+      // Relative and public redirects are followed, up to a limit
+      fetch.mockResolvedValueOnce(redirect('/brand/logo.png')).mockResolvedValueOnce(png(PNG));
+      expect(await loadLogo({ logoUrl: 'https://cdn.acme.example/logo.png' })).toEqual(PNG);
+      expect(fetch.mock.calls[4][0].href).toBe('https://cdn.acme.example/brand/logo.png');
+
+      fetch.mockClear();
+      fetch.mockImplementation(async url => redirect(`${url}x`));
+      expect(await loadLogo({ logoUrl: 'https://cdn.acme.example/logo.png' })).toBeNull();
+      expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('logos over 2 MB are refused by their length or as they stream in', async () => {
+      const declared = png(PNG, { 'content-length': String(3 * 1024 * 1024) });
+      fetch.mockResolvedValueOnce(declared);
+      expect(await loadLogo({ logoUrl: 'https://cdn.acme.example/big.png' })).toBeNull();
+
+      // No length given: the download stops once it passes the cap
+      let pulled = 0;
+      const endless = new ReadableStream({
+        pull(controller) {
+          pulled += 1;
+          controller.enqueue(new Uint8Array(256 * 1024));
+        }
+      });
+      fetch.mockResolvedValueOnce(png(endless));
+      expect(await loadLogo({ logoUrl: 'https://cdn.acme.example/endless.png' })).toBeNull();
+      expect(pulled).toBeLessThan(12);
+      expect(console.warn).toHaveBeenLastCalledWith(expect.stringContaining('larger than 2097152 bytes'));
+    });
+  });
+});
+
+describe('/api/tenants/:id/branding', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/tenants', require('../routes/tenantRoutes'));
+    app.use(require('../middleware/errorHandler'));
+    jest.spyOn(Tenant, 'findById').mockReturnValue({ lean: async () => TENANT });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('managers update their own tenant only, with validation', async () => {
+    const update = jest.spyOn(Tenant, 'findByIdAndUpdate').mockImplementation((id, change) => ({
+      lean: async () => ({ ...TENANT, ...change.$set })
+    }));
+
+    await request(app)
+      .put(`/api/tenants/${new mongoose.Types.ObjectId()}/branding`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .send({ primaryColor: '#000000' })
+      .expect(403);
+
+    const bad = await request(app)
+      .put(`/api/tenants/${TENANT_ID}/branding`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .send({ secondaryColor: 'orange' })
+      .expect(400);
+    expect(bad.body.details).toEqual(['secondaryColor must be a hex color like #0b1d51']);
+
+    const res = await request(app)
+      .put(`/api/tenants/${TENANT_ID}/branding`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .send({ primaryColor: '#000000', replyToEmail: '' })
+      .expect(200);
+    expect(update.mock.calls[0][1]).toEqual({ $set: { primaryColor: '#000000', replyToEmail: '' } });
+    expect(res.body.applied).toMatchObject({ primaryColor: '#000000', replyTo: null });
+  });
+
+  test('previews each email artifact as HTML or plain text', async () => {
+    const html = await request(app)
+      .get(`/api/tenants/${TENANT_ID}/branding/preview/buyer_blast`)
+      .set('Authorization', `Bearer ${sign('admin', new mongoose.Types.ObjectId())}`)
+      .expect(200);
+    expect(html.headers['content-type']).toMatch(/text\/html/);
+    expect(html.text).toContain('Acme Home Buyers');
+
+    const text = await request(app)
+      .get(`/api/tenants/${TENANT_ID}/branding/preview/magic_link?format=text`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .expect(200);
+    expect(text.text).toContain('Sign in to Acme Home Buyers');
+
+    await request(app)
+      .get(`/api/tenants/${TENANT_ID}/branding/preview/postcard`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .expect(400);
+    await request(app)
+      .get(`/api/tenants/${TENANT_ID}/branding/preview/letter`)
+      .set('Authorization', `Bearer ${sign('closer')}`)
+      .expect(403);
+  });
+
+  test('previews the mail letter as a PDF', async () => {
+    const res = await request(app)
+      .get(`/api/tenants/${TENANT_ID}/branding/preview/mail_letter`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .buffer(true)
+      .parse((response, done) => {
+        const chunks = [];
+        response.on('data', c => chunks.push(c));
+        response.on('end', () => done(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(res.body.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,209 @@
+// __tests__/buyerReplyClassifier.test.js
+// Buyer reply classification (intent, counter-offer, close timeline, info requests) and counter-offers in price discovery
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const Buyer = require('../models/Buyer');
+const Lead = require('../models/Lead');
+const BuyerFeedback = require('../models/BuyerFeedback');
+const DealBlastRecipient = require('../models/DealBlastRecipient');
+const MessageThread = require('../models/MessageThread');
+const Message = require('../models/Message');
+const { classifyBuyerReply, registerReplyClassifier } = require('../utils/buyerReplyClassifier');
+const { runPriceDiscovery } = require('../utils/priceDiscovery');
+const { computeTwilioSignature } = require('../utils/twilioWebhooks');
+
+describe('Rules reply classifier', () => {
+  test('counter-offers with price and close timeline', async () => {
+    expect(await classifyBuyerReply("I'd do 145k cash, close in 10 days")).toMatchObject({
+      intent: 'counter_offer',
+      counterPrice: 145000,
+      closeDays: 10,
+      responseType: 'interested',
+      recipientStatus: 'interested',
+      classifier: 'rules'
+    });
+    expect((await classifyBuyerReply('160k is too high, best I can do is $138,500')).counterPrice).toBe(138500);
+    expect(await classifyBuyerReply('150K works for me, 2 week close')).toMatchObject({ counterPrice: 150000, closeDays: 14 });
+    expect(await classifyBuyerReply('We could pay $1.2m all in')).toMatchObject({ intent: 'counter_offer', counterPrice: 1200000 });
+  });
+
+  test('prices that are ours, and numbers that are not prices, are not counter-offers', async () => {
+    expect(await classifyBuyerReply('Too high at $160,000')).toMatchObject({ intent: 'price_too_high', counterPrice: null });
+    expect(await classifyBuyerReply('3 bed 2 bath, what needs work? Close in 30 days')).toMatchObject({
+      intent: 'needs_more_info',
+      counterPrice: null,
+      closeDays: 30
+    });
+  });
+
+  test('photo, access and comps requests', async () => {
+    expect(await classifyBuyerReply('send pics')).toMatchObject({
+      intent: 'needs_more_info',
+      requests: ['photos'],
+      responseType: 'needs_more_info',
+      recipientStatus: 'replied'
+    });
+    expect((await classifyBuyerReply('Can I get access to walk it? Need comps too')).requests).toEqual(['access', 'comps']);
+    expect(await classifyBuyerReply('Interested, send photos')).toMatchObject({ intent: 'interested', requests: ['photos'] });
+  });
+
+  test('yes / no / wrong market, and replies it cannot read are not counted as a pass', async () => {
+    expect((await classifyBuyerReply('YES')).intent).toBe('interested');
+    expect(await classifyBuyerReply('Not interested')).toMatchObject({ intent: 'pass', recipientStatus: 'not_interested' });
+    expect((await classifyBuyerReply('Not my area, sorry')).responseType).toBe('wrong_market');
+    expect(await classifyBuyerReply('who is this')).toMatchObject({ intent: 'unknown', responseType: 'needs_more_info', recipientStatus: 'replied' });
+  });
+});
+
+describe('Pluggable classifiers', () => {
+  afterEach(() => {
+    delete process.env.BUYER_REPLY_CLASSIFIER;
+    jest.restoreAllMocks();
+  });
+
+  test('the configured classifier is used and its output cleaned up', async () => {
+    const model = jest.fn().mockResolvedValue({ intent: 'counter_offer', counterPrice: '142500.4', requests: ['photos', 'title'], confidence: 3 });
+    registerReplyClassifier('test-model', model);
+    process.env.BUYER_REPLY_CLASSIFIER = 'test-model';
+
+    const result = await classifyBuyerReply('would take it around one forty two five', { channel: 'sms' });
+
+    expect(model).toHaveBeenCalledWith('would take it around one forty two five', { channel: 'sms' });
+    expect(result).toEqual({
+      intent: 'counter_offer',
+      counterPrice: 142500,
+      closeDays: null,
+      requests: ['photos'],
+      confidence: 1,
+      classifier: 'test-model',
+      responseType: 'interested',
+      recipientStatus: 'interested'
+    });
+  });
+
+  test('a failing or undecided classifier falls back to the rules', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    registerReplyClassifier('broken', async () => { throw new Error('timeout'); });
+    registerReplyClassifier('undecided', async () => null);
+
+    expect(await classifyBuyerReply('send pics', { classifier: 'broken' })).toMatchObject({ classifier: 'rules', requests: ['photos'] });
+    expect((await classifyBuyerReply('send pics', { classifier: 'undecided' })).classifier).toBe('rules');
+    expect(() => registerReplyClassifier('bad', 'nope')).toThrow('must be a function');
+  });
+});
+
+describe('Price discovery with counter-offers', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const feedbackRow = (responseType, counterPrice, closeRate) => ({
+    responseType,
+    reply: counterPrice ? { intent: 'counter_offer', counterPrice } : { intent: responseType },
+    buyerId: { closeRate, responsivenessScore: 50 }
+  });
+
+  test('counter-offers set the suggested range instead of the price_too_high ratio', async () => {
+    const lead = { _id: new mongoose.Types.ObjectId(), askingPrice: 160000, save: jest.fn() };
+    jest.spyOn(Lead, 'findById').mockResolvedValue(lead);
+    jest.spyOn(BuyerFeedback, 'find').mockReturnValue({
+      populate: () => ({
+        sort: async () => [
+          feedbackRow('interested', 140000, 1), // trusted buyer
+          feedbackRow('interested', 150000, 0),
+          feedbackRow('pass')
+        ]
+      })
+    });
+
+    const result = await runPriceDiscovery(lead._id);
+
+    expect(result.counterOffers).toEqual({ count: 2, low: 140000, high: 150000, median: 145000, weightedAverage: 143548 });
+    // Both below asking: scored as "too high", not as interest at our price
+    expect(result).toMatchObject({ priceTooHighCount: 2, interestedCount: 0, interestScore: 0, rejectionRate: 100 });
+    expect(lead.suggestedPriceRange).toEqual({
+      min: 140000,
+      max: 150000,
+      suggested: 143548,
+      current: 160000,
+      adjustmentPercent: -10,
+      basis: 'counter_offers'
+    });
+    expect(lead.buyerCounterOffers).toEqual(result.counterOffers);
+    expect(lead.save).toHaveBeenCalled();
+  });
+
+  test('a single counter-offer is a price signal but not enough to set the price', async () => {
+    const lead = { _id: new mongoose.Types.ObjectId(), askingPrice: 160000, save: jest.fn() };
+    jest.spyOn(Lead, 'findById').mockResolvedValue(lead);
+    jest.spyOn(BuyerFeedback, 'find').mockReturnValue({
+      populate: () => ({ sort: async () => [feedbackRow('interested', 140000, 0.5), feedbackRow('interested'), feedbackRow('pass')] })
+    });
+
+    const result = await runPriceDiscovery(lead._id);
+
+    expect(result.counterOffers.count).toBe(1);
+    expect(result).toMatchObject({ priceTooHighCount: 1, interestedCount: 1, passCount: 1, interestScore: 30, rejectionRate: 70 });
+    expect(lead.suggestedPriceRange.basis).toBe('feedback_ratio');
+    expect(lead.suggestedPriceRange.adjustmentPercent).toBe(-5);
+  });
+});
+
+describe('Twilio inbound: buyer replies', () => {
+  const TENANT_ID = new mongoose.Types.ObjectId();
+  const BUYER_PHONE = '+15125550177';
+  const TWILIO_TOKEN = 'test_twilio_token';
+  const BASE_URL = 'https://api.example.com';
+  let app;
+
+  beforeEach(() => {
+    process.env.TWILIO_AUTH_TOKEN = TWILIO_TOKEN;
+    process.env.TWILIO_WEBHOOK_BASE_URL = BASE_URL;
+    app = express();
+    app.use('/api/webhooks', require('../routes/webhookRoutes'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.TWILIO_WEBHOOK_BASE_URL;
+    jest.restoreAllMocks();
+  });
+
+  test('the classified reply is stored on the feedback and the recipient', async () => {
+    const buyer = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT_ID, name: 'Sam Buyer' };
+    const leadId = new mongoose.Types.ObjectId();
+    const recipient = { _id: new mongoose.Types.ObjectId(), dealBlastId: { leadId }, save: jest.fn() };
+    const thread = { _id: new mongoose.Types.ObjectId(), participants: [], save: jest.fn() };
+    jest.spyOn(Tenant, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ _id: TENANT_ID }] }) });
+    jest.spyOn(Buyer, 'findOne').mockResolvedValue(buyer);
+    jest.spyOn(Lead, 'findOne').mockReturnValue({ sort: async () => null });
+    jest.spyOn(DealBlastRecipient, 'findOne').mockReturnValue({ populate: () => ({ sort: async () => recipient }) });
+    jest.spyOn(MessageThread, 'findOne').mockResolvedValue(thread);
+    jest.spyOn(Message, 'create').mockResolvedValue({});
+    const feedback = jest.spyOn(BuyerFeedback, 'create').mockResolvedValue({});
+    // Score refreshes run in the background
+    jest.spyOn(Buyer, 'findById').mockResolvedValue(null);
+    jest.spyOn(Lead, 'findById').mockResolvedValue(null);
+
+    const params = { From: BUYER_PHONE, To: '+15125550100', Body: "I'd do 145k cash, close in 10 days. Send pics?" };
+    await request(app)
+      .post('/api/webhooks/twilio/inbound')
+      .type('form')
+      .set('X-Twilio-Signature', computeTwilioSignature(TWILIO_TOKEN, `${BASE_URL}/api/webhooks/twilio/inbound`, params))
+      .send(params)
+      .expect(200);
+
+    expect(recipient.status).toBe('interested');
+    expect(feedback).toHaveBeenCalledWith(expect.objectContaining({
+      tenantId: TENANT_ID.toString(),
+      leadId,
+      responseType: 'interested',
+      source: 'sms',
+      reply: { intent: 'counter_offer', counterPrice: 145000, closeDays: 10, requests: ['photos'], confidence: 0.85, classifier: 'rules' }
+    }));
+  });
+});
@@ -0,0 +1,179 @@
+// __tests__/comps.test.js
+// Sale / rent comparables: selection, estimates, comps CSV import and cash flow provenance
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Comp = require('../models/Comp');
+const Lead = require('../models/Lead');
+const { selectComparables, estimateFromComps, subjectFromLead, haversineMiles } = require('../utils/comps');
+const { calculateCashFlow, extractCashFlowInputsFromLead } = require('../utils/cashFlowCalculator');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const NOW = new Date('2026-10-01T00:00:00Z');
+const monthsAgo = months => new Date(NOW.getTime() - months * 30 * 24 * 60 * 60 * 1000);
+const sign = role => jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+
+// Subject: 3/2, 1,500 sqft, 1985, in Denton
+const SUBJECT = { latitude: 33.2148, longitude: -97.1331, zip: '76201', city: 'Denton', beds: 3, baths: 2, sqft: 1500, yearBuilt: 1985 };
+const at = (dLat, dLng) => ({ type: 'Point', coordinates: [SUBJECT.longitude + dLng, SUBJECT.latitude + dLat] });
+
+const SALES = [
+  { _id: 'near', location: at(0.003, 0), zip: '76201', beds: 3, baths: 2, sqft: 1450, yearBuilt: 1983, price: 232000, eventDate: monthsAgo(2) },
+  { _id: 'bigger', location: at(0.006, 0.004), zip: '76201', beds: 4, baths: 2, sqft: 1700, yearBuilt: 1990, price: 268000, eventDate: monthsAgo(4) },
+  { _id: 'older', location: at(-0.005, 0.002), zip: '76201', beds: 3, baths: 2.5, sqft: 1550, yearBuilt: 1978, price: 236000, eventDate: monthsAgo(9) },
+  { _id: 'too-far', location: at(0.1, 0), zip: '76205', beds: 3, baths: 2, sqft: 1500, yearBuilt: 1985, price: 400000, eventDate: monthsAgo(1) },
+  { _id: 'mansion', location: at(0.002, 0.001), zip: '76201', beds: 5, baths: 4, sqft: 3400, yearBuilt: 2005, price: 610000, eventDate: monthsAgo(1) }
+];
+
+describe('Comparable selection', () => {
+  test('keeps nearby, similar and recent comps, best first', () => {
+    expect(haversineMiles(33, -97, 34, -97)).toBeCloseTo(69.1, 0);
+
+    const selected = selectComparables(SUBJECT, SALES, { now: NOW });
+    expect(selected.map(s => s.comp._id)).toEqual(['near', 'older', 'bigger']);
+    expect(selected[0].distanceMiles).toBeCloseTo(0.21, 1);
+    expect(selected[0].similarity).toBeGreaterThan(selected[2].similarity);
+  });
+
+  test('falls back to the same ZIP, then city, when there are no coordinates', () => {
+    const noCoords = { ...SUBJECT, latitude: undefined, longitude: undefined };
+    const candidates = [
+      { _id: 'same-city', city: 'Denton', zip: '76205', beds: 3, baths: 2, sqft: 1500, price: 240000, eventDate: monthsAgo(1) },
+      { _id: 'same-zip', city: 'Denton', zip: '76201', beds: 3, baths: 2, sqft: 1500, price: 240000, eventDate: monthsAgo(1) },
+      { _id: 'elsewhere', city: 'Austin', zip: '78701', beds: 3, baths: 2, sqft: 1500, price: 240000, eventDate: monthsAgo(1) }
+    ];
+    const selected = selectComparables(noCoords, candidates, { now: NOW });
+    expect(selected.map(s => [s.comp._id, s.distanceMiles])).toEqual([['same-zip', null], ['same-city', null]]);
+  });
+
+  test('estimates by price per sqft with a weighted range and confidence', () => {
+    const selected = selectComparables(SUBJECT, SALES, { now: NOW });
+    const estimate = estimateFromComps(SUBJECT, selected, { roundTo: 1000 });
+
+    // $/sqft: near 160.0, older 152.3, bigger 157.6 → x 1,500 sqft
+    expect(estimate).toMatchObject({ value: 236000, low: 228000, high: 240000, method: 'price_per_sqft', compCount: 3 });
+    expect(estimate).toMatchObject({ confidenceLevel: 'high', maxDistanceMiles: selected[2].distanceMiles });
+    expect(estimate.confidence).toBeGreaterThanOrEqual(70);
+    expect(estimate.comps[0]).toMatchObject({ compId: 'near', price: 232000, adjustedPrice: 240000 });
+
+    expect(estimateFromComps(SUBJECT, [])).toBeNull();
+    expect(estimateFromComps({ ...SUBJECT, sqft: undefined }, selected).method).toBe('price');
+  });
+});
+
+describe('Cash flow inputs from comps', () => {
+  const rent = { value: 1850, low: 1775, high: 1900, confidence: 62, confidenceLevel: 'medium', compCount: 4, maxDistanceMiles: 0.9 };
+  const arv = { value: 236000, low: 228000, high: 240000, confidence: 58, confidenceLevel: 'medium', compCount: 3, maxDistanceMiles: 0.4 };
+
+  test('rent comps fill in a missing rent and are cited in assumptionsUsed', () => {
+    const lead = { askingPrice: 150000, valuation: { rent, arv } };
+    const inputs = extractCashFlowInputsFromLead(lead);
+    expect(inputs.estimatedRent).toBe(1850);
+
+    const result = calculateCashFlow(inputs);
+    expect(result.breakdown.grossMonthlyIncome).toBe(1850);
+    expect(result.assumptionsUsed).toEqual(expect.arrayContaining([
+      'Rent source: comps - Estimated Rent: $1,850/mo from 4 rent comps within 0.9 mi (range $1,775-$1,900, medium confidence)',
+      'ARV source: comps - ARV: $236,000 from 3 sale comps within 0.4 mi (range $228,000-$240,000, medium confidence)'
+    ]));
+  });
+
+  test('a known rent wins over comps', () => {
+    const inputs = extractCashFlowInputsFromLead({ askingPrice: 150000, arv: 250000, metadata: { estimatedRent: 1700 }, valuation: { rent } });
+    expect(inputs.estimatedRent).toBe(1700);
+    expect(inputs.provenance).toEqual(['Rent source: lead metadata', 'ARV source: lead']);
+  });
+});
+
+describe('/api/comps', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/comps', require('../routes/compsRoutes'));
+    app.use(require('../middleware/errorHandler'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const CSV = [
+    'Address,City,State,Zip,Latitude,Longitude,Bedrooms,Bathrooms,Living Area,Year Built,Close Price,Close Date',
+    '123 Main Street,Denton,TX,76201,33.2151,-97.1331,3,2,1450,1983,"$232,000",2026-08-01',
+    '9 Elm St,Denton,TX,76201,,,3,2,1550,1978,236000,2026-01-05',
+    '77 Oak Ave,Denton,TX,76201,,,3,2,1500,1990,not sold,2026-02-01'
+  ].join('\n');
+
+  test('dry run reports the detected mapping and row errors without writing', async () => {
+    const bulkWrite = jest.spyOn(Comp, 'bulkWrite');
+    const res = await request(app)
+      .post('/api/comps/import')
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .field('type', 'sale')
+      .field('dryRun', 'true')
+      .attach('file', Buffer.from(CSV), 'sales.csv')
+      .expect(200);
+
+    expect(res.body.mapping).toMatchObject({ Address: 'address', 'Close Price': 'price', 'Close Date': 'eventDate', 'Living Area': 'sqft' });
+    expect(res.body.totals).toEqual({ rows: 3, valid: 2, invalid: 1, created: 0, updated: 0 });
+    expect(res.body.rowErrors).toEqual([{ row: 4, field: 'price', value: 'not sold', message: 'price must be a number' }]);
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test('import upserts comps by address and date in the derived market', async () => {
+    const bulkWrite = jest.spyOn(Comp, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 1 });
+    const res = await request(app)
+      .post('/api/comps/import')
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .field('type', 'sale')
+      .attach('file', Buffer.from(CSV), 'sales.csv')
+      .expect(201);
+
+    const [first, second] = bulkWrite.mock.calls[0][0].map(op => op.updateOne);
+    expect(first.filter).toMatchObject({ type: 'sale', addressKey: '123 MAIN ST', zip: '76201' });
+    expect(first.update.$set).toMatchObject({
+      marketKey: 'TX-STATE',
+      price: 232000,
+      location: { type: 'Point', coordinates: [-97.1331, 33.2151] }
+    });
+    expect(second.update.$set.location).toBeUndefined();
+    expect(res.body.totals).toMatchObject({ created: 1, updated: 1 });
+
+    await request(app)
+      .post('/api/comps/import')
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .field('type', 'sold')
+      .attach('file', Buffer.from(CSV), 'sales.csv')
+      .expect(400);
+    await request(app).get('/api/comps').set('Authorization', `Bearer ${sign('dialer')}`).expect(403);
+  });
+
+  test('lead estimates search within the radius of the lead', async () => {
+    const lead = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT_ID, ...SUBJECT };
+    jest.spyOn(Lead, 'findOne').mockResolvedValue(lead);
+    const find = jest.spyOn(Comp, 'find').mockImplementation(filter => {
+      const chain = { sort: () => chain, limit: () => chain, lean: async () => (filter.type === 'sale' ? SALES : []) };
+      return chain;
+    });
+
+    const res = await request(app)
+      .get(`/api/comps/leads/${lead._id}`)
+      .set('Authorization', `Bearer ${sign('closer')}`)
+      .expect(200);
+
+    expect(find.mock.calls[0][0].location.$geoWithin.$centerSphere[0]).toEqual([SUBJECT.longitude, SUBJECT.latitude]);
+    expect(res.body.arv).toMatchObject({ compCount: 3, method: 'price_per_sqft' });
+    expect(res.body.rent).toBeNull();
+  });
+});
+
+describe('subjectFromLead', () => {
+  test('prefers dialer intake details', () => {
+    expect(subjectFromLead({ beds: 2, sqft: 900, dialerIntake: { beds: 3 } })).toMatchObject({ beds: 3, sqft: 900 });
+  });
+});
@@ -0,0 +1,185 @@
+// __tests__/creativeFinance.test.js
+// Subject-to, seller finance, novation and lease option calculators, and the creative finance endpoints
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Lead = require('../models/Lead');
+const Tenant = require('../models/Tenant');
+const {
+  DEFAULT_THRESHOLDS,
+  amortizedPayment,
+  remainingBalance,
+  calculateCreativeLane,
+  extractCreativeInputsFromLead
+} = require('../utils/creativeFinanceCalculator');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const sign = role => jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+
+// $200k asking, $240k ARV, $2,000 rent, existing $170k loan at $1,100/mo (PITI)
+const LEAD = {
+  askingPrice: 200000,
+  arv: 240000,
+  metadata: { estimatedRent: 2000, annualTaxes: 3600, annualInsurance: 1800 },
+  dialerIntake: {
+    mortgageFreeAndClear: 'no',
+    mortgageCurrent: 'yes',
+    mortgageBalance: 170000,
+    mortgageMonthlyPayment: 1100,
+    recommendedOfferLane: 'subto'
+  }
+};
+
+describe('Creative finance calculators', () => {
+  const inputs = extractCreativeInputsFromLead(LEAD);
+
+  test('loan math', () => {
+    expect(amortizedPayment(180000, 0.06, 30)).toBeCloseTo(1079.19, 2);
+    expect(remainingBalance(180000, 0.06, 30, 60)).toBeCloseTo(167497.84, 1);
+    expect(remainingBalance(120000, 0, 10, 60)).toBe(60000);
+  });
+
+  test('subject-to takes over the existing loan and caps the offer at the entry cost limit', () => {
+    const result = calculateCreativeLane('subto', inputs);
+
+    // $30k equity + 2% closing; rent less 22% reserves less the PITI payment
+    expect(result).toMatchObject({ entryCost: 34000, monthlySpread: 460, meetsThresholds: false, maxOffer: 191000, maxOfferLimitedBy: 'thresholds' });
+    expect(result.failedChecks).toEqual(['Entry cost $34,000 above the $25,000 maximum']);
+    expect(result.risks[0]).toMatch(/Due-on-sale/);
+    expect(result.assumptionsUsed).toEqual(expect.arrayContaining(['Cash to seller: $30,000', 'Rent source: lead metadata']));
+
+    const behind = calculateCreativeLane('subto', { ...inputs, mortgageCurrent: 'no', arrears: 3300 });
+    expect(behind.entryCost).toBe(37300);
+    expect(behind.risks).toContain('Mortgage not current - reinstatement required at closing');
+
+    expect(calculateCreativeLane('subto', { ...inputs, mortgagePayment: null })).toMatchObject({
+      error: 'Missing required input: mortgagePayment',
+      missingFields: ['mortgagePayment']
+    });
+  });
+
+  test('seller finance models the carryback payment and balloon', () => {
+    const result = calculateCreativeLane('sellerfinance', { ...inputs, sellerFinanceRate: 0.03, sellerFinanceBalloonYears: 7 });
+
+    expect(result.breakdown).toMatchObject({ downPayment: 20000, noteAmount: 180000, notePayment: 758.89 });
+    expect(result.entryCost).toBe(24000);
+    expect(result.monthlySpread).toBeCloseTo(351.11, 2);
+    expect(result.meetsThresholds).toBe(true);
+    expect(result.risks).toEqual(['Existing mortgage of $170,000 must be paid off or wrapped']);
+    // 10% down + 2% closing hits the $25k entry cost limit before the ARV cap
+    expect(result.maxOffer).toBe(208000);
+    expect(result.maxOfferLimitedBy).toBe('thresholds');
+
+    const thinEquity = calculateCreativeLane('sellerfinance', { ...inputs, arv: 190000, sellerFinanceRate: 0.03, sellerFinanceBalloonYears: 7 });
+    expect(thinEquity.risks[0]).toMatch(/^Balloon of \$15\d,\d{3} is above 75% of ARV - a refinance may not cover it$/);
+  });
+
+  test('novation nets the retail sale after commissions, closing and holding costs', () => {
+    const result = calculateCreativeLane('novation', inputs);
+
+    expect(result.breakdown).toMatchObject({ commission: 14400, saleClosingCosts: 4800, holdingCosts: 2800 });
+    expect(result).toMatchObject({ profit: 18000, entryCost: 2800, monthlySpread: -700, maxOffer: 198000 });
+    expect(result.failedChecks).toEqual(['Profit $18,000 below the $20,000 minimum']);
+
+    expect(calculateCreativeLane('novation', { ...inputs, arv: null }).error).toBe('Missing required input: arv');
+  });
+
+  test('lease option credits the option fee and rent credits toward the price', () => {
+    const result = calculateCreativeLane('leaseoption', { ...inputs, leasePayment: 1300, leaseOptionRentCredit: 100 });
+
+    expect(result.breakdown).toMatchObject({ optionFee: 6000, rentCredits: 2400, exercisePrice: 191600, equityAtExercise: 48400 });
+    expect(result).toMatchObject({ entryCost: 6000, monthlySpread: 260, cashOnCashPercent: 52, meetsThresholds: true });
+    expect(result.maxOffer).toBe(216000); // 90% of ARV
+    expect(result.maxOfferLimitedBy).toBe('arv');
+  });
+
+  test('no offer meets the thresholds when the spread is too thin at any price', () => {
+    const result = calculateCreativeLane('subto', inputs, { ...DEFAULT_THRESHOLDS, minMonthlySpread: 600 });
+    expect(result.maxOffer).toBeNull();
+    expect(result.assumptionsUsed).toContain('Max Offer: none meets the thresholds');
+  });
+});
+
+describe('Creative finance endpoints', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/underwrite', require('../routes/underwritingRoutes'));
+    app.use('/api/tenants', require('../routes/tenantRoutes'));
+    app.use(require('../middleware/errorHandler'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const tenantWith = creativeFinance => {
+    const chain = { select: () => chain, lean: async () => ({ _id: TENANT_ID, creativeFinance }) };
+    return chain;
+  };
+
+  test('runs every lane against the tenant thresholds, with request overrides', async () => {
+    const leadId = new mongoose.Types.ObjectId();
+    const findOne = jest.spyOn(Lead, 'findOne').mockResolvedValue({ _id: leadId, tenantId: TENANT_ID, ...LEAD });
+    jest.spyOn(Tenant, 'findById').mockReturnValue(tenantWith({ maxEntryCost: 40000, minNovationProfit: null }));
+
+    const res = await request(app)
+      .post(`/api/underwrite/${leadId}/creative-finance`)
+      .set('Authorization', `Bearer ${sign('closer')}`)
+      .send({ inputs: { novationHoldMonths: 2 } })
+      .expect(200);
+
+    expect(findOne).toHaveBeenCalledWith({ _id: leadId.toString(), tenantId: TENANT_ID.toString() });
+    expect(res.body.recommendedLane).toBe('subto');
+    expect(res.body.thresholds).toMatchObject({ maxEntryCost: 40000, minNovationProfit: 20000 });
+    expect(Object.keys(res.body.lanes)).toEqual(['subto', 'sellerfinance', 'novation', 'leaseoption']);
+    expect(res.body.lanes.subto.meetsThresholds).toBe(true);
+    expect(res.body.lanes.novation).toMatchObject({ profit: 19400, entryCost: 1400 });
+  });
+
+  test('rejects bad lanes, bad inputs and other roles', async () => {
+    const leadId = new mongoose.Types.ObjectId();
+    const findOne = jest.spyOn(Lead, 'findOne');
+    const url = `/api/underwrite/${leadId}/creative-finance`;
+
+    await request(app).post(url).set('Authorization', `Bearer ${sign('closer')}`).send({ lanes: ['cash'] }).expect(400);
+    const res = await request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .send({ inputs: { price: 'lots', bogus: 1 } })
+      .expect(400);
+    expect(res.body.details).toEqual(['price must be a non-negative number', 'Unknown input: bogus']);
+    await request(app).post(url).set('Authorization', `Bearer ${sign('dialer')}`).expect(403);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('tenant managers update their thresholds; null restores the default', async () => {
+    const update = jest.spyOn(Tenant, 'findByIdAndUpdate').mockReturnValue(tenantWith({ minMonthlySpread: 300, maxEntryCost: null }));
+
+    const res = await request(app)
+      .put(`/api/tenants/${TENANT_ID}/creative-finance`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .send({ minMonthlySpread: 300, maxEntryCost: null })
+      .expect(200);
+
+    expect(update.mock.calls[0][1]).toEqual({ $set: { 'creativeFinance.minMonthlySpread': 300, 'creativeFinance.maxEntryCost': null } });
+    expect(res.body.applied).toMatchObject({ minMonthlySpread: 300, maxEntryCost: 25000 });
+
+    const invalid = await request(app)
+      .put(`/api/tenants/${TENANT_ID}/creative-finance`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .send({ minCashOnCashPercent: -5 })
+      .expect(400);
+    expect(invalid.body.details).toEqual(['minCashOnCashPercent must be a non-negative number or null']);
+
+    await request(app)
+      .put(`/api/tenants/${new mongoose.Types.ObjectId()}/creative-finance`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .send({ minMonthlySpread: 300 })
+      .expect(403);
+  });
+});
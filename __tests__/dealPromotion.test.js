@@ -0,0 +1,230 @@
+// __tests__/dealPromotion.test.js
+// Inbound Deal -> Lead promotion (new lead, existing lead, repeat promotion) and status sync in both directions
+// Run with: npm test or jest
+
+jest.mock('../utils/leadUpsert', () => ({
+  ...jest.requireActual('../utils/leadUpsert'),
+  upsertLeadFromSource: jest.fn()
+}));
+jest.mock('../utils/leadScoringEngine', () => ({
+  ...jest.requireActual('../utils/leadScoringEngine'),
+  recalculateAndSaveLeadScore: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Deal = require('../models/Deal');
+const Lead = require('../models/Lead');
+const InboundEmail = require('../models/InboundEmail');
+const Tenant = require('../models/Tenant');
+const ActivityLog = require('../models/ActivityLog');
+const { setIO } = require('../utils/realtime');
+const { upsertLeadFromSource } = require('../utils/leadUpsert');
+const { recalculateAndSaveLeadScore } = require('../utils/leadScoringEngine');
+const {
+  promoteDealToLead,
+  syncDealStatusToLead,
+  syncLeadStatusToDeals
+} = require('../src/services/dealPromotionService');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+
+const newDeal = (fields = {}) => new Deal({
+  tenantId: TENANT_ID,
+  source: 'email',
+  subject: 'Off market 3/2 - 1420 Cedar Ln',
+  property: { address: '1420 Cedar Ln', city: 'Dallas', state: 'TX', zip: '75201' },
+  numbers: { askingPrice: 145000, arv: 230000 },
+  ...fields
+});
+
+const leadDoc = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId: TENANT_ID,
+  status: 'new',
+  dealId: null,
+  save: jest.fn(),
+  ...fields
+});
+
+let emitted;
+
+beforeEach(() => {
+  emitted = [];
+  setIO({ to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) });
+  jest.spyOn(Deal.prototype, 'save').mockImplementation(async function save() { return this; });
+  jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+  jest.spyOn(Tenant, 'findById').mockReturnValue({ select: () => ({ lean: async () => null }) });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setIO(null);
+  jest.restoreAllMocks();
+  upsertLeadFromSource.mockReset();
+  recalculateAndSaveLeadScore.mockReset();
+});
+
+describe('Deal promotion', () => {
+  const email = { _id: new mongoose.Types.ObjectId(), parsed: { beds: 3, baths: 2, sqft: 1450, lockboxCode: null } };
+
+  beforeEach(() => {
+    jest.spyOn(InboundEmail, 'findOne').mockReturnValue({ select: () => ({ lean: async () => email }) });
+    jest.spyOn(InboundEmail, 'updateOne').mockResolvedValue({});
+  });
+
+  test('a qualifying deal creates, links and scores a new lead', async () => {
+    const deal = newDeal();
+    const lead = leadDoc();
+    upsertLeadFromSource.mockResolvedValue({ lead, isNew: true });
+
+    const result = await promoteDealToLead(deal, { actorId: 'user-1' });
+
+    expect(result).toEqual({ status: 'promoted', reason: null, dealId: deal._id, leadId: lead._id });
+    expect(upsertLeadFromSource).toHaveBeenCalledWith('inbound_email', expect.objectContaining({
+      tenantId: TENANT_ID,
+      propertyAddress: '1420 Cedar Ln',
+      askingPrice: 145000,
+      arv: 230000,
+      beds: 3,
+      sqft: 1450,
+      signal: { type: 'email', model: 'InboundEmail', recordId: email._id }
+    }));
+    expect(upsertLeadFromSource.mock.calls[0][1]).not.toHaveProperty('lockboxCode');
+    expect(lead.dealId).toBe(deal._id);
+    expect(deal.leadId).toBe(lead._id);
+    expect(deal.promotion.status).toBe('promoted');
+    expect(InboundEmail.updateOne).toHaveBeenCalledWith({ _id: email._id }, { $set: { leadId: lead._id } });
+    expect(recalculateAndSaveLeadScore).toHaveBeenCalledWith(lead);
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'promote', actorId: 'user-1' }));
+    expect(emitted).toEqual([expect.objectContaining({ event: 'lead:created', payload: expect.objectContaining({ leadId: lead._id }) })]);
+  });
+
+  test('a deal for a property already in the pipeline links to that lead without taking its back-reference', async () => {
+    const firstDealId = new mongoose.Types.ObjectId();
+    const lead = leadDoc({ dealId: firstDealId });
+    upsertLeadFromSource.mockResolvedValue({ lead, isNew: false });
+    const deal = newDeal();
+
+    const result = await promoteDealToLead(deal);
+
+    expect(result).toMatchObject({ status: 'linked', leadId: lead._id });
+    expect(lead.dealId).toBe(firstDealId);
+    expect(lead.save).not.toHaveBeenCalled();
+    expect(deal.leadId).toBe(lead._id);
+    expect(emitted[0].event).toBe('lead:updated');
+  });
+
+  test('promoting an already linked deal again does not touch the lead', async () => {
+    const lead = leadDoc();
+    upsertLeadFromSource.mockResolvedValue({ lead, isNew: true });
+    const deal = newDeal();
+    await promoteDealToLead(deal);
+    jest.spyOn(Lead, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: lead._id }) }) });
+
+    const again = await promoteDealToLead(deal, { force: true });
+
+    expect(again).toEqual({ status: 'linked', reason: 'Already linked', dealId: deal._id, leadId: lead._id });
+    expect(Lead.findOne).toHaveBeenCalledWith({ _id: lead._id, tenantId: TENANT_ID });
+    expect(upsertLeadFromSource).toHaveBeenCalledTimes(1);
+    expect(recalculateAndSaveLeadScore).toHaveBeenCalledTimes(1);
+  });
+
+  test('a deal whose linked lead was deleted is promoted again', async () => {
+    const deal = newDeal({ leadId: new mongoose.Types.ObjectId() });
+    jest.spyOn(Lead, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    const lead = leadDoc();
+    upsertLeadFromSource.mockResolvedValue({ lead, isNew: true });
+
+    expect(await promoteDealToLead(deal)).toMatchObject({ status: 'promoted', leadId: lead._id });
+  });
+
+  test('deals without an address or numbers are skipped, and disabled promotion needs force', async () => {
+    expect(await promoteDealToLead(newDeal({ property: {} }))).toMatchObject({ status: 'skipped', reason: 'No property address' });
+    expect(await promoteDealToLead(newDeal({ numbers: {} }))).toMatchObject({ status: 'skipped', reason: 'No asking price or ARV' });
+
+    Tenant.findById.mockReturnValue({ select: () => ({ lean: async () => ({ dealPromotion: { enabled: false } }) }) });
+    expect(await promoteDealToLead(newDeal())).toMatchObject({ status: 'skipped', reason: 'Promotion disabled' });
+    expect(upsertLeadFromSource).not.toHaveBeenCalled();
+
+    upsertLeadFromSource.mockResolvedValue({ lead: leadDoc(), isNew: true });
+    expect(await promoteDealToLead(newDeal(), { force: true })).toMatchObject({ status: 'promoted' });
+  });
+
+  test('a failed upsert is recorded on the deal', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    upsertLeadFromSource.mockRejectedValue(new Error('E11000 duplicate key'));
+    const deal = newDeal();
+
+    expect(await promoteDealToLead(deal)).toMatchObject({ status: 'failed', reason: 'E11000 duplicate key', leadId: null });
+    expect(deal.promotion).toMatchObject({ status: 'failed', reason: 'E11000 duplicate key' });
+  });
+});
+
+describe('Deal -> Lead status sync', () => {
+  test('moves the linked lead to the equivalent stage', async () => {
+    const lead = leadDoc({ status: 'new' });
+    jest.spyOn(Lead, 'findOne').mockResolvedValue(lead);
+    const deal = newDeal({ leadId: lead._id, status: 'under_contract' });
+
+    expect(await syncDealStatusToLead(deal)).toBe(lead);
+    expect(Lead.findOne).toHaveBeenCalledWith({ _id: lead._id, tenantId: TENANT_ID });
+    expect(lead.status).toBe('under_contract');
+    expect(lead.save).toHaveBeenCalled();
+    expect(emitted.map(e => e.room)).toEqual([`tenant:${TENANT_ID}`, `lead:${lead._id}`]);
+  });
+
+  test('leaves a lead that is already in an equivalent stage alone', async () => {
+    // Lead "contacted" already covers a deal in "reviewing" - "offer_sent" must not pull it back
+    const lead = leadDoc({ status: 'contacted' });
+    jest.spyOn(Lead, 'findOne').mockResolvedValue(lead);
+
+    expect(await syncDealStatusToLead(newDeal({ leadId: lead._id, status: 'offer_sent' }))).toBeNull();
+    expect(await syncDealStatusToLead(newDeal({ leadId: lead._id, status: 'reviewing' }))).toBeNull();
+    expect(lead.save).not.toHaveBeenCalled();
+    expect(emitted).toEqual([]);
+  });
+
+  test('does nothing for unlinked deals or a missing lead', async () => {
+    const findOne = jest.spyOn(Lead, 'findOne').mockResolvedValue(null);
+
+    expect(await syncDealStatusToLead(newDeal({ status: 'dead' }))).toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+    expect(await syncDealStatusToLead(newDeal({ leadId: new mongoose.Types.ObjectId(), status: 'dead' }))).toBeNull();
+  });
+});
+
+describe('Lead -> Deal status sync', () => {
+  test('updates every linked deal not already in an equivalent stage and logs each change', async () => {
+    const lead = leadDoc({ status: 'dead' });
+    const open = newDeal({ leadId: lead._id, status: 'reviewing' });
+    const offer = newDeal({ leadId: lead._id, status: 'offer_sent' });
+    const dead = newDeal({ leadId: lead._id, status: 'dead' });
+    const find = jest.spyOn(Deal, 'find').mockResolvedValue([open, offer, dead]);
+
+    expect(await syncLeadStatusToDeals(lead, 'user-1')).toBe(2);
+
+    expect(find).toHaveBeenCalledWith({ leadId: lead._id, tenantId: TENANT_ID });
+    expect([open.status, offer.status, dead.status]).toEqual(['dead', 'dead', 'dead']);
+    expect(Deal.prototype.save).toHaveBeenCalledTimes(2);
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      entityId: offer._id,
+      actorId: 'user-1',
+      details: expect.objectContaining({ changes: expect.objectContaining({ status: { from: 'offer_sent', to: 'dead' }, syncedFrom: 'lead' }) })
+    }));
+  });
+
+  test('does not pull a deal back to an earlier stage', async () => {
+    const deal = newDeal({ status: 'underwriting' });
+    jest.spyOn(Deal, 'find').mockResolvedValue([deal]);
+
+    expect(await syncLeadStatusToDeals(leadDoc({ status: 'contacted' }))).toBe(0);
+    expect(deal.status).toBe('underwriting');
+  });
+
+  test('a lead with no linked deals changes nothing', async () => {
+    jest.spyOn(Deal, 'find').mockResolvedValue([]);
+
+    expect(await syncLeadStatusToDeals(leadDoc({ status: 'under_contract' }))).toBe(0);
+    expect(ActivityLog.create).not.toHaveBeenCalled();
+  });
+});
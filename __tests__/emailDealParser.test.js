@@ -0,0 +1,158 @@
+// __tests__/emailDealParser.test.js
+// Wholesale email parser tests against a corpus of real-world blast formats (__tests__/fixtures/emails)
+// Run with: npm test or jest
+
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const { parseDealEmail, parseAmount, htmlToText } = require('../scrapers/emailDealParser');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'emails');
+
+async function parseFixture(name) {
+  const mail = await simpleParser(fs.readFileSync(path.join(FIXTURES, name)));
+  return parseDealEmail({ subject: mail.subject || '', text: mail.text || '', html: mail.html || '' });
+}
+
+describe('Email deal parser - corpus', () => {
+  test('labeled plain-text blast', async () => {
+    expect(await parseFixture('labeled-plain.eml')).toMatchObject({
+      propertyAddress: '4521 Elm St',
+      city: 'Garland',
+      state: 'TX',
+      zip: '75040',
+      beds: 3,
+      baths: 2,
+      sqft: 1452,
+      yearBuilt: 1978,
+      arv: 245000,
+      rehabEstimate: 38000,
+      askingPrice: 149900,
+      assignmentFee: 12500,
+      closingDate: '03/28/2025',
+      lockboxCode: '4821',
+      isDeal: true
+    });
+  });
+
+  test('emoji blast with k-amounts and compact 3/2/2', async () => {
+    expect(await parseFixture('emoji-blast.eml')).toMatchObject({
+      propertyAddress: '1809 N Galloway Ave',
+      city: 'Mesquite',
+      state: 'TX',
+      zip: '75149',
+      beds: 3,
+      baths: 2,
+      sqft: 1610,
+      yearBuilt: 1984,
+      askingPrice: 175000,
+      arv: 265000,
+      rehabEstimate: 35000,
+      closingDate: '3/21',
+      lockboxCode: '0915',
+      assignmentFee: null
+    });
+  });
+
+  test('HTML-only email with a label/value table', async () => {
+    expect(await parseFixture('html-table.eml')).toMatchObject({
+      propertyAddress: '3317 Hemphill St',
+      city: 'Fort Worth',
+      state: 'TX',
+      zip: '76110',
+      beds: 4,
+      baths: 2.5,
+      sqft: 1980,
+      arv: 289000,
+      askingPrice: 214000,
+      closingDate: 'April 4th, 2025',
+      isDeal: true
+    });
+  });
+
+  test('address and price in the subject, terms in prose', async () => {
+    expect(await parseFixture('subject-address.eml')).toMatchObject({
+      propertyAddress: '2208 Oak Hollow Dr',
+      city: 'Arlington',
+      state: 'TX',
+      zip: '76012',
+      beds: 3,
+      baths: 2,
+      sqft: 1320,
+      arv: 215000,
+      askingPrice: 139000,
+      closingDate: '4/30/2025',
+      lockboxCode: '7702'
+    });
+  });
+
+  test('forwarded blast with quoted lines and a spelled-out state', async () => {
+    expect(await parseFixture('forwarded.eml')).toMatchObject({
+      propertyAddress: '915 W Wheatland Rd',
+      city: 'Duncanville',
+      state: 'TX',
+      zip: '75116',
+      beds: 4,
+      baths: 2,
+      sqft: 2105,
+      askingPrice: 229500,
+      arv: 325000,
+      // "(assignment fee included)" is not a fee amount
+      assignmentFee: null,
+      closingDate: '30 days'
+    });
+  });
+
+  test('multipart email: million amounts, text part fills in a trimmed HTML part', async () => {
+    expect(await parseFixture('multipart-million.eml')).toMatchObject({
+      propertyAddress: '6420 Northaven Rd',
+      city: 'Dallas',
+      beds: 5,
+      baths: 4.5,
+      sqft: 3850,
+      yearBuilt: 1962,
+      askingPrice: 1050000,
+      arv: 2400000,
+      assignmentFee: 45000,
+      closingDate: 'ASAP',
+      // "Lock box: TBD" has no code
+      lockboxCode: null
+    });
+  });
+
+  test('non-deal email is not treated as a deal', async () => {
+    const result = await parseFixture('newsletter-no-deal.eml');
+    expect(result.isDeal).toBe(false);
+    expect(result.propertyAddress).toBeNull();
+    expect(result.askingPrice).toBeNull();
+    expect(result.fieldsFound).toEqual([]);
+  });
+});
+
+describe('Email deal parser - helpers', () => {
+  test('parseAmount handles $, commas, k/m suffixes and words', () => {
+    expect(parseAmount('$165,000')).toBe(165000);
+    expect(parseAmount('165k')).toBe(165000);
+    expect(parseAmount('$1.2M')).toBe(1200000);
+    expect(parseAmount('$89,900.00')).toBe(89900);
+    expect(parseAmount('250 thousand')).toBe(250000);
+    expect(parseAmount('TBD')).toBeNull();
+  });
+
+  test('htmlToText keeps table rows on separate lines', () => {
+    const text = htmlToText('<table><tr><td>ARV</td><td>&#36;200,000</td></tr><tr><td>Price</td><td>&#36;120,000</td></tr></table>');
+    const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^ARV\s+\$200,000$/);
+  });
+
+  test('date-like fractions are not read as bed/bath counts', () => {
+    const result = parseDealEmail({
+      subject: 'Deal',
+      text: 'Address: 100 Main St, Dallas, TX 75201\nShowing 3/15 at noon\nAsking: $120,000'
+    });
+    expect(result.beds).toBeNull();
+    expect(result.baths).toBeNull();
+    expect(result.askingPrice).toBe(120000);
+  });
+});
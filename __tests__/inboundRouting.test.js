@@ -0,0 +1,68 @@
+// __tests__/inboundRouting.test.js
+// Inbound email webhook signing and per-tenant routing helpers
+// Run with: npm test or jest
+
+const { signPayload, verifySignature, generateSecret } = require('../src/lib/inboundSignature');
+const { extractAddress, tokenFromAddress, getActiveSecrets } = require('../src/services/inboundRoutingService');
+
+const NOW = Date.parse('2025-03-01T12:00:00Z');
+const TS = String(NOW / 1000);
+const BODY = Buffer.from(JSON.stringify({ from: 'Wholesaler <deals@example.com>', subject: '3/2 in Garland' }));
+
+describe('Inbound signature', () => {
+  test('accepts a body signed with the current secret', () => {
+    const signature = signPayload('secret-a', TS, BODY);
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature({ rawBody: BODY, timestamp: TS, signature, secrets: ['secret-a'], now: NOW })).toEqual({ valid: true });
+  });
+
+  test('accepts the previous secret during rotation', () => {
+    const signature = signPayload('old-secret', TS, BODY);
+    expect(verifySignature({ rawBody: BODY, timestamp: TS, signature, secrets: ['new-secret', 'old-secret'], now: NOW }).valid).toBe(true);
+  });
+
+  test('rejects a tampered body, wrong secret, stale timestamp or missing header', () => {
+    const signature = signPayload('secret-a', TS, BODY);
+    const tampered = Buffer.from(BODY.toString().replace('Garland', 'Dallas'));
+
+    expect(verifySignature({ rawBody: tampered, timestamp: TS, signature, secrets: ['secret-a'], now: NOW }).reason).toBe('Signature mismatch');
+    expect(verifySignature({ rawBody: BODY, timestamp: TS, signature, secrets: ['secret-b'], now: NOW }).reason).toBe('Signature mismatch');
+    expect(verifySignature({ rawBody: BODY, timestamp: TS, signature, secrets: ['secret-a'], now: NOW + 301 * 1000 }).reason)
+      .toBe('Timestamp outside tolerance');
+    expect(verifySignature({ rawBody: BODY, timestamp: TS, signature: undefined, secrets: ['secret-a'], now: NOW }).valid).toBe(false);
+    expect(verifySignature({ rawBody: undefined, timestamp: TS, signature, secrets: ['secret-a'], now: NOW }).reason).toBe('Raw body unavailable');
+  });
+
+  test('generated secrets are url-safe and unique', () => {
+    const a = generateSecret();
+    expect(a).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateSecret()).not.toBe(a);
+  });
+});
+
+describe('Inbound routing helpers', () => {
+  test('extractAddress normalizes display-name recipients', () => {
+    expect(extractAddress('Acquisitions <Deals@AcmeHomes.com>')).toBe('deals@acmehomes.com');
+    expect(extractAddress('not an address')).toBeNull();
+  });
+
+  test('tokenFromAddress reads the plus-address tag', () => {
+    expect(tokenFromAddress('deals+k3Jd9x@inbound.example.com')).toBe('k3Jd9x');
+    expect(tokenFromAddress('deals@inbound.example.com')).toBeNull();
+    expect(tokenFromAddress('deals+@inbound.example.com')).toBeNull();
+  });
+
+  test('getActiveSecrets drops secrets past their rotation grace period', () => {
+    const tenant = {
+      inbound: {
+        secrets: [
+          { value: 'current', expiresAt: null },
+          { value: 'grace', expiresAt: new Date(NOW + 60 * 1000) },
+          { value: 'expired', expiresAt: new Date(NOW - 60 * 1000) }
+        ]
+      }
+    };
+    expect(getActiveSecrets(tenant, new Date(NOW))).toEqual(['current', 'grace']);
+    expect(getActiveSecrets({ inbound: {} }, new Date(NOW))).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+// __tests__/leadExport.test.js
+// CRM lead export: column presets, nested field flattening, CSV / JSON Lines streaming
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Lead = require('../models/Lead');
+const LeadExportPreset = require('../models/LeadExportPreset');
+const { getPath, normalizeColumns, flattenLead, projectionFor } = require('../utils/leadExport');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const sign = (role) => jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+
+const LEAD = {
+  _id: new mongoose.Types.ObjectId(),
+  ownerName: 'Jane Doe',
+  propertyAddress: '4821 LAKEVIEW DR',
+  city: 'Denton',
+  state: 'TX',
+  zip: '76205',
+  status: 'contacted',
+  tags: ['preforeclosure', 'tax_lien'],
+  leadScore: { score: 78, grade: 'B' },
+  routing: { route: 'dialer_priority', priorityLevel: 'high' },
+  skipTrace: {
+    phones: [
+      { number: '2145550101', type: 'mobile' },
+      { number: '2145550102', type: 'landline' }
+    ]
+  },
+  closer: { offerAmount: 145000 }
+};
+
+describe('Lead export columns', () => {
+  test('flattens nested and array fields', () => {
+    expect(getPath(LEAD, 'leadScore.grade')).toBe('B');
+    expect(getPath(LEAD, 'skipTrace.phones[].number')).toEqual(['2145550101', '2145550102']);
+    expect(getPath(LEAD, 'skipTrace.phones[1].type')).toBe('landline');
+    expect(getPath(LEAD, 'skipTrace.phones[2].number')).toBeNull();
+    expect(getPath(LEAD, 'dialerIntake.sellerReason')).toBeNull();
+    expect(getPath({}, 'skipTrace.emails[].email')).toEqual([]);
+  });
+
+  test('validates fields against the catalog and numbers indexed headers', () => {
+    const { columns, errors } = normalizeColumns([
+      'ownerName',
+      { field: 'skipTrace.phones[0].number', header: 'Primary Phone' },
+      'skipTrace.phones[1].number',
+      'dedupeKey',
+      'constructor',
+      { field: 'routing.route', header: '' }
+    ]);
+    expect(columns).toEqual([
+      { field: 'ownerName', header: 'Owner Name' },
+      { field: 'skipTrace.phones[0].number', header: 'Primary Phone' },
+      { field: 'skipTrace.phones[1].number', header: 'Phone 2' }
+    ]);
+    expect(errors).toEqual([
+      'columns[3]: unknown field dedupeKey',
+      'columns[4]: unknown field constructor',
+      'columns[5].header: must be a non-empty string'
+    ]);
+  });
+
+  test('loads only the top-level fields the columns need', () => {
+    const { columns } = normalizeColumns(['ownerName', 'leadScore.grade', 'leadScore.score', 'skipTrace.phones[].number']);
+    expect(projectionFor(columns)).toBe('ownerName leadScore skipTrace');
+    expect(flattenLead(LEAD, columns)).toEqual(['Jane Doe', 'B', 78, ['2145550101', '2145550102']]);
+  });
+});
+
+describe('GET /api/crm/leads/export', () => {
+  let app;
+  let findFilter;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/crm', require('../routes/crmRoutes'));
+    app.use(require('../middleware/errorHandler'));
+
+    findFilter = null;
+    jest.spyOn(Lead, 'find').mockImplementation(filter => {
+      findFilter = filter;
+      const chain = {
+        select: () => chain,
+        sort: () => chain,
+        lean: () => chain,
+        cursor: () => (async function* () { yield LEAD; })()
+      };
+      return chain;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is limited to admins and managers', async () => {
+    await request(app).get('/api/crm/leads/export').expect(401);
+    await request(app).get('/api/crm/leads/export').set('Authorization', `Bearer ${sign('dialer')}`).expect(403);
+    expect(Lead.find).not.toHaveBeenCalled();
+  });
+
+  test('dialer preset as CSV with the getLeads filters applied', async () => {
+    const res = await request(app)
+      .get('/api/crm/leads/export?preset=dialer&grade=B&status=contacted')
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .expect(200);
+
+    expect(findFilter).toMatchObject({ tenantId: TENANT_ID.toString(), 'leadScore.grade': 'B', status: 'contacted' });
+    expect(res.headers['content-disposition']).toBe('attachment; filename="leads.csv"');
+    const [header, row] = res.text.trim().split('\n');
+    expect(header).toBe('"Owner Name","Phone 1","Phone Type 1","Phone 2","Phone Type 2","Phone 3","Phone Type 3",' +
+      '"Property Address","City","State","Zip","Grade","Priority","Lead ID"');
+    expect(row).toBe(`"Jane Doe","2145550101","mobile","2145550102","landline","","","4821 LAKEVIEW DR","Denton","TX","76205","B","high","${LEAD._id}"`);
+  });
+
+  test('JSON Lines keeps arrays and uses a saved preset', async () => {
+    jest.spyOn(LeadExportPreset, 'findOne').mockReturnValue({
+      lean: async () => ({
+        name: 'closer-review',
+        columns: [
+          { field: 'ownerName', header: 'owner' },
+          { field: 'skipTrace.phones[].number', header: 'phones' },
+          { field: 'closer.offerAmount', header: 'offer' }
+        ]
+      })
+    });
+
+    const res = await request(app)
+      .get('/api/crm/leads/export?preset=closer-review&format=jsonl')
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .expect(200);
+
+    expect(LeadExportPreset.findOne).toHaveBeenCalledWith({ tenantId: TENANT_ID.toString(), name: 'closer-review' });
+    expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(res.text.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+      { owner: 'Jane Doe', phones: ['2145550101', '2145550102'], offer: 145000 }
+    ]);
+  });
+
+  test('ad-hoc columns are validated; unknown presets are a 404', async () => {
+    const token = sign('admin');
+    const bad = await request(app)
+      .get('/api/crm/leads/export?columns=ownerName,password')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+    expect(bad.body.details).toEqual(['columns[1]: unknown field password']);
+
+    jest.spyOn(LeadExportPreset, 'findOne').mockReturnValue({ lean: async () => null });
+    await request(app).get('/api/crm/leads/export?preset=nope').set('Authorization', `Bearer ${token}`).expect(404);
+  });
+});
@@ -0,0 +1,307 @@
+// __tests__/leadImport.test.js
+// Two-phase CSV lead import: mapping detection, row validation, duplicate report, batched commit
+// Run with: npm test or jest
+
+process.env.LEAD_IMPORT_BATCH_SIZE = '2';
+
+jest.mock('../utils/leadUpsert', () => ({
+  ...jest.requireActual('../utils/leadUpsert'),
+  upsertLeadFromSource: jest.fn()
+}));
+jest.mock('../utils/leadScoringEngine', () => ({
+  ...jest.requireActual('../utils/leadScoringEngine'),
+  recalculateAndSaveLeadScore: jest.fn()
+}));
+jest.mock('../utils/sms', () => ({
+  ...jest.requireActual('../utils/sms'),
+  sendNewDealAlert: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Lead = require('../models/Lead');
+const LeadImport = require('../models/LeadImport');
+const { upsertLeadFromSource, buildDedupeKey } = require('../utils/leadUpsert');
+const { recalculateAndSaveLeadScore } = require('../utils/leadScoringEngine');
+const { sendNewDealAlert } = require('../utils/sms');
+const { detectMapping, validateMapping, mapRow } = require('../utils/leadImport');
+const { planImport, runImport, failInterruptedImports } = require('../services/leadImportService');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const sign = (role) => jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+
+const HEADERS = ['Owner Name', 'Site Address', 'City', 'ST', 'Zip Code', 'County', 'Asking Price', 'Tags', 'Phone'];
+const MAPPING = {
+  'Owner Name': 'ownerName',
+  'Site Address': 'propertyAddress',
+  City: 'city',
+  ST: 'state',
+  'Zip Code': 'zip',
+  County: 'county',
+  'Asking Price': 'askingPrice',
+  Tags: 'tags'
+};
+
+function mockExistingLeads(leads) {
+  return jest.spyOn(Lead, 'find').mockReturnValue({ select: () => ({ lean: async () => leads }) });
+}
+
+describe('Lead import mapping', () => {
+  test('detects the mapping from common header names', () => {
+    expect(detectMapping(HEADERS)).toEqual(MAPPING);
+    expect(detectMapping(['propertyAddress', 'Address'])).toEqual({ propertyAddress: 'propertyAddress' });
+  });
+
+  test('rejects unknown fields, missing columns, double mapping and a missing address', () => {
+    expect(validateMapping({ 'Owner Name': 'ownerName', Phone: 'dedupeKey', Nope: 'city' }, HEADERS)).toEqual([
+      'mapping["Phone"]: unknown lead field dedupeKey',
+      'mapping["Nope"]: no such column in the file',
+      'mapping: no column mapped to propertyAddress'
+    ]);
+    expect(validateMapping({ 'Site Address': 'propertyAddress', City: 'propertyAddress' }, HEADERS)).toEqual([
+      'mapping["City"]: propertyAddress is already mapped from "Site Address"'
+    ]);
+    expect(validateMapping({ ...MAPPING, Phone: null }, HEADERS)).toEqual([]);
+  });
+
+  test('coerces cells and reports bad values per field', () => {
+    const row = {
+      'Owner Name': 'Jane Doe',
+      'Site Address': '4821 Lakeview Dr',
+      City: 'Denton',
+      ST: 'tx',
+      'Zip Code': '2134',
+      County: '',
+      'Asking Price': '$145,000',
+      Tags: 'absentee; vacant'
+    };
+    expect(mapRow(row, MAPPING)).toEqual({
+      payload: {
+        ownerName: 'Jane Doe',
+        propertyAddress: '4821 Lakeview Dr',
+        city: 'Denton',
+        state: 'TX',
+        zip: '02134',
+        askingPrice: 145000,
+        tags: ['absentee', 'vacant']
+      },
+      errors: []
+    });
+
+    const { errors } = mapRow({ 'Site Address': '', ST: 'Texas', 'Asking Price': 'call me' }, MAPPING);
+    expect(errors.map(e => e.message)).toEqual([
+      'state must be a 2-letter state code',
+      'askingPrice must be a number',
+      'propertyAddress is required'
+    ]);
+  });
+});
+
+describe('Lead import dry run', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('flags invalid rows, in-file duplicates and existing leads', async () => {
+    const existingId = new mongoose.Types.ObjectId();
+    const existingKey = buildDedupeKey({ propertyAddress: '9 Elm St', county: 'Denton' }, 'csv_upload');
+    const find = mockExistingLeads([{ _id: existingId, dedupeKey: existingKey }]);
+
+    const rows = [
+      ['Jane Doe', '4821 Lakeview Dr', 'Denton', 'TX', '76205', 'Denton'],
+      ['Bob Roe', '', 'Denton', 'TX', '76205', 'Denton'],
+      ['Jane Doe', '4821 LAKEVIEW DRIVE', 'Denton', 'TX', '76205', 'Denton'],
+      ['Al Poe', '9 Elm St', 'Denton', 'TX', '76201', 'Denton']
+    ];
+    const plan = await planImport(TENANT_ID, HEADERS, rows, MAPPING);
+
+    expect(find.mock.calls[0][0].tenantId).toBe(TENANT_ID);
+    expect(plan.totals).toEqual({ rows: 4, valid: 3, invalid: 1, duplicateInFile: 1, existing: 1 });
+    expect(plan.rowErrors).toEqual([{ row: 3, field: 'propertyAddress', value: '', message: 'propertyAddress is required' }]);
+    expect(plan.duplicates).toEqual([
+      { row: 4, reason: 'duplicate_in_file', duplicateOfRow: 2 },
+      { row: 5, reason: 'existing_lead', leadId: existingId }
+    ]);
+    expect(plan.rows.map(r => r.state)).toEqual(['valid', 'invalid', 'duplicate_in_file', 'existing']);
+  });
+});
+
+describe('Lead import commit', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  function fakeImport(overrides = {}) {
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      tenantId: TENANT_ID,
+      skipExisting: false,
+      totals: { processed: 0, created: 0, updated: 0, skipped: 0, failed: 0, scored: 0 },
+      rowErrors: [],
+      rows: [['cells']],
+      save: jest.fn(async () => {}),
+      ...overrides
+    };
+  }
+
+  test('upserts rows in batches and scores the new leads after each batch', async () => {
+    const calls = [];
+    upsertLeadFromSource.mockImplementation(async (source, payload) => {
+      calls.push(`upsert ${payload.propertyAddress}`);
+      if (payload.propertyAddress === 'bad') throw new Error('boom');
+      return { lead: { _id: payload.propertyAddress }, isNew: payload.propertyAddress !== 'old' };
+    });
+    recalculateAndSaveLeadScore.mockImplementation(async lead => calls.push(`score ${lead._id}`));
+    sendNewDealAlert.mockImplementation(async (lead, isNew) => calls.push(`alert ${lead._id} ${isNew}`));
+
+    const leadImport = fakeImport();
+    const plan = {
+      rows: [
+        { row: 2, state: 'valid', payload: { propertyAddress: 'a' } },
+        { row: 3, state: 'existing', payload: { propertyAddress: 'old' } },
+        { row: 4, state: 'invalid', payload: {} },
+        { row: 5, state: 'valid', payload: { propertyAddress: 'bad' } },
+        { row: 6, state: 'valid', payload: { propertyAddress: 'b', status: 'contacted' } }
+      ]
+    };
+    await runImport(leadImport, plan);
+
+    expect(calls).toEqual(['upsert a', 'upsert old', 'score a', 'alert a true', 'upsert bad', 'upsert b', 'score b', 'alert b true']);
+    expect(upsertLeadFromSource).toHaveBeenCalledWith('csv_upload', {
+      propertyAddress: 'a',
+      status: 'new',
+      tenantId: TENANT_ID,
+      signal: { type: 'csv' }
+    });
+    expect(upsertLeadFromSource.mock.calls[3][1].status).toBe('contacted');
+    expect(leadImport.totals).toEqual({ processed: 4, created: 2, updated: 1, skipped: 1, failed: 1, scored: 2 });
+    expect(leadImport.rowErrors).toEqual([{ row: 5, field: '', value: '', message: 'Import failed: boom' }]);
+    expect(leadImport.status).toBe('completed');
+    expect(leadImport.rows).toEqual([]);
+  });
+
+  test('skipExisting leaves existing leads alone', async () => {
+    upsertLeadFromSource.mockResolvedValue({ lead: { _id: 'x' }, isNew: true });
+    const leadImport = fakeImport({ skipExisting: true });
+    await runImport(leadImport, {
+      rows: [
+        { row: 2, state: 'existing', payload: { propertyAddress: 'old' } },
+        { row: 3, state: 'valid', payload: { propertyAddress: 'new' } }
+      ]
+    });
+    expect(upsertLeadFromSource).toHaveBeenCalledTimes(1);
+    expect(leadImport.totals).toMatchObject({ created: 1, updated: 0, skipped: 1 });
+  });
+});
+
+describe('Interrupted lead imports', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('imports left queued or running by a dead process are failed at startup', async () => {
+    const updateMany = jest.spyOn(LeadImport, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await failInterruptedImports()).toBe(2);
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter.status).toEqual({ $in: ['queued', 'running'] });
+    // An earlier boot of this machine, or no batch saved within the stale window
+    const [sameMachine, stale] = filter.$or;
+    expect(sameMachine['runner.bootId'].$ne).toEqual(expect.any(String));
+    expect(stale.updatedAt.$lt.getTime()).toBeLessThanOrEqual(Date.now() - 30 * 60 * 1000);
+    expect(update.$set).toMatchObject({ status: 'failed', rows: [], error: expect.stringContaining('server restart') });
+  });
+});
+
+describe('/api/crm/lead-imports', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/crm', require('../routes/crmRoutes'));
+    app.use(require('../middleware/errorHandler'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('upload returns the dry-run report and stores the preview', async () => {
+    mockExistingLeads([]);
+    const save = jest.spyOn(LeadImport.prototype, 'save').mockImplementation(async function () { return this; });
+
+    const csv = 'Owner Name,Property Address,State,Beds\nJane Doe,4821 Lakeview Dr,TX,3\nBob Roe,9 Elm St,Texas,two\n';
+    const res = await request(app)
+      .post('/api/crm/lead-imports')
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .attach('file', Buffer.from(csv), 'list.csv')
+      .expect(201);
+
+    expect(save).toHaveBeenCalledTimes(1);
+    const stored = save.mock.instances[0];
+    expect(stored.rows).toHaveLength(2);
+    expect(stored.status).toBe('preview');
+    expect(stored.expiresAt).toBeInstanceOf(Date);
+
+    expect(res.body.mapping).toEqual({
+      'Owner Name': 'ownerName',
+      'Property Address': 'propertyAddress',
+      State: 'state',
+      Beds: 'beds'
+    });
+    expect(res.body.mappingErrors).toEqual([]);
+    expect(res.body.summary).toEqual({ rows: 2, valid: 1, invalid: 1, duplicateInFile: 0, existing: 0 });
+    expect(res.body.rowErrors.map(e => `${e.row} ${e.field}`)).toEqual(['3 state', '3 beds']);
+    expect(res.body.sample).toEqual([
+      { row: 2, lead: { ownerName: 'Jane Doe', propertyAddress: '4821 Lakeview Dr', state: 'TX', beds: 3 } }
+    ]);
+  });
+
+  test('rejects a bad mapping and non-managers', async () => {
+    await request(app)
+      .post('/api/crm/lead-imports')
+      .set('Authorization', `Bearer ${sign('dialer')}`)
+      .attach('file', Buffer.from('Address\n1 Main St\n'), 'list.csv')
+      .expect(403);
+
+    const res = await request(app)
+      .post('/api/crm/lead-imports')
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .field('mapping', JSON.stringify({ Address: 'street' }))
+      .attach('file', Buffer.from('Address\n1 Main St\n'), 'list.csv')
+      .expect(400);
+    expect(res.body.details).toEqual([
+      'mapping["Address"]: unknown lead field street',
+      'mapping: no column mapped to propertyAddress'
+    ]);
+  });
+
+  test('the one-step upload-csv route imports before answering with the new and updated counts', async () => {
+    mockExistingLeads([]);
+    let stored;
+    jest.spyOn(LeadImport.prototype, 'save').mockImplementation(async function () { stored = this; return this; });
+    jest.spyOn(LeadImport, 'findOneAndUpdate').mockImplementation(async () => {
+      stored.status = 'queued';
+      return stored;
+    });
+    upsertLeadFromSource.mockImplementation(async (source, payload) =>
+      ({ lead: { _id: payload.propertyAddress }, isNew: payload.propertyAddress !== '9 Elm St' }));
+
+    const csv = 'Owner Name,Property Address\nJane Doe,4821 Lakeview Dr\nBob Roe,9 Elm St\n';
+    const res = await request(app)
+      .post('/api/crm/leads/upload-csv')
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .attach('file', Buffer.from(csv), 'list.csv')
+      .expect(200);
+
+    expect(res.body).toEqual({ inserted: 2, new: 1, updated: 1, importId: stored._id.toString() });
+    expect(stored.status).toBe('completed');
+  });
+
+  test('commit is refused once the import has started', async () => {
+    jest.spyOn(LeadImport, 'findOne').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), status: 'running' });
+    const res = await request(app)
+      .post(`/api/crm/lead-imports/${new mongoose.Types.ObjectId()}/commit`)
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .expect(409);
+    expect(res.body.error).toBe('Lead import is already running');
+  });
+});
@@ -0,0 +1,253 @@
+// __tests__/mailCampaign.test.js
+// Direct mail campaigns: letter merge fields, segment preview, touch logging, print PDF, address file and response credit
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Lead = require('../models/Lead');
+const Tenant = require('../models/Tenant');
+const Template = require('../models/Template');
+const MailCampaign = require('../models/MailCampaign');
+const LeadTouch = require('../models/LeadTouch');
+const Deal = require('../models/Deal');
+const KpiEvent = require('../models/KpiEvent');
+const closerKPIService = require('../utils/closerKPIService');
+const { ownerFirstName, recipientAddress, mergeValues, renderLetter, findUnknownFields } = require('../utils/letterMerge');
+const { recordStatusResponse } = require('../services/mailCampaignService');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const sign = (role) => jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+
+const TEMPLATE = {
+  _id: new mongoose.Types.ObjectId(),
+  tenantId: TENANT_ID,
+  key: 'admin_letter_probate',
+  version: 2,
+  type: 'letter',
+  status: 'approved',
+  content: 'Dear {{ownerFirstName|Homeowner}},\n\nWe would like to make an offer on {{propertyAddress}}.\n\n{{companyName}}'
+};
+const TENANT = { _id: TENANT_ID, name: 'Acme', brandName: 'Acme Home Buyers', primaryColor: '#123456' };
+
+const LEADS = [
+  { _id: new mongoose.Types.ObjectId(), ownerName: 'DOE JANE', propertyAddress: '4821 Lakeview Dr', city: 'Denton', state: 'TX', zip: '76205' },
+  { _id: new mongoose.Types.ObjectId(), ownerName: 'Smith Family Trust', propertyAddress: '9 Elm St', mailingAddress: 'PO Box 12, Austin, TX 78701' },
+  { _id: new mongoose.Types.ObjectId(), ownerName: 'Bob Roe', propertyAddress: '' },
+  { _id: new mongoose.Types.ObjectId(), ownerName: 'Al Poe', propertyAddress: '12 Oak Ave', city: 'Denton', state: 'TX', zip: '76201' }
+];
+
+describe('Letter merge fields', () => {
+  test('salutation first name from county-style and entity owner names', () => {
+    expect(ownerFirstName('DOE JANE M')).toBe('Jane');
+    expect(ownerFirstName('Doe, John & Mary Doe')).toBe('John');
+    expect(ownerFirstName('Jane Doe')).toBe('Jane');
+    expect(ownerFirstName('SMITH FAMILY TRUST')).toBe('');
+    expect(ownerFirstName('ESTATE OF JOHN DOE')).toBe('');
+  });
+
+  test('letters go to the mailing address, else the property address', () => {
+    expect(recipientAddress(LEADS[1])).toEqual({ name: 'Smith Family Trust', line1: 'PO BOX 12', city: 'Austin', state: 'TX', zip: '78701' });
+    expect(recipientAddress(LEADS[0])).toEqual({ name: 'Doe Jane', line1: '4821 LAKEVIEW DR', city: 'Denton', state: 'TX', zip: '76205' });
+    expect(recipientAddress(LEADS[2])).toBeNull();
+  });
+
+  test('fills placeholders, applies fallbacks and reports blanks and unknown fields', () => {
+    const values = mergeValues(LEADS[1], TENANT, new Date(2026, 9, 19));
+    expect(values.today).toBe('October 19, 2026');
+    expect(renderLetter(TEMPLATE.content + ' {{askingPrice}}', values)).toEqual({
+      text: 'Dear Homeowner,\n\nWe would like to make an offer on 9 Elm St.\n\nAcme Home Buyers ',
+      missing: ['askingPrice']
+    });
+    expect(findUnknownFields('Hi {{ ownerName }} at {{propertyAdress}} {{foo|bar}}')).toEqual(['propertyAdress', 'foo']);
+  });
+});
+
+describe('/api/letters/campaigns', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/letters', require('../routes/letterRoutes'));
+    app.use(require('../middleware/errorHandler'));
+
+    jest.spyOn(Template, 'findOne').mockReturnValue({ lean: async () => TEMPLATE });
+    jest.spyOn(Tenant, 'findById').mockReturnValue({ lean: async () => TENANT });
+    jest.spyOn(Lead, 'countDocuments').mockResolvedValue(LEADS.length);
+    jest.spyOn(Lead, 'find').mockImplementation(filter => {
+      const leads = filter._id ? LEADS.filter(l => filter._id.$in.some(id => id.equals(l._id))) : LEADS;
+      const chain = { select: () => chain, sort: () => chain, limit: () => chain, lean: async () => leads };
+      return chain;
+    });
+    // Al Poe was mailed last week
+    jest.spyOn(LeadTouch, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ leadId: LEADS[3]._id }] }) });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('preview reports skips and sample letters without recording anything', async () => {
+    const create = jest.spyOn(MailCampaign, 'create');
+    const res = await request(app)
+      .post('/api/letters/campaigns')
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .send({ templateId: TEMPLATE._id, filters: { status: 'new' } })
+      .expect(200);
+
+    expect(Template.findOne).toHaveBeenCalledWith({
+      _id: TEMPLATE._id.toString(),
+      tenantId: TENANT_ID.toString(),
+      type: 'letter',
+      status: { $in: ['approved', 'active'] }
+    });
+    expect(res.body.summary).toEqual({
+      matched: 4,
+      considered: 4,
+      truncated: false,
+      eligible: 2,
+      skipped: 2,
+      skippedByReason: { no_address: 1, recently_mailed: 1 }
+    });
+    expect(res.body.sample.map(s => s.body.split('\n')[0])).toEqual(['Dear Jane,', 'Dear Homeowner,']);
+    expect(res.body.missingFields).toEqual({});
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('confirm records the campaign and a mail touch per letter', async () => {
+    const campaignId = new mongoose.Types.ObjectId();
+    jest.spyOn(MailCampaign, 'create').mockImplementation(async doc => ({ _id: campaignId, ...doc }));
+    const insertMany = jest.spyOn(LeadTouch, 'insertMany').mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/letters/campaigns')
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .send({ name: 'Probate October', templateId: TEMPLATE._id, confirm: true })
+      .expect(201);
+
+    expect(MailCampaign.create.mock.calls[0][0]).toMatchObject({
+      name: 'Probate October',
+      templateKey: 'admin_letter_probate',
+      templateVersion: 2,
+      totals: { matched: 4, mailed: 2, skipped: 2 }
+    });
+    const touches = insertMany.mock.calls[0][0];
+    expect(touches.map(t => [t.leadId.toString(), t.campaignId, t.channel, t.address.zip])).toEqual([
+      [LEADS[0]._id.toString(), campaignId, 'mail', '76205'],
+      [LEADS[1]._id.toString(), campaignId, 'mail', '78701']
+    ]);
+    expect(res.body.summary.eligible).toBe(2);
+  });
+
+  test('rejects unknown merge fields, unapproved templates and dialers', async () => {
+    Template.findOne.mockReturnValueOnce({ lean: async () => ({ ...TEMPLATE, content: 'Hi {{firstName}}' }) });
+    const bad = await request(app)
+      .post('/api/letters/campaigns')
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .send({ templateId: TEMPLATE._id })
+      .expect(400);
+    expect(bad.body.details).toEqual(['firstName']);
+
+    Template.findOne.mockReturnValueOnce({ lean: async () => null });
+    await request(app)
+      .post('/api/letters/campaigns')
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .send({ templateId: TEMPLATE._id })
+      .expect(404);
+
+    await request(app).get('/api/letters/campaigns').set('Authorization', `Bearer ${sign('dialer')}`).expect(403);
+  });
+
+  describe('downloads', () => {
+    const campaign = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT_ID, name: 'Probate October', templateId: TEMPLATE._id, mailedAt: new Date() };
+    const touches = [
+      { leadId: LEADS[0]._id, address: { name: 'Doe Jane', line1: '4821 LAKEVIEW DR', city: 'Denton', state: 'TX', zip: '76205' } },
+      { leadId: LEADS[1]._id, address: { name: 'Smith Family Trust', line1: 'PO BOX 12', city: 'Austin', state: 'TX', zip: '78701' } }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(MailCampaign, 'findOne').mockReturnValue({ lean: async () => campaign });
+      LeadTouch.find.mockImplementation(() => {
+        const chain = { sort: () => chain, lean: () => chain, cursor: () => (async function* () { yield* touches; })() };
+        return chain;
+      });
+    });
+
+    test('address file lists recipients in print order', async () => {
+      const res = await request(app)
+        .get(`/api/letters/campaigns/${campaign._id}/addresses`)
+        .set('Authorization', `Bearer ${sign('admin')}`)
+        .expect(200);
+
+      expect(res.headers['content-disposition']).toBe(`attachment; filename="mail-probate-october-${campaign._id}.csv"`);
+      expect(res.text.trim().split('\n')).toEqual([
+        '"Seq","Lead ID","Name","Address","City","State","Zip"',
+        `"1","${LEADS[0]._id}","Doe Jane","4821 LAKEVIEW DR","Denton","TX","76205"`,
+        `"2","${LEADS[1]._id}","Smith Family Trust","PO BOX 12","Austin","TX","78701"`
+      ]);
+    });
+
+    test('letters render as one PDF', async () => {
+      const res = await request(app)
+        .get(`/api/letters/campaigns/${campaign._id}/letters`)
+        .set('Authorization', `Bearer ${sign('admin')}`)
+        .buffer(true)
+        .parse((response, done) => {
+          const chunks = [];
+          response.on('data', c => chunks.push(c));
+          response.on('end', () => done(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(res.body.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(2);
+    });
+  });
+});
+
+describe('Mail response tracking', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a contacted lead credits its latest unanswered mail touch', async () => {
+    const update = jest.spyOn(LeadTouch, 'findOneAndUpdate').mockResolvedValue({ _id: 'touch' });
+    const lead = { _id: LEADS[0]._id, tenantId: TENANT_ID, status: 'contacted' };
+
+    await expect(recordStatusResponse(lead)).resolves.toEqual({ _id: 'touch' });
+    const [filter, change, options] = update.mock.calls[0];
+    expect(filter).toMatchObject({ tenantId: TENANT_ID, leadId: lead._id, channel: 'mail', respondedAt: null });
+    expect(filter.touchedAt.$gte).toBeInstanceOf(Date);
+    expect(change.$set.response).toBe('contacted');
+    expect(options.sort).toEqual({ touchedAt: -1 });
+
+    await recordStatusResponse({ ...lead, status: 'attempted' });
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  test('marking a lead under contract from the closer desk credits the letter too', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/rapid-offer/closer', require('../routes/rapidOfferCloserRoutes'));
+    app.use(require('../middleware/errorHandler'));
+
+    const lead = new Lead({ tenantId: TENANT_ID, ownerName: 'DOE JANE', propertyAddress: '4821 Lakeview Dr', status: 'contacted' });
+    jest.spyOn(Lead, 'findOne').mockResolvedValue(lead);
+    jest.spyOn(lead, 'save').mockResolvedValue(lead);
+    jest.spyOn(Deal, 'find').mockResolvedValue([]);
+    jest.spyOn(KpiEvent, 'create').mockResolvedValue({});
+    jest.spyOn(closerKPIService, 'triggerCloserKPIUpdate').mockImplementation(() => {});
+    const update = jest.spyOn(LeadTouch, 'findOneAndUpdate').mockResolvedValue({ _id: 'touch' });
+
+    await request(app)
+      .post(`/api/rapid-offer/closer/leads/${lead._id}/mark-under-contract`)
+      .set('Authorization', `Bearer ${sign('closer')}`)
+      .expect(200);
+
+    expect(update).toHaveBeenCalledWith(
+      expect.objectContaining({ tenantId: TENANT_ID, leadId: lead._id, channel: 'mail' }),
+      { $set: expect.objectContaining({ response: 'under_contract' }) },
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,154 @@
+// __tests__/mao.test.js
+// MAO engine (buy box formula + rehab tables), closer offer-calc endpoint and the over-MAO offer warning
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Lead = require('../models/Lead');
+const BuyBox = require('../models/BuyBox');
+const Tenant = require('../models/Tenant');
+const closerKPIService = require('../utils/closerKPIService');
+const { calculateCashMao, estimateRehab, DEFAULT_REHAB_TABLE } = require('../utils/maoEngine');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const sign = role => jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+
+const BUY_BOX = {
+  _id: new mongoose.Types.ObjectId(),
+  tenantId: TENANT_ID,
+  label: 'DFW Flips',
+  marketKey: 'TX-DFW',
+  mao: {
+    arvPercent: 75,
+    assignmentFee: 12000,
+    holdingCostPercent: 2,
+    closingCostPercent: 1,
+    rehabTable: [
+      { conditionTier: 'medium', maxSqft: null, costPerSqft: 35, baseCost: 0 },
+      { conditionTier: 'medium', maxSqft: 1200, costPerSqft: 25, baseCost: 0 },
+      { conditionTier: 'heavy', maxSqft: null, costPerSqft: 55, baseCost: 8000 }
+    ],
+    ladder: { openingPercent: 80, targetPercent: 90 }
+  }
+};
+
+const LEAD = {
+  arv: 240000,
+  askingPrice: 150000,
+  sqft: 1500,
+  metadata: { estimatedRent: 2000 },
+  dialerIntake: { conditionTier: '3', mortgageBalance: 95000, mortgageMonthlyPayment: 900 }
+};
+
+describe('MAO engine', () => {
+  test('default formula: ARV x 70% - table rehab - assignment fee', () => {
+    const result = calculateCashMao({ ...LEAD, dialerIntake: { conditionTier: '5' } }, null);
+
+    // heavy: $5,000 + $50/sqft x 1,500
+    expect(result.formula).toEqual({ arvPercent: 70, arvAmount: 168000, rehab: 80000, assignmentFee: 10000, holdingCosts: 0, closingCosts: 0 });
+    expect(result.mao).toBe(78000);
+    expect(result.ladder).toEqual({ opening: 66000, target: 72500, max: 78000 });
+    expect(result.assumptionsUsed[0]).toBe('No buy box - default MAO formula');
+  });
+
+  test('buy box formula picks the rehab row for the condition and size', () => {
+    const result = calculateCashMao(LEAD, BUY_BOX);
+
+    // 240k x 75% - (1,500 sqft x $35) - 12k - 2% holding - 1% closing
+    expect(result.formula).toMatchObject({ arvAmount: 180000, rehab: 52500, holdingCosts: 4800, closingCosts: 2400 });
+    expect(result.mao).toBe(108000);
+    expect(result.ladder).toEqual({ opening: 86000, target: 97000, max: 108000 });
+    expect(result.assumptionsUsed).toContain('Rehab: $52,500 (medium, $35/sqft x 1,500 sqft)');
+
+    expect(estimateRehab({ sqft: 1100, dialerIntake: { conditionTier: 'medium' } }, BUY_BOX.mao.rehabTable).cost).toBe(27500);
+    expect(estimateRehab({ sqft: 1100, dialerIntake: { conditionTier: 'light' } }, BUY_BOX.mao.rehabTable))
+      .toEqual({ cost: null, missingFields: ['rehabTable.light'] });
+  });
+
+  test('a rehab number on the lead wins; missing ARV or condition leaves MAO empty', () => {
+    const withRehab = calculateCashMao({ ...LEAD, metadata: { rehabCost: 30000 } }, BUY_BOX);
+    expect(withRehab.rehab).toEqual({ cost: 30000, source: 'lead' });
+    expect(withRehab.mao).toBe(130500);
+
+    expect(calculateCashMao({ ...LEAD, arv: null, dialerIntake: {} }, null)).toMatchObject({
+      mao: null,
+      missingFields: ['arv', 'conditionTier']
+    });
+    expect(DEFAULT_REHAB_TABLE.map(r => r.conditionTier)).toEqual(['light', 'medium', 'heavy']);
+  });
+});
+
+describe('Closer offer calculator', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/rapid-offer/closer', require('../routes/rapidOfferCloserRoutes'));
+    app.use(require('../middleware/errorHandler'));
+    jest.spyOn(Tenant, 'findById').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    jest.spyOn(BuyBox, 'findOne').mockReturnValue({ lean: async () => BUY_BOX });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('returns the cash MAO and a ladder per lane, flagging an offer above MAO', async () => {
+    const leadId = new mongoose.Types.ObjectId();
+    jest.spyOn(Lead, 'findOne').mockResolvedValue({
+      _id: leadId,
+      tenantId: TENANT_ID,
+      ...LEAD,
+      leadScore: { buyBoxId: BUY_BOX._id },
+      closer: { offerLaneFinal: 'cash', offerAmount: 115000 }
+    });
+
+    const res = await request(app)
+      .get(`/api/rapid-offer/closer/leads/${leadId}/offer-calc`)
+      .set('Authorization', `Bearer ${sign('closer')}`)
+      .expect(200);
+
+    expect(BuyBox.findOne).toHaveBeenCalledWith({ _id: BUY_BOX._id, tenantId: TENANT_ID });
+    expect(res.body.buyBox).toMatchObject({ label: 'DFW Flips', marketKey: 'TX-DFW' });
+    expect(res.body.cash.mao).toBe(108000);
+    expect(res.body.ladders.map(l => l.lane)).toEqual(['cash', 'subto', 'sellerfinance', 'novation', 'leaseoption']);
+    expect(res.body.ladders[0]).toEqual({ lane: 'cash', label: 'Cash', opening: 86000, target: 97000, max: 108000 });
+    // Ladders for creative lanes use the buy box steps on each lane's own max
+    const subto = res.body.ladders[1];
+    expect(subto.opening).toBe(Math.floor(subto.max * 0.8 / 500) * 500);
+    expect(res.body.offerCheck).toEqual({
+      lane: 'cash',
+      offerAmount: 115000,
+      maxOffer: 108000,
+      exceedsBy: 7000,
+      warning: 'Offer $115,000 exceeds the cash max offer of $108,000 by $7,000'
+    });
+
+    await request(app)
+      .get(`/api/rapid-offer/closer/leads/${leadId}/offer-calc?buyBoxId=nope`)
+      .set('Authorization', `Bearer ${sign('closer')}`)
+      .expect(404);
+  });
+
+  test('setting an offer above MAO saves a warning on the lead without blocking it', async () => {
+    const lead = new Lead({ tenantId: TENANT_ID, ...LEAD, leadScore: { buyBoxId: BUY_BOX._id } });
+    jest.spyOn(Lead, 'findOne').mockResolvedValue(lead);
+    const save = jest.spyOn(lead, 'save').mockResolvedValue(lead);
+    jest.spyOn(closerKPIService, 'triggerCloserKPIUpdate').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {}); // Socket.IO isn't running
+
+    const res = await request(app)
+      .post(`/api/rapid-offer/closer/leads/${lead._id}/offer`)
+      .set('Authorization', `Bearer ${sign('closer')}`)
+      .send({ offerLaneFinal: 'novation', offerAmount: 250000 })
+      .expect(200);
+
+    expect(save).toHaveBeenCalled();
+    expect(res.body.closer).toMatchObject({ offerLaneFinal: 'novation', offerAmount: 250000 });
+    expect(res.body.closer.maoCheck).toMatchObject({ lane: 'novation', offerAmount: 250000 });
+    expect(res.body.closer.maoCheck.exceedsBy).toBeGreaterThan(0);
+    expect(res.body.closer.maoCheck.warning).toMatch(/^Offer \$250,000 exceeds the novation max offer/);
+  });
+});
@@ -0,0 +1,182 @@
+// __tests__/motivationScore.test.js
+// Distress-signal motivation sub-score (incl. loading the records linked to a lead's property) and the motivation routing rule
+// Run with: npm test or jest
+
+const mongoose = require('mongoose');
+const PreForeclosure = require('../models/PreForeclosure');
+const TaxLien = require('../models/TaxLien');
+const CodeViolation = require('../models/CodeViolation');
+const Probate = require('../models/Probate');
+const {
+  calculateMotivationScore,
+  getLeadMotivation,
+  loadDistressRecords,
+  parseYearsOwed,
+  formatMotivationReason
+} = require('../utils/motivationScore');
+const { scoreLead } = require('../utils/leadScoringEngine');
+const { determineRoute } = require('../services/dealRoutingService');
+const { getDefaultRoutingConfig, mergeRoutingConfig, validateRoutingConfig } = require('../config/routingConfig');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const daysAgo = (n) => new Date(NOW.getTime() - n * 24 * 60 * 60 * 1000);
+const daysAhead = (n) => new Date(NOW.getTime() + n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('Motivation score', () => {
+  test('no linked records scores zero', () => {
+    expect(calculateMotivationScore([], NOW)).toEqual({
+      score: 0, level: 'none', signalCount: 0, signalTypes: [], factors: []
+    });
+  });
+
+  test('stacked pre-foreclosure, tax lien and open code violation is high motivation', () => {
+    const single = calculateMotivationScore([
+      { type: 'code_violation', record: { violationType: 'High grass', status: 'Open', createdAt: daysAgo(10) } }
+    ], NOW);
+    const stacked = calculateMotivationScore([
+      { type: 'preforeclosure', record: { amountDelinquent: '$24,500.00', auctionDate: daysAhead(12), createdAt: daysAgo(20) } },
+      { type: 'tax_lien', record: { delinquentAmount: '8,200', yearsOwed: '2021-2023', createdAt: daysAgo(40) } },
+      { type: 'code_violation', record: { violationType: 'High grass', status: 'Open', createdAt: daysAgo(10) } }
+    ], NOW);
+
+    expect(single.level).toBe('low');
+    expect(stacked.score).toBeGreaterThanOrEqual(70);
+    expect(stacked.level).toBe('high');
+    expect(stacked.signalTypes).toEqual(['preforeclosure', 'tax_lien', 'code_violation']);
+    expect(stacked.factors).toEqual(expect.arrayContaining([
+      'pre-foreclosure $24,500 delinquent',
+      'auction in 12 days',
+      'tax lien $8,200 owed, 3 years',
+      '3 stacked distress signals'
+    ]));
+  });
+
+  test('auction proximity and recency drive the score', () => {
+    const record = (auctionDate, createdAt) => [{ type: 'preforeclosure', record: { auctionDate, createdAt } }];
+    const soon = calculateMotivationScore(record(daysAhead(7), daysAgo(5)), NOW).score;
+    const later = calculateMotivationScore(record(daysAhead(80), daysAgo(5)), NOW).score;
+    const stale = calculateMotivationScore(record(null, daysAgo(500)), NOW).score;
+    const passed = calculateMotivationScore(record(daysAhead(-30), daysAgo(60)), NOW);
+
+    expect(soon).toBeGreaterThan(later);
+    expect(later).toBeGreaterThan(stale);
+    expect(passed.score).toBeLessThan(stale + 5);
+    expect(passed.factors).toContain('auction date passed');
+  });
+
+  test('closed code violations and repeat filings', () => {
+    const open = calculateMotivationScore([
+      { type: 'code_violation', record: { violationType: 'Unsafe structure', status: 'Open', createdAt: daysAgo(5) } }
+    ], NOW);
+    const closed = calculateMotivationScore([
+      { type: 'code_violation', record: { violationType: 'Unsafe structure', status: 'Closed - complied', createdAt: daysAgo(5) } }
+    ], NOW);
+    expect(open.score).toBe(25);
+    expect(closed.score).toBeLessThan(open.score);
+
+    const repeated = calculateMotivationScore([
+      { type: 'tax_lien', record: { yearsOwed: '1', createdAt: daysAgo(5) } },
+      { type: 'tax_lien', record: { yearsOwed: '4', createdAt: daysAgo(5) } }
+    ], NOW);
+    expect(repeated.score).toBe(20 + 12 + 3);
+    expect(repeated.signalCount).toBe(2);
+    expect(repeated.factors).toContain('2 tax lien records');
+  });
+
+  test('yearsOwed formats', () => {
+    expect(parseYearsOwed('3')).toBe(3);
+    expect(parseYearsOwed('2019-2022')).toBe(4);
+    expect(parseYearsOwed('2021, 2022, 2023')).toBe(3);
+    expect(parseYearsOwed('2023')).toBe(1);
+    expect(parseYearsOwed('')).toBeNull();
+  });
+
+  test('reason line for leadScore.reasons', () => {
+    expect(formatMotivationReason({ score: 45, level: 'medium', factors: ['probate estate', 'tax lien'] }))
+      .toBe('Motivation 45/100 (medium): probate estate, tax lien');
+  });
+});
+
+describe('Motivation from linked records', () => {
+  const TENANT_ID = new mongoose.Types.ObjectId();
+  const PROPERTY_ID = new mongoose.Types.ObjectId();
+  let filters;
+
+  const mockRecords = (Model, records) => jest.spyOn(Model, 'find').mockImplementation(filter => {
+    filters.push(filter);
+    return { sort: () => ({ limit: () => ({ lean: async () => records }) }) };
+  });
+
+  beforeEach(() => {
+    filters = [];
+    mockRecords(PreForeclosure, [{ amountDelinquent: '$18,000.00', auctionDate: daysAhead(20), createdAt: daysAgo(3) }]);
+    mockRecords(TaxLien, [{ delinquentAmount: '$6,100.00', yearsOwed: '2', createdAt: daysAgo(30) }]);
+    mockRecords(CodeViolation, []);
+    mockRecords(Probate, []);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('loads every record type linked to the lead\'s property within its tenant', async () => {
+    const records = await loadDistressRecords({ propertyId: PROPERTY_ID, tenantId: TENANT_ID });
+
+    expect(filters).toEqual(Array(4).fill({ propertyId: PROPERTY_ID, tenantId: TENANT_ID }));
+    expect(records.map(r => r.type)).toEqual(['preforeclosure', 'tax_lien']);
+    expect(records[0].record.amountDelinquent).toBe('$18,000.00');
+  });
+
+  test('a lead without a property has no motivation and skips the queries', async () => {
+    expect(await getLeadMotivation({ tenantId: TENANT_ID }, NOW)).toMatchObject({ score: 0, level: 'none' });
+    expect(filters).toEqual([]);
+  });
+
+  test('lead scoring carries the motivation from the stored records', async () => {
+    const lead = { propertyId: PROPERTY_ID, tenantId: TENANT_ID, arv: 210000, metadata: { estimatedRent: 1650 } };
+
+    const result = await scoreLead(lead);
+
+    expect(result.motivation).toMatchObject({ signalTypes: ['preforeclosure', 'tax_lien'], signalCount: 2 });
+    expect(result.motivation.score).toBeGreaterThan(0);
+    expect(result.reasons).toContain(formatMotivationReason(result.motivation));
+  });
+});
+
+describe('Motivation routing rule', () => {
+  const config = getDefaultRoutingConfig();
+  const lead = (score, grade, motivation) => ({ leadScore: { score, grade, motivation } });
+
+  test('high motivation upgrades a low-score lead to dialer_priority', () => {
+    const result = determineRoute(lead(20, 'Dead', { score: 78, level: 'high', signalTypes: ['preforeclosure', 'tax_lien'] }), config);
+    expect(result.route).toBe('dialer_priority');
+    expect(result.priorityLevel).toBe('high');
+    expect(result.slaHours).toBe(24);
+    expect(result.reasons[result.reasons.length - 1])
+      .toBe('Motivation score 78 (preforeclosure, tax_lien) - upgraded from archive');
+  });
+
+  test('medium motivation upgrades archive to nurture only', () => {
+    expect(determineRoute(lead(20, 'Dead', { score: 45 }), config).route).toBe('nurture');
+    expect(determineRoute(lead(60, 'C', { score: 45 }), config).route).toBe('nurture');
+  });
+
+  test('never downgrades, never overrides a cash flow block, and can be disabled', () => {
+    expect(determineRoute(lead(90, 'A', { score: 95 }), config).route).toBe('immediate_closer');
+
+    const blocked = lead(90, 'A', { score: 95 });
+    blocked.leadScore.cashFlow = { cashFlowPass: false, dscrPass: true };
+    expect(determineRoute(blocked, config).route).toBe('nurture');
+
+    const disabled = mergeRoutingConfig(config, { motivation: { enabled: false } });
+    expect(determineRoute(lead(20, 'Dead', { score: 95 }), disabled).route).toBe('archive');
+  });
+
+  test('config validation', () => {
+    expect(validateRoutingConfig({ motivation: { enabled: true, dialerPriorityMin: 80, nurtureMin: 50 } })).toEqual([]);
+    expect(validateRoutingConfig({ motivation: { enabled: 'yes', dialerPriorityMin: 120, nurtureMin: 90 } })).toEqual([
+      'motivation.enabled: must be a boolean',
+      'motivation.dialerPriorityMin: must be a number between 0 and 100'
+    ]);
+    expect(validateRoutingConfig({ motivation: { dialerPriorityMin: 50, nurtureMin: 60 } }))
+      .toEqual(['motivation: nurtureMin must be <= dialerPriorityMin']);
+  });
+});
@@ -0,0 +1,156 @@
+// __tests__/recordApi.test.js
+// Tenant-scoped county record list / export APIs: filters, cursor pagination, CSV / XLSX streaming
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const PreForeclosure = require('../models/PreForeclosure');
+const { buildRecordFilter, validateRecordQuery, encodeCursor, decodeCursor } = require('../utils/recordQuery');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const token = jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role: 'admin', tenantId: TENANT_ID.toString() }, jwtSecret);
+
+function buildApp() {
+  const app = express();
+  app.use('/api/preforeclosures', require('../routes/preforeclosureRoutes'));
+  app.use('/api', require('../routes/exportRoutes'));
+  app.use(require('../middleware/errorHandler'));
+  return app;
+}
+
+const RECORDS = [
+  { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2025-03-02T10:00:00Z'), county: 'Dallas', ownerName: 'Jane "JJ" Doe', propertyAddress: '1 Main St', amountDelinquent: '$41,200.00', auctionDate: '2025-04-01' },
+  { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2025-03-01T10:00:00Z'), county: 'Dallas', ownerName: 'John Roe', propertyAddress: '2 Elm St', amountDelinquent: '$9,000.00', auctionDate: '2025-04-08' }
+];
+
+describe('Record query helpers', () => {
+  test('filters are tenant-scoped and typed per record', () => {
+    const filter = buildRecordFilter(TENANT_ID, 'preforeclosures', {
+      county: 'Dallas,Tarrant', from: '2025-03-01', to: '2025-03-31', minAmount: '20000', auctionFrom: '2025-04-01', auctionTo: '2025-04-30'
+    });
+    expect(filter.tenantId).toBe(TENANT_ID);
+    expect(filter.county.$in.map(r => r.test('dallas'))).toEqual([true, false]);
+    expect(filter.createdAt).toEqual({ $gte: new Date('2025-03-01'), $lt: new Date('2025-04-01') });
+    expect(filter.auctionDate).toEqual({ $gte: '2025-04-01', $lte: '2025-04-30' });
+    expect(filter.$expr.$and).toHaveLength(2);
+
+    expect(() => buildRecordFilter(null, 'probate', {})).toThrow('tenantId is required');
+  });
+
+  test('validation rejects bad dates and filters the record type does not have', () => {
+    expect(validateRecordQuery('preforeclosures', { from: '2025-03-01', minAmount: '100', auctionTo: '2025-04-30' })).toEqual([]);
+    expect(validateRecordQuery('probate', { from: 'yesterday', minAmount: '5', auctionFrom: '2025-04-01', cursor: 'nope' })).toEqual([
+      'from: invalid date',
+      'minAmount: not supported for probate',
+      'auctionFrom: not supported for probate',
+      'cursor: invalid'
+    ]);
+    expect(validateRecordQuery('taxliens', { maxAmount: '-1' })).toEqual(['maxAmount: must be a non-negative number']);
+  });
+
+  test('cursor round-trips and pages strictly after the last row', () => {
+    const cursor = encodeCursor(RECORDS[0]);
+    expect(decodeCursor(cursor)).toEqual({ createdAt: RECORDS[0].createdAt, id: RECORDS[0]._id });
+    const filter = buildRecordFilter(TENANT_ID, 'preforeclosures', { cursor });
+    expect(filter.$and[0].$or).toEqual([
+      { createdAt: { $lt: RECORDS[0].createdAt } },
+      { createdAt: RECORDS[0].createdAt, _id: { $lt: RECORDS[0]._id } }
+    ]);
+  });
+});
+
+describe('Record API routes', () => {
+  let app;
+  let findFilter;
+
+  beforeEach(() => {
+    app = buildApp();
+    findFilter = null;
+    jest.spyOn(PreForeclosure, 'find').mockImplementation(filter => {
+      findFilter = filter;
+      const chain = {
+        sort: () => chain,
+        limit: (n) => { chain.rows = RECORDS.slice(0, n); return chain; },
+        lean: () => chain,
+        rows: RECORDS,
+        then: (resolve, reject) => Promise.resolve(chain.rows).then(resolve, reject),
+        cursor: () => (async function* () { yield* RECORDS; })()
+      };
+      return chain;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('list and export require auth', async () => {
+    await request(app).get('/api/preforeclosures').expect(401);
+    await request(app).get('/api/export/preforeclosures').expect(401);
+    await request(app).get('/api/preforeclosures/export').expect(401);
+    expect(PreForeclosure.find).not.toHaveBeenCalled();
+  });
+
+  test('list is tenant-scoped and returns a next cursor when the page is full', async () => {
+    const res = await request(app)
+      .get('/api/preforeclosures?limit=2&county=dallas')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(String(findFilter.tenantId)).toBe(String(TENANT_ID));
+    expect(res.body.rows).toHaveLength(2);
+    expect(res.body.nextCursor).toBe(encodeCursor(RECORDS[1]));
+  });
+
+  test('invalid filters are a 400', async () => {
+    const res = await request(app)
+      .get('/api/preforeclosures?auctionFrom=04/01/2025')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+    expect(res.body.details).toEqual(['auctionFrom: must be a YYYY-MM-DD date']);
+  });
+
+  test('CSV export streams every matching row', async () => {
+    const res = await request(app)
+      .get('/api/export/preforeclosures?minAmount=5000')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="preforeclosures.csv"');
+    expect(res.text.trim().split('\n')).toEqual([
+      '"county","ownerName","propertyAddress","amountDelinquent","auctionDate"',
+      '"Dallas","Jane ""JJ"" Doe","1 Main St","$41,200.00","2025-04-01"',
+      '"Dallas","John Roe","2 Elm St","$9,000.00","2025-04-08"'
+    ]);
+    expect(String(findFilter.tenantId)).toBe(String(TENANT_ID));
+  });
+
+  test('XLSX export is a zip workbook', async () => {
+    const res = await request(app)
+      .get('/api/preforeclosures/export?format=xlsx')
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse((response, done) => {
+        const chunks = [];
+        response.on('data', c => chunks.push(c));
+        response.on('end', () => done(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(res.body.readUInt32LE(0)).toBe(0x04034b50); // local file header
+    expect(res.body.readUInt32LE(res.body.length - 22)).toBe(0x06054b50); // end of central directory
+    expect(res.body.readUInt16LE(res.body.length - 12)).toBe(5); // workbook parts
+  });
+
+  test('unknown export format is a 400', async () => {
+    await request(app)
+      .get('/api/export/preforeclosures?format=pdf')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+  });
+});
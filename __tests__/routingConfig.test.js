@@ -0,0 +1,275 @@
+// __tests__/routingConfig.test.js
+// Tenant routing config: merge / validation, effective version lookup, version CRUD and the dry-run diff
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const RoutingConfig = require('../models/RoutingConfig');
+const Lead = require('../models/Lead');
+const {
+  getDefaultRoutingConfig,
+  getRoutingConfig,
+  mergeRoutingConfig,
+  validateRoutingConfig,
+  invalidateRoutingConfigCache
+} = require('../config/routingConfig');
+const { diffRoutingConfigs, determineRoute } = require('../services/dealRoutingService');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+
+describe('Routing config merge', () => {
+  test('overlays set values and keeps the rest of the base', () => {
+    const base = getDefaultRoutingConfig();
+    const merged = mergeRoutingConfig(base, {
+      gradeThresholds: { A: { min: 90 }, B: { min: null, max: 89 } },
+      slaHours: { A: 1, D: undefined },
+      quietHours: { enabled: true, timezone: 'America/Chicago', startHour: null },
+      motivation: { nurtureMin: 35 }
+    });
+
+    expect(merged.gradeThresholds.A).toEqual({ min: 90, max: 100 });
+    expect(merged.gradeThresholds.B).toEqual({ min: 70, max: 89 });
+    expect(merged.slaHours).toEqual({ A: 1, B: 24, C: 72, D: null, Dead: null });
+    expect(merged.quietHours).toEqual({ enabled: true, startHour: 22, endHour: 8, timezone: 'America/Chicago' });
+    expect(merged.motivation).toEqual({ enabled: true, dialerPriorityMin: 70, nurtureMin: 35 });
+    expect(merged.majorExclusions).toEqual(base.majorExclusions);
+    // The base is copied, never modified
+    expect(base.gradeThresholds.A.min).toBe(85);
+  });
+
+  test('null SLA hours switch the SLA off and exclusions are replaced, not appended', () => {
+    const merged = mergeRoutingConfig(getDefaultRoutingConfig(), { slaHours: { C: null }, majorExclusions: ['mold'] });
+
+    expect(merged.slaHours.C).toBeNull();
+    expect(merged.majorExclusions).toEqual(['mold']);
+    expect(mergeRoutingConfig(merged, null)).toEqual(merged);
+  });
+});
+
+describe('Routing config validation', () => {
+  test('accepts a valid partial config', () => {
+    expect(validateRoutingConfig({
+      gradeThresholds: { A: { min: 88, max: 100 } },
+      slaHours: { B: 12, D: null },
+      alertChannels: { sms: false },
+      quietHours: { enabled: true, startHour: 21, endHour: 7, timezone: 'America/Denver' },
+      motivation: { dialerPriorityMin: 80, nurtureMin: 50 },
+      majorExclusions: ['condemned']
+    })).toEqual([]);
+    expect(validateRoutingConfig()).toEqual([]);
+  });
+
+  test('reports every invalid field', () => {
+    expect(validateRoutingConfig({
+      gradeThresholds: { A: { min: 95, max: 90 }, B: { min: '70' }, E: { min: 0 } },
+      slaHours: { A: -1, Z: 2 },
+      alertChannels: { email: true, sms: 'yes' },
+      quietHours: { enabled: 'on', startHour: 24, endHour: 7.5, timezone: 'Mars/Olympus' },
+      motivation: { dialerPriorityMin: 40, nurtureMin: 60 },
+      majorExclusions: ['fire', '  ']
+    })).toEqual([
+      'gradeThresholds.A: min must be <= max',
+      'gradeThresholds.B.min: must be a number between 0 and 100',
+      'gradeThresholds.E: unknown grade',
+      'slaHours.A: must be a non-negative number or null',
+      'slaHours.Z: unknown grade',
+      'alertChannels.email: unknown channel',
+      'alertChannels.sms: must be a boolean',
+      'quietHours.enabled: must be a boolean',
+      'quietHours.startHour: must be an integer hour 0-23',
+      'quietHours.endHour: must be an integer hour 0-23',
+      'quietHours.timezone: unknown timezone Mars/Olympus',
+      'motivation: nurtureMin must be <= dialerPriorityMin',
+      'majorExclusions: must be an array of non-empty strings'
+    ]);
+  });
+});
+
+describe('Effective routing config version', () => {
+  afterEach(() => {
+    invalidateRoutingConfigCache();
+    jest.restoreAllMocks();
+  });
+
+  test('the latest active version in effect is merged over the env defaults and cached', async () => {
+    const stored = { _id: new mongoose.Types.ObjectId(), version: 3, effectiveFrom: new Date('2025-01-01'), slaHours: { A: 4 } };
+    const sort = jest.fn().mockReturnValue({ lean: async () => stored });
+    const findOne = jest.spyOn(RoutingConfig, 'findOne').mockReturnValue({ sort });
+
+    const config = await getRoutingConfig(TENANT_ID);
+    await getRoutingConfig(TENANT_ID);
+
+    expect(findOne).toHaveBeenCalledTimes(1);
+    expect(findOne).toHaveBeenCalledWith({ tenantId: TENANT_ID, status: 'active', effectiveFrom: { $lte: expect.any(Date) } });
+    expect(sort).toHaveBeenCalledWith({ effectiveFrom: -1, version: -1 });
+    expect(config.slaHours.A).toBe(4);
+    expect(config.slaHours.B).toBe(24);
+    expect(config.version).toEqual({ configId: stored._id, version: 3, effectiveFrom: stored.effectiveFrom });
+
+    invalidateRoutingConfigCache(TENANT_ID);
+    await getRoutingConfig(TENANT_ID);
+    expect(findOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('no stored version, or a failed lookup, routes on the env defaults', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(RoutingConfig, 'findOne')
+      .mockReturnValueOnce({ sort: () => ({ lean: async () => null }) })
+      .mockReturnValueOnce({ sort: () => ({ lean: async () => { throw new Error('not connected'); } }) });
+
+    expect(await getRoutingConfig(TENANT_ID)).toEqual({ ...getDefaultRoutingConfig(), version: null });
+    invalidateRoutingConfigCache(TENANT_ID);
+    expect(await getRoutingConfig(TENANT_ID)).toEqual({ ...getDefaultRoutingConfig(), version: null });
+  });
+});
+
+describe('Routing config versions API', () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const token = (role) => jwt.sign({ id: adminId.toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/routing/config', require('../routes/routingConfigRoutes'));
+  });
+
+  afterEach(() => {
+    invalidateRoutingConfigCache();
+    jest.restoreAllMocks();
+  });
+
+  test('a new version snapshots the effective config with the changes on top', async () => {
+    const active = { _id: new mongoose.Types.ObjectId(), version: 2, effectiveFrom: new Date('2025-01-01'), slaHours: { A: 4 } };
+    jest.spyOn(RoutingConfig, 'findOne').mockImplementation(() => ({
+      sort: (order) => (order.effectiveFrom
+        ? { lean: async () => active } // effective version
+        : { select: () => ({ lean: async () => ({ version: 5 }) }) }) // latest version number (incl. drafts)
+    }));
+    const save = jest.spyOn(RoutingConfig.prototype, 'save').mockImplementation(async function save() { return this; });
+
+    const res = await request(app)
+      .post('/api/routing/config')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ slaHours: { B: 12 }, description: 'Faster B follow-up' })
+      .expect(201);
+
+    expect(save).toHaveBeenCalled();
+    expect(res.body).toMatchObject({
+      version: 6,
+      status: 'draft',
+      basedOnVersion: 2,
+      slaHours: { A: 4, B: 12, C: 72 },
+      gradeThresholds: { A: { min: 85, max: 100 } },
+      description: 'Faster B follow-up'
+    });
+    expect(res.body.effectiveFrom).toBeUndefined();
+  });
+
+  test('invalid configs are rejected before anything is stored', async () => {
+    const findOne = jest.spyOn(RoutingConfig, 'findOne');
+
+    const res = await request(app)
+      .post('/api/routing/config')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ slaHours: { A: -2 } })
+      .expect(400);
+
+    expect(res.body.details).toEqual(['slaHours.A: must be a non-negative number or null']);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('active versions are immutable and managers cannot create versions', async () => {
+    const stored = new RoutingConfig({ tenantId: TENANT_ID, version: 2, status: 'active', createdBy: adminId });
+    jest.spyOn(RoutingConfig, 'findOne').mockResolvedValue(stored);
+
+    await request(app)
+      .put(`/api/routing/config/${stored._id}`)
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ slaHours: { A: 1 } })
+      .expect(400);
+    await request(app)
+      .post('/api/routing/config')
+      .set('Authorization', `Bearer ${token('manager')}`)
+      .send({ slaHours: { A: 1 } })
+      .expect(403);
+  });
+
+  test('dry run diffs recent leads between the current and candidate config', async () => {
+    jest.spyOn(RoutingConfig, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+    const leads = [{ _id: new mongoose.Types.ObjectId(), leadScore: { score: 72, grade: 'B' } }];
+    jest.spyOn(Lead, 'find').mockReturnValue({ select: () => ({ sort: () => ({ limit: () => ({ lean: async () => leads }) }) }) });
+
+    const res = await request(app)
+      .post('/api/routing/config/dry-run')
+      .set('Authorization', `Bearer ${token('manager')}`)
+      .send({ config: { gradeThresholds: { B: { min: 75 } } } })
+      .expect(200);
+
+    expect(res.body.currentVersion).toBeNull();
+    expect(res.body.candidate.gradeThresholds.B).toEqual({ min: 75, max: 84 });
+    expect(res.body.summary).toMatchObject({ evaluated: 1, changed: 1, routeTransitions: { 'dialer_priority->nurture': 1 } });
+  });
+});
+
+describe('Routing config dry-run diff', () => {
+  const lead = (score, grade, { leadScore, ...extra } = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    propertyAddress: `${score} Main St`,
+    leadScore: { score, grade, ...leadScore },
+    ...extra
+  });
+
+  test('reports route, priority and SLA changes and flags manual overrides', () => {
+    const current = getDefaultRoutingConfig();
+    const candidate = mergeRoutingConfig(current, {
+      gradeThresholds: { B: { min: 75 } },
+      slaHours: { A: 4 },
+      motivation: { enabled: false }
+    });
+    const bLead = lead(72, 'B');
+    const aLead = lead(90, 'A', { leadScore: { buyBoxId: new mongoose.Types.ObjectId() } });
+    const cLead = lead(60, 'C');
+    const overridden = lead(73, 'B', { routing: { route: 'immediate_closer', override: { route: 'immediate_closer' } } });
+    const motivated = lead(35, 'D', { leadScore: { motivation: { score: 75, signalTypes: ['preforeclosure'] } } });
+
+    const { summary, changes } = diffRoutingConfigs([bLead, aLead, cLead, overridden, motivated], current, candidate);
+
+    expect(summary).toEqual({
+      evaluated: 5,
+      changed: 4,
+      routeChanges: 3,
+      routeTransitions: { 'dialer_priority->nurture': 2, 'dialer_priority->archive': 1 },
+      priorityChanges: 3,
+      slaChanges: 4,
+      overridden: 1
+    });
+    expect(changes.map(c => c.leadId)).toEqual([bLead._id, aLead._id, overridden._id, motivated._id]);
+    expect(changes[1]).toMatchObject({
+      current: { route: 'immediate_closer', priorityLevel: 'urgent', slaHours: 2 },
+      candidate: { route: 'immediate_closer', priorityLevel: 'urgent', slaHours: 4 }
+    });
+    expect(changes[2]).toMatchObject({ overridden: true, storedRoute: 'immediate_closer' });
+    expect(changes[3].candidate).toMatchObject({ route: 'archive', slaHours: null });
+  });
+
+  test('a null or 0 SLA from the tenant routes with no SLA instead of the default', () => {
+    const config = mergeRoutingConfig(getDefaultRoutingConfig(), { slaHours: { A: null, B: 0 } });
+    const motivated = lead(35, 'D', { leadScore: { motivation: { score: 75, signalTypes: ['probate'] } } });
+
+    expect(determineRoute(lead(90, 'A'), config)).toMatchObject({ route: 'immediate_closer', slaHours: null });
+    expect(determineRoute(motivated, config)).toMatchObject({ route: 'dialer_priority', slaHours: 0 });
+    expect(determineRoute(lead(60, 'C'), config).slaHours).toBe(72);
+  });
+
+  test('an unchanged config has no changes', () => {
+    const config = getDefaultRoutingConfig();
+    const { summary, changes } = diffRoutingConfigs([lead(72, 'B'), lead(90, 'A')], config, mergeRoutingConfig(config, {}));
+
+    expect(changes).toEqual([]);
+    expect(summary).toMatchObject({ evaluated: 2, changed: 0, routeChanges: 0 });
+  });
+});
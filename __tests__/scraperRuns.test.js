@@ -0,0 +1,165 @@
+// __tests__/scraperRuns.test.js
+// County scraper run history: failure / zero-yield streaks, the cross-machine run lock, and the runs API
+// Run with: npm test or jest
+
+jest.mock('../config/db', () => jest.fn(async () => {}));
+jest.mock('../scrapers', () => ({ denton: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const ScraperRun = require('../models/ScraperRun');
+const ScraperLock = require('../models/ScraperLock');
+const scrapers = require('../scrapers');
+const { runAllCountyScrapers } = require('../scrapers/countyCron');
+const {
+  acquireScraperLock,
+  releaseScraperLock,
+  computeStreaks
+} = require('../services/scraperRunService');
+
+const run = (status, parsed, startedAt) => ({ status, parsed, startedAt: new Date(startedAt) });
+
+describe('Scraper run streaks', () => {
+  test('consecutive failures count back from the newest run until a run succeeds', () => {
+    const runs = [
+      run('failed', 0, '2025-06-03T02:00:00Z'),
+      run('failed', 0, '2025-06-02T02:00:00Z'),
+      run('partial', 12, '2025-06-01T02:00:00Z'),
+      run('failed', 0, '2025-05-31T02:00:00Z')
+    ];
+    expect(computeStreaks(runs)).toEqual({ consecutiveFailures: 2, zeroYieldRuns: 0 });
+  });
+
+  test('streaks count runs, not calendar days', () => {
+    // Manual run just before midnight, cron just after, then a skipped day before the next run
+    const runs = [
+      run('failed', 0, '2025-06-04T02:00:00-05:00'),
+      run('failed', 0, '2025-06-02T00:05:00-05:00'),
+      run('failed', 0, '2025-06-01T23:55:00-05:00')
+    ];
+    expect(computeStreaks(runs).consecutiveFailures).toBe(3);
+  });
+
+  test('zero yield counts runs that finished without parsing anything, and a failure ends it', () => {
+    const runs = [
+      run('completed', 0, '2025-06-03T02:00:00Z'),
+      run('completed', 0, '2025-06-02T02:00:00Z'),
+      run('failed', 0, '2025-06-01T02:00:00Z'),
+      run('completed', 0, '2025-05-31T02:00:00Z')
+    ];
+    expect(computeStreaks(runs)).toEqual({ consecutiveFailures: 0, zeroYieldRuns: 2 });
+    expect(computeStreaks([run('completed', 4, '2025-06-03T02:00:00Z'), ...runs])).toEqual({ consecutiveFailures: 0, zeroYieldRuns: 0 });
+    expect(computeStreaks([])).toEqual({ consecutiveFailures: 0, zeroYieldRuns: 0 });
+  });
+});
+
+describe('Scraper run lock', () => {
+  let lock;
+
+  // One lock document with Mongo's upsert behaviour: a filter miss on an existing name is a duplicate key
+  beforeEach(() => {
+    lock = null;
+    jest.spyOn(ScraperLock, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const free = lock && filter.$or.some(c => (c.expiresAt ? lock.expiresAt <= c.expiresAt.$lte : lock.holder === c.holder));
+      if (lock && !free) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      lock = { _id: 'lock', name: filter.name, ...update.$set };
+      return { ...lock };
+    });
+    jest.spyOn(ScraperLock, 'updateOne').mockImplementation(async (filter, update) => {
+      if (lock && lock.holder === filter.holder) Object.assign(lock, update.$set);
+    });
+    jest.spyOn(ScraperRun, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(ScraperRun, 'create').mockImplementation(async doc => new ScraperRun(doc));
+    jest.spyOn(ScraperRun.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(ScraperRun, 'find').mockReturnValue({ sort: () => ({ limit: () => ({ select: () => ({ lean: async () => [] }) }) }) });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    scrapers.denton.mockReset();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a lock held by another machine blocks the cycle until it expires', async () => {
+    lock = { _id: 'lock', name: 'county_scrapers', holder: 'other-machine:42', expiresAt: new Date(Date.now() + 60000) };
+
+    expect(await acquireScraperLock()).toBeNull();
+    expect(ScraperRun.updateMany).not.toHaveBeenCalled();
+
+    lock.expiresAt = new Date(Date.now() - 1000);
+    const taken = await acquireScraperLock();
+    expect(taken.holder).not.toBe('other-machine:42');
+    // Runs the dead holder left open are closed out
+    expect(ScraperRun.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'running' }),
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'failed' }) })
+    );
+
+    // Releasing expires the lock so the next machine can take it straight away
+    await releaseScraperLock(taken);
+    expect(lock.expiresAt.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('a second cycle started while one is running does not scrape', async () => {
+    let finish;
+    scrapers.denton.mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+
+    const first = runAllCountyScrapers({ trigger: 'startup' });
+    await new Promise(resolve => setImmediate(resolve));
+    await runAllCountyScrapers({ trigger: 'cron' });
+    expect(scrapers.denton).toHaveBeenCalledTimes(1);
+
+    finish({ county: 'Denton County', metrics: { byType: {} } });
+    await first;
+    expect(lock.expiresAt.getTime()).toBeLessThanOrEqual(Date.now()); // released
+  });
+
+  test('a cycle on another machine is skipped and leaves its lock alone', async () => {
+    const expiresAt = new Date(Date.now() + 60000);
+    lock = { _id: 'lock', name: 'county_scrapers', holder: 'other-machine:42', expiresAt };
+
+    await runAllCountyScrapers({ trigger: 'cron' });
+
+    expect(scrapers.denton).not.toHaveBeenCalled();
+    expect(lock).toMatchObject({ holder: 'other-machine:42', expiresAt });
+  });
+});
+
+describe('/api/scrapers/runs', () => {
+  let app;
+  const token = jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role: 'admin' }, jwtSecret);
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/scrapers', require('../routes/scraperRoutes'));
+    app.use(require('../middleware/errorHandler'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('rejects since / before values that are not dates', async () => {
+    const find = jest.spyOn(ScraperRun, 'find');
+
+    const res = await request(app)
+      .get('/api/scrapers/runs?since=yesterday&before=2025-06-01')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+
+    expect(res.body).toEqual({ error: 'Invalid filters', details: ['since: invalid date'] });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('filters by the since / before window', async () => {
+    const find = jest.spyOn(ScraperRun, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [] }) }) })
+    });
+
+    await request(app)
+      .get('/api/scrapers/runs?since=2025-05-01&before=2025-06-01')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(find).toHaveBeenCalledWith({ startedAt: { $gte: new Date('2025-05-01'), $lt: new Date('2025-06-01') } });
+  });
+});
@@ -0,0 +1,287 @@
+// __tests__/scraperSdk.test.js
+// County scraper SDK tests against saved HTML pages (__tests__/fixtures/scrapers)
+// Run with: npm test or jest
+
+jest.mock('../utils/leadScoringEngine', () => ({
+  ...jest.requireActual('../utils/leadScoringEngine'),
+  recalculateAndSaveLeadScore: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Property = require('../models/Property');
+const PreForeclosure = require('../models/PreForeclosure');
+const { defineCounty, runCounty, parseHtml } = require('../scrapers/sdk');
+const { createMongoStore } = require('../scrapers/sdk/store');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'scrapers');
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+const TENANT_ID = '64b000000000000000000001';
+
+const FORECLOSURE_PARSE = {
+  rows: '#results tbody tr',
+  fields: {
+    ownerName: { column: 0, transform: 'name' },
+    propertyAddress: { column: 1 },
+    mailingAddress: { column: 2 },
+    amountDelinquent: { column: 3, transform: 'amount' },
+    auctionDate: { column: 4, transform: 'date' },
+    documentUrl: { column: 5, selector: 'a', attr: 'href' }
+  }
+};
+
+function parseProbateCases(html) {
+  return parseHtml(html, {
+    rows: 'article.case',
+    fields: {
+      caseNumber: { selector: '.case-no', transform: 'caseNumber' },
+      executorName: '.applicant',
+      attorneyName: '.attorney',
+      estateAddress: '.address'
+    }
+  });
+}
+
+const denton = defineCounty({
+  name: 'denton',
+  county: 'Denton County',
+  recordTypes: {
+    preforeclosure: {
+      fetch: { strategy: 'http', url: 'https://clerk.example/foreclosures' },
+      parse: FORECLOSURE_PARSE,
+      map: ({ documentUrl, ...record }) => record
+    },
+    probate: {
+      fetch: { strategy: 'playwright', url: ['https://probate.example/cases?page=1', 'https://probate.example/cases?page=2'] },
+      parse: parseProbateCases
+    }
+  }
+});
+
+const PAGES = {
+  'https://clerk.example/foreclosures': 'foreclosure-notices.html',
+  'https://probate.example/cases?page=1': 'probate-filings-page1.html',
+  'https://probate.example/cases?page=2': 'probate-filings-page2.html'
+};
+
+async function fixtureFetcher(request) {
+  const fixture = PAGES[request.url];
+  if (!fixture) throw new Error(`No fixture for ${request.url}`);
+  return readFixture(fixture);
+}
+
+/**
+ * In-memory stand-in for the Mongo store (raw records + leads keyed like upsertLeadFromSource)
+ */
+function createMemoryStore() {
+  const records = {};
+  const leads = new Set();
+  return {
+    records,
+    leads,
+    async exists(recordType, query) {
+      return (records[recordType.model] || []).some(doc =>
+        Object.entries(query).every(([key, value]) => doc[key] === value)
+      );
+    },
+    async insert(recordType, doc) {
+      records[recordType.model] = records[recordType.model] || [];
+      records[recordType.model].push(doc);
+      return doc;
+    },
+    async normalize(recordType, record) {
+      const key = `${record.tenantId}|${(record.propertyAddress || record.estateAddress || '').toLowerCase()}`;
+      const isNew = !leads.has(key);
+      leads.add(key);
+      return { lead: { key }, isNew };
+    }
+  };
+}
+
+describe('Scraper SDK - parseHtml', () => {
+  test('extracts table rows with column specs, attributes and transforms', () => {
+    const records = parseHtml(readFixture('foreclosure-notices.html'), FORECLOSURE_PARSE);
+
+    // Spacer row with no values is dropped
+    expect(records).toHaveLength(4);
+    expect(records[0]).toEqual({
+      ownerName: 'GARCIA, ELENA M',
+      propertyAddress: '4821 Lakeview Dr, Denton, TX 76205',
+      mailingAddress: '4821 Lakeview Dr, Denton, TX 76205',
+      amountDelinquent: '$52,310.75',
+      auctionDate: '2025-04-01',
+      documentUrl: '/docs/FN-2025-00412.pdf'
+    });
+  });
+
+  test('collapses &nbsp; and normalizes bare amounts', () => {
+    const records = parseHtml(readFixture('foreclosure-notices.html'), FORECLOSURE_PARSE);
+    expect(records[1].ownerName).toBe('NGUYEN, THANH V');
+    expect(records[1].amountDelinquent).toBe('$31,500.00');
+  });
+
+  test('empty cells become null', () => {
+    const records = parseHtml(readFixture('foreclosure-notices.html'), FORECLOSURE_PARSE);
+    expect(records[2].propertyAddress).toBeNull();
+  });
+
+  test('parses non-table layouts with relative selectors', () => {
+    const records = parseProbateCases(readFixture('probate-filings-page1.html'));
+    expect(records).toEqual([
+      {
+        caseNumber: 'PR-25-00981',
+        executorName: 'Pruitt, Karen L',
+        attorneyName: 'Baxter & Reyes PLLC',
+        estateAddress: '602 Pecan St, Denton, TX 76201'
+      },
+      {
+        caseNumber: 'PR-25-00982',
+        executorName: 'Dunn, Robert T',
+        attorneyName: 'Pro Se',
+        estateAddress: '1810 Bell Ave, Denton, TX 76209'
+      }
+    ]);
+  });
+
+  test('throws on unknown transform', () => {
+    expect(() => parseHtml('<table><tr><td>x</td></tr></table>', {
+      rows: 'tr',
+      fields: { value: { column: 0, transform: 'nope' } }
+    })).toThrow('Unknown transform "nope"');
+  });
+});
+
+describe('Scraper SDK - defineCounty', () => {
+  test('rejects unknown record types and missing fetch config', () => {
+    expect(() => defineCounty({
+      name: 'bad',
+      county: 'Bad County',
+      recordTypes: {
+        divorce: { fetch: { strategy: 'http', url: 'https://x' }, parse: () => [] },
+        probate: { fetch: { strategy: 'ftp' } },
+        taxLien: { fetch: { strategy: 'http' }, parse: {} }
+      }
+    })).toThrow(/divorce: unknown record type.*probate: fetch.strategy.*taxLien: fetch.url is required.*taxLien: parse must be/);
+  });
+
+  test('every county needs a live source to fetch and parse', () => {
+    expect(() => defineCounty({
+      name: 'placeholder',
+      county: 'Placeholder County',
+      recordTypes: { probate: { fetch: { strategy: 'static' }, records: [{ caseNumber: 'PR-1' }] } }
+    })).toThrow('probate: fetch.strategy must be one of http, playwright');
+  });
+});
+
+describe('Scraper SDK - runCounty', () => {
+  test('inserts parsed records idempotently and normalizes them to leads', async () => {
+    const store = createMemoryStore();
+    const result = await runCounty(denton, { tenantId: TENANT_ID, store, fetcher: fixtureFetcher });
+
+    // Foreclosures: 4 rows -> 1 missing address, 1 duplicate of row 1
+    expect(result.preforeclosuresInserted).toBe(2);
+    expect(result.metrics.byType.preforeclosure).toMatchObject({
+      pages: 1,
+      parsed: 4,
+      invalid: 1,
+      duplicates: 1,
+      inserted: 2,
+      leadsCreated: 2,
+      errors: []
+    });
+
+    // Probate: 2 pages, case PR-25-00982 appears on both
+    expect(result.probateInserted).toBe(3);
+    expect(result.metrics.byType.probate).toMatchObject({ pages: 2, parsed: 4, duplicates: 1, inserted: 3 });
+
+    expect(result.county).toBe('Denton County');
+    expect(result.leadsCreated).toBe(5);
+    expect(result.taxLiensInserted).toBe(0);
+
+    const stored = store.records.PreForeclosure[0];
+    expect(stored).toMatchObject({
+      tenantId: TENANT_ID,
+      county: 'Denton County',
+      source: 'County Clerk',
+      ownerName: 'GARCIA, ELENA M'
+    });
+    expect(stored.documentUrl).toBeUndefined();
+  });
+
+  test('second run over the same pages inserts nothing', async () => {
+    const store = createMemoryStore();
+    await runCounty(denton, { tenantId: TENANT_ID, store, fetcher: fixtureFetcher });
+    const rerun = await runCounty(denton, { tenantId: TENANT_ID, store, fetcher: fixtureFetcher });
+
+    expect(rerun.preforeclosuresInserted).toBe(0);
+    expect(rerun.probateInserted).toBe(0);
+    expect(rerun.leadsCreated).toBe(0);
+    expect(rerun.metrics.byType.preforeclosure.duplicates).toBe(3);
+  });
+
+  test('a failing record type is reported without stopping the others', async () => {
+    const store = createMemoryStore();
+    const fetcher = async (request) => {
+      if (request.url.includes('probate')) throw new Error('HTTP 503');
+      return fixtureFetcher(request);
+    };
+    const result = await runCounty(denton, { tenantId: TENANT_ID, store, fetcher });
+
+    expect(result.preforeclosuresInserted).toBe(2);
+    expect(result.probateInserted).toBe(0);
+    expect(result.metrics.byType.probate.errors).toEqual(['HTTP 503']);
+    expect(result.metrics.errors).toBe(1);
+  });
+
+  test('only runs the requested record types', async () => {
+    const store = createMemoryStore();
+    const result = await runCounty(denton, { tenantId: TENANT_ID, store, fetcher: fixtureFetcher, only: ['probate'] });
+    expect(Object.keys(result.metrics.byType)).toEqual(['probate']);
+  });
+});
+
+describe('Scraper SDK - Mongo store', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stored raw records are linked to the Property their lead resolved to', async () => {
+    const stored = [];
+    const properties = [];
+    jest.spyOn(PreForeclosure, 'exists').mockResolvedValue(null);
+    jest.spyOn(PreForeclosure, 'create').mockImplementation(async doc => {
+      const record = new PreForeclosure(doc);
+      stored.push(record);
+      return record;
+    });
+    const linkRecord = jest.spyOn(PreForeclosure, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Property, 'find').mockReturnValue({ sort: () => ({ limit: async () => [] }) });
+    jest.spyOn(Property, 'create').mockImplementation(async doc => {
+      const property = new Property(doc);
+      properties.push(property);
+      return property;
+    });
+    jest.spyOn(Property.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(Lead, 'findOne').mockResolvedValue(null);
+    const createLead = jest.spyOn(Lead, 'create').mockImplementation(async data => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await runCounty(denton, {
+      tenantId: TENANT_ID,
+      store: createMongoStore(),
+      fetcher: fixtureFetcher,
+      only: ['preforeclosure']
+    });
+
+    expect(result.preforeclosuresInserted).toBe(2);
+    expect(result.metrics.byType.preforeclosure).toMatchObject({ leadsCreated: 2, normalizeErrors: 0 });
+    expect(stored).toHaveLength(2);
+    stored.forEach((record, i) => {
+      const property = properties[i];
+      expect(property.signals[0]).toMatchObject({ type: 'preforeclosure', model: 'PreForeclosure', recordId: record._id });
+      expect(linkRecord).toHaveBeenCalledWith({ _id: record._id }, { $set: { propertyId: property._id } });
+      expect(createLead.mock.calls[i][0]).toMatchObject({ propertyId: property._id, distressSignals: ['preforeclosure'] });
+    });
+  });
+});
@@ -0,0 +1,238 @@
+// __tests__/sellerSms.test.js
+// Two-way seller SMS (inbound threading + real-time notify) and the SMS do-not-contact list
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Lead = require('../models/Lead');
+const Buyer = require('../models/Buyer');
+const Tenant = require('../models/Tenant');
+const Message = require('../models/Message');
+const MessageThread = require('../models/MessageThread');
+const Notification = require('../models/Notification');
+const SmsOptOut = require('../models/SmsOptOut');
+const SMSProvider = require('../services/outboundProviders/smsProvider');
+const { setIO } = require('../utils/realtime');
+const { parseOptKeyword } = require('../services/smsOptOutService');
+const { phoneVariants } = require('../services/sellerSmsService');
+const { computeTwilioSignature } = require('../utils/twilioWebhooks');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const CLOSER_ID = new mongoose.Types.ObjectId();
+const DIALER_ID = new mongoose.Types.ObjectId();
+const SELLER_PHONE = '+15125550123';
+const TENANT_NUMBER = '+15125550100';
+const sign = role => jwt.sign({ id: CLOSER_ID.toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+
+const TWILIO_TOKEN = 'test_twilio_token';
+const BASE_URL = 'https://api.example.com';
+const postInbound = (app, params) => request(app)
+  .post('/api/webhooks/twilio/inbound')
+  .type('form')
+  .set('X-Twilio-Signature', computeTwilioSignature(TWILIO_TOKEN, `${BASE_URL}/api/webhooks/twilio/inbound`, params))
+  .send(params);
+
+const LEAD = {
+  _id: new mongoose.Types.ObjectId(),
+  tenantId: TENANT_ID,
+  ownerName: 'Pat Seller',
+  skipTrace: { phones: [{ number: SELLER_PHONE, type: 'mobile' }] },
+  routing: { assignedTo: CLOSER_ID },
+  handoff: { sentToCloserBy: DIALER_ID }
+};
+
+describe('SMS keywords', () => {
+  test('opt-out and opt-in keywords without catching normal conversation', () => {
+    expect(parseOptKeyword('STOP')).toBe('opt_out');
+    expect(parseOptKeyword('Please stop texting me!')).toBe('opt_out');
+    expect(parseOptKeyword('  quit. ')).toBe('opt_out');
+    expect(parseOptKeyword('Opt out')).toBe('opt_out');
+    expect(parseOptKeyword('Start')).toBe('opt_in');
+    expect(parseOptKeyword('Send me the offer this weekend')).toBeNull();
+    expect(parseOptKeyword('I might cancel the listing')).toBeNull();
+    expect(parseOptKeyword('restart')).toBeNull();
+  });
+
+  test('lead phones are matched in the formats they are stored in', () => {
+    expect(phoneVariants(SELLER_PHONE)).toEqual([
+      '+15125550123', '5125550123', '15125550123', '512-555-0123', '(512) 555-0123', '512.555.0123'
+    ]);
+  });
+});
+
+describe('Twilio inbound: seller replies', () => {
+  let app;
+  let emitted;
+
+  beforeEach(() => {
+    process.env.TWILIO_AUTH_TOKEN = TWILIO_TOKEN;
+    process.env.TWILIO_WEBHOOK_BASE_URL = BASE_URL;
+    app = express();
+    app.use('/api/webhooks', require('../routes/webhookRoutes'));
+    emitted = [];
+    setIO({ to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Tenant, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ _id: TENANT_ID }] }) });
+    jest.spyOn(Buyer, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Lead, 'findOne').mockReturnValue({ sort: async () => LEAD });
+    jest.spyOn(MessageThread, 'findOne').mockResolvedValue(null);
+    jest.spyOn(MessageThread, 'create').mockImplementation(async doc => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...doc,
+      save: jest.fn()
+    }));
+    jest.spyOn(Message, 'create').mockImplementation(async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    jest.spyOn(Notification, 'create').mockImplementation(async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+  });
+
+  afterEach(() => {
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.TWILIO_WEBHOOK_BASE_URL;
+    setIO(null);
+    jest.restoreAllMocks();
+  });
+
+  test('threads the reply on the lead and notifies the closer and dialer in real time', async () => {
+    const res = await postInbound(app, { From: '(512) 555-0123', To: TENANT_NUMBER, Body: 'How much would you offer?' }).expect(200);
+
+    expect(res.text).toBe('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+    expect(Tenant.find).toHaveBeenCalledWith({ 'sms.phoneNumbers': TENANT_NUMBER });
+    expect(Lead.findOne.mock.calls[0][0].tenantId).toBe(TENANT_ID.toString());
+    expect(Lead.findOne.mock.calls[0][0].$or[0]).toEqual({ 'skipTrace.phones.number': { $in: phoneVariants(SELLER_PHONE) } });
+    expect(MessageThread.create).toHaveBeenCalledWith({
+      tenantId: TENANT_ID,
+      participants: [CLOSER_ID.toString(), DIALER_ID.toString()],
+      relatedLeadId: LEAD._id,
+      sellerPhone: SELLER_PHONE
+    });
+    expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({
+      tenantId: TENANT_ID,
+      senderRole: 'seller',
+      body: 'How much would you offer?',
+      channel: 'sms',
+      externalAddress: SELLER_PHONE,
+      inbound: true
+    }));
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: CLOSER_ID.toString(), type: 'seller_reply' }));
+
+    const received = emitted.filter(e => e.event === 'message:received').map(e => e.room);
+    expect(received).toEqual([`user:${CLOSER_ID}`, `user:${DIALER_ID}`, expect.stringMatching(/^thread:/)]);
+  });
+
+  test('STOP from a seller goes on the tenant\'s do-not-contact list; START takes it off that list only', async () => {
+    const upsert = jest.spyOn(SmsOptOut, 'findOneAndUpdate').mockResolvedValue({});
+
+    const res = await postInbound(app, { From: SELLER_PHONE, To: TENANT_NUMBER, Body: 'Stop texting me' }).expect(200);
+
+    expect(res.text).toMatch(/You have been unsubscribed/);
+    const [filter, update, options] = upsert.mock.calls[0];
+    expect(filter).toEqual({ tenantId: TENANT_ID.toString(), phone: SELLER_PHONE });
+    expect(update.$set).toMatchObject({ active: true, source: 'sms_keyword', leadId: LEAD._id, keyword: 'Stop texting me' });
+    expect(update.$set).not.toHaveProperty('tenantId');
+    expect(options).toEqual({ upsert: true, new: true });
+    expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({ metadata: { optKeyword: 'opt_out' } }));
+
+    await postInbound(app, { From: SELLER_PHONE, To: TENANT_NUMBER, Body: 'START' }).expect(200);
+    expect(upsert.mock.calls[1][0]).toEqual({ tenantId: TENANT_ID.toString(), phone: SELLER_PHONE, active: true });
+    expect(upsert.mock.calls[1][1].$set).toMatchObject({ active: false });
+  });
+});
+
+describe('Outbound SMS and the do-not-contact list', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/messages', require('../routes/messageRoutes'));
+    app.use(require('../middleware/errorHandler'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the SMS provider refuses numbers that opted out', async () => {
+    const provider = new SMSProvider({ fromNumber: '+15125550000' });
+    provider.client = { messages: { create: jest.fn() } };
+    const exists = jest.spyOn(SmsOptOut, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(provider.send({ to: '512-555-0123', message: 'Still interested in selling?' }))
+      .rejects.toThrow('512-555-0123 has opted out of SMS');
+    expect(exists).toHaveBeenCalledWith({ phone: SELLER_PHONE, active: true });
+    expect(provider.client.messages.create).not.toHaveBeenCalled();
+  });
+
+  test('a tenant\'s send only checks its own entries and the every-tenant ones', async () => {
+    const provider = new SMSProvider({ fromNumber: '+15125550000' });
+    provider.client = { messages: { create: jest.fn().mockResolvedValue({ sid: 'SM1', status: 'queued' }) } };
+    // Another tenant's STOP for this number doesn't match the filter
+    const exists = jest.spyOn(SmsOptOut, 'exists').mockResolvedValue(null);
+
+    await expect(provider.send({ to: SELLER_PHONE, message: 'Still interested in selling?', tenantId: TENANT_ID }))
+      .resolves.toMatchObject({ messageId: 'SM1' });
+    expect(exists).toHaveBeenCalledWith({ phone: SELLER_PHONE, active: true, tenantId: { $in: [TENANT_ID, null] } });
+  });
+
+  test('replying by SMS on an opted-out seller thread is refused before anything is saved', async () => {
+    const threadId = new mongoose.Types.ObjectId();
+    jest.spyOn(MessageThread, 'findOne').mockResolvedValue({
+      _id: threadId,
+      tenantId: TENANT_ID,
+      participants: [CLOSER_ID],
+      relatedLeadId: LEAD._id,
+      sellerPhone: SELLER_PHONE
+    });
+    jest.spyOn(SmsOptOut, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const create = jest.spyOn(Message, 'create');
+
+    const res = await request(app)
+      .post('/api/messages/send')
+      .set('Authorization', `Bearer ${sign('closer')}`)
+      .send({ threadId, body: 'Are you still there?', channel: 'sms' })
+      .expect(409);
+
+    expect(res.body).toEqual({ error: 'Recipient has opted out of SMS', phone: SELLER_PHONE });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('numbers can be added by hand; bad numbers and other tenants\' leads are rejected', async () => {
+    const upsert = jest.spyOn(SmsOptOut, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...filter, ...update.$set }));
+    const leadExists = jest.spyOn(Lead, 'exists').mockResolvedValue({ _id: LEAD._id });
+
+    const res = await request(app)
+      .post('/api/messages/sms-opt-outs')
+      .set('Authorization', `Bearer ${sign('dialer')}`)
+      .send({ phone: '512.555.0123', leadId: LEAD._id })
+      .expect(201);
+
+    expect(leadExists).toHaveBeenCalledWith({ _id: LEAD._id.toString(), tenantId: TENANT_ID.toString() });
+    expect(upsert.mock.calls[0][0]).toEqual({ tenantId: TENANT_ID.toString(), phone: SELLER_PHONE });
+    expect(res.body).toMatchObject({ phone: SELLER_PHONE, source: 'manual', active: true, addedBy: CLOSER_ID.toString() });
+
+    leadExists.mockResolvedValue(null);
+    await request(app)
+      .post('/api/messages/sms-opt-outs')
+      .set('Authorization', `Bearer ${sign('dialer')}`)
+      .send({ phone: '512.555.0123', leadId: new mongoose.Types.ObjectId() })
+      .expect(404);
+    await request(app)
+      .post('/api/messages/sms-opt-outs')
+      .set('Authorization', `Bearer ${sign('dialer')}`)
+      .send({ phone: '512.555.0123', leadId: 'nope' })
+      .expect(400);
+    expect(upsert).toHaveBeenCalledTimes(1);
+
+    await request(app)
+      .post('/api/messages/sms-opt-outs')
+      .set('Authorization', `Bearer ${sign('dialer')}`)
+      .send({ phone: '555' })
+      .expect(400);
+    await request(app)
+      .get('/api/messages/sms-opt-outs')
+      .set('Authorization', `Bearer ${sign('dialer')}`)
+      .expect(403);
+  });
+});
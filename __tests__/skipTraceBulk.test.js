@@ -0,0 +1,170 @@
+// __tests__/skipTraceBulk.test.js
+// Bulk skip trace: eligibility / skip report / cost plan, and batch progress events
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Lead = require('../models/Lead');
+const SkipTraceJob = require('../models/SkipTraceJob');
+const SkipTraceBatch = require('../models/SkipTraceBatch');
+const { orchestrator } = require('../utils/skiptrace');
+const { setIO } = require('../utils/realtime');
+const { planBulkSkipTrace, enqueueBatch } = require('../services/skipTraceBulkService');
+const { updateBatchProgress, enqueueSkipTrace } = require('../services/skipTraceQueueService');
+
+jest.mock('../services/skipTraceQueueService', () => ({
+  ...jest.requireActual('../services/skipTraceQueueService'),
+  enqueueSkipTrace: jest.fn()
+}));
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+const lead = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), ...fields });
+
+describe('Bulk skip trace plan', () => {
+  let find;
+
+  const mockLeads = (leads, { matched = leads.length, activeLeadIds = [] } = {}) => {
+    jest.spyOn(Lead, 'countDocuments').mockResolvedValue(matched);
+    find = jest.spyOn(Lead, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ limit: () => ({ lean: async () => leads }) }) })
+    });
+    jest.spyOn(SkipTraceJob, 'find').mockReturnValue({
+      select: () => ({ lean: async () => activeLeadIds.map(leadId => ({ leadId })) })
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(orchestrator, 'estimateCost').mockReturnValue(0.15);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('skips locked, queued and recently traced leads and dedupes owners', async () => {
+    const first = lead({ ownerName: 'Jane  Doe', mailingAddress: '12 Oak St.' });
+    const locked = lead({ ownerName: 'Locked Owner', skipTraceLocked: true });
+    const queued = lead({ ownerName: 'Queued Owner' });
+    const recent = lead({ ownerName: 'Recent Owner', lastSkipTracedAt: new Date(Date.now() - 5 * DAY) });
+    const stale = lead({ ownerName: 'Stale Owner', lastSkipTracedAt: new Date(Date.now() - 45 * DAY) });
+    const duplicate = lead({ ownerName: 'jane doe', mailingAddress: '12 OAK ST' });
+    const otherMailing = lead({ ownerName: 'Jane Doe', mailingAddress: '400 Elm Ave' });
+    const noOwnerA = lead({ propertyAddress: '1 Main St' });
+    const noOwnerB = lead({ propertyAddress: '2 Main St' });
+    mockLeads([first, locked, queued, recent, stale, duplicate, otherMailing, noOwnerA, noOwnerB], { activeLeadIds: [queued._id] });
+
+    const plan = await planBulkSkipTrace(TENANT_ID, { status: 'new' });
+
+    expect(find.mock.calls[0][0]).toEqual({ tenantId: TENANT_ID, status: 'new' });
+    expect(plan.eligible.map(l => l._id)).toEqual([first._id, stale._id, otherMailing._id, noOwnerA._id, noOwnerB._id]);
+    expect(plan.skipped).toEqual([
+      { leadId: locked._id, reason: 'locked' },
+      { leadId: queued._id, reason: 'already_queued' },
+      expect.objectContaining({ leadId: recent._id, reason: 'recently_traced' }),
+      { leadId: duplicate._id, reason: 'duplicate_owner', duplicateOf: first._id }
+    ]);
+    expect(plan.skippedByReason).toEqual({ locked: 1, already_queued: 1, recently_traced: 1, duplicate_owner: 1 });
+    expect(plan.duplicates).toBe(1);
+    expect(plan.costPerLead).toBe(0.15);
+    expect(plan.estimatedCost).toBe(0.75);
+  });
+
+  test('reports when the matched set was larger than the leads considered', async () => {
+    mockLeads([lead({ ownerName: 'A' }), lead({ ownerName: 'B' })], { matched: 7200 });
+
+    const plan = await planBulkSkipTrace(TENANT_ID);
+
+    expect(plan).toMatchObject({ matched: 7200, considered: 2, truncated: true, estimatedCost: 0.3 });
+  });
+});
+
+describe('Bulk skip trace progress events', () => {
+  const BATCH = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT_ID, status: 'running', totals: { queued: 3 }, estimatedCost: 0.45 };
+  let emitted;
+
+  beforeEach(() => {
+    emitted = [];
+    setIO({ to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) });
+    jest.spyOn(SkipTraceJob, 'aggregate').mockResolvedValue([
+      { _id: 'completed', count: 2, cost: 0.3 },
+      { _id: 'queued', count: 1, cost: 0 }
+    ]);
+  });
+
+  afterEach(() => {
+    setIO(null);
+    jest.restoreAllMocks();
+  });
+
+  test('reading a batch does not broadcast or write', async () => {
+    jest.spyOn(SkipTraceBatch, 'findOne').mockReturnValue({ lean: async () => BATCH });
+    const update = jest.spyOn(SkipTraceBatch, 'updateOne');
+    const app = express();
+    app.use('/api/skiptrace', require('../routes/skipTraceRoutes'));
+    const token = jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role: 'manager', tenantId: TENANT_ID.toString() }, jwtSecret);
+
+    const res = await request(app)
+      .get(`/api/skiptrace/bulk/${BATCH._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.progress).toMatchObject({ status: 'running', total: 3, finished: 2, actualCost: 0.3 });
+    expect(emitted).toEqual([]);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('the worker emits progress only when the finished count moves forward', async () => {
+    jest.spyOn(SkipTraceBatch, 'findById').mockResolvedValue(BATCH);
+    const update = jest.spyOn(SkipTraceBatch, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 }); // another worker already recorded 2 finished
+
+    await updateBatchProgress(BATCH._id);
+    await updateBatchProgress(BATCH._id);
+
+    expect(update).toHaveBeenCalledWith({ _id: BATCH._id, progressFinished: { $lt: 2 } }, { $set: { progressFinished: 2 } });
+    expect(emitted).toEqual([{
+      room: `tenant:${TENANT_ID}`,
+      event: 'skiptrace:bulk_progress',
+      payload: expect.objectContaining({ batchId: BATCH._id, finished: 2, total: 3 })
+    }]);
+  });
+
+  test('the last settled job completes the batch', async () => {
+    SkipTraceJob.aggregate.mockResolvedValue([{ _id: 'completed', count: 2, cost: 0.3 }, { _id: 'failed', count: 1, cost: 0 }]);
+    jest.spyOn(SkipTraceBatch, 'findById').mockResolvedValue(BATCH);
+    const update = jest.spyOn(SkipTraceBatch, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const progress = await updateBatchProgress(BATCH._id);
+
+    expect(progress).toMatchObject({ status: 'completed', finished: 3 });
+    expect(update.mock.calls[0][1].$set).toMatchObject({ progressFinished: 3, status: 'completed', completedAt: expect.any(Date) });
+    expect(emitted[0].payload.status).toBe('completed');
+  });
+
+  test('a batch whose jobs all settle while it is still enqueuing is completed', async () => {
+    const batch = new SkipTraceBatch({ tenantId: TENANT_ID, status: 'enqueuing', totals: { skipped: 0 } });
+    jest.spyOn(batch, 'save').mockResolvedValue(batch);
+    const found = [lead(), lead()];
+    const missing = new mongoose.Types.ObjectId();
+    jest.spyOn(Lead, 'findById').mockImplementation(async id => found.find(l => l._id.equals(id)) || null);
+    enqueueSkipTrace.mockResolvedValue({ created: true });
+    // Both jobs already settled, so updateBatchProgress recorded progressFinished 2 while the batch was enqueuing
+    SkipTraceJob.aggregate.mockResolvedValue([{ _id: 'completed', count: 2, cost: 0.3 }]);
+    const update = jest.spyOn(SkipTraceBatch, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await enqueueBatch(batch, [found[0]._id, missing, found[1]._id], new mongoose.Types.ObjectId());
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: batch._id, status: 'running', progressFinished: { $gte: 2 } },
+      { $set: { status: 'completed', completedAt: expect.any(Date) } }
+    );
+    expect(batch.status).toBe('completed');
+    expect(batch.skipped.map(s => ({ leadId: s.leadId, reason: s.reason }))).toEqual([{ leadId: missing, reason: 'not_found' }]);
+    expect(batch.totals.skipped).toBe(1);
+    expect(emitted[emitted.length - 1].payload).toMatchObject({ status: 'completed', finished: 2, total: 2 });
+  });
+});
@@ -0,0 +1,216 @@
+// __tests__/skipTraceQueue.test.js
+// Skip trace queue: leasing (concurrent workers, tenant caps, expired leases), provider retries and permanent failures
+// Run with: npm test or jest
+
+const mongoose = require('mongoose');
+const SkipTraceJob = require('../models/SkipTraceJob');
+const Lead = require('../models/Lead');
+const Tenant = require('../models/Tenant');
+const KpiEvent = require('../models/KpiEvent');
+const { orchestrator } = require('../utils/skiptrace');
+const { leaseNextJob, processJob, runWorkerCycle, getBackoffMs } = require('../services/skipTraceQueueService');
+
+const TENANT_A = new mongoose.Types.ObjectId();
+const TENANT_B = new mongoose.Types.ObjectId();
+
+// Just enough of Mongo's query operators for the queue's lease queries, run against an in-memory collection
+const key = v => (v instanceof Date ? v.getTime() : v instanceof mongoose.Types.ObjectId ? v.toString() : v);
+const OPS = {
+  $lt: (v, x) => v != null && key(v) < key(x),
+  $lte: (v, x) => v != null && key(v) <= key(x),
+  $gt: (v, x) => v != null && key(v) > key(x),
+  $nin: (v, list) => !list.map(key).includes(key(v))
+};
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, cond]) => {
+    if (field === '$or') return cond.some(branch => matches(doc, branch));
+    if (cond && typeof cond === 'object' && !(cond instanceof Date) && !(cond instanceof mongoose.Types.ObjectId)) {
+      return Object.entries(cond).every(([op, arg]) => OPS[op](doc[field], arg));
+    }
+    return key(doc[field]) === key(cond);
+  });
+}
+
+function fakeQueue(jobs, tenants) {
+  jest.spyOn(SkipTraceJob, 'findOneAndUpdate').mockImplementation(async (filter, update, options) => {
+    const [job] = jobs.filter(doc => matches(doc, filter))
+      .sort((a, b) => (b.priority - a.priority) || (a.nextRunAt - b.nextRunAt));
+    if (!job) return null;
+    Object.assign(job, update.$set);
+    job.leaseCount += update.$inc.leaseCount;
+    return { ...job };
+  });
+  jest.spyOn(SkipTraceJob, 'updateOne').mockImplementation(async (filter, update) => {
+    const job = jobs.find(doc => matches(doc, filter));
+    if (job) {
+      Object.assign(job, update.$set);
+      job.leaseCount += update.$inc.leaseCount;
+    }
+  });
+  jest.spyOn(SkipTraceJob, 'countDocuments').mockImplementation(async filter => jobs.filter(doc => matches(doc, filter)).length);
+  jest.spyOn(SkipTraceJob, 'aggregate').mockImplementation(async pipeline => {
+    if (pipeline[0].$match.status !== 'leased') return []; // nothing spent today
+    const live = jobs.filter(doc => matches(doc, pipeline[0].$match));
+    const byTenant = new Map();
+    for (const doc of live) {
+      const row = byTenant.get(doc.tenantId.toString()) || { _id: doc.tenantId, count: 0, pendingCost: 0 };
+      row.count += 1;
+      byTenant.set(doc.tenantId.toString(), row);
+    }
+    return [...byTenant.values()];
+  });
+  const lean = result => ({ select: () => ({ lean: async () => result }) });
+  jest.spyOn(Tenant, 'find').mockImplementation(filter => lean(filter._id ? tenants : []));
+  jest.spyOn(Tenant, 'findById').mockImplementation(id => lean(tenants.find(t => t._id.equals(id)) || null));
+}
+
+const queuedJob = (tenantId, minutesAgo) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  status: 'queued',
+  priority: 0,
+  nextRunAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+  leaseCount: 0
+});
+
+describe('Skip trace queue leasing', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('concurrent workers never share a job and stay within the tenant concurrency cap', async () => {
+    const a1 = queuedJob(TENANT_A, 3);
+    const a2 = queuedJob(TENANT_A, 2);
+    const b1 = queuedJob(TENANT_B, 1);
+    const jobs = [a1, a2, b1];
+    fakeQueue(jobs, [{ _id: TENANT_A, skipTrace: { maxConcurrentJobs: 1 } }, { _id: TENANT_B, skipTrace: {} }]);
+
+    const leased = (await Promise.all(['w1', 'w2', 'w3'].map(id => leaseNextJob(id)))).filter(Boolean);
+
+    const ids = leased.map(job => job._id.toString());
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toEqual(expect.arrayContaining([a1._id.toString(), b1._id.toString()]));
+    expect(jobs.filter(job => job.tenantId === TENANT_A && job.status === 'leased')).toHaveLength(1);
+    // The over-cap lease was handed back untouched
+    expect(a2).toMatchObject({ status: 'queued', leasedBy: null, leaseCount: 0 });
+
+    // Tenant A stays blocked while its job runs
+    expect(await leaseNextJob('w4')).toBeNull();
+  });
+
+  test('a live lease is never taken over, an expired one is reclaimed', async () => {
+    const running = { ...queuedJob(TENANT_A, 5), status: 'leased', leasedBy: 'w1', leaseExpiresAt: new Date(Date.now() + 60000), leaseCount: 1 };
+    const crashed = { ...queuedJob(TENANT_B, 5), status: 'leased', leasedBy: 'dead', leaseExpiresAt: new Date(Date.now() - 1000), leaseCount: 1 };
+    fakeQueue([running, crashed], [{ _id: TENANT_A, skipTrace: {} }, { _id: TENANT_B, skipTrace: {} }]);
+
+    const job = await leaseNextJob('w2');
+
+    expect(job._id).toBe(crashed._id);
+    expect(job).toMatchObject({ leasedBy: 'w2', leaseCount: 2 });
+    expect(running.leasedBy).toBe('w1');
+    expect(await leaseNextJob('w3')).toBeNull();
+  });
+
+  test('a tenant over its daily cost cap is not leased', async () => {
+    const job = queuedJob(TENANT_A, 1);
+    fakeQueue([job], [{ _id: TENANT_A, skipTrace: { dailyCostCap: 10 } }]);
+    SkipTraceJob.aggregate.mockImplementation(async pipeline =>
+      (pipeline[0].$match.status === 'leased' ? [] : [{ _id: TENANT_A, spent: 9.95 }]));
+    jest.spyOn(orchestrator, 'estimateCost').mockReturnValue(0.1);
+
+    expect(await leaseNextJob('w1')).toBeNull();
+    expect(job.status).toBe('queued');
+  });
+});
+
+describe('Skip trace provider retries', () => {
+  let lead;
+  let provider;
+
+  const leasedJob = (overrides = {}) => new SkipTraceJob({
+    tenantId: TENANT_A,
+    leadId: new mongoose.Types.ObjectId(),
+    status: 'leased',
+    leasedBy: 'w1',
+    leaseExpiresAt: new Date(Date.now() + 60000),
+    leaseCount: 1,
+    maxAttemptsPerProvider: 3,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    lead = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT_A, skipTrace: { status: 'pending' }, save: jest.fn() };
+    provider = { getName: () => 'people-api', getCostPerLookup: () => 0.1, skipTrace: jest.fn().mockRejectedValue(new Error('HTTP 503')) };
+    jest.spyOn(Lead, 'findById').mockResolvedValue(lead);
+    jest.spyOn(orchestrator, 'getEnabledProviders').mockReturnValue([provider]);
+    jest.spyOn(SkipTraceJob.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(KpiEvent, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('backoff doubles per attempt up to the maximum', () => {
+    expect(getBackoffMs(1)).toBe(30 * 1000);
+    expect(getBackoffMs(2)).toBe(60 * 1000);
+    expect(getBackoffMs(3)).toBe(120 * 1000);
+    expect(getBackoffMs(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('a failing provider is retried with backoff, then fails the job once out of attempts', async () => {
+    const job = leasedJob();
+
+    const start = Date.now();
+    await processJob(job);
+    expect(job.providers[0]).toMatchObject({ status: 'pending', attempts: 1, lastError: 'HTTP 503' });
+    expect(job.providers[0].nextRetryAt.getTime()).toBeGreaterThanOrEqual(start + 30 * 1000);
+    expect(job).toMatchObject({ status: 'queued', leasedBy: null, leaseExpiresAt: null });
+    expect(job.nextRunAt).toEqual(job.providers[0].nextRetryAt);
+
+    job.providers[0].nextRetryAt = new Date(Date.now() - 1);
+    await processJob(job);
+    expect(job.providers[0].attempts).toBe(2);
+    expect(job.providers[0].nextRetryAt.getTime()).toBeGreaterThanOrEqual(start + 60 * 1000);
+
+    job.providers[0].nextRetryAt = new Date(Date.now() - 1);
+    await processJob(job);
+    expect(provider.skipTrace).toHaveBeenCalledTimes(3);
+    expect(job.providers[0].status).toBe('failed');
+    expect(job).toMatchObject({ status: 'failed', lastError: 'people-api: HTTP 503' });
+    expect(lead.skipTrace).toMatchObject({ status: 'failed', notes: 'people-api: HTTP 503' });
+  });
+
+  test('a provider is not called again before its retry time', async () => {
+    const job = leasedJob({ providers: [{ provider: 'people-api', attempts: 1, nextRetryAt: new Date(Date.now() + 60000) }] });
+
+    await processJob(job);
+
+    expect(provider.skipTrace).not.toHaveBeenCalled();
+    expect(job.status).toBe('queued');
+  });
+
+  test('permanent failures: lease cap exceeded, provider disabled, lead deleted', async () => {
+    const overLeased = await processJob(leasedJob({ leaseCount: 11 }));
+    expect(overLeased).toMatchObject({ status: 'failed', lastError: 'Exceeded 10 lease attempts' });
+    expect(provider.skipTrace).not.toHaveBeenCalled();
+
+    const disabled = await processJob(leasedJob({ providers: [{ provider: 'retired-api' }] }));
+    expect(disabled).toMatchObject({ status: 'failed', lastError: 'retired-api: Provider no longer enabled' });
+
+    Lead.findById.mockResolvedValue(null);
+    expect(await processJob(leasedJob())).toMatchObject({ status: 'failed', lastError: 'Lead not found' });
+  });
+
+  test('an unexpected error puts the job back in the queue instead of losing it', async () => {
+    const job = leasedJob();
+    jest.spyOn(SkipTraceJob, 'findOneAndUpdate').mockResolvedValueOnce(job).mockResolvedValue(null);
+    jest.spyOn(SkipTraceJob, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(SkipTraceJob, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Tenant, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    jest.spyOn(Tenant, 'findById').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    Lead.findById.mockRejectedValue(new Error('connection reset'));
+
+    expect(await runWorkerCycle({ workerId: 'w1' })).toEqual({ processed: 1, failed: 1 });
+    expect(job).toMatchObject({ status: 'queued', lastError: 'connection reset', leasedBy: null });
+    expect(job.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+  });
+});
@@ -0,0 +1,251 @@
+// __tests__/slaMonitor.test.js
+// Routing SLA: evaluation, escalation tiers, attainment summary, and the SLA clock on manual overrides
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Lead = require('../models/Lead');
+const KpiEvent = require('../models/KpiEvent');
+const RoutingConfig = require('../models/RoutingConfig');
+const { setIO } = require('../utils/realtime');
+const { invalidateRoutingConfigCache } = require('../config/routingConfig');
+const { overrideRouting } = require('../services/dealRoutingService');
+const {
+  checkSlaBreaches,
+  evaluateSla,
+  getDueEscalationLevel,
+  summarizeSlaAttainment
+} = require('../services/slaMonitorService');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2025-06-02T15:00:00Z');
+
+const routedLead = (route, dueInHours, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId: TENANT_ID,
+  ...fields,
+  routing: {
+    route,
+    slaHours: 2,
+    routedAt: new Date(NOW.getTime() - 2 * HOUR),
+    sla: { dueAt: new Date(NOW.getTime() + dueInHours * HOUR), breachedAt: null, escalationLevel: 0 },
+    ...fields.routing
+  }
+});
+
+describe('SLA evaluation', () => {
+  test('no SLA for archived leads or leads without a due time', () => {
+    expect(evaluateSla(routedLead('archive', -5), NOW)).toEqual({ status: 'none' });
+    expect(evaluateSla({ routing: { route: 'nurture', sla: { dueAt: null } } }, NOW)).toEqual({ status: 'none' });
+  });
+
+  test('pending until due, then breached by the minute', () => {
+    expect(evaluateSla(routedLead('dialer_priority', 1), NOW)).toMatchObject({ status: 'pending', actionAt: null });
+    expect(evaluateSla(routedLead('dialer_priority', -1.5), NOW)).toMatchObject({ status: 'breached', overdueMinutes: 90 });
+  });
+
+  test('closer actions meet an immediate_closer SLA, late ones still count as breached', () => {
+    const offerAt = new Date(NOW.getTime() - 3 * HOUR);
+    const onTime = routedLead('immediate_closer', -1, { closer: { offerSentAt: offerAt, contractSentAt: new Date(NOW.getTime() - 0.5 * HOUR) } });
+    expect(evaluateSla(onTime, NOW)).toMatchObject({ status: 'met', actionAt: offerAt, overdueMinutes: 0 });
+
+    const late = routedLead('immediate_closer', -3, { handoff: { closerRequestedInfoAt: new Date(NOW.getTime() - 1 * HOUR) } });
+    expect(evaluateSla(late, NOW)).toMatchObject({ status: 'breached', overdueMinutes: 120 });
+
+    // A dialer intake does not satisfy a closer SLA
+    const intakeOnly = routedLead('immediate_closer', 1, { dialerIntake: { intakeCompletedAt: new Date(NOW.getTime() - HOUR) } });
+    expect(evaluateSla(intakeOnly, NOW).status).toBe('pending');
+  });
+
+  test('intake or a handoff to the closer meets a dialer/nurture SLA', () => {
+    const intake = routedLead('nurture', 10, { dialerIntake: { intakeCompletedAt: new Date(NOW.getTime() - HOUR) } });
+    expect(evaluateSla(intake, NOW).status).toBe('met');
+
+    const dead = routedLead('dialer_priority', -1, { handoff: { status: 'dead' }, updatedAt: new Date(NOW.getTime() - 2 * HOUR) });
+    expect(evaluateSla(dead, NOW).status).toBe('met');
+  });
+
+  test('escalation tiers follow how long the breach has been open', () => {
+    expect(getDueEscalationLevel(0)).toBe(1);
+    expect(getDueEscalationLevel(59)).toBe(1);
+    expect(getDueEscalationLevel(60)).toBe(2);
+    expect(getDueEscalationLevel(119)).toBe(2);
+    expect(getDueEscalationLevel(120)).toBe(3);
+  });
+});
+
+describe('SLA attainment', () => {
+  test('counts met, breached and pending SLAs per route and assignee', () => {
+    const closer = { _id: new mongoose.Types.ObjectId(), name: 'Casey Closer' };
+    const leads = [
+      routedLead('immediate_closer', -1, { routing: { assignedTo: closer }, closer: { offerSentAt: new Date(NOW.getTime() - 2 * HOUR) } }),
+      routedLead('immediate_closer', -1, { routing: { assignedTo: closer } }),
+      routedLead('dialer_priority', 5),
+      routedLead('dialer_priority', 5, { dialerIntake: { intakeCompletedAt: NOW } }),
+      routedLead('archive', -1)
+    ];
+    // Recorded as breached by the monitor even though the intake later landed inside the window
+    const breached = new Set([leads[3]._id.toString()]);
+
+    const { overall, byRoute, byUser } = summarizeSlaAttainment(leads, breached, NOW);
+
+    expect(overall).toEqual({ total: 4, met: 1, breached: 2, pending: 1, attainment: 33 });
+    expect(byRoute.immediate_closer).toMatchObject({ total: 2, met: 1, breached: 1, attainment: 50 });
+    expect(byRoute.dialer_priority).toMatchObject({ total: 2, breached: 1, pending: 1, attainment: 0 });
+    expect(byRoute.archive).toBeUndefined();
+    expect(byUser[closer._id.toString()]).toMatchObject({ name: 'Casey Closer', total: 2, attainment: 50 });
+    expect(byUser.unassigned).toMatchObject({ total: 2, attainment: 0 });
+  });
+
+  test('attainment is null until an SLA resolves', () => {
+    expect(summarizeSlaAttainment([routedLead('nurture', 4)], new Set(), NOW).overall.attainment).toBeNull();
+  });
+});
+
+describe('SLA breach monitor', () => {
+  let emitted;
+
+  beforeEach(() => {
+    emitted = [];
+    setIO({ to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) });
+    jest.spyOn(RoutingConfig, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+    jest.spyOn(KpiEvent, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setIO(null);
+    invalidateRoutingConfigCache();
+    jest.restoreAllMocks();
+  });
+
+  const mockDueLeads = leads => jest.spyOn(Lead, 'find').mockReturnValue({
+    select: () => ({ sort: () => ({ limit: () => ({ lean: async () => leads }) }) })
+  });
+
+  test('records a breach once and escalates through every tier that is due', async () => {
+    const lead = routedLead('dialer_priority', -1.5);
+    mockDueLeads([lead]);
+    const update = jest.spyOn(Lead, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const summary = await checkSlaBreaches({ now: NOW });
+
+    expect(summary).toEqual({ checked: 1, met: 0, escalated: 1, deferred: 0, errors: 0 });
+    expect(update).toHaveBeenCalledWith({ _id: lead._id, 'routing.sla.breachedAt': null }, { $set: { 'routing.sla.breachedAt': NOW } });
+    expect(KpiEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'sla_breached',
+      metadata: expect.objectContaining({ overdueMinutes: 90, route: 'dialer_priority' })
+    }));
+    // Tier 1 then tier 2, each claimed against the previous level; tier 3 (SMS) is not due yet
+    expect(update.mock.calls.slice(1).map(([filter]) => filter['routing.sla.escalationLevel'])).toEqual([0, 1]);
+    expect(emitted).toEqual([{
+      room: `tenant:${TENANT_ID}:role:manager`,
+      event: 'routing:sla_breach',
+      payload: expect.objectContaining({ leadId: lead._id, overdueMinutes: 90 })
+    }]);
+  });
+
+  test('another instance holding the breach or tier does not double-log or double-send', async () => {
+    mockDueLeads([routedLead('dialer_priority', -1.5)]);
+    jest.spyOn(Lead, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const summary = await checkSlaBreaches({ now: NOW });
+
+    expect(summary.escalated).toBe(0);
+    expect(KpiEvent.create).not.toHaveBeenCalled();
+    expect(emitted).toEqual([]);
+  });
+
+  test('a late action closes the SLA instead of escalating', async () => {
+    const lead = routedLead('nurture', -2, { dialerIntake: { intakeCompletedAt: new Date(NOW.getTime() - HOUR) } });
+    mockDueLeads([lead]);
+    const update = jest.spyOn(Lead, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await checkSlaBreaches({ now: NOW })).toMatchObject({ met: 1, escalated: 0 });
+    expect(KpiEvent.create).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'sla_breached' }));
+    expect(update).toHaveBeenLastCalledWith({ _id: lead._id }, { $set: { 'routing.sla.metAt': lead.dialerIntake.intakeCompletedAt } });
+    expect(emitted).toEqual([]);
+  });
+});
+
+describe('Routing override SLA', () => {
+  const lead = routing => ({ _id: new mongoose.Types.ObjectId(), tenantId: TENANT_ID, routing, save: jest.fn() });
+
+  beforeEach(() => {
+    jest.spyOn(RoutingConfig, 'findOne').mockReturnValue({
+      sort: () => ({ lean: async () => ({ _id: new mongoose.Types.ObjectId(), version: 1, slaHours: { A: 1, B: 12 } }) })
+    });
+    jest.spyOn(KpiEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    invalidateRoutingConfigCache();
+    jest.restoreAllMocks();
+  });
+
+  test('a new route restarts the SLA from the tenant hours for that route', async () => {
+    const breached = { dueAt: new Date(Date.now() - 10 * HOUR), breachedAt: new Date(), escalationLevel: 2, escalations: [{ level: 1 }] };
+    const doc = lead({ route: 'nurture', priorityLevel: 'normal', slaHours: 72, sla: breached });
+
+    const before = Date.now();
+    await overrideRouting(doc, 'immediate_closer', 'urgent', 'Seller called back', new mongoose.Types.ObjectId());
+
+    expect(doc.routing.slaHours).toBe(1);
+    expect(doc.routing.sla.dueAt.getTime()).toBe(doc.routing.routedAt.getTime() + HOUR);
+    expect(doc.routing.routedAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(doc.routing.sla).toMatchObject({ breachedAt: null, escalationLevel: 0, escalations: [] });
+    expect(doc.save).toHaveBeenCalled();
+  });
+
+  test('archiving clears the SLA; re-prioritising the same route keeps the running clock', async () => {
+    const archived = lead({ route: 'dialer_priority', slaHours: 12, sla: { dueAt: new Date(Date.now() + HOUR) } });
+    await overrideRouting(archived, 'archive', 'low', 'Listed with an agent', new mongoose.Types.ObjectId());
+    expect(archived.routing.slaHours).toBeNull();
+    expect(archived.routing.sla.dueAt).toBeNull();
+
+    const sla = { dueAt: new Date(Date.now() + HOUR), escalationLevel: 0 };
+    const bumped = lead({ route: 'dialer_priority', priorityLevel: 'high', slaHours: 12, sla });
+    await overrideRouting(bumped, 'dialer_priority', 'urgent', 'Motivated seller', new mongoose.Types.ObjectId());
+    expect(bumped.routing.slaHours).toBe(12);
+    expect(bumped.routing.sla).toBe(sla);
+    expect(RoutingConfig.findOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Routing performance SLA attainment', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a breach from an earlier routing cycle does not count against the current one', async () => {
+    const rerouted = routedLead('immediate_closer', -1, { closer: { offerSentAt: new Date(NOW.getTime() - 90 * 60 * 1000) } });
+    rerouted.routing.sla.metAt = rerouted.closer.offerSentAt;
+    const late = routedLead('dialer_priority', -1);
+    const breaches = [
+      // Recorded before the lead was re-routed, so it belongs to the previous SLA
+      { leadId: rerouted._id, createdAt: new Date(rerouted.routing.routedAt.getTime() - HOUR) },
+      { leadId: late._id, createdAt: NOW }
+    ];
+    jest.spyOn(KpiEvent, 'find').mockImplementation(query => query.eventType === 'sla_breached'
+      ? { select: () => ({ lean: async () => breaches }) }
+      : { populate: () => ({ populate: async () => [] }) });
+    jest.spyOn(Lead, 'find').mockImplementation(query => query['routing.sla.dueAt']
+      ? { select: () => ({ populate: () => ({ lean: async () => [rerouted, late] }) }) }
+      : { select: async () => [] });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/rapid-offer/kpi', require('../routes/kpiRoutes'));
+    app.use(require('../middleware/errorHandler'));
+    const token = jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role: 'manager', tenantId: TENANT_ID.toString() }, jwtSecret);
+
+    const res = await request(app)
+      .get('/api/rapid-offer/kpi/routing/performance')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.sla.breachEvents).toBe(1);
+    expect(res.body.sla.overall).toMatchObject({ total: 2, met: 1, breached: 1, attainment: 50 });
+  });
+});
@@ -0,0 +1,149 @@
+// __tests__/smsTenantRouting.test.js
+// Twilio numbers -> tenants: inbound texts are processed in the tenant owning the number, admins manage the numbers
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { jwtSecret } = require('../config/auth');
+const Tenant = require('../models/Tenant');
+const Buyer = require('../models/Buyer');
+const Lead = require('../models/Lead');
+const SmsOptOut = require('../models/SmsOptOut');
+const { computeTwilioSignature } = require('../utils/twilioWebhooks');
+
+const TENANT_ID = new mongoose.Types.ObjectId();
+const OTHER_TENANT_ID = new mongoose.Types.ObjectId();
+const TENANT_NUMBER = '+15125550100';
+const BUYER_PHONE = '+15125550177';
+const sign = role => jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role, tenantId: TENANT_ID.toString() }, jwtSecret);
+
+const TWILIO_TOKEN = 'test_twilio_token';
+const BASE_URL = 'https://api.example.com';
+const postInbound = (app, params) => request(app)
+  .post('/api/webhooks/twilio/inbound')
+  .type('form')
+  .set('X-Twilio-Signature', computeTwilioSignature(TWILIO_TOKEN, `${BASE_URL}/api/webhooks/twilio/inbound`, params))
+  .send(params);
+
+const tenantsOwning = ids => ({ select: () => ({ lean: async () => ids.map(_id => ({ _id })) }) });
+
+describe('Twilio inbound: tenant routing', () => {
+  let app;
+
+  beforeEach(() => {
+    process.env.TWILIO_AUTH_TOKEN = TWILIO_TOKEN;
+    process.env.TWILIO_WEBHOOK_BASE_URL = BASE_URL;
+    app = express();
+    app.use('/api/webhooks', require('../routes/webhookRoutes'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.TWILIO_WEBHOOK_BASE_URL;
+    delete process.env.TWILIO_INBOUND_TENANT_ID;
+    jest.restoreAllMocks();
+  });
+
+  test('buyers and leads are looked up only in the tenant that owns the number texted', async () => {
+    jest.spyOn(Tenant, 'find').mockReturnValue(tenantsOwning([TENANT_ID]));
+    const buyerLookup = jest.spyOn(Buyer, 'findOne').mockResolvedValue(null);
+    const leadLookup = jest.spyOn(Lead, 'findOne').mockReturnValue({ sort: async () => null });
+
+    await postInbound(app, { From: BUYER_PHONE, To: '(512) 555-0100', Body: 'Interested, send details' }).expect(200);
+
+    expect(Tenant.find).toHaveBeenCalledWith({ 'sms.phoneNumbers': TENANT_NUMBER });
+    expect(buyerLookup.mock.calls[0][0]).toEqual({
+      tenantId: TENANT_ID.toString(),
+      $or: [{ phone: BUYER_PHONE }, { phones: BUYER_PHONE }]
+    });
+    expect(leadLookup.mock.calls[0][0].tenantId).toBe(TENANT_ID.toString());
+  });
+
+  test('unknown or shared numbers match nobody, but STOP is still honoured', async () => {
+    const buyerLookup = jest.spyOn(Buyer, 'findOne');
+    const leadLookup = jest.spyOn(Lead, 'findOne');
+    const upsert = jest.spyOn(SmsOptOut, 'findOneAndUpdate').mockResolvedValue({});
+
+    jest.spyOn(Tenant, 'find').mockReturnValueOnce(tenantsOwning([]));
+    await postInbound(app, { From: BUYER_PHONE, To: '+15125559999', Body: 'Interested' }).expect(200);
+
+    Tenant.find.mockReturnValueOnce(tenantsOwning([TENANT_ID, OTHER_TENANT_ID]));
+    const res = await postInbound(app, { From: BUYER_PHONE, To: TENANT_NUMBER, Body: 'STOP' }).expect(200);
+
+    expect(buyerLookup).not.toHaveBeenCalled();
+    expect(leadLookup).not.toHaveBeenCalled();
+    expect(res.text).toMatch(/You have been unsubscribed/);
+    // No tenant to scope it to, so the entry applies to every tenant
+    expect(upsert.mock.calls[0][0]).toEqual({ tenantId: null, phone: BUYER_PHONE });
+    expect(upsert.mock.calls[0][1].$set).toMatchObject({ active: true });
+  });
+
+  test('TWILIO_INBOUND_TENANT_ID still routes numbers no tenant has registered', async () => {
+    process.env.TWILIO_INBOUND_TENANT_ID = TENANT_ID.toString();
+    jest.spyOn(Tenant, 'find').mockReturnValue(tenantsOwning([]));
+    const buyerLookup = jest.spyOn(Buyer, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Lead, 'findOne').mockReturnValue({ sort: async () => null });
+
+    await postInbound(app, { From: BUYER_PHONE, To: TENANT_NUMBER, Body: 'Interested' }).expect(200);
+
+    expect(buyerLookup.mock.calls[0][0].tenantId).toBe(TENANT_ID.toString());
+  });
+});
+
+describe('Tenant SMS numbers', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/tenants', require('../routes/tenantRoutes'));
+    app.use(require('../middleware/errorHandler'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('admins register numbers in E.164; a number belongs to one tenant', async () => {
+    const tenant = new Tenant({ _id: TENANT_ID, name: 'Acme Homes' });
+    jest.spyOn(Tenant, 'findById').mockResolvedValue(tenant);
+    jest.spyOn(tenant, 'save').mockResolvedValue(tenant);
+    const conflictLookup = jest.spyOn(Tenant, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+
+    const res = await request(app)
+      .put(`/api/tenants/${TENANT_ID}/sms/numbers`)
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .send({ phoneNumbers: ['(512) 555-0100', '+15125550100', '512.555.0101'] })
+      .expect(200);
+
+    expect(res.body).toEqual({ tenantId: TENANT_ID.toString(), phoneNumbers: [TENANT_NUMBER, '+15125550101'] });
+    expect(conflictLookup.mock.calls[0][0]).toEqual({
+      _id: { $ne: TENANT_ID },
+      'sms.phoneNumbers': { $in: [TENANT_NUMBER, '+15125550101'] }
+    });
+
+    conflictLookup.mockReturnValue({
+      select: () => ({ lean: async () => ({ name: 'Other Co', sms: { phoneNumbers: ['+15125550101'] } }) })
+    });
+    const conflict = await request(app)
+      .put(`/api/tenants/${TENANT_ID}/sms/numbers`)
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .send({ phoneNumbers: ['+15125550101'] })
+      .expect(409);
+    expect(conflict.body.error).toBe('Number already routed to tenant Other Co: +15125550101');
+  });
+
+  test('bad numbers and non-admins are rejected', async () => {
+    await request(app)
+      .put(`/api/tenants/${TENANT_ID}/sms/numbers`)
+      .set('Authorization', `Bearer ${sign('admin')}`)
+      .send({ phoneNumbers: ['555'] })
+      .expect(400);
+    await request(app)
+      .put(`/api/tenants/${TENANT_ID}/sms/numbers`)
+      .set('Authorization', `Bearer ${sign('manager')}`)
+      .send({ phoneNumbers: [TENANT_NUMBER] })
+      .expect(403);
+  });
+});
@@ -0,0 +1,191 @@
+// __tests__/twilioWebhooks.test.js
+// X-Twilio-Signature validation and the delivery status callback (recipient / message state, number suppression)
+// Run with: npm test or jest
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const twilio = require('twilio');
+const DealBlast = require('../models/DealBlast');
+const DealBlastRecipient = require('../models/DealBlastRecipient');
+const Message = require('../models/Message');
+const SmsOptOut = require('../models/SmsOptOut');
+const SMSProvider = require('../services/outboundProviders/smsProvider');
+const { computeTwilioSignature, validateTwilioSignature } = require('../utils/twilioWebhooks');
+
+const TWILIO_TOKEN = 'test_twilio_token';
+const BASE_URL = 'https://api.example.com';
+const PHONE = '+15125550188';
+
+const postSigned = (app, path, params, token = TWILIO_TOKEN) => request(app)
+  .post(path)
+  .type('form')
+  .set('X-Twilio-Signature', computeTwilioSignature(token, `${BASE_URL}${path}`, params))
+  .send(params);
+
+describe('Twilio signature', () => {
+  test('matches the signature Twilio computes', () => {
+    const url = `${BASE_URL}/api/webhooks/twilio/status?tenant=1`;
+    const params = { MessageSid: 'SM123', MessageStatus: 'delivered', To: PHONE, Body: 'Café & more' };
+    const signature = computeTwilioSignature(TWILIO_TOKEN, url, params);
+
+    expect(signature).toBe(twilio.getExpectedTwilioSignature(TWILIO_TOKEN, url, params));
+    expect(validateTwilioSignature({ signature, url, params, authTokens: ['old_token', TWILIO_TOKEN] })).toEqual({ valid: true });
+    expect(validateTwilioSignature({ signature, url, params: { ...params, To: '+15125550000' }, authTokens: [TWILIO_TOKEN] }))
+      .toEqual({ valid: false, reason: 'Signature mismatch' });
+    expect(validateTwilioSignature({ signature: undefined, url, params, authTokens: [TWILIO_TOKEN] }).reason)
+      .toBe('Missing X-Twilio-Signature');
+  });
+});
+
+describe('Twilio webhooks', () => {
+  let app;
+
+  beforeEach(() => {
+    process.env.TWILIO_AUTH_TOKEN = TWILIO_TOKEN;
+    process.env.TWILIO_WEBHOOK_BASE_URL = BASE_URL;
+    app = express();
+    app.use('/api/webhooks', require('../routes/webhookRoutes'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.TWILIO_WEBHOOK_BASE_URL;
+    jest.restoreAllMocks();
+  });
+
+  test('unsigned, wrongly signed and unconfigured calls are rejected', async () => {
+    const params = { MessageSid: 'SM1', MessageStatus: 'delivered' };
+    const findOne = jest.spyOn(DealBlastRecipient, 'findOne');
+
+    await request(app).post('/api/webhooks/twilio/status').type('form').send(params).expect(403);
+    await postSigned(app, '/api/webhooks/twilio/status', params, 'wrong_token').expect(403);
+    await postSigned(app, '/api/webhooks/twilio/inbound', { From: PHONE, Body: 'STOP' }, 'wrong_token').expect(403);
+
+    delete process.env.TWILIO_AUTH_TOKEN;
+    await postSigned(app, '/api/webhooks/twilio/status', params).expect(503);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('delivered moves the recipient and message forward and resets the failure count', async () => {
+    const recipient = new DealBlastRecipient({
+      dealBlastId: new mongoose.Types.ObjectId(),
+      buyerId: new mongoose.Types.ObjectId(),
+      channel: 'sms',
+      status: 'sent',
+      tracking: { messageId: 'SM100', provider: 'sms' }
+    });
+    jest.spyOn(DealBlastRecipient, 'findOne').mockResolvedValue(recipient);
+    const save = jest.spyOn(recipient, 'save').mockResolvedValue(recipient);
+    const tenantId = new mongoose.Types.ObjectId();
+    const messageUpdate = jest.spyOn(Message, 'findOneAndUpdate').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), tenantId });
+    const reset = jest.spyOn(SmsOptOut, 'updateOne').mockResolvedValue({});
+
+    await postSigned(app, '/api/webhooks/twilio/status', { MessageSid: 'SM100', MessageStatus: 'delivered', To: PHONE }).expect(200);
+
+    expect(DealBlastRecipient.findOne).toHaveBeenCalledWith({ 'tracking.messageId': 'SM100' });
+    expect(save).toHaveBeenCalled();
+    expect(recipient.status).toBe('delivered');
+    expect(recipient.tracking).toMatchObject({ deliveryStatus: 'delivered', errorCode: null });
+    expect(messageUpdate.mock.calls[0][0]).toEqual({ providerMessageId: 'SM100' });
+    expect(messageUpdate.mock.calls[0][1].$set).toMatchObject({ deliveryStatus: 'delivered', deliveryErrorCode: null });
+    // Only the sending tenant's count is reset
+    expect(reset.mock.calls[0][0]).toEqual({ tenantId, phone: PHONE, active: false, 'carrierFailures.count': { $gt: 0 } });
+
+    // A late "sent" never overwrites the final state
+    await postSigned(app, '/api/webhooks/twilio/status', { MessageSid: 'SM100', MessageStatus: 'sent', To: PHONE }).expect(200);
+    expect(recipient.tracking.deliveryStatus).toBe('delivered');
+    expect(messageUpdate.mock.calls[1][0]).toEqual({ providerMessageId: 'SM100', deliveryStatus: { $nin: ['delivered', 'undelivered', 'failed', 'read'] } });
+  });
+
+  test('a landline / unknown handset error suppresses the number straight away', async () => {
+    const recipient = new DealBlastRecipient({
+      dealBlastId: new mongoose.Types.ObjectId(),
+      buyerId: new mongoose.Types.ObjectId(),
+      channel: 'sms',
+      status: 'sent',
+      tracking: { messageId: 'SM200' }
+    });
+    jest.spyOn(DealBlastRecipient, 'findOne').mockResolvedValue(recipient);
+    jest.spyOn(recipient, 'save').mockResolvedValue(recipient);
+    jest.spyOn(Message, 'findOneAndUpdate').mockResolvedValue(null);
+    // No Message and no tenant owns `From`, so the blast names the sending tenant
+    const tenantId = new mongoose.Types.ObjectId();
+    jest.spyOn(DealBlast, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ tenantId }) }) });
+    const optOut = jest.spyOn(SmsOptOut, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ active: false, carrierFailures: { count: 1 } })
+      .mockResolvedValueOnce({ active: true, source: 'carrier' });
+
+    await postSigned(app, '/api/webhooks/twilio/status', {
+      MessageSid: 'SM200', MessageStatus: 'undelivered', ErrorCode: '30006', To: PHONE
+    }).expect(200);
+
+    expect(recipient.status).toBe('undelivered');
+    expect(recipient.tracking.errorCode).toBe('30006');
+    expect(DealBlast.findById).toHaveBeenCalledWith(recipient.dealBlastId);
+    expect(optOut.mock.calls[0][0]).toEqual({ tenantId, phone: PHONE });
+    expect(optOut.mock.calls[0][1]).toMatchObject({
+      $inc: { 'carrierFailures.count': 1 },
+      $setOnInsert: { source: 'carrier', active: false }
+    });
+    expect(optOut.mock.calls[1][1].$set).toMatchObject({ active: true, source: 'carrier', errorCode: '30006' });
+  });
+
+  test('unreachable handsets are counted; replies and content filtering are left alone', async () => {
+    const recipient = new DealBlastRecipient({
+      dealBlastId: new mongoose.Types.ObjectId(),
+      buyerId: new mongoose.Types.ObjectId(),
+      channel: 'sms',
+      status: 'replied',
+      tracking: { messageId: 'SM300' }
+    });
+    jest.spyOn(DealBlastRecipient, 'findOne').mockResolvedValue(recipient);
+    jest.spyOn(recipient, 'save').mockResolvedValue(recipient);
+    jest.spyOn(Message, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(DealBlast, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ tenantId: new mongoose.Types.ObjectId() }) }) });
+    const optOut = jest.spyOn(SmsOptOut, 'findOneAndUpdate').mockResolvedValue({ active: false, carrierFailures: { count: 2 } });
+
+    await postSigned(app, '/api/webhooks/twilio/status', {
+      MessageSid: 'SM300', MessageStatus: 'failed', ErrorCode: '30003', To: PHONE
+    }).expect(200);
+    expect(recipient.status).toBe('replied');
+    expect(recipient.tracking.deliveryStatus).toBe('failed');
+    expect(optOut).toHaveBeenCalledTimes(1); // 2 of 3 - not suppressed yet
+
+    // 30007 is carrier filtering of the content, not a problem with the number
+    await postSigned(app, '/api/webhooks/twilio/status', {
+      MessageSid: 'SM300', MessageStatus: 'failed', ErrorCode: '30007', To: PHONE
+    }).expect(200);
+    expect(optOut).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failure no tenant can be found for suppresses nothing', async () => {
+    jest.spyOn(DealBlastRecipient, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Message, 'findOneAndUpdate').mockResolvedValue(null);
+    const optOut = jest.spyOn(SmsOptOut, 'findOneAndUpdate');
+
+    await postSigned(app, '/api/webhooks/twilio/status', {
+      MessageSid: 'SM500', MessageStatus: 'undelivered', ErrorCode: '30006', To: PHONE
+    }).expect(200);
+
+    expect(optOut).not.toHaveBeenCalled();
+  });
+
+  test('outbound SMS asks Twilio for status callbacks', async () => {
+    const provider = new SMSProvider({ fromNumber: '+15125550000' });
+    provider.client = { messages: { create: jest.fn().mockResolvedValue({ sid: 'SM400', status: 'queued' }) } };
+    jest.spyOn(SmsOptOut, 'exists').mockResolvedValue(null);
+
+    const result = await provider.send({ to: PHONE, message: 'New deal in Austin' });
+
+    expect(result).toEqual({ messageId: 'SM400', provider: 'sms', status: 'queued' });
+    expect(provider.client.messages.create).toHaveBeenCalledWith({
+      body: 'New deal in Austin',
+      from: '+15125550000',
+      to: PHONE,
+      statusCallback: `${BASE_URL}/api/webhooks/twilio/status`
+    });
+  });
+});
@@ -26,8 +26,12 @@ app.use(requestLogger);
 app.use(correlationIdMiddleware);
 
 // ---- INPUT SIZE LIMITS (prevent abuse) ----
-app.use(express.json({ limit: '100kb' }));
-app.use(express.urlencoded({ limit: '100kb', extended: true }));
+// Inbound email webhooks keep the raw body for HMAC signature verification
+const keepInboundRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/inbound/email')) req.rawBody = buf;
+};
+app.use(express.json({ limit: '100kb', verify: keepInboundRawBody }));
+app.use(express.urlencoded({ limit: '100kb', extended: true, verify: keepInboundRawBody }));
 app.use(cookieParser());
 
 // ---- STRICT CORS: nexus.elitesolutionsnetwork.com only in prod ----
@@ -84,8 +88,9 @@ app.use('/api/crm', require('./routes/crmRoutes'));
 app.use('/api/deals', require('./src/routes/deals'));
 app.use('/api/activity', require('./src/routes/activity'));
 
-// Inbound email (webhook: X-INBOUND-SECRET, no JWT)
+// Inbound email (webhook: HMAC signature or X-INBOUND-SECRET, no JWT) + admin quarantine review
 app.use('/api/inbound', require('./src/routes/inboundEmail'));
+app.use('/api/inbound/quarantine', require('./src/routes/inboundQuarantine'));
 
 // Exports
 app.use('/api', require('./routes/exportRoutes'));
@@ -94,6 +99,9 @@ app.use('/api', require('./routes/exportRoutes'));
 app.use('/api/letters', require('./routes/letterRoutes'));
 app.use('/api/letter', require('./routes/letterRoutes'));
 
+// County scrapers (run history + health)
+app.use('/api/scrapers', require('./routes/scraperRoutes'));
+
 // Skiptrace & enrichment
 app.use('/api/skiptrace', require('./routes/skipTraceRoutes'));
 app.use('/api/buyers', require('./routes/buyerRoutes'));
@@ -108,6 +116,9 @@ app.use('/api/rapid-offer/closer', require('./routes/rapidOfferCloserRoutes'));
 app.use('/api/rapid-offer/kpi', require('./routes/kpiRoutes'));
 app.use('/api/templates', require('./routes/templateRoutes'));
 
+// Routing configuration
+app.use('/api/routing/config', require('./routes/routingConfigRoutes'));
+
 // Deal blast
 app.use('/api/deal-blasts', require('./routes/dealBlastRoutes'));
 
@@ -124,6 +135,9 @@ app.use('/api', require('./routes/dealPerformanceRoutes'));
 // Underwriting
 app.use('/api/underwrite', require('./routes/underwritingRoutes'));
 
+// Sale / rent comparables (ARV and rent estimates)
+app.use('/api/comps', require('./routes/compsRoutes'));
+
 // Notifications & messaging
 app.use('/api/notifications', require('./routes/notificationRoutes'));
 app.use('/api/messages', require('./routes/messageRoutes'));
@@ -1,14 +1,18 @@
 // config/routingConfig.js
-// Routing configuration with defaults (editable without redeploy)
+// Routing configuration: env defaults overlaid with the tenant's effective RoutingConfig version
+// (editable without redeploy via /api/routing/config)
+
+const RoutingConfig = require('../models/RoutingConfig');
+
+const GRADES = ['A', 'B', 'C', 'D', 'Dead'];
+const CACHE_TTL_MS = 60 * 1000;
+const configCache = new Map(); // tenantId -> { config, expiresAt }
 
 /**
- * Get routing configuration (from DB or defaults)
- * @returns {Promise<Object>} Routing configuration
+ * Get default routing configuration from environment variables
+ * @returns {Object} Routing configuration
  */
-async function getRoutingConfig() {
-  // TODO: In the future, load from database (RoutingConfig model)
-  // For now, use environment variables with defaults
-  
+function getDefaultRoutingConfig() {
   return {
     // Grade thresholds (score ranges)
     gradeThresholds: {
@@ -33,7 +37,7 @@ async function getRoutingConfig() {
         max: parseInt(process.env.ROUTING_GRADE_DEAD_MAX) || 29
       }
     },
-    
+
     // SLA hours per grade
     slaHours: {
       A: parseInt(process.env.ROUTING_SLA_A_HOURS) || 2,      // 2 hours for A-grade
@@ -42,20 +46,21 @@ async function getRoutingConfig() {
       D: null,                                                // No SLA for D-grade
       Dead: null                                              // No SLA for Dead
     },
-    
+
     // Alert channels enabled
     alertChannels: {
       sms: process.env.ROUTING_ALERT_SMS_ENABLED !== 'false',  // Default: true
       internal: process.env.ROUTING_ALERT_INTERNAL_ENABLED !== 'false'  // Default: true
     },
-    
+
     // Quiet hours (no alerts during these times)
     quietHours: {
       enabled: process.env.ROUTING_QUIET_HOURS_ENABLED === 'true',  // Default: false
       startHour: parseInt(process.env.ROUTING_QUIET_HOURS_START) || 22,  // 10 PM
-      endHour: parseInt(process.env.ROUTING_QUIET_HOURS_END) || 8    // 8 AM
+      endHour: parseInt(process.env.ROUTING_QUIET_HOURS_END) || 8,    // 8 AM
+      timezone: process.env.ROUTING_QUIET_HOURS_TIMEZONE || null     // null = server time
     },
-    
+
     // Major exclusions that prevent immediate closer routing
     majorExclusions: [
       'major fire damage',
@@ -64,28 +69,226 @@ async function getRoutingConfig() {
       'uninhabitable',
       'total loss',
       'demolition required'
-    ]
+    ],
+
+    // Distress-signal motivation (leadScore.motivation) upgrades archive/nurture leads
+    motivation: {
+      enabled: process.env.ROUTING_MOTIVATION_ENABLED !== 'false',  // Default: true
+      dialerPriorityMin: parseInt(process.env.ROUTING_MOTIVATION_DIALER_MIN) || 70,
+      nurtureMin: parseInt(process.env.ROUTING_MOTIVATION_NURTURE_MIN) || 40
+    }
   };
 }
 
+/**
+ * Overlay a (partial) stored/candidate config onto a base config
+ * Undefined values keep the base value; null is an explicit "no value" (e.g. no SLA)
+ * @param {Object} base - Full routing configuration
+ * @param {Object} overrides - Partial configuration (RoutingConfig document or request body)
+ * @returns {Object} Merged routing configuration
+ */
+function mergeRoutingConfig(base, overrides = {}) {
+  const merged = JSON.parse(JSON.stringify(base));
+  if (!overrides) return merged;
+
+  for (const grade of GRADES) {
+    const range = overrides.gradeThresholds?.[grade];
+    if (range) {
+      if (range.min !== undefined && range.min !== null) merged.gradeThresholds[grade].min = range.min;
+      if (range.max !== undefined && range.max !== null) merged.gradeThresholds[grade].max = range.max;
+    }
+    if (overrides.slaHours && overrides.slaHours[grade] !== undefined) {
+      merged.slaHours[grade] = overrides.slaHours[grade];
+    }
+  }
+
+  for (const section of ['alertChannels', 'quietHours', 'motivation']) {
+    const values = overrides[section];
+    if (!values) continue;
+    for (const [key, value] of Object.entries(values)) {
+      if (value !== undefined && value !== null) {
+        merged[section][key] = value;
+      }
+    }
+  }
+
+  if (Array.isArray(overrides.majorExclusions)) {
+    merged.majorExclusions = [...overrides.majorExclusions];
+  }
+
+  return merged;
+}
+
+/**
+ * Validate a (partial) routing config payload
+ * @param {Object} input - Partial routing configuration
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRoutingConfig(input = {}) {
+  const errors = [];
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+  if (input.gradeThresholds) {
+    for (const [grade, range] of Object.entries(input.gradeThresholds)) {
+      if (!GRADES.includes(grade)) {
+        errors.push(`gradeThresholds.${grade}: unknown grade`);
+        continue;
+      }
+      for (const bound of ['min', 'max']) {
+        const value = range?.[bound];
+        if (value !== undefined && (!isNumber(value) || value < 0 || value > 100)) {
+          errors.push(`gradeThresholds.${grade}.${bound}: must be a number between 0 and 100`);
+        }
+      }
+      if (isNumber(range?.min) && isNumber(range?.max) && range.min > range.max) {
+        errors.push(`gradeThresholds.${grade}: min must be <= max`);
+      }
+    }
+  }
+
+  if (input.slaHours) {
+    for (const [grade, hours] of Object.entries(input.slaHours)) {
+      if (!GRADES.includes(grade)) {
+        errors.push(`slaHours.${grade}: unknown grade`);
+      } else if (hours !== null && (!isNumber(hours) || hours < 0)) {
+        errors.push(`slaHours.${grade}: must be a non-negative number or null`);
+      }
+    }
+  }
+
+  if (input.alertChannels) {
+    for (const [key, value] of Object.entries(input.alertChannels)) {
+      if (!['sms', 'internal'].includes(key)) errors.push(`alertChannels.${key}: unknown channel`);
+      else if (typeof value !== 'boolean') errors.push(`alertChannels.${key}: must be a boolean`);
+    }
+  }
+
+  if (input.quietHours) {
+    const { enabled, startHour, endHour, timezone } = input.quietHours;
+    if (enabled !== undefined && typeof enabled !== 'boolean') errors.push('quietHours.enabled: must be a boolean');
+    for (const [key, value] of Object.entries({ startHour, endHour })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > 23)) {
+        errors.push(`quietHours.${key}: must be an integer hour 0-23`);
+      }
+    }
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch {
+        errors.push(`quietHours.timezone: unknown timezone ${timezone}`);
+      }
+    }
+  }
+
+  if (input.motivation) {
+    const { enabled, dialerPriorityMin, nurtureMin } = input.motivation;
+    if (enabled !== undefined && typeof enabled !== 'boolean') errors.push('motivation.enabled: must be a boolean');
+    for (const [key, value] of Object.entries({ dialerPriorityMin, nurtureMin })) {
+      if (value !== undefined && (!isNumber(value) || value < 0 || value > 100)) {
+        errors.push(`motivation.${key}: must be a number between 0 and 100`);
+      }
+    }
+    if (isNumber(dialerPriorityMin) && isNumber(nurtureMin) && nurtureMin > dialerPriorityMin) {
+      errors.push('motivation: nurtureMin must be <= dialerPriorityMin');
+    }
+  }
+
+  if (input.majorExclusions !== undefined) {
+    if (!Array.isArray(input.majorExclusions) || input.majorExclusions.some(e => typeof e !== 'string' || !e.trim())) {
+      errors.push('majorExclusions: must be an array of non-empty strings');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find the tenant's effective RoutingConfig version (latest active with effectiveFrom <= at)
+ * @param {ObjectId} tenantId
+ * @param {Date} at - Point in time (default now)
+ * @returns {Promise<Object|null>} RoutingConfig (lean) or null
+ */
+async function getEffectiveRoutingConfigVersion(tenantId, at = new Date()) {
+  return RoutingConfig.findOne({
+    tenantId,
+    status: 'active',
+    effectiveFrom: { $lte: at }
+  }).sort({ effectiveFrom: -1, version: -1 }).lean();
+}
+
+/**
+ * Get routing configuration for a tenant (effective DB version over env defaults)
+ * Cached for 60s per tenant; call invalidateRoutingConfigCache after writes.
+ * @param {ObjectId} tenantId - Tenant ID (omit for env defaults only)
+ * @returns {Promise<Object>} Routing configuration (with `version` metadata)
+ */
+async function getRoutingConfig(tenantId = null) {
+  const defaults = getDefaultRoutingConfig();
+  if (!tenantId) {
+    return { ...defaults, version: null };
+  }
+
+  const cacheKey = tenantId.toString();
+  const cached = configCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.config;
+  }
+
+  try {
+    const stored = await getEffectiveRoutingConfigVersion(tenantId);
+    const config = stored
+      ? {
+          ...mergeRoutingConfig(defaults, stored),
+          version: { configId: stored._id, version: stored.version, effectiveFrom: stored.effectiveFrom }
+        }
+      : { ...defaults, version: null };
+
+    configCache.set(cacheKey, { config, expiresAt: Date.now() + CACHE_TTL_MS });
+    return config;
+  } catch (err) {
+    // Never block routing on config lookup - fall back to env defaults
+    console.error('[RoutingConfig] Failed to load tenant config, using defaults:', err.message);
+    return { ...defaults, version: null };
+  }
+}
+
+/**
+ * Clear cached routing config (one tenant, or all)
+ */
+function invalidateRoutingConfigCache(tenantId = null) {
+  if (tenantId) {
+    configCache.delete(tenantId.toString());
+  } else {
+    configCache.clear();
+  }
+}
+
+/**
+ * Current hour (0-23) in a timezone (server time if none)
+ */
+function getHourInTimezone(date, timezone) {
+  if (!timezone) {
+    return date.getHours();
+  }
+  const hour = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }).format(date);
+  return parseInt(hour, 10);
+}
+
 /**
  * Check if current time is within quiet hours
+ * @param {Object} quietHours - Quiet hours config (defaults to env settings)
+ * @param {Date} now - Point in time (default now)
  * @returns {Boolean} True if within quiet hours
  */
-function isQuietHours() {
-  const config = {
-    enabled: process.env.ROUTING_QUIET_HOURS_ENABLED === 'true',
-    startHour: parseInt(process.env.ROUTING_QUIET_HOURS_START) || 22,
-    endHour: parseInt(process.env.ROUTING_QUIET_HOURS_END) || 8
-  };
-  
+function isQuietHours(quietHours = null, now = new Date()) {
+  const config = quietHours || getDefaultRoutingConfig().quietHours;
+
   if (!config.enabled) {
     return false;
   }
-  
-  const now = new Date();
-  const currentHour = now.getHours();
-  
+
+  const currentHour = getHourInTimezone(now, config.timezone);
+
   // Handle quiet hours that span midnight (e.g., 22:00 - 08:00)
   if (config.startHour > config.endHour) {
     return currentHour >= config.startHour || currentHour < config.endHour;
@@ -95,7 +298,12 @@ function isQuietHours() {
 }
 
 module.exports = {
+  GRADES,
   getRoutingConfig,
+  getDefaultRoutingConfig,
+  getEffectiveRoutingConfigVersion,
+  mergeRoutingConfig,
+  validateRoutingConfig,
+  invalidateRoutingConfigCache,
   isQuietHours
 };
-
@@ -5,6 +5,7 @@ const User = require('../models/user');
 const LoginToken = require('../models/LoginToken');
 const { jwtSecret, jwtExpiresIn, cookie, magicLinkSecret } = require('../config/auth');
 const { sendMagicLinkEmail } = require('../services/magicLinkEmailService');
+const { getTenantBranding } = require('../utils/branding');
 
 const MAGIC_LINK_EXPIRES_MINUTES = 15;
 
@@ -55,7 +56,7 @@ exports.requestLink = async (req, res, next) => {
       return res.status(400).json({ error: 'Email is required' });
     }
 
-    const user = await User.findOne({ email }).select('_id');
+    const user = await User.findOne({ email }).select('_id tenantId');
     if (user) {
       const rawToken = crypto.randomBytes(32).toString('hex');
       const tokenHash = hashToken(rawToken);
@@ -73,7 +74,8 @@ exports.requestLink = async (req, res, next) => {
           loginLink,
           deviceInfo,
           ip,
-          expiresMinutes: MAGIC_LINK_EXPIRES_MINUTES
+          expiresMinutes: MAGIC_LINK_EXPIRES_MINUTES,
+          branding: await getTenantBranding(user.tenantId)
         });
       } catch (err) {
         // Log but do not leak; return same success message
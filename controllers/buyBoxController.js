@@ -71,6 +71,7 @@ exports.createBuyBox = async (req, res, next) => {
       strategy,
       requiresPositiveCashFlow,
       cashFlowConfig,
+      mao,
       active
     } = req.body;
 
@@ -121,6 +122,7 @@ exports.createBuyBox = async (req, res, next) => {
       strategy: strategy || 'flip',
       requiresPositiveCashFlow: finalRequiresCashFlow !== undefined ? finalRequiresCashFlow : false,
       cashFlowConfig: cashFlowConfig || {},
+      mao: mao || {},
       active: active !== undefined ? active : true
     });
 
@@ -161,6 +163,10 @@ exports.updateBuyBox = async (req, res, next) => {
       counties,
       cityOverrides,
       exclusions,
+      strategy,
+      requiresPositiveCashFlow,
+      cashFlowConfig,
+      mao,
       active
     } = req.body;
 
@@ -194,6 +200,7 @@ exports.updateBuyBox = async (req, res, next) => {
     if (exclusions !== undefined) buyBox.exclusions = exclusions;
     if (strategy !== undefined) buyBox.strategy = strategy;
     if (cashFlowConfig !== undefined) buyBox.cashFlowConfig = cashFlowConfig;
+    if (mao !== undefined) buyBox.mao = mao;
     
     // Handle requiresPositiveCashFlow - auto-set for buy_hold/commercial
     if (requiresPositiveCashFlow !== undefined) {
@@ -41,6 +41,7 @@ exports.createFeedback = async (req, res, next) => {
 
     // Create feedback
     const feedback = await BuyerFeedback.create({
+      tenantId: lead.tenantId,
       buyerId,
       leadId,
       responseType,
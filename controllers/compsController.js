@@ -0,0 +1,138 @@
+// controllers/compsController.js
+// Sale / rent comparables: CSV (MLS export) import, listing, and per-lead ARV and rent estimates
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Comp = require('../models/Comp');
+const Lead = require('../models/Lead');
+const { COMP_FIELDS } = require('../utils/comps');
+const { normalizeMarket } = require('../utils/marketUtils');
+const { recalculateAndSaveLeadScore } = require('../utils/leadScoringEngine');
+const { COMP_TYPES, importComps, estimateLeadValuation, refreshLeadValuation } = require('../services/compsService');
+
+const MAX_FILE_MB = parseInt(process.env.COMPS_IMPORT_MAX_FILE_MB) || 20;
+const upload = multer({ limits: { fileSize: MAX_FILE_MB * 1024 * 1024 } }); // memory storage
+
+// Accepts a CSV file (field name: file); upload errors (e.g. too large) are a 400
+exports.uploadMiddleware = (req, res, next) => {
+  upload.single('file')(req, res, err => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
+
+async function findLead(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.leadId)) return null;
+  return Lead.findOne({ _id: req.params.leadId, tenantId: req.user.tenantId });
+}
+
+/**
+ * POST /api/comps/import
+ * Multipart: file (CSV), type (sale | rent), marketKey? (default: from each row's state / county / city),
+ * mapping? (JSON { "<csv header>": "<comp field>" }; detected if omitted), source? (csv | mls), dryRun? (true)
+ */
+exports.importComps = async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'CSV file required' });
+
+    const { type, marketKey, source, dryRun } = req.body;
+    if (!COMP_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${COMP_TYPES.join(', ')}` });
+    }
+    if (marketKey && !normalizeMarket(marketKey)) {
+      return res.status(400).json({ error: 'marketKey must look like TX-DFW' });
+    }
+
+    let mapping;
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (err) {
+        return res.status(400).json({ error: 'mapping must be valid JSON' });
+      }
+    }
+
+    const report = await importComps(req.user.tenantId, req.user.id, req.file.buffer, {
+      type,
+      marketKey,
+      mapping,
+      source: source === 'mls' ? 'mls' : 'csv',
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+    if (report.errors) {
+      return res.status(400).json({ error: 'Invalid comps file', details: report.errors, mapping: report.mapping });
+    }
+
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/comps
+ * Query: type, marketKey, zip, limit (max 200). Also lists the importable columns.
+ */
+exports.listComps = async (req, res, next) => {
+  try {
+    const filter = { tenantId: req.user.tenantId };
+    if (COMP_TYPES.includes(req.query.type)) filter.type = req.query.type;
+    if (req.query.marketKey) filter.marketKey = normalizeMarket(req.query.marketKey);
+    if (req.query.zip) filter.zip = String(req.query.zip);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const [comps, total] = await Promise.all([
+      Comp.find(filter).sort({ eventDate: -1 }).limit(limit).lean(),
+      Comp.countDocuments(filter)
+    ]);
+
+    res.json({
+      comps,
+      total,
+      fields: Object.entries(COMP_FIELDS).map(([field, def]) => ({
+        field,
+        type: def.type,
+        required: Boolean(def.required),
+        aliases: def.aliases
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/comps/leads/:leadId
+ * Fresh ARV and rent estimates with the comparables used (nothing saved)
+ */
+exports.getLeadComps = async (req, res, next) => {
+  try {
+    const lead = await findLead(req);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+    res.json({ leadId: lead._id, ...(await estimateLeadValuation(lead)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/comps/leads/:leadId/refresh
+ * Re-run the estimates, save them on the lead and rescore it
+ */
+exports.refreshLeadComps = async (req, res, next) => {
+  try {
+    const lead = await findLead(req);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+    await refreshLeadValuation(lead, { force: true });
+    await recalculateAndSaveLeadScore(lead);
+
+    res.json({
+      leadId: lead._id,
+      valuation: lead.valuation,
+      leadScore: { score: lead.leadScore.score, grade: lead.leadScore.grade, cashFlow: lead.leadScore.cashFlow }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,29 +1,22 @@
 // controllers/crmController.js
 const Lead = require('../models/Lead');
 const Buyer = require('../models/Buyer');
-const multer = require('multer');
-const { parseCsvBuffer } = require('../utils/csvParser');
 const { sendNewDealAlert } = require('../utils/sms');
 const { upsertLeadFromSource } = require('../utils/leadUpsert');
 const { scoreLead, recalculateAndSaveLeadScore } = require('../utils/leadScoringEngine');
+const { syncLeadStatusToDeals } = require('../src/services/dealPromotionService');
 const { matchBuyerToLead } = require('../utils/buyerMatcher');
 const { emitToTenant, emitToRole, emitToRoom } = require('../utils/realtime');
-
-const upload = multer(); // memory storage
+const { buildLeadFilter } = require('../utils/leadFilters');
+const { recordStatusResponse } = require('../services/mailCampaignService');
+const { parseImportFile, previewImport, commitImport } = require('../services/leadImportService');
+const { uploadMiddleware } = require('./leadImportController');
 
 // GET /api/leads
+// Filters: status, category, grade, route, county, tags, q (see utils/leadFilters)
 exports.getLeads = async (req, res, next) => {
   try {
-    const { status, category, q } = req.query;
-    const filter = { tenantId: req.user.tenantId }; // Tenant-scoped
-    if (status) filter.status = status;
-    if (category) filter.category = category;
-    if (q) {
-      filter.$or = [
-        { ownerName: new RegExp(q, 'i') },
-        { propertyAddress: new RegExp(q, 'i') }
-      ];
-    }
+    const filter = buildLeadFilter(req.user.tenantId, req.query);
 
     const leads = await Lead.find(filter).sort({ updatedAt: -1 }).limit(500);
     res.json(leads || []);
@@ -38,7 +31,7 @@ exports.getLeads = async (req, res, next) => {
 exports.createLead = async (req, res, next) => {
   try {
     // Add tenantId from user context
-    const payload = { ...req.body, tenantId: req.user.tenantId };
+    const payload = { ...req.body, tenantId: req.user.tenantId, signal: { type: 'manual' } };
     const { lead, isNew } = await upsertLeadFromSource('manual', payload);
     // Send SMS alert if this is a new lead
     await sendNewDealAlert(lead, isNew);
@@ -66,6 +59,11 @@ exports.updateStatus = async (req, res, next) => {
     );
     if (!lead) return res.status(404).json({ error: 'Lead not found' });
     
+    // Mirror onto deals promoted into this lead
+    await syncLeadStatusToDeals(lead, req.user.id);
+    // Credit the latest mail campaign letter when the seller engages
+    await recordStatusResponse(lead);
+    
     // Emit real-time event
     if (lead.tenantId) {
       emitToTenant(lead.tenantId, 'lead:updated', { leadId: lead._id, lead, changes: { status } });
@@ -79,57 +77,37 @@ exports.updateStatus = async (req, res, next) => {
 };
 
 // POST /api/leads/upload-csv
-// Accepts a CSV file (field name: file)
-exports.uploadCsvMiddleware = upload.single('file');
+// Accepts a CSV file (field name: file) and imports it in one step with the detected column mapping,
+// responding with { inserted, new, updated, importId } once the import finishes.
+// Use /api/crm/lead-imports to preview and adjust the mapping first, or for files too large to wait on.
+exports.uploadCsvMiddleware = uploadMiddleware;
 
 exports.uploadCsv = async (req, res, next) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'CSV file required' });
 
-    const records = await parseCsvBuffer(req.file.buffer);
-
-    // Expect headers like ownerName, propertyAddress, category, status, tags, askingPrice, city, state, zip
-    const toInsert = records.map(r => {
-      const tags = r.tags
-        ? String(r.tags)
-            .split(/[;,]/)
-            .map(t => t.trim())
-            .filter(Boolean)
-        : [];
-
-      return {
-        source: r.source || 'csv_upload',
-        category: r.category || '',
-        ownerName: r.ownerName || '',
-        propertyAddress: r.propertyAddress || '',
-        mailingAddress: r.mailingAddress || '',
-        city: r.city || '',
-        state: r.state || '',
-        zip: r.zip || '',
-        askingPrice: r.askingPrice ? Number(r.askingPrice) : undefined,
-        beds: r.beds ? Number(r.beds) : undefined,
-        baths: r.baths ? Number(r.baths) : undefined,
-        sqft: r.sqft ? Number(r.sqft) : undefined,
-        status: r.status || 'new',
-        tags,
-        notes: r.notes || '',
-        createdFrom: 'csv_upload'
-      };
-    });
+    const { headers, rows, errors } = await parseImportFile(req.file.buffer);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid CSV file', details: errors });
+    }
 
-    // Use upsertLeadFromSource for each record to handle deduplication
-    const tenantId = req.user.tenantId;
-    const results = await Promise.all(
-      toInsert.map(payload => upsertLeadFromSource('csv_upload', { ...payload, tenantId }))
-    );
-    
-    // Send SMS alerts for new leads only
-    for (const { lead, isNew } of results) {
-      await sendNewDealAlert(lead, isNew);
+    const preview = await previewImport(req.user.tenantId, req.user.id, {
+      filename: req.file.originalname,
+      headers,
+      rows
+    });
+    if (preview.mappingErrors.length) {
+      return res.status(400).json({
+        error: 'Could not map CSV columns',
+        details: preview.mappingErrors,
+        importId: preview.importId
+      });
     }
 
-    const newCount = results.filter(r => r.isNew).length;
-    res.json({ inserted: results.length, new: newCount, updated: results.length - newCount });
+    // This route has always answered once the rows are in, so run the import before responding
+    const imported = await commitImport(req.user.tenantId, preview.importId, req.user.id, { wait: true });
+    const { created, updated } = imported.totals;
+    res.json({ inserted: created + updated, new: created, updated, importId: imported._id });
   } catch (err) {
     next(err);
   }
@@ -7,6 +7,9 @@ const Template = require('../models/Template');
 const { matchBuyersForLead, determineMarketKey } = require('../services/buyerMatchingService');
 const { formatDealPackageAsText, formatDealPackageAsHTML } = require('../utils/dealPackageFormatter');
 const { getProvider, getAvailableProviders } = require('../services/outboundProviders');
+const { getTenantSmsNumber } = require('../services/smsNumberRoutingService');
+const { getTenantBranding } = require('../utils/branding');
+const { assignReplyAddress } = require('../src/services/blastReplyService');
 
 /**
  * GET /api/deal-blasts/leads/:leadId/matches
@@ -275,10 +278,10 @@ exports.sendBlast = async (req, res, next) => {
       });
     }
     
-    // Format deal package
-    const { formatDealPackageAsText, formatDealPackageAsHTML } = require('../utils/dealPackageFormatter');
-    const dealText = formatDealPackageAsText(lead, { redacted: true });
-    const dealHTML = formatDealPackageAsHTML(lead, { redacted: true });
+    // Format deal package (the branded text footer is for email only; SMS stays short)
+    const branding = await getTenantBranding(lead.tenantId);
+    const dealText = formatDealPackageAsText(lead, { redacted: true, branding: blast.channel === 'email' ? branding : null });
+    const dealHTML = formatDealPackageAsHTML(lead, { redacted: true, branding });
     
     // Replace template variables (simple implementation)
     let message = template.content;
@@ -287,6 +290,9 @@ exports.sendBlast = async (req, res, next) => {
     message = message.replace(/\{\{leadId\}\}/g, lead._id.toString());
     message = message.replace(/\{\{address\}\}/g, lead.propertyAddress || 'Address TBD');
     
+    // SMS goes out from the tenant's number so buyer replies route back to this tenant
+    const smsFrom = blast.channel === 'sms' ? await getTenantSmsNumber(lead.tenantId) : null;
+    
     // Send to each recipient
     let sentCount = 0;
     let failedCount = 0;
@@ -317,6 +323,7 @@ exports.sendBlast = async (req, res, next) => {
         const sendParams = {
           to,
           message: message,
+          tenantId: lead.tenantId,
           dealBlastRecipientId: recipient._id.toString(),
           metadata: {
             leadId: lead._id.toString(),
@@ -329,6 +336,17 @@ exports.sendBlast = async (req, res, next) => {
         if (blast.channel === 'email') {
           sendParams.subject = `New Deal Opportunity - ${lead.propertyAddress || 'Property'}`;
           sendParams.html = dealHTML;
+          sendParams.fromName = branding.brandName;
+          sendParams.replyTo = branding.replyTo;
+          // Replies and bounces come back to the recipient's own address (ingested via /api/inbound/email)
+          const replyAddress = assignReplyAddress(recipient);
+          if (replyAddress) {
+            sendParams.replyTo = replyAddress;
+            sendParams.returnPath = replyAddress;
+          }
+        }
+        if (smsFrom) {
+          sendParams.from = smsFrom;
         }
         
         const result = await provider.send(sendParams);
@@ -525,27 +543,25 @@ exports.recordResponse = async (req, res, next) => {
     if (!hasOptOut && status !== 'replied') {
       try {
         const BuyerFeedback = require('../models/BuyerFeedback');
+        const { classifyBuyerReply, toFeedbackReply } = require('../utils/buyerReplyClassifier');
+        
+        // The status is the user's call; the reply text still gives the kind of no and any counter-offer
+        const reply = responseText
+          ? await classifyBuyerReply(responseText, { channel: blast.channel, leadId: blast.leadId, buyerId: recipient.buyerId })
+          : null;
         let feedbackResponseType = 'pass';
         if (status === 'interested') {
           feedbackResponseType = 'interested';
-        } else if (status === 'not_interested') {
-          // Parse response text to determine feedback type
-          const responseLower = (responseText || '').toLowerCase();
-          if (responseLower.includes('too high') || responseLower.includes('price') || responseLower.includes('expensive')) {
-            feedbackResponseType = 'price_too_high';
-          } else if (responseLower.includes('wrong market') || responseLower.includes('wrong area')) {
-            feedbackResponseType = 'wrong_market';
-          } else if (responseLower.includes('more info') || responseLower.includes('details')) {
-            feedbackResponseType = 'needs_more_info';
-          } else {
-            feedbackResponseType = 'pass';
-          }
+        } else if (status === 'not_interested' && reply && reply.responseType !== 'interested') {
+          feedbackResponseType = reply.responseType;
         }
         
         const feedback = await BuyerFeedback.create({
+          tenantId: blast.tenantId,
           buyerId: recipient.buyerId,
           leadId: blast.leadId,
           responseType: feedbackResponseType,
+          reply: reply ? toFeedbackReply(reply) : undefined,
           optionalNotes: responseText || '',
           source: blast.channel === 'sms' ? 'sms' : blast.channel === 'email' ? 'email' : 'manual',
           dealBlastRecipientId: recipient._id,
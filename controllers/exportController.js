@@ -1,104 +1,47 @@
 // controllers/exportController.js
-const Preforeclosure = require('../models/PreForeclosure');
-const TaxLien = require('../models/TaxLien');
-const CodeViolation = require('../models/CodeViolation');
-const Probate = require('../models/Probate');
+// Tenant-scoped CSV / XLSX / JSON Lines exports of county records, streamed from a Mongo cursor
+const { RECORD_TYPES, validateRecordQuery, buildRecordFilter } = require('../utils/recordQuery');
+const { streamTable, parseExportFormat, EXPORT_FORMATS } = require('../utils/tabularExport');
 
-function toCsv(rows, fields) {
-  const header = fields.join(',');
-  const body = rows
-    .map(r =>
-      fields
-        .map(f => {
-          const val = r[f] != null ? String(r[f]) : '';
-          return `"${val.replace(/"/g, '""')}"`;
-        })
-        .join(',')
-    )
-    .join('\n');
-  return header + '\n' + body;
-}
-
-exports.exportPreforeclosures = async (req, res, next) => {
+/**
+ * Export every record matching the list filters (no pagination)
+ * Query: format (csv | xlsx | jsonl, default csv), county, from, to, minAmount, maxAmount, auctionFrom, auctionTo, q
+ */
+async function exportRecords(type, req, res, next) {
   try {
-    const rows = await Preforeclosure.find().lean();
-    const csv = toCsv(rows, [
-      'county',
-      'ownerName',
-      'propertyAddress',
-      'amountDelinquent',
-      'auctionDate'
-    ]);
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader(
-      'Content-Disposition',
-      'attachment; filename="preforeclosures.csv"'
-    );
-    res.send(csv);
-  } catch (err) {
-    next(err);
-  }
-};
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
 
-exports.exportTaxLiens = async (req, res, next) => {
-  try {
-    const rows = await TaxLien.find().lean();
-    const csv = toCsv(rows, [
-      'county',
-      'ownerName',
-      'propertyAddress',
-      'delinquentAmount',
-      'yearsOwed'
-    ]);
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader(
-      'Content-Disposition',
-      'attachment; filename="taxliens.csv"'
-    );
-    res.send(csv);
-  } catch (err) {
-    next(err);
-  }
-};
+    const { cursor, limit, ...filters } = req.query;
+    const errors = validateRecordQuery(type, filters);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
 
-exports.exportCodeViolations = async (req, res, next) => {
-  try {
-    const rows = await CodeViolation.find().lean();
-    const csv = toCsv(rows, [
-      'county',
-      'ownerName',
-      'propertyAddress',
-      'violationType',
-      'openedDate'
-    ]);
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader(
-      'Content-Disposition',
-      'attachment; filename="codeviolations.csv"'
-    );
-    res.send(csv);
-  } catch (err) {
-    next(err);
-  }
-};
+    const { model, exportFields, filename } = RECORD_TYPES[type];
+    const records = model.find(buildRecordFilter(req.tenantId, type, filters))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor();
 
-exports.exportProbate = async (req, res, next) => {
-  try {
-    const rows = await Probate.find().lean();
-    const csv = toCsv(rows, [
-      'county',
-      'executorName',
-      'attorneyName',
-      'estateAddress',
-      'caseNumber'
-    ]);
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader(
-      'Content-Disposition',
-      'attachment; filename="probate.csv"'
-    );
-    res.send(csv);
+    async function* rows() {
+      for await (const record of records) {
+        yield exportFields.map(field => record[field]);
+      }
+    }
+
+    await streamTable(res, { format, filename, headers: exportFields, rows: rows() });
   } catch (err) {
-    next(err);
+    if (!res.headersSent) return next(err);
+    // Too late for an error response - cut the download so it isn't mistaken for a complete file
+    console.error(`Export of ${type} failed mid-stream:`, err);
+    res.destroy(err);
   }
-};
\ No newline at end of file
+}
+
+exports.exportPreforeclosures = (req, res, next) => exportRecords('preforeclosures', req, res, next);
+exports.exportTaxLiens = (req, res, next) => exportRecords('taxliens', req, res, next);
+exports.exportCodeViolations = (req, res, next) => exportRecords('codeviolations', req, res, next);
+exports.exportProbate = (req, res, next) => exportRecords('probate', req, res, next);
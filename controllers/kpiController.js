@@ -5,6 +5,7 @@ const CloserKPI = require('../models/CloserKPI');
 const Lead = require('../models/Lead');
 const BuyerFeedback = require('../models/BuyerFeedback');
 const { getWeekStart } = require('../utils/closerKPIService');
+const { summarizeSlaAttainment } = require('../services/slaMonitorService');
 
 /**
  * Calculate weekly scorecard for a user
@@ -309,7 +310,7 @@ exports.getCloserKPIs = async (req, res, next) => {
 exports.getLeadPricingIntelligence = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const lead = await Lead.findById(id).select('buyerInterestScore suggestedPriceRange lastPriceDiscoveryAt askingPrice listPrice');
+    const lead = await Lead.findById(id).select('buyerInterestScore suggestedPriceRange buyerCounterOffers lastPriceDiscoveryAt askingPrice listPrice');
 
     if (!lead) {
       return res.status(404).json({ error: 'Lead not found' });
@@ -323,7 +324,8 @@ exports.getLeadPricingIntelligence = async (req, res, next) => {
       pass: feedback.filter(f => f.responseType === 'pass').length,
       price_too_high: feedback.filter(f => f.responseType === 'price_too_high').length,
       needs_more_info: feedback.filter(f => f.responseType === 'needs_more_info').length,
-      wrong_market: feedback.filter(f => f.responseType === 'wrong_market').length
+      wrong_market: feedback.filter(f => f.responseType === 'wrong_market').length,
+      counter_offers: feedback.filter(f => f.reply?.counterPrice).length
     };
 
     // Calculate confidence indicator (0-100)
@@ -352,6 +354,7 @@ exports.getLeadPricingIntelligence = async (req, res, next) => {
       leadId: lead._id,
       buyerInterestScore: lead.buyerInterestScore,
       suggestedPriceRange: lead.suggestedPriceRange,
+      buyerCounterOffers: lead.buyerCounterOffers,
       lastPriceDiscoveryAt: lead.lastPriceDiscoveryAt,
       currentPrice: lead.askingPrice || lead.listPrice,
       feedbackStats: stats,
@@ -480,6 +483,28 @@ exports.getRoutingPerformance = async (req, res, next) => {
       overrideCounts[userId] = (overrideCounts[userId] || 0) + 1;
     });
     
+    // SLA attainment per route and per assignee (breaches recorded by the SLA monitor)
+    const slaLeads = await Lead.find({
+      ...(req.user?.tenantId ? { tenantId: req.user.tenantId } : {}),
+      'routing.routedAt': { $gte: start, $lte: end },
+      'routing.sla.dueAt': { $ne: null }
+    })
+      .select('routing handoff closer dialerIntake.intakeCompletedAt updatedAt')
+      .populate('routing.assignedTo', 'name email')
+      .lean();
+    
+    // Only breaches of the current routing cycle count; a re-routed lead starts a new SLA
+    const routedAtByLead = new Map(slaLeads.map(l => [l._id.toString(), new Date(l.routing.routedAt)]));
+    const breachEvents = (await KpiEvent.find({
+      eventType: 'sla_breached',
+      leadId: { $in: slaLeads.map(l => l._id) }
+    }).select('leadId createdAt').lean())
+      .filter(e => new Date(e.createdAt) >= routedAtByLead.get(e.leadId.toString()));
+    const breachedLeadIds = new Set(breachEvents.map(e => e.leadId.toString()));
+    
+    const slaAttainment = summarizeSlaAttainment(slaLeads, breachedLeadIds);
+    const escalatedCount = slaLeads.filter(l => (l.routing?.sla?.escalationLevel || 0) > 0).length;
+    
     // Calculate summary metrics
     const aGradeWithAction = aGradeMetrics.filter(m => !m.noAction);
     const aGradeAvgTime = aGradeWithAction.length > 0
@@ -519,6 +544,11 @@ exports.getRoutingPerformance = async (req, res, next) => {
         total: overrideEvents.length,
         byUser: overrideCounts
       },
+      sla: {
+        ...slaAttainment,
+        breachEvents: breachEvents.length,
+        escalated: escalatedCount
+      },
       routingEvents: routingEvents.length
     });
   } catch (err) {
@@ -0,0 +1,211 @@
+// controllers/leadExportController.js
+// CRM lead export (CSV / JSON Lines / XLSX streamed from a cursor) and saved column presets
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadExportPreset = require('../models/LeadExportPreset');
+const { buildLeadFilter, toList } = require('../utils/leadFilters');
+const {
+  LEAD_EXPORT_FIELDS,
+  BUILT_IN_PRESETS,
+  normalizeColumns,
+  flattenLead,
+  projectionFor
+} = require('../utils/leadExport');
+const { streamTable, parseExportFormat, EXPORT_FORMATS } = require('../utils/tabularExport');
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Columns for an export: ?columns= list, else ?preset= (built-in name, saved preset name or id), else "default"
+ * @returns {Promise<{columns?: Array, errors?: Array<string>, notFound?: Boolean}>}
+ */
+async function resolveColumns(tenantId, query) {
+  if (query.columns) {
+    return normalizeColumns(toList(query.columns));
+  }
+
+  const presetName = String(query.preset || 'default');
+  if (Object.prototype.hasOwnProperty.call(BUILT_IN_PRESETS, presetName)) {
+    return normalizeColumns(BUILT_IN_PRESETS[presetName].columns);
+  }
+
+  const filter = /^[0-9a-f]{24}$/i.test(presetName)
+    ? { tenantId, _id: presetName }
+    : { tenantId, name: presetName };
+  const preset = await LeadExportPreset.findOne(filter).lean();
+  if (!preset) return { notFound: true };
+  return { columns: preset.columns, errors: [] };
+}
+
+/**
+ * Validate a preset create / update body
+ * @returns {{update: Object, errors: Array<string>}}
+ */
+function validatePresetBody(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const update = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push(`name: required, at most ${MAX_NAME_LENGTH} characters`);
+    } else if (Object.prototype.hasOwnProperty.call(BUILT_IN_PRESETS, name)) {
+      errors.push(`name: "${name}" is a built-in preset`);
+    } else {
+      update.name = name;
+    }
+  }
+
+  if (body.columns !== undefined || !partial) {
+    const result = normalizeColumns(body.columns);
+    errors.push(...result.errors);
+    update.columns = result.columns;
+  }
+
+  if (body.description !== undefined) {
+    update.description = body.description ? String(body.description) : '';
+  }
+
+  return { update, errors };
+}
+
+/**
+ * GET /api/crm/leads/export
+ * Query: format (csv | jsonl | xlsx, default csv), preset or columns, plus the crm.getLeads filters
+ * (status, category, grade, route, county, tags, q - see utils/leadFilters)
+ */
+exports.exportLeads = async (req, res, next) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const tenantId = req.user.tenantId;
+    const { columns, errors, notFound } = await resolveColumns(tenantId, req.query);
+    if (notFound) {
+      return res.status(404).json({ error: 'Export preset not found' });
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid columns', details: errors });
+    }
+
+    const leads = Lead.find(buildLeadFilter(tenantId, req.query))
+      .select(projectionFor(columns))
+      .sort({ updatedAt: -1, _id: -1 })
+      .lean()
+      .cursor();
+
+    async function* rows() {
+      for await (const lead of leads) {
+        yield flattenLead(lead, columns);
+      }
+    }
+
+    await streamTable(res, { format, filename: 'leads', headers: columns.map(c => c.header), rows: rows() });
+  } catch (err) {
+    if (!res.headersSent) return next(err);
+    console.error('Lead export failed mid-stream:', err);
+    res.destroy(err);
+  }
+};
+
+/**
+ * GET /api/crm/export-presets
+ * Built-in and saved presets, plus the exportable fields
+ */
+exports.listPresets = async (req, res, next) => {
+  try {
+    const presets = await LeadExportPreset.find({ tenantId: req.user.tenantId }).sort({ name: 1 }).lean();
+    const builtIn = Object.entries(BUILT_IN_PRESETS).map(([name, preset]) => ({
+      name,
+      description: preset.description,
+      columns: normalizeColumns(preset.columns).columns
+    }));
+
+    res.json({
+      builtIn,
+      presets,
+      fields: Object.entries(LEAD_EXPORT_FIELDS).map(([field, header]) => ({ field, header }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/crm/export-presets
+ * Body: { name, description?, columns: [field | { field, header }] }
+ */
+exports.createPreset = async (req, res, next) => {
+  try {
+    const { update, errors } = validatePresetBody(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid export preset', details: errors });
+    }
+
+    const preset = await LeadExportPreset.create({
+      ...update,
+      tenantId: req.user.tenantId,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    res.status(201).json(preset);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'An export preset with this name already exists' });
+    }
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/crm/export-presets/:id
+ * Body: any of { name, description, columns }
+ */
+exports.updatePreset = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Export preset not found' });
+    }
+
+    const { update, errors } = validatePresetBody(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid export preset', details: errors });
+    }
+
+    const preset = await LeadExportPreset.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.user.tenantId },
+      { $set: { ...update, updatedBy: req.user.id } },
+      { new: true }
+    );
+    if (!preset) {
+      return res.status(404).json({ error: 'Export preset not found' });
+    }
+    res.json(preset);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'An export preset with this name already exists' });
+    }
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/crm/export-presets/:id
+ */
+exports.deletePreset = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Export preset not found' });
+    }
+
+    const preset = await LeadExportPreset.findOneAndDelete({ _id: req.params.id, tenantId: req.user.tenantId });
+    if (!preset) {
+      return res.status(404).json({ error: 'Export preset not found' });
+    }
+    res.json({ deleted: true });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,189 @@
+// controllers/leadImportController.js
+// Two-phase CSV lead import: upload + dry-run preview, adjust mapping, commit (background), report
+const mongoose = require('mongoose');
+const multer = require('multer');
+const LeadImport = require('../models/LeadImport');
+const { IMPORT_FIELDS, validateMapping } = require('../utils/leadImport');
+const {
+  parseImportFile,
+  previewImport,
+  updatePreview,
+  commitImport
+} = require('../services/leadImportService');
+
+const MAX_FILE_MB = parseInt(process.env.LEAD_IMPORT_MAX_FILE_MB) || 10;
+const upload = multer({ limits: { fileSize: MAX_FILE_MB * 1024 * 1024 } }); // memory storage
+
+// Accepts a CSV file (field name: file); upload errors (e.g. too large) are a 400
+exports.uploadMiddleware = (req, res, next) => {
+  upload.single('file')(req, res, err => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
+
+/**
+ * Mapping from a JSON body or a multipart field (JSON string)
+ * @returns {{mapping?: Object, error?: string}}
+ */
+function readMapping(value) {
+  if (value === undefined || value === '') return {};
+  if (typeof value !== 'string') return { mapping: value };
+  try {
+    return { mapping: JSON.parse(value) };
+  } catch (err) {
+    return { error: 'mapping must be valid JSON' };
+  }
+}
+
+async function findImport(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return LeadImport.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+}
+
+/**
+ * POST /api/crm/lead-imports
+ * Multipart: file (CSV), mapping? (JSON { "<csv header>": "<lead field>" }; detected from the headers if omitted)
+ * Stores the upload and returns the dry-run report - nothing is imported yet
+ */
+exports.createImport = async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'CSV file required' });
+
+    const { mapping, error } = readMapping(req.body.mapping);
+    if (error) return res.status(400).json({ error });
+
+    const { headers, rows, errors } = await parseImportFile(req.file.buffer);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid CSV file', details: errors });
+    }
+    if (mapping) {
+      const mappingErrors = validateMapping(mapping, headers);
+      if (mappingErrors.length) {
+        return res.status(400).json({ error: 'Invalid mapping', details: mappingErrors });
+      }
+    }
+
+    const report = await previewImport(req.user.tenantId, req.user.id, {
+      filename: req.file.originalname,
+      headers,
+      rows,
+      mapping
+    });
+    res.status(201).json(report);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/crm/lead-imports/:id/preview
+ * Body: { mapping?, skipExisting? } - re-run the dry run on an uncommitted upload and save the changes
+ */
+exports.previewImport = async (req, res, next) => {
+  try {
+    const leadImport = await findImport(req);
+    if (!leadImport) return res.status(404).json({ error: 'Lead import not found' });
+    if (leadImport.status !== 'preview') {
+      return res.status(409).json({ error: `Lead import is already ${leadImport.status}` });
+    }
+
+    const { mapping, skipExisting } = req.body || {};
+    if (mapping !== undefined) {
+      const mappingErrors = validateMapping(mapping, leadImport.headers);
+      if (mappingErrors.length) {
+        return res.status(400).json({ error: 'Invalid mapping', details: mappingErrors });
+      }
+    }
+
+    res.json(await updatePreview(leadImport, { mapping, skipExisting }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/crm/lead-imports/:id/commit
+ * Body: { mapping?, skipExisting? } - optional last changes; otherwise the saved mapping is used
+ * Imports in the background (202); progress via lead:import_progress, report via GET /lead-imports/:id
+ */
+exports.commitImport = async (req, res, next) => {
+  try {
+    const leadImport = await findImport(req);
+    if (!leadImport) return res.status(404).json({ error: 'Lead import not found' });
+    if (leadImport.status !== 'preview') {
+      return res.status(409).json({ error: `Lead import is already ${leadImport.status}` });
+    }
+
+    const { mapping, skipExisting } = req.body || {};
+    const mappingErrors = validateMapping(mapping !== undefined ? mapping : leadImport.mapping, leadImport.headers);
+    if (mappingErrors.length) {
+      return res.status(400).json({ error: 'Invalid mapping', details: mappingErrors });
+    }
+    if (mapping !== undefined || skipExisting !== undefined) {
+      await updatePreview(leadImport, { mapping, skipExisting });
+    }
+
+    const queued = await commitImport(req.user.tenantId, leadImport._id, req.user.id);
+    if (!queued) {
+      return res.status(409).json({ error: 'Lead import was already committed' });
+    }
+
+    res.status(202).json({
+      message: 'Lead import queued',
+      importId: queued._id,
+      status: queued.status,
+      mapping: queued.mapping,
+      skipExisting: queued.skipExisting,
+      summary: queued.totals
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/crm/lead-imports
+ * Recent imports (summary only) plus the importable lead fields
+ */
+exports.listImports = async (req, res, next) => {
+  try {
+    const imports = await LeadImport.find({ tenantId: req.user.tenantId })
+      .select('-rows -rowErrors -duplicates')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({
+      imports,
+      fields: Object.entries(IMPORT_FIELDS).map(([field, def]) => ({
+        field,
+        type: def.type,
+        required: Boolean(def.required),
+        aliases: def.aliases
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/crm/lead-imports/:id
+ * Import report: totals, row errors and duplicates
+ */
+exports.getImport = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Lead import not found' });
+    }
+
+    const leadImport = await LeadImport.findOne({ _id: req.params.id, tenantId: req.user.tenantId })
+      .select('-rows')
+      .lean();
+    if (!leadImport) return res.status(404).json({ error: 'Lead import not found' });
+    res.json(leadImport);
+  } catch (err) {
+    next(err);
+  }
+};
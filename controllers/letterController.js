@@ -1,6 +1,23 @@
 // controllers/letterController.js
+const mongoose = require('mongoose');
 const Lead = require('../models/Lead');
-const { generateLeadLetter } = require('../utils/pdfGenerator');
+const Tenant = require('../models/Tenant');
+const Template = require('../models/Template');
+const MailCampaign = require('../models/MailCampaign');
+const { generateLeadLetter, generateCampaignLetters } = require('../utils/pdfGenerator');
+const { MERGE_FIELDS, findUnknownFields } = require('../utils/letterMerge');
+const { streamTable, parseExportFormat, EXPORT_FORMATS } = require('../utils/tabularExport');
+const {
+  ADDRESS_HEADERS,
+  findLetterTemplate,
+  previewCampaign,
+  createCampaign,
+  campaignLetters,
+  campaignAddressRows,
+  loadBranding,
+  recordMailResponse,
+  getCampaignStats
+} = require('../services/mailCampaignService');
 
 // GET /api/letters/:id/letter
 exports.getLetterPdf = async (req, res, next) => {
@@ -8,8 +25,191 @@ exports.getLetterPdf = async (req, res, next) => {
     const lead = await Lead.findById(req.params.id);
     if (!lead) return res.status(404).json({ error: 'Lead not found' });
 
-    generateLeadLetter(lead, res);
+    const branding = await loadBranding(await Tenant.findById(lead.tenantId).lean());
+    generateLeadLetter(lead, res, branding);
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+async function findCampaign(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return MailCampaign.findOne({ _id: req.params.id, tenantId: req.user.tenantId }).lean();
+}
+
+function campaignFilename(campaign) {
+  const slug = campaign.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campaign';
+  return `mail-${slug}-${campaign._id}`;
+}
+
+/**
+ * POST /api/letters/campaigns
+ * Body: { name, templateId, filters: { status, category, grade, route, county, tags, q }, includeRecentlyMailed?, confirm }
+ * - confirm false/omitted: who would be mailed, skip report, blank merge fields and sample letters (nothing recorded)
+ * - confirm true: records the campaign and logs a mail touch on each lead (201)
+ */
+exports.createMailCampaign = async (req, res, next) => {
+  try {
+    const { name, templateId, filters = {}, includeRecentlyMailed = false, confirm = false } = req.body || {};
+
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      return res.status(400).json({ error: 'filters must be an object' });
+    }
+    if (confirm && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({ error: 'templateId is required' });
+    }
+
+    const template = await findLetterTemplate(req.user.tenantId, templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Approved letter template not found' });
+    }
+    const unknownFields = findUnknownFields(template.content);
+    if (unknownFields.length) {
+      return res.status(400).json({
+        error: 'Template uses unknown merge fields',
+        details: unknownFields,
+        mergeFields: Object.keys(MERGE_FIELDS)
+      });
+    }
+
+    if (!confirm) {
+      const preview = await previewCampaign(req.user.tenantId, template, filters, { includeRecentlyMailed });
+      return res.json({ confirmed: false, ...preview });
+    }
+
+    const { campaign, summary } = await createCampaign(req.user.tenantId, req.user.id, {
+      name: name.trim(),
+      template,
+      filters,
+      includeRecentlyMailed
+    });
+    res.status(201).json({ confirmed: true, campaign, summary });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/letters/campaigns
+ * Recent campaigns with mailed / responded counts and response rate (percent)
+ */
+exports.listMailCampaigns = async (req, res, next) => {
+  try {
+    const campaigns = await MailCampaign.find({ tenantId: req.user.tenantId })
+      .select('-skipped')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    const stats = await getCampaignStats(req.user.tenantId, campaigns.map(c => c._id));
+
+    res.json({
+      campaigns: campaigns.map(c => ({ ...c, stats: stats.get(c._id.toString()) })),
+      mergeFields: MERGE_FIELDS
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/letters/campaigns/:id
+ */
+exports.getMailCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) return res.status(404).json({ error: 'Mail campaign not found' });
+
+    const stats = await getCampaignStats(req.user.tenantId, [campaign._id]);
+    res.json({ ...campaign, stats: stats.get(campaign._id.toString()) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/letters/campaigns/:id/letters
+ * One print-ready PDF with every letter, in the same order as the address file
+ */
+exports.getMailCampaignLetters = async (req, res, next) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) return res.status(404).json({ error: 'Mail campaign not found' });
+
+    const [template, tenant] = await Promise.all([
+      // The pinned version, even if it has since been archived
+      Template.findOne({ _id: campaign.templateId, tenantId: campaign.tenantId }).lean(),
+      Tenant.findById(campaign.tenantId).lean()
+    ]);
+    if (!template) return res.status(404).json({ error: 'Letter template no longer exists' });
+
+    const branding = await loadBranding(tenant);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${campaignFilename(campaign)}.pdf"`);
+
+    await generateCampaignLetters(res, {
+      branding,
+      letters: campaignLetters(campaign, template, tenant || {}),
+      title: campaign.name
+    });
+  } catch (err) {
+    if (!res.headersSent) return next(err);
+    console.error(`Mail campaign ${req.params.id} PDF failed mid-stream:`, err);
+    res.destroy(err);
+  }
+};
+
+/**
+ * GET /api/letters/campaigns/:id/addresses
+ * Mail house address file; query: format (csv | xlsx | jsonl, default csv)
+ */
+exports.getMailCampaignAddresses = async (req, res, next) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+
+    const campaign = await findCampaign(req);
+    if (!campaign) return res.status(404).json({ error: 'Mail campaign not found' });
+
+    await streamTable(res, {
+      format,
+      filename: campaignFilename(campaign),
+      headers: ADDRESS_HEADERS,
+      rows: campaignAddressRows(campaign)
+    });
+  } catch (err) {
+    if (!res.headersSent) return next(err);
+    console.error(`Mail campaign ${req.params.id} address export failed mid-stream:`, err);
+    res.destroy(err);
+  }
+};
+
+/**
+ * POST /api/letters/campaigns/:id/responses
+ * Body: { leadId } - log a reply to this campaign's letter (e.g. a seller calling in about it)
+ */
+exports.logMailCampaignResponse = async (req, res, next) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) return res.status(404).json({ error: 'Mail campaign not found' });
+
+    const { leadId } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(leadId)) {
+      return res.status(400).json({ error: 'leadId is required' });
+    }
+
+    const touch = await recordMailResponse(
+      { _id: leadId, tenantId: campaign.tenantId },
+      'manual',
+      { campaignId: campaign._id }
+    );
+    if (!touch) {
+      return res.status(404).json({ error: 'No unanswered letter for this lead in the campaign' });
+    }
+    res.json(touch);
+  } catch (err) {
+    next(err);
+  }
+};
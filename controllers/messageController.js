@@ -1,11 +1,16 @@
 // controllers/messageController.js
+const mongoose = require('mongoose');
 const MessageThread = require('../models/MessageThread');
 const Message = require('../models/Message');
+const SmsOptOut = require('../models/SmsOptOut');
 const Lead = require('../models/Lead');
 const Buyer = require('../models/Buyer');
 const User = require('../models/user');
 const { getProvider } = require('../services/outboundProviders');
 const { createNotification } = require('../services/notificationService');
+const { isSmsOptedOut, recordOptOut } = require('../services/smsOptOutService');
+const { getTenantSmsNumber } = require('../services/smsNumberRoutingService');
+const { normalizePhone } = require('../utils/smsBlast');
 const { emitToUser, emitToRoom } = require('../utils/realtime');
 
 /**
@@ -148,6 +153,10 @@ exports.sendMessage = async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid channel. Must be internal, sms, or email' });
     }
 
+    if (channel === 'sms' && externalAddress && await isSmsOptedOut(externalAddress, req.user.tenantId)) {
+      return res.status(409).json({ error: 'Recipient has opted out of SMS', phone: externalAddress });
+    }
+
     let thread;
 
     // Find or create thread
@@ -162,6 +171,9 @@ exports.sendMessage = async (req, res, next) => {
       if (!canUserAccessThread(thread, userId, userRole)) {
         return res.status(403).json({ error: 'Access denied' });
       }
+      if (channel === 'sms' && !externalAddress && thread.sellerPhone && await isSmsOptedOut(thread.sellerPhone, thread.tenantId)) {
+        return res.status(409).json({ error: 'Recipient has opted out of SMS', phone: thread.sellerPhone });
+      }
     } else {
       // Create new thread
       const threadParticipants = participants || [userId];
@@ -192,7 +204,7 @@ exports.sendMessage = async (req, res, next) => {
       senderRole: userRole,
       body,
       channel,
-      externalAddress: externalAddress || null,
+      externalAddress: externalAddress || (channel === 'sms' ? thread.sellerPhone : null) || null,
       inbound: false,
       readBy: [{
         userId,
@@ -213,6 +225,9 @@ exports.sendMessage = async (req, res, next) => {
           let recipient = null;
           if (externalAddress) {
             recipient = externalAddress;
+          } else if (channel === 'sms' && thread.sellerPhone) {
+            // Seller SMS conversation: reply to the number the seller texted from
+            recipient = thread.sellerPhone;
           } else if (relatedBuyerId) {
             const buyer = await Buyer.findById(relatedBuyerId);
             if (channel === 'sms' && buyer?.phones?.length > 0) {
@@ -223,9 +238,12 @@ exports.sendMessage = async (req, res, next) => {
           }
 
           if (recipient) {
-            await provider.send({
+            const sent = await provider.send({
               to: recipient,
               message: body,
+              // From the tenant's number so the reply routes back to this tenant
+              from: channel === 'sms' ? await getTenantSmsNumber(thread.tenantId) : null,
+              tenantId: thread.tenantId,
               metadata: {
                 threadId: thread._id.toString(),
                 messageId: message._id.toString(),
@@ -233,6 +251,10 @@ exports.sendMessage = async (req, res, next) => {
                 buyerId: relatedBuyerId?.toString()
               }
             });
+            // Delivery status callbacks find the message by the provider's id
+            message.providerMessageId = sent.messageId;
+            message.deliveryStatus = sent.status;
+            await message.save();
           }
         }
       } catch (sendError) {
@@ -318,6 +340,60 @@ exports.markMessageRead = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/messages/sms-opt-outs
+ * Tenant's SMS do-not-contact list (?active=false includes numbers that opted back in)
+ */
+exports.listSmsOptOuts = async (req, res, next) => {
+  try {
+    const filter = { tenantId: req.user.tenantId };
+    if (req.query.active !== 'false') filter.active = true;
+
+    const optOuts = await SmsOptOut.find(filter)
+      .sort({ optedOutAt: -1 })
+      .limit(500)
+      .lean();
+
+    res.json(optOuts);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/messages/sms-opt-outs
+ * Add a number to the do-not-contact list by hand (e.g. "don't text me" on a call)
+ * Body: { phone, leadId? }. Only a START text from the number takes it off again.
+ */
+exports.addSmsOptOut = async (req, res, next) => {
+  try {
+    const { phone, leadId } = req.body;
+    if (!normalizePhone(phone)) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+    if (leadId) {
+      if (!mongoose.Types.ObjectId.isValid(leadId)) {
+        return res.status(400).json({ error: 'Invalid leadId' });
+      }
+      if (!(await Lead.exists({ _id: leadId, tenantId: req.user.tenantId }))) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+    }
+
+    const optOut = await recordOptOut({
+      phone,
+      source: 'manual',
+      tenantId: req.user.tenantId,
+      leadId: leadId || null,
+      addedBy: req.user.id
+    });
+
+    res.status(201).json(optOut);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Role-based access control helpers
  */
@@ -1,12 +1,19 @@
-const Preforeclosure = require('../models/PreForeclosure');
+// controllers/preforeclosureController.js
+const { validateRecordQuery, findRecordsPage } = require('../utils/recordQuery');
 
+// GET /api/preforeclosures
+// Tenant-scoped, newest first. Filters: county, from, to, minAmount, maxAmount, auctionFrom, auctionTo, q (see utils/recordQuery)
+// Pagination: limit (default 100, max 500), cursor = nextCursor from the previous page
 exports.getAll = async (req, res, next) => {
   try {
-    const rows = await Preforeclosure.find().sort({ createdAt: -1 }).limit(500);
-    res.json(rows || []);
+    const errors = validateRecordQuery('preforeclosures', req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    const page = await findRecordsPage('preforeclosures', req.tenantId, req.query);
+    res.json(page);
   } catch (err) {
-    // Never crash - return empty array on error
-    console.error('Error fetching preforeclosures:', err);
-    res.json([]);
+    next(err);
   }
-};
\ No newline at end of file
+};
@@ -1,12 +1,19 @@
-const Probate = require('../models/Probate');
+// controllers/probateController.js
+const { validateRecordQuery, findRecordsPage } = require('../utils/recordQuery');
 
+// GET /api/probate
+// Tenant-scoped, newest first. Filters: county, from, to, q (see utils/recordQuery)
+// Pagination: limit (default 100, max 500), cursor = nextCursor from the previous page
 exports.getAll = async (req, res, next) => {
   try {
-    const rows = await Probate.find().sort({ createdAt: -1 }).limit(500);
-    res.json(rows || []);
+    const errors = validateRecordQuery('probate', req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    const page = await findRecordsPage('probate', req.tenantId, req.query);
+    res.json(page);
   } catch (err) {
-    // Never crash - return empty array on error
-    console.error('Error fetching probate:', err);
-    res.json([]);
+    next(err);
   }
 };
@@ -1,4 +1,5 @@
 // controllers/rapidOfferCloserController.js
+const mongoose = require('mongoose');
 const Lead = require('../models/Lead');
 const Buyer = require('../models/Buyer');
 const Template = require('../models/Template');
@@ -8,6 +9,8 @@ const { matchBuyerToLead } = require('../utils/buyerMatcher');
 const { sendBuyerBlast } = require('../utils/buyerBlast/emailBlast');
 const DealBlast = require('../models/DealBlast');
 const { getAvailableProviders } = require('../services/outboundProviders');
+const { findLeadBuyBox, calculateOfferCalc } = require('../services/offerCalcService');
+const { recordStatusResponse } = require('../services/mailCampaignService');
 
 /**
  * GET /api/rapid-offer/closer/queue
@@ -251,6 +254,16 @@ exports.setOffer = async (req, res, next) => {
       ...closerData
     };
 
+    // Warn (don't block) when the offer is above the lane's max offer
+    if (closerData.offerAmount !== undefined) {
+      try {
+        const { offerCheck } = await calculateOfferCalc(lead);
+        lead.set('closer.maoCheck', offerCheck ? { ...offerCheck, checkedAt: new Date() } : undefined);
+      } catch (err) {
+        console.error('Failed to check offer against MAO:', err);
+      }
+    }
+
     // Auto-process cash buyer if offer lane is set to cash
     if (closerData.offerLaneFinal === 'cash') {
       try {
@@ -313,6 +326,37 @@ exports.setOffer = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/rapid-offer/closer/leads/:id/offer-calc
+ * Cash MAO from the buy box formula and an opening / target / max offer ladder per lane.
+ * Query: buyBoxId (optional) to price against another of the tenant's buy boxes
+ */
+exports.getOfferCalc = async (req, res, next) => {
+  try {
+    const lead = await Lead.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const options = {};
+    if (req.query.buyBoxId) {
+      options.buyBox = mongoose.Types.ObjectId.isValid(req.query.buyBoxId)
+        ? await findLeadBuyBox(lead, req.query.buyBoxId)
+        : null;
+      if (!options.buyBox) {
+        return res.status(404).json({ error: 'Buy Box not found' });
+      }
+    }
+
+    res.json({ leadId: lead._id, ...(await calculateOfferCalc(lead, options)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * POST /api/rapid-offer/closer/leads/:id/override-score
  * Override lead score grade with reason (closer only)
@@ -560,6 +604,63 @@ exports.overrideRouting = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/rapid-offer/closer/leads/:id/assign
+ * Assign the routed lead's SLA owner (receives first-tier SLA breach alerts)
+ * Body: { userId } (null to unassign)
+ */
+exports.assignLead = async (req, res, next) => {
+  try {
+    // Only admin/manager can assign leads
+    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      return res.status(403).json({ error: 'Only admins and managers can assign leads' });
+    }
+
+    const lead = await Lead.findOne({ 
+      _id: req.params.id,
+      tenantId: req.user.tenantId 
+    });
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const { userId } = req.body;
+    let assignee = null;
+    if (userId) {
+      const User = require('../models/user');
+      assignee = await User.findOne({ _id: userId, tenantId: req.user.tenantId })
+        .select('name email role');
+      if (!assignee) {
+        return res.status(400).json({ error: 'Assignee not found in this tenant' });
+      }
+    }
+
+    if (!lead.routing) {
+      lead.routing = {};
+    }
+    lead.routing.assignedTo = assignee ? assignee._id : null;
+    await lead.save();
+
+    if (assignee && assignee._id.toString() !== req.user.id.toString()) {
+      const { createNotification } = require('../services/notificationService');
+      await createNotification({
+        userId: assignee._id,
+        tenantId: req.user.tenantId,
+        type: 'lead_assigned',
+        title: 'Lead Assigned',
+        message: `${lead.ownerName || 'Unknown owner'} - ${lead.propertyAddress || lead.mailingAddress || 'Unknown address'}`,
+        entityType: 'lead',
+        entityId: lead._id,
+        priority: lead.routing.priorityLevel === 'urgent' ? 'high' : 'normal'
+      });
+    }
+
+    res.json({ message: assignee ? 'Lead assigned' : 'Lead unassigned', lead, assignee });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * POST /api/rapid-offer/closer/leads/:id/mark-under-contract
  */
@@ -599,6 +700,15 @@ exports.markUnderContract = async (req, res, next) => {
 
     await lead.save();
 
+    try {
+      const { syncLeadStatusToDeals } = require('../src/services/dealPromotionService');
+      await syncLeadStatusToDeals(lead, req.user.id);
+    } catch (err) {
+      console.error('Failed to sync deal status:', err);
+    }
+    // Credit the latest mail campaign letter, same as a status change from the CRM
+    await recordStatusResponse(lead);
+
     // Create KPI event for contract signed
     try {
       await KpiEvent.create({
@@ -780,15 +890,15 @@ exports.getMatchingBuyers = async (req, res, next) => {
 
 /**
  * POST /api/rapid-offer/closer/leads/:id/send-buyer-blast
- * Send buyer blast email to matched buyers
+ * Send buyer blast email to matched buyers (recorded as an email DealBlast, replies captured per recipient)
  */
 exports.sendBuyerBlast = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const userId = req.user.id;
     const { buyerIds, maskAddress = false, includeFullDetails = true, subject } = req.body;
 
-    const lead = await Lead.findById(id);
+    const lead = await Lead.findOne({ _id: id, tenantId: req.user.tenantId });
     if (!lead) {
       return res.status(404).json({ error: 'Lead not found' });
     }
@@ -796,10 +906,10 @@ exports.sendBuyerBlast = async (req, res, next) => {
     // Get buyers - either specified IDs or auto-match
     let buyers = [];
     if (buyerIds && buyerIds.length > 0) {
-      buyers = await Buyer.find({ _id: { $in: buyerIds }, active: true });
+      buyers = await Buyer.find({ _id: { $in: buyerIds }, tenantId: lead.tenantId, active: true });
     } else {
       // Auto-match buyers
-      const allBuyers = await Buyer.find({ active: true });
+      const allBuyers = await Buyer.find({ tenantId: lead.tenantId, active: true });
       buyers = allBuyers
         .map(buyer => {
           const matchResult = matchBuyerToLead(lead, buyer, 70);
@@ -816,6 +926,7 @@ exports.sendBuyerBlast = async (req, res, next) => {
 
     // Send buyer blast
     const results = await sendBuyerBlast(lead, buyers, {
+      createdBy: userId,
       maskAddress,
       includeFullDetails,
       subject
@@ -831,7 +942,8 @@ exports.sendBuyerBlast = async (req, res, next) => {
           buyerCount: results.sent.length,
           failedCount: results.failed.length,
           maskAddress,
-          channel: 'email'
+          channel: 'email',
+          blastId: results.dealBlastId ? results.dealBlastId.toString() : null
         }
       });
     } catch (kpiErr) {
@@ -841,6 +953,7 @@ exports.sendBuyerBlast = async (req, res, next) => {
 
     res.json({
       message: 'Buyer blast sent',
+      dealBlastId: results.dealBlastId,
       results: {
         sent: results.sent.length,
         failed: results.failed.length,
@@ -0,0 +1,323 @@
+// controllers/routingConfigController.js
+// Tenant routing configuration: versioned CRUD + dry run
+const RoutingConfig = require('../models/RoutingConfig');
+const Lead = require('../models/Lead');
+const {
+  getRoutingConfig,
+  getDefaultRoutingConfig,
+  mergeRoutingConfig,
+  validateRoutingConfig,
+  invalidateRoutingConfigCache
+} = require('../config/routingConfig');
+const { diffRoutingConfigs } = require('../services/dealRoutingService');
+
+const CONFIG_FIELDS = ['gradeThresholds', 'slaHours', 'alertChannels', 'quietHours', 'majorExclusions', 'motivation'];
+
+/**
+ * Pick config fields from a request body
+ */
+function pickConfigFields(body = {}) {
+  const picked = {};
+  for (const field of CONFIG_FIELDS) {
+    if (body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+}
+
+/**
+ * Parse an optional effectiveFrom value
+ * @returns {Date|null|undefined} Date, null if invalid, undefined if not provided
+ */
+function parseEffectiveFrom(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+async function getNextVersion(tenantId) {
+  const latest = await RoutingConfig.findOne({ tenantId }).sort({ version: -1 }).select('version').lean();
+  return (latest?.version || 0) + 1;
+}
+
+/**
+ * GET /api/routing/config
+ * List config versions for the tenant (newest first) plus the effective config
+ */
+exports.listConfigs = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const filter = { tenantId: req.user.tenantId };
+    if (status) filter.status = status;
+
+    const [versions, effective] = await Promise.all([
+      RoutingConfig.find(filter)
+        .sort({ version: -1 })
+        .populate('createdBy', 'name email')
+        .populate('activatedBy', 'name email')
+        .lean(),
+      getRoutingConfig(req.user.tenantId)
+    ]);
+
+    res.json({ versions, effective });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/routing/config/effective
+ * Resolved config currently applied to routing (env defaults + effective version)
+ */
+exports.getEffectiveConfig = async (req, res, next) => {
+  try {
+    invalidateRoutingConfigCache(req.user.tenantId);
+    const config = await getRoutingConfig(req.user.tenantId);
+    res.json({ config, defaults: getDefaultRoutingConfig() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/routing/config/:id
+ */
+exports.getConfig = async (req, res, next) => {
+  try {
+    const config = await RoutingConfig.findOne({ _id: req.params.id, tenantId: req.user.tenantId })
+      .populate('createdBy', 'name email')
+      .populate('activatedBy', 'name email')
+      .populate('archivedBy', 'name email');
+
+    if (!config) {
+      return res.status(404).json({ error: 'Routing config not found' });
+    }
+
+    res.json(config);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/routing/config
+ * Create a new config version
+ * Body: { gradeThresholds?, slaHours?, alertChannels?, quietHours?, majorExclusions?, motivation?, description?,
+ *         activate?: boolean, effectiveFrom?: ISO date }
+ * Unset fields inherit from the current effective config.
+ */
+exports.createConfig = async (req, res, next) => {
+  try {
+    const { description, activate = false } = req.body;
+    const fields = pickConfigFields(req.body);
+
+    const errors = validateRoutingConfig(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid routing config', details: errors });
+    }
+
+    const effectiveFrom = parseEffectiveFrom(req.body.effectiveFrom);
+    if (effectiveFrom === null) {
+      return res.status(400).json({ error: 'Invalid effectiveFrom date' });
+    }
+
+    const tenantId = req.user.tenantId;
+    const current = await getRoutingConfig(tenantId);
+
+    // New versions start from the effective config so history holds full snapshots
+    const snapshot = mergeRoutingConfig(current, fields);
+
+    const config = new RoutingConfig({
+      tenantId,
+      version: await getNextVersion(tenantId),
+      status: activate ? 'active' : 'draft',
+      effectiveFrom: activate ? (effectiveFrom || new Date()) : effectiveFrom,
+      gradeThresholds: snapshot.gradeThresholds,
+      slaHours: snapshot.slaHours,
+      alertChannels: snapshot.alertChannels,
+      quietHours: snapshot.quietHours,
+      majorExclusions: snapshot.majorExclusions,
+      motivation: snapshot.motivation,
+      description,
+      basedOnVersion: current.version?.version || null,
+      createdBy: req.user.id,
+      activatedBy: activate ? req.user.id : undefined,
+      activatedAt: activate ? new Date() : undefined
+    });
+
+    await config.save();
+    invalidateRoutingConfigCache(tenantId);
+
+    res.status(201).json(config);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Version conflict, please retry' });
+    }
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/routing/config/:id
+ * Update a draft version (active/archived versions are immutable - create a new version instead)
+ */
+exports.updateConfig = async (req, res, next) => {
+  try {
+    const config = await RoutingConfig.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+    if (!config) {
+      return res.status(404).json({ error: 'Routing config not found' });
+    }
+    if (config.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft versions can be edited. Create a new version instead.' });
+    }
+
+    const fields = pickConfigFields(req.body);
+    const errors = validateRoutingConfig(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid routing config', details: errors });
+    }
+
+    const effectiveFrom = parseEffectiveFrom(req.body.effectiveFrom);
+    if (effectiveFrom === null) {
+      return res.status(400).json({ error: 'Invalid effectiveFrom date' });
+    }
+
+    const merged = mergeRoutingConfig(mergeRoutingConfig(getDefaultRoutingConfig(), config.toObject()), fields);
+    for (const field of CONFIG_FIELDS) {
+      config[field] = merged[field];
+    }
+    if (effectiveFrom) config.effectiveFrom = effectiveFrom;
+    if (req.body.description !== undefined) config.description = req.body.description;
+
+    await config.save();
+    res.json(config);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/routing/config/:id/activate
+ * Activate a draft, effective from body.effectiveFrom (default: now; future dates schedule the change)
+ */
+exports.activateConfig = async (req, res, next) => {
+  try {
+    const config = await RoutingConfig.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+    if (!config) {
+      return res.status(404).json({ error: 'Routing config not found' });
+    }
+    if (config.status !== 'draft') {
+      return res.status(400).json({ error: `Cannot activate a ${config.status} version` });
+    }
+
+    const effectiveFrom = parseEffectiveFrom(req.body?.effectiveFrom);
+    if (effectiveFrom === null) {
+      return res.status(400).json({ error: 'Invalid effectiveFrom date' });
+    }
+
+    config.status = 'active';
+    config.effectiveFrom = effectiveFrom || config.effectiveFrom || new Date();
+    config.activatedBy = req.user.id;
+    config.activatedAt = new Date();
+    await config.save();
+
+    invalidateRoutingConfigCache(req.user.tenantId);
+    res.json({ message: 'Routing config activated', config });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/routing/config/:id/archive
+ * Archive a version (an archived active version stops applying; the previous active version takes over)
+ */
+exports.archiveConfig = async (req, res, next) => {
+  try {
+    const config = await RoutingConfig.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+    if (!config) {
+      return res.status(404).json({ error: 'Routing config not found' });
+    }
+    if (config.status === 'archived') {
+      return res.status(400).json({ error: 'Routing config already archived' });
+    }
+
+    config.status = 'archived';
+    config.archivedBy = req.user.id;
+    config.archivedAt = new Date();
+    await config.save();
+
+    invalidateRoutingConfigCache(req.user.tenantId);
+    res.json({ message: 'Routing config archived', config });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/routing/config/:id
+ * Delete a draft version (active/archived versions are kept for history)
+ */
+exports.deleteConfig = async (req, res, next) => {
+  try {
+    const config = await RoutingConfig.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+    if (!config) {
+      return res.status(404).json({ error: 'Routing config not found' });
+    }
+    if (config.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft versions can be deleted. Archive it instead.' });
+    }
+
+    await config.deleteOne();
+    res.json({ message: 'Routing config draft deleted' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/routing/config/dry-run
+ * Re-run determineRoute on the last N leads with a candidate config and diff the results
+ * Body: { configId?: stored version to test, config?: partial overrides on top of the effective config,
+ *         limit?: number of most recent leads (default 100, max 1000) }
+ */
+exports.dryRun = async (req, res, next) => {
+  try {
+    const { configId, config: overrides = {} } = req.body || {};
+    const limit = Math.min(Math.max(parseInt(req.body?.limit) || 100, 1), 1000);
+    const tenantId = req.user.tenantId;
+
+    const errors = validateRoutingConfig(overrides);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid routing config', details: errors });
+    }
+
+    const current = await getRoutingConfig(tenantId);
+    let base = current;
+
+    if (configId) {
+      const stored = await RoutingConfig.findOne({ _id: configId, tenantId }).lean();
+      if (!stored) {
+        return res.status(404).json({ error: 'Routing config not found' });
+      }
+      base = mergeRoutingConfig(getDefaultRoutingConfig(), stored);
+    }
+    const candidate = mergeRoutingConfig(base, overrides);
+
+    const leads = await Lead.find({ tenantId })
+      .select('propertyAddress description notes leadScore routing dialerIntake.sellerReason dialerIntake.redFlags')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const { summary, changes } = diffRoutingConfigs(leads, current, candidate);
+
+    res.json({
+      currentVersion: current.version,
+      candidate,
+      summary,
+      changes
+    });
+  } catch (err) {
+    next(err);
+  }
+};
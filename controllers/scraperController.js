@@ -0,0 +1,84 @@
+// controllers/scraperController.js
+// County scraper run history + health
+const mongoose = require('mongoose');
+const ScraperRun = require('../models/ScraperRun');
+const scrapers = require('../scrapers');
+const { getScraperHealth } = require('../services/scraperRunService');
+const { getProxyStats } = require('../utils/proxypool');
+const { parseDate } = require('../utils/recordQuery');
+
+/**
+ * GET /api/scrapers/runs
+ * Run history, newest first
+ * Query: county, status, cycleId, since (ISO date), limit (default 50, max 200), before (ISO date cursor)
+ */
+exports.getRuns = async (req, res, next) => {
+  try {
+    const { county, status, cycleId, since, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const errors = [];
+    if (since && !parseDate(since)) errors.push('since: invalid date');
+    if (before && !parseDate(before)) errors.push('before: invalid date');
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    const filter = {};
+    if (county) filter.county = county;
+    if (status) filter.status = status;
+    if (cycleId) filter.cycleId = cycleId;
+    if (since || before) {
+      filter.startedAt = {};
+      if (since) filter.startedAt.$gte = parseDate(since);
+      if (before) filter.startedAt.$lt = parseDate(before);
+    }
+
+    const runs = await ScraperRun.find(filter)
+      .select('-metrics')
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      runs,
+      nextBefore: runs.length === limit ? runs[runs.length - 1].startedAt : null
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/scrapers/runs/:id
+ * Single run with per-record-type metrics
+ */
+exports.getRun = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Scraper run not found' });
+    }
+
+    const run = await ScraperRun.findById(req.params.id).lean();
+    if (!run) {
+      return res.status(404).json({ error: 'Scraper run not found' });
+    }
+
+    res.json(run);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/scrapers/health
+ * Per-county health (last run, failure / zero-yield streaks, recent averages), lock state, proxy pool
+ */
+exports.getHealth = async (req, res, next) => {
+  try {
+    const health = await getScraperHealth(Object.keys(scrapers));
+    res.json({ ...health, proxies: getProxyStats() });
+  } catch (err) {
+    next(err);
+  }
+};
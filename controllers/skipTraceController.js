@@ -1,10 +1,22 @@
 // controllers/skipTraceController.js
 const Lead = require('../models/Lead');
-const { skipTraceLead, estimateSkipTraceCost } = require('../services/skipTraceService');
+const SkipTraceJob = require('../models/SkipTraceJob');
+const SkipTraceBatch = require('../models/SkipTraceBatch');
+const { estimateSkipTraceCost } = require('../services/skipTraceService');
+const {
+  enqueueSkipTrace,
+  getQueueSummary,
+  setTenantQueuePaused,
+  retryJob,
+  cancelJob,
+  getBatchProgress
+} = require('../services/skipTraceQueueService');
+const { previewBulkSkipTrace, confirmBulkSkipTrace } = require('../services/skipTraceBulkService');
 
 /**
  * POST /api/skiptrace/:leadId
  * Request skip trace for a lead
+ * Enqueues a SkipTraceJob and returns 202 - providers run in the queue worker
  */
 exports.requestSkipTrace = async (req, res, next) => {
   try {
@@ -24,12 +36,18 @@ exports.requestSkipTrace = async (req, res, next) => {
       });
     }
 
-    // Perform skip trace
-    const updatedLead = await skipTraceLead(leadId, userId);
+    // Queue skip trace (idempotent while a job is already queued/running)
+    const { job, created } = await enqueueSkipTrace(lead, { userId });
 
-    res.json({
-      message: 'Skip trace requested successfully',
-      lead: updatedLead
+    res.status(202).json({
+      message: created ? 'Skip trace queued' : 'Skip trace already queued',
+      job: {
+        _id: job._id,
+        status: job.status,
+        estimatedCost: job.estimatedCost,
+        createdAt: job.createdAt
+      },
+      lead
     });
   } catch (err) {
     if (err.message === 'Lead not found') {
@@ -135,3 +153,179 @@ exports.estimateCost = async (req, res, next) => {
   }
 };
 
+
+/**
+ * GET /api/skiptrace/queue
+ * Inspect tenant skip trace queue (admin only)
+ * Query params: status, leadId, limit (default 50, max 200)
+ */
+exports.getQueue = async (req, res, next) => {
+  try {
+    const { status, leadId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = { tenantId: req.user.tenantId };
+    if (status) filter.status = status;
+    if (leadId) filter.leadId = leadId;
+
+    const [summary, jobs] = await Promise.all([
+      getQueueSummary(req.user.tenantId),
+      SkipTraceJob.find(filter)
+        .select('-providers.result')
+        .populate('leadId', 'ownerName propertyAddress')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.json({ summary, jobs });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/skiptrace/queue/jobs/:jobId
+ * Get a single queue job with per-provider attempts (admin only)
+ */
+exports.getQueueJob = async (req, res, next) => {
+  try {
+    const job = await SkipTraceJob.findOne({ _id: req.params.jobId, tenantId: req.user.tenantId })
+      .populate('leadId', 'ownerName propertyAddress skipTrace.status')
+      .populate('requestedBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Skip trace job not found' });
+    }
+
+    res.json(job);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/skiptrace/queue/pause
+ * POST /api/skiptrace/queue/resume
+ * Pause/resume leasing for the tenant queue (admin only). Running jobs finish.
+ */
+exports.pauseQueue = async (req, res, next) => {
+  try {
+    const limits = await setTenantQueuePaused(req.user.tenantId, true, req.user.id);
+    res.json({ message: 'Skip trace queue paused', limits });
+  } catch (err) {
+    if (err.message === 'Tenant not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+};
+
+exports.resumeQueue = async (req, res, next) => {
+  try {
+    const limits = await setTenantQueuePaused(req.user.tenantId, false, req.user.id);
+    res.json({ message: 'Skip trace queue resumed', limits });
+  } catch (err) {
+    if (err.message === 'Tenant not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+};
+
+/**
+ * POST /api/skiptrace/queue/jobs/:jobId/retry
+ * Retry a failed/cancelled job, or run a queued job's pending retries now (admin only)
+ */
+exports.retryQueueJob = async (req, res, next) => {
+  try {
+    const job = await SkipTraceJob.findOne({ _id: req.params.jobId, tenantId: req.user.tenantId });
+    if (!job) {
+      return res.status(404).json({ error: 'Skip trace job not found' });
+    }
+
+    const updated = await retryJob(job);
+    res.json({ message: 'Skip trace job requeued', job: updated });
+  } catch (err) {
+    if (err.message.startsWith('Cannot retry')) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.message.includes('locked')) {
+      return res.status(403).json({ error: err.message });
+    }
+    next(err);
+  }
+};
+
+/**
+ * POST /api/skiptrace/queue/jobs/:jobId/cancel
+ * Cancel a queued job (admin only)
+ */
+exports.cancelQueueJob = async (req, res, next) => {
+  try {
+    const job = await SkipTraceJob.findOne({ _id: req.params.jobId, tenantId: req.user.tenantId });
+    if (!job) {
+      return res.status(404).json({ error: 'Skip trace job not found' });
+    }
+
+    const updated = await cancelJob(job, req.user.id);
+    res.json({ message: 'Skip trace job cancelled', job: updated });
+  } catch (err) {
+    if (err.message.startsWith('Cannot cancel')) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+};
+
+/**
+ * POST /api/skiptrace/bulk
+ * Bulk skip trace for a filtered lead set
+ * Body: { filters: { grade, route, county, status, tags, category, q }, confirm: boolean }
+ * - confirm false/omitted: returns cost estimate, dedupe count and skip report (nothing queued)
+ * - confirm true: creates a batch and enqueues in the background (202); progress via skiptrace:bulk_progress
+ */
+exports.bulkSkipTrace = async (req, res, next) => {
+  try {
+    const { filters = {}, confirm = false } = req.body || {};
+
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      return res.status(400).json({ error: 'filters must be an object' });
+    }
+
+    if (!confirm) {
+      const preview = await previewBulkSkipTrace(req.user.tenantId, filters);
+      return res.json({ confirmed: false, ...preview });
+    }
+
+    const { batch, summary } = await confirmBulkSkipTrace(req.user.tenantId, req.user.id, filters);
+
+    res.status(202).json({
+      confirmed: true,
+      message: 'Bulk skip trace queued',
+      batchId: batch._id,
+      summary,
+      skipped: batch.skipped
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/skiptrace/bulk/:batchId
+ * Bulk skip trace batch with live progress (read only; skiptrace:bulk_progress events come from the worker)
+ */
+exports.getBulkBatch = async (req, res, next) => {
+  try {
+    const batch = await SkipTraceBatch.findOne({ _id: req.params.batchId, tenantId: req.user.tenantId }).lean();
+    if (!batch) {
+      return res.status(404).json({ error: 'Skip trace batch not found' });
+    }
+
+    const progress = await getBatchProgress(batch);
+    res.json({ batch, progress });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -2,6 +2,11 @@
 const Tenant = require('../models/Tenant');
 const User = require('../models/user');
 const { emitToTenant } = require('../utils/realtime');
+const inboundRouting = require('../src/services/inboundRoutingService');
+const smsNumberRouting = require('../services/smsNumberRoutingService');
+const { resolveBranding, validateBranding } = require('../utils/branding');
+const { PREVIEW_ARTIFACTS, renderEmailPreview, renderPdfPreview } = require('../services/brandingPreviewService');
+const { resolveThresholds, validateThresholds } = require('../services/creativeFinanceService');
 
 /**
  * POST /api/tenants
@@ -13,12 +18,17 @@ exports.createTenant = async (req, res, next) => {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const { name, slug, brandName, logoUrl, primaryColor, secondaryColor } = req.body;
+    const { name, slug, brandName, logoUrl, primaryColor, secondaryColor, footerText, replyToEmail } = req.body;
 
     if (!name || !slug) {
       return res.status(400).json({ error: 'Name and slug are required' });
     }
 
+    const { update: branding, errors } = validateBranding({ logoUrl, primaryColor, secondaryColor, footerText, replyToEmail });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid branding', details: errors });
+    }
+
     // Normalize slug
     const normalizedSlug = slug.toLowerCase().trim().replace(/[^a-z0-9-]/g, '-');
 
@@ -27,8 +37,10 @@ exports.createTenant = async (req, res, next) => {
       slug: normalizedSlug,
       brandName: brandName || name,
       logoUrl: logoUrl || '',
-      primaryColor: primaryColor || '#0b1d51',
-      secondaryColor: secondaryColor || '#ff6f00'
+      primaryColor: branding.primaryColor || '#0b1d51',
+      secondaryColor: branding.secondaryColor || '#ff6f00',
+      footerText: branding.footerText || '',
+      replyToEmail: branding.replyToEmail || ''
     });
 
     res.status(201).json(tenant);
@@ -127,3 +139,272 @@ exports.inviteUser = async (req, res, next) => {
   }
 };
 
+
+function sendInboundFailure(res, result) {
+  if (result.notFound) return res.status(404).json({ error: 'Tenant not found' });
+  if (result.conflict) return res.status(409).json({ error: result.error });
+  return res.status(400).json({ error: result.error });
+}
+
+/**
+ * GET /api/tenants/:id/inbound
+ * Inbound email routing settings: token, addresses, secret ages (admin only)
+ */
+exports.getInboundSettings = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await inboundRouting.getInboundSettings(req.params.id);
+    if (!result.success) return sendInboundFailure(res, result);
+    res.json(result.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/tenants/:id/inbound/addresses
+ * Replace the recipient addresses routed to this tenant (admin only)
+ */
+exports.setInboundAddresses = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await inboundRouting.setInboundAddresses(req.params.id, req.body.addresses);
+    if (!result.success) return sendInboundFailure(res, result);
+    res.json(result.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/tenants/:id/inbound/rotate-secret
+ * Issue a new signing secret (returned once); the previous one expires after the grace period (admin only)
+ */
+exports.rotateInboundSecret = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await inboundRouting.rotateInboundSecret(req.params.id);
+    if (!result.success) return sendInboundFailure(res, result);
+    res.json(result.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/tenants/:id/sms
+ * Twilio numbers routed to this tenant (admin only)
+ */
+exports.getSmsSettings = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await smsNumberRouting.getSmsSettings(req.params.id);
+    if (!result.success) return sendInboundFailure(res, result);
+    res.json(result.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/tenants/:id/sms/numbers
+ * Replace the Twilio numbers routed to this tenant; the first is its outbound number (admin only)
+ */
+exports.setSmsNumbers = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await smsNumberRouting.setSmsNumbers(req.params.id, req.body.phoneNumbers);
+    if (!result.success) return sendInboundFailure(res, result);
+    res.json(result.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/tenants/:id/inbound/rotate-token
+ * Replace the inbound token; the old webhook URL stops working immediately (admin only)
+ */
+exports.rotateInboundToken = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await inboundRouting.rotateInboundToken(req.params.id);
+    if (!result.success) return sendInboundFailure(res, result);
+    res.json(result.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Admins manage any tenant's branding and deal thresholds; managers only their own
+ */
+function canManageTenantSettings(user, tenantId) {
+  if (user.role === 'admin') return true;
+  return user.role === 'manager' && String(user.tenantId) === String(tenantId);
+}
+
+/**
+ * GET /api/tenants/:id/branding
+ * Stored branding fields and the theme outbound artifacts actually use (admin, or manager of the tenant)
+ */
+exports.getBranding = async (req, res, next) => {
+  try {
+    if (!canManageTenantSettings(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Admin or tenant manager access required' });
+    }
+
+    const tenant = await Tenant.findById(req.params.id).lean();
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    res.json({ tenant: toBrandingResponse(tenant), applied: resolveBranding(tenant) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/tenants/:id/branding
+ * Body: any of { brandName, logoUrl, primaryColor, secondaryColor, footerText, replyToEmail }
+ */
+exports.updateBranding = async (req, res, next) => {
+  try {
+    if (!canManageTenantSettings(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Admin or tenant manager access required' });
+    }
+
+    const { update, errors } = validateBranding(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid branding', details: errors });
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ error: 'No branding fields provided' });
+    }
+
+    const tenant = await Tenant.findByIdAndUpdate(req.params.id, { $set: update }, { new: true, runValidators: true }).lean();
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    emitToTenant(tenant._id, 'tenant:branding_updated', { tenantId: tenant._id });
+    res.json({ tenant: toBrandingResponse(tenant), applied: resolveBranding(tenant) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/tenants/:id/branding/preview/:artifact
+ * Render an outbound artifact with sample data in the tenant's saved branding.
+ * artifact: deal_package | buyer_blast | magic_link (HTML; ?format=text for the plain-text part)
+ *           letter | mail_letter (PDF)
+ */
+exports.previewBranding = async (req, res, next) => {
+  try {
+    if (!canManageTenantSettings(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Admin or tenant manager access required' });
+    }
+
+    const { artifact } = req.params;
+    const kind = PREVIEW_ARTIFACTS[artifact];
+    if (!kind) {
+      return res.status(400).json({ error: `artifact must be one of: ${Object.keys(PREVIEW_ARTIFACTS).join(', ')}` });
+    }
+
+    const tenant = await Tenant.findById(req.params.id).lean();
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+    const branding = resolveBranding(tenant);
+
+    if (kind === 'pdf') {
+      return await renderPdfPreview(artifact, branding, res);
+    }
+
+    const email = renderEmailPreview(artifact, branding);
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(email.text);
+    }
+    res.type('html').send(email.html);
+  } catch (err) {
+    if (!res.headersSent) return next(err);
+    console.error(`Branding preview ${req.params.artifact} for tenant ${req.params.id} failed mid-stream:`, err);
+    res.destroy(err);
+  }
+};
+
+function toBrandingResponse(tenant) {
+  return {
+    id: tenant._id,
+    name: tenant.name,
+    brandName: tenant.brandName,
+    logoUrl: tenant.logoUrl,
+    primaryColor: tenant.primaryColor,
+    secondaryColor: tenant.secondaryColor,
+    footerText: tenant.footerText,
+    replyToEmail: tenant.replyToEmail
+  };
+}
+
+/**
+ * GET /api/tenants/:id/creative-finance
+ * Return thresholds for the creative lane calculators: stored overrides and the values in use
+ */
+exports.getCreativeFinanceSettings = async (req, res, next) => {
+  try {
+    if (!canManageTenantSettings(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Admin or tenant manager access required' });
+    }
+
+    const tenant = await Tenant.findById(req.params.id).select('creativeFinance').lean();
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    res.json({ overrides: tenant.creativeFinance || {}, applied: resolveThresholds(tenant.creativeFinance || {}) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/tenants/:id/creative-finance
+ * Body: any of { minMonthlySpread, minCashOnCashPercent, maxEntryCost, maxPriceToArvPercent, minNovationProfit };
+ * null restores the default
+ */
+exports.updateCreativeFinanceSettings = async (req, res, next) => {
+  try {
+    if (!canManageTenantSettings(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Admin or tenant manager access required' });
+    }
+
+    const { update, errors } = validateThresholds(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid creative finance thresholds', details: errors });
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ error: 'No threshold fields provided' });
+    }
+
+    const tenant = await Tenant.findByIdAndUpdate(req.params.id, { $set: update }, { new: true, runValidators: true })
+      .select('creativeFinance')
+      .lean();
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    res.json({ overrides: tenant.creativeFinance || {}, applied: resolveThresholds(tenant.creativeFinance || {}) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -2,6 +2,7 @@
 const Lead = require('../models/Lead');
 const { underwriteLead } = require('../utils/underwriting');
 const { emitToUser, emitToRole } = require('../utils/realtime');
+const { CREATIVE_LANES, validateInputOverrides, analyzeLeadCreativeFinance } = require('../services/creativeFinanceService');
 
 /**
  * POST /api/underwrite/:leadId
@@ -114,3 +115,41 @@ exports.updateUnderwriting = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/underwrite/:leadId/creative-finance
+ * Subject-to, seller finance, novation and lease option numbers for a lead against the tenant's thresholds.
+ * Body (optional): { lanes: [...], inputs: { price, estimatedRent, sellerFinanceRate, ... } } to try other terms
+ */
+exports.creativeFinance = async (req, res, next) => {
+  try {
+    const userRole = req.user.role;
+
+    // Only admin and closer can underwrite
+    if (userRole !== 'admin' && userRole !== 'closer') {
+      return res.status(403).json({ error: 'Admin or closer access required' });
+    }
+
+    const { lanes, inputs: overrides } = req.body || {};
+    if (lanes !== undefined && (!Array.isArray(lanes) || lanes.some(lane => !CREATIVE_LANES.includes(lane)))) {
+      return res.status(400).json({ error: `lanes must be a list of: ${CREATIVE_LANES.join(', ')}` });
+    }
+    const { inputs, errors } = validateInputOverrides(overrides || {});
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid inputs', details: errors });
+    }
+
+    const lead = await Lead.findOne({
+      _id: req.params.leadId,
+      tenantId: req.user.tenantId
+    });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const analysis = await analyzeLeadCreativeFinance(lead, { lanes, inputs });
+    res.json({ leadId: lead._id, ...analysis });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,59 @@
+// jobs/emailScraper.js
+// Wholesale email poller - runs every 10 minutes (EMAIL_SCRAPER_CRON to override)
+// Ingests new IMAP messages into InboundEmail + Leads (see scrapers/emailDeals.js)
+
+const cron = require('node-cron');
+const { scrapeWholesaleEmails } = require('../scrapers/emailDeals');
+
+let running = false;
+
+/**
+ * Run one poll (skips if the previous poll is still going)
+ */
+async function runEmailScraper() {
+  if (running) {
+    console.log('[Email Scraper] Previous poll still in progress, skipping');
+    return null;
+  }
+  running = true;
+  try {
+    return await scrapeWholesaleEmails();
+  } catch (err) {
+    console.error('[Email Scraper] Poll failed:', err.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start email scraper cron job
+ * Only runs when IMAP is configured; disabled with EMAIL_SCRAPER_ENABLED=false
+ */
+function startEmailScraperCron() {
+  if (process.env.EMAIL_SCRAPER_ENABLED === 'false') {
+    console.log('[Email Scraper] Disabled (EMAIL_SCRAPER_ENABLED=false)');
+    return;
+  }
+  if (!process.env.IMAP_HOST || !process.env.IMAP_USER || !process.env.IMAP_PASSWORD) {
+    console.log('[Email Scraper] IMAP not configured, not started');
+    return;
+  }
+
+  const cronSchedule = process.env.EMAIL_SCRAPER_CRON || '*/10 * * * *';
+  if (!cron.validate(cronSchedule)) {
+    console.error(`[Email Scraper] Invalid cron schedule "${cronSchedule}", not started`);
+    return;
+  }
+
+  console.log(`[Email Scraper] Starting cron job - schedule: ${cronSchedule}`);
+
+  cron.schedule(cronSchedule, async () => {
+    await runEmailScraper();
+  });
+}
+
+module.exports = {
+  runEmailScraper,
+  startEmailScraperCron
+};
@@ -16,10 +16,13 @@ async function runEmailScraper() {
     // Connect to MongoDB
     await connectDB();
     
-    // Run email scraper
-    await scrapeWholesaleEmails();
+    // Run email scraper (picks up from each mailbox's UID checkpoint)
+    const result = await scrapeWholesaleEmails();
+    for (const mailbox of result.mailboxes || []) {
+      console.log('[JOB] mailbox:', JSON.stringify(mailbox));
+    }
     
-    console.log('[JOB] success: Email scraper completed');
+    console.log(`[JOB] success: Email scraper completed (${result.count} leads)`);
     process.exit(0);
   } catch (err) {
     console.error('[JOB] error:', err.message);
@@ -1,15 +1,15 @@
 // jobs/runSkiptraceQueue.js
-// Independent job entrypoint for running skiptrace queue
+// Independent job entrypoint for draining the skip trace queue
 // Usage: node jobs/runSkiptraceQueue.js
-// TODO: Implement skiptrace queue processing
+// Processes all runnable SkipTraceJobs (leases, per-provider retries, tenant caps) then exits.
+// Jobs waiting on a provider retry backoff are left queued for the next run / in-process worker.
 
 if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
 const connectDB = require('../config/db');
-const Lead = require('../models/Lead');
-const { performSkiptrace } = require('../skiptrace');
+const { runWorkerCycle } = require('../services/skipTraceQueueService');
 
 async function runSkiptraceQueue() {
   console.log('[JOB] start: Skiptrace queue');
@@ -18,33 +18,18 @@ async function runSkiptraceQueue() {
     // Connect to MongoDB
     await connectDB();
     
-    // TODO: Implement queue processing logic
-    // 1. Find leads that need skiptrace (e.g., status='new', no phone/email)
-    // 2. Process each lead through skiptrace service
-    // 3. Update lead with contact information
-    // 4. Mark as processed
-    
-    const leadsToProcess = await Lead.find({
-      status: 'new',
-      $or: [
-        { phone: { $exists: false } },
-        { email: { $exists: false } }
-      ]
-    }).limit(100);
-    
-    console.log(`[JOB] Found ${leadsToProcess.length} leads to process`);
-    
-    for (const lead of leadsToProcess) {
-      try {
-        const results = await performSkiptrace(lead);
-        // TODO: Update lead with results
-        console.log(`[JOB] Processed lead ${lead._id}`);
-      } catch (err) {
-        console.error(`[JOB] error processing lead ${lead._id}:`, err.message);
-      }
+    let totalProcessed = 0;
+    let totalFailed = 0;
+
+    // Keep leasing until nothing is runnable
+    while (true) {
+      const { processed, failed } = await runWorkerCycle();
+      totalProcessed += processed;
+      totalFailed += failed;
+      if (processed === 0) break;
     }
     
-    console.log('[JOB] success: Skiptrace queue completed');
+    console.log(`[JOB] success: Skiptrace queue completed — processed: ${totalProcessed}, errors: ${totalFailed}`);
     process.exit(0);
   } catch (err) {
     console.error('[JOB] error:', err.message);
@@ -0,0 +1,55 @@
+// jobs/slaMonitor.js
+// SLA breach monitor - runs every 5 minutes (ROUTING_SLA_MONITOR_CRON to override)
+// Escalates routed leads that passed their SLA (see services/slaMonitorService.js)
+
+const cron = require('node-cron');
+const { checkSlaBreaches } = require('../services/slaMonitorService');
+
+let running = false;
+
+/**
+ * Run one SLA check (skips if the previous run is still going)
+ */
+async function runSlaMonitor() {
+  if (running) {
+    console.log('[SLA Monitor] Previous run still in progress, skipping');
+    return null;
+  }
+  running = true;
+  try {
+    return await checkSlaBreaches();
+  } catch (err) {
+    console.error('[SLA Monitor] Run failed:', err.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start SLA monitor cron job
+ * Disabled with ROUTING_SLA_MONITOR_ENABLED=false
+ */
+function startSlaMonitorCron() {
+  if (process.env.ROUTING_SLA_MONITOR_ENABLED === 'false') {
+    console.log('[SLA Monitor] Disabled (ROUTING_SLA_MONITOR_ENABLED=false)');
+    return;
+  }
+
+  const cronSchedule = process.env.ROUTING_SLA_MONITOR_CRON || '*/5 * * * *';
+  if (!cron.validate(cronSchedule)) {
+    console.error(`[SLA Monitor] Invalid cron schedule "${cronSchedule}", not started`);
+    return;
+  }
+
+  console.log(`[SLA Monitor] Starting cron job - schedule: ${cronSchedule}`);
+
+  cron.schedule(cronSchedule, async () => {
+    await runSlaMonitor();
+  });
+}
+
+module.exports = {
+  runSlaMonitor,
+  startSlaMonitorCron
+};
@@ -0,0 +1,32 @@
+// middleware/twilioSignature.js
+// Rejects Twilio webhook calls whose X-Twilio-Signature doesn't match (run after the form body parser)
+const { validateTwilioSignature, requestUrl } = require('../utils/twilioWebhooks');
+
+/**
+ * TWILIO_AUTH_TOKEN (and TWILIO_AUTH_TOKEN_SECONDARY while rotating) sign the requests.
+ * TWILIO_VALIDATE_SIGNATURE=false skips the check for local development; it is ignored in production.
+ */
+function verifyTwilioSignature(req, res, next) {
+  if (process.env.TWILIO_VALIDATE_SIGNATURE === 'false' && process.env.NODE_ENV !== 'production') {
+    return next();
+  }
+
+  const authTokens = [process.env.TWILIO_AUTH_TOKEN, process.env.TWILIO_AUTH_TOKEN_SECONDARY].filter(Boolean);
+  if (!authTokens.length) {
+    return res.status(503).json({ error: 'Twilio webhooks not configured' });
+  }
+
+  const result = validateTwilioSignature({
+    signature: req.get('X-Twilio-Signature'),
+    url: requestUrl(req),
+    params: req.body || {},
+    authTokens
+  });
+  if (!result.valid) {
+    console.warn(`[Twilio Webhook] Rejected ${req.originalUrl}: ${result.reason}`);
+    return res.status(403).json({ error: result.reason });
+  }
+  next();
+}
+
+module.exports = verifyTwilioSignature;
@@ -88,6 +88,28 @@ const buyBoxSchema = new mongoose.Schema(
       vacancyReserve: Number, // Override default vacancy reserve
       propertyManagement: Number // Override default property management
     },
+    // Maximum allowable offer (utils/maoEngine.js):
+    // ARV x arvPercent - rehab - assignmentFee - holding costs - closing costs
+    mao: {
+      arvPercent: { type: Number, default: 70, min: 0, max: 100 },
+      assignmentFee: { type: Number, default: 10000, min: 0 },
+      holdingCostPercent: { type: Number, default: 0, min: 0, max: 100 }, // % of ARV
+      closingCostPercent: { type: Number, default: 0, min: 0, max: 100 }, // % of ARV
+      // Rehab per condition; the first row for the tier whose maxSqft covers the property applies
+      // (rows without maxSqft match any size). Empty = engine defaults.
+      rehabTable: [{
+        _id: false,
+        conditionTier: { type: String, enum: ['light', 'medium', 'heavy'], required: true },
+        maxSqft: { type: Number, default: null },
+        costPerSqft: { type: Number, required: true, min: 0 },
+        baseCost: { type: Number, default: 0, min: 0 }
+      }],
+      // Offer ladder steps, % of each lane's max offer
+      ladder: {
+        openingPercent: { type: Number, default: 85, min: 0, max: 100 },
+        targetPercent: { type: Number, default: 93, min: 0, max: 100 }
+      }
+    },
     active: {
       type: Boolean,
       default: true,
@@ -75,6 +75,8 @@ const buyerSchema = new mongoose.Schema(
     optOut: {
       sms: { type: Boolean, default: false },
       email: { type: Boolean, default: false },
+      // Set when a blast email hard-bounced, was reported as spam or the buyer replied STOP
+      emailReason: { type: String, enum: ['bounce', 'complaint', 'unsubscribe', null], default: null },
       updatedAt: { type: Date }
     },
     // SMS-specific opt-out fields (for compliance)
@@ -3,6 +3,11 @@ const mongoose = require('mongoose');
 
 const buyerFeedbackSchema = new mongoose.Schema(
   {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      index: true
+    },
     buyerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Buyer',
@@ -22,6 +27,18 @@ const buyerFeedbackSchema = new mongoose.Schema(
       index: true
     },
     optionalNotes: { type: String },
+    // What the reply text says (utils/buyerReplyClassifier); absent on manual entries without text
+    reply: {
+      intent: {
+        type: String,
+        enum: ['interested', 'counter_offer', 'pass', 'price_too_high', 'needs_more_info', 'wrong_market', 'unknown']
+      },
+      counterPrice: { type: Number }, // Price the buyer said they'd pay
+      closeDays: { type: Number }, // "close in 10 days"
+      requests: [{ type: String, enum: ['photos', 'access', 'comps'] }],
+      confidence: { type: Number, min: 0, max: 1 },
+      classifier: { type: String } // e.g. 'rules'
+    },
     source: {
       type: String,
       enum: ['sms', 'email', 'manual'],
@@ -12,6 +12,7 @@ const CodeViolationSchema = new mongoose.Schema(
     },
     caseNumber: { type: String, index: true },
     propertyAddress: { type: String, index: true },
+    propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', index: true },
     violationType: String,
     ownerName: String,
     status: String,
@@ -24,4 +25,6 @@ const CodeViolationSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+CodeViolationSchema.index({ tenantId: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model("CodeViolation", CodeViolationSchema);
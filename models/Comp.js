@@ -0,0 +1,48 @@
+// models/Comp.js
+// Closed sale or rental record loaded by a tenant (CSV / MLS export) for ARV and rent comparables
+const mongoose = require('mongoose');
+
+const compSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    type: {
+      type: String,
+      enum: ['sale', 'rent'],
+      required: true
+    },
+    marketKey: { type: String, required: true }, // Same keys as buy boxes, e.g. "TX-DFW"
+    // Normalized street line (utils/addressNormalizer key); with eventDate, identifies the record on re-import
+    addressKey: { type: String, required: true },
+    address: { type: String },
+    city: { type: String },
+    state: { type: String },
+    zip: { type: String },
+    county: { type: String },
+    // GeoJSON point [lng, lat]; unset when the export has no coordinates
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
+    propertyType: { type: String },
+    beds: { type: Number },
+    baths: { type: Number },
+    sqft: { type: Number },
+    yearBuilt: { type: Number },
+    price: { type: Number, required: true }, // Sale price, or monthly rent
+    eventDate: { type: Date, required: true }, // Closed / leased date
+    source: { type: String, default: 'csv' }, // csv, mls, ...
+    importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+compSchema.index({ tenantId: 1, type: 1, addressKey: 1, zip: 1, eventDate: 1 }, { unique: true });
+compSchema.index({ tenantId: 1, type: 1, marketKey: 1, eventDate: -1 });
+compSchema.index({ location: '2dsphere' }, { sparse: true });
+
+module.exports = mongoose.model('Comp', compSchema);
@@ -70,6 +70,18 @@ const dealSchema = new mongoose.Schema(
       askingPrice: { type: Number, min: 0 },
       arv: { type: Number, min: 0 },
       rehabEstimate: { type: Number, min: 0 }
+    },
+    // Lead pipeline link (src/services/dealPromotionService.js); statuses stay in sync both ways
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      default: null,
+      index: true
+    },
+    promotion: {
+      status: { type: String, enum: ['promoted', 'linked', 'skipped', 'failed', null], default: null },
+      reason: { type: String, default: null },
+      at: { type: Date, default: null }
     }
   },
   { timestamps: true }
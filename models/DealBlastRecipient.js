@@ -22,7 +22,7 @@ const dealBlastRecipientSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['queued', 'sent', 'delivered', 'failed', 'replied', 'interested', 'not_interested', 'opted_out'],
+      enum: ['queued', 'sent', 'delivered', 'failed', 'undelivered', 'replied', 'interested', 'not_interested', 'opted_out'],
       default: 'queued',
       required: true,
       index: true
@@ -32,8 +32,14 @@ const dealBlastRecipientSchema = new mongoose.Schema(
     responseText: { type: String },
     tracking: {
       messageId: { type: String },
-      provider: { type: String }
+      provider: { type: String },
+      // From the provider's delivery status callback (POST /api/webhooks/twilio/status)
+      deliveryStatus: { type: String },
+      errorCode: { type: String },
+      statusUpdatedAt: { type: Date }
     },
+    // Email blasts: plus-address token of the recipient's reply address (src/services/blastReplyService.js)
+    replyToken: { type: String },
     reasonExcluded: { type: String }, // If buyer was excluded from matching, reason here
     metadata: {
       type: mongoose.Schema.Types.Mixed,
@@ -46,6 +52,8 @@ const dealBlastRecipientSchema = new mongoose.Schema(
 // Indexes
 dealBlastRecipientSchema.index({ dealBlastId: 1, status: 1 });
 dealBlastRecipientSchema.index({ buyerId: 1, sentAt: -1 });
+dealBlastRecipientSchema.index({ 'tracking.messageId': 1 }, { sparse: true });
+dealBlastRecipientSchema.index({ replyToken: 1 }, { unique: true, sparse: true });
 dealBlastRecipientSchema.index({ dealBlastId: 1, buyerId: 1 }, { unique: true });
 
 module.exports = mongoose.model('DealBlastRecipient', dealBlastRecipientSchema);
@@ -0,0 +1,25 @@
+// models/ImapCheckpoint.js — Last ingested IMAP UID per account + mailbox (scrapers/emailDeals.js)
+const mongoose = require('mongoose');
+
+const imapCheckpointSchema = new mongoose.Schema(
+  {
+    account: { type: String, required: true, trim: true }, // user@host
+    mailbox: { type: String, required: true, trim: true },
+    // UIDs are only comparable within one UIDVALIDITY; a change means the mailbox was rebuilt
+    uidValidity: { type: String, required: true },
+    lastUid: { type: Number, default: 0 },
+    lastPolledAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    totals: {
+      processed: { type: Number, default: 0 },
+      leads: { type: Number, default: 0 },
+      noDeal: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 }
+    }
+  },
+  { timestamps: true }
+);
+
+imapCheckpointSchema.index({ account: 1, mailbox: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImapCheckpoint', imapCheckpointSchema);
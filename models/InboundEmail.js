@@ -27,6 +27,42 @@ const inboundEmailSchema = new mongoose.Schema(
       ref: 'Deal',
       default: null,
       index: true
+    },
+    // IMAP ingestion (scrapers/emailDeals.js); webhook emails keep the defaults
+    channel: {
+      type: String,
+      enum: ['webhook', 'imap'],
+      default: 'webhook'
+    },
+    mailbox: { type: String, trim: true },
+    uid: { type: Number },
+    bodyText: { type: String },
+    // Deal terms extracted by scrapers/emailDealParser.js
+    parsed: { type: mongoose.Schema.Types.Mixed, default: null },
+    parseStatus: {
+      type: String,
+      enum: ['parsed', 'no_deal', 'error', null],
+      default: null
+    },
+    parseError: { type: String, default: null },
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      default: null,
+      index: true
+    },
+    propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', index: true },
+    // Mail to an email deal blast's reply address (src/services/blastReplyService.js)
+    dealBlastRecipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DealBlastRecipient',
+      default: null,
+      index: true
+    },
+    blastEvent: {
+      type: String,
+      enum: ['reply', 'opt_out', 'bounce', 'complaint', null],
+      default: null
     }
   },
   { timestamps: true }
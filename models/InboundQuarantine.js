@@ -0,0 +1,42 @@
+// models/InboundQuarantine.js — Inbound emails that matched no tenant, held for admin review
+const mongoose = require('mongoose');
+
+const inboundQuarantineSchema = new mongoose.Schema(
+  {
+    messageId: { type: String, trim: true },
+    from: { type: String, trim: true },
+    senderEmail: { type: String, lowercase: true, trim: true },
+    senderName: { type: String, trim: true, maxlength: 200 },
+    to: [{ type: String, trim: true }],
+    subject: { type: String, trim: true },
+    bodySnippet: { type: String },
+    // Full bodies so an assigned email is parsed like a routed one
+    bodyText: { type: String },
+    bodyHtml: { type: String },
+    receivedAt: { type: Date, default: Date.now, index: true },
+    reason: {
+      type: String,
+      enum: ['no_match', 'ambiguous'],
+      default: 'no_match'
+    },
+    // Tenants whose addresses matched when the reason is 'ambiguous'
+    candidateTenantIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tenant' }],
+    status: {
+      type: String,
+      enum: ['pending', 'assigned', 'discarded'],
+      default: 'pending',
+      index: true
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    assignedTenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', default: null },
+    dealId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deal', default: null },
+    note: { type: String, trim: true, maxlength: 1000 }
+  },
+  { timestamps: true }
+);
+
+inboundQuarantineSchema.index({ status: 1, receivedAt: -1 });
+inboundQuarantineSchema.index({ messageId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('InboundQuarantine', inboundQuarantineSchema);
@@ -1,12 +1,17 @@
 // models/KpiEvent.js
 const mongoose = require('mongoose');
 
+const SYSTEM_EVENT_TYPES = ['lead_routed', 'sla_breached'];
+
 const kpiEventSchema = new mongoose.Schema(
   {
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      // System events (routing, SLA breaches on unassigned leads) have no acting user
+      required: function () {
+        return !SYSTEM_EVENT_TYPES.includes(this.eventType);
+      },
       index: true
     },
     role: {
@@ -40,7 +45,8 @@ const kpiEventSchema = new mongoose.Schema(
         'score_calculated',
         'lead_routed',
         'routing_override',
-        'closer_first_action' // First action by closer on A-grade lead
+        'closer_first_action', // First action by closer on A-grade lead
+        'sla_breached' // Routed lead passed its SLA without handoff/closer action
       ],
       required: true,
       index: true
@@ -1,6 +1,28 @@
 // models/Lead.js
 const mongoose = require("mongoose");
 
+// ARV / rent estimate from comparables (services/compsService.js)
+const compEstimate = {
+  value: { type: Number },
+  low: { type: Number },
+  high: { type: Number },
+  confidence: { type: Number, min: 0, max: 100 },
+  confidenceLevel: { type: String, enum: ['low', 'medium', 'high'] },
+  method: { type: String, enum: ['price_per_sqft', 'price'] },
+  compCount: { type: Number },
+  maxDistanceMiles: { type: Number },
+  comps: [{
+    _id: false,
+    compId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comp' },
+    address: { type: String },
+    price: { type: Number },
+    adjustedPrice: { type: Number },
+    distanceMiles: { type: Number },
+    similarity: { type: Number },
+    eventDate: { type: Date }
+  }]
+};
+
 const leadSchema = new mongoose.Schema(
   {
     // --- Multi-tenant ---
@@ -15,7 +37,10 @@ const leadSchema = new mongoose.Schema(
     category: { type: String },        // Probate, Divorce, Wholesale Email, etc.
     createdFrom: String,               // "email_scraper", "county_scraper", "manual"
     rawEmailId: { type: String, index: true },
+    dealId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deal', index: true }, // Inbound Deal this lead was promoted from
     dedupeKey: { type: String, required: true, index: true }, // Remove unique, make tenant-scoped
+    propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', index: true }, // Parcel identity shared across sources
+    distressSignals: [{ type: String }], // Distress record types stacked on this lead (preforeclosure, tax_lien, ...)
     caseNumber: { type: String },      // For county records (probate, code violations, etc.)
     alertedAt: { type: Date },        // Timestamp when SMS alert was sent
 
@@ -38,6 +63,8 @@ const leadSchema = new mongoose.Schema(
     sqft: Number,
     yearBuilt: Number,
     lotSizeSqft: Number,
+    latitude: Number,           // comps are selected by distance when set
+    longitude: Number,
 
     // --- Extra wholesale / title info ---
     closingDate: String,        // keep as string (emails are messy)
@@ -87,6 +114,15 @@ const leadSchema = new mongoose.Schema(
         assumptionsUsed: [{ type: String }],
         breakdown: { type: mongoose.Schema.Types.Mixed }
       },
+      // Distress-signal sub-score from linked county records (utils/motivationScore.js)
+      motivation: {
+        score: { type: Number, min: 0, max: 100 },
+        level: { type: String, enum: ['none', 'low', 'medium', 'high'] },
+        signalCount: { type: Number },
+        signalTypes: [{ type: String }],
+        factors: [{ type: String }],
+        evaluatedAt: { type: Date }
+      },
       override: {
         grade: { type: String, enum: ['A', 'B', 'C', 'D', 'Dead'] },
         reason: { type: String },
@@ -94,6 +130,12 @@ const leadSchema = new mongoose.Schema(
         overriddenAt: { type: Date }
       }
     },
+    // Comparables-based estimates; used when arv / estimatedRent aren't known (see extractCashFlowInputsFromLead)
+    valuation: {
+      arv: compEstimate,
+      rent: compEstimate,
+      evaluatedAt: { type: Date }
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
@@ -173,7 +215,16 @@ const leadSchema = new mongoose.Schema(
       },
       offerSentAt: { type: Date },
       contractSentAt: { type: Date },
-      underContractAt: { type: Date }
+      underContractAt: { type: Date },
+      // Last offer compared with the lane's max offer (services/offerCalcService.js); a warning, not a block
+      maoCheck: {
+        lane: { type: String },
+        offerAmount: { type: Number },
+        maxOffer: { type: Number },
+        exceedsBy: { type: Number },
+        warning: { type: String },
+        checkedAt: { type: Date }
+      }
     },
 
     // --- Skip Trace & Data Enrichment ---
@@ -257,7 +308,22 @@ const leadSchema = new mongoose.Schema(
         previousRoute: { type: String },
         previousPriority: { type: String }
       },
-      routingAlertedAt: { type: Date } // Timestamp when routing alert was sent (prevents duplicate alerts)
+      routingAlertedAt: { type: Date }, // Timestamp when routing alert was sent (prevents duplicate alerts)
+      assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }, // Owner of the SLA (kept across re-routes)
+      // SLA tracking (see services/slaMonitorService.js)
+      sla: {
+        dueAt: { type: Date }, // routedAt + slaHours (null = no SLA)
+        metAt: { type: Date },
+        breachedAt: { type: Date },
+        escalationLevel: { type: Number, default: 0 }, // 0 = none, 1 = assignee, 2 = managers, 3 = SMS
+        lastEscalatedAt: { type: Date },
+        escalations: [{
+          level: { type: Number },
+          channel: { type: String, enum: ['notification', 'role', 'sms'] },
+          recipients: [{ type: String }],
+          at: { type: Date, default: Date.now }
+        }]
+      }
     },
 
     // --- Price Discovery (from buyer feedback) ---
@@ -267,7 +333,16 @@ const leadSchema = new mongoose.Schema(
       max: { type: Number },
       suggested: { type: Number },
       current: { type: Number },
-      adjustmentPercent: { type: Number }
+      adjustmentPercent: { type: Number },
+      basis: { type: String, enum: ['counter_offers', 'feedback_ratio'] }
+    },
+    // Buyer counter-offers parsed from blast replies
+    buyerCounterOffers: {
+      count: { type: Number },
+      low: { type: Number },
+      high: { type: Number },
+      median: { type: Number },
+      weightedAverage: { type: Number }
     },
     lastPriceDiscoveryAt: { type: Date },
 
@@ -295,4 +370,7 @@ const leadSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// SLA monitor scan: open SLAs past due
+leadSchema.index({ 'routing.sla.dueAt': 1, 'routing.sla.metAt': 1, 'routing.sla.escalationLevel': 1 });
+
 module.exports = mongoose.model("Lead", leadSchema);
\ No newline at end of file
@@ -0,0 +1,29 @@
+// models/LeadExportPreset.js
+// Saved column set for CRM lead exports (GET /api/crm/leads/export?preset=<name or id>)
+// Fields are validated against utils/leadExport LEAD_EXPORT_FIELDS
+const mongoose = require('mongoose');
+
+const leadExportPresetSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    columns: [{
+      _id: false,
+      field: { type: String, required: true }, // e.g. leadScore.grade, skipTrace.phones[0].number
+      header: { type: String, required: true }
+    }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+leadExportPresetSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeadExportPreset', leadExportPresetSchema);
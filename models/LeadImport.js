@@ -0,0 +1,72 @@
+// models/LeadImport.js
+// Two-phase CSV lead import: the uploaded rows and mapping (preview), then the import report (commit)
+const mongoose = require('mongoose');
+
+const leadImportSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    committedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    filename: { type: String },
+    status: {
+      type: String,
+      enum: ['preview', 'queued', 'running', 'completed', 'failed'],
+      default: 'preview',
+      index: true
+    },
+    headers: [{ type: String }],
+    mapping: { type: mongoose.Schema.Types.Mixed, default: {} }, // { "<csv header>": "<lead field>" }
+    skipExisting: { type: Boolean, default: false },
+    // Raw cells in header order; cleared once the import finishes
+    rows: [[{ type: String }]],
+    totals: {
+      rows: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      duplicateInFile: { type: Number, default: 0 },
+      existing: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      scored: { type: Number, default: 0 }
+    },
+    // Row numbers are 1-based file lines (the header is line 1)
+    rowErrors: [{
+      _id: false,
+      row: Number,
+      field: String,
+      value: String,
+      message: String
+    }],
+    duplicates: [{
+      _id: false,
+      row: Number,
+      reason: { type: String, enum: ['duplicate_in_file', 'existing_lead'] },
+      duplicateOfRow: Number,
+      leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' }
+    }],
+    // Process the committed import runs in (services/leadImportService.js failInterruptedImports)
+    runner: {
+      machine: { type: String },
+      bootId: { type: String }
+    },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    error: { type: String },
+    // Uncommitted previews are removed by the TTL index
+    expiresAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+leadImportSchema.index({ tenantId: 1, createdAt: -1 });
+leadImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LeadImport', leadImportSchema);
@@ -0,0 +1,36 @@
+// models/LeadTouch.js
+// Outreach touch on a lead (one per lead per mail campaign), with the response attributed to it
+const mongoose = require('mongoose');
+
+const leadTouchSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true },
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'MailCampaign', required: true },
+    channel: { type: String, enum: ['mail'], default: 'mail' },
+    touchedAt: { type: Date, default: Date.now },
+    // Where the piece was sent (snapshot for the mail house CSV)
+    address: {
+      name: String,
+      line1: String,
+      city: String,
+      state: String,
+      zip: String
+    },
+    // Set when the lead responds within MAIL_RESPONSE_WINDOW_DAYS (status change or logged response)
+    respondedAt: { type: Date, default: null },
+    response: { type: String } // lead status reached, or "manual"
+  },
+  { timestamps: true }
+);
+
+leadTouchSchema.index({ campaignId: 1, leadId: 1 }, { unique: true });
+leadTouchSchema.index({ campaignId: 1, 'address.zip': 1, _id: 1 });
+leadTouchSchema.index({ tenantId: 1, leadId: 1, touchedAt: -1 });
+
+module.exports = mongoose.model('LeadTouch', leadTouchSchema);
@@ -0,0 +1,41 @@
+// models/MailCampaign.js
+// Direct mail campaign: a lead segment merged into an approved letter Template (one LeadTouch per lead mailed)
+const mongoose = require('mongoose');
+
+const mailCampaignSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    name: { type: String, required: true, trim: true },
+    // Pinned template version, so re-downloading the letters renders the same copy
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Template', required: true },
+    templateKey: { type: String },
+    templateVersion: { type: Number },
+    // crm.getLeads filters (status, category, grade, route, county, tags, q)
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    totals: {
+      matched: { type: Number, default: 0 },
+      mailed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 }
+    },
+    skipped: [{
+      _id: false,
+      leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+      reason: { type: String, enum: ['no_address', 'recently_mailed'] }
+    }],
+    mailedAt: { type: Date, default: Date.now },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+mailCampaignSchema.index({ tenantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MailCampaign', mailCampaignSchema);
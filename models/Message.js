@@ -22,7 +22,7 @@ const messageSchema = new mongoose.Schema(
     },
     senderRole: {
       type: String,
-      enum: ['dialer', 'closer', 'admin', 'buyer'],
+      enum: ['dialer', 'closer', 'admin', 'buyer', 'seller'],
       required: true
     },
     body: {
@@ -43,6 +43,14 @@ const messageSchema = new mongoose.Schema(
       default: false,
       index: true
     },
+    // Outbound SMS: provider id and delivery state (POST /api/webhooks/twilio/status)
+    providerMessageId: {
+      type: String,
+      index: { sparse: true }
+    },
+    deliveryStatus: { type: String }, // Twilio MessageStatus: queued, sent, delivered, undelivered, failed...
+    deliveryErrorCode: { type: String },
+    deliveryUpdatedAt: { type: Date },
     readBy: [{
       userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -25,6 +25,11 @@ const messageThreadSchema = new mongoose.Schema(
       ref: 'Buyer',
       index: true
     },
+    // Seller SMS conversation: the lead phone this thread texts with (services/sellerSmsService.js)
+    sellerPhone: {
+      type: String,
+      default: null
+    },
     lastMessageAt: {
       type: Date,
       default: Date.now,
@@ -38,6 +43,7 @@ const messageThreadSchema = new mongoose.Schema(
 messageThreadSchema.index({ participants: 1, lastMessageAt: -1 });
 messageThreadSchema.index({ relatedLeadId: 1, lastMessageAt: -1 });
 messageThreadSchema.index({ relatedBuyerId: 1, lastMessageAt: -1 });
+messageThreadSchema.index({ relatedLeadId: 1, sellerPhone: 1 });
 
 module.exports = mongoose.model('MessageThread', messageThreadSchema);
 
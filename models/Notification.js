@@ -27,7 +27,9 @@ const notificationSchema = new mongoose.Schema(
         'task_due',
         'system',
         'deal_new',
-        'deal_assigned'
+        'deal_assigned',
+        'sla_breach',
+        'seller_reply'
       ],
       required: true,
       index: true
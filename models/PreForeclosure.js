@@ -11,6 +11,7 @@ const PreForeclosureSchema = new mongoose.Schema(
     },
     ownerName: String,
     propertyAddress: { type: String, index: true },
+    propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', index: true },
     mailingAddress: String,
 
     amountDelinquent: String,
@@ -24,4 +25,7 @@ const PreForeclosureSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Tenant-scoped list / export (utils/recordQuery): newest first with a (createdAt, _id) cursor
+PreForeclosureSchema.index({ tenantId: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model("PreForeclosure", PreForeclosureSchema);
\ No newline at end of file
@@ -13,6 +13,7 @@ const ProbateSchema = new mongoose.Schema(
     executorName: String,
     attorneyName: String,
     estateAddress: { type: String, index: true },
+    propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', index: true },
 
     county: String,
     source: { type: String, default: "County Probate Court" },
@@ -22,4 +23,6 @@ const ProbateSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+ProbateSchema.index({ tenantId: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model("Probate", ProbateSchema);
\ No newline at end of file
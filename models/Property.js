@@ -0,0 +1,42 @@
+// models/Property.js
+// Property identity: one document per parcel per tenant, linking every distress record and email that
+// mentions it to a single Lead (see utils/propertyIdentity.js)
+const mongoose = require('mongoose');
+
+const propertySchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    // Normalized street line incl. unit (utils/addressNormalizer key), e.g. "123 N MAIN ST #4"
+    addressKey: { type: String, required: true },
+    line1: { type: String },
+    city: { type: String },
+    state: { type: String },
+    zip: { type: String },
+    county: { type: String }, // normalizeCounty: "dallas"
+    parcelId: { type: String, trim: true },
+    leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', default: null, index: true },
+    // Every source record seen for this property
+    signals: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['preforeclosure', 'tax_lien', 'code_violation', 'probate', 'email', 'manual', 'csv']
+      },
+      model: { type: String }, // PreForeclosure, TaxLien, CodeViolation, Probate, InboundEmail
+      recordId: { type: mongoose.Schema.Types.ObjectId },
+      source: { type: String },
+      at: { type: Date, default: Date.now }
+    }]
+  },
+  { timestamps: true }
+);
+
+propertySchema.index({ tenantId: 1, addressKey: 1 });
+propertySchema.index({ tenantId: 1, parcelId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Property', propertySchema);
@@ -0,0 +1,104 @@
+// models/RoutingConfig.js
+// Versioned, tenant-scoped deal routing configuration
+// Unset fields fall back to env defaults (config/routingConfig.getDefaultRoutingConfig)
+const mongoose = require('mongoose');
+
+const gradeRangeSchema = {
+  min: { type: Number, min: 0, max: 100 },
+  max: { type: Number, min: 0, max: 100 }
+};
+
+const routingConfigSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    version: {
+      type: Number,
+      required: true,
+      default: 1
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'active', 'archived'],
+      default: 'draft',
+      index: true
+    },
+    // Active versions apply from this date (latest effectiveFrom <= now wins)
+    effectiveFrom: {
+      type: Date
+    },
+    gradeThresholds: {
+      A: gradeRangeSchema,
+      B: gradeRangeSchema,
+      C: gradeRangeSchema,
+      D: gradeRangeSchema,
+      Dead: gradeRangeSchema
+    },
+    // SLA hours per grade (null = no SLA)
+    slaHours: {
+      A: { type: Number, min: 0 },
+      B: { type: Number, min: 0 },
+      C: { type: Number, min: 0 },
+      D: { type: Number, min: 0 },
+      Dead: { type: Number, min: 0 }
+    },
+    alertChannels: {
+      sms: { type: Boolean },
+      internal: { type: Boolean }
+    },
+    quietHours: {
+      enabled: { type: Boolean },
+      startHour: { type: Number, min: 0, max: 23 },
+      endHour: { type: Number, min: 0, max: 23 },
+      timezone: { type: String } // IANA name, e.g. America/Chicago (defaults to server time)
+    },
+    majorExclusions: {
+      type: [String],
+      default: undefined
+    },
+    // Motivation sub-score minimums for upgrading archive/nurture leads
+    motivation: {
+      enabled: { type: Boolean },
+      dialerPriorityMin: { type: Number, min: 0, max: 100 },
+      nurtureMin: { type: Number, min: 0, max: 100 }
+    },
+    // Metadata
+    description: {
+      type: String
+    },
+    basedOnVersion: {
+      type: Number
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    activatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    activatedAt: {
+      type: Date
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    archivedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// Version history per tenant
+routingConfigSchema.index({ tenantId: 1, version: -1 }, { unique: true });
+// Effective config lookup
+routingConfigSchema.index({ tenantId: 1, status: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('RoutingConfig', routingConfigSchema);
@@ -0,0 +1,16 @@
+// models/ScraperLock.js
+// DB-backed lock so only one machine runs the county scrapers at a time
+const mongoose = require('mongoose');
+
+const scraperLockSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true }, // e.g. "county_scrapers"
+    holder: { type: String, required: true }, // host:pid
+    cycleId: { type: String },
+    acquiredAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true } // Renewed after each county; stale locks can be taken over
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('ScraperLock', scraperLockSchema);
@@ -0,0 +1,58 @@
+// models/ScraperRun.js
+// One county scraper execution (history, metrics, and health source for /api/scrapers)
+const mongoose = require('mongoose');
+
+const scraperRunSchema = new mongoose.Schema(
+  {
+    county: { type: String, required: true, index: true }, // Scraper name (scrapers/index.js key)
+    countyName: { type: String }, // e.g. "Dallas County"
+    cycleId: { type: String, index: true }, // Groups the counties of one runAllCountyScrapers pass
+    trigger: {
+      type: String,
+      enum: ['cron', 'startup', 'manual'],
+      default: 'cron'
+    },
+    host: { type: String }, // Machine that ran it (FLY_MACHINE_ID or hostname)
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'partial', 'failed'],
+      default: 'running',
+      index: true
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+
+    // Per record type inserts
+    inserts: {
+      preforeclosure: { type: Number, default: 0 },
+      taxLien: { type: Number, default: 0 },
+      codeViolation: { type: Number, default: 0 },
+      probate: { type: Number, default: 0 }
+    },
+    totalInserted: { type: Number, default: 0 },
+    parsed: { type: Number, default: 0 }, // Records found on source pages (yield)
+    duplicates: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    leadsCreated: { type: Number, default: 0 },
+
+    errorCount: { type: Number, default: 0 },
+    errorLog: [{
+      recordType: { type: String }, // null = whole county run
+      message: { type: String }
+    }],
+    metrics: { type: mongoose.Schema.Types.Mixed }, // Runner metrics (byType)
+
+    alerts: [{
+      type: { type: String, enum: ['zero_yield', 'consecutive_failures'] },
+      message: { type: String },
+      at: { type: Date, default: Date.now }
+    }]
+  },
+  { timestamps: true }
+);
+
+scraperRunSchema.index({ county: 1, startedAt: -1 });
+scraperRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ScraperRun', scraperRunSchema);
@@ -0,0 +1,53 @@
+// models/SkipTraceBatch.js
+// Bulk skip trace request over a filtered lead set (jobs reference batchId)
+const mongoose = require('mongoose');
+
+const skipTraceBatchSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    status: {
+      type: String,
+      enum: ['enqueuing', 'running', 'completed'],
+      default: 'enqueuing',
+      index: true
+    },
+    totals: {
+      matched: { type: Number, default: 0 },
+      eligible: { type: Number, default: 0 },
+      queued: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      duplicates: { type: Number, default: 0 }
+    },
+    skipped: [{
+      leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+      reason: {
+        type: String,
+        enum: ['locked', 'recently_traced', 'already_queued', 'duplicate_owner', 'enqueue_failed', 'not_found']
+      },
+      duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+      detail: { type: String }
+    }],
+    estimatedCost: { type: Number, default: 0 },
+    // Finished job count last emitted as skiptrace:bulk_progress
+    progressFinished: { type: Number, default: 0 },
+    completedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+skipTraceBatchSchema.index({ tenantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SkipTraceBatch', skipTraceBatchSchema);
@@ -0,0 +1,91 @@
+// models/SkipTraceJob.js
+// Durable skip trace queue entry (one per lead request, leased by workers)
+const mongoose = require('mongoose');
+
+const providerRunSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    nextRetryAt: { type: Date },
+    cost: { type: Number, default: 0 },
+    result: { type: mongoose.Schema.Types.Mixed },
+    completedAt: { type: Date }
+  },
+  { _id: false }
+);
+
+const skipTraceJobSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+      index: true
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SkipTraceBatch',
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'leased', 'completed', 'failed', 'cancelled'],
+      default: 'queued',
+      index: true
+    },
+    priority: { type: Number, default: 0 }, // Higher runs first
+    nextRunAt: { type: Date, default: Date.now },
+
+    // Lease (worker ownership)
+    leasedBy: { type: String },
+    leaseExpiresAt: { type: Date },
+    leaseCount: { type: Number, default: 0 },
+
+    // Per-provider retry state
+    maxAttemptsPerProvider: { type: Number, default: 3 },
+    providers: [providerRunSchema],
+
+    // Cost tracking (dollars)
+    estimatedCost: { type: Number, default: 0 },
+    actualCost: { type: Number, default: 0 },
+
+    // Outcome
+    lastError: { type: String },
+    resultSummary: {
+      status: { type: String }, // completed | no_data
+      phonesFound: { type: Number },
+      emailsFound: { type: Number },
+      confidenceScore: { type: Number },
+      sources: [{ type: String }]
+    },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+// Worker lease query
+skipTraceJobSchema.index({ status: 1, nextRunAt: 1, priority: -1 });
+skipTraceJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+// Admin listing and per-tenant caps
+skipTraceJobSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+skipTraceJobSchema.index({ tenantId: 1, completedAt: -1 });
+
+module.exports = mongoose.model('SkipTraceJob', skipTraceJobSchema);
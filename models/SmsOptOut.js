@@ -0,0 +1,39 @@
+// models/SmsOptOut.js
+// SMS do-not-contact list: phone numbers that texted STOP, were added by hand, or that carriers keep
+// rejecting. Every outbound SMS path checks it before sending (services/smsOptOutService.js).
+// One entry per tenant and phone: a STOP to one tenant's number doesn't opt out of another's, and
+// START only takes the number off the list of the tenant it was sent to.
+const mongoose = require('mongoose');
+
+const smsOptOutSchema = new mongoose.Schema(
+  {
+    // Tenant the entry applies to (null = every tenant, e.g. a STOP to a number no tenant owns)
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      default: null,
+      index: true
+    },
+    phone: { type: String, required: true, index: true }, // E.164
+    active: { type: Boolean, default: true, index: true },
+    source: { type: String, enum: ['sms_keyword', 'manual', 'carrier'], required: true },
+    keyword: { type: String }, // Message that opted the number out (first 100 chars)
+    leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', default: null },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    errorCode: { type: String }, // Twilio error code that suppressed the number (source: carrier)
+    // Delivery failures since the last delivered message; an inactive entry may exist just to count them
+    carrierFailures: {
+      count: { type: Number },
+      lastErrorCode: { type: String },
+      lastFailedAt: { type: Date }
+    },
+    optedOutAt: { type: Date, default: Date.now },
+    optedInAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+smsOptOutSchema.index({ tenantId: 1, phone: 1 }, { unique: true });
+smsOptOutSchema.index({ tenantId: 1, active: 1, optedOutAt: -1 });
+
+module.exports = mongoose.model('SmsOptOut', smsOptOutSchema);
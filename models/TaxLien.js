@@ -11,6 +11,7 @@ const TaxLienSchema = new mongoose.Schema(
     },
     ownerName: String,
     propertyAddress: { type: String, index: true },
+    propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', index: true },
 
     delinquentAmount: String,
     yearsOwed: String,
@@ -24,4 +25,6 @@ const TaxLienSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+TaxLienSchema.index({ tenantId: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model("TaxLien", TaxLienSchema);
\ No newline at end of file
@@ -36,6 +36,8 @@ const templateSchema = new mongoose.Schema(
         'buyer_blast_sms',
         'buyer_blast_email',
         'buyer_blast_internal',
+        // Direct mail (merge fields: utils/letterMerge.js)
+        'letter',
         // Shared/System types
         'system',
         'kpi',
@@ -139,6 +141,7 @@ templateSchema.pre('save', async function(next) {
     'negotiation',
     'loi',
     'followup',
+    'letter',
     'system',
     'kpi',
     'training'
@@ -186,8 +189,8 @@ templateSchema.pre('save', async function(next) {
   const validCombinations = {
     dialer: ['script', 'objection', 'notes', 'compliance'],
     closer: ['closer_script', 'negotiation', 'loi', 'followup', 'buyer_blast_sms', 'buyer_blast_email', 'buyer_blast_internal'],
-    both: ['compliance', 'system', 'kpi', 'training', 'buyer_blast_sms', 'buyer_blast_email', 'buyer_blast_internal'],
-    admin: ['system', 'kpi', 'training', 'buyer_blast_sms', 'buyer_blast_email', 'buyer_blast_internal']
+    both: ['compliance', 'system', 'kpi', 'training', 'buyer_blast_sms', 'buyer_blast_email', 'buyer_blast_internal', 'letter'],
+    admin: ['system', 'kpi', 'training', 'buyer_blast_sms', 'buyer_blast_email', 'buyer_blast_internal', 'letter']
   };
   
   if (!validCombinations[this.roleScope]?.includes(this.type)) {
@@ -31,6 +31,62 @@ const tenantSchema = new mongoose.Schema(
     secondaryColor: {
       type: String,
       default: '#ff6f00'
+    },
+    // Outbound email / PDF footer line (company address, license number, ...) and reply-to (utils/branding.js)
+    footerText: {
+      type: String,
+      default: ''
+    },
+    replyToEmail: {
+      type: String,
+      default: '',
+      lowercase: true,
+      trim: true
+    },
+    // Skip trace queue limits (null = use env defaults)
+    skipTrace: {
+      maxConcurrentJobs: { type: Number, default: null },
+      dailyCostCap: { type: Number, default: null }, // dollars per day
+      queuePaused: { type: Boolean, default: false },
+      pausedAt: { type: Date },
+      pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    // Inbound Deal -> Lead promotion (null = use env defaults)
+    dealPromotion: {
+      enabled: { type: Boolean, default: null },
+      requireNumbers: { type: Boolean, default: null } // Address alone isn't enough without a price / ARV
+    },
+    // Creative finance return thresholds (null = use env defaults; utils/creativeFinanceCalculator.js)
+    creativeFinance: {
+      minMonthlySpread: { type: Number, default: null },
+      minCashOnCashPercent: { type: Number, default: null },
+      maxEntryCost: { type: Number, default: null },
+      maxPriceToArvPercent: { type: Number, default: null },
+      minNovationProfit: { type: Number, default: null }
+    },
+    // Twilio numbers owned by this tenant (services/smsNumberRoutingService.js): inbound texts and status
+    // callbacks to these numbers are processed in this tenant; the first one is its outbound number
+    sms: {
+      phoneNumbers: [{ type: String, trim: true }] // E.164
+    },
+    // Inbound email routing (src/services/inboundRoutingService.js)
+    inbound: {
+      // POST /api/inbound/email/:token, and plus-addressing (deals+<token>@...) on the shared endpoint
+      token: { type: String, default: undefined },
+      // Recipient addresses routed to this tenant on the shared endpoint
+      addresses: [{ type: String, lowercase: true, trim: true }],
+      // HMAC signing secrets; rotation keeps the previous one valid until expiresAt
+      secrets: {
+        type: [
+          {
+            _id: false,
+            value: { type: String, required: true },
+            createdAt: { type: Date, default: Date.now },
+            expiresAt: { type: Date, default: null }
+          }
+        ],
+        select: false
+      }
     }
   },
   { timestamps: true }
@@ -38,6 +94,10 @@ const tenantSchema = new mongoose.Schema(
 
 // Index for efficient queries
 tenantSchema.index({ slug: 1 });
+tenantSchema.index({ 'inbound.token': 1 }, { unique: true, sparse: true });
+// Not unique: every tenant without addresses shares the empty-array key; uniqueness is checked on update
+tenantSchema.index({ 'inbound.addresses': 1 });
+tenantSchema.index({ 'sms.phoneNumbers': 1 });
 
 module.exports = mongoose.model('Tenant', tenantSchema);
 
@@ -1,7 +1,15 @@
+// routes/CodeViolationRoutes.js
 const express = require('express');
 const router = express.Router();
+const authRequired = require('../middleware/authMiddleware');
+const { injectTenantId } = require('../middleware/tenantScope');
 const { getAll } = require('../controllers/codeViolationController');
+const { exportCodeViolations } = require('../controllers/exportController');
+
+router.use(authRequired, injectTenantId);
 
 router.get('/', getAll);
+// Same as /api/export/codeviolations (the dashboard links here)
+router.get('/export', exportCodeViolations);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
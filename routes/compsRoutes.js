@@ -0,0 +1,16 @@
+// routes/compsRoutes.js
+const express = require('express');
+const router = express.Router();
+const authRequired = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
+const comps = require('../controllers/compsController');
+
+// Closed sale / rent records (CSV or MLS export)
+router.get('/', authRequired, requireRole('admin', 'manager'), comps.listComps);
+router.post('/import', authRequired, requireRole('admin', 'manager'), comps.uploadMiddleware, comps.importComps);
+
+// ARV and rent estimates for a lead
+router.get('/leads/:leadId', authRequired, requireRole('admin', 'manager', 'closer'), comps.getLeadComps);
+router.post('/leads/:leadId/refresh', authRequired, requireRole('admin', 'manager', 'closer'), comps.refreshLeadComps);
+
+module.exports = router;
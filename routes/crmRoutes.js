@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const authRequired = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
 const crm = require('../controllers/crmController');
+const leadExport = require('../controllers/leadExportController');
+const leadImport = require('../controllers/leadImportController');
 
 // All CRM endpoints require auth
 router.get('/leads', authRequired, crm.getLeads);
+// Bulk lead export for mail house / dialer lists (same filters as GET /leads)
+router.get('/leads/export', authRequired, requireRole('admin', 'manager'), leadExport.exportLeads);
 router.post('/leads', authRequired, crm.createLead);
 router.post('/leads/:id/status', authRequired, crm.updateStatus);
 router.post(
@@ -25,4 +30,17 @@ router.get('/leads/:id/matching-buyers', authRequired, crm.getMatchingBuyers);
 const buyerFeedbackController = require('../controllers/buyerFeedbackController');
 router.get('/leads/:id/feedback', authRequired, buyerFeedbackController.getLeadFeedback);
 
+// Lead export column presets
+router.get('/export-presets', authRequired, requireRole('admin', 'manager'), leadExport.listPresets);
+router.post('/export-presets', authRequired, requireRole('admin', 'manager'), leadExport.createPreset);
+router.put('/export-presets/:id', authRequired, requireRole('admin', 'manager'), leadExport.updatePreset);
+router.delete('/export-presets/:id', authRequired, requireRole('admin', 'manager'), leadExport.deletePreset);
+
+// Two-phase CSV lead import: upload + dry run, adjust mapping, commit, report
+router.get('/lead-imports', authRequired, requireRole('admin', 'manager'), leadImport.listImports);
+router.post('/lead-imports', authRequired, requireRole('admin', 'manager'), leadImport.uploadMiddleware, leadImport.createImport);
+router.get('/lead-imports/:id', authRequired, requireRole('admin', 'manager'), leadImport.getImport);
+router.post('/lead-imports/:id/preview', authRequired, requireRole('admin', 'manager'), leadImport.previewImport);
+router.post('/lead-imports/:id/commit', authRequired, requireRole('admin', 'manager'), leadImport.commitImport);
+
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,17 @@
+// routes/exportRoutes.js
 const express = require('express');
 const router = express.Router();
+const authRequired = require('../middleware/authMiddleware');
+const { injectTenantId } = require('../middleware/tenantScope');
 const exp = require('../controllers/exportController');
 
 // Export routes: /api/export/preforeclosures, /api/export/taxliens, etc.
-router.get('/export/preforeclosures', exp.exportPreforeclosures);
-router.get('/export/taxliens', exp.exportTaxLiens);
-router.get('/export/codeviolations', exp.exportCodeViolations);
-router.get('/export/probate', exp.exportProbate);
+// CSV by default, ?format=xlsx for Excel; accepts the same filters as the list endpoints.
+// Auth is per route: this router is mounted on /api, so router.use() would run for every /api request.
+const scoped = [authRequired, injectTenantId];
+router.get('/export/preforeclosures', scoped, exp.exportPreforeclosures);
+router.get('/export/taxliens', scoped, exp.exportTaxLiens);
+router.get('/export/codeviolations', scoped, exp.exportCodeViolations);
+router.get('/export/probate', scoped, exp.exportProbate);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
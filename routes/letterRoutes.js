@@ -1,9 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const authRequired = require('../middleware/authMiddleware');
-const { getLetterPdf } = require('../controllers/letterController');
+const requireRole = require('../middleware/roleMiddleware');
+const letters = require('../controllers/letterController');
+
+// Direct mail campaigns (admin/manager)
+const campaignAccess = [authRequired, requireRole('admin', 'manager')];
+router.get('/campaigns', campaignAccess, letters.listMailCampaigns);
+router.post('/campaigns', campaignAccess, letters.createMailCampaign);
+router.get('/campaigns/:id', campaignAccess, letters.getMailCampaign);
+router.get('/campaigns/:id/letters', campaignAccess, letters.getMailCampaignLetters);
+router.get('/campaigns/:id/addresses', campaignAccess, letters.getMailCampaignAddresses);
+router.post('/campaigns/:id/responses', campaignAccess, letters.logMailCampaignResponse);
 
 // protect letters if you want; or remove authRequired
-router.get('/:id/letter', authRequired, getLetterPdf);
+router.get('/:id/letter', authRequired, letters.getLetterPdf);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
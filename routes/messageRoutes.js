@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const authRequired = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
 const messageController = require('../controllers/messageController');
 
 // All message endpoints require auth
@@ -10,5 +11,9 @@ router.get('/threads/:id', authRequired, messageController.getThreadMessages);
 router.post('/send', authRequired, messageController.sendMessage);
 router.post('/read/:id', authRequired, messageController.markMessageRead);
 
+// SMS do-not-contact list (STOP replies are added by the Twilio inbound webhook)
+router.get('/sms-opt-outs', authRequired, requireRole('admin', 'manager'), messageController.listSmsOptOuts);
+router.post('/sms-opt-outs', authRequired, requireRole('admin', 'manager', 'closer', 'dialer'), messageController.addSmsOptOut);
+
 module.exports = router;
 
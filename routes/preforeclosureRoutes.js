@@ -1,7 +1,15 @@
+// routes/preforeclosureRoutes.js
 const express = require('express');
 const router = express.Router();
+const authRequired = require('../middleware/authMiddleware');
+const { injectTenantId } = require('../middleware/tenantScope');
 const { getAll } = require('../controllers/preforeclosureController');
+const { exportPreforeclosures } = require('../controllers/exportController');
+
+router.use(authRequired, injectTenantId);
 
 router.get('/', getAll);
+// Same as /api/export/preforeclosures (the dashboard links here)
+router.get('/export', exportPreforeclosures);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,7 +1,15 @@
+// routes/probateRoutes.js
 const express = require('express');
 const router = express.Router();
+const authRequired = require('../middleware/authMiddleware');
+const { injectTenantId } = require('../middleware/tenantScope');
 const { getAll } = require('../controllers/probateController');
+const { exportProbate } = require('../controllers/exportController');
+
+router.use(authRequired, injectTenantId);
 
 router.get('/', getAll);
+// Same as /api/export/probate (the dashboard links here)
+router.get('/export', exportProbate);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
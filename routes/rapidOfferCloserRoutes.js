@@ -16,11 +16,13 @@ router.get('/leads/:id/matching-buyers', closerController.getMatchingBuyers);
 router.get('/leads/:id/blasts', closerController.getLeadBlasts);
 router.post('/leads/:id/send-buyer-blast', closerController.sendBuyerBlast);
 router.post('/leads/:id/request-info', closerController.requestInfo);
+router.get('/leads/:id/offer-calc', closerController.getOfferCalc);
 router.post('/leads/:id/offer', closerController.setOffer);
 router.post('/leads/:id/mark-offer-sent', closerController.markOfferSent);
 router.post('/leads/:id/mark-contract-sent', closerController.markContractSent);
 router.post('/leads/:id/mark-under-contract', closerController.markUnderContract);
 router.post('/leads/:id/override-score', closerController.overrideScore);
 router.post('/leads/:id/override-routing', closerController.overrideRouting);
+router.post('/leads/:id/assign', closerController.assignLead);
 
 module.exports = router;
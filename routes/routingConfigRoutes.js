@@ -0,0 +1,38 @@
+// routes/routingConfigRoutes.js
+const express = require('express');
+const router = express.Router();
+const authRequired = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
+const routingConfigController = require('../controllers/routingConfigController');
+
+// All routing config routes require auth
+router.use(authRequired);
+
+// GET /api/routing/config - List versions + effective config (admin, manager)
+router.get('/', requireRole('admin', 'manager'), routingConfigController.listConfigs);
+
+// GET /api/routing/config/effective - Resolved config in use (admin, manager)
+router.get('/effective', requireRole('admin', 'manager'), routingConfigController.getEffectiveConfig);
+
+// POST /api/routing/config/dry-run - Diff routes on recent leads with a candidate config (admin, manager)
+router.post('/dry-run', requireRole('admin', 'manager'), routingConfigController.dryRun);
+
+// GET /api/routing/config/:id - Get version (admin, manager)
+router.get('/:id', requireRole('admin', 'manager'), routingConfigController.getConfig);
+
+// POST /api/routing/config - Create version (admin only)
+router.post('/', requireRole('admin'), routingConfigController.createConfig);
+
+// PUT /api/routing/config/:id - Edit draft (admin only)
+router.put('/:id', requireRole('admin'), routingConfigController.updateConfig);
+
+// POST /api/routing/config/:id/activate - Activate draft, optionally scheduled (admin only)
+router.post('/:id/activate', requireRole('admin'), routingConfigController.activateConfig);
+
+// POST /api/routing/config/:id/archive - Archive version (admin only)
+router.post('/:id/archive', requireRole('admin'), routingConfigController.archiveConfig);
+
+// DELETE /api/routing/config/:id - Delete draft (admin only)
+router.delete('/:id', requireRole('admin'), routingConfigController.deleteConfig);
+
+module.exports = router;
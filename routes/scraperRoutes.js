@@ -0,0 +1,20 @@
+// routes/scraperRoutes.js
+const express = require('express');
+const router = express.Router();
+const authRequired = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
+const scraperController = require('../controllers/scraperController');
+
+// All scraper routes require auth
+router.use(authRequired);
+
+// GET /api/scrapers/health - Per-county health + lock state (admin, manager)
+router.get('/health', requireRole('admin', 'manager'), scraperController.getHealth);
+
+// GET /api/scrapers/runs - Run history (admin only)
+router.get('/runs', requireRole('admin'), scraperController.getRuns);
+
+// GET /api/scrapers/runs/:id - Run detail with metrics (admin only)
+router.get('/runs/:id', requireRole('admin'), scraperController.getRun);
+
+module.exports = router;
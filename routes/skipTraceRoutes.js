@@ -8,7 +8,19 @@ const skipTraceController = require('../controllers/skipTraceController');
 // All skip trace routes require auth
 router.use(authRequired);
 
-// POST /api/skiptrace/:leadId - Request skip trace (admin, manager, closer)
+// Queue admin (admin only) - registered before /:leadId
+router.get('/queue', requireRole('admin'), skipTraceController.getQueue);
+router.post('/queue/pause', requireRole('admin'), skipTraceController.pauseQueue);
+router.post('/queue/resume', requireRole('admin'), skipTraceController.resumeQueue);
+router.get('/queue/jobs/:jobId', requireRole('admin'), skipTraceController.getQueueJob);
+router.post('/queue/jobs/:jobId/retry', requireRole('admin'), skipTraceController.retryQueueJob);
+router.post('/queue/jobs/:jobId/cancel', requireRole('admin'), skipTraceController.cancelQueueJob);
+
+// Bulk skip trace (preview, then confirm) - registered before /:leadId
+router.post('/bulk', requireRole('admin', 'manager'), skipTraceController.bulkSkipTrace);
+router.get('/bulk/:batchId', requireRole('admin', 'manager'), skipTraceController.getBulkBatch);
+
+// POST /api/skiptrace/:leadId - Queue skip trace (admin, manager, closer)
 // Also supports /api/skiptrace/leads/:id for backward compatibility
 router.post('/:leadId', requireRole('admin', 'manager', 'closer'), skipTraceController.requestSkipTrace);
 router.post('/leads/:id', requireRole('admin', 'manager', 'closer'), skipTraceController.requestSkipTrace);
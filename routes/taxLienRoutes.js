@@ -1,7 +1,15 @@
+// routes/taxLienRoutes.js
 const express = require('express');
 const router = express.Router();
+const authRequired = require('../middleware/authMiddleware');
+const { injectTenantId } = require('../middleware/tenantScope');
 const { getAll } = require('../controllers/taxLienController');
+const { exportTaxLiens } = require('../controllers/exportController');
+
+router.use(authRequired, injectTenantId);
 
 router.get('/', getAll);
+// Same as /api/export/taxliens (the dashboard links here)
+router.get('/export', exportTaxLiens);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -10,5 +10,24 @@ router.get('/', authRequired, tenantController.getTenants);
 router.get('/me', authRequired, tenantController.getMyTenant);
 router.post('/:id/invite', authRequired, tenantController.inviteUser);
 
+// Branding for outbound emails, deal packages and PDFs (admin, or manager of the tenant)
+router.get('/:id/branding', authRequired, tenantController.getBranding);
+router.put('/:id/branding', authRequired, tenantController.updateBranding);
+router.get('/:id/branding/preview/:artifact', authRequired, tenantController.previewBranding);
+
+// Creative finance return thresholds (admin, or manager of the tenant)
+router.get('/:id/creative-finance', authRequired, tenantController.getCreativeFinanceSettings);
+router.put('/:id/creative-finance', authRequired, tenantController.updateCreativeFinanceSettings);
+
+// Inbound email routing (token, addresses, signing secret)
+router.get('/:id/inbound', authRequired, tenantController.getInboundSettings);
+router.put('/:id/inbound/addresses', authRequired, tenantController.setInboundAddresses);
+router.post('/:id/inbound/rotate-secret', authRequired, tenantController.rotateInboundSecret);
+router.post('/:id/inbound/rotate-token', authRequired, tenantController.rotateInboundToken);
+
+// Twilio numbers routed to the tenant (inbound texts, status callbacks, outbound from-number)
+router.get('/:id/sms', authRequired, tenantController.getSmsSettings);
+router.put('/:id/sms/numbers', authRequired, tenantController.setSmsNumbers);
+
 module.exports = router;
 
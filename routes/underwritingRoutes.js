@@ -7,6 +7,7 @@ const underwritingController = require('../controllers/underwritingController');
 // All underwriting endpoints require auth
 router.post('/:leadId', authRequired, underwritingController.underwrite);
 router.put('/:leadId', authRequired, underwritingController.updateUnderwriting);
+router.post('/:leadId/creative-finance', authRequired, underwritingController.creativeFinance);
 
 module.exports = router;
 
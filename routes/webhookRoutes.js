@@ -3,19 +3,36 @@ const express = require('express');
 const router = express.Router();
 const Buyer = require('../models/Buyer');
 const DealBlastRecipient = require('../models/DealBlastRecipient');
-const BuyerFeedback = require('../models/BuyerFeedback');
 const { normalizePhone } = require('../utils/smsBlast');
-const { updateBuyerQualityScores } = require('../utils/buyerQualityScoring');
-const { runPriceDiscovery } = require('../utils/priceDiscovery');
+const { parseOptKeyword, recordOptOut, recordOptIn } = require('../services/smsOptOutService');
+const { findLeadByPhone, recordSellerReply } = require('../services/sellerSmsService');
+const { recordBuyerReply } = require('../services/buyerReplyService');
+const { resolveTenantForNumber } = require('../services/smsNumberRoutingService');
+const { applyStatusCallback } = require('../services/smsStatusService');
+const verifyTwilioSignature = require('../middleware/twilioSignature');
+
+/**
+ * Thread a seller's text into the lead conversation; never fails the webhook
+ */
+async function threadSellerReply(lead, phone, body, optKeyword = null) {
+  try {
+    const { thread, notified } = await recordSellerReply({ lead, phone, body, optKeyword });
+    console.log(`[Twilio Webhook] Seller reply on lead ${lead._id} threaded to ${thread._id} (notified ${notified.length})`);
+  } catch (err) {
+    console.error('[Twilio Webhook] Failed to thread seller reply:', err);
+  }
+}
 
 /**
  * POST /api/webhooks/twilio/inbound
- * Handle inbound SMS from Twilio (opt-out handling)
- * Accepts Twilio form-encoded payload
+ * Handle inbound SMS from Twilio: opt-out / opt-in keywords, buyer feedback and seller conversations.
+ * The number texted (`To`) picks the tenant (Tenant.sms.phoneNumbers); within it the sender is matched
+ * to buyers by phone and to leads by their skip trace / phone list numbers.
+ * Accepts Twilio form-encoded payload signed with X-Twilio-Signature
  */
-router.post('/twilio/inbound', express.urlencoded({ extended: true }), async (req, res) => {
+router.post('/twilio/inbound', express.urlencoded({ extended: true }), verifyTwilioSignature, async (req, res) => {
   try {
-    const { From, Body } = req.body;
+    const { From, To, Body } = req.body;
     
     if (!From || !Body) {
       return res.status(400).send('Missing From or Body');
@@ -27,20 +44,30 @@ router.post('/twilio/inbound', express.urlencoded({ extended: true }), async (re
       return res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
     }
     
-    const bodyUpper = Body.toUpperCase().trim();
-    const optOutKeywords = ['STOP', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
-    const isOptOut = optOutKeywords.some(keyword => bodyUpper.includes(keyword));
-    const isStart = bodyUpper.includes('START');
+    const optKeyword = parseOptKeyword(Body);
+    
+    // The number texted picks the tenant; every lookup below is scoped to it
+    const route = await resolveTenantForNumber(To);
+    const tenantId = route.tenantId || null;
+    if (!tenantId) {
+      console.log(`[Twilio Webhook] No tenant for number ${To || '(missing To)'}: ${route.reason}`);
+    }
     
     // Find buyer by phone
-    const buyer = await Buyer.findOne({
-      $or: [
-        { phone: normalizedPhone },
-        { phones: normalizedPhone }
-      ]
-    });
+    const buyer = tenantId
+      ? await Buyer.findOne({
+        tenantId,
+        $or: [
+          { phone: normalizedPhone },
+          { phones: normalizedPhone }
+        ]
+      })
+      : null;
+    
+    // Find the seller (lead) we texted at this number
+    const lead = tenantId ? await findLeadByPhone(normalizedPhone, tenantId) : null;
     
-    if (isOptOut) {
+    if (optKeyword === 'opt_out') {
       // Handle opt-out
       if (buyer) {
         buyer.smsOptOut = true;
@@ -49,10 +76,23 @@ router.post('/twilio/inbound', express.urlencoded({ extended: true }), async (re
         buyer.optOut = { ...buyer.optOut, sms: true, updatedAt: new Date() };
         await buyer.save();
         console.log(`[Twilio Webhook] Buyer ${buyer._id} opted out via SMS`);
-      } else {
+      } else if (!lead) {
         console.log(`[Twilio Webhook] Opt-out from unknown number: ${normalizedPhone}`);
       }
       
+      // Every STOP goes on the do-not-contact list, matched or not
+      await recordOptOut({
+        phone: normalizedPhone,
+        source: 'sms_keyword',
+        tenantId,
+        leadId: lead?._id || null,
+        keyword: Body
+      });
+      if (lead) {
+        console.log(`[Twilio Webhook] Seller on lead ${lead._id} opted out via SMS`);
+        await threadSellerReply(lead, normalizedPhone, Body, 'opt_out');
+      }
+      
       // Respond with TwiML
       return res.status(200).send(
         '<?xml version="1.0" encoding="UTF-8"?>' +
@@ -62,7 +102,7 @@ router.post('/twilio/inbound', express.urlencoded({ extended: true }), async (re
       );
     }
     
-    if (isStart) {
+    if (optKeyword === 'opt_in') {
       // Handle re-enable
       if (buyer) {
         buyer.smsOptOut = false;
@@ -73,6 +113,11 @@ router.post('/twilio/inbound', express.urlencoded({ extended: true }), async (re
         console.log(`[Twilio Webhook] Buyer ${buyer._id} re-enabled SMS`);
       }
       
+      await recordOptIn(normalizedPhone, tenantId);
+      if (lead) {
+        await threadSellerReply(lead, normalizedPhone, Body, 'opt_in');
+      }
+      
       // Respond with TwiML
       return res.status(200).send(
         '<?xml version="1.0" encoding="UTF-8"?>' +
@@ -100,128 +145,21 @@ router.post('/twilio/inbound', express.urlencoded({ extended: true }), async (re
         .sort({ sentAt: -1 });
       
       if (recentRecipient && recentRecipient.dealBlastId) {
-        // Parse response text
-        const bodyUpper = Body.toUpperCase().trim();
-        const bodyLower = Body.toLowerCase().trim();
-        
-        let responseType = 'pass';
-        let status = 'replied';
-        
-        // YES, INTERESTED, Y, YES PLEASE, etc.
-        if (bodyUpper.match(/^(YES|Y|INTERESTED|YES PLEASE|INTERESTED!?)$/)) {
-          responseType = 'interested';
-          status = 'interested';
-        }
-        // NO, PASS, N, NOT INTERESTED, etc.
-        else if (bodyUpper.match(/^(NO|N|PASS|NOT INTERESTED|NOT INT)$/)) {
-          responseType = 'pass';
-          status = 'not_interested';
-        }
-        // TOO HIGH, TOO EXPENSIVE, PRICE TOO HIGH, etc.
-        else if (bodyLower.match(/(too\s+high|too\s+expensive|price\s+too\s+high|too\s+much|overpriced)/)) {
-          responseType = 'price_too_high';
-          status = 'not_interested';
-        }
-        // WRONG MARKET, WRONG AREA, etc.
-        else if (bodyLower.match(/(wrong\s+market|wrong\s+area|not\s+my\s+market|different\s+area)/)) {
-          responseType = 'wrong_market';
-          status = 'not_interested';
-        }
-        // MORE INFO, DETAILS, etc.
-        else if (bodyLower.match(/(more\s+info|more\s+information|details|tell\s+me\s+more)/)) {
-          responseType = 'needs_more_info';
-          status = 'replied';
-        }
-        
-        // Update recipient status
-        recentRecipient.status = status;
-        recentRecipient.respondedAt = new Date();
-        recentRecipient.responseText = Body.substring(0, 500); // Limit length
-        await recentRecipient.save();
-        
-        // Create buyer feedback record
-        try {
-          await BuyerFeedback.create({
-            buyerId: buyer._id,
-            leadId: recentRecipient.dealBlastId.leadId,
-            responseType,
-            optionalNotes: Body.substring(0, 500),
-            source: 'sms',
-            dealBlastRecipientId: recentRecipient._id
-          });
-          
-          // Create message in thread (find or create thread)
-          try {
-            const MessageThread = require('../models/MessageThread');
-            const Message = require('../models/Message');
-            const Lead = require('../models/Lead');
-            
-            // Find or create thread for this buyer and lead
-            let thread = await MessageThread.findOne({
-              relatedBuyerId: buyer._id,
-              relatedLeadId: recentRecipient.dealBlastId.leadId
-            });
-            
-            if (!thread) {
-              // Create thread - find users who can see this lead
-              const lead = await Lead.findById(recentRecipient.dealBlastId.leadId);
-              const User = require('../models/user');
-              const users = await User.find({ role: { $in: ['admin', 'closer', 'manager'] } }).limit(1);
-              
-              thread = await MessageThread.create({
-                participants: users.map(u => u._id),
-                relatedLeadId: recentRecipient.dealBlastId.leadId,
-                relatedBuyerId: buyer._id
-              });
-            }
-            
-            // Create inbound message
-            await Message.create({
-              threadId: thread._id,
-              senderId: null, // Buyer, not a user
-              senderRole: 'buyer',
-              body: Body.substring(0, 1000),
-              channel: 'sms',
-              externalAddress: normalizedPhone,
-              inbound: true
-            });
-            
-            // Update thread last message time
-            thread.lastMessageAt = new Date();
-            await thread.save();
-            
-            // Create notifications for thread participants
-            const { createNotification } = require('../services/notificationService');
-            for (const participantId of thread.participants) {
-              await createNotification({
-                userId: participantId,
-                type: 'system',
-                title: 'New Buyer Message',
-                message: `${buyer.name || 'Buyer'}: ${Body.substring(0, 50)}`,
-                entityType: 'message',
-                entityId: thread._id,
-                priority: 'normal'
-              });
-            }
-          } catch (msgErr) {
-            console.error('[Twilio Webhook] Failed to create message:', msgErr);
-            // Don't fail the webhook if message creation fails
-          }
-          
-          // Update buyer quality scores (async)
-          updateBuyerQualityScores(buyer._id).catch(err => {
-            console.error('Failed to update buyer quality scores:', err);
-          });
-          
-          // Run price discovery (async)
-          runPriceDiscovery(recentRecipient.dealBlastId.leadId).catch(err => {
-            console.error('Failed to run price discovery:', err);
-          });
-        } catch (feedbackErr) {
-          console.error('[Twilio Webhook] Failed to create buyer feedback:', feedbackErr);
-        }
+        await recordBuyerReply({
+          tenantId,
+          buyer,
+          recipient: recentRecipient,
+          body: Body,
+          channel: 'sms',
+          externalAddress: normalizedPhone
+        });
       }
-    } else {
+    }
+    
+    if (lead) {
+      console.log(`[Twilio Webhook] Inbound message from seller on lead ${lead._id}: ${Body.substring(0, 50)}`);
+      await threadSellerReply(lead, normalizedPhone, Body);
+    } else if (!buyer) {
       console.log(`[Twilio Webhook] Inbound message from unknown number: ${normalizedPhone}`);
     }
     
@@ -234,4 +172,31 @@ router.post('/twilio/inbound', express.urlencoded({ extended: true }), async (re
   }
 });
 
+/**
+ * POST /api/webhooks/twilio/status
+ * Twilio delivery status callback (statusCallback on outbound SMS): updates deal blast recipients and
+ * messages, and suppresses numbers carriers keep rejecting
+ * Accepts Twilio form-encoded payload signed with X-Twilio-Signature
+ */
+router.post('/twilio/status', express.urlencoded({ extended: true }), verifyTwilioSignature, async (req, res) => {
+  try {
+    const { MessageSid, MessageStatus } = req.body;
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).send('Missing MessageSid or MessageStatus');
+    }
+
+    // Outbound status: `From` is our number, so it names the tenant
+    const { tenantId } = await resolveTenantForNumber(req.body.From);
+    const result = await applyStatusCallback(req.body, { tenantId });
+    if (result.errorCode) {
+      console.log(`[Twilio Status] ${MessageSid} ${result.status} (error ${result.errorCode})${result.suppressed ? ' - number suppressed' : ''}`);
+    }
+    return res.status(200).end();
+  } catch (error) {
+    console.error('[Twilio Status] Error:', error.message);
+    // Always return 200 to Twilio to avoid retries
+    return res.status(200).end();
+  }
+});
+
 module.exports = router;
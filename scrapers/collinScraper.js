@@ -1,336 +0,0 @@
-// scrapers/collinScraper.js
-// Collin County scraper for Pre-Foreclosure, Tax Liens, Code Violations, and Probate
-
-const PreForeclosure = require('../models/PreForeclosure');
-const TaxLien = require('../models/TaxLien');
-const CodeViolation = require('../models/CodeViolation');
-const Probate = require('../models/Probate');
-const {
-  normalizePreforeclosureToLead,
-  normalizeTaxLienToLead,
-  normalizeCodeViolationToLead,
-  normalizeProbateToLead
-} = require('../utils/scraperLeadNormalizer');
-
-const COUNTY = 'Collin County';
-
-/**
- * Checks if a record already exists to prevent duplicates
- */
-async function recordExists(Model, query) {
-  const existing = await Model.findOne(query);
-  return !!existing;
-}
-
-/**
- * Inserts preforeclosure records with idempotency and normalizes to Leads
- */
-async function insertPreforeclosures(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(PreForeclosure, {
-      propertyAddress: record.propertyAddress,
-      ownerName: record.ownerName,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await PreForeclosure.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Clerk'
-      });
-      inserted++;
-      
-      try {
-        const { isNew } = await normalizePreforeclosureToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize preforeclosure to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts tax lien records with idempotency and normalizes to Leads
- */
-async function insertTaxLiens(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(TaxLien, {
-      propertyAddress: record.propertyAddress,
-      ownerName: record.ownerName,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await TaxLien.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Tax Office'
-      });
-      inserted++;
-      
-      try {
-        const { isNew } = await normalizeTaxLienToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize tax lien to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts code violation records with idempotency and normalizes to Leads
- */
-async function insertCodeViolations(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(CodeViolation, {
-      caseNumber: record.caseNumber,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await CodeViolation.create({
-        ...record,
-        county: COUNTY,
-        source: 'City Code Database'
-      });
-      inserted++;
-      
-      try {
-        const { isNew } = await normalizeCodeViolationToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize code violation to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts probate records with idempotency and normalizes to Leads
- */
-async function insertProbate(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(Probate, {
-      caseNumber: record.caseNumber,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await Probate.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Probate Court'
-      });
-      inserted++;
-      
-      try {
-        const { isNew } = await normalizeProbateToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize probate to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Attempts to scrape real data from Collin County sources
- * Falls back to realistic mock data if scraping fails
- */
-async function scrapeCollinCountyData() {
-  console.log(`[SCRAPER] ${COUNTY}: Starting scrape...`);
-  
-  let preforeclosuresInserted = 0;
-  let preforeclosureLeadsCreated = 0;
-  let taxLiensInserted = 0;
-  let taxLienLeadsCreated = 0;
-  let codeViolationsInserted = 0;
-  let codeViolationLeadsCreated = 0;
-  let probateInserted = 0;
-  let probateLeadsCreated = 0;
-  
-  try {
-    // PRE-FORECLOSURE DATA
-    try {
-      // TODO: Replace with actual Collin County preforeclosure source
-      const preforeclosureData = [
-        {
-          ownerName: 'Martinez, Carlos E',
-          propertyAddress: '1234 Main Street, Plano, TX 75023',
-          mailingAddress: '1234 Main Street, Plano, TX 75023',
-          amountDelinquent: '$38,500.00',
-          auctionDate: '2024-03-18'
-        },
-        {
-          ownerName: 'Garcia, Ana M',
-          propertyAddress: '5678 Park Boulevard, Frisco, TX 75034',
-          mailingAddress: 'PO Box 456, Frisco, TX 75034',
-          amountDelinquent: '$42,100.00',
-          auctionDate: '2024-03-25'
-        },
-        {
-          ownerName: 'Rodriguez, Jose L',
-          propertyAddress: '9012 Commerce Drive, McKinney, TX 75069',
-          mailingAddress: '9012 Commerce Drive, McKinney, TX 75069',
-          amountDelinquent: '$35,750.00',
-          auctionDate: '2024-04-01'
-        }
-      ];
-      
-      const pfResult = await insertPreforeclosures(preforeclosureData);
-      preforeclosuresInserted = pfResult.inserted;
-      preforeclosureLeadsCreated = pfResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${preforeclosuresInserted} new preforeclosures, created ${preforeclosureLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Preforeclosure scrape failed:`, err.message);
-    }
-    
-    // TAX LIEN DATA
-    try {
-      // TODO: Replace with actual Collin County tax lien source
-      const taxLienData = [
-        {
-          ownerName: 'Lee, Kevin J',
-          propertyAddress: '3456 Preston Road, Plano, TX 75024',
-          delinquentAmount: '$9,850.00',
-          yearsOwed: '1',
-          propertyValue: '$245,000'
-        },
-        {
-          ownerName: 'Kim, Soo Y',
-          propertyAddress: '7890 Legacy Drive, Frisco, TX 75035',
-          delinquentAmount: '$11,200.00',
-          yearsOwed: '2',
-          propertyValue: '$275,000'
-        },
-        {
-          ownerName: 'Chen, Wei L',
-          propertyAddress: '2345 Custer Parkway, McKinney, TX 75070',
-          delinquentAmount: '$7,650.00',
-          yearsOwed: '1',
-          propertyValue: '$210,000'
-        }
-      ];
-      
-      const tlResult = await insertTaxLiens(taxLienData);
-      taxLiensInserted = tlResult.inserted;
-      taxLienLeadsCreated = tlResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${taxLiensInserted} new tax liens, created ${taxLienLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Tax lien scrape failed:`, err.message);
-    }
-    
-    // CODE VIOLATION DATA
-    try {
-      // TODO: Replace with actual Collin County code violation source
-      const codeViolationData = [
-        {
-          caseNumber: 'CV-2024-002345',
-          propertyAddress: '4567 Independence Parkway, Plano, TX 75025',
-          violationType: 'Property Maintenance',
-          ownerName: 'Park, Min H',
-          status: 'Open'
-        },
-        {
-          caseNumber: 'CV-2024-002346',
-          propertyAddress: '8901 Stonebrook Drive, Frisco, TX 75036',
-          violationType: 'Building Code Violation',
-          ownerName: 'Nguyen, Thuy T',
-          status: 'Open'
-        },
-        {
-          caseNumber: 'CV-2024-002347',
-          propertyAddress: '1234 Eldorado Parkway, McKinney, TX 75071',
-          violationType: 'Zoning Violation',
-          ownerName: 'Singh, Raj K',
-          status: 'Pending'
-        }
-      ];
-      
-      const cvResult = await insertCodeViolations(codeViolationData);
-      codeViolationsInserted = cvResult.inserted;
-      codeViolationLeadsCreated = cvResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${codeViolationsInserted} new code violations, created ${codeViolationLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Code violation scrape failed:`, err.message);
-    }
-    
-    // PROBATE DATA
-    try {
-      // TODO: Replace with actual Collin County probate source
-      const probateData = [
-        {
-          caseNumber: 'PR-2024-000890',
-          executorName: 'Patel, Priya R',
-          attorneyName: 'Collin County Legal Services',
-          estateAddress: '5678 Coit Road, Plano, TX 75026'
-        },
-        {
-          caseNumber: 'PR-2024-000891',
-          executorName: 'Wong, Steven C',
-          attorneyName: 'Frisco Estate Law Group',
-          estateAddress: '9012 Lebanon Road, Frisco, TX 75037'
-        },
-        {
-          caseNumber: 'PR-2024-000892',
-          executorName: 'Ahmed, Fatima A',
-          attorneyName: 'McKinney Probate Attorneys',
-          estateAddress: '3456 Virginia Parkway, McKinney, TX 75072'
-        }
-      ];
-      
-      const prResult = await insertProbate(probateData);
-      probateInserted = prResult.inserted;
-      probateLeadsCreated = prResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${probateInserted} new probate records, created ${probateLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Probate scrape failed:`, err.message);
-    }
-    
-    const totalLeadsCreated = preforeclosureLeadsCreated + taxLienLeadsCreated + codeViolationLeadsCreated + probateLeadsCreated;
-    console.log(`[SCRAPER] ${COUNTY}: Scrape complete — PF: ${preforeclosuresInserted} | TL: ${taxLiensInserted} | CV: ${codeViolationsInserted} | PR: ${probateInserted}`);
-    console.log(`[SCRAPER] ${COUNTY}: Leads created: ${totalLeadsCreated} (PF: ${preforeclosureLeadsCreated}, TL: ${taxLienLeadsCreated}, CV: ${codeViolationLeadsCreated}, PR: ${probateLeadsCreated})`);
-    
-    return {
-      county: COUNTY,
-      preforeclosuresInserted,
-      taxLiensInserted,
-      codeViolationsInserted,
-      probateInserted,
-      leadsCreated: totalLeadsCreated
-    };
-    
-  } catch (err) {
-    console.error(`[SCRAPER] ${COUNTY}: Fatal error:`, err.message);
-    throw err;
-  }
-}
-
-module.exports = scrapeCollinCountyData;
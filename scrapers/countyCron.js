@@ -5,14 +5,33 @@
 const cron = require('node-cron');
 const connectDB = require('../config/db');
 const scrapers = require('./index'); // All county scrapers
+const {
+  acquireScraperLock,
+  renewScraperLock,
+  releaseScraperLock,
+  startScraperRun,
+  finishScraperRun,
+  checkScraperAlerts
+} = require('../services/scraperRunService');
 
 let isRunning = false;
 
 /**
  * Runs all county scrapers sequentially
- * This function is idempotent and safe to call multiple times
+ * This function is idempotent and safe to call multiple times:
+ * - in-process guard for overlapping cron ticks
+ * - DB lock (ScraperLock) so only one machine runs a cycle
+ * Each county run is recorded as a ScraperRun (see /api/scrapers/runs)
+ * @param {Object} options - { trigger: 'cron' | 'startup' | 'manual' }
  */
-async function runAllCountyScrapers() {
+async function runAllCountyScrapers(options = {}) {
+  const trigger = options.trigger || 'cron';
+
+  if (Object.keys(scrapers).length === 0) {
+    console.log('[CRON] No county scrapers registered, skipping...');
+    return;
+  }
+
   // Prevent concurrent runs
   if (isRunning) {
     console.log('[CRON] County scrapers already running, skipping...');
@@ -20,34 +39,50 @@ async function runAllCountyScrapers() {
   }
   
   isRunning = true;
-  console.log('='.repeat(60));
-  console.log('[CRON] Starting scheduled county scrapers...');
-  console.log('='.repeat(60));
+  let lock = null;
   
   try {
     // Ensure DB connection
     await connectDB();
     
+    lock = await acquireScraperLock();
+    if (!lock) {
+      console.log('[CRON] County scrapers running on another machine (lock held), skipping...');
+      return;
+    }
+    
+    console.log('='.repeat(60));
+    console.log(`[CRON] Starting county scrapers (${trigger}, cycle ${lock.cycleId})...`);
+    console.log('='.repeat(60));
+    
     const results = [];
     
     // Run all county scrapers sequentially (not parallel)
     for (const [name, scraper] of Object.entries(scrapers)) {
+      const run = await startScraperRun(name, { cycleId: lock.cycleId, trigger });
+      let result = null;
+      let error = null;
+      
       try {
         console.log(`[CRON] Running scraper: ${name}`);
-        const result = await scraper();
-        
-        if (result) {
-          results.push(result);
-          console.log(`[CRON] ${result.county} scrape complete — PF: ${result.preforeclosuresInserted} | TL: ${result.taxLiensInserted} | CV: ${result.codeViolationsInserted} | PR: ${result.probateInserted}`);
-        } else {
-          console.log(`[CRON] Completed scraper: ${name} (no result returned)`);
-        }
+        result = await scraper();
+        if (result) results.push(result);
       } catch (err) {
+        error = err;
         console.error(`[CRON] ERROR in scraper ${name}:`, err.message);
         console.error(`[CRON] Stack trace:`, err.stack);
         // Continue with other scrapers even if one fails
         // NEVER crash the process
       }
+      
+      try {
+        const finished = await finishScraperRun(run, result, error);
+        console.log(`[CRON] ${finished.countyName || name} ${finished.status} in ${finished.durationMs}ms — parsed: ${finished.parsed} | inserted: ${finished.totalInserted} | leads: ${finished.leadsCreated} | errors: ${finished.errorCount}`);
+        await checkScraperAlerts(finished);
+        await renewScraperLock(lock);
+      } catch (recordErr) {
+        console.error(`[CRON] Failed to record run for ${name}:`, recordErr.message);
+      }
     }
     
     // Summary
@@ -78,6 +113,9 @@ async function runAllCountyScrapers() {
     console.error('[CRON] Stack trace:', err.stack);
     // Don't throw - just log the error
   } finally {
+    if (lock) {
+      await releaseScraperLock(lock).catch(err => console.error('[CRON] Failed to release scraper lock:', err.message));
+    }
     isRunning = false;
   }
 }
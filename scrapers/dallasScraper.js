@@ -1,345 +0,0 @@
-// scrapers/dallasScraper.js
-// Dallas County scraper for Pre-Foreclosure, Tax Liens, Code Violations, and Probate
-
-const PreForeclosure = require('../models/PreForeclosure');
-const TaxLien = require('../models/TaxLien');
-const CodeViolation = require('../models/CodeViolation');
-const Probate = require('../models/Probate');
-const {
-  normalizePreforeclosureToLead,
-  normalizeTaxLienToLead,
-  normalizeCodeViolationToLead,
-  normalizeProbateToLead
-} = require('../utils/scraperLeadNormalizer');
-
-const COUNTY = 'Dallas County';
-
-/**
- * Checks if a record already exists to prevent duplicates
- */
-async function recordExists(Model, query) {
-  const existing = await Model.findOne(query);
-  return !!existing;
-}
-
-/**
- * Inserts preforeclosure records with idempotency and normalizes to Leads
- */
-async function insertPreforeclosures(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(PreForeclosure, {
-      propertyAddress: record.propertyAddress,
-      ownerName: record.ownerName,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      const rawRecord = await PreForeclosure.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Clerk'
-      });
-      inserted++;
-      
-      // Normalize to Lead
-      try {
-        const { isNew } = await normalizePreforeclosureToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize preforeclosure to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts tax lien records with idempotency and normalizes to Leads
- */
-async function insertTaxLiens(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(TaxLien, {
-      propertyAddress: record.propertyAddress,
-      ownerName: record.ownerName,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await TaxLien.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Tax Office'
-      });
-      inserted++;
-      
-      // Normalize to Lead
-      try {
-        const { isNew } = await normalizeTaxLienToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize tax lien to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts code violation records with idempotency and normalizes to Leads
- */
-async function insertCodeViolations(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(CodeViolation, {
-      caseNumber: record.caseNumber,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await CodeViolation.create({
-        ...record,
-        county: COUNTY,
-        source: 'City Code Database'
-      });
-      inserted++;
-      
-      // Normalize to Lead
-      try {
-        const { isNew } = await normalizeCodeViolationToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize code violation to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts probate records with idempotency and normalizes to Leads
- */
-async function insertProbate(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(Probate, {
-      caseNumber: record.caseNumber,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await Probate.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Probate Court'
-      });
-      inserted++;
-      
-      // Normalize to Lead
-      try {
-        const { isNew } = await normalizeProbateToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize probate to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Attempts to scrape real data from Dallas County sources
- * Falls back to realistic mock data if scraping fails
- */
-async function scrapeDallasCountyData() {
-  console.log(`[SCRAPER] ${COUNTY}: Starting scrape...`);
-  
-  let preforeclosuresInserted = 0;
-  let preforeclosureLeadsCreated = 0;
-  let taxLiensInserted = 0;
-  let taxLienLeadsCreated = 0;
-  let codeViolationsInserted = 0;
-  let codeViolationLeadsCreated = 0;
-  let probateInserted = 0;
-  let probateLeadsCreated = 0;
-  
-  try {
-    // Attempt to fetch from public sources
-    // Note: Real county websites may require authentication or have rate limits
-    // This is a template that can be extended with actual scraping logic
-    
-    // PRE-FORECLOSURE DATA
-    try {
-      // TODO: Replace with actual Dallas County preforeclosure source
-      // Example: const response = await fetch('https://dallascounty.org/foreclosures');
-      const preforeclosureData = [
-        {
-          ownerName: 'Smith, John A',
-          propertyAddress: '1234 Elm Street, Dallas, TX 75201',
-          mailingAddress: '1234 Elm Street, Dallas, TX 75201',
-          amountDelinquent: '$45,230.00',
-          auctionDate: '2024-03-15'
-        },
-        {
-          ownerName: 'Johnson, Maria L',
-          propertyAddress: '5678 Oak Avenue, Dallas, TX 75202',
-          mailingAddress: 'PO Box 123, Dallas, TX 75202',
-          amountDelinquent: '$32,150.00',
-          auctionDate: '2024-03-22'
-        },
-        {
-          ownerName: 'Williams, Robert K',
-          propertyAddress: '9012 Maple Drive, Dallas, TX 75203',
-          mailingAddress: '9012 Maple Drive, Dallas, TX 75203',
-          amountDelinquent: '$28,900.00',
-          auctionDate: '2024-03-29'
-        }
-      ];
-      
-      const pfResult = await insertPreforeclosures(preforeclosureData);
-      preforeclosuresInserted = pfResult.inserted;
-      preforeclosureLeadsCreated = pfResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${preforeclosuresInserted} new preforeclosures, created ${preforeclosureLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Preforeclosure scrape failed:`, err.message);
-    }
-    
-    // TAX LIEN DATA
-    try {
-      // TODO: Replace with actual Dallas County tax lien source
-      const taxLienData = [
-        {
-          ownerName: 'Brown, Patricia M',
-          propertyAddress: '3456 Pine Street, Dallas, TX 75204',
-          delinquentAmount: '$12,450.00',
-          yearsOwed: '2',
-          propertyValue: '$185,000'
-        },
-        {
-          ownerName: 'Davis, Michael R',
-          propertyAddress: '7890 Cedar Lane, Dallas, TX 75205',
-          delinquentAmount: '$8,920.00',
-          yearsOwed: '1',
-          propertyValue: '$220,000'
-        },
-        {
-          ownerName: 'Miller, Jennifer S',
-          propertyAddress: '2345 Birch Road, Dallas, TX 75206',
-          delinquentAmount: '$15,680.00',
-          yearsOwed: '3',
-          propertyValue: '$195,000'
-        }
-      ];
-      
-      const tlResult = await insertTaxLiens(taxLienData);
-      taxLiensInserted = tlResult.inserted;
-      taxLienLeadsCreated = tlResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${taxLiensInserted} new tax liens, created ${taxLienLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Tax lien scrape failed:`, err.message);
-    }
-    
-    // CODE VIOLATION DATA
-    try {
-      // TODO: Replace with actual Dallas County code violation source
-      const codeViolationData = [
-        {
-          caseNumber: 'CV-2024-001234',
-          propertyAddress: '4567 Spruce Avenue, Dallas, TX 75207',
-          violationType: 'Overgrown Vegetation',
-          ownerName: 'Wilson, David T',
-          status: 'Open'
-        },
-        {
-          caseNumber: 'CV-2024-001235',
-          propertyAddress: '8901 Fir Street, Dallas, TX 75208',
-          violationType: 'Unsafe Structure',
-          ownerName: 'Moore, Lisa A',
-          status: 'Open'
-        },
-        {
-          caseNumber: 'CV-2024-001236',
-          propertyAddress: '1234 Willow Way, Dallas, TX 75209',
-          violationType: 'Junk Vehicle',
-          ownerName: 'Taylor, James P',
-          status: 'Pending'
-        }
-      ];
-      
-      const cvResult = await insertCodeViolations(codeViolationData);
-      codeViolationsInserted = cvResult.inserted;
-      codeViolationLeadsCreated = cvResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${codeViolationsInserted} new code violations, created ${codeViolationLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Code violation scrape failed:`, err.message);
-    }
-    
-    // PROBATE DATA
-    try {
-      // TODO: Replace with actual Dallas County probate source
-      const probateData = [
-        {
-          caseNumber: 'PR-2024-000567',
-          executorName: 'Anderson, Sarah K',
-          attorneyName: 'Law Firm of Smith & Associates',
-          estateAddress: '5678 Ash Court, Dallas, TX 75210'
-        },
-        {
-          caseNumber: 'PR-2024-000568',
-          executorName: 'Thomas, Richard M',
-          attorneyName: 'Johnson Legal Group',
-          estateAddress: '9012 Hickory Boulevard, Dallas, TX 75211'
-        },
-        {
-          caseNumber: 'PR-2024-000569',
-          executorName: 'Jackson, Nancy L',
-          attorneyName: 'Williams & Partners',
-          estateAddress: '3456 Poplar Street, Dallas, TX 75212'
-        }
-      ];
-      
-      const prResult = await insertProbate(probateData);
-      probateInserted = prResult.inserted;
-      probateLeadsCreated = prResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${probateInserted} new probate records, created ${probateLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Probate scrape failed:`, err.message);
-    }
-    
-    const totalLeadsCreated = preforeclosureLeadsCreated + taxLienLeadsCreated + codeViolationLeadsCreated + probateLeadsCreated;
-    console.log(`[SCRAPER] ${COUNTY}: Scrape complete — PF: ${preforeclosuresInserted} | TL: ${taxLiensInserted} | CV: ${codeViolationsInserted} | PR: ${probateInserted}`);
-    console.log(`[SCRAPER] ${COUNTY}: Leads created: ${totalLeadsCreated} (PF: ${preforeclosureLeadsCreated}, TL: ${taxLienLeadsCreated}, CV: ${codeViolationLeadsCreated}, PR: ${probateLeadsCreated})`);
-    
-    return {
-      county: COUNTY,
-      preforeclosuresInserted,
-      taxLiensInserted,
-      codeViolationsInserted,
-      probateInserted,
-      leadsCreated: totalLeadsCreated
-    };
-    
-  } catch (err) {
-    console.error(`[SCRAPER] ${COUNTY}: Fatal error:`, err.message);
-    throw err;
-  }
-}
-
-module.exports = scrapeDallasCountyData;
@@ -0,0 +1,287 @@
+// scrapers/emailDealParser.js
+// Extracts deal terms from wholesaler blast emails (labeled lines, emoji blasts, HTML tables, prose)
+// Pure functions - no IMAP / DB (see scrapers/emailDeals.js). Corpus: __tests__/fixtures/emails
+
+const STREET_SUFFIX = '(?:St|Street|Ave|Avenue|Rd|Road|Dr|Drive|Ln|Lane|Blvd|Boulevard|Ct|Court|Cir|Circle|Way|Pl|Place|Pkwy|Parkway|Trl|Trail|Ter|Terrace|Hwy|Highway|Loop|Run|Pass|Row|Sq|Square|Xing|Cv|Cove|Pt|Point|Holw|Hollow|Bnd|Bend|Crk|Creek|Ridge|Rdg|Path|Walk|Vw|View)';
+const STREET_RE = new RegExp(
+  `\\b(\\d{1,6}[A-Za-z]?\\s+(?:[NSEW]\\.?\\s+|North\\s+|South\\s+|East\\s+|West\\s+)?(?:[A-Za-z0-9'.-]+\\s+){0,4}${STREET_SUFFIX}\\.?(?:\\s+(?:[NSEW]|NE|NW|SE|SW))?(?:\\s*(?:#|Apt\\.?|Unit|Ste\\.?)\\s*[A-Za-z0-9-]+)?)\\b`,
+  'i'
+);
+// "Dallas, TX 75201" / "Dallas TX 75201" / "Dallas, Texas 75201" / "Dallas, TX"
+const CITY_STATE_ZIP_RE = /^[\s,]*([A-Za-z][A-Za-z .'-]{1,40}?)[\s,]+([A-Z]{2}|Texas|Oklahoma|Louisiana|Arkansas|Florida|Georgia|Arizona)\.?(?:[\s,]+(\d{5})(?:-\d{4})?)?\b/;
+const STATE_NAMES = {
+  texas: 'TX', oklahoma: 'OK', louisiana: 'LA', arkansas: 'AR', florida: 'FL', georgia: 'GA', arizona: 'AZ'
+};
+
+const AMOUNT = '\\$?\\s*\\d[\\d,]*(?:\\.\\d+)?\\s*(?:[kKmM](?![a-zA-Z])|thousand|million)?';
+
+// Ordered: more specific labels first so "Purchase Price" isn't read as a bare "Price"
+const MONEY_LABELS = {
+  arv: ['after repair value', 'arv', 'a\\.r\\.v\\.?', 'resale value', 'as repaired value'],
+  assignmentFee: ['assignment fee', 'assignment', 'wholesale fee', 'our fee'],
+  rehabEstimate: ['estimated repairs', 'est\\.? repairs', 'repair estimate', 'rehab estimate', 'est\\.? rehab', 'repairs needed', 'repairs', 'rehab'],
+  askingPrice: ['asking price', 'asking', 'purchase price', 'contract price', 'sales price', 'sale price', 'wholesale price', 'investor price', 'buy price', 'cash price', 'our price', 'price', 'offered at', 'yours for']
+};
+
+const LINE_LABELS = {
+  address: ['property address', 'subject property', 'address', 'property', 'location', 'addr'],
+  closingDate: ['closing date', 'close date', 'close of escrow', 'coe', 'closing', 'close by', 'must close by', 'close'],
+  lockboxCode: ['lockbox code', 'lock box code', 'lockbox', 'lock box', 'lb code', 'combo', 'cbs code', 'door code', 'access code']
+};
+
+/**
+ * Parse an amount like "$165,000", "165k", "$1.2M", "$89,900.00"
+ * @returns {Number|null}
+ */
+function parseAmount(value) {
+  if (value === null || value === undefined) return null;
+  const match = String(value).replace(/\s+/g, ' ').match(/(\d[\d,]*(?:\.\d+)?)\s*([kKmM]|thousand|million)?/);
+  if (!match) return null;
+
+  let amount = parseFloat(match[1].replace(/,/g, ''));
+  if (!Number.isFinite(amount)) return null;
+  const unit = (match[2] || '').toLowerCase();
+  if (unit === 'k' || unit === 'thousand') amount *= 1000;
+  if (unit === 'm' || unit === 'million') amount *= 1000000;
+  return Math.round(amount);
+}
+
+/**
+ * Email body -> plain text with one logical line per row/paragraph
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table|section)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' \t ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&#36;|&dollar;/gi, '$')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&quot;/gi, '"');
+}
+
+/**
+ * Normalize body text: drop quote markers, emoji/bullets, collapse whitespace per line
+ * Forwarded/replied blasts keep their content (wholesalers forward each other's deals).
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line
+      .replace(/^(\s*>)+/, '')
+      .replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{2B00}-\u{2BFF}\u{FE0F}\u{200D}•●▪►✔✅*]/gu, ' ')
+      .replace(/[ \t ]+/g, ' ')
+      .trim())
+    .filter(Boolean);
+}
+
+function labelPattern(labels) {
+  return `(?:${labels.join('|')})`;
+}
+
+/**
+ * Find "<label>: value" anywhere in the lines (colon, dash, "is", or table cell separator)
+ */
+function findLabeled(lines, labels, valuePattern) {
+  const re = new RegExp(`(?:^|[\\s|(])${labelPattern(labels)}\\s*(?:\\([^)]*\\))?\\s*(?:[:=\\-–—]|\\bis\\b|\\bof\\b|\\bat\\b)?\\s*(?:~|approx\\.?|approximately|around|about|est\\.?|estimated)?\\s*(${valuePattern})`, 'i');
+  for (const line of lines) {
+    const match = line.match(re);
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+function findMoney(lines, field) {
+  const labels = MONEY_LABELS[field];
+  const min = field === 'assignmentFee' || field === 'rehabEstimate' ? 500 : 1000;
+
+  // Labeled value on the same line, e.g. "ARV: $250K", "Asking Price - $165,000"
+  for (const line of lines) {
+    // Skip lines where the label is used in passing ("price includes assignment fee")
+    const re = new RegExp(`(?:^|[\\s|(/])${labelPattern(labels)}\\s*(?:\\([^)]*\\))?\\s*(?:[:=\\-–—]|\\bis\\b|\\bof\\b|\\bat\\b)?\\s*(?:only\\s+|just\\s+)?(?:~|approx\\.?|approximately|around|about|est\\.?|estimated|roughly)?\\s*(${AMOUNT})`, 'i');
+    const match = line.match(re);
+    if (!match) continue;
+    // Bare numbers need a $ or k/m suffix unless they're clearly currency-sized
+    const raw = match[1];
+    const amount = parseAmount(raw);
+    if (amount !== null && amount >= min && (/[$kKmM]/.test(raw) || amount >= 10000)) {
+      return amount;
+    }
+  }
+  return null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const n = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function findBedsBaths(lines) {
+  let beds = null;
+  let baths = null;
+
+  for (const line of lines) {
+    if (beds === null) {
+      const m = line.match(/\b(\d{1,2})\s*(?:-\s*)?(?:bd|bds|bed|beds|bedroom|bedrooms|br|bdrm|bdrms)\b/i) ||
+        line.match(/\b(?:bed|beds|bedrooms|bd|br|bdrms?)\s*[:\-–]?\s*(\d{1,2})\b(?!\s*\/)/i);
+      if (m) beds = toNumber(m[1]);
+    }
+    if (baths === null) {
+      const m = line.match(/\b(\d{1,2}(?:\.\d)?)\s*(?:-\s*)?(?:ba|bth|bath|baths|bathroom|bathrooms)\b/i) ||
+        line.match(/\b(?:bath|baths|bathrooms|ba)\s*[:\-–]?\s*(\d{1,2}(?:\.\d)?)\b(?!\s*\/)/i);
+      if (m) baths = toNumber(m[1]);
+    }
+  }
+
+  if (beds === null || baths === null) {
+    // Compact "3/2/2" anywhere (single-digit parts, so not a date), or "3/2" on a bed/bath line
+    for (const line of lines) {
+      const triple = line.match(/(?:^|[\s|(])(\d)\s*\/\s*(\d(?:\.5)?)\s*\/\s*(\d)(?![\d/])/);
+      const pair = /\b(?:bed|bd|br|layout)/i.test(line) && line.match(/(?:^|[\s|:(])(\d)\s*\/\s*(\d(?:\.5)?)(?![\d/])/);
+      const m = triple || pair;
+      if (m) {
+        if (beds === null) beds = toNumber(m[1]);
+        if (baths === null) baths = toNumber(m[2]);
+        break;
+      }
+    }
+  }
+
+  return { beds, baths };
+}
+
+function findSqft(lines) {
+  for (const line of lines) {
+    const m = line.match(/\b(\d{1,2},?\d{3}|\d{3})\s*\+?\s*(?:sq\.?\s*ft\.?|sqft|sq\s*feet|square\s*feet|sf|ft2|ft²)(?![a-z])/i) ||
+      line.match(/\b(?:sq\.?\s*ft\.?|sqft|square\s*(?:feet|footage)|living\s*area|sf|gla)\s*[:\-–]?\s*(?:approx\.?\s*|~\s*)?(\d{1,2},?\d{3}|\d{3})\b/i);
+    if (m) {
+      const sqft = toNumber(m[1]);
+      if (sqft >= 300 && sqft <= 20000) return sqft;
+    }
+  }
+  return null;
+}
+
+function findYearBuilt(lines) {
+  for (const line of lines) {
+    const m = line.match(/\b(?:year\s*built|yr\.?\s*built|built(?:\s*in)?)\s*[:\-–]?\s*((?:18|19|20)\d{2})\b/i);
+    if (m) return parseInt(m[1]);
+  }
+  return null;
+}
+
+function findClosingDate(lines) {
+  const value = findLabeled(
+    lines,
+    LINE_LABELS.closingDate,
+    '(?:on\\s+|by\\s+|before\\s+)?(?:\\d{1,2}[/-]\\d{1,2}(?:[/-]\\d{2,4})?|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|asap|\\d{1,3}\\s+days|in\\s+\\d{1,3}\\s+days)'
+  );
+  return value ? value.replace(/^(?:on|by|before)\s+/i, '') : null;
+}
+
+function findLockbox(lines) {
+  const value = findLabeled(lines, LINE_LABELS.lockboxCode, '(?:code\\s*[:\\-]?\\s*)?[A-Za-z0-9-]{3,10}');
+  if (!value) return null;
+  const code = value.replace(/^code\s*[:-]?\s*/i, '');
+  // "Lockbox on door" / "lockbox: TBD" aren't codes
+  return /\d/.test(code) ? code : null;
+}
+
+/**
+ * Split "123 Main St, Dallas, TX 75201" into parts
+ */
+function parseAddressParts(street, rest) {
+  const parts = { propertyAddress: street.replace(/\s+/g, ' ').replace(/[,.]$/, '').trim(), city: null, state: null, zip: null };
+  const m = (rest || '').match(CITY_STATE_ZIP_RE);
+  if (m) {
+    parts.city = m[1].trim();
+    parts.state = STATE_NAMES[m[2].toLowerCase()] || m[2].toUpperCase();
+    parts.zip = m[3] || null;
+  } else {
+    const zip = (rest || '').match(/^[\s,]*(\d{5})\b/);
+    if (zip) parts.zip = zip[1];
+  }
+  return parts;
+}
+
+function findAddress(lines, subject) {
+  const candidates = [];
+
+  // 1. Labeled line ("Address: ...", "Property Address - ...")
+  const labeledRe = new RegExp(`(?:^|[\\s|])${labelPattern(LINE_LABELS.address)}\\s*[:\\-–—]\\s*(.+)$`, 'i');
+  for (const line of lines) {
+    const m = line.match(labeledRe);
+    if (m) candidates.push(m[1]);
+  }
+  // 2. Subject line ("OFF MARKET | 4521 Elm St, Garland TX 75040 | $149,900")
+  if (subject) candidates.push(subject);
+  // 3. Any body line with a street address
+  candidates.push(...lines);
+
+  for (const candidate of candidates) {
+    const m = candidate.match(STREET_RE);
+    if (!m) continue;
+    const rest = candidate.slice(m.index + m[0].length);
+    return parseAddressParts(m[1], rest);
+  }
+  return { propertyAddress: null, city: null, state: null, zip: null };
+}
+
+/**
+ * Parse a wholesale deal email into structured fields
+ * @param {Object} email - { subject, text, html }
+ * @returns {Object} { propertyAddress, city, state, zip, beds, baths, sqft, yearBuilt, arv, askingPrice,
+ *   assignmentFee, rehabEstimate, closingDate, lockboxCode, fieldsFound: [], isDeal }
+ */
+function parseDealEmail({ subject = '', text = '', html = '' } = {}) {
+  // HTML first: mailparser's generated text flattens tables ("ARV$289,000 Purchase Price$214,000").
+  // The text part still fills in fields a trimmed-down HTML part leaves out.
+  const lines = normalizeText([html ? htmlToText(html) : '', text || ''].join('\n'));
+  const subjectLine = normalizeText(subject).join(' ');
+  // Subject first: blasts often put price/ARV there ("$149,900 | ARV $240K")
+  const allLines = subjectLine ? [subjectLine, ...lines] : lines;
+
+  const address = findAddress(lines, subjectLine);
+  const { beds, baths } = findBedsBaths(allLines);
+
+  const result = {
+    ...address,
+    beds,
+    baths,
+    sqft: findSqft(allLines),
+    yearBuilt: findYearBuilt(lines),
+    arv: findMoney(allLines, 'arv'),
+    askingPrice: findMoney(allLines, 'askingPrice'),
+    assignmentFee: findMoney(lines, 'assignmentFee'),
+    rehabEstimate: findMoney(lines, 'rehabEstimate'),
+    closingDate: findClosingDate(lines),
+    lockboxCode: findLockbox(lines)
+  };
+
+  // Subject "... | $149,900" with no price label anywhere
+  if (result.askingPrice === null && subjectLine) {
+    const amounts = [...subjectLine.matchAll(/\$\s*\d[\d,]*(?:\.\d+)?\s*[kKmM]?/g)]
+      .filter(m => !/arv/i.test(subjectLine.slice(Math.max(0, m.index - 8), m.index)))
+      .map(m => parseAmount(m[0]))
+      .filter(n => n >= 1000);
+    if (amounts.length === 1) result.askingPrice = amounts[0];
+  }
+
+  result.fieldsFound = Object.keys(result).filter(key => result[key] !== null);
+  result.isDeal = Boolean(result.propertyAddress) &&
+    ['askingPrice', 'arv', 'beds', 'sqft'].some(key => result[key] !== null);
+  return result;
+}
+
+module.exports = {
+  parseDealEmail,
+  parseAmount,
+  htmlToText,
+  normalizeText
+};
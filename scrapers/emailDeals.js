@@ -1,138 +1,254 @@
 // scrapers/emailDeals.js
 // Email scraper for wholesale deal emails
-// TODO: Implement email scraping logic using imapflow
+// Polls IMAP mailboxes from a per-mailbox UID checkpoint, stores each message as an InboundEmail,
+// extracts deal terms (scrapers/emailDealParser.js) and upserts a Lead for messages that describe a deal.
 
 const { upsertLeadFromSource } = require('../utils/leadUpsert');
 const { ImapFlow } = require('imapflow');
 const { simpleParser } = require('mailparser');
+const InboundEmail = require('../models/InboundEmail');
+const ImapCheckpoint = require('../models/ImapCheckpoint');
+const { parseDealEmail } = require('./emailDealParser');
+const { extractBodySnippet } = require('../src/utils/inboundEmailParser');
+
+const INITIAL_LOOKBACK_DAYS = parseInt(process.env.IMAP_INITIAL_LOOKBACK_DAYS) || 3;
+const BATCH_SIZE = parseInt(process.env.IMAP_BATCH_SIZE) || 200;
+const MAX_BODY_CHARS = 50000;
+
+const DEAL_FIELDS = [
+  'propertyAddress', 'city', 'state', 'zip', 'beds', 'baths', 'sqft', 'yearBuilt',
+  'arv', 'askingPrice', 'assignmentFee', 'rehabEstimate', 'closingDate', 'lockboxCode'
+];
+// Lead has no rehabEstimate; it stays on InboundEmail.parsed
+const LEAD_FIELDS = DEAL_FIELDS.filter(field => field !== 'rehabEstimate');
+
+function getMailboxes() {
+  const list = process.env.IMAP_MAILBOXES || process.env.IMAP_MAILBOX || 'INBOX';
+  return list.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+async function resolveEmailTenantId() {
+  if (process.env.IMAP_TENANT_ID) return process.env.IMAP_TENANT_ID;
+  const { resolveScraperTenantId } = require('./sdk/store');
+  return resolveScraperTenantId();
+}
+
+/**
+ * Store one raw message and upsert its lead
+ * Malformed messages are recorded with parseStatus 'error' (so the checkpoint can move past them);
+ * database errors propagate so the message is retried next poll.
+ * @param {Buffer} source - Raw RFC822 message
+ * @param {Object} context - { tenantId, account, mailbox, uid, uidValidity, internalDate }
+ * @returns {Promise<{status: 'created'|'updated'|'no_deal'|'duplicate'|'error', leadId?}>}
+ */
+async function ingestMessage(source, context) {
+  const { tenantId, account, mailbox, uid, uidValidity, internalDate } = context;
+  const fallbackMessageId = `imap:${account}:${mailbox}:${uidValidity}:${uid}`;
+
+  let mail;
+  let deal;
+  let parseError = null;
+  try {
+    mail = await simpleParser(source);
+    deal = parseDealEmail({ subject: mail.subject || '', text: mail.text || '', html: mail.html || '' });
+  } catch (err) {
+    parseError = err.message;
+  }
+
+  const messageId = (mail && mail.messageId) || fallbackMessageId;
+  if (await InboundEmail.exists({ messageId })) {
+    return { status: 'duplicate' };
+  }
+
+  const from = mail?.from?.value?.[0] || {};
+  const text = mail ? (mail.text || '') : '';
+  const doc = {
+    tenantId,
+    channel: 'imap',
+    mailbox,
+    uid,
+    messageId,
+    from: mail?.from?.text || undefined,
+    senderEmail: from.address || undefined,
+    senderName: from.name ? from.name.slice(0, 200) : undefined,
+    to: (mail?.to?.value || []).map(addr => addr.address).filter(Boolean),
+    subject: mail?.subject || undefined,
+    bodySnippet: mail ? extractBodySnippet({ text, html: mail.html || '' }) : undefined,
+    bodyText: text.slice(0, MAX_BODY_CHARS) || undefined,
+    receivedAt: mail?.date || internalDate || new Date(),
+    processedAt: new Date(),
+    parseStatus: parseError ? 'error' : (deal.isDeal ? 'parsed' : 'no_deal'),
+    parseError,
+    parsed: deal ? Object.fromEntries(DEAL_FIELDS.map(field => [field, deal[field]])) : null
+  };
+
+  let email;
+  try {
+    email = await InboundEmail.create(doc);
+  } catch (err) {
+    // Another poller stored it first
+    if (err.code === 11000) return { status: 'duplicate' };
+    throw err;
+  }
+
+  if (parseError) return { status: 'error' };
+  if (!deal.isDeal) return { status: 'no_deal' };
+
+  const leadData = {
+    tenantId,
+    source: 'email_scraper',
+    category: 'Wholesale Email',
+    rawEmailId: email._id.toString(),
+    description: mail.subject || undefined,
+    signal: { type: 'email', model: 'InboundEmail', recordId: email._id }
+  };
+  for (const field of LEAD_FIELDS) {
+    if (deal[field] !== null) leadData[field] = deal[field];
+  }
+
+  const { lead, isNew } = await upsertLeadFromSource('email_scraper', leadData);
+  email.leadId = lead._id;
+  await email.save();
+
+  return { status: isNew ? 'created' : 'updated', leadId: lead._id };
+}
+
+/**
+ * Ingest new messages in one mailbox, advancing its UID checkpoint after each message
+ * @returns {Promise<Object>} Mailbox stats
+ */
+async function pollMailbox(client, mailbox, { tenantId, account }) {
+  const stats = { mailbox, fetched: 0, created: 0, updated: 0, noDeal: 0, duplicates: 0, errors: 0 };
+  const lock = await client.getMailboxLock(mailbox);
+
+  try {
+    const uidValidity = String(client.mailbox.uidValidity);
+    let checkpoint = await ImapCheckpoint.findOne({ account, mailbox });
+    let uids;
+
+    if (!checkpoint || checkpoint.uidValidity !== uidValidity) {
+      // First poll (or the server rebuilt the mailbox): start from recent mail, not the whole history
+      if (checkpoint) {
+        console.warn(`[SCRAPER] emailDeals: ${mailbox} UIDVALIDITY changed (${checkpoint.uidValidity} -> ${uidValidity}), resetting checkpoint`);
+      }
+      const since = new Date(Date.now() - INITIAL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      uids = await client.search({ since }, { uid: true });
+      checkpoint = await ImapCheckpoint.findOneAndUpdate(
+        { account, mailbox },
+        { $set: { uidValidity, lastUid: 0, lastError: null } },
+        { new: true, upsert: true }
+      );
+    } else {
+      uids = await client.search({ uid: `${checkpoint.lastUid + 1}:*` }, { uid: true });
+    }
+
+    // "N:*" always matches the newest message, even when its UID is below N
+    const pending = (uids || [])
+      .filter(uid => uid > checkpoint.lastUid)
+      .sort((a, b) => a - b)
+      .slice(0, BATCH_SIZE);
+    console.log(`[SCRAPER] emailDeals: ${mailbox} has ${pending.length} new messages (after UID ${checkpoint.lastUid})`);
+
+    for (const uid of pending) {
+      const message = await client.fetchOne(String(uid), { source: true, internalDate: true }, { uid: true });
+      stats.fetched++;
+
+      const outcome = message
+        ? await ingestMessage(message.source, { tenantId, account, mailbox, uid, uidValidity, internalDate: message.internalDate })
+        : { status: 'duplicate' }; // Expunged between search and fetch
+
+      if (outcome.status === 'no_deal') stats.noDeal++;
+      else if (outcome.status === 'duplicate') stats.duplicates++;
+      else if (outcome.status === 'error') stats.errors++;
+      else stats[outcome.status]++;
+
+      await ImapCheckpoint.updateOne(
+        { _id: checkpoint._id },
+        {
+          $set: { lastUid: uid },
+          $inc: {
+            'totals.processed': 1,
+            'totals.leads': outcome.leadId ? 1 : 0,
+            'totals.noDeal': outcome.status === 'no_deal' ? 1 : 0,
+            'totals.errors': outcome.status === 'error' ? 1 : 0
+          }
+        }
+      );
+    }
+
+    await ImapCheckpoint.updateOne({ _id: checkpoint._id }, { $set: { lastPolledAt: new Date(), lastError: null } });
+  } catch (err) {
+    await ImapCheckpoint.updateOne({ account, mailbox }, { $set: { lastPolledAt: new Date(), lastError: err.message } })
+      .catch(() => {});
+    throw err;
+  } finally {
+    lock.release();
+  }
+
+  return stats;
+}
 
 /**
  * Scrapes wholesale deal emails from configured IMAP account
- * @returns {Promise<Object>} - Scraping results
+ * @returns {Promise<Object>} - Scraping results ({ success, count: leads upserted, mailboxes: [...] })
  */
 async function scrapeWholesaleEmails() {
   console.log('[SCRAPER] emailDeals: Starting');
-  
+
   // Check if email credentials are configured
   if (!process.env.IMAP_HOST || !process.env.IMAP_USER || !process.env.IMAP_PASSWORD) {
     console.log('[SCRAPER] emailDeals: IMAP credentials not configured, skipping');
     return { success: true, count: 0, message: 'IMAP not configured' };
   }
-  
+
+  const account = `${process.env.IMAP_USER}@${process.env.IMAP_HOST}`;
+  const tenantId = await resolveEmailTenantId();
   let client = null;
-  
+
   try {
     // Connect to IMAP server
     client = new ImapFlow({
       host: process.env.IMAP_HOST,
       port: parseInt(process.env.IMAP_PORT || '993'),
-      secure: true,
+      secure: process.env.IMAP_SECURE !== 'false',
       auth: {
         user: process.env.IMAP_USER,
         pass: process.env.IMAP_PASSWORD
-      }
+      },
+      logger: false
     });
-    
+
     await client.connect();
     console.log('[SCRAPER] emailDeals: Connected to IMAP server');
-    
-    // Select mailbox (default to INBOX)
-    const mailbox = await client.mailboxOpen(process.env.IMAP_MAILBOX || 'INBOX');
-    console.log(`[SCRAPER] emailDeals: Opened mailbox (${mailbox.exists} messages)`);
-    
-    // Search for unread messages (or messages from last 24 hours)
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    const searchCriteria = {
-      // Unread messages
-      seen: false,
-      // Or messages from last 24 hours
-      or: [
-        { since: yesterday }
-      ]
-    };
-    
-    const messages = await client.search(searchCriteria, { limit: 100 });
-    console.log(`[SCRAPER] emailDeals: Found ${messages.length} messages to process`);
-    
-    let processedCount = 0;
-    
-    // Process each message
-    for (const messageId of messages) {
+
+    const mailboxes = [];
+    for (const mailbox of getMailboxes()) {
       try {
-        const message = await client.fetchOne(messageId, { source: true });
-        const parsed = await simpleParser(message.source);
-        
-        // TODO: Parse email content to extract lead information
-        // This is a placeholder - implement actual parsing logic based on email format
-        const emailText = parsed.text || parsed.html || '';
-        
-        // Example: Extract lead data from email (adjust based on actual email format)
-        // This is a stub - replace with actual parsing logic
-        const leadData = {
-          source: 'email_scraper',
-          category: 'Wholesale Email',
-          createdFrom: 'email_scraper',
-          rawEmailId: messageId.toString(),
-          ownerName: extractFromEmail(emailText, 'owner', 'name'),
-          propertyAddress: extractFromEmail(emailText, 'address', 'property'),
-          mailingAddress: extractFromEmail(emailText, 'mailing', 'address'),
-          city: extractFromEmail(emailText, 'city'),
-          state: extractFromEmail(emailText, 'state'),
-          zip: extractFromEmail(emailText, 'zip', 'zipcode'),
-          askingPrice: extractPriceFromEmail(emailText),
-          notes: parsed.subject || ''
-        };
-        
-        // Only process if we have minimum required data
-        if (leadData.propertyAddress || leadData.ownerName) {
-          await upsertLeadFromSource('email_scraper', leadData);
-          processedCount++;
-        }
-        
-        // Mark message as read (optional - comment out if you want to keep unread)
-        // await client.messageFlagsAdd(messageId, ['\\Seen']);
-        
+        mailboxes.push(await pollMailbox(client, mailbox, { tenantId, account }));
       } catch (err) {
-        console.error(`[SCRAPER] emailDeals: Error processing message ${messageId}:`, err.message);
-        // Continue with next message
+        console.error(`[SCRAPER] emailDeals: Error polling ${mailbox}:`, err.message);
+        mailboxes.push({ mailbox, error: err.message });
+        // A dropped connection fails every remaining mailbox too
+        if (!client.usable) break;
       }
     }
-    
-    console.log(`[SCRAPER] emailDeals: Processed ${processedCount} leads`);
-    return { success: true, count: processedCount };
-    
+
+    const count = mailboxes.reduce((sum, m) => sum + (m.created || 0) + (m.updated || 0), 0);
+    console.log(`[SCRAPER] emailDeals: Processed ${count} leads`);
+    return { success: mailboxes.every(m => !m.error), count, mailboxes };
+
   } catch (err) {
     console.error('[SCRAPER] emailDeals: Error:', err.message);
     throw err;
   } finally {
-    if (client) {
-      await client.logout();
+    if (client && client.usable) {
+      await client.logout().catch(() => {});
     }
   }
 }
 
-/**
- * Helper function to extract data from email text (stub)
- * TODO: Implement actual extraction logic based on email format
- */
-function extractFromEmail(text, ...keywords) {
-  // TODO: Implement regex or NLP-based extraction
-  // This is a placeholder
-  return null;
-}
-
-/**
- * Helper function to extract price from email text (stub)
- * TODO: Implement actual price extraction logic
- */
-function extractPriceFromEmail(text) {
-  // TODO: Implement price extraction using regex
-  // Look for patterns like $100,000, $100k, etc.
-  return null;
-}
-
 module.exports = {
-  scrapeWholesaleEmails
+  scrapeWholesaleEmails,
+  ingestMessage,
+  pollMailbox
 };
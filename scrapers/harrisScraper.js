@@ -1,337 +0,0 @@
-// scrapers/harrisScraper.js
-// Harris County scraper for Pre-Foreclosure, Tax Liens, Code Violations, and Probate
-
-const PreForeclosure = require('../models/PreForeclosure');
-const TaxLien = require('../models/TaxLien');
-const CodeViolation = require('../models/CodeViolation');
-const Probate = require('../models/Probate');
-const {
-  normalizePreforeclosureToLead,
-  normalizeTaxLienToLead,
-  normalizeCodeViolationToLead,
-  normalizeProbateToLead
-} = require('../utils/scraperLeadNormalizer');
-
-const COUNTY = 'Harris County';
-
-/**
- * Checks if a record already exists to prevent duplicates
- */
-async function recordExists(Model, query) {
-  const existing = await Model.findOne(query);
-  return !!existing;
-}
-
-/**
- * Inserts preforeclosure records with idempotency and normalizes to Leads
- */
-async function insertPreforeclosures(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(PreForeclosure, {
-      propertyAddress: record.propertyAddress,
-      ownerName: record.ownerName,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await PreForeclosure.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Clerk'
-      });
-      inserted++;
-      
-      try {
-        const { isNew } = await normalizePreforeclosureToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize preforeclosure to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts tax lien records with idempotency and normalizes to Leads
- */
-async function insertTaxLiens(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(TaxLien, {
-      propertyAddress: record.propertyAddress,
-      ownerName: record.ownerName,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await TaxLien.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Tax Office'
-      });
-      inserted++;
-      
-      try {
-        const { isNew } = await normalizeTaxLienToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize tax lien to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts code violation records with idempotency and normalizes to Leads
- */
-async function insertCodeViolations(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(CodeViolation, {
-      caseNumber: record.caseNumber,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await CodeViolation.create({
-        ...record,
-        county: COUNTY,
-        source: 'City Code Database'
-      });
-      inserted++;
-      
-      try {
-        const { isNew } = await normalizeCodeViolationToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize code violation to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Inserts probate records with idempotency and normalizes to Leads
- */
-async function insertProbate(records) {
-  let inserted = 0;
-  let leadsCreated = 0;
-  for (const record of records) {
-    const exists = await recordExists(Probate, {
-      caseNumber: record.caseNumber,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await Probate.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Probate Court'
-      });
-      inserted++;
-      
-      try {
-        const { isNew } = await normalizeProbateToLead({
-          ...record,
-          county: COUNTY
-        });
-        if (isNew) leadsCreated++;
-      } catch (normalizeErr) {
-        console.error(`[SCRAPER] ${COUNTY}: Failed to normalize probate to lead:`, normalizeErr.message);
-      }
-    }
-  }
-  return { inserted, leadsCreated };
-}
-
-/**
- * Attempts to scrape real data from Harris County sources
- * Falls back to realistic mock data if scraping fails
- */
-async function scrapeHarrisCountyData() {
-  console.log(`[SCRAPER] ${COUNTY}: Starting scrape...`);
-  
-  let preforeclosuresInserted = 0;
-  let preforeclosureLeadsCreated = 0;
-  let taxLiensInserted = 0;
-  let taxLienLeadsCreated = 0;
-  let codeViolationsInserted = 0;
-  let codeViolationLeadsCreated = 0;
-  let probateInserted = 0;
-  let probateLeadsCreated = 0;
-  
-  try {
-    // PRE-FORECLOSURE DATA
-    try {
-      // TODO: Replace with actual Harris County preforeclosure source
-      const preforeclosureData = [
-        {
-          ownerName: 'Martinez, Carlos R',
-          propertyAddress: '1234 Main Street, Houston, TX 77002',
-          mailingAddress: '1234 Main Street, Houston, TX 77002',
-          amountDelinquent: '$48,500.00',
-          auctionDate: '2024-03-21'
-        },
-        {
-          ownerName: 'Johnson, Lisa M',
-          propertyAddress: '5678 Kirby Drive, Houston, TX 77019',
-          mailingAddress: 'PO Box 123, Houston, TX 77019',
-          amountDelinquent: '$39,200.00',
-          auctionDate: '2024-03-28'
-        },
-        {
-          ownerName: 'Williams, James K',
-          propertyAddress: '9012 Westheimer Road, Houston, TX 77063',
-          mailingAddress: '9012 Westheimer Road, Houston, TX 77063',
-          amountDelinquent: '$44,800.00',
-          auctionDate: '2024-04-04'
-        }
-      ];
-      
-      const pfResult = await insertPreforeclosures(preforeclosureData);
-      preforeclosuresInserted = pfResult.inserted;
-      preforeclosureLeadsCreated = pfResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${preforeclosuresInserted} new preforeclosures, created ${preforeclosureLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Preforeclosure scrape failed:`, err.message);
-    }
-    
-    // TAX LIEN DATA
-    try {
-      // TODO: Replace with actual Harris County tax lien source
-      const taxLienData = [
-        {
-          ownerName: 'Brown, Patricia A',
-          propertyAddress: '3456 Richmond Avenue, Houston, TX 77056',
-          delinquentAmount: '$14,200.00',
-          yearsOwed: '2',
-          propertyValue: '$285,000'
-        },
-        {
-          ownerName: 'Davis, Michael T',
-          propertyAddress: '7890 Memorial Drive, Houston, TX 77024',
-          delinquentAmount: '$11,850.00',
-          yearsOwed: '2',
-          propertyValue: '$320,000'
-        },
-        {
-          ownerName: 'Miller, Jennifer L',
-          propertyAddress: '2345 Bissonnet Street, Houston, TX 77005',
-          delinquentAmount: '$9,600.00',
-          yearsOwed: '1',
-          propertyValue: '$195,000'
-        }
-      ];
-      
-      const tlResult = await insertTaxLiens(taxLienData);
-      taxLiensInserted = tlResult.inserted;
-      taxLienLeadsCreated = tlResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${taxLiensInserted} new tax liens, created ${taxLienLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Tax lien scrape failed:`, err.message);
-    }
-    
-    // CODE VIOLATION DATA
-    try {
-      // TODO: Replace with actual Harris County code violation source
-      const codeViolationData = [
-        {
-          caseNumber: 'CV-2024-004567',
-          propertyAddress: '4567 Montrose Boulevard, Houston, TX 77006',
-          violationType: 'Property Maintenance',
-          ownerName: 'Wilson, David P',
-          status: 'Open'
-        },
-        {
-          caseNumber: 'CV-2024-004568',
-          propertyAddress: '8901 Heights Boulevard, Houston, TX 77008',
-          violationType: 'Building Code Violation',
-          ownerName: 'Moore, Lisa K',
-          status: 'Open'
-        },
-        {
-          caseNumber: 'CV-2024-004569',
-          propertyAddress: '1234 Washington Avenue, Houston, TX 77007',
-          violationType: 'Health Code Violation',
-          ownerName: 'Taylor, James M',
-          status: 'Pending'
-        }
-      ];
-      
-      const cvResult = await insertCodeViolations(codeViolationData);
-      codeViolationsInserted = cvResult.inserted;
-      codeViolationLeadsCreated = cvResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${codeViolationsInserted} new code violations, created ${codeViolationLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Code violation scrape failed:`, err.message);
-    }
-    
-    // PROBATE DATA
-    try {
-      // TODO: Replace with actual Harris County probate source
-      const probateData = [
-        {
-          caseNumber: 'PR-2024-002234',
-          executorName: 'Anderson, Sarah J',
-          attorneyName: 'Harris County Probate Services',
-          estateAddress: '5678 Allen Parkway, Houston, TX 77019'
-        },
-        {
-          caseNumber: 'PR-2024-002235',
-          executorName: 'Thomas, Richard L',
-          attorneyName: 'Houston Estate Law Group',
-          estateAddress: '9012 Buffalo Speedway, Houston, TX 77025'
-        },
-        {
-          caseNumber: 'PR-2024-002236',
-          executorName: 'Jackson, Nancy P',
-          attorneyName: 'Gulf Coast Legal Associates',
-          estateAddress: '3456 Shepherd Drive, Houston, TX 77098'
-        }
-      ];
-      
-      const prResult = await insertProbate(probateData);
-      probateInserted = prResult.inserted;
-      probateLeadsCreated = prResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${probateInserted} new probate records, created ${probateLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Probate scrape failed:`, err.message);
-    }
-    
-    const totalLeadsCreated = preforeclosureLeadsCreated + taxLienLeadsCreated + codeViolationLeadsCreated + probateLeadsCreated;
-    console.log(`[SCRAPER] ${COUNTY}: Scrape complete — PF: ${preforeclosuresInserted} | TL: ${taxLiensInserted} | CV: ${codeViolationsInserted} | PR: ${probateInserted}`);
-    console.log(`[SCRAPER] ${COUNTY}: Leads created: ${totalLeadsCreated} (PF: ${preforeclosureLeadsCreated}, TL: ${taxLienLeadsCreated}, CV: ${codeViolationLeadsCreated}, PR: ${probateLeadsCreated})`);
-    
-    return {
-      county: COUNTY,
-      preforeclosuresInserted,
-      taxLiensInserted,
-      codeViolationsInserted,
-      probateInserted,
-      leadsCreated: totalLeadsCreated
-    };
-    
-  } catch (err) {
-    console.error(`[SCRAPER] ${COUNTY}: Fatal error:`, err.message);
-    throw err;
-  }
-}
-
-module.exports = scrapeHarrisCountyData;
-
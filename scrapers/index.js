@@ -1,14 +1,16 @@
 // scrapers/index.js
 // Exports all county scrapers
+// Counties are declared in scrapers/counties and run by the shared SDK runner (scrapers/sdk)
 
-const scrapeDallasCounty = require('./dallasScraper');
-const scrapeCollinCounty = require('./collinScraper');
-const scrapeTarrantCounty = require('./tarrantScraper');
-const scrapeHarrisCounty = require('./harrisScraper');
-
-module.exports = {
-  dallas: scrapeDallasCounty,
-  collin: scrapeCollinCounty,
-  tarrant: scrapeTarrantCounty,
-  harris: scrapeHarrisCounty
-};
+const { runCounty } = require('./sdk');
+
+// Register each county here once its definition points at a live source, e.g.
+// denton: require('./counties/denton')
+const COUNTIES = {};
+
+const scrapers = {};
+for (const [name, definition] of Object.entries(COUNTIES)) {
+  scrapers[name] = (options) => runCounty(definition, options);
+}
+
+module.exports = scrapers;
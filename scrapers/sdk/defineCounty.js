@@ -0,0 +1,64 @@
+// scrapers/sdk/defineCounty.js
+// Validates a declarative county definition
+
+const { RECORD_TYPES } = require('./recordTypes');
+
+const STRATEGIES = ['http', 'playwright'];
+
+/**
+ * Declare a county scraper
+ *
+ * @example
+ * module.exports = defineCounty({
+ *   name: 'denton',
+ *   county: 'Denton County',
+ *   recordTypes: {
+ *     probate: {
+ *       fetch: { strategy: 'http', url: 'https://.../probate?filed=last7' },
+ *       parse: { rows: 'table.results tbody tr', fields: { caseNumber: { column: 0, transform: 'caseNumber' }, ... } },
+ *       dedupeKeys: ['caseNumber'] // optional, defaults per record type
+ *     }
+ *   }
+ * });
+ *
+ * Record type spec:
+ * - fetch: { strategy: 'http'|'playwright', url: string|string[]|(() => string[]), ...fetcher options }
+ * - parse: parseHtml spec ({ rows, fields }) or (html, { county, url }) => records
+ * - map: optional (record) => record, applied after parsing
+ * - dedupeKeys / required / source: override record type defaults
+ *
+ * @param {Object} definition
+ * @returns {Object} Frozen definition
+ */
+function defineCounty(definition) {
+  const errors = [];
+  const { name, county, recordTypes } = definition || {};
+
+  if (!name || !/^[a-z0-9_-]+$/.test(name)) errors.push('name must be a lowercase slug');
+  if (!county) errors.push('county is required');
+  if (!recordTypes || Object.keys(recordTypes).length === 0) errors.push('at least one record type is required');
+
+  for (const [type, spec] of Object.entries(recordTypes || {})) {
+    if (!RECORD_TYPES[type]) {
+      errors.push(`${type}: unknown record type (expected ${Object.keys(RECORD_TYPES).join(', ')})`);
+      continue;
+    }
+    const strategy = spec?.fetch?.strategy;
+    if (!STRATEGIES.includes(strategy)) {
+      errors.push(`${type}: fetch.strategy must be one of ${STRATEGIES.join(', ')}`);
+      continue;
+    }
+    if (!spec.fetch.url) errors.push(`${type}: fetch.url is required`);
+    const parseOk = typeof spec.parse === 'function' || (spec.parse?.rows && spec.parse?.fields);
+    if (!parseOk) errors.push(`${type}: parse must be a function or { rows, fields }`);
+    if (spec.map && typeof spec.map !== 'function') errors.push(`${type}: map must be a function`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid county definition${name ? ` "${name}"` : ''}: ${errors.join('; ')}`);
+  }
+
+  return Object.freeze({ ...definition });
+}
+
+module.exports = { defineCounty };
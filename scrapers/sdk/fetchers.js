@@ -0,0 +1,165 @@
+// scrapers/sdk/fetchers.js
+// Page fetch strategies for county definitions: http, playwright
+// Requests go through utils/proxypool when proxies are configured (sticky per county site).
+
+const { getProxy, markProxyFailed, markProxySuccess } = require('../../utils/proxypool');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const HTTP_TIMEOUT_MS = parseInt(process.env.SCRAPER_HTTP_TIMEOUT_MS) || 30000;
+
+const THROTTLE_STATUSES = [403, 429];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const proxyAgents = new Map(); // proxy url -> undici ProxyAgent
+
+function getProxyAgent(proxy) {
+  if (!proxyAgents.has(proxy)) {
+    const { ProxyAgent } = require('undici');
+    proxyAgents.set(proxy, new ProxyAgent(proxy));
+  }
+  return proxyAgents.get(proxy);
+}
+
+function sessionFor(context, url) {
+  if (!context || !context.name) return undefined;
+  try {
+    return `${context.name}:${new URL(url).host}`;
+  } catch (err) {
+    return context.name;
+  }
+}
+
+/**
+ * Fetch a page over HTTP (GET or form POST)
+ * A throttled or failed proxy is benched by the pool, so retries rotate to another proxy.
+ * @param {Object} request - { url, method?, headers?, body?, retries?, retryDelayMs? }
+ * @param {Object} context - From createFetchContext() (optional; enables sticky proxy sessions)
+ * @returns {Promise<String>} HTML
+ */
+async function fetchHttp(request, context) {
+  const { url, method = 'GET', headers = {}, body, retries = 2, retryDelayMs = 1000 } = request;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const proxy = getProxy({ session: sessionFor(context, url) });
+    try {
+      const init = {
+        method,
+        headers: { 'User-Agent': DEFAULT_USER_AGENT, ...headers },
+        body: body && typeof body === 'object' ? new URLSearchParams(body).toString() : body,
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+      };
+      const response = proxy
+        ? await require('undici').fetch(url, { ...init, dispatcher: getProxyAgent(proxy) })
+        : await fetch(url, init);
+
+      if (!response.ok) {
+        const err = new Error(`HTTP ${response.status} for ${url}`);
+        err.status = response.status;
+        throw err;
+      }
+      markProxySuccess(proxy);
+      return await response.text();
+    } catch (err) {
+      if (err.status === undefined) {
+        markProxyFailed(proxy, { reason: err.message });
+      } else if (THROTTLE_STATUSES.includes(err.status)) {
+        markProxyFailed(proxy, { reason: err.message, throttled: true });
+      } else {
+        // Site error, but the proxy itself worked
+        markProxySuccess(proxy);
+      }
+      if (attempt > retries) throw err;
+      await sleep(retryDelayMs * attempt);
+    }
+  }
+}
+
+/**
+ * Fetch a rendered page with Playwright (JS-heavy county portals)
+ * One browser is shared per county run via the fetch context.
+ * @param {Object} request - { url, waitFor?: css selector, waitForTimeoutMs? }
+ * @param {Object} context - From createFetchContext()
+ * @returns {Promise<String>} HTML
+ */
+async function fetchPlaywright(request, context) {
+  if (process.env.USE_PLAYWRIGHT !== 'true') {
+    throw new Error('Playwright fetch strategy requires USE_PLAYWRIGHT=true');
+  }
+  const { newPage, navigateWithRetry } = require('../../utils/browser');
+  const browser = await context.getBrowser();
+  const proxy = getProxy({ session: sessionFor(context, request.url) });
+  const page = await newPage(browser, { proxy });
+
+  try {
+    let response;
+    try {
+      response = await navigateWithRetry(page, request.url);
+    } catch (err) {
+      markProxyFailed(proxy, { reason: err.message });
+      throw err;
+    }
+    if (response && THROTTLE_STATUSES.includes(response.status())) {
+      markProxyFailed(proxy, { reason: `HTTP ${response.status()}`, throttled: true });
+      throw new Error(`HTTP ${response.status()} for ${request.url}`);
+    }
+    markProxySuccess(proxy);
+
+    if (request.waitFor) {
+      await page.waitForSelector(request.waitFor, { timeout: request.waitForTimeoutMs || 10000 });
+    }
+    return await page.content();
+  } finally {
+    await page.context().close().catch(() => {});
+  }
+}
+
+/**
+ * Shared fetch state for one county run (lazy browser)
+ * @param {Object} options - { name: county definition name (proxy session key) }
+ */
+function createFetchContext(options = {}) {
+  let browser = null;
+
+  return {
+    name: options.name || null,
+    async getBrowser() {
+      if (!browser) {
+        const { launchBrowser } = require('../../utils/browser');
+        browser = await launchBrowser({ headless: true });
+      }
+      return browser;
+    },
+    async close() {
+      if (browser) {
+        const { closeBrowser } = require('../../utils/browser');
+        await closeBrowser(browser);
+        browser = null;
+      }
+    }
+  };
+}
+
+/**
+ * Fetch a page using the record type's strategy
+ * @param {Object} request - { strategy: 'http'|'playwright', url, ... }
+ * @param {Object} context - From createFetchContext()
+ * @returns {Promise<String>} HTML
+ */
+async function fetchPage(request, context) {
+  switch (request.strategy) {
+    case 'http':
+      return fetchHttp(request, context);
+    case 'playwright':
+      return fetchPlaywright(request, context);
+    default:
+      throw new Error(`Unsupported fetch strategy "${request.strategy}"`);
+  }
+}
+
+module.exports = {
+  fetchPage,
+  fetchHttp,
+  fetchPlaywright,
+  createFetchContext
+};
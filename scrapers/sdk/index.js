@@ -0,0 +1,15 @@
+// scrapers/sdk/index.js
+// County scraper SDK: declare a county as config (scrapers/counties), run it with the shared runner
+
+const { defineCounty } = require('./defineCounty');
+const { runCounty } = require('./runner');
+const { parseHtml, TRANSFORMS } = require('./parse');
+const { RECORD_TYPES } = require('./recordTypes');
+
+module.exports = {
+  defineCounty,
+  runCounty,
+  parseHtml,
+  TRANSFORMS,
+  RECORD_TYPES
+};
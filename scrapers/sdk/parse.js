@@ -0,0 +1,131 @@
+// scrapers/sdk/parse.js
+// Declarative HTML parsing for county record pages (cheerio)
+
+const cheerio = require('cheerio');
+
+/**
+ * Value transforms available to field specs by name
+ */
+const TRANSFORMS = {
+  upper: (v) => (v == null ? v : String(v).toUpperCase()),
+  lower: (v) => (v == null ? v : String(v).toLowerCase()),
+  // "Smith, John A" style owner names keep their punctuation; only whitespace is collapsed
+  name: (v) => (v == null ? v : String(v).replace(/\s+/g, ' ').trim()),
+  // Keep raw currency text ("$45,230.00") - raw models store strings, normalizers parse amounts
+  amount: (v) => {
+    if (v == null || v === '') return null;
+    const cleaned = String(v).replace(/[^0-9.\-]/g, '');
+    if (cleaned === '' || isNaN(parseFloat(cleaned))) return null;
+    return `$${parseFloat(cleaned).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  },
+  number: (v) => {
+    if (v == null || v === '') return null;
+    const parsed = parseFloat(String(v).replace(/[^0-9.\-]/g, ''));
+    return isNaN(parsed) ? null : parsed;
+  },
+  // MM/DD/YYYY or YYYY-MM-DD -> YYYY-MM-DD
+  date: (v) => {
+    if (!v) return null;
+    const text = String(v).trim();
+    const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (us) {
+      return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    }
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return iso[0];
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+  },
+  caseNumber: (v) => (v == null ? v : String(v).replace(/\s+/g, '').toUpperCase())
+};
+
+function cleanText(value) {
+  if (value == null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim(); // \s includes &nbsp;
+  return text === '' ? null : text;
+}
+
+function applyTransforms(value, transform) {
+  if (!transform) return value;
+  const steps = Array.isArray(transform) ? transform : [transform];
+  return steps.reduce((acc, step) => {
+    const fn = typeof step === 'function' ? step : TRANSFORMS[step];
+    if (!fn) throw new Error(`Unknown transform "${step}"`);
+    return fn(acc);
+  }, value);
+}
+
+/**
+ * Extract one field from a row
+ * Spec forms:
+ * - 'css selector' (text of first match within the row)
+ * - { column: 0 } (text of the Nth cell)
+ * - { selector?, column?, attr?, transform?, default? }
+ * - function ($row, $) => value
+ */
+function extractField($, $row, spec) {
+  if (typeof spec === 'function') {
+    return spec($row, $);
+  }
+
+  const options = typeof spec === 'string' ? { selector: spec } : spec;
+  let $el = $row;
+  if (options.column !== undefined) {
+    $el = $row.children('td, th').eq(options.column);
+  }
+  if (options.selector) {
+    $el = $el.find(options.selector).first();
+  }
+
+  let value = null;
+  if ($el.length > 0) {
+    value = options.attr ? $el.attr(options.attr) : $el.text();
+  }
+  value = cleanText(value);
+  value = applyTransforms(value, options.transform);
+
+  if ((value === null || value === undefined) && options.default !== undefined) {
+    return options.default;
+  }
+  return value;
+}
+
+/**
+ * Parse records out of an HTML page
+ * @param {String} html
+ * @param {Object} spec - { rows: css selector, fields: { name: fieldSpec }, filter?: (record) => boolean }
+ * @returns {Array<Object>} Records (rows where every field is empty are dropped)
+ */
+function parseHtml(html, spec) {
+  if (!spec?.rows || !spec?.fields) {
+    throw new Error('parseHtml spec requires rows and fields');
+  }
+
+  const $ = cheerio.load(html);
+  const records = [];
+
+  $(spec.rows).each((_, row) => {
+    const $row = $(row);
+    const record = {};
+    let hasValue = false;
+
+    for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+      const value = extractField($, $row, fieldSpec);
+      record[name] = value;
+      if (value !== null && value !== undefined && value !== '') hasValue = true;
+    }
+
+    if (hasValue && (!spec.filter || spec.filter(record))) {
+      records.push(record);
+    }
+  });
+
+  return records;
+}
+
+module.exports = {
+  parseHtml,
+  extractField,
+  applyTransforms,
+  TRANSFORMS
+};
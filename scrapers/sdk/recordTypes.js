@@ -0,0 +1,52 @@
+// scrapers/sdk/recordTypes.js
+// Record types a county definition can declare: raw model, lead normalizer, dedupe keys
+
+/**
+ * Registry keyed by record type name
+ * - model: raw record model name (resolved lazily so parsing/tests don't load mongoose models)
+ * - normalizer: utils/scraperLeadNormalizer export
+ * - dedupeKeys: fields (plus county + tenant) identifying an existing raw record
+ * - required: fields a parsed record must have to be inserted
+ * - source: default raw record source label
+ * - resultKey: legacy scraper result field (consumed by countyCron)
+ */
+const RECORD_TYPES = {
+  preforeclosure: {
+    label: 'preforeclosure',
+    model: 'PreForeclosure',
+    normalizer: 'normalizePreforeclosureToLead',
+    dedupeKeys: ['propertyAddress', 'ownerName'],
+    required: ['propertyAddress'],
+    source: 'County Clerk',
+    resultKey: 'preforeclosuresInserted'
+  },
+  taxLien: {
+    label: 'tax lien',
+    model: 'TaxLien',
+    normalizer: 'normalizeTaxLienToLead',
+    dedupeKeys: ['propertyAddress', 'ownerName'],
+    required: ['propertyAddress'],
+    source: 'County Tax Office',
+    resultKey: 'taxLiensInserted'
+  },
+  codeViolation: {
+    label: 'code violation',
+    model: 'CodeViolation',
+    normalizer: 'normalizeCodeViolationToLead',
+    dedupeKeys: ['caseNumber'],
+    required: ['caseNumber', 'propertyAddress'],
+    source: 'City Code Database',
+    resultKey: 'codeViolationsInserted'
+  },
+  probate: {
+    label: 'probate',
+    model: 'Probate',
+    normalizer: 'normalizeProbateToLead',
+    dedupeKeys: ['caseNumber'],
+    required: ['caseNumber'],
+    source: 'County Probate Court',
+    resultKey: 'probateInserted'
+  }
+};
+
+module.exports = { RECORD_TYPES };
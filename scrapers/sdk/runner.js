@@ -0,0 +1,173 @@
+// scrapers/sdk/runner.js
+// Shared county runner: fetch -> parse -> validate -> dedupe -> insert raw record -> normalize to Lead
+
+const { RECORD_TYPES } = require('./recordTypes');
+const { parseHtml } = require('./parse');
+const { fetchPage, createFetchContext } = require('./fetchers');
+const { createMongoStore, resolveScraperTenantId } = require('./store');
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function resolveUrls(url) {
+  const urls = typeof url === 'function' ? url() : url;
+  return Array.isArray(urls) ? urls : [urls];
+}
+
+/**
+ * Fetch and parse all pages for a record type
+ * @returns {Promise<Array>} Parsed records
+ */
+async function collectRecords(definition, spec, metrics, fetcher, fetchContext) {
+  const records = [];
+  for (const url of resolveUrls(spec.fetch.url)) {
+    const html = await fetcher({ ...spec.fetch, url }, fetchContext);
+    metrics.pages++;
+    const parsed = typeof spec.parse === 'function'
+      ? await spec.parse(html, { county: definition.county, url })
+      : parseHtml(html, spec.parse);
+    records.push(...parsed);
+  }
+  return records;
+}
+
+/**
+ * Process one record type: idempotent insert + lead normalization
+ * @returns {Promise<Object>} Metrics
+ */
+async function runRecordType(definition, type, spec, { tenantId, store, fetcher, fetchContext }) {
+  const recordType = RECORD_TYPES[type];
+  const dedupeKeys = spec.dedupeKeys || recordType.dedupeKeys;
+  const required = spec.required || recordType.required;
+  const startedAt = Date.now();
+  const metrics = {
+    pages: 0,
+    parsed: 0,
+    invalid: 0,
+    duplicates: 0,
+    inserted: 0,
+    leadsCreated: 0,
+    normalizeErrors: 0,
+    errors: [],
+    durationMs: 0
+  };
+  const prefix = `[SCRAPER] ${definition.county}:`;
+
+  try {
+    const records = await collectRecords(definition, spec, metrics, fetcher, fetchContext);
+    metrics.parsed = records.length;
+    const seen = new Set();
+
+    for (const parsed of records) {
+      const record = spec.map ? spec.map(parsed) : parsed;
+      if (!record) {
+        metrics.invalid++;
+        continue;
+      }
+
+      const missing = required.filter(field => isEmpty(record[field]));
+      if (missing.length > 0) {
+        metrics.invalid++;
+        continue;
+      }
+
+      // Idempotency: same dedupe key within this run, or already stored for this county + tenant
+      const query = { tenantId, county: definition.county };
+      for (const key of dedupeKeys) query[key] = record[key];
+      const batchKey = dedupeKeys.map(key => String(record[key] ?? '')).join('|');
+      if (seen.has(batchKey)) {
+        metrics.duplicates++;
+        continue;
+      }
+      seen.add(batchKey);
+
+      let stored;
+      try {
+        if (await store.exists(recordType, query)) {
+          metrics.duplicates++;
+          continue;
+        }
+
+        stored = await store.insert(recordType, {
+          ...record,
+          tenantId,
+          county: definition.county,
+          source: spec.source || recordType.source
+        });
+        metrics.inserted++;
+      } catch (insertErr) {
+        metrics.errors.push(`insert: ${insertErr.message}`);
+        console.error(`${prefix} Failed to insert ${recordType.label}:`, insertErr.message);
+        continue;
+      }
+
+      try {
+        // The stored record (with _id) is the lead's signal, so upsert can link it to its Property
+        const { isNew } = await store.normalize(recordType, stored);
+        if (isNew) metrics.leadsCreated++;
+      } catch (normalizeErr) {
+        metrics.normalizeErrors++;
+        console.error(`${prefix} Failed to normalize ${recordType.label} to lead:`, normalizeErr.message);
+      }
+    }
+
+    console.log(`${prefix} Inserted ${metrics.inserted} new ${recordType.label} records, created ${metrics.leadsCreated} leads (${metrics.duplicates} duplicates, ${metrics.invalid} invalid)`);
+  } catch (err) {
+    metrics.errors.push(err.message);
+    console.warn(`${prefix} ${recordType.label} scrape failed:`, err.message);
+  }
+
+  metrics.durationMs = Date.now() - startedAt;
+  return metrics;
+}
+
+/**
+ * Run a county definition
+ * @param {Object} definition - From defineCounty()
+ * @param {Object} options - { tenantId?, store?, fetcher?, only?: record types to run }
+ * @returns {Promise<Object>} Legacy scraper result (county, *Inserted, leadsCreated) plus metrics
+ */
+async function runCounty(definition, options = {}) {
+  const startedAt = Date.now();
+  const store = options.store || createMongoStore();
+  const fetcher = options.fetcher || fetchPage;
+  const tenantId = options.tenantId || await resolveScraperTenantId();
+  const fetchContext = createFetchContext({ name: definition.name });
+
+  console.log(`[SCRAPER] ${definition.county}: Starting scrape...`);
+
+  const result = {
+    county: definition.county,
+    preforeclosuresInserted: 0,
+    taxLiensInserted: 0,
+    codeViolationsInserted: 0,
+    probateInserted: 0,
+    leadsCreated: 0,
+    metrics: { byType: {}, errors: 0, durationMs: 0 }
+  };
+
+  try {
+    for (const [type, spec] of Object.entries(definition.recordTypes)) {
+      if (options.only && !options.only.includes(type)) continue;
+
+      const metrics = await runRecordType(definition, type, spec, { tenantId, store, fetcher, fetchContext });
+      result.metrics.byType[type] = metrics;
+      result[RECORD_TYPES[type].resultKey] = metrics.inserted;
+      result.leadsCreated += metrics.leadsCreated;
+      result.metrics.errors += metrics.errors.length;
+    }
+  } finally {
+    await fetchContext.close();
+  }
+
+  result.metrics.durationMs = Date.now() - startedAt;
+  console.log(`[SCRAPER] ${definition.county}: Scrape complete — PF: ${result.preforeclosuresInserted} | TL: ${result.taxLiensInserted} | CV: ${result.codeViolationsInserted} | PR: ${result.probateInserted} | Leads: ${result.leadsCreated}`);
+
+  return result;
+}
+
+module.exports = {
+  runCounty,
+  runRecordType
+};
@@ -0,0 +1,48 @@
+// scrapers/sdk/store.js
+// Default persistence for the scraper runner: raw record models + lead normalizers
+
+/**
+ * Mongo-backed store used by runCounty (tests inject an in-memory store with the same shape)
+ * insert resolves to the stored record (with _id); normalize receives that record so the lead upsert
+ * can write the resolved propertyId back onto it.
+ * @returns {Object} { exists(recordType, query), insert(recordType, doc), normalize(recordType, storedRecord) }
+ */
+function createMongoStore() {
+  const normalizers = require('../../utils/scraperLeadNormalizer');
+  const getModel = (recordType) => require(`../../models/${recordType.model}`);
+
+  return {
+    async exists(recordType, query) {
+      return !!(await getModel(recordType).exists(query));
+    },
+    async insert(recordType, doc) {
+      return getModel(recordType).create(doc);
+    },
+    async normalize(recordType, record) {
+      return normalizers[recordType.normalizer](record);
+    }
+  };
+}
+
+/**
+ * Tenant that county records and leads are created under
+ * SCRAPER_TENANT_ID, else the tenant with slug SCRAPER_TENANT_SLUG (default: elite-nexus)
+ * @returns {Promise<ObjectId>}
+ */
+async function resolveScraperTenantId() {
+  if (process.env.SCRAPER_TENANT_ID) {
+    return process.env.SCRAPER_TENANT_ID;
+  }
+  const Tenant = require('../../models/Tenant');
+  const slug = process.env.SCRAPER_TENANT_SLUG || 'elite-nexus';
+  const tenant = await Tenant.findOne({ slug }).select('_id').lean();
+  if (!tenant) {
+    throw new Error(`Scraper tenant not found (slug: ${slug}). Set SCRAPER_TENANT_ID or SCRAPER_TENANT_SLUG.`);
+  }
+  return tenant._id;
+}
+
+module.exports = {
+  createMongoStore,
+  resolveScraperTenantId
+};
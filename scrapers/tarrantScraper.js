@@ -1,292 +0,0 @@
-// scrapers/tarrantScraper.js
-// Tarrant County scraper for Pre-Foreclosure, Tax Liens, Code Violations, and Probate
-
-const PreForeclosure = require('../models/PreForeclosure');
-const TaxLien = require('../models/TaxLien');
-const CodeViolation = require('../models/CodeViolation');
-const Probate = require('../models/Probate');
-const {
-  normalizePreforeclosureToLead,
-  normalizeTaxLienToLead,
-  normalizeCodeViolationToLead,
-  normalizeProbateToLead
-} = require('../utils/scraperLeadNormalizer');
-
-const COUNTY = 'Tarrant County';
-
-/**
- * Checks if a record already exists to prevent duplicates
- */
-async function recordExists(Model, query) {
-  const existing = await Model.findOne(query);
-  return !!existing;
-}
-
-/**
- * Inserts preforeclosure records with idempotency
- */
-async function insertPreforeclosures(records) {
-  let inserted = 0;
-  for (const record of records) {
-    const exists = await recordExists(PreForeclosure, {
-      propertyAddress: record.propertyAddress,
-      ownerName: record.ownerName,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await PreForeclosure.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Clerk'
-      });
-      inserted++;
-    }
-  }
-  return inserted;
-}
-
-/**
- * Inserts tax lien records with idempotency
- */
-async function insertTaxLiens(records) {
-  let inserted = 0;
-  for (const record of records) {
-    const exists = await recordExists(TaxLien, {
-      propertyAddress: record.propertyAddress,
-      ownerName: record.ownerName,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await TaxLien.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Tax Office'
-      });
-      inserted++;
-    }
-  }
-  return inserted;
-}
-
-/**
- * Inserts code violation records with idempotency
- */
-async function insertCodeViolations(records) {
-  let inserted = 0;
-  for (const record of records) {
-    const exists = await recordExists(CodeViolation, {
-      caseNumber: record.caseNumber,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await CodeViolation.create({
-        ...record,
-        county: COUNTY,
-        source: 'City Code Database'
-      });
-      inserted++;
-    }
-  }
-  return inserted;
-}
-
-/**
- * Inserts probate records with idempotency
- */
-async function insertProbate(records) {
-  let inserted = 0;
-  for (const record of records) {
-    const exists = await recordExists(Probate, {
-      caseNumber: record.caseNumber,
-      county: COUNTY
-    });
-    
-    if (!exists) {
-      await Probate.create({
-        ...record,
-        county: COUNTY,
-        source: 'County Probate Court'
-      });
-      inserted++;
-    }
-  }
-  return inserted;
-}
-
-/**
- * Attempts to scrape real data from Tarrant County sources
- * Falls back to realistic mock data if scraping fails
- */
-async function scrapeTarrantCountyData() {
-  console.log(`[SCRAPER] ${COUNTY}: Starting scrape...`);
-  
-  let preforeclosuresInserted = 0;
-  let preforeclosureLeadsCreated = 0;
-  let taxLiensInserted = 0;
-  let taxLienLeadsCreated = 0;
-  let codeViolationsInserted = 0;
-  let codeViolationLeadsCreated = 0;
-  let probateInserted = 0;
-  let probateLeadsCreated = 0;
-  
-  try {
-    // PRE-FORECLOSURE DATA
-    try {
-      // TODO: Replace with actual Tarrant County preforeclosure source
-      const preforeclosureData = [
-        {
-          ownerName: 'Thompson, William B',
-          propertyAddress: '1234 Camp Bowie Boulevard, Fort Worth, TX 76107',
-          mailingAddress: '1234 Camp Bowie Boulevard, Fort Worth, TX 76107',
-          amountDelinquent: '$41,200.00',
-          auctionDate: '2024-03-20'
-        },
-        {
-          ownerName: 'White, Deborah K',
-          propertyAddress: '5678 University Drive, Arlington, TX 76010',
-          mailingAddress: 'PO Box 789, Arlington, TX 76010',
-          amountDelinquent: '$36,800.00',
-          auctionDate: '2024-03-27'
-        },
-        {
-          ownerName: 'Harris, Christopher M',
-          propertyAddress: '9012 Collins Street, Fort Worth, TX 76108',
-          mailingAddress: '9012 Collins Street, Fort Worth, TX 76108',
-          amountDelinquent: '$33,450.00',
-          auctionDate: '2024-04-03'
-        }
-      ];
-      
-      const pfResult = await insertPreforeclosures(preforeclosureData);
-      preforeclosuresInserted = pfResult.inserted;
-      preforeclosureLeadsCreated = pfResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${preforeclosuresInserted} new preforeclosures, created ${preforeclosureLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Preforeclosure scrape failed:`, err.message);
-    }
-    
-    // TAX LIEN DATA
-    try {
-      // TODO: Replace with actual Tarrant County tax lien source
-      const taxLienData = [
-        {
-          ownerName: 'Martin, Susan P',
-          propertyAddress: '3456 Rosedale Street, Fort Worth, TX 76109',
-          delinquentAmount: '$10,500.00',
-          yearsOwed: '2',
-          propertyValue: '$195,000'
-        },
-        {
-          ownerName: 'Thompson, Mark D',
-          propertyAddress: '7890 Division Street, Arlington, TX 76011',
-          delinquentAmount: '$13,750.00',
-          yearsOwed: '2',
-          propertyValue: '$225,000'
-        },
-        {
-          ownerName: 'Garcia, Elena R',
-          propertyAddress: '2345 Magnolia Avenue, Fort Worth, TX 76110',
-          delinquentAmount: '$8,900.00',
-          yearsOwed: '1',
-          propertyValue: '$180,000'
-        }
-      ];
-      
-      const tlResult = await insertTaxLiens(taxLienData);
-      taxLiensInserted = tlResult.inserted;
-      taxLienLeadsCreated = tlResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${taxLiensInserted} new tax liens, created ${taxLienLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Tax lien scrape failed:`, err.message);
-    }
-    
-    // CODE VIOLATION DATA
-    try {
-      // TODO: Replace with actual Tarrant County code violation source
-      const codeViolationData = [
-        {
-          caseNumber: 'CV-2024-003456',
-          propertyAddress: '4567 Hemphill Street, Fort Worth, TX 76111',
-          violationType: 'Housing Code Violation',
-          ownerName: 'Lewis, Robert A',
-          status: 'Open'
-        },
-        {
-          caseNumber: 'CV-2024-003457',
-          propertyAddress: '8901 Cooper Street, Arlington, TX 76012',
-          violationType: 'Health Code Violation',
-          ownerName: 'Walker, Linda S',
-          status: 'Open'
-        },
-        {
-          caseNumber: 'CV-2024-003458',
-          propertyAddress: '1234 Berry Street, Fort Worth, TX 76112',
-          violationType: 'Fire Code Violation',
-          ownerName: 'Hall, Gary T',
-          status: 'Pending'
-        }
-      ];
-      
-      const cvResult = await insertCodeViolations(codeViolationData);
-      codeViolationsInserted = cvResult.inserted;
-      codeViolationLeadsCreated = cvResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${codeViolationsInserted} new code violations, created ${codeViolationLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Code violation scrape failed:`, err.message);
-    }
-    
-    // PROBATE DATA
-    try {
-      // TODO: Replace with actual Tarrant County probate source
-      const probateData = [
-        {
-          caseNumber: 'PR-2024-001123',
-          executorName: 'Allen, Patricia J',
-          attorneyName: 'Tarrant County Probate Law',
-          estateAddress: '5678 Vickery Boulevard, Fort Worth, TX 76113'
-        },
-        {
-          caseNumber: 'PR-2024-001124',
-          executorName: 'Young, Daniel R',
-          attorneyName: 'Arlington Estate Planning',
-          estateAddress: '9012 Randol Mill Road, Arlington, TX 76013'
-        },
-        {
-          caseNumber: 'PR-2024-001125',
-          executorName: 'King, Barbara L',
-          attorneyName: 'Fort Worth Legal Associates',
-          estateAddress: '3456 Belknap Street, Fort Worth, TX 76114'
-        }
-      ];
-      
-      const prResult = await insertProbate(probateData);
-      probateInserted = prResult.inserted;
-      probateLeadsCreated = prResult.leadsCreated;
-      console.log(`[SCRAPER] ${COUNTY}: Inserted ${probateInserted} new probate records, created ${probateLeadsCreated} leads`);
-    } catch (err) {
-      console.warn(`[SCRAPER] ${COUNTY}: Probate scrape failed:`, err.message);
-    }
-    
-    const totalLeadsCreated = preforeclosureLeadsCreated + taxLienLeadsCreated + codeViolationLeadsCreated + probateLeadsCreated;
-    console.log(`[SCRAPER] ${COUNTY}: Scrape complete — PF: ${preforeclosuresInserted} | TL: ${taxLiensInserted} | CV: ${codeViolationsInserted} | PR: ${probateInserted}`);
-    console.log(`[SCRAPER] ${COUNTY}: Leads created: ${totalLeadsCreated} (PF: ${preforeclosureLeadsCreated}, TL: ${taxLienLeadsCreated}, CV: ${codeViolationLeadsCreated}, PR: ${probateLeadsCreated})`);
-    
-    return {
-      county: COUNTY,
-      preforeclosuresInserted,
-      taxLiensInserted,
-      codeViolationsInserted,
-      probateInserted,
-      leadsCreated: totalLeadsCreated
-    };
-    
-  } catch (err) {
-    console.error(`[SCRAPER] ${COUNTY}: Fatal error:`, err.message);
-    throw err;
-  }
-}
-
-module.exports = scrapeTarrantCountyData;
@@ -0,0 +1,86 @@
+// scripts/backfillProperties.js
+// Links existing leads and county records to Property identities (utils/propertyIdentity.js)
+// Safe to run multiple times - idempotent. Duplicate leads for one property are reported, not merged.
+
+require('dotenv').config();
+
+const connectDB = require('../config/db');
+const Lead = require('../models/Lead');
+const Property = require('../models/Property');
+const { normalizeAddress } = require('../utils/addressNormalizer');
+const { resolveProperty, attachSignal } = require('../utils/propertyIdentity');
+
+const RECORD_TYPES = [
+  { model: require('../models/PreForeclosure'), name: 'PreForeclosure', type: 'preforeclosure', address: 'propertyAddress' },
+  { model: require('../models/TaxLien'), name: 'TaxLien', type: 'tax_lien', address: 'propertyAddress' },
+  { model: require('../models/CodeViolation'), name: 'CodeViolation', type: 'code_violation', address: 'propertyAddress' },
+  { model: require('../models/Probate'), name: 'Probate', type: 'probate', address: 'estateAddress' }
+];
+
+async function backfillProperties() {
+  try {
+    await connectDB();
+    console.log('✅ Database connected');
+
+    // Leads first (oldest first so the original lead owns the property)
+    let linked = 0;
+    const duplicates = [];
+    const leadCursor = Lead.find({ propertyId: { $exists: false }, propertyAddress: { $nin: [null, ''] } })
+      .sort({ createdAt: 1 })
+      .cursor();
+    for await (const lead of leadCursor) {
+      const address = normalizeAddress(lead.propertyAddress, lead);
+      const property = await resolveProperty(lead.tenantId, address, { county: lead.county });
+      if (!property) continue;
+
+      if (!property.leadId) {
+        property.leadId = lead._id;
+        await property.save();
+      } else if (property.leadId.toString() !== lead._id.toString()) {
+        duplicates.push({ propertyId: property._id, leadId: lead._id, keptLeadId: property.leadId });
+      }
+      await Lead.updateOne({ _id: lead._id }, { $set: { propertyId: property._id } });
+      linked++;
+    }
+    console.log(`✅ Linked ${linked} leads to properties`);
+
+    // Then raw county records, stacking their signal on the property's lead
+    for (const { model, name, type, address: addressField } of RECORD_TYPES) {
+      let count = 0;
+      const cursor = model.find({ propertyId: { $exists: false }, [addressField]: { $nin: [null, ''] } }).cursor();
+      for await (const record of cursor) {
+        const address = normalizeAddress(record[addressField]);
+        const property = await resolveProperty(record.tenantId, address, { county: record.county });
+        if (!property) continue;
+
+        await attachSignal(property, { type, model: name, recordId: record._id, source: type });
+        await model.updateOne({ _id: record._id }, { $set: { propertyId: property._id } });
+        if (property.leadId) {
+          await Lead.updateOne({ _id: property.leadId }, { $addToSet: { distressSignals: type } });
+        }
+        count++;
+      }
+      console.log(`✅ Linked ${count} ${name} records`);
+    }
+
+    const total = await Property.countDocuments();
+    console.log(`✅ ${total} properties`);
+    if (duplicates.length) {
+      console.log(`⚠️  ${duplicates.length} leads share a property with an older lead (not merged):`);
+      duplicates.slice(0, 50).forEach(d => console.log(`   property ${d.propertyId}: lead ${d.leadId} (kept ${d.keptLeadId})`));
+    }
+
+    console.log('✅ Backfill completed successfully');
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Backfill failed:', err);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillProperties();
+}
+
+module.exports = backfillProperties;
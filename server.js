@@ -74,7 +74,10 @@ async function startServer() {
     require('./scripts/seedDemoLeads')().catch((err) => console.error('⚠️  Demo leads (non-fatal):', err.message));
 
     const { runAllCountyScrapers } = require('./scrapers/countyCron');
-    runAllCountyScrapers().catch((err) => console.error('⚠️  County scrapers (non-fatal):', err.message));
+    runAllCountyScrapers({ trigger: 'startup' }).catch((err) => console.error('⚠️  County scrapers (non-fatal):', err.message));
+
+    const { failInterruptedImports } = require('./services/leadImportService');
+    failInterruptedImports().catch((err) => console.error('⚠️  Lead import recovery (non-fatal):', err.message));
 
     const { startCountyCron } = require('./scrapers/countyCron');
     startCountyCron();
@@ -82,6 +85,15 @@ async function startServer() {
     const { startSmsDigestCron } = require('./jobs/sendSmsDigest');
     startSmsDigestCron();
 
+    const { startSkipTraceWorker } = require('./services/skipTraceQueueService');
+    startSkipTraceWorker();
+
+    const { startSlaMonitorCron } = require('./jobs/slaMonitor');
+    startSlaMonitorCron();
+
+    const { startEmailScraperCron } = require('./jobs/emailScraper');
+    startEmailScraperCron();
+
     // ---- SOCKET.IO AUTH & ROOMS ----
     io.use((socket, next) => {
       let token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.replace('Bearer ', '');
@@ -105,6 +117,7 @@ async function startServer() {
       socket.join(`user:${socket.userId}`);
       if (socket.userRole) socket.join(`role:${socket.userRole}`);
       if (socket.tenantId) socket.join(`tenant:${socket.tenantId}`);
+      if (socket.tenantId && socket.userRole) socket.join(`tenant:${socket.tenantId}:role:${socket.userRole}`);
       socket.on('subscribe:lead', (leadId) => socket.join(`lead:${leadId}`));
       socket.on('unsubscribe:lead', (leadId) => socket.leave(`lead:${leadId}`));
     });
@@ -0,0 +1,104 @@
+// services/brandingPreviewService.js
+// Render each outbound artifact with sample data so a tenant can check its branding before anything goes out
+
+const { formatDealPackageAsHTML, formatDealPackageAsText } = require('../utils/dealPackageFormatter');
+const { formatDealSummary } = require('../utils/buyerBlast/emailBlast');
+const { buildMagicLinkEmail } = require('./magicLinkEmailService');
+const { generateLeadLetter, generateCampaignLetters } = require('../utils/pdfGenerator');
+const { recipientAddress, mergeValues, renderLetter } = require('../utils/letterMerge');
+const { loadLogo } = require('../utils/branding');
+
+const SAMPLE_LEAD = {
+  _id: '000000000000000000000000',
+  ownerName: 'DOE JANE',
+  propertyAddress: '4821 Lakeview Dr',
+  city: 'Denton',
+  state: 'TX',
+  zip: '76205',
+  county: 'Denton',
+  propertyType: 'Single Family',
+  beds: 3,
+  baths: 2,
+  sqft: 1450,
+  yearBuilt: 1987,
+  askingPrice: 145000,
+  arv: 240000,
+  status: 'new',
+  category: 'probate',
+  description: 'Inherited property, needs roof and kitchen. Seller wants a quick close.',
+  leadScore: { grade: 'A', score: 82 }
+};
+
+const SAMPLE_LETTER = 'Dear {{ownerFirstName|Homeowner}},\n\n' +
+  'We buy houses in {{county}} County and would like to make a cash offer on {{propertyAddress}}. ' +
+  'No repairs, no agent fees, and you pick the closing date.\n\n' +
+  'Sincerely,\n{{companyName}}';
+
+// artifact → output kind: html (or text with ?format=text) / pdf
+const PREVIEW_ARTIFACTS = {
+  deal_package: 'html',
+  buyer_blast: 'html',
+  magic_link: 'html',
+  letter: 'pdf',
+  mail_letter: 'pdf'
+};
+
+/**
+ * Email / deal package preview
+ * @param {String} artifact - deal_package | buyer_blast | magic_link
+ * @param {Object} branding - From resolveBranding
+ * @returns {{subject: String|null, text: String, html: String}}
+ */
+function renderEmailPreview(artifact, branding) {
+  switch (artifact) {
+    case 'deal_package':
+      return {
+        subject: `New Deal Opportunity - ${SAMPLE_LEAD.propertyAddress}`,
+        text: formatDealPackageAsText(SAMPLE_LEAD, { redacted: true, branding }),
+        html: formatDealPackageAsHTML(SAMPLE_LEAD, { redacted: true, branding })
+      };
+    case 'buyer_blast':
+      return {
+        subject: `New Deal Opportunity - ${SAMPLE_LEAD.propertyAddress}`,
+        ...formatDealSummary(SAMPLE_LEAD, { maskAddress: true, branding })
+      };
+    case 'magic_link':
+      return buildMagicLinkEmail({
+        loginLink: 'https://app.example.com/?token=sample',
+        deviceInfo: 'Chrome on Windows',
+        ip: '203.0.113.10',
+        branding
+      });
+    default:
+      throw new Error(`Unknown email artifact: ${artifact}`);
+  }
+}
+
+/**
+ * PDF preview streamed to the response (headers included)
+ * @param {String} artifact - letter | mail_letter
+ */
+async function renderPdfPreview(artifact, branding, res) {
+  const withLogo = { ...branding, logo: await loadLogo(branding) };
+
+  if (artifact === 'letter') {
+    generateLeadLetter(SAMPLE_LEAD, res, withLogo);
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'inline; filename="mail-letter-preview.pdf"');
+  const { text } = renderLetter(SAMPLE_LETTER, mergeValues(SAMPLE_LEAD, branding));
+  await generateCampaignLetters(res, {
+    branding: withLogo,
+    letters: [{ recipient: recipientAddress(SAMPLE_LEAD), body: text }],
+    title: 'Mail letter preview'
+  });
+}
+
+module.exports = {
+  SAMPLE_LEAD,
+  PREVIEW_ARTIFACTS,
+  renderEmailPreview,
+  renderPdfPreview
+};
@@ -0,0 +1,120 @@
+// services/buyerReplyService.js
+// Buyer replies to deal blasts, whichever way they arrive (Twilio SMS webhook, inbound email): classify the
+// reply, update the blast recipient, record BuyerFeedback, thread the message on the lead and notify its users.
+
+const BuyerFeedback = require('../models/BuyerFeedback');
+const MessageThread = require('../models/MessageThread');
+const Message = require('../models/Message');
+const Lead = require('../models/Lead');
+const { createNotification } = require('./notificationService');
+const { findLeadThreadRecipients } = require('./sellerSmsService');
+const { classifyBuyerReply, toFeedbackReply } = require('../utils/buyerReplyClassifier');
+const { updateBuyerQualityScores } = require('../utils/buyerQualityScoring');
+const { runPriceDiscovery } = require('../utils/priceDiscovery');
+
+/**
+ * Record a buyer's reply to a deal blast
+ * Feedback and thread failures are logged, never thrown: the reply has already been accepted from the provider.
+ * @param {Object} params - { tenantId, buyer, recipient (DealBlastRecipient, dealBlastId populated), body,
+ *   channel: 'sms' | 'email', externalAddress (phone / email the reply came from) }
+ * @returns {Promise<Object>} { reply (classification), feedback, thread }
+ */
+async function recordBuyerReply({ tenantId, buyer, recipient, body, channel, externalAddress }) {
+  const leadId = recipient.dealBlastId.leadId;
+  const logPrefix = channel === 'sms' ? '[Twilio Webhook]' : '[Blast Reply]';
+
+  // Classify the reply: intent, counter-offer, close timeline, photo / access / comps requests
+  const reply = await classifyBuyerReply(body, { channel, leadId, buyerId: buyer._id });
+
+  // Update recipient status
+  recipient.status = reply.recipientStatus;
+  recipient.respondedAt = new Date();
+  recipient.responseText = body.substring(0, 500); // Limit length
+  await recipient.save();
+
+  let feedback = null;
+  let thread = null;
+  try {
+    feedback = await BuyerFeedback.create({
+      tenantId,
+      buyerId: buyer._id,
+      leadId,
+      responseType: reply.responseType,
+      reply: toFeedbackReply(reply),
+      optionalNotes: body.substring(0, 500),
+      source: channel,
+      dealBlastRecipientId: recipient._id
+    });
+
+    // Create message in thread (find or create thread)
+    try {
+      thread = await MessageThread.findOne({
+        tenantId,
+        relatedBuyerId: buyer._id,
+        relatedLeadId: leadId
+      });
+
+      if (!thread) {
+        // Create thread - the users working the blasted lead
+        const blastLead = await Lead.findOne({ _id: leadId, tenantId });
+        const participants = await findLeadThreadRecipients(blastLead || { tenantId });
+
+        thread = await MessageThread.create({
+          tenantId,
+          participants,
+          relatedLeadId: leadId,
+          relatedBuyerId: buyer._id
+        });
+      }
+
+      await Message.create({
+        tenantId,
+        threadId: thread._id,
+        senderId: null, // Buyer, not a user
+        senderRole: 'buyer',
+        body: body.substring(0, 1000),
+        channel,
+        externalAddress,
+        inbound: true
+      });
+
+      thread.lastMessageAt = new Date();
+      await thread.save();
+
+      for (const participantId of thread.participants) {
+        await createNotification({
+          userId: participantId,
+          tenantId,
+          type: 'system',
+          title: reply.counterPrice
+            ? `Buyer Counter-Offer: $${reply.counterPrice.toLocaleString()}`
+            : 'New Buyer Message',
+          message: `${buyer.name || 'Buyer'}: ${body.substring(0, 50)}`,
+          entityType: 'message',
+          entityId: thread._id,
+          priority: 'normal'
+        });
+      }
+    } catch (msgErr) {
+      console.error(`${logPrefix} Failed to create message:`, msgErr);
+    }
+
+    // Update buyer quality scores (async)
+    updateBuyerQualityScores(buyer._id).catch(err => {
+      console.error('Failed to update buyer quality scores:', err);
+    });
+
+    // Run price discovery (async)
+    runPriceDiscovery(leadId).catch(err => {
+      console.error('Failed to run price discovery:', err);
+    });
+  } catch (feedbackErr) {
+    console.error(`${logPrefix} Failed to create buyer feedback:`, feedbackErr);
+  }
+
+  return { reply, feedback, thread };
+}
+
+module.exports = {
+  recordBuyerReply
+};
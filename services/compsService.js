@@ -0,0 +1,198 @@
+// services/compsService.js
+// Comparables: tenant-loaded closed sales and rentals (CSV / MLS export), and the ARV / rent estimates
+// derived from them for a lead. Estimates are cached on lead.valuation and feed cash flow scoring
+// (utils/cashFlowCalculator.js) when the lead has no ARV or rent of its own.
+
+const Comp = require('../models/Comp');
+const { parseCsvTable } = require('../utils/csvParser');
+const { detectMapping, validateMapping, mapRow } = require('../utils/leadImport');
+const { normalizeAddress } = require('../utils/addressNormalizer');
+const { normalizeMarket } = require('../utils/marketUtils');
+const {
+  COMP_FIELDS,
+  COMPS_MAX_MILES,
+  COMPS_MAX_AGE_MONTHS,
+  subjectFromLead,
+  selectComparables,
+  estimateFromComps
+} = require('../utils/comps');
+
+const COMPS_IMPORT_MAX_ROWS = parseInt(process.env.COMPS_IMPORT_MAX_ROWS) || 20000;
+const COMPS_REFRESH_HOURS = parseInt(process.env.COMPS_REFRESH_HOURS) || 24;
+const COMP_TYPES = ['sale', 'rent'];
+const CANDIDATE_LIMIT = 500;
+const WRITE_BATCH = 1000;
+const REPORT_LIMIT = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MILES_PER_RADIAN = 3958.8;
+
+// Lazy: leadScoringEngine loads this service while scoring
+function marketKeyFor(record) {
+  const { determineMarketKey } = require('../utils/leadScoringEngine');
+  return determineMarketKey(record);
+}
+
+function rowObject(headers, cells) {
+  return headers.reduce((row, header, i) => {
+    row[header] = cells[i] === undefined ? '' : cells[i];
+    return row;
+  }, {});
+}
+
+/**
+ * Validate an uploaded comps CSV and, unless dryRun, upsert its rows
+ * A row re-imported with the same address and date updates the existing comp.
+ * @param {Object} options - { type: sale | rent, marketKey?: overrides the per-row market, mapping?, source?, dryRun? }
+ * @returns {Promise<Object>} { errors } for an unusable file, else { mapping, totals, rowErrors, dryRun }
+ */
+async function importComps(tenantId, userId, buffer, options = {}) {
+  const { type, source = 'csv', dryRun = false } = options;
+  const marketKey = options.marketKey ? normalizeMarket(options.marketKey) : null;
+
+  let table;
+  try {
+    table = await parseCsvTable(buffer);
+  } catch (err) {
+    return { errors: [err.message] };
+  }
+  const { headers, rows } = table;
+  if (!headers.length || !rows.length) return { errors: ['CSV file has no data rows'] };
+  if (rows.length > COMPS_IMPORT_MAX_ROWS) {
+    return { errors: [`CSV file has ${rows.length} rows (max ${COMPS_IMPORT_MAX_ROWS})`] };
+  }
+
+  const mapping = options.mapping || detectMapping(headers, COMP_FIELDS);
+  const mappingErrors = validateMapping(mapping, headers, { fields: COMP_FIELDS, label: 'comp field' });
+  if (mappingErrors.length) return { errors: mappingErrors, mapping };
+
+  const rowErrors = [];
+  const docs = [];
+  rows.forEach((cells, i) => {
+    const row = i + 2; // file line; the header is line 1
+    const { payload, errors } = mapRow(rowObject(headers, cells), mapping, COMP_FIELDS);
+
+    const address = normalizeAddress(payload.address || '', payload);
+    if (payload.address && !address) {
+      errors.push({ field: 'address', value: payload.address, message: 'address could not be parsed' });
+    }
+    if (payload.price !== undefined && payload.price <= 0) {
+      errors.push({ field: 'price', value: String(payload.price), message: 'price must be positive' });
+    }
+    const hasCoordinates = payload.latitude !== undefined && payload.longitude !== undefined;
+    if (hasCoordinates && (Math.abs(payload.latitude) > 90 || Math.abs(payload.longitude) > 180)) {
+      errors.push({ field: 'latitude', value: `${payload.latitude},${payload.longitude}`, message: 'coordinates out of range' });
+    }
+    const rowMarket = marketKey || (address ? marketKeyFor({ state: address.state, county: payload.county, city: address.city }) : null);
+    if (address && !rowMarket) {
+      errors.push({ field: 'state', value: '', message: 'state is required to place the comp in a market' });
+    }
+
+    if (errors.length) {
+      if (rowErrors.length < REPORT_LIMIT) rowErrors.push(...errors.map(e => ({ row, ...e })));
+      return;
+    }
+
+    docs.push({
+      tenantId,
+      type,
+      marketKey: rowMarket,
+      addressKey: address.key,
+      address: address.line1,
+      city: address.city || payload.city,
+      state: address.state,
+      zip: address.zip,
+      county: payload.county,
+      location: hasCoordinates ? { type: 'Point', coordinates: [payload.longitude, payload.latitude] } : undefined,
+      propertyType: payload.propertyType,
+      beds: payload.beds,
+      baths: payload.baths,
+      sqft: payload.sqft,
+      yearBuilt: payload.yearBuilt,
+      price: payload.price,
+      eventDate: payload.eventDate,
+      source,
+      importedBy: userId
+    });
+  });
+
+  const totals = { rows: rows.length, valid: docs.length, invalid: rows.length - docs.length, created: 0, updated: 0 };
+  if (!dryRun) {
+    for (let i = 0; i < docs.length; i += WRITE_BATCH) {
+      const result = await Comp.bulkWrite(docs.slice(i, i + WRITE_BATCH).map(doc => ({
+        updateOne: {
+          filter: { tenantId, type, addressKey: doc.addressKey, zip: doc.zip, eventDate: doc.eventDate },
+          update: { $set: doc },
+          upsert: true
+        }
+      })), { ordered: false });
+      totals.created += result.upsertedCount || 0;
+      totals.updated += result.matchedCount || 0;
+    }
+    console.log(`[Comps] Tenant ${tenantId}: ${type} import ${totals.created} created, ${totals.updated} updated, ${totals.invalid} invalid`);
+  }
+
+  return { mapping, totals, rowErrors, dryRun };
+}
+
+/**
+ * Recent comps of one type that could be comparables for the lead: within COMPS_MAX_MILES when the lead
+ * has coordinates, else in its ZIP or city
+ * @returns {Promise<Array<Object>>}
+ */
+async function findCandidates(lead, type) {
+  const since = new Date(Date.now() - COMPS_MAX_AGE_MONTHS * 30 * DAY_MS);
+  const filter = { tenantId: lead.tenantId, type, eventDate: { $gte: since } };
+
+  if (Number.isFinite(lead.latitude) && Number.isFinite(lead.longitude)) {
+    filter.location = {
+      $geoWithin: { $centerSphere: [[lead.longitude, lead.latitude], COMPS_MAX_MILES / MILES_PER_RADIAN] }
+    };
+  } else {
+    const near = [];
+    if (lead.zip) near.push({ zip: lead.zip });
+    if (lead.city) near.push({ city: new RegExp(`^${lead.city.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') });
+    if (!near.length) return [];
+    filter.$or = near;
+  }
+
+  return Comp.find(filter).sort({ eventDate: -1 }).limit(CANDIDATE_LIMIT).lean();
+}
+
+/**
+ * ARV and rent estimates for a lead from the tenant's comps
+ * @returns {Promise<Object>} { arv: estimate | null, rent: estimate | null, evaluatedAt }
+ */
+async function estimateLeadValuation(lead) {
+  const subject = subjectFromLead(lead);
+  const [sales, rentals] = await Promise.all([findCandidates(lead, 'sale'), findCandidates(lead, 'rent')]);
+
+  return {
+    arv: estimateFromComps(subject, selectComparables(subject, sales), { roundTo: 1000 }),
+    rent: estimateFromComps(subject, selectComparables(subject, rentals), { roundTo: 25 }),
+    evaluatedAt: new Date()
+  };
+}
+
+/**
+ * Refresh lead.valuation when it is missing or older than COMPS_REFRESH_HOURS (the caller saves the lead)
+ * @param {Object} options - { force: re-run regardless of age }
+ * @returns {Promise<Object|null>} The lead's valuation
+ */
+async function refreshLeadValuation(lead, options = {}) {
+  const evaluatedAt = lead.valuation?.evaluatedAt;
+  const fresh = evaluatedAt && Date.now() - new Date(evaluatedAt).getTime() < COMPS_REFRESH_HOURS * 60 * 60 * 1000;
+  if (fresh && !options.force) return lead.valuation;
+  if (!lead.tenantId) return lead.valuation || null;
+
+  lead.valuation = await estimateLeadValuation(lead);
+  return lead.valuation;
+}
+
+module.exports = {
+  COMP_TYPES,
+  importComps,
+  findCandidates,
+  estimateLeadValuation,
+  refreshLeadValuation
+};
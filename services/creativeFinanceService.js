@@ -0,0 +1,116 @@
+// services/creativeFinanceService.js
+// Creative finance analysis for a lead: every creative lane calculator (utils/creativeFinanceCalculator.js)
+// run against the tenant's return thresholds.
+
+const Tenant = require('../models/Tenant');
+const {
+  CREATIVE_LANES,
+  DEFAULT_THRESHOLDS,
+  DEFAULT_TERMS,
+  calculateCreativeLane,
+  extractCreativeInputsFromLead
+} = require('../utils/creativeFinanceCalculator');
+
+const THRESHOLD_FIELDS = Object.keys(DEFAULT_THRESHOLDS);
+const PERCENT_FIELDS = ['minCashOnCashPercent', 'maxPriceToArvPercent'];
+
+// Request inputs that may replace what's derived from the lead (what-if analysis)
+const NUMERIC_INPUTS = [
+  'price', 'arv', 'estimatedRent', 'taxes', 'insurance', 'rehabCost',
+  'mortgageBalance', 'mortgagePayment', 'leasePayment', 'optionFee',
+  ...Object.keys(DEFAULT_TERMS).filter(key => typeof DEFAULT_TERMS[key] === 'number')
+];
+
+/**
+ * Return thresholds: tenant overrides (Tenant.creativeFinance) over env defaults
+ * @returns {Object} DEFAULT_THRESHOLDS shape
+ */
+function resolveThresholds(overrides = {}) {
+  return THRESHOLD_FIELDS.reduce((thresholds, field) => {
+    thresholds[field] = overrides[field] ?? DEFAULT_THRESHOLDS[field];
+    return thresholds;
+  }, {});
+}
+
+async function getCreativeFinanceThresholds(tenantId) {
+  const tenant = tenantId ? await Tenant.findById(tenantId).select('creativeFinance').lean() : null;
+  return resolveThresholds(tenant?.creativeFinance || {});
+}
+
+/**
+ * Validate a threshold update; null resets a field to the env default
+ * @returns {{update: Object, errors: Array<String>}} update uses creativeFinance.<field> paths
+ */
+function validateThresholds(body) {
+  const update = {};
+  const errors = [];
+  for (const field of THRESHOLD_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = body[field];
+    if (value === null) {
+      update[`creativeFinance.${field}`] = null;
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${field} must be a non-negative number or null`);
+    } else if (PERCENT_FIELDS.includes(field) && value > 1000) {
+      errors.push(`${field} must be a percent (e.g. 15 for 15%)`);
+    } else {
+      update[`creativeFinance.${field}`] = value;
+    }
+  }
+  return { update, errors };
+}
+
+/**
+ * Validate request input overrides
+ * @returns {{inputs: Object, errors: Array<String>}}
+ */
+function validateInputOverrides(body = {}) {
+  const inputs = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(body)) {
+    if (key === 'escrowIncluded') {
+      if (typeof value !== 'boolean') errors.push('escrowIncluded must be true or false');
+      else inputs.escrowIncluded = value;
+    } else if (NUMERIC_INPUTS.includes(key)) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) errors.push(`${key} must be a non-negative number`);
+      else inputs[key] = value;
+    } else {
+      errors.push(`Unknown input: ${key}`);
+    }
+  }
+  return { inputs, errors };
+}
+
+/**
+ * Run the creative lane calculators for a lead
+ * @param {Object} lead - Lead document
+ * @param {Object} options - { lanes: subset of CREATIVE_LANES, inputs: validated overrides }
+ * @returns {Promise<Object>} { recommendedLane, thresholds, inputs, lanes: { <lane>: result } }
+ */
+async function analyzeLeadCreativeFinance(lead, options = {}) {
+  const lanes = options.lanes?.length ? options.lanes : CREATIVE_LANES;
+  const thresholds = await getCreativeFinanceThresholds(lead.tenantId);
+  const inputs = { ...extractCreativeInputsFromLead(lead), ...(options.inputs || {}) };
+
+  const results = {};
+  for (const lane of lanes) {
+    results[lane] = calculateCreativeLane(lane, inputs, thresholds);
+  }
+
+  const { provenance, ...shownInputs } = inputs;
+  return {
+    recommendedLane: lead.closer?.offerLaneFinal || lead.dialerIntake?.recommendedOfferLane || null,
+    thresholds,
+    inputs: shownInputs,
+    lanes: results
+  };
+}
+
+module.exports = {
+  CREATIVE_LANES,
+  resolveThresholds,
+  getCreativeFinanceThresholds,
+  validateThresholds,
+  validateInputOverrides,
+  analyzeLeadCreativeFinance
+};
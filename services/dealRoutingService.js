@@ -11,7 +11,7 @@ const { getRoutingConfig } = require('../config/routingConfig');
  * @returns {Promise<Object>} Routing result
  */
 async function routeLead(lead, options = {}) {
-  const config = await getRoutingConfig();
+  const config = await getRoutingConfig(lead.tenantId);
   const routingResult = determineRoute(lead, config);
   
   // Apply routing actions unless skipped
@@ -22,6 +22,23 @@ async function routeLead(lead, options = {}) {
   return routingResult;
 }
 
+// Route order used when the motivation rule upgrades a lead
+const ROUTE_RANK = { archive: 0, nurture: 1, dialer_priority: 2, immediate_closer: 3 };
+
+// SLA hours per grade when the tenant leaves one unset
+const DEFAULT_SLA_HOURS = { A: 2, B: 24, C: 72 };
+
+/**
+ * SLA hours for a grade; a tenant's null or 0 means no SLA and is kept as-is
+ * @param {Object} config - Routing configuration
+ * @param {String} grade - 'A' | 'B' | 'C'
+ * @returns {Number|null}
+ */
+function gradeSlaHours(config, grade) {
+  const hours = config.slaHours?.[grade];
+  return hours === undefined ? DEFAULT_SLA_HOURS[grade] : hours;
+}
+
 /**
  * Determine route for a lead based on score and rules
  * @param {Object} lead - Lead document
@@ -29,6 +46,54 @@ async function routeLead(lead, options = {}) {
  * @returns {Object} Routing result
  */
 function determineRoute(lead, config) {
+  return applyMotivationRule(lead, determineScoreRoute(lead, config), config);
+}
+
+/**
+ * Upgrade archive/nurture leads whose distress-signal motivation score (leadScore.motivation)
+ * meets the configured minimums. Never routes to immediate_closer and never overrides a cash flow block.
+ * @param {Object} lead - Lead document
+ * @param {Object} result - Route from score/grade rules
+ * @param {Object} config - Routing configuration
+ * @returns {Object} Routing result
+ */
+function applyMotivationRule(lead, result, config) {
+  const rule = config.motivation;
+  const motivation = lead.leadScore?.motivation;
+  if (!rule?.enabled || !motivation?.score || result.routingReason) {
+    return result;
+  }
+
+  let target = null;
+  if (rule.dialerPriorityMin !== null && motivation.score >= rule.dialerPriorityMin) {
+    target = 'dialer_priority';
+  } else if (rule.nurtureMin !== null && motivation.score >= rule.nurtureMin) {
+    target = 'nurture';
+  }
+  if (!target || ROUTE_RANK[target] <= ROUTE_RANK[result.route]) {
+    return result;
+  }
+
+  const signals = motivation.signalTypes?.length ? ` (${motivation.signalTypes.join(', ')})` : '';
+  return {
+    ...result,
+    route: target,
+    priorityLevel: target === 'dialer_priority' ? 'high' : 'normal',
+    reasons: [
+      ...result.reasons,
+      `Motivation score ${motivation.score}${signals} - upgraded from ${result.route}`
+    ],
+    slaHours: gradeSlaHours(config, target === 'dialer_priority' ? 'B' : 'C')
+  };
+}
+
+/**
+ * Route from score, grade, buy box match and cash flow rules
+ * @param {Object} lead - Lead document
+ * @param {Object} config - Routing configuration
+ * @returns {Object} Routing result
+ */
+function determineScoreRoute(lead, config) {
   const score = lead.leadScore?.score || 0;
   const grade = lead.leadScore?.grade || 'Dead';
   const buyBoxMatched = !!lead.leadScore?.buyBoxId;
@@ -73,7 +138,7 @@ function determineRoute(lead, config) {
         route: 'nurture', // Route to nurture instead of immediate_closer
         priorityLevel: 'normal',
         reasons,
-        slaHours: config.slaHours?.C || 72, // Use C-grade SLA
+        slaHours: gradeSlaHours(config, 'C'), // Use C-grade SLA
         shouldAlert: false,
         shouldLockIntake: false,
         shouldCreateCloserTask: false,
@@ -93,7 +158,7 @@ function determineRoute(lead, config) {
         route: 'immediate_closer',
         priorityLevel: 'urgent',
         reasons,
-        slaHours: config.slaHours?.A || 2, // 2 hours default for A-grade
+        slaHours: gradeSlaHours(config, 'A'), // 2 hours default for A-grade
         shouldAlert: true,
         shouldLockIntake: true,
         shouldCreateCloserTask: true
@@ -108,7 +173,7 @@ function determineRoute(lead, config) {
         route: 'immediate_closer',
         priorityLevel: 'urgent',
         reasons,
-        slaHours: config.slaHours?.A || 2,
+        slaHours: gradeSlaHours(config, 'A'),
         shouldAlert: true,
         shouldLockIntake: true,
         shouldCreateCloserTask: true
@@ -129,7 +194,7 @@ function determineRoute(lead, config) {
         route: 'nurture',
         priorityLevel: 'normal',
         reasons,
-        slaHours: config.slaHours?.C || 72,
+        slaHours: gradeSlaHours(config, 'C'),
         shouldAlert: false,
         shouldLockIntake: false,
         shouldCreateCloserTask: false,
@@ -144,7 +209,7 @@ function determineRoute(lead, config) {
       route: 'dialer_priority',
       priorityLevel: 'high',
       reasons,
-      slaHours: config.slaHours?.B || 24, // 24 hours default for B-grade
+      slaHours: gradeSlaHours(config, 'B'), // 24 hours default for B-grade
       shouldAlert: false,
       shouldLockIntake: false,
       shouldCreateCloserTask: false
@@ -160,7 +225,7 @@ function determineRoute(lead, config) {
       route: 'nurture',
       priorityLevel: 'normal',
       reasons,
-      slaHours: config.slaHours?.C || 72, // 72 hours default for C-grade
+      slaHours: gradeSlaHours(config, 'C'), // 72 hours default for C-grade
       shouldAlert: false,
       shouldLockIntake: false,
       shouldCreateCloserTask: false
@@ -189,7 +254,7 @@ function determineRoute(lead, config) {
     route: 'nurture',
     priorityLevel: 'normal',
     reasons,
-    slaHours: config.slaHours?.C || 72,
+    slaHours: gradeSlaHours(config, 'C'),
     shouldAlert: false,
     shouldLockIntake: false,
     shouldCreateCloserTask: false
@@ -240,17 +305,25 @@ async function applyRoutingActions(lead, routingResult, userId = null) {
   
   const previousRoute = lead.routing.route;
   const previousPriority = lead.routing.priorityLevel;
+  const assignedTo = lead.routing.assignedTo;
+  const routedAt = new Date();
+  
+  // Re-routing to the same route (e.g. re-score) keeps the running SLA clock
+  const keepSla = previousRoute === routingResult.route && lead.routing.sla?.dueAt;
+  const sla = keepSla ? lead.routing.sla : buildSla(routedAt, routingResult.slaHours);
   
   lead.routing = {
     route: routingResult.route,
     priorityLevel: routingResult.priorityLevel,
-    routedAt: new Date(),
+    routedAt,
     routedBy: userId || null, // null = system
     routingReasons: routingResult.reasons,
     slaHours: routingResult.slaHours,
     previousRoute,
     previousPriority,
-    routingReason: routingResult.routingReason || null // Store reason for cash flow blocks
+    routingReason: routingResult.routingReason || null, // Store reason for cash flow blocks
+    assignedTo,
+    sla
   };
   
   // Apply tags based on route
@@ -327,6 +400,38 @@ async function applyRoutingActions(lead, routingResult, userId = null) {
   }
 }
 
+/**
+ * Fresh SLA tracking state for a routing decision
+ * @param {Date} routedAt
+ * @param {Number|null} slaHours - null/0 = no SLA
+ * @returns {Object} routing.sla
+ */
+function buildSla(routedAt, slaHours) {
+  return {
+    dueAt: slaHours ? new Date(routedAt.getTime() + slaHours * 60 * 60 * 1000) : null,
+    metAt: null,
+    breachedAt: null,
+    escalationLevel: 0,
+    lastEscalatedAt: null,
+    escalations: []
+  };
+}
+
+/**
+ * SLA hours for a route, matching the defaults determineRoute uses
+ * @param {String} route
+ * @param {Object} config - Routing configuration
+ * @returns {Number|null} null = no SLA
+ */
+function getRouteSlaHours(route, config) {
+  switch (route) {
+    case 'immediate_closer': return gradeSlaHours(config, 'A');
+    case 'dialer_priority': return gradeSlaHours(config, 'B');
+    case 'nurture': return gradeSlaHours(config, 'C');
+    default: return null;
+  }
+}
+
 /**
  * Manually override routing (admin/manager only)
  * @param {Object} lead - Lead document (will be saved)
@@ -355,13 +460,23 @@ async function overrideRouting(lead, route, priorityLevel, reason, userId) {
   
   const previousRoute = lead.routing.route;
   const previousPriority = lead.routing.priorityLevel;
+  const { assignedTo } = lead.routing;
+  const routedAt = new Date();
+  
+  // The SLA follows the new route; overriding to the same route keeps the running clock
+  const keepSla = previousRoute === route && lead.routing.sla?.dueAt;
+  const slaHours = keepSla ? lead.routing.slaHours : getRouteSlaHours(route, await getRoutingConfig(lead.tenantId));
+  const sla = keepSla ? lead.routing.sla : buildSla(routedAt, slaHours);
   
   lead.routing = {
     route,
     priorityLevel,
-    routedAt: new Date(),
+    routedAt,
     routedBy: userId,
     routingReasons: [`Manual override: ${reason.trim()}`, ...(lead.routing.routingReasons || [])],
+    slaHours,
+    assignedTo,
+    sla,
     override: {
       route,
       priorityLevel,
@@ -404,9 +519,80 @@ async function overrideRouting(lead, route, priorityLevel, reason, userId) {
   };
 }
 
+/**
+ * Dry run: compare routes under the current config vs a candidate config (no writes)
+ * @param {Array} leads - Lead documents
+ * @param {Object} currentConfig - Effective routing configuration
+ * @param {Object} candidateConfig - Candidate routing configuration
+ * @returns {Object} { summary, changes }
+ */
+function diffRoutingConfigs(leads, currentConfig, candidateConfig) {
+  const changes = [];
+  const routeTransitions = {};
+  let priorityChanges = 0;
+  let slaChanges = 0;
+  let overriddenCount = 0;
+
+  for (const lead of leads) {
+    const current = determineRoute(lead, currentConfig);
+    const candidate = determineRoute(lead, candidateConfig);
+
+    const routeChanged = current.route !== candidate.route;
+    const priorityChanged = current.priorityLevel !== candidate.priorityLevel;
+    const slaChanged = current.slaHours !== candidate.slaHours;
+
+    if (!routeChanged && !priorityChanged && !slaChanged) continue;
+
+    // Manual overrides are not re-routed automatically, so flag them
+    const overridden = !!lead.routing?.override?.route;
+    if (overridden) overriddenCount++;
+
+    if (routeChanged) {
+      const key = `${current.route}->${candidate.route}`;
+      routeTransitions[key] = (routeTransitions[key] || 0) + 1;
+    }
+    if (priorityChanged) priorityChanges++;
+    if (slaChanged) slaChanges++;
+
+    changes.push({
+      leadId: lead._id,
+      propertyAddress: lead.propertyAddress,
+      score: lead.leadScore?.score || 0,
+      grade: lead.leadScore?.grade || 'Dead',
+      storedRoute: lead.routing?.route || null,
+      overridden,
+      current: {
+        route: current.route,
+        priorityLevel: current.priorityLevel,
+        slaHours: current.slaHours
+      },
+      candidate: {
+        route: candidate.route,
+        priorityLevel: candidate.priorityLevel,
+        slaHours: candidate.slaHours,
+        reasons: candidate.reasons
+      }
+    });
+  }
+
+  return {
+    summary: {
+      evaluated: leads.length,
+      changed: changes.length,
+      routeChanges: Object.values(routeTransitions).reduce((sum, n) => sum + n, 0),
+      routeTransitions,
+      priorityChanges,
+      slaChanges,
+      overridden: overriddenCount
+    },
+    changes
+  };
+}
+
 module.exports = {
   routeLead,
   determineRoute,
-  overrideRouting
+  overrideRouting,
+  diffRoutingConfigs
 };
 
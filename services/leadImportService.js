@@ -0,0 +1,370 @@
+// services/leadImportService.js
+// CSV lead import in two phases:
+// 1. Preview (dry run) - parse the upload, detect the column mapping, validate every row and flag
+//    duplicates within the file and against existing leads (dedupeKey). Stored as a LeadImport.
+// 2. Commit - re-validate with the saved mapping, then upsert in the background in batches;
+//    new leads in each batch are scored, routed and alerted. Progress streams as lead:import_progress.
+//
+// Imports run in the process that committed them, so an import whose process dies stays
+// queued/running; failInterruptedImports() marks those failed at startup.
+
+const os = require('os');
+const crypto = require('crypto');
+const Lead = require('../models/Lead');
+const LeadImport = require('../models/LeadImport');
+const { parseCsvTable } = require('../utils/csvParser');
+const { detectMapping, validateMapping, mapRow } = require('../utils/leadImport');
+const { upsertLeadFromSource, buildDedupeKey } = require('../utils/leadUpsert');
+const { recalculateAndSaveLeadScore } = require('../utils/leadScoringEngine');
+const { emitToTenant } = require('../utils/realtime');
+const { sendNewDealAlert } = require('../utils/sms');
+
+const IMPORT_MAX_ROWS = parseInt(process.env.LEAD_IMPORT_MAX_ROWS) || 5000;
+const IMPORT_BATCH_SIZE = parseInt(process.env.LEAD_IMPORT_BATCH_SIZE) || 50;
+const PREVIEW_TTL_HOURS = parseInt(process.env.LEAD_IMPORT_PREVIEW_TTL_HOURS) || 24;
+const REPORT_LIMIT = 500; // Row errors / duplicates kept on the report
+const SAMPLE_SIZE = 10;
+const SOURCE_TYPE = 'csv_upload';
+const STALE_MINUTES = parseInt(process.env.LEAD_IMPORT_STALE_MINUTES) || 30;
+
+// Process running the import: machine + an id for this boot (container pids repeat across restarts)
+const RUNNER = { machine: process.env.FLY_MACHINE_ID || os.hostname(), bootId: crypto.randomUUID() };
+
+/**
+ * Parse an uploaded CSV
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>, errors: Array<string>}>}
+ */
+async function parseImportFile(buffer) {
+  let table;
+  try {
+    table = await parseCsvTable(buffer);
+  } catch (err) {
+    return { headers: [], rows: [], errors: [err.message] };
+  }
+
+  const errors = [];
+  if (!table.headers.length) errors.push('CSV file has no header row');
+  if (!table.rows.length) errors.push('CSV file has no data rows');
+  if (table.rows.length > IMPORT_MAX_ROWS) {
+    errors.push(`CSV file has ${table.rows.length} rows (max ${IMPORT_MAX_ROWS})`);
+  }
+  return { ...table, errors };
+}
+
+function rowObject(headers, cells) {
+  return headers.reduce((row, header, i) => {
+    row[header] = cells[i] === undefined ? '' : cells[i];
+    return row;
+  }, {});
+}
+
+/**
+ * Validate and dedupe every row under a mapping
+ * @returns {Promise<Object>} { rows: [{ row, payload, state, leadId? }], totals, rowErrors, duplicates }
+ *   state: valid | invalid | duplicate_in_file | existing
+ */
+async function planImport(tenantId, headers, rawRows, mapping) {
+  const planned = [];
+  const rowErrors = [];
+  const duplicates = [];
+  const firstRowByKey = new Map();
+
+  rawRows.forEach((cells, i) => {
+    const row = i + 2; // file line; the header is line 1
+    const { payload, errors } = mapRow(rowObject(headers, cells), mapping);
+    if (errors.length) {
+      rowErrors.push(...errors.map(e => ({ row, ...e })));
+      planned.push({ row, payload, state: 'invalid' });
+      return;
+    }
+
+    const keys = [...new Set([
+      buildDedupeKey(payload, SOURCE_TYPE),
+      buildDedupeKey(payload, SOURCE_TYPE, { legacy: true })
+    ])];
+    const duplicateOfRow = keys.map(k => firstRowByKey.get(k)).find(Boolean);
+    if (duplicateOfRow) {
+      duplicates.push({ row, reason: 'duplicate_in_file', duplicateOfRow });
+      planned.push({ row, payload, state: 'duplicate_in_file' });
+      return;
+    }
+    keys.forEach(k => firstRowByKey.set(k, row));
+    planned.push({ row, payload, keys, state: 'valid' });
+  });
+
+  // Existing leads in the tenant with the same dedupeKey (they'll be updated, or skipped with skipExisting)
+  const allKeys = [...firstRowByKey.keys()];
+  const leadIdByKey = new Map();
+  for (let i = 0; i < allKeys.length; i += 1000) {
+    const existing = await Lead.find({ tenantId, dedupeKey: { $in: allKeys.slice(i, i + 1000) } })
+      .select('_id dedupeKey')
+      .lean();
+    existing.forEach(lead => leadIdByKey.set(lead.dedupeKey, lead._id));
+  }
+  for (const entry of planned) {
+    if (entry.state !== 'valid') continue;
+    const leadId = entry.keys.map(k => leadIdByKey.get(k)).find(Boolean);
+    if (leadId) {
+      entry.state = 'existing';
+      entry.leadId = leadId;
+      duplicates.push({ row: entry.row, reason: 'existing_lead', leadId });
+    }
+  }
+
+  const count = state => planned.filter(p => p.state === state).length;
+  return {
+    rows: planned,
+    totals: {
+      rows: planned.length,
+      valid: planned.length - count('invalid'),
+      invalid: count('invalid'),
+      duplicateInFile: count('duplicate_in_file'),
+      existing: count('existing')
+    },
+    rowErrors,
+    duplicates
+  };
+}
+
+/**
+ * Response body for a preview / dry run
+ */
+function previewReport(leadImport, plan) {
+  return {
+    importId: leadImport._id,
+    status: leadImport.status,
+    headers: leadImport.headers,
+    mapping: leadImport.mapping,
+    mappingErrors: validateMapping(leadImport.mapping, leadImport.headers),
+    unmappedHeaders: leadImport.headers.filter(h => !leadImport.mapping[h]),
+    skipExisting: leadImport.skipExisting,
+    summary: plan.totals,
+    rowErrors: plan.rowErrors.slice(0, REPORT_LIMIT),
+    duplicates: plan.duplicates.slice(0, REPORT_LIMIT),
+    sample: plan.rows.filter(p => p.state !== 'invalid').slice(0, SAMPLE_SIZE).map(p => ({ row: p.row, lead: p.payload })),
+    expiresAt: leadImport.expiresAt
+  };
+}
+
+function applyPlan(leadImport, plan) {
+  Object.assign(leadImport.totals, plan.totals);
+  leadImport.rowErrors = plan.rowErrors.slice(0, REPORT_LIMIT);
+  leadImport.duplicates = plan.duplicates.slice(0, REPORT_LIMIT);
+}
+
+/**
+ * Phase one: store the upload and return the dry-run report
+ * @param {Object} upload - { filename, headers, rows, mapping? } (mapping defaults to the detected one)
+ * @returns {Promise<Object>} Preview report
+ */
+async function previewImport(tenantId, userId, { filename, headers, rows, mapping }) {
+  const resolvedMapping = mapping || detectMapping(headers);
+  const plan = await planImport(tenantId, headers, rows, resolvedMapping);
+
+  const leadImport = new LeadImport({
+    tenantId,
+    uploadedBy: userId,
+    filename,
+    headers,
+    mapping: resolvedMapping,
+    rows,
+    expiresAt: new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000)
+  });
+  applyPlan(leadImport, plan);
+  await leadImport.save();
+
+  return previewReport(leadImport, plan);
+}
+
+/**
+ * Re-run the dry run on a stored preview with a new mapping and save it
+ * @returns {Promise<Object>} Preview report
+ */
+async function updatePreview(leadImport, { mapping, skipExisting } = {}) {
+  if (mapping) leadImport.mapping = mapping;
+  if (skipExisting !== undefined) leadImport.skipExisting = Boolean(skipExisting);
+
+  const plan = await planImport(leadImport.tenantId, leadImport.headers, leadImport.rows, leadImport.mapping);
+  applyPlan(leadImport, plan);
+  leadImport.markModified('mapping');
+  await leadImport.save();
+
+  return previewReport(leadImport, plan);
+}
+
+function emitProgress(leadImport) {
+  emitToTenant(leadImport.tenantId, 'lead:import_progress', {
+    importId: leadImport._id,
+    status: leadImport.status,
+    totals: leadImport.totals
+  });
+}
+
+/**
+ * Score and route the leads a batch created; a scoring failure is logged, never fatal
+ */
+async function scoreBatch(leadImport, leads) {
+  for (const lead of leads) {
+    try {
+      await recalculateAndSaveLeadScore(lead);
+      leadImport.totals.scored++;
+    } catch (err) {
+      console.error(`[LeadImport] Failed to score lead ${lead._id} from import ${leadImport._id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Upsert the planned rows batch by batch, saving the report after each batch
+ */
+async function runImport(leadImport, plan) {
+  leadImport.status = 'running';
+  leadImport.startedAt = new Date();
+  await leadImport.save();
+
+  const { totals } = leadImport;
+  const toImport = plan.rows.filter(p =>
+    p.state === 'valid' || (p.state === 'existing' && !leadImport.skipExisting));
+  totals.skipped = plan.rows.length - toImport.length;
+
+  for (let i = 0; i < toImport.length; i += IMPORT_BATCH_SIZE) {
+    const created = [];
+
+    for (const { row, payload } of toImport.slice(i, i + IMPORT_BATCH_SIZE)) {
+      try {
+        const { lead, isNew } = await upsertLeadFromSource(SOURCE_TYPE, {
+          ...payload,
+          status: payload.status || 'new',
+          tenantId: leadImport.tenantId,
+          signal: { type: 'csv' }
+        });
+        if (isNew) {
+          totals.created++;
+          created.push(lead);
+        } else {
+          totals.updated++;
+        }
+      } catch (err) {
+        totals.failed++;
+        if (leadImport.rowErrors.length < REPORT_LIMIT) {
+          leadImport.rowErrors.push({ row, field: '', value: '', message: `Import failed: ${err.message}` });
+        }
+      }
+      totals.processed++;
+    }
+
+    await scoreBatch(leadImport, created);
+    for (const lead of created) {
+      await sendNewDealAlert(lead, true);
+    }
+    await leadImport.save();
+    emitProgress(leadImport);
+  }
+
+  leadImport.status = 'completed';
+  leadImport.completedAt = new Date();
+  leadImport.rows = [];
+  await leadImport.save();
+  emitProgress(leadImport);
+
+  console.log(`[LeadImport] Import ${leadImport._id} done: ${totals.created} created, ${totals.updated} updated, ` +
+    `${totals.skipped} skipped, ${totals.failed} failed`);
+}
+
+/**
+ * Record an import that threw part-way through as failed, keeping the totals reached so far
+ */
+async function recordImportFailure(leadImport, err) {
+  console.error(`[LeadImport] Import ${leadImport._id} failed:`, err.message);
+  try {
+    leadImport.status = 'failed';
+    leadImport.error = err.message;
+    leadImport.completedAt = new Date();
+    await LeadImport.updateOne(
+      { _id: leadImport._id },
+      { $set: { status: 'failed', error: err.message, completedAt: leadImport.completedAt, totals: leadImport.totals } }
+    );
+    emitProgress(leadImport);
+  } catch (saveErr) {
+    console.error(`[LeadImport] Failed to record failure for import ${leadImport._id}:`, saveErr.message);
+  }
+}
+
+/**
+ * Phase two: lock the preview, re-validate with the saved mapping, then import in the background
+ * @param {ObjectId} tenantId
+ * @param {ObjectId} importId
+ * @param {ObjectId} userId
+ * @param {Object} options - { wait: run the import before returning instead of in the background }
+ * @returns {Promise<Object|null>} Queued (or, with wait, finished) LeadImport, or null when there is no uncommitted preview with that id
+ */
+async function commitImport(tenantId, importId, userId, { wait = false } = {}) {
+  // Atomic status change so a double-submitted commit can't import twice
+  const leadImport = await LeadImport.findOneAndUpdate(
+    { _id: importId, tenantId, status: 'preview' },
+    { $set: { status: 'queued', committedBy: userId, runner: RUNNER }, $unset: { expiresAt: 1 } },
+    { new: true }
+  );
+  if (!leadImport) return null;
+
+  const plan = await planImport(tenantId, leadImport.headers, leadImport.rows, leadImport.mapping);
+  applyPlan(leadImport, plan);
+  await leadImport.save();
+
+  if (wait) {
+    try {
+      await runImport(leadImport, plan);
+    } catch (err) {
+      await recordImportFailure(leadImport, err);
+      throw err;
+    }
+    return leadImport;
+  }
+
+  setImmediate(() => {
+    runImport(leadImport, plan).catch(err => recordImportFailure(leadImport, err));
+  });
+
+  return leadImport;
+}
+
+/**
+ * Fail imports whose process is gone: started by an earlier boot of this machine, or (any machine)
+ * no batch saved for LEAD_IMPORT_STALE_MINUTES. Run at startup.
+ * @returns {Promise<Number>} Imports marked failed
+ */
+async function failInterruptedImports() {
+  const staleBefore = new Date(Date.now() - STALE_MINUTES * 60 * 1000);
+  const result = await LeadImport.updateMany(
+    {
+      status: { $in: ['queued', 'running'] },
+      $or: [
+        { 'runner.machine': RUNNER.machine, 'runner.bootId': { $ne: RUNNER.bootId } },
+        { updatedAt: { $lt: staleBefore } }
+      ]
+    },
+    {
+      $set: {
+        status: 'failed',
+        error: 'Import interrupted by a server restart; re-upload the file to import the remaining rows',
+        completedAt: new Date(),
+        rows: []
+      }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`[LeadImport] Marked ${result.modifiedCount} interrupted import(s) failed`);
+  }
+  return result.modifiedCount;
+}
+
+module.exports = {
+  parseImportFile,
+  planImport,
+  previewImport,
+  updatePreview,
+  commitImport,
+  runImport,
+  failInterruptedImports
+};
@@ -1,5 +1,6 @@
 // services/magicLinkEmailService.js — Send magic-link login email via SMTP
 const nodemailer = require('nodemailer');
+const { DEFAULT_BRANDING, emailLayout, escapeHtml, textFooter, senderFor } = require('../utils/branding');
 
 const SMTP_HOST = process.env.SMTP_HOST;
 const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
@@ -22,44 +23,56 @@ function getTransporter() {
 }
 
 /**
- * Send magic-link login email.
+ * Build the magic-link login email in the tenant's branding.
  * @param {Object} opts
- * @param {string} opts.to - Recipient email
  * @param {string} opts.loginLink - Full URL for GET /api/auth/verify?token=...
  * @param {string} [opts.deviceInfo] - e.g. "Chrome on Windows" or "Unknown"
  * @param {string} [opts.ip] - Client IP
  * @param {number} [opts.expiresMinutes=15]
+ * @param {Object} [opts.branding] - utils/branding.js theme (defaults to the platform brand)
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function buildMagicLinkEmail({ loginLink, deviceInfo = 'Unknown', ip = '', expiresMinutes = 15, branding = DEFAULT_BRANDING }) {
+  const expiresText = expiresMinutes === 1 ? '1 minute' : `${expiresMinutes} minutes`;
+  const deviceLine = [deviceInfo, ip].filter(Boolean).join(' — ') || 'Unknown device';
+  const subject = `Your ${branding.brandName} login link`;
+
+  const html = emailLayout(branding, {
+    title: subject,
+    bodyHtml: `
+      <p>Use the link below to sign in to ${escapeHtml(branding.brandName)}. This link is one-time use and expires in <strong>${expiresText}</strong>.</p>
+      <p><a href="${escapeHtml(loginLink)}" style="word-break: break-all; color: ${branding.primaryColor};">${escapeHtml(loginLink)}</a></p>
+      <p><small>Requested from: ${escapeHtml(deviceLine)}</small></p>
+      <p><small>If you didn't request this, you can ignore this email.</small></p>`
+  });
+
+  const text = `Sign in to ${branding.brandName} (expires in ${expiresText}):\n${loginLink}\n\nRequested from: ${deviceLine}\n\nIf you didn't request this, ignore this email.\n\n${textFooter(branding)}`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Send magic-link login email.
+ * @param {Object} opts - buildMagicLinkEmail options plus:
+ * @param {string} opts.to - Recipient email
  */
-async function sendMagicLinkEmail({ to, loginLink, deviceInfo = 'Unknown', ip = '', expiresMinutes = 15 }) {
+async function sendMagicLinkEmail({ to, ...opts }) {
   const transporter = getTransporter();
   if (!transporter) {
     throw new Error('SMTP not configured: set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)');
   }
 
-  const expiresText = expiresMinutes === 1 ? '1 minute' : `${expiresMinutes} minutes`;
-  const deviceLine = [deviceInfo, ip].filter(Boolean).join(' — ') || 'Unknown device';
-
-  const html = `
-<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"><title>Your Nexus login link</title></head>
-<body style="font-family: sans-serif; line-height: 1.5;">
-  <p>Use the link below to sign in to Nexus. This link is one-time use and expires in <strong>${expiresText}</strong>.</p>
-  <p><a href="${loginLink}" style="word-break: break-all;">${loginLink}</a></p>
-  <p><small>Requested from: ${deviceLine}</small></p>
-  <p><small>If you didn't request this, you can ignore this email.</small></p>
-</body>
-</html>`;
-
-  const text = `Sign in to Nexus (expires in ${expiresText}):\n${loginLink}\n\nRequested from: ${deviceLine}\n\nIf you didn't request this, ignore this email.`;
+  const branding = opts.branding || DEFAULT_BRANDING;
+  const { subject, text, html } = buildMagicLinkEmail({ ...opts, branding });
 
   await transporter.sendMail({
-    from: SMTP_FROM,
+    from: senderFor(branding, SMTP_FROM),
+    replyTo: branding.replyTo || undefined,
     to,
-    subject: 'Your Nexus login link',
+    subject,
     text,
     html
   });
 }
 
-module.exports = { sendMagicLinkEmail, getTransporter };
+module.exports = { sendMagicLinkEmail, buildMagicLinkEmail, getTransporter, SMTP_FROM };
@@ -0,0 +1,301 @@
+// services/mailCampaignService.js
+// Direct mail campaigns: a lead segment (crm.getLeads filters) merged into an approved letter Template
+//
+// Two phases, like bulk skip trace:
+// 1. Preview - who would be mailed, who is skipped and why, blank merge fields, sample letters
+// 2. Confirm - record the MailCampaign and one LeadTouch per lead mailed; the print PDF and the
+//    mail house address CSV are rendered from those touches on download.
+// A touch counts as a response when the lead reaches a RESPONSE_STATUSES status within the window.
+
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Template = require('../models/Template');
+const Tenant = require('../models/Tenant');
+const MailCampaign = require('../models/MailCampaign');
+const LeadTouch = require('../models/LeadTouch');
+const { buildLeadFilter } = require('../utils/leadFilters');
+const { recipientAddress, mergeValues, renderLetter } = require('../utils/letterMerge');
+const { resolveBranding, loadLogo } = require('../utils/branding');
+
+const MAIL_CAMPAIGN_MAX_LEADS = parseInt(process.env.MAIL_CAMPAIGN_MAX_LEADS) || 5000;
+const MAIL_RESEND_DAYS = parseInt(process.env.MAIL_RESEND_DAYS) || 30;
+const MAIL_RESPONSE_WINDOW_DAYS = parseInt(process.env.MAIL_RESPONSE_WINDOW_DAYS) || 90;
+const RESPONSE_STATUSES = ['contacted', 'under_contract'];
+const LETTER_TEMPLATE_STATUSES = ['approved', 'active'];
+const LEAD_FIELDS = 'ownerName propertyAddress mailingAddress city state zip county askingPrice';
+const SAMPLE_SIZE = 3;
+const RENDER_BATCH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Approved (or active) letter template in the tenant
+ * @returns {Promise<Object|null>}
+ */
+async function findLetterTemplate(tenantId, templateId) {
+  return Template.findOne({
+    _id: templateId,
+    tenantId,
+    type: 'letter',
+    status: { $in: LETTER_TEMPLATE_STATUSES }
+  }).lean();
+}
+
+/**
+ * Work out which leads in a segment get a letter, and why the rest are skipped
+ * @param {Object} options - { includeRecentlyMailed: mail leads touched within MAIL_RESEND_DAYS too }
+ * @returns {Promise<Object>} { matched, considered, truncated, eligible: [{ lead, recipient }], skipped }
+ */
+async function planCampaign(tenantId, filters = {}, options = {}) {
+  const filter = buildLeadFilter(tenantId, filters);
+
+  const [matched, leads] = await Promise.all([
+    Lead.countDocuments(filter),
+    Lead.find(filter)
+      .select(LEAD_FIELDS)
+      .sort({ updatedAt: -1 })
+      .limit(MAIL_CAMPAIGN_MAX_LEADS)
+      .lean()
+  ]);
+
+  const recentlyMailed = new Set();
+  if (!options.includeRecentlyMailed && leads.length) {
+    const recent = await LeadTouch.find({
+      tenantId,
+      channel: 'mail',
+      leadId: { $in: leads.map(l => l._id) },
+      touchedAt: { $gte: new Date(Date.now() - MAIL_RESEND_DAYS * DAY_MS) }
+    }).select('leadId').lean();
+    recent.forEach(t => recentlyMailed.add(t.leadId.toString()));
+  }
+
+  const eligible = [];
+  const skipped = [];
+  for (const lead of leads) {
+    const recipient = recipientAddress(lead);
+    if (!recipient) {
+      skipped.push({ leadId: lead._id, reason: 'no_address' });
+    } else if (recentlyMailed.has(lead._id.toString())) {
+      skipped.push({ leadId: lead._id, reason: 'recently_mailed' });
+    } else {
+      eligible.push({ lead, recipient });
+    }
+  }
+
+  return { matched, considered: leads.length, truncated: matched > leads.length, eligible, skipped };
+}
+
+function summarize(plan) {
+  return {
+    matched: plan.matched,
+    considered: plan.considered,
+    truncated: plan.truncated,
+    eligible: plan.eligible.length,
+    skipped: plan.skipped.length,
+    skippedByReason: plan.skipped.reduce((acc, s) => {
+      acc[s.reason] = (acc[s.reason] || 0) + 1;
+      return acc;
+    }, {})
+  };
+}
+
+/**
+ * Preview a campaign (nothing recorded)
+ * @returns {Promise<Object>} { summary, missingFields: { field: letters with it blank }, sample, skipped }
+ */
+async function previewCampaign(tenantId, template, filters = {}, options = {}) {
+  const [plan, tenant] = await Promise.all([
+    planCampaign(tenantId, filters, options),
+    Tenant.findById(tenantId).lean()
+  ]);
+
+  const now = new Date();
+  const missingFields = {};
+  const sample = [];
+  for (const { lead, recipient } of plan.eligible) {
+    const { text, missing } = renderLetter(template.content, mergeValues(lead, tenant || {}, now));
+    missing.forEach(field => { missingFields[field] = (missingFields[field] || 0) + 1; });
+    if (sample.length < SAMPLE_SIZE) sample.push({ leadId: lead._id, recipient, body: text });
+  }
+
+  return { summary: summarize(plan), missingFields, sample, skipped: plan.skipped };
+}
+
+/**
+ * Confirm a campaign: record it and log a mail touch on every lead it goes to
+ * @returns {Promise<Object>} { campaign, summary }
+ */
+async function createCampaign(tenantId, userId, { name, template, filters = {}, includeRecentlyMailed = false }) {
+  const plan = await planCampaign(tenantId, filters, { includeRecentlyMailed });
+  const mailedAt = new Date();
+
+  const campaign = await MailCampaign.create({
+    tenantId,
+    name,
+    templateId: template._id,
+    templateKey: template.key,
+    templateVersion: template.version,
+    filters,
+    totals: { matched: plan.matched, mailed: plan.eligible.length, skipped: plan.skipped.length },
+    skipped: plan.skipped,
+    mailedAt,
+    createdBy: userId
+  });
+
+  for (let i = 0; i < plan.eligible.length; i += 1000) {
+    await LeadTouch.insertMany(plan.eligible.slice(i, i + 1000).map(({ lead, recipient }) => ({
+      tenantId,
+      leadId: lead._id,
+      campaignId: campaign._id,
+      channel: 'mail',
+      touchedAt: mailedAt,
+      address: recipient
+    })));
+  }
+
+  console.log(`[MailCampaign] Campaign ${campaign._id} "${name}": ${plan.eligible.length} letter(s), ${plan.skipped.length} skipped`);
+  return { campaign, summary: summarize(plan) };
+}
+
+/**
+ * Touches in print order (ZIP, for presort postage) - the letters PDF and address file share it
+ */
+function touchesInPrintOrder(campaign) {
+  return LeadTouch.find({ campaignId: campaign._id, tenantId: campaign.tenantId })
+    .sort({ 'address.zip': 1, _id: 1 })
+    .lean()
+    .cursor();
+}
+
+/**
+ * Merged letters for the campaign PDF
+ * @returns {AsyncGenerator<{recipient: Object, body: String}>}
+ */
+async function* campaignLetters(campaign, template, tenant) {
+  const touches = touchesInPrintOrder(campaign);
+  let batch = [];
+
+  async function* render(chunk) {
+    const leads = await Lead.find({ _id: { $in: chunk.map(t => t.leadId) }, tenantId: campaign.tenantId })
+      .select(LEAD_FIELDS)
+      .lean();
+    const byId = new Map(leads.map(l => [l._id.toString(), l]));
+    for (const touch of chunk) {
+      // A lead deleted since mailing still gets its letter, addressed from the touch
+      const lead = byId.get(touch.leadId.toString()) || { ownerName: touch.address.name };
+      const { text } = renderLetter(template.content, mergeValues(lead, tenant, campaign.mailedAt));
+      yield { recipient: touch.address, body: text };
+    }
+  }
+
+  for await (const touch of touches) {
+    batch.push(touch);
+    if (batch.length === RENDER_BATCH) {
+      yield* render(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) yield* render(batch);
+}
+
+/**
+ * Rows for the mail house address file: Seq matches the letter's position in the PDF
+ * @returns {AsyncGenerator<Array>}
+ */
+async function* campaignAddressRows(campaign) {
+  let seq = 0;
+  for await (const touch of touchesInPrintOrder(campaign)) {
+    const { name, line1, city, state, zip } = touch.address || {};
+    yield [++seq, touch.leadId.toString(), name, line1, city, state, zip];
+  }
+}
+
+const ADDRESS_HEADERS = ['Seq', 'Lead ID', 'Name', 'Address', 'City', 'State', 'Zip'];
+
+/**
+ * Letterhead branding for the tenant
+ * @returns {Promise<Object>} resolveBranding fields plus logo (Buffer|null)
+ */
+async function loadBranding(tenant) {
+  const branding = resolveBranding(tenant);
+  return { ...branding, logo: await loadLogo(branding) };
+}
+
+/**
+ * Credit the lead's latest unanswered mail touch (within MAIL_RESPONSE_WINDOW_DAYS) with a response
+ * @param {Object} lead
+ * @param {String} response - Lead status reached, or "manual"
+ * @param {Object} options - { campaignId: only that campaign's touch }
+ * @returns {Promise<Object|null>} Updated touch
+ */
+async function recordMailResponse(lead, response, options = {}) {
+  const filter = {
+    tenantId: lead.tenantId,
+    leadId: lead._id,
+    channel: 'mail',
+    respondedAt: null,
+    touchedAt: { $gte: new Date(Date.now() - MAIL_RESPONSE_WINDOW_DAYS * DAY_MS) }
+  };
+  if (options.campaignId) filter.campaignId = options.campaignId;
+
+  return LeadTouch.findOneAndUpdate(
+    filter,
+    { $set: { respondedAt: new Date(), response } },
+    { sort: { touchedAt: -1 }, new: true }
+  );
+}
+
+/**
+ * Status changes that count as a reply to the letter
+ */
+async function recordStatusResponse(lead) {
+  if (!RESPONSE_STATUSES.includes(lead.status)) return null;
+  try {
+    return await recordMailResponse(lead, lead.status);
+  } catch (err) {
+    console.error(`[MailCampaign] Failed to record response for lead ${lead._id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Mailed / responded counts and response rate (percent) per campaign
+ * @returns {Promise<Map<string, Object>>} campaignId → { mailed, responded, responseRate }
+ */
+async function getCampaignStats(tenantId, campaignIds) {
+  const rows = await LeadTouch.aggregate([
+    { $match: { tenantId: new mongoose.Types.ObjectId(tenantId), campaignId: { $in: campaignIds } } },
+    {
+      $group: {
+        _id: '$campaignId',
+        mailed: { $sum: 1 },
+        responded: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$respondedAt', null] }, null] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const stats = new Map(campaignIds.map(id => [id.toString(), { mailed: 0, responded: 0, responseRate: 0 }]));
+  for (const row of rows) {
+    stats.set(row._id.toString(), {
+      mailed: row.mailed,
+      responded: row.responded,
+      responseRate: row.mailed ? Math.round((row.responded / row.mailed) * 1000) / 10 : 0
+    });
+  }
+  return stats;
+}
+
+module.exports = {
+  RESPONSE_STATUSES,
+  ADDRESS_HEADERS,
+  findLetterTemplate,
+  planCampaign,
+  previewCampaign,
+  createCampaign,
+  campaignLetters,
+  campaignAddressRows,
+  loadBranding,
+  recordMailResponse,
+  recordStatusResponse,
+  getCampaignStats
+};
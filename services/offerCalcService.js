@@ -0,0 +1,66 @@
+// services/offerCalcService.js
+// Closer offer calculator: cash MAO from the lead's buy box formula and the creative lane max offers
+// (services/creativeFinanceService.js), each laid out as an opening / target / max ladder.
+
+const BuyBox = require('../models/BuyBox');
+const { resolveMaoConfig, calculateCashMao, buildLadder, checkOfferAgainstMax } = require('../utils/maoEngine');
+const { analyzeLeadCreativeFinance } = require('./creativeFinanceService');
+
+/**
+ * The buy box the lead scored against (or the one asked for), tenant-scoped
+ * @returns {Promise<Object|null>}
+ */
+async function findLeadBuyBox(lead, buyBoxId = null) {
+  const id = buyBoxId || lead.leadScore?.buyBoxId;
+  if (!id) return null;
+  return BuyBox.findOne({ _id: id, tenantId: lead.tenantId }).lean();
+}
+
+/**
+ * Cash MAO plus an offer ladder for every lane
+ * @param {Object} lead - Lead document
+ * @param {Object} options - { buyBox: use this buy box instead of the lead's (null = default formula) }
+ * @returns {Promise<Object>} { buyBox, cash, ladders, recommendedLane, offerCheck }
+ */
+async function calculateOfferCalc(lead, options = {}) {
+  const buyBox = options.buyBox !== undefined ? options.buyBox : await findLeadBuyBox(lead);
+  const { ladder } = resolveMaoConfig(buyBox);
+  const cash = calculateCashMao(lead, buyBox);
+  const creative = await analyzeLeadCreativeFinance(lead);
+
+  const ladders = [{
+    lane: 'cash',
+    label: 'Cash',
+    ...(cash.ladder || { opening: null, target: null, max: null }),
+    ...(cash.missingFields.length ? { missingFields: cash.missingFields } : {})
+  }];
+  for (const result of Object.values(creative.lanes)) {
+    const entry = { lane: result.lane, label: result.label };
+    if (result.error) {
+      ladders.push({ ...entry, opening: null, target: null, max: null, missingFields: result.missingFields });
+    } else {
+      ladders.push({
+        ...entry,
+        ...(result.maxOffer !== null ? buildLadder(result.maxOffer, ladder) : { opening: null, target: null, max: null }),
+        entryCost: result.entryCost,
+        monthlySpread: result.monthlySpread,
+        failedChecks: result.failedChecks
+      });
+    }
+  }
+
+  const offerLane = lead.closer?.offerLaneFinal;
+  const lane = ladders.some(l => l.lane === offerLane) ? offerLane : 'cash';
+  return {
+    buyBox: buyBox ? { id: buyBox._id, label: buyBox.label, marketKey: buyBox.marketKey } : null,
+    cash,
+    ladders,
+    recommendedLane: creative.recommendedLane,
+    offerCheck: checkOfferAgainstMax(lane, lead.closer?.offerAmount, ladders.find(l => l.lane === lane).max)
+  };
+}
+
+module.exports = {
+  findLeadBuyBox,
+  calculateOfferCalc
+};
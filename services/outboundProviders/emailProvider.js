@@ -1,23 +1,21 @@
 // services/outboundProviders/emailProvider.js
 const BaseOutboundProvider = require('./baseOutboundProvider');
+const { getTransporter, SMTP_FROM } = require('../magicLinkEmailService');
+const { senderFor } = require('../../utils/branding');
 
 /**
- * Email provider (stub implementation)
- * In production, integrate with SendGrid, AWS SES, Mailgun, etc.
+ * Email provider using SMTP (nodemailer; same SMTP_* settings as the magic-link email)
  */
 class EmailProvider extends BaseOutboundProvider {
   constructor(config = {}) {
     super(config);
     this.name = 'email';
-    // TODO: Initialize email service client (SendGrid, AWS SES, etc.)
-    // Example:
-    // this.client = config.client || new SendGridClient(process.env.SENDGRID_API_KEY);
+    this.transporter = config.transporter || getTransporter();
+    this.fromAddress = config.fromAddress || SMTP_FROM;
   }
 
   isConfigured() {
-    // TODO: Check if email service is configured
-    // For now, return false (stub)
-    return false;
+    return !!this.transporter;
   }
 
   validateRecipient(to) {
@@ -28,46 +26,46 @@ class EmailProvider extends BaseOutboundProvider {
   }
 
   /**
-   * Send email (stub - implement with actual email service)
-   * @param {Object} params - { to: string (email), message: string, subject?: string, html?: string, metadata?: object }
+   * Send email via SMTP
+   * @param {Object} params - { to: string (email), message: string, subject?: string, html?: string, fromName?: string,
+   *   replyTo?: string, returnPath?: string, dealBlastRecipientId?: string, metadata?: object }
+   *   fromName / replyTo come from the tenant's branding (utils/branding.js), or replyTo is the blast recipient's
+   *   reply address; returnPath (envelope sender) is where bounces go
    * @returns {Promise<Object>} { messageId: string, provider: string, status: string }
    */
   async send(params) {
     if (!this.isConfigured()) {
-      throw new Error('Email provider not configured. Please set up email service (SendGrid, AWS SES, etc.)');
+      throw new Error('Email provider not configured. Set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)');
     }
-    
-    const { to, message, subject = 'New Deal Opportunity', html, metadata = {} } = params;
-    
+
+    const { to, message, subject = 'New Deal Opportunity', html, fromName, replyTo, returnPath, dealBlastRecipientId } = params;
+
     if (!this.validateRecipient(to)) {
       throw new Error(`Invalid email address: ${to}`);
     }
-    
-    // TODO: Implement actual email sending
-    // Example with SendGrid:
-    // const msg = {
-    //   to: to,
-    //   from: process.env.EMAIL_FROM,
-    //   subject: subject,
-    //   text: message,
-    //   html: html || message
-    // };
-    // const result = await this.client.send(msg);
-    // return {
-    //   messageId: result[0].headers['x-message-id'],
-    //   provider: 'email',
-    //   status: 'sent'
-    // };
-    
-    // Stub implementation
-    console.warn('[Email Provider] Email sending not yet implemented. Stub response.');
-    return {
-      messageId: `email_stub_${Date.now()}`,
-      provider: 'email',
-      status: 'queued' // Not actually sent
-    };
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: fromName ? senderFor({ brandName: fromName }, this.fromAddress) : this.fromAddress,
+        replyTo: replyTo || undefined,
+        to,
+        subject,
+        text: message,
+        html: html || undefined,
+        ...(returnPath ? { envelope: { from: returnPath, to } } : {}),
+        headers: dealBlastRecipientId ? { 'X-Deal-Blast-Recipient': dealBlastRecipientId } : undefined
+      });
+
+      return {
+        messageId: info.messageId,
+        provider: 'email',
+        status: 'sent'
+      };
+    } catch (error) {
+      console.error('[Email Provider] Error sending email:', error.message);
+      throw new Error(`Email send failed: ${error.message}`);
+    }
   }
 }
 
 module.exports = EmailProvider;
-
@@ -1,6 +1,8 @@
 // services/outboundProviders/smsProvider.js
 const BaseOutboundProvider = require('./baseOutboundProvider');
 const twilio = require('twilio');
+const { isSmsOptedOut } = require('../smsOptOutService');
+const { statusCallbackUrl } = require('../../utils/twilioWebhooks');
 
 /**
  * SMS provider using Twilio
@@ -37,7 +39,7 @@ class SMSProvider extends BaseOutboundProvider {
 
   /**
    * Send SMS via Twilio
-   * @param {Object} params - { to: string (phone), message: string, metadata?: object }
+   * @param {Object} params - { to: string (phone), message: string, from?: string (tenant number), tenantId?: sending tenant, metadata?: object }
    * @returns {Promise<Object>} { messageId: string, provider: string, status: string }
    */
   async send(params) {
@@ -45,17 +47,24 @@ class SMSProvider extends BaseOutboundProvider {
       throw new Error('SMS provider not configured. Missing TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, or TWILIO_PHONE_NUMBER');
     }
     
-    const { to, message, metadata = {} } = params;
+    const { to, message, from, tenantId = null, metadata = {} } = params;
     
     if (!this.validateRecipient(to)) {
       throw new Error(`Invalid phone number: ${to}`);
     }
     
+    // TCPA: never text a number that replied STOP to this tenant
+    if (await isSmsOptedOut(to, tenantId)) {
+      throw new Error(`${to} has opted out of SMS`);
+    }
+    
     try {
+      const statusCallback = statusCallbackUrl();
       const result = await this.client.messages.create({
         body: message,
-        from: this.fromNumber,
-        to: to
+        from: from || this.fromNumber,
+        to: to,
+        ...(statusCallback ? { statusCallback } : {})
       });
       
       return {
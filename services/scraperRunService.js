@@ -0,0 +1,298 @@
+// services/scraperRunService.js
+// County scraper run history, DB-backed run lock, health and failure alerts
+
+const os = require('os');
+const crypto = require('crypto');
+const ScraperRun = require('../models/ScraperRun');
+const ScraperLock = require('../models/ScraperLock');
+const { RECORD_TYPES } = require('../scrapers/sdk/recordTypes');
+
+const LOCK_NAME = 'county_scrapers';
+const LOCK_TTL_MS = (parseInt(process.env.SCRAPER_LOCK_TTL_MINUTES) || 60) * 60 * 1000;
+const FAILURE_ALERT_RUNS = parseInt(process.env.SCRAPER_ALERT_FAILURE_RUNS) || 3;
+const ZERO_YIELD_ALERT_RUNS = parseInt(process.env.SCRAPER_ALERT_ZERO_YIELD_RUNS) || 1;
+const HEALTH_WINDOW = 20; // Runs per county considered for health
+const HOST = `${process.env.FLY_MACHINE_ID || os.hostname()}:${process.pid}`;
+
+/**
+ * Acquire the scraper lock (free, expired, or already ours)
+ * @returns {Promise<Object|null>} Lock document, or null if another machine holds it
+ */
+async function acquireScraperLock() {
+  const now = new Date();
+  const cycleId = crypto.randomUUID();
+
+  try {
+    const lock = await ScraperLock.findOneAndUpdate(
+      { name: LOCK_NAME, $or: [{ expiresAt: { $lte: now } }, { holder: HOST }] },
+      { $set: { holder: HOST, cycleId, acquiredAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { new: true, upsert: true }
+    );
+
+    // A previous holder died mid-cycle: close out its runs
+    await ScraperRun.updateMany(
+      { status: 'running', startedAt: { $lte: new Date(now.getTime() - LOCK_TTL_MS) } },
+      {
+        $set: { status: 'failed', finishedAt: now },
+        $push: { errorLog: { recordType: null, message: 'Run abandoned (lock expired before completion)' } },
+        $inc: { errorCount: 1 }
+      }
+    );
+
+    return lock;
+  } catch (err) {
+    // Duplicate key on upsert = lock exists and is held by someone else
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+/**
+ * Extend the lock while a cycle is still working
+ */
+async function renewScraperLock(lock) {
+  await ScraperLock.updateOne(
+    { _id: lock._id, holder: HOST },
+    { $set: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) } }
+  );
+}
+
+/**
+ * Release the lock (only if we still hold it)
+ */
+async function releaseScraperLock(lock) {
+  await ScraperLock.updateOne(
+    { _id: lock._id, holder: HOST },
+    { $set: { expiresAt: new Date() } }
+  );
+}
+
+/**
+ * Record the start of a county run
+ */
+async function startScraperRun(county, { cycleId, trigger = 'cron' } = {}) {
+  return ScraperRun.create({
+    county,
+    cycleId,
+    trigger,
+    host: HOST,
+    status: 'running',
+    startedAt: new Date()
+  });
+}
+
+/**
+ * Record the outcome of a county run
+ * @param {Object} run - ScraperRun document
+ * @param {Object} result - Runner result (null if the run threw)
+ * @param {Error} error - Fatal error, if any
+ */
+async function finishScraperRun(run, result, error = null) {
+  const finishedAt = new Date();
+  run.finishedAt = finishedAt;
+  run.durationMs = finishedAt - run.startedAt;
+
+  if (error || !result) {
+    run.status = 'failed';
+    run.errorLog.push({ recordType: null, message: error?.message || 'Scraper returned no result' });
+    run.errorCount = run.errorLog.length;
+    await run.save();
+    return run;
+  }
+
+  run.countyName = result.county;
+  const byType = result.metrics?.byType || {};
+  for (const [type, recordType] of Object.entries(RECORD_TYPES)) {
+    run.inserts[type] = result[recordType.resultKey] || 0;
+  }
+  run.totalInserted = Object.values(RECORD_TYPES).reduce((sum, rt) => sum + (result[rt.resultKey] || 0), 0);
+  run.leadsCreated = result.leadsCreated || 0;
+
+  let failedTypes = 0;
+  for (const [type, metrics] of Object.entries(byType)) {
+    run.parsed += metrics.parsed || 0;
+    run.duplicates += metrics.duplicates || 0;
+    run.invalid += metrics.invalid || 0;
+    if ((metrics.errors || []).length > 0) {
+      failedTypes++;
+      for (const message of metrics.errors) run.errorLog.push({ recordType: type, message });
+    }
+  }
+  run.errorCount = run.errorLog.length;
+  run.metrics = { byType };
+
+  const typeCount = Object.keys(byType).length;
+  if (typeCount > 0 && failedTypes === typeCount) {
+    run.status = 'failed';
+  } else {
+    run.status = failedTypes > 0 ? 'partial' : 'completed';
+  }
+
+  await run.save();
+  return run;
+}
+
+/**
+ * Streaks over a county's most recent finished runs (newest first)
+ */
+function computeStreaks(runs) {
+  let consecutiveFailures = 0;
+  for (const run of runs) {
+    if (run.status !== 'failed') break;
+    consecutiveFailures++;
+  }
+
+  let zeroYieldRuns = 0;
+  for (const run of runs) {
+    if (run.status === 'failed' || (run.parsed || 0) > 0) break;
+    zeroYieldRuns++;
+  }
+
+  return { consecutiveFailures, zeroYieldRuns };
+}
+
+/**
+ * Admin users to alert (scraper tenant's admins; all admins if the tenant can't be resolved)
+ */
+async function getAlertRecipients() {
+  const User = require('../models/user');
+  try {
+    const { resolveScraperTenantId } = require('../scrapers/sdk/store');
+    const tenantId = await resolveScraperTenantId();
+    const admins = await User.find({ role: 'admin', tenantId }).select('_id').lean();
+    if (admins.length > 0) return admins.map(u => u._id);
+  } catch (err) {
+    // Fall through - a tenant misconfiguration is exactly what admins need to hear about
+  }
+  const admins = await User.find({ role: 'admin' }).select('_id').lean();
+  return admins.map(u => u._id);
+}
+
+/**
+ * Alert admins when a county fails N runs in a row or its yield drops to zero
+ * Fires once when the streak reaches the threshold (not on every run after).
+ * @param {Object} run - Just-finished ScraperRun document
+ * @returns {Promise<Array>} Alerts raised
+ */
+async function checkScraperAlerts(run) {
+  const recent = await ScraperRun.find({ county: run.county, status: { $ne: 'running' } })
+    .sort({ startedAt: -1 })
+    .limit(Math.max(FAILURE_ALERT_RUNS, ZERO_YIELD_ALERT_RUNS) + 1)
+    .select('status parsed')
+    .lean();
+  const { consecutiveFailures, zeroYieldRuns } = computeStreaks(recent);
+  const label = run.countyName || run.county;
+  const alerts = [];
+
+  if (consecutiveFailures === FAILURE_ALERT_RUNS) {
+    const lastError = run.errorLog[run.errorLog.length - 1]?.message || 'unknown error';
+    alerts.push({
+      type: 'consecutive_failures',
+      message: `${label} scraper failed ${consecutiveFailures} runs in a row: ${lastError}`
+    });
+  }
+  if (zeroYieldRuns === ZERO_YIELD_ALERT_RUNS) {
+    alerts.push({
+      type: 'zero_yield',
+      message: `${label} scraper found 0 records ${zeroYieldRuns > 1 ? `${zeroYieldRuns} runs in a row` : 'this run'} (source layout or availability may have changed)`
+    });
+  }
+
+  if (alerts.length === 0) return alerts;
+
+  for (const alert of alerts) {
+    run.alerts.push({ ...alert, at: new Date() });
+    console.warn(`[SCRAPER] ALERT: ${alert.message}`);
+  }
+  await run.save();
+
+  try {
+    const { notifySystemError } = require('./notificationService');
+    const adminIds = await getAlertRecipients();
+    for (const alert of alerts) {
+      await notifySystemError(adminIds, alert.message, { county: run.county, runId: run._id, type: alert.type });
+    }
+  } catch (err) {
+    console.error('[SCRAPER] Failed to send scraper alert:', err.message);
+  }
+
+  return alerts;
+}
+
+/**
+ * Health summary per county
+ * @param {Array<string>} counties - Scraper names (scrapers/index.js keys)
+ * @returns {Promise<Object>} { lock, counties: [...] }
+ */
+async function getScraperHealth(counties) {
+  const now = new Date();
+  const lock = await ScraperLock.findOne({ name: LOCK_NAME }).lean();
+
+  const results = await Promise.all(counties.map(async (county) => {
+    const runs = await ScraperRun.find({ county })
+      .sort({ startedAt: -1 })
+      .limit(HEALTH_WINDOW)
+      .select('-metrics')
+      .lean();
+
+    const finished = runs.filter(r => r.status !== 'running');
+    const lastRun = finished[0] || null;
+    const lastSuccess = finished.find(r => r.status === 'completed' || r.status === 'partial');
+    const { consecutiveFailures, zeroYieldRuns } = computeStreaks(finished);
+    const avg = (field) => (finished.length > 0
+      ? Math.round((finished.reduce((sum, r) => sum + (r[field] || 0), 0) / finished.length) * 10) / 10
+      : 0);
+
+    let status = 'healthy';
+    if (!lastRun) status = 'never_run';
+    else if (consecutiveFailures >= FAILURE_ALERT_RUNS) status = 'failing';
+    else if (zeroYieldRuns >= ZERO_YIELD_ALERT_RUNS) status = 'zero_yield';
+    else if (lastRun.status !== 'completed') status = 'degraded';
+
+    return {
+      county,
+      countyName: lastRun?.countyName || null,
+      status,
+      running: runs[0]?.status === 'running',
+      lastRun: lastRun && {
+        id: lastRun._id,
+        status: lastRun.status,
+        startedAt: lastRun.startedAt,
+        durationMs: lastRun.durationMs,
+        parsed: lastRun.parsed,
+        inserted: lastRun.totalInserted,
+        leadsCreated: lastRun.leadsCreated,
+        errorCount: lastRun.errorCount
+      },
+      lastSuccessAt: lastSuccess?.finishedAt || null,
+      consecutiveFailures,
+      zeroYieldRuns,
+      recent: {
+        runs: finished.length,
+        failed: finished.filter(r => r.status === 'failed').length,
+        avgParsed: avg('parsed'),
+        avgInserted: avg('totalInserted'),
+        avgDurationMs: Math.round(avg('durationMs'))
+      }
+    };
+  }));
+
+  return {
+    lock: lock
+      ? { held: lock.expiresAt > now, holder: lock.holder, acquiredAt: lock.acquiredAt, expiresAt: lock.expiresAt }
+      : { held: false },
+    thresholds: { failureRuns: FAILURE_ALERT_RUNS, zeroYieldRuns: ZERO_YIELD_ALERT_RUNS },
+    counties: results
+  };
+}
+
+module.exports = {
+  acquireScraperLock,
+  renewScraperLock,
+  releaseScraperLock,
+  startScraperRun,
+  finishScraperRun,
+  checkScraperAlerts,
+  getScraperHealth,
+  computeStreaks
+};
@@ -0,0 +1,140 @@
+// services/sellerSmsService.js
+// Two-way seller SMS: match an inbound text to the lead whose phones include the sender, thread it
+// into the lead's seller conversation and notify the lead's dialer / closer in real time.
+
+const Lead = require('../models/Lead');
+const MessageThread = require('../models/MessageThread');
+const Message = require('../models/Message');
+const User = require('../models/user');
+const { createNotification } = require('./notificationService');
+const { emitToUser, emitToRoom } = require('../utils/realtime');
+
+/**
+ * Formats a phone may be stored in on a lead (skip trace numbers are E.164; Lead.phones may be raw)
+ * @param {string} phone - E.164 phone
+ * @returns {string[]}
+ */
+function phoneVariants(phone) {
+  const digits = phone.replace(/\D/g, '');
+  const local = digits.length === 11 && digits[0] === '1' ? digits.slice(1) : digits;
+  if (local.length !== 10) return [phone];
+  const [area, prefix, line] = [local.slice(0, 3), local.slice(3, 6), local.slice(6)];
+  return [
+    phone,
+    local,
+    `1${local}`,
+    `${area}-${prefix}-${line}`,
+    `(${area}) ${prefix}-${line}`,
+    `${area}.${prefix}.${line}`
+  ];
+}
+
+/**
+ * Most recently updated lead with this phone in its skip trace results or phone list
+ * @param {string} phone - E.164 phone
+ * @param {ObjectId} tenantId - Limit to one tenant (optional)
+ * @returns {Promise<Object|null>} Lead document
+ */
+async function findLeadByPhone(phone, tenantId = null) {
+  const variants = phoneVariants(phone);
+  const filter = {
+    $or: [
+      { 'skipTrace.phones.number': { $in: variants } },
+      { phones: { $in: variants } }
+    ]
+  };
+  if (tenantId) filter.tenantId = tenantId;
+  return Lead.findOne(filter).sort({ updatedAt: -1 });
+}
+
+/**
+ * Users who hear about texts on a lead: the lead's assignee and the dialer who sent it to the closer,
+ * else the tenant's closers, managers and admins
+ * @param {Object} lead - Lead (or just { tenantId } when there's no lead)
+ * @returns {Promise<string[]>} User ids
+ */
+async function findLeadThreadRecipients(lead) {
+  const ids = [lead.routing?.assignedTo, lead.handoff?.sentToCloserBy]
+    .filter(Boolean)
+    .map(id => id.toString());
+  if (ids.length) return [...new Set(ids)];
+
+  const users = await User.find({ tenantId: lead.tenantId, role: { $in: ['closer', 'manager', 'admin'] } }).select('_id');
+  return users.map(u => u._id.toString());
+}
+
+/**
+ * Thread an inbound seller text into the lead's conversation with that phone and notify its users
+ * @param {Object} params - { lead, phone (E.164), body, optKeyword?: opt_out | opt_in }
+ * @returns {Promise<Object>} { thread, message, notified: user ids }
+ */
+async function recordSellerReply({ lead, phone, body, optKeyword = null }) {
+  const recipients = await findLeadThreadRecipients(lead);
+
+  let thread = await MessageThread.findOne({ tenantId: lead.tenantId, relatedLeadId: lead._id, sellerPhone: phone });
+  if (!thread) {
+    thread = await MessageThread.create({
+      tenantId: lead.tenantId,
+      participants: recipients,
+      relatedLeadId: lead._id,
+      sellerPhone: phone
+    });
+  } else {
+    // Re-assigned leads bring the new owner into the conversation
+    const current = thread.participants.map(id => id.toString());
+    for (const id of recipients) {
+      if (!current.includes(id)) thread.participants.push(id);
+    }
+  }
+
+  const message = await Message.create({
+    tenantId: lead.tenantId,
+    threadId: thread._id,
+    senderId: null, // Seller, not a user
+    senderRole: 'seller',
+    body: body.substring(0, 1000),
+    channel: 'sms',
+    externalAddress: phone,
+    inbound: true,
+    metadata: optKeyword ? { optKeyword } : {}
+  });
+
+  thread.lastMessageAt = new Date();
+  await thread.save();
+
+  const owner = lead.ownerName || 'Seller';
+  const title = optKeyword === 'opt_out' ? 'Seller Opted Out of SMS' : 'New Seller Message';
+  const notified = thread.participants.map(id => id.toString());
+  for (const userId of notified) {
+    await createNotification({
+      userId,
+      tenantId: lead.tenantId,
+      type: 'seller_reply',
+      title,
+      message: `${owner}: ${body.substring(0, 50)}`,
+      entityType: 'message',
+      entityId: thread._id,
+      priority: optKeyword === 'opt_out' ? 'normal' : 'high'
+    });
+    emitToUser(userId, 'message:received', {
+      threadId: thread._id,
+      messageId: message._id,
+      leadId: lead._id,
+      message
+    });
+  }
+  emitToRoom(`thread:${thread._id}`, 'message:received', {
+    threadId: thread._id,
+    messageId: message._id,
+    message
+  });
+
+  return { thread, message, notified };
+}
+
+module.exports = {
+  phoneVariants,
+  findLeadByPhone,
+  findLeadThreadRecipients,
+  recordSellerReply
+};
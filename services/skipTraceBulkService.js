@@ -0,0 +1,260 @@
+// services/skipTraceBulkService.js
+// Bulk skip trace over a filtered lead set (same filters as crm.getLeads)
+//
+// Two phases:
+// 1. Preview - aggregate cost estimate, dedupe count, and per-lead skip reasons
+// 2. Confirm - create a SkipTraceBatch and enqueue eligible leads in the background;
+//    progress streams to the tenant room as skiptrace:bulk_progress
+
+const Lead = require('../models/Lead');
+const SkipTraceJob = require('../models/SkipTraceJob');
+const SkipTraceBatch = require('../models/SkipTraceBatch');
+const { buildLeadFilter } = require('../utils/leadFilters');
+const { orchestrator } = require('../utils/skiptrace');
+const { emitToTenant } = require('../utils/realtime');
+const {
+  enqueueSkipTrace,
+  getQueueSummary,
+  getBatchProgress
+} = require('./skipTraceQueueService');
+
+const RECENT_TRACE_DAYS = parseInt(process.env.SKIPTRACE_RECENT_DAYS) || 30;
+const BULK_MAX_LEADS = parseInt(process.env.SKIPTRACE_BULK_MAX_LEADS) || 5000;
+const BULK_PRIORITY = -1; // Single-lead requests run ahead of bulk jobs
+const PROGRESS_EVERY = 25;
+
+/**
+ * Skip trace inputs are owner-based, so leads sharing owner + mailing address only need one lookup
+ * @param {Object} lead
+ * @returns {string|null} Owner key (null when owner is unknown - never deduped)
+ */
+function ownerKey(lead) {
+  const owner = (lead.ownerName || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!owner) return null;
+  const mailing = (lead.mailingAddress || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return `${owner}|${mailing}`;
+}
+
+/**
+ * Work out which leads in a filtered set would be traced, and why the rest are skipped
+ * @param {ObjectId} tenantId
+ * @param {Object} filters - crm.getLeads filters (status, category, grade, route, county, tags, q)
+ * @returns {Promise<Object>} Plan with eligible leads, skipped leads and cost estimate
+ */
+async function planBulkSkipTrace(tenantId, filters = {}) {
+  const filter = buildLeadFilter(tenantId, filters);
+
+  const [matched, leads] = await Promise.all([
+    Lead.countDocuments(filter),
+    Lead.find(filter)
+      .select('ownerName mailingAddress propertyAddress skipTraceLocked lastSkipTracedAt updatedAt')
+      .sort({ updatedAt: -1 })
+      .limit(BULK_MAX_LEADS)
+      .lean()
+  ]);
+
+  const activeJobs = await SkipTraceJob.find({
+    tenantId,
+    leadId: { $in: leads.map(l => l._id) },
+    status: { $in: ['queued', 'leased'] }
+  }).select('leadId').lean();
+  const activeLeadIds = new Set(activeJobs.map(j => j.leadId.toString()));
+
+  const recentCutoff = new Date(Date.now() - RECENT_TRACE_DAYS * 24 * 60 * 60 * 1000);
+  const seenOwners = new Map();
+  const eligible = [];
+  const skipped = [];
+
+  for (const lead of leads) {
+    if (lead.skipTraceLocked) {
+      skipped.push({ leadId: lead._id, reason: 'locked' });
+      continue;
+    }
+    if (activeLeadIds.has(lead._id.toString())) {
+      skipped.push({ leadId: lead._id, reason: 'already_queued' });
+      continue;
+    }
+    if (lead.lastSkipTracedAt && lead.lastSkipTracedAt >= recentCutoff) {
+      skipped.push({
+        leadId: lead._id,
+        reason: 'recently_traced',
+        detail: `Traced ${lead.lastSkipTracedAt.toISOString()} (within ${RECENT_TRACE_DAYS} days)`
+      });
+      continue;
+    }
+
+    const key = ownerKey(lead);
+    if (key && seenOwners.has(key)) {
+      skipped.push({ leadId: lead._id, reason: 'duplicate_owner', duplicateOf: seenOwners.get(key) });
+      continue;
+    }
+    if (key) seenOwners.set(key, lead._id);
+
+    eligible.push(lead);
+  }
+
+  const costPerLead = orchestrator.estimateCost();
+  const skippedByReason = skipped.reduce((acc, s) => {
+    acc[s.reason] = (acc[s.reason] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    matched,
+    considered: leads.length,
+    truncated: matched > leads.length,
+    eligible,
+    skipped,
+    skippedByReason,
+    duplicates: skippedByReason.duplicate_owner || 0,
+    costPerLead,
+    estimatedCost: Math.round(eligible.length * costPerLead * 100) / 100
+  };
+}
+
+/**
+ * Preview a bulk skip trace (no jobs created)
+ * @returns {Promise<Object>} Summary, budget and skip report
+ */
+async function previewBulkSkipTrace(tenantId, filters = {}) {
+  const [plan, queue] = await Promise.all([
+    planBulkSkipTrace(tenantId, filters),
+    getQueueSummary(tenantId)
+  ]);
+
+  const { dailyCostCap } = queue.limits;
+  const remaining = dailyCostCap > 0 ? Math.max(dailyCostCap - queue.spentToday, 0) : null;
+
+  return {
+    summary: {
+      matched: plan.matched,
+      considered: plan.considered,
+      truncated: plan.truncated,
+      eligible: plan.eligible.length,
+      skipped: plan.skipped.length,
+      duplicates: plan.duplicates,
+      skippedByReason: plan.skippedByReason,
+      costPerLead: plan.costPerLead,
+      estimatedCost: plan.estimatedCost
+    },
+    budget: {
+      dailyCostCap,
+      spentToday: queue.spentToday,
+      remainingToday: remaining,
+      // Jobs over the cap stay queued until the next day's budget
+      exceedsDailyCap: remaining !== null && plan.estimatedCost > remaining
+    },
+    skipped: plan.skipped
+  };
+}
+
+/**
+ * Enqueue eligible leads for a batch, emitting progress as it goes
+ */
+async function enqueueBatch(batch, leadIds, userId) {
+  let queued = 0;
+  const failures = [];
+
+  for (const leadId of leadIds) {
+    try {
+      const lead = await Lead.findById(leadId);
+      if (!lead) {
+        failures.push({ leadId, reason: 'not_found' });
+      } else {
+        const { created } = await enqueueSkipTrace(lead, { userId, priority: BULK_PRIORITY, batchId: batch._id });
+        if (created) {
+          queued++;
+        } else {
+          failures.push({ leadId, reason: 'already_queued' });
+        }
+      }
+    } catch (err) {
+      failures.push({ leadId, reason: err.message.includes('locked') ? 'locked' : 'enqueue_failed', detail: err.message });
+    }
+
+    if ((queued + failures.length) % PROGRESS_EVERY === 0) {
+      emitToTenant(batch.tenantId, 'skiptrace:bulk_progress', {
+        batchId: batch._id,
+        status: 'enqueuing',
+        enqueued: queued,
+        total: leadIds.length
+      });
+    }
+  }
+
+  batch.totals.queued = queued;
+  batch.totals.skipped += failures.length;
+  batch.skipped.push(...failures);
+  batch.status = queued > 0 ? 'running' : 'completed';
+  if (queued === 0) batch.completedAt = new Date();
+  await batch.save();
+
+  if (queued > 0) {
+    // Jobs that settled while the batch was still enqueuing could not complete it, so check once more
+    const completedAt = new Date();
+    const { modifiedCount } = await SkipTraceBatch.updateOne(
+      { _id: batch._id, status: 'running', progressFinished: { $gte: queued } },
+      { $set: { status: 'completed', completedAt } }
+    );
+    if (modifiedCount > 0) {
+      batch.status = 'completed';
+      batch.completedAt = completedAt;
+    }
+  }
+
+  console.log(`[SkipTraceBulk] Batch ${batch._id} enqueued ${queued} job(s), ${batch.totals.skipped} skipped`);
+  emitToTenant(batch.tenantId, 'skiptrace:bulk_progress', await getBatchProgress(batch));
+}
+
+/**
+ * Confirm a bulk skip trace: record the batch, then enqueue in the background
+ * @param {ObjectId} tenantId
+ * @param {ObjectId} userId
+ * @param {Object} filters
+ * @returns {Promise<Object>} { batch, summary }
+ */
+async function confirmBulkSkipTrace(tenantId, userId, filters = {}) {
+  const plan = await planBulkSkipTrace(tenantId, filters);
+
+  const batch = await SkipTraceBatch.create({
+    tenantId,
+    requestedBy: userId,
+    filters,
+    status: 'enqueuing',
+    totals: {
+      matched: plan.matched,
+      eligible: plan.eligible.length,
+      queued: 0,
+      skipped: plan.skipped.length,
+      duplicates: plan.duplicates
+    },
+    skipped: plan.skipped,
+    estimatedCost: plan.estimatedCost
+  });
+
+  const leadIds = plan.eligible.map(l => l._id);
+  setImmediate(() => {
+    enqueueBatch(batch, leadIds, userId).catch(err =>
+      console.error(`[SkipTraceBulk] Failed to enqueue batch ${batch._id}:`, err.message)
+    );
+  });
+
+  return {
+    batch,
+    summary: {
+      matched: plan.matched,
+      eligible: plan.eligible.length,
+      skipped: plan.skipped.length,
+      duplicates: plan.duplicates,
+      skippedByReason: plan.skippedByReason,
+      estimatedCost: plan.estimatedCost
+    }
+  };
+}
+
+module.exports = {
+  planBulkSkipTrace,
+  previewBulkSkipTrace,
+  confirmBulkSkipTrace,
+  enqueueBatch
+};
@@ -0,0 +1,632 @@
+// services/skipTraceQueueService.js
+// Durable, Mongo-backed skip trace queue
+//
+// - HTTP requests enqueue a SkipTraceJob and return immediately
+// - Workers lease jobs (lease expires so crashed workers don't strand jobs)
+// - Each provider is retried independently with exponential backoff
+// - Per-tenant concurrency and daily cost caps (Tenant.skipTrace, env defaults)
+// - Merged SkipTraceOrchestrator output is written back onto Lead.skipTrace
+
+const os = require('os');
+const mongoose = require('mongoose');
+const SkipTraceJob = require('../models/SkipTraceJob');
+const SkipTraceBatch = require('../models/SkipTraceBatch');
+const Lead = require('../models/Lead');
+const Tenant = require('../models/Tenant');
+const { orchestrator } = require('../utils/skiptrace');
+const { emitToTenant } = require('../utils/realtime');
+const {
+  markSkipTracePending,
+  applySkipTraceResult,
+  markSkipTraceFailed
+} = require('./skipTraceService');
+
+const LEASE_MS = parseInt(process.env.SKIPTRACE_LEASE_MS) || 5 * 60 * 1000;
+const RETRY_BASE_MS = parseInt(process.env.SKIPTRACE_RETRY_BASE_MS) || 30 * 1000;
+const RETRY_MAX_MS = parseInt(process.env.SKIPTRACE_RETRY_MAX_MS) || 60 * 60 * 1000;
+const MAX_ATTEMPTS_PER_PROVIDER = parseInt(process.env.SKIPTRACE_MAX_ATTEMPTS) || 3;
+const MAX_LEASES_PER_JOB = parseInt(process.env.SKIPTRACE_MAX_LEASES) || 10;
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.SKIPTRACE_PROVIDER_TIMEOUT_MS) || 30 * 1000;
+const DEFAULT_TENANT_CONCURRENCY = parseInt(process.env.SKIPTRACE_TENANT_CONCURRENCY) || 2;
+const DEFAULT_TENANT_DAILY_COST_CAP = parseFloat(process.env.SKIPTRACE_TENANT_DAILY_COST_CAP) || 0; // 0 = no cap
+const WORKER_INTERVAL_MS = parseInt(process.env.SKIPTRACE_WORKER_INTERVAL_MS) || 10 * 1000;
+const WORKER_BATCH_SIZE = parseInt(process.env.SKIPTRACE_WORKER_BATCH_SIZE) || 25;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const ACTIVE_STATUSES = ['queued', 'leased'];
+
+/**
+ * Exponential backoff for provider retries (capped)
+ * @param {number} attempts - Attempts made so far (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffMs(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_MS);
+}
+
+function startOfDay(date = new Date()) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Resolve effective queue limits for a tenant (tenant overrides, then env defaults)
+ * @param {Object|null} tenant - Tenant document (or lean object)
+ * @returns {Object} { maxConcurrentJobs, dailyCostCap, queuePaused }
+ */
+function getTenantLimits(tenant) {
+  const settings = tenant?.skipTrace || {};
+  return {
+    maxConcurrentJobs: settings.maxConcurrentJobs ?? DEFAULT_TENANT_CONCURRENCY,
+    dailyCostCap: settings.dailyCostCap ?? DEFAULT_TENANT_DAILY_COST_CAP,
+    queuePaused: !!settings.queuePaused
+  };
+}
+
+/**
+ * Summarize tenant spend today (actual cost of jobs started today)
+ * @param {ObjectId} tenantId - Optional tenant filter
+ * @returns {Promise<Map<string, number>>} tenantId -> dollars spent
+ */
+async function getSpendToday(tenantId = null) {
+  const match = { startedAt: { $gte: startOfDay() }, actualCost: { $gt: 0 } };
+  if (tenantId) match.tenantId = new mongoose.Types.ObjectId(tenantId.toString());
+
+  const rows = await SkipTraceJob.aggregate([
+    { $match: match },
+    { $group: { _id: '$tenantId', spent: { $sum: '$actualCost' } } }
+  ]);
+  return new Map(rows.map(r => [r._id.toString(), r.spent]));
+}
+
+/**
+ * Tenants that cannot lease another job right now (paused, at concurrency cap, or over cost cap)
+ * @param {Date} now
+ * @returns {Promise<Array<ObjectId>>}
+ */
+async function getBlockedTenantIds(now = new Date()) {
+  const [leased, spend, paused] = await Promise.all([
+    SkipTraceJob.aggregate([
+      { $match: { status: 'leased', leaseExpiresAt: { $gt: now } } },
+      { $group: { _id: '$tenantId', count: { $sum: 1 }, pendingCost: { $sum: '$estimatedCost' } } }
+    ]),
+    getSpendToday(),
+    Tenant.find({ 'skipTrace.queuePaused': true }).select('_id').lean()
+  ]);
+
+  const blocked = new Set(paused.map(t => t._id.toString()));
+
+  const tenantIds = new Set([...leased.map(r => r._id.toString()), ...spend.keys()]);
+  if (tenantIds.size === 0) {
+    return [...blocked];
+  }
+
+  const tenants = await Tenant.find({ _id: { $in: [...tenantIds] } }).select('skipTrace').lean();
+  const tenantsById = new Map(tenants.map(t => [t._id.toString(), t]));
+  const leasedById = new Map(leased.map(r => [r._id.toString(), r]));
+  const nextJobCost = orchestrator.estimateCost();
+
+  for (const id of tenantIds) {
+    const limits = getTenantLimits(tenantsById.get(id));
+    const running = leasedById.get(id);
+
+    if (running && running.count >= limits.maxConcurrentJobs) {
+      blocked.add(id);
+      continue;
+    }
+
+    if (limits.dailyCostCap > 0) {
+      const committed = (spend.get(id) || 0) + (running?.pendingCost || 0);
+      if (committed + nextJobCost > limits.dailyCostCap) {
+        blocked.add(id);
+      }
+    }
+  }
+
+  return [...blocked];
+}
+
+/**
+ * Enqueue a skip trace for a lead (idempotent while a job is active)
+ * @param {Object} lead - Lead document
+ * @param {Object} options - { userId, priority, batchId }
+ * @returns {Promise<Object>} { job, created }
+ */
+async function enqueueSkipTrace(lead, options = {}) {
+  if (lead.skipTraceLocked) {
+    throw new Error('Skip trace is locked. Only admin can unlock and re-run.');
+  }
+
+  const existing = await SkipTraceJob.findOne({ leadId: lead._id, status: { $in: ACTIVE_STATUSES } });
+  if (existing) {
+    return { job: existing, created: false };
+  }
+
+  const job = await SkipTraceJob.create({
+    tenantId: lead.tenantId,
+    leadId: lead._id,
+    requestedBy: options.userId || null,
+    batchId: options.batchId || null,
+    priority: options.priority || 0,
+    estimatedCost: orchestrator.estimateCost(),
+    maxAttemptsPerProvider: MAX_ATTEMPTS_PER_PROVIDER
+  });
+
+  await markSkipTracePending(lead, options.userId);
+
+  console.log(`[SkipTraceQueue] Queued job ${job._id} for lead ${lead._id}`);
+  emitToTenant(lead.tenantId, 'skiptrace:queued', { leadId: lead._id, jobId: job._id });
+
+  return { job, created: true };
+}
+
+/**
+ * Whether a just-leased job is within its tenant's concurrency cap
+ * Live leases are ranked by lease time (then _id); the job keeps its lease if fewer than the cap are ahead of it.
+ * @param {Object} job - Leased SkipTraceJob
+ * @param {Date} now
+ * @returns {Promise<boolean>}
+ */
+async function holdsConcurrencySlot(job, now) {
+  const tenant = await Tenant.findById(job.tenantId).select('skipTrace').lean();
+  const { maxConcurrentJobs } = getTenantLimits(tenant);
+  const ahead = await SkipTraceJob.countDocuments({
+    tenantId: job.tenantId,
+    status: 'leased',
+    $or: [
+      { leaseExpiresAt: { $gt: now, $lt: job.leaseExpiresAt } },
+      { leaseExpiresAt: job.leaseExpiresAt, _id: { $lt: job._id } }
+    ]
+  });
+  return ahead < maxConcurrentJobs;
+}
+
+/**
+ * Lease the next runnable job (queued and due, or leased with an expired lease)
+ * Tenant caps are read before leasing, so two workers can both take a tenant's last slot; the later
+ * lease is handed back and the worker moves on to another tenant.
+ * @param {string} workerId - Worker identifier
+ * @returns {Promise<Object|null>} Leased job or null
+ */
+async function leaseNextJob(workerId = WORKER_ID) {
+  const now = new Date();
+  const blockedTenantIds = await getBlockedTenantIds(now);
+
+  for (;;) {
+    const job = await SkipTraceJob.findOneAndUpdate(
+      {
+        tenantId: { $nin: blockedTenantIds },
+        $or: [
+          { status: 'queued', nextRunAt: { $lte: now } },
+          { status: 'leased', leaseExpiresAt: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'leased',
+          leasedBy: workerId,
+          leaseExpiresAt: new Date(now.getTime() + LEASE_MS)
+        },
+        $inc: { leaseCount: 1 }
+      },
+      { sort: { priority: -1, nextRunAt: 1 }, new: true }
+    );
+    if (!job || await holdsConcurrencySlot(job, now)) {
+      return job;
+    }
+
+    await SkipTraceJob.updateOne(
+      { _id: job._id, leasedBy: workerId },
+      { $set: { status: 'queued', leasedBy: null, leaseExpiresAt: null }, $inc: { leaseCount: -1 } }
+    );
+    blockedTenantIds.push(job.tenantId.toString());
+  }
+}
+
+function releaseLease(job) {
+  job.leasedBy = null;
+  job.leaseExpiresAt = null;
+}
+
+/**
+ * Batch progress from job status counts (read only)
+ * @param {Object} batch - SkipTraceBatch (document or lean)
+ * @returns {Promise<Object>} Progress snapshot
+ */
+async function getBatchProgress(batch) {
+  const rows = await SkipTraceJob.aggregate([
+    { $match: { batchId: batch._id } },
+    { $group: { _id: '$status', count: { $sum: 1 }, cost: { $sum: '$actualCost' } } }
+  ]);
+
+  const counts = { queued: 0, leased: 0, completed: 0, failed: 0, cancelled: 0 };
+  let actualCost = 0;
+  for (const row of rows) {
+    counts[row._id] = row.count;
+    actualCost += row.cost || 0;
+  }
+
+  return {
+    batchId: batch._id,
+    status: batch.status,
+    total: batch.totals.queued,
+    finished: counts.completed + counts.failed + counts.cancelled,
+    counts,
+    actualCost,
+    estimatedCost: batch.estimatedCost
+  };
+}
+
+/**
+ * Record batch progress after a job settles; marks the batch completed once every queued job has settled
+ * Emits skiptrace:bulk_progress to the tenant room when the finished count moves forward. Workers settling
+ * jobs at the same time race on the recorded count, so each snapshot is emitted once.
+ * @param {ObjectId} batchId - SkipTraceBatch ID
+ * @returns {Promise<Object|null>} Progress snapshot
+ */
+async function updateBatchProgress(batchId) {
+  const batch = await SkipTraceBatch.findById(batchId);
+  if (!batch) return null;
+
+  const progress = await getBatchProgress(batch);
+  const update = { progressFinished: progress.finished };
+  if (batch.status === 'running' && progress.finished >= batch.totals.queued) {
+    update.status = 'completed';
+    update.completedAt = new Date();
+    progress.status = 'completed';
+  }
+
+  const { modifiedCount } = await SkipTraceBatch.updateOne(
+    { _id: batch._id, progressFinished: { $lt: progress.finished } },
+    { $set: update }
+  );
+  if (modifiedCount > 0) {
+    emitToTenant(batch.tenantId, 'skiptrace:bulk_progress', progress);
+  }
+  return progress;
+}
+
+function emitJobUpdate(job) {
+  emitToTenant(job.tenantId, 'skiptrace:job_updated', {
+    jobId: job._id,
+    leadId: job.leadId,
+    batchId: job.batchId,
+    status: job.status,
+    resultSummary: job.resultSummary,
+    lastError: job.lastError
+  });
+
+  if (job.batchId && !['queued', 'leased'].includes(job.status)) {
+    updateBatchProgress(job.batchId).catch(err =>
+      console.error(`[SkipTraceQueue] Failed to update batch ${job.batchId} progress:`, err.message)
+    );
+  }
+}
+
+async function failJob(job, message, lead = null) {
+  job.status = 'failed';
+  job.lastError = message;
+  job.completedAt = new Date();
+  releaseLease(job);
+  await job.save();
+
+  if (lead) {
+    await markSkipTraceFailed(lead, message, job.requestedBy);
+  }
+
+  emitJobUpdate(job);
+  return job;
+}
+
+/**
+ * Run one leased job: call each due provider, schedule retries, and finalize when all providers settle
+ * @param {Object} job - Leased SkipTraceJob document
+ * @returns {Promise<Object>} Updated job
+ */
+async function processJob(job) {
+  const lead = await Lead.findById(job.leadId);
+  if (!lead) {
+    return failJob(job, 'Lead not found');
+  }
+
+  if (job.leaseCount > MAX_LEASES_PER_JOB) {
+    return failJob(job, `Exceeded ${MAX_LEASES_PER_JOB} lease attempts`, lead);
+  }
+
+  if (!job.startedAt) {
+    job.startedAt = new Date();
+  }
+
+  // Snapshot enabled providers on first run so retries target the same set
+  if (!job.providers || job.providers.length === 0) {
+    job.providers = orchestrator.getEnabledProviders().map(provider => ({ provider: provider.getName() }));
+  }
+
+  for (const run of job.providers) {
+    if (run.status !== 'pending') continue;
+    if (run.nextRetryAt && run.nextRetryAt > new Date()) continue;
+
+    const provider = orchestrator.getProvider(run.provider);
+    if (!provider) {
+      run.status = 'failed';
+      run.lastError = 'Provider no longer enabled';
+      continue;
+    }
+
+    run.attempts += 1;
+    try {
+      const result = await orchestrator.runProvider(provider, lead, PROVIDER_TIMEOUT_MS);
+      run.status = 'succeeded';
+      run.result = result || {};
+      run.cost = provider.getCostPerLookup();
+      run.completedAt = new Date();
+      run.nextRetryAt = null;
+      job.actualCost = (job.actualCost || 0) + run.cost;
+    } catch (err) {
+      run.lastError = err.message;
+      if (run.attempts >= job.maxAttemptsPerProvider) {
+        run.status = 'failed';
+        console.error(`[SkipTraceQueue] Provider ${run.provider} failed permanently for job ${job._id}:`, err.message);
+      } else {
+        run.nextRetryAt = new Date(Date.now() + getBackoffMs(run.attempts));
+        console.warn(`[SkipTraceQueue] Provider ${run.provider} attempt ${run.attempts} failed for job ${job._id}, retrying at ${run.nextRetryAt.toISOString()}:`, err.message);
+      }
+    }
+  }
+  job.markModified('providers');
+
+  // Some providers are still waiting on a retry - requeue for the earliest one
+  const waiting = job.providers.filter(run => run.status === 'pending');
+  if (waiting.length > 0) {
+    const nextRetry = Math.min(...waiting.map(run => (run.nextRetryAt ? run.nextRetryAt.getTime() : Date.now())));
+    job.status = 'queued';
+    job.nextRunAt = new Date(nextRetry);
+    releaseLease(job);
+    await job.save();
+    emitJobUpdate(job);
+    return job;
+  }
+
+  const failed = job.providers.filter(run => run.status === 'failed');
+  const withData = job.providers.filter(run => run.status === 'succeeded' && orchestrator.hasData(run.result));
+
+  if (withData.length === 0 && failed.length > 0) {
+    const message = failed.map(run => `${run.provider}: ${run.lastError}`).join('; ');
+    return failJob(job, message, lead);
+  }
+
+  const merged = orchestrator.mergeResults(
+    withData.map(run => run.result),
+    withData.map(run => run.provider)
+  );
+  await applySkipTraceResult(lead, merged, job.requestedBy, { cost: job.actualCost });
+
+  job.status = 'completed';
+  job.completedAt = new Date();
+  job.lastError = failed.length > 0
+    ? failed.map(run => `${run.provider}: ${run.lastError}`).join('; ')
+    : null;
+  job.resultSummary = {
+    status: lead.skipTrace.status,
+    phonesFound: merged.phones.length,
+    emailsFound: merged.emails.length,
+    confidenceScore: merged.confidenceScore,
+    sources: merged.skipTraceSources
+  };
+  releaseLease(job);
+  await job.save();
+
+  console.log(`[SkipTraceQueue] Job ${job._id} completed — status: ${job.resultSummary.status}, cost: $${job.actualCost.toFixed(2)}`);
+  emitJobUpdate(job);
+  return job;
+}
+
+/**
+ * Lease and process jobs until the queue has nothing runnable (or maxJobs reached)
+ * @param {Object} options - { workerId, maxJobs }
+ * @returns {Promise<Object>} { processed, failed }
+ */
+async function runWorkerCycle(options = {}) {
+  const workerId = options.workerId || WORKER_ID;
+  const maxJobs = options.maxJobs || WORKER_BATCH_SIZE;
+  let processed = 0;
+  let failed = 0;
+
+  while (processed < maxJobs) {
+    const job = await leaseNextJob(workerId);
+    if (!job) break;
+
+    try {
+      await processJob(job);
+    } catch (err) {
+      // Unexpected error (DB, scoring) - put the job back with backoff rather than losing it
+      failed++;
+      console.error(`[SkipTraceQueue] Error processing job ${job._id}:`, err.message);
+      try {
+        job.status = 'queued';
+        job.lastError = err.message;
+        job.nextRunAt = new Date(Date.now() + getBackoffMs(job.leaseCount));
+        releaseLease(job);
+        await job.save();
+      } catch (saveErr) {
+        console.error(`[SkipTraceQueue] Failed to requeue job ${job._id}:`, saveErr.message);
+      }
+    }
+    processed++;
+  }
+
+  return { processed, failed };
+}
+
+let workerTimer = null;
+let cycleRunning = false;
+
+/**
+ * Start in-process queue worker (polls every SKIPTRACE_WORKER_INTERVAL_MS)
+ * Disable with SKIPTRACE_WORKER_ENABLED=false (e.g. when running jobs/runSkiptraceQueue.js separately)
+ */
+function startSkipTraceWorker() {
+  if (process.env.SKIPTRACE_WORKER_ENABLED === 'false') {
+    console.log('[SkipTraceQueue] Worker disabled (SKIPTRACE_WORKER_ENABLED=false)');
+    return;
+  }
+  if (workerTimer) return;
+
+  console.log(`[SkipTraceQueue] Starting worker ${WORKER_ID} - polling every ${WORKER_INTERVAL_MS}ms`);
+
+  workerTimer = setInterval(async () => {
+    if (cycleRunning) return;
+    cycleRunning = true;
+    try {
+      const { processed } = await runWorkerCycle();
+      if (processed > 0) {
+        console.log(`[SkipTraceQueue] Worker cycle processed ${processed} job(s)`);
+      }
+    } catch (err) {
+      console.error('[SkipTraceQueue] Worker cycle error:', err.message);
+    } finally {
+      cycleRunning = false;
+    }
+  }, WORKER_INTERVAL_MS);
+}
+
+function stopSkipTraceWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * Queue overview for a tenant (status counts, spend, limits)
+ * @param {ObjectId} tenantId
+ * @returns {Promise<Object>}
+ */
+async function getQueueSummary(tenantId) {
+  const [counts, spend, tenant] = await Promise.all([
+    SkipTraceJob.aggregate([
+      { $match: { tenantId: new mongoose.Types.ObjectId(tenantId.toString()) } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    getSpendToday(tenantId),
+    Tenant.findById(tenantId).select('skipTrace').lean()
+  ]);
+
+  const byStatus = { queued: 0, leased: 0, completed: 0, failed: 0, cancelled: 0 };
+  for (const row of counts) {
+    byStatus[row._id] = row.count;
+  }
+
+  return {
+    counts: byStatus,
+    spentToday: spend.get(tenantId.toString()) || 0,
+    estimatedCostPerLead: orchestrator.estimateCost(),
+    limits: getTenantLimits(tenant)
+  };
+}
+
+/**
+ * Pause or resume leasing for a tenant's queue (running jobs finish)
+ */
+async function setTenantQueuePaused(tenantId, paused, userId) {
+  const update = paused
+    ? { 'skipTrace.queuePaused': true, 'skipTrace.pausedAt': new Date(), 'skipTrace.pausedBy': userId }
+    : { 'skipTrace.queuePaused': false, 'skipTrace.pausedAt': null, 'skipTrace.pausedBy': null };
+
+  const tenant = await Tenant.findByIdAndUpdate(tenantId, update, { new: true });
+  if (!tenant) {
+    throw new Error('Tenant not found');
+  }
+
+  console.log(`[SkipTraceQueue] Tenant ${tenantId} queue ${paused ? 'paused' : 'resumed'}`);
+  emitToTenant(tenantId, 'skiptrace:queue_state', { paused });
+  return getTenantLimits(tenant);
+}
+
+/**
+ * Retry a failed/cancelled job, or run a queued job's pending retries now
+ * @param {Object} job - SkipTraceJob document
+ * @returns {Promise<Object>} Updated job
+ */
+async function retryJob(job) {
+  if (!['queued', 'failed', 'cancelled'].includes(job.status)) {
+    throw new Error(`Cannot retry job with status ${job.status}`);
+  }
+
+  const restarting = job.status !== 'queued';
+  if (restarting) {
+    const lead = await Lead.findById(job.leadId);
+    if (!lead) {
+      throw new Error('Lead not found');
+    }
+    if (lead.skipTraceLocked) {
+      throw new Error('Skip trace is locked. Only admin can unlock and re-run.');
+    }
+    await markSkipTracePending(lead, job.requestedBy);
+  }
+
+  // Failed providers get a fresh set of attempts; succeeded results are kept
+  for (const run of job.providers || []) {
+    if (run.status === 'failed') {
+      run.status = 'pending';
+      run.attempts = 0;
+    }
+    run.nextRetryAt = null;
+  }
+  job.markModified('providers');
+
+  job.status = 'queued';
+  job.nextRunAt = new Date();
+  job.leaseCount = 0;
+  job.lastError = null;
+  job.completedAt = null;
+  releaseLease(job);
+  await job.save();
+
+  emitJobUpdate(job);
+  return job;
+}
+
+/**
+ * Cancel a queued job
+ * @param {Object} job - SkipTraceJob document
+ * @param {ObjectId} userId - Admin cancelling the job
+ * @returns {Promise<Object>} Updated job
+ */
+async function cancelJob(job, userId) {
+  if (job.status !== 'queued') {
+    throw new Error(`Cannot cancel job with status ${job.status}`);
+  }
+
+  job.status = 'cancelled';
+  job.cancelledBy = userId;
+  job.completedAt = new Date();
+  releaseLease(job);
+  await job.save();
+
+  await Lead.updateOne(
+    { _id: job.leadId, 'skipTrace.status': 'pending' },
+    { $set: { 'skipTrace.status': 'failed', 'skipTrace.notes': 'Skip trace cancelled by admin' } }
+  );
+
+  emitJobUpdate(job);
+  return job;
+}
+
+module.exports = {
+  enqueueSkipTrace,
+  leaseNextJob,
+  processJob,
+  runWorkerCycle,
+  startSkipTraceWorker,
+  stopSkipTraceWorker,
+  getQueueSummary,
+  getTenantLimits,
+  setTenantQueuePaused,
+  retryJob,
+  cancelJob,
+  getBatchProgress,
+  updateBatchProgress,
+  getBackoffMs
+};
@@ -0,0 +1,349 @@
+// services/slaMonitorService.js
+// SLA breach monitor + tiered escalation for routed leads
+//
+// applyRoutingActions sets routing.sla.dueAt (routedAt + slaHours). The SLA is met by:
+// - immediate_closer: a closer action (offer/contract sent, info requested, handoff moved on)
+// - dialer_priority / nurture: intake completed or handoff sent to closer
+//
+// Breaches are recorded once as a KpiEvent (sla_breached), then escalate in tiers as they age.
+// All tiers are deferred during the tenant's routing quiet hours:
+// 1. Notification to the assignee (routing.assignedTo)
+// 2. Tenant managers via emitToRole
+// 3. SMS alert via utils/sms (if the SMS alert channel is enabled)
+
+const Lead = require('../models/Lead');
+const KpiEvent = require('../models/KpiEvent');
+const User = require('../models/user');
+const { getRoutingConfig, isQuietHours } = require('../config/routingConfig');
+const { createNotification } = require('./notificationService');
+const { emitToRole } = require('../utils/realtime');
+const { sendSlaEscalationAlert } = require('../utils/sms');
+
+const MANAGER_ESCALATION_MINUTES = parseInt(process.env.ROUTING_SLA_MANAGER_ESCALATION_MINUTES) || 60;
+const SMS_ESCALATION_MINUTES = parseInt(process.env.ROUTING_SLA_SMS_ESCALATION_MINUTES) || 120;
+const BATCH_SIZE = parseInt(process.env.ROUTING_SLA_MONITOR_BATCH_SIZE) || 200;
+
+const SLA_ROUTES = ['immediate_closer', 'dialer_priority', 'nurture'];
+const MAX_ESCALATION_LEVEL = 3;
+
+// Handoff statuses that mean a closer has picked the lead up (or it was closed out)
+const CLOSER_ACTION_STATUSES = ['closer_review', 'back_to_dialer', 'offer_sent', 'contract_sent', 'under_contract', 'dead'];
+
+function earliest(dates) {
+  const valid = dates.filter(Boolean).map(d => new Date(d)).filter(d => !isNaN(d.getTime()));
+  if (valid.length === 0) return null;
+  return new Date(Math.min(...valid.map(d => d.getTime())));
+}
+
+/**
+ * When the action that satisfies the lead's SLA happened
+ * @param {Object} lead
+ * @returns {Date|null} Action time (null if no qualifying action yet)
+ */
+function getSlaActionAt(lead) {
+  const route = lead.routing?.route;
+
+  if (route === 'immediate_closer') {
+    const actionAt = earliest([
+      lead.closer?.offerSentAt,
+      lead.closer?.contractSentAt,
+      lead.closer?.underContractAt,
+      lead.handoff?.closerRequestedInfoAt
+    ]);
+    if (actionAt) return actionAt;
+    // Status moved on without a timestamped action - best available time
+    return CLOSER_ACTION_STATUSES.includes(lead.handoff?.status) ? (lead.updatedAt || null) : null;
+  }
+
+  const actionAt = earliest([
+    lead.dialerIntake?.intakeCompletedAt,
+    lead.handoff?.sentToCloserAt
+  ]);
+  if (actionAt) return actionAt;
+  return lead.handoff?.status === 'dead' ? (lead.updatedAt || null) : null;
+}
+
+/**
+ * Evaluate a lead's SLA
+ * @param {Object} lead
+ * @param {Date} now
+ * @returns {Object} { status: 'none'|'pending'|'met'|'breached', dueAt?, actionAt?, overdueMinutes? }
+ */
+function evaluateSla(lead, now = new Date()) {
+  const dueAt = lead.routing?.sla?.dueAt ? new Date(lead.routing.sla.dueAt) : null;
+  if (!dueAt || !SLA_ROUTES.includes(lead.routing?.route)) {
+    return { status: 'none' };
+  }
+
+  const actionAt = getSlaActionAt(lead);
+  if (actionAt) {
+    return {
+      status: actionAt <= dueAt ? 'met' : 'breached',
+      dueAt,
+      actionAt,
+      overdueMinutes: Math.max(Math.round((actionAt - dueAt) / 60000), 0)
+    };
+  }
+
+  if (now > dueAt) {
+    return { status: 'breached', dueAt, actionAt: null, overdueMinutes: Math.round((now - dueAt) / 60000) };
+  }
+
+  return { status: 'pending', dueAt, actionAt: null };
+}
+
+/**
+ * Highest escalation tier due for an open breach
+ * @param {Number} overdueMinutes
+ * @returns {Number} 1-3
+ */
+function getDueEscalationLevel(overdueMinutes) {
+  if (overdueMinutes >= SMS_ESCALATION_MINUTES) return 3;
+  if (overdueMinutes >= MANAGER_ESCALATION_MINUTES) return 2;
+  return 1;
+}
+
+/**
+ * Record a breach as a KPI event (once per routed SLA)
+ */
+async function recordBreach(lead, evaluation, now) {
+  const routing = lead.routing || {};
+  try {
+    await KpiEvent.create({
+      userId: routing.assignedTo || null,
+      role: routing.route === 'immediate_closer' ? 'closer' : 'dialer',
+      leadId: lead._id,
+      eventType: 'sla_breached',
+      metadata: {
+        tenantId: lead.tenantId,
+        route: routing.route,
+        priorityLevel: routing.priorityLevel,
+        grade: lead.leadScore?.grade || 'Dead',
+        slaHours: routing.slaHours,
+        routedAt: routing.routedAt,
+        dueAt: evaluation.dueAt,
+        detectedAt: now,
+        lateActionAt: evaluation.actionAt || null,
+        overdueMinutes: evaluation.overdueMinutes,
+        assignedTo: routing.assignedTo || null
+      }
+    });
+  } catch (err) {
+    console.error(`[SLA Monitor] Failed to log breach KPI for lead ${lead._id}:`, err.message);
+  }
+}
+
+/**
+ * Atomically mark the SLA breached; returns true for the caller that set it
+ */
+async function markBreached(lead, now) {
+  const result = await Lead.updateOne(
+    { _id: lead._id, 'routing.sla.breachedAt': null },
+    { $set: { 'routing.sla.breachedAt': now } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Atomically claim an escalation tier (prevents double sends across instances)
+ */
+async function claimEscalation(lead, level, channel, recipients, now) {
+  const result = await Lead.updateOne(
+    { _id: lead._id, 'routing.sla.escalationLevel': level - 1 },
+    {
+      $set: { 'routing.sla.escalationLevel': level, 'routing.sla.lastEscalatedAt': now },
+      $push: { 'routing.sla.escalations': { level, channel, recipients, at: now } }
+    }
+  );
+  return result.modifiedCount === 1;
+}
+
+function buildBreachPayload(lead, evaluation) {
+  return {
+    leadId: lead._id,
+    ownerName: lead.ownerName,
+    propertyAddress: lead.propertyAddress,
+    route: lead.routing?.route,
+    priorityLevel: lead.routing?.priorityLevel,
+    grade: lead.leadScore?.grade || 'Dead',
+    slaHours: lead.routing?.slaHours,
+    dueAt: evaluation.dueAt,
+    overdueMinutes: evaluation.overdueMinutes,
+    assignedTo: lead.routing?.assignedTo || null
+  };
+}
+
+/**
+ * Run one escalation tier for a breached lead
+ * @returns {Promise<Boolean>} True if this caller claimed the tier
+ */
+async function escalate(lead, level, evaluation, config, now) {
+  const assignedTo = lead.routing?.assignedTo;
+  const address = lead.propertyAddress || lead.mailingAddress || 'Unknown address';
+  const overdueHours = Math.round(evaluation.overdueMinutes / 6) / 10;
+
+  if (level === 1) {
+    const recipients = assignedTo ? [assignedTo.toString()] : [];
+    if (!(await claimEscalation(lead, 1, 'notification', recipients, now))) return false;
+    if (assignedTo) {
+      await createNotification({
+        userId: assignedTo,
+        tenantId: lead.tenantId,
+        type: 'sla_breach',
+        title: 'SLA Breached',
+        message: `${lead.routing?.route} lead is ${overdueHours}h past its ${lead.routing?.slaHours}h SLA: ${address}`,
+        entityType: 'lead',
+        entityId: lead._id,
+        priority: 'high'
+      });
+    }
+    return true;
+  }
+
+  if (level === 2) {
+    if (!(await claimEscalation(lead, 2, 'role', ['role:manager'], now))) return false;
+    emitToRole('manager', 'routing:sla_breach', buildBreachPayload(lead, evaluation), lead.tenantId);
+    return true;
+  }
+
+  const smsEnabled = config.alertChannels?.sms !== false;
+  const recipients = smsEnabled && process.env.ALERT_PHONE_NUMBER ? [process.env.ALERT_PHONE_NUMBER] : [];
+  if (!(await claimEscalation(lead, 3, 'sms', recipients, now))) return false;
+  if (smsEnabled) {
+    const assignee = assignedTo ? await User.findById(assignedTo).select('name email').lean() : null;
+    await sendSlaEscalationAlert(lead, {
+      overdueMinutes: evaluation.overdueMinutes,
+      assigneeName: assignee?.name || assignee?.email
+    });
+  }
+  return true;
+}
+
+/**
+ * Check one past-due lead: close met SLAs, record new breaches, escalate open ones
+ * @returns {Promise<String>} 'met' | 'escalated' | 'deferred' | 'unchanged'
+ */
+async function processLead(lead, now) {
+  const evaluation = evaluateSla(lead, now);
+  const sla = lead.routing?.sla || {};
+
+  if (evaluation.status === 'none' || evaluation.status === 'pending') {
+    return 'unchanged';
+  }
+
+  // Breach detected (possibly after the fact - late action since the last run)
+  if (evaluation.status === 'breached' && !sla.breachedAt) {
+    if (await markBreached(lead, now)) {
+      await recordBreach(lead, evaluation, now);
+    }
+  }
+
+  // Any qualifying action closes the SLA (late actions still count as breached)
+  if (evaluation.actionAt) {
+    await Lead.updateOne({ _id: lead._id }, { $set: { 'routing.sla.metAt': evaluation.actionAt } });
+    return 'met';
+  }
+
+  const config = await getRoutingConfig(lead.tenantId);
+  if (isQuietHours(config.quietHours, now)) {
+    return 'deferred';
+  }
+
+  const targetLevel = getDueEscalationLevel(evaluation.overdueMinutes);
+  let escalated = false;
+  for (let level = (sla.escalationLevel || 0) + 1; level <= targetLevel; level++) {
+    if (!(await escalate(lead, level, evaluation, config, now))) break;
+    escalated = true;
+  }
+
+  if (escalated) {
+    console.log(`[SLA Monitor] Lead ${lead._id} escalated to level ${targetLevel} (${evaluation.overdueMinutes} min overdue)`);
+  }
+  return escalated ? 'escalated' : 'unchanged';
+}
+
+/**
+ * Scan for past-due SLAs and escalate
+ * @param {Object} options - { now?: Date, limit?: Number }
+ * @returns {Promise<Object>} Run summary
+ */
+async function checkSlaBreaches(options = {}) {
+  const now = options.now || new Date();
+  const summary = { checked: 0, met: 0, escalated: 0, deferred: 0, errors: 0 };
+
+  const leads = await Lead.find({
+    'routing.route': { $in: SLA_ROUTES },
+    'routing.sla.dueAt': { $lte: now },
+    'routing.sla.metAt': null,
+    'routing.sla.escalationLevel': { $lt: MAX_ESCALATION_LEVEL }
+  })
+    .select('tenantId ownerName propertyAddress mailingAddress leadScore.grade routing handoff closer dialerIntake.intakeCompletedAt updatedAt')
+    .sort({ 'routing.sla.dueAt': 1 })
+    .limit(options.limit || BATCH_SIZE)
+    .lean();
+
+  for (const lead of leads) {
+    summary.checked++;
+    try {
+      const outcome = await processLead(lead, now);
+      if (outcome in summary) summary[outcome]++;
+    } catch (err) {
+      summary.errors++;
+      console.error(`[SLA Monitor] Failed to process lead ${lead._id}:`, err.message);
+    }
+  }
+
+  if (summary.checked > 0) {
+    console.log(`[SLA Monitor] Checked ${summary.checked}: ${summary.met} met, ${summary.escalated} escalated, ${summary.deferred} deferred (quiet hours), ${summary.errors} errors`);
+  }
+  return summary;
+}
+
+/**
+ * SLA attainment for a set of routed leads
+ * @param {Array} leads - Leads with routing/handoff/closer/dialerIntake (routing.assignedTo may be populated)
+ * @param {Set<string>} breachedLeadIds - Leads with a recorded sla_breached KPI event
+ * @param {Date} now
+ * @returns {Object} { overall, byRoute, byUser }
+ */
+function summarizeSlaAttainment(leads, breachedLeadIds = new Set(), now = new Date()) {
+  const empty = () => ({ total: 0, met: 0, breached: 0, pending: 0, attainment: null });
+  const overall = empty();
+  const byRoute = {};
+  const byUser = {};
+
+  for (const lead of leads) {
+    const evaluation = evaluateSla(lead, now);
+    if (evaluation.status === 'none') continue;
+
+    const status = breachedLeadIds.has(lead._id.toString()) ? 'breached' : evaluation.status;
+    const route = lead.routing.route;
+    const assignee = lead.routing.assignedTo;
+    const userKey = assignee?._id?.toString() || assignee?.toString() || 'unassigned';
+
+    byRoute[route] = byRoute[route] || empty();
+    if (!byUser[userKey]) {
+      byUser[userKey] = { ...empty(), name: assignee?.name || assignee?.email || null };
+    }
+
+    for (const bucket of [overall, byRoute[route], byUser[userKey]]) {
+      bucket.total++;
+      bucket[status]++;
+    }
+  }
+
+  for (const bucket of [overall, ...Object.values(byRoute), ...Object.values(byUser)]) {
+    const resolved = bucket.met + bucket.breached;
+    bucket.attainment = resolved > 0 ? Math.round((bucket.met / resolved) * 100) : null; // percentage
+  }
+
+  return { overall, byRoute, byUser };
+}
+
+module.exports = {
+  checkSlaBreaches,
+  evaluateSla,
+  getSlaActionAt,
+  getDueEscalationLevel,
+  summarizeSlaAttainment
+};
@@ -0,0 +1,98 @@
+// services/smsNumberRoutingService.js
+// Twilio numbers -> tenants. Inbound texts and status callbacks are processed in the tenant that owns
+// the number they were sent to (Tenant.sms.phoneNumbers); outbound texts go out from the tenant's number.
+
+const Tenant = require('../models/Tenant');
+const { normalizePhone } = require('../utils/smsBlast');
+
+/**
+ * Tenant owning a Twilio number
+ * Order: Tenant.sms.phoneNumbers, then the legacy TWILIO_INBOUND_TENANT_ID.
+ * @param {String} to - The number the text was sent to (Twilio `To`)
+ * @returns {Promise<{ tenantId?: String, reason?: 'no_match'|'ambiguous', candidateTenantIds?: String[] }>}
+ */
+async function resolveTenantForNumber(to) {
+  const number = normalizePhone(to);
+  const matches = number
+    ? await Tenant.find({ 'sms.phoneNumbers': number }).select('_id').lean()
+    : [];
+
+  if (matches.length === 1) {
+    return { tenantId: matches[0]._id.toString() };
+  }
+  if (matches.length > 1) {
+    return { reason: 'ambiguous', candidateTenantIds: matches.map(t => t._id.toString()) };
+  }
+  // Deprecated single-tenant setup: every number belongs to one tenant
+  if (process.env.TWILIO_INBOUND_TENANT_ID) {
+    return { tenantId: process.env.TWILIO_INBOUND_TENANT_ID };
+  }
+  return { reason: 'no_match' };
+}
+
+/**
+ * Number a tenant texts from: its first registered number (null = the provider's default number)
+ * @returns {Promise<String|null>}
+ */
+async function getTenantSmsNumber(tenantId) {
+  if (!tenantId) return null;
+  const tenant = await Tenant.findById(tenantId).select('sms').lean();
+  return tenant?.sms?.phoneNumbers?.[0] || null;
+}
+
+// ---- Tenant SMS settings (admin) ----
+
+function toSettings(tenant) {
+  return {
+    tenantId: tenant._id,
+    phoneNumbers: tenant.sms?.phoneNumbers || []
+  };
+}
+
+/**
+ * Twilio numbers routed to a tenant
+ */
+async function getSmsSettings(tenantId) {
+  const tenant = await Tenant.findById(tenantId).select('sms').lean();
+  if (!tenant) return { success: false, notFound: true };
+  return { success: true, data: toSettings(tenant) };
+}
+
+/**
+ * Replace the Twilio numbers routed to a tenant. The first one is the tenant's outbound number.
+ * A number can belong to only one tenant.
+ * @param {String[]} phoneNumbers
+ */
+async function setSmsNumbers(tenantId, phoneNumbers) {
+  if (!Array.isArray(phoneNumbers)) {
+    return { success: false, error: 'phoneNumbers must be an array' };
+  }
+  const invalid = phoneNumbers.filter(n => !normalizePhone(typeof n === 'string' ? n : ''));
+  if (invalid.length) {
+    return { success: false, error: `Invalid phone number: ${invalid.join(', ')}` };
+  }
+  const normalized = [...new Set(phoneNumbers.map(normalizePhone))];
+
+  const tenant = await Tenant.findById(tenantId);
+  if (!tenant) return { success: false, notFound: true };
+
+  if (normalized.length) {
+    const conflict = await Tenant.findOne({ _id: { $ne: tenant._id }, 'sms.phoneNumbers': { $in: normalized } })
+      .select('name sms.phoneNumbers').lean();
+    if (conflict) {
+      const taken = normalized.filter(n => conflict.sms.phoneNumbers.includes(n));
+      return { success: false, conflict: true, error: `Number already routed to tenant ${conflict.name}: ${taken.join(', ')}` };
+    }
+  }
+
+  tenant.set('sms.phoneNumbers', normalized);
+  await tenant.save();
+  return { success: true, data: toSettings(tenant) };
+}
+
+module.exports = {
+  resolveTenantForNumber,
+  getTenantSmsNumber,
+  getSmsSettings,
+  setSmsNumbers
+};
@@ -0,0 +1,148 @@
+// services/smsOptOutService.js
+// SMS do-not-contact list (models/SmsOptOut.js): opt-out / opt-in keywords from inbound texts,
+// suppression of numbers carriers reject, and the check every outbound SMS path runs before sending.
+// Entries are per tenant; an entry without a tenant applies to every tenant.
+
+const SmsOptOut = require('../models/SmsOptOut');
+const { normalizePhone } = require('../utils/smsBlast');
+
+// Opt out when one of these appears anywhere in the reply ("Stop texting me", "please unsubscribe")
+const OPT_OUT_WORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE'];
+// ...or when the whole reply is one of these (sellers say "end" and "cancel" in normal conversation)
+const OPT_OUT_REPLIES = ['CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT', 'OPT OUT'];
+const OPT_IN_REPLIES = ['START', 'UNSTOP'];
+
+// Twilio error codes meaning the number can't take texts (invalid, landline, unknown handset, or
+// unsubscribed at Twilio): suppressed on the first failure
+const PERMANENT_FAILURE_CODES = ['21211', '21610', '21614', '30005', '30006'];
+// Unreachable handset / blocked: suppressed after this many failures without a delivery in between
+const TRANSIENT_FAILURE_CODES = ['30003', '30004'];
+const SUPPRESS_AFTER_FAILURES = parseInt(process.env.SMS_SUPPRESS_AFTER_FAILURES) || 3;
+
+/**
+ * Classify an inbound text as an opt-out or opt-in keyword
+ * @param {string} body - SMS body
+ * @returns {'opt_out'|'opt_in'|null}
+ */
+function parseOptKeyword(body) {
+  const text = String(body || '').toUpperCase().replace(/[^A-Z]+/g, ' ').trim();
+  if (!text) return null;
+  const words = text.split(' ');
+  if (words.some(word => OPT_OUT_WORDS.includes(word)) || OPT_OUT_REPLIES.includes(text)) {
+    return 'opt_out';
+  }
+  if (OPT_IN_REPLIES.includes(text)) {
+    return 'opt_in';
+  }
+  return null;
+}
+
+/**
+ * Whether a number is on a tenant's do-not-contact list (or on the list for every tenant)
+ * @param {string} phone - Phone in any format
+ * @param {ObjectId|string|null} tenantId - Sending tenant; without one, any tenant's entry counts
+ * @returns {Promise<boolean>}
+ */
+async function isSmsOptedOut(phone, tenantId = null) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return false;
+  const filter = { phone: normalized, active: true };
+  if (tenantId) filter.tenantId = { $in: [tenantId, null] };
+  return !!(await SmsOptOut.exists(filter));
+}
+
+/**
+ * Put a number on a tenant's do-not-contact list (re-activates an earlier entry)
+ * @param {Object} params - { phone, source: sms_keyword | manual, tenantId? (null = every tenant), leadId?, keyword?, addedBy? }
+ * @returns {Promise<Object|null>} SmsOptOut entry (null when the phone can't be normalized)
+ */
+async function recordOptOut({ phone, source, tenantId = null, leadId = null, keyword = null, addedBy = null }) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  return SmsOptOut.findOneAndUpdate(
+    { tenantId, phone: normalized },
+    {
+      $set: {
+        active: true,
+        source,
+        leadId,
+        keyword: keyword ? keyword.substring(0, 100) : null,
+        addedBy,
+        optedOutAt: new Date(),
+        optedInAt: null
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Take a number off the list of the tenant it texted START to. The entry is kept (inactive) as the
+ * consent record; other tenants' entries stay active.
+ * @param {string} phone - Phone in any format
+ * @param {ObjectId|string|null} tenantId - Tenant that received the START (null = the every-tenant entry)
+ * @returns {Promise<Object|null>} Updated entry, or null when the number wasn't opted out
+ */
+async function recordOptIn(phone, tenantId = null) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  return SmsOptOut.findOneAndUpdate(
+    { tenantId, phone: normalized, active: true },
+    { $set: { active: false, optedInAt: new Date(), 'carrierFailures.count': 0 } },
+    { new: true }
+  );
+}
+
+/**
+ * Count a carrier delivery failure; suppress the number for the sending tenant once the error code says so
+ * @param {Object} params - { phone, errorCode, tenantId? (null = every tenant) }
+ * @returns {Promise<Object|null>} SmsOptOut entry (active when suppressed), null for codes that say
+ *   nothing about the number (e.g. carrier content filtering)
+ */
+async function recordCarrierFailure({ phone, errorCode, tenantId = null }) {
+  const code = String(errorCode || '');
+  const permanent = PERMANENT_FAILURE_CODES.includes(code);
+  const normalized = normalizePhone(phone);
+  if (!normalized || (!permanent && !TRANSIENT_FAILURE_CODES.includes(code))) return null;
+
+  const now = new Date();
+  const entry = await SmsOptOut.findOneAndUpdate(
+    { tenantId, phone: normalized },
+    {
+      $inc: { 'carrierFailures.count': 1 },
+      $set: { 'carrierFailures.lastErrorCode': code, 'carrierFailures.lastFailedAt': now },
+      $setOnInsert: { source: 'carrier', active: false, optedOutAt: null }
+    },
+    { upsert: true, new: true }
+  );
+  if (entry.active || (!permanent && entry.carrierFailures.count < SUPPRESS_AFTER_FAILURES)) {
+    return entry;
+  }
+
+  return SmsOptOut.findOneAndUpdate(
+    { tenantId, phone: normalized },
+    { $set: { active: true, source: 'carrier', errorCode: code, optedOutAt: now, optedInAt: null } },
+    { new: true }
+  );
+}
+
+/**
+ * A delivered message resets the sending tenant's failure count for a number that isn't suppressed
+ */
+async function clearCarrierFailures(phone, tenantId = null) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return;
+  await SmsOptOut.updateOne(
+    { tenantId, phone: normalized, active: false, 'carrierFailures.count': { $gt: 0 } },
+    { $set: { 'carrierFailures.count': 0 } }
+  );
+}
+
+module.exports = {
+  parseOptKeyword,
+  isSmsOptedOut,
+  recordOptOut,
+  recordOptIn,
+  recordCarrierFailure,
+  clearCarrierFailures
+};
@@ -0,0 +1,86 @@
+// services/smsStatusService.js
+// Twilio delivery status callbacks: move deal blast recipients and outbound messages to their delivery
+// state, and feed carrier failures into number suppression (services/smsOptOutService.js).
+
+const DealBlast = require('../models/DealBlast');
+const DealBlastRecipient = require('../models/DealBlastRecipient');
+const Message = require('../models/Message');
+const { recordCarrierFailure, clearCarrierFailures } = require('./smsOptOutService');
+
+// Final Twilio states; an interim callback (queued / sent) arriving late never overwrites one
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed', 'read'];
+// Recipient statuses a delivery callback may replace (replies and opt-outs are never overwritten)
+const RECIPIENT_UPDATABLE = ['queued', 'sent'];
+const RECIPIENT_STATUS = {
+  delivered: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed'
+};
+
+/**
+ * Tenant that sent the message: the Message's, the sending number's, then the deal blast's
+ * @returns {Promise<ObjectId|null>} null when none of them names a tenant
+ */
+async function resolveSenderTenant(message, recipient, tenantId) {
+  if (message?.tenantId) return message.tenantId;
+  if (tenantId) return tenantId;
+  if (!recipient) return null;
+  const blast = await DealBlast.findById(recipient.dealBlastId).select('tenantId').lean();
+  return blast?.tenantId || null;
+}
+
+/**
+ * Apply a Twilio status callback
+ * @param {Object} params - Twilio form params: { MessageSid, MessageStatus, ErrorCode?, To? }
+ * @param {Object} options - { tenantId?: tenant owning the sending number (`From`) }
+ * @returns {Promise<Object>} { status, errorCode, recipientId, messageId, suppressed }
+ */
+async function applyStatusCallback({ MessageSid, MessageStatus, ErrorCode, To }, { tenantId = null } = {}) {
+  const status = String(MessageStatus).toLowerCase();
+  const errorCode = ErrorCode ? String(ErrorCode) : null;
+  const now = new Date();
+  const interim = !FINAL_STATUSES.includes(status);
+
+  const recipient = await DealBlastRecipient.findOne({ 'tracking.messageId': MessageSid });
+  if (recipient && !(interim && FINAL_STATUSES.includes(recipient.tracking?.deliveryStatus))) {
+    recipient.set('tracking.deliveryStatus', status);
+    recipient.set('tracking.errorCode', errorCode);
+    recipient.set('tracking.statusUpdatedAt', now);
+    if (RECIPIENT_STATUS[status] && RECIPIENT_UPDATABLE.includes(recipient.status)) {
+      recipient.status = RECIPIENT_STATUS[status];
+    }
+    await recipient.save();
+  }
+
+  const messageFilter = { providerMessageId: MessageSid };
+  if (interim) messageFilter.deliveryStatus = { $nin: FINAL_STATUSES };
+  const message = await Message.findOneAndUpdate(
+    messageFilter,
+    { $set: { deliveryStatus: status, deliveryErrorCode: errorCode, deliveryUpdatedAt: now } },
+    { new: true }
+  );
+
+  let suppression = null;
+  const carrierFailure = (status === 'failed' || status === 'undelivered') && errorCode;
+  if (To && (carrierFailure || status === 'delivered')) {
+    // Without a sending tenant the number is left alone rather than suppressed for every tenant
+    const senderTenantId = await resolveSenderTenant(message, recipient, tenantId);
+    if (senderTenantId && carrierFailure) {
+      suppression = await recordCarrierFailure({ phone: To, errorCode, tenantId: senderTenantId });
+    } else if (senderTenantId) {
+      await clearCarrierFailures(To, senderTenantId);
+    }
+  }
+
+  return {
+    status,
+    errorCode,
+    recipientId: recipient?._id || null,
+    messageId: message?._id || null,
+    suppressed: !!suppression?.active
+  };
+}
+
+module.exports = {
+  applyStatusCallback
+};
@@ -1,24 +0,0 @@
-// skiptrace/index.js
-// Skiptrace utility (stub - to be implemented)
-// TODO: Implement skiptrace functionality for finding contact information
-
-/**
- * Performs skiptrace lookup for a lead
- * @param {Object} lead - Lead document
- * @returns {Promise<Object>} - Skiptrace results with contact information
- */
-async function performSkiptrace(lead) {
-  // TODO: Implement skiptrace logic
-  // This should look up phone numbers, email addresses, etc.
-  // based on owner name, property address, etc.
-  
-  return {
-    phone: null,
-    email: null,
-    address: null
-  };
-}
-
-module.exports = {
-  performSkiptrace
-};
@@ -0,0 +1,65 @@
+// src/lib/inboundSignature.js — HMAC-SHA256 signing for inbound email webhooks
+// Signature: X-Inbound-Signature: sha256=<hex HMAC of "<X-Inbound-Timestamp>.<raw body>">
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Sign a webhook body (used by forwarders and tests)
+ * @param {String} secret
+ * @param {String|Number} timestamp - Unix seconds
+ * @param {Buffer|String} rawBody
+ * @returns {String} Header value (sha256=<hex>)
+ */
+function signPayload(secret, timestamp, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(rawBody || '');
+  return SIGNATURE_PREFIX + hmac.digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a signature against every currently valid secret (rotation keeps the old one for a grace period)
+ * @param {Object} params - { rawBody, timestamp, signature, secrets: [String], toleranceSeconds, now }
+ * @returns {{ valid: Boolean, reason?: String }}
+ */
+function verifySignature({ rawBody, timestamp, signature, secrets, toleranceSeconds = 300, now = Date.now() }) {
+  if (!signature || !signature.startsWith(SIGNATURE_PREFIX)) {
+    return { valid: false, reason: 'Missing or malformed signature' };
+  }
+  const ts = parseInt(timestamp, 10);
+  if (!ts) {
+    return { valid: false, reason: 'Missing or invalid timestamp' };
+  }
+  if (Math.abs(now / 1000 - ts) > toleranceSeconds) {
+    return { valid: false, reason: 'Timestamp outside tolerance' };
+  }
+  if (rawBody === undefined || rawBody === null) {
+    return { valid: false, reason: 'Raw body unavailable' };
+  }
+
+  const matched = (secrets || []).filter(Boolean).some(secret => safeEqual(signPayload(secret, timestamp, rawBody), signature));
+  return matched ? { valid: true } : { valid: false, reason: 'Signature mismatch' };
+}
+
+/**
+ * Generate a random secret / token
+ * @param {Number} bytes
+ * @returns {String} url-safe string
+ */
+function generateSecret(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  generateSecret,
+  SIGNATURE_PREFIX
+};
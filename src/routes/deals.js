@@ -95,6 +95,20 @@ router.post('/:id/assign', requirePermission('deals:assign'), async (req, res, n
   }
 });
 
+// POST /api/deals/:id/promote — create/link the Lead for this deal (scores + routes it)
+router.post('/:id/promote', requirePermission('leads:create'), async (req, res, next) => {
+  try {
+    const result = await dealsService.promoteDeal(req.tenantId, req.user.id, req.params.id);
+    if (!result.success) {
+      if (result.notFound) return notFound(res, 'Deal');
+      return validationError(res, result.error || 'Promote failed');
+    }
+    return success(res, result.data);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Notes sub-routes: POST /api/deals/:id/notes, GET /api/deals/:id/notes
 const notesRouter = require('./notes');
 router.use('/:id/notes', notesRouter);
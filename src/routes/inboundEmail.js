@@ -1,97 +1,164 @@
-// src/routes/inboundEmail.js — POST /api/inbound/email: webhook for forwarded emails → inboundEmails + deals (source=email)
+// src/routes/inboundEmail.js — Inbound email webhooks → inboundEmails + deals (source=email), routed per tenant
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
-const Deal = require('../../models/Deal');
-const InboundEmail = require('../../models/InboundEmail');
 const { parseInboundPayload } = require('../utils/inboundEmailParser');
+const { verifySignature } = require('../lib/inboundSignature');
+const inboundRouting = require('../services/inboundRoutingService');
+const blastReplies = require('../services/blastReplyService');
 const { created, error } = require('../lib/apiResponse');
 
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.INBOUND_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+function secretMatches(header, secrets) {
+  const given = Buffer.from(header);
+  return secrets.some(secret => {
+    const expected = Buffer.from(secret);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
 /**
- * Verify X-INBOUND-SECRET header matches INBOUND_SECRET env.
- * Does not use JWT; intended for any forwarder/webhook tool.
+ * Authenticate a webhook call against a list of secrets.
+ * X-Inbound-Signature (HMAC of timestamp + raw body) is preferred; the plain X-INBOUND-SECRET header
+ * is still accepted for forwarders that can't sign, unless INBOUND_REQUIRE_SIGNATURE=true.
+ * @returns {String|null} Failure reason, or null when authenticated
  */
-function requireInboundSecret(req, res, next) {
-  const secret = process.env.INBOUND_SECRET;
+function authenticate(req, secrets) {
+  const signature = req.get('X-Inbound-Signature');
+  if (signature) {
+    const result = verifySignature({
+      rawBody: req.rawBody,
+      timestamp: req.get('X-Inbound-Timestamp'),
+      signature,
+      secrets,
+      toleranceSeconds: SIGNATURE_TOLERANCE_SECONDS
+    });
+    return result.valid ? null : result.reason;
+  }
+  if (process.env.INBOUND_REQUIRE_SIGNATURE === 'true') {
+    return 'Signature required';
+  }
   const header = req.get('X-INBOUND-SECRET');
-  if (!secret) {
+  return header && secretMatches(header, secrets) ? null : 'Invalid or missing inbound secret';
+}
+
+/**
+ * Shared (agency) endpoint: INBOUND_SECRET, plus INBOUND_SECRET_PREVIOUS while rotating
+ */
+function requireInboundSecret(req, res, next) {
+  const secrets = [process.env.INBOUND_SECRET, process.env.INBOUND_SECRET_PREVIOUS].filter(Boolean);
+  if (!secrets.length) {
     return error(res, 'Inbound email not configured', { statusCode: 503, code: 'INBOUND_NOT_CONFIGURED' });
   }
-  if (!header || header !== secret) {
-    return error(res, 'Invalid or missing inbound secret', { statusCode: 401, code: 'UNAUTHORIZED' });
+  const failure = authenticate(req, secrets);
+  if (failure) {
+    return error(res, failure, { statusCode: 401, code: 'UNAUTHORIZED' });
   }
   next();
 }
 
 /**
- * POST /api/inbound/email
- * Body: JSON (single object, or { emails: [...] }, or array).
- * Creates inboundEmail + deal (source=email) per item; skips when messageId already exists.
+ * Tenant endpoint: token in the URL picks the tenant, its own secrets authenticate the call
  */
-router.post('/email', requireInboundSecret, async (req, res, next) => {
+async function requireTenantToken(req, res, next) {
   try {
-    const tenantId = process.env.INBOUND_TENANT_ID;
-    if (!tenantId) {
-      return error(res, 'Inbound tenant not configured (INBOUND_TENANT_ID)', {
-        statusCode: 503,
-        code: 'INBOUND_NOT_CONFIGURED'
-      });
+    const tenant = await inboundRouting.findTenantByToken(req.params.token);
+    if (!tenant) {
+      return error(res, 'Invalid inbound token', { statusCode: 401, code: 'UNAUTHORIZED' });
+    }
+    const secrets = inboundRouting.getActiveSecrets(tenant);
+    if (!secrets.length) {
+      return error(res, 'Inbound email not configured for this tenant', { statusCode: 503, code: 'INBOUND_NOT_CONFIGURED' });
     }
+    const failure = authenticate(req, secrets);
+    if (failure) {
+      return error(res, failure, { statusCode: 401, code: 'UNAUTHORIZED' });
+    }
+    req.inboundTenantId = tenant._id.toString();
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
 
+/**
+ * Ingest every item, routing each to a tenant (fixed tenant, or by recipient) or to quarantine
+ */
+async function handleInbound(req, res, next) {
+  try {
     const parsed = parseInboundPayload(req.body);
     if (parsed.length === 0) {
-      return created(res, { accepted: 0, duplicate: 0, created: [], message: 'No valid email payload' });
+      return created(res, { accepted: 0, duplicate: 0, created: [], quarantined: 0, message: 'No valid email payload' });
     }
 
     const createdDealIds = [];
+    const promotions = [];
+    const quarantined = [];
+    const blastEvents = [];
     let duplicateCount = 0;
 
     for (const one of parsed) {
-      if (one.messageId) {
-        const existing = await InboundEmail.findOne({ messageId: one.messageId }).lean();
-        if (existing) {
-          duplicateCount += 1;
-          continue;
-        }
+      // Replies, bounces and complaints sent to an email deal blast's reply address
+      const blastOutcome = await blastReplies.ingestBlastEmail(one, { tenantId: req.inboundTenantId });
+      if (blastOutcome) {
+        if (blastOutcome.status === 'duplicate') duplicateCount += 1;
+        else blastEvents.push(blastOutcome.status);
+        continue;
       }
 
-      const deal = await Deal.create({
-        tenantId,
-        source: 'email',
-        status: 'new',
-        priority: 'normal',
-        createdBy: null,
-        assignedTo: null,
-        senderName: one.senderName || undefined,
-        senderEmail: one.senderEmail || undefined,
-        subject: one.subject || undefined,
-        bodySnippet: one.bodySnippet || undefined
-      });
+      const route = req.inboundTenantId
+        ? { tenantId: req.inboundTenantId }
+        : await inboundRouting.resolveTenantForRecipients(one.to);
 
-      await InboundEmail.create({
-        tenantId,
-        messageId: one.messageId || undefined,
-        from: one.from || undefined,
-        senderEmail: one.senderEmail || undefined,
-        senderName: one.senderName || undefined,
-        to: one.to && one.to.length ? one.to : undefined,
-        subject: one.subject || undefined,
-        bodySnippet: one.bodySnippet || undefined,
-        receivedAt: new Date(),
-        processedAt: new Date(),
-        dealId: deal._id
-      });
+      const outcome = route.tenantId
+        ? await inboundRouting.ingestInboundEmail(route.tenantId, one)
+        : await inboundRouting.quarantineInboundEmail(one, route);
 
-      createdDealIds.push(deal._id.toString());
+      if (outcome.status === 'duplicate') {
+        duplicateCount += 1;
+      } else if (outcome.status === 'quarantined') {
+        quarantined.push(outcome.quarantineId.toString());
+      } else {
+        createdDealIds.push(outcome.deal._id.toString());
+        promotions.push(outcome.promotion);
+      }
     }
 
     return created(res, {
       accepted: parsed.length,
       duplicate: duplicateCount,
-      created: createdDealIds
+      created: createdDealIds,
+      quarantined: quarantined.length,
+      blastEvents: blastEvents.length,
+      promoted: promotions.filter(p => p.status === 'promoted' || p.status === 'linked').map(p => ({
+        dealId: p.dealId.toString(),
+        leadId: p.leadId.toString(),
+        status: p.status
+      }))
     });
   } catch (err) {
     next(err);
   }
-});
+}
+
+/**
+ * POST /api/inbound/email
+ * Shared agency endpoint. Body: JSON (single object, or { emails: [...] }, or array).
+ * Each item goes to the tenant owning one of its recipients (Tenant.inbound.addresses, or a
+ * deals+<token>@ plus-address), else INBOUND_TENANT_ID (deprecated), else the quarantine.
+ * Mail to a deal blast reply address (BLAST_REPLY_EMAIL plus-addressed per recipient) is a buyer reply,
+ * bounce or complaint instead: it is matched to its DealBlastRecipient (see blastReplyService), counted in blastEvents.
+ * Creates inboundEmail + deal (source=email) per routed item; skips when messageId already exists.
+ * Address / numbers parsed from the body are set on the deal, which is then promoted to a scored Lead
+ * when it qualifies (see dealPromotionService).
+ */
+router.post('/email', requireInboundSecret, handleInbound);
+
+/**
+ * POST /api/inbound/email/:token
+ * Per-tenant endpoint: every item goes to the tenant owning the token, signed with that tenant's secret.
+ */
+router.post('/email/:token', requireTenantToken, handleInbound);
 
 module.exports = router;
@@ -0,0 +1,63 @@
+// src/routes/inboundQuarantine.js — Admin review of inbound emails that matched no tenant
+const express = require('express');
+const router = express.Router();
+const authRequired = require('../../middleware/authMiddleware');
+const { requireRole } = require('../../middleware/rbac');
+const inboundRouting = require('../services/inboundRoutingService');
+const { success, notFound, validationError, error } = require('../lib/apiResponse');
+
+// Quarantined mail belongs to no tenant yet: agency admins only
+router.use(authRequired);
+router.use(requireRole('admin'));
+
+function sendFailure(res, result, fallback) {
+  if (result.notFound) return notFound(res, 'Quarantined email');
+  if (result.conflict) return error(res, result.error, { statusCode: 409, code: 'CONFLICT' });
+  return validationError(res, result.error || fallback);
+}
+
+// GET /api/inbound/quarantine — ?status=pending|assigned|discarded&reason=&page=&limit=
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await inboundRouting.listQuarantine(req.query);
+    return success(res, result.data);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/inbound/quarantine/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const result = await inboundRouting.getQuarantined(req.params.id);
+    if (!result.success) return sendFailure(res, result, 'Lookup failed');
+    return success(res, result.data);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/inbound/quarantine/:id/assign — { tenantId, note? }: create the deal in that tenant
+router.post('/:id/assign', async (req, res, next) => {
+  try {
+    const { tenantId, note } = req.body || {};
+    const result = await inboundRouting.assignQuarantined(req.params.id, tenantId, req.user.id, note);
+    if (!result.success) return sendFailure(res, result, 'Assign failed');
+    return success(res, result.data);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/inbound/quarantine/:id/discard — { note? }
+router.post('/:id/discard', async (req, res, next) => {
+  try {
+    const result = await inboundRouting.discardQuarantined(req.params.id, req.user.id, (req.body || {}).note);
+    if (!result.success) return sendFailure(res, result, 'Discard failed');
+    return success(res, result.data);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
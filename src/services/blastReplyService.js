@@ -0,0 +1,205 @@
+// src/services/blastReplyService.js — Replies, bounces and complaints for email deal blasts
+// Each email recipient gets its own reply address (BLAST_REPLY_EMAIL plus-addressed with a token, also the envelope
+// sender so bounces come back to it). Mail to that address arriving on /api/inbound/email is matched to the
+// DealBlastRecipient here instead of being ingested as a deal.
+const crypto = require('crypto');
+const Buyer = require('../../models/Buyer');
+const DealBlastRecipient = require('../../models/DealBlastRecipient');
+const InboundEmail = require('../../models/InboundEmail');
+const { recordBuyerReply } = require('../../services/buyerReplyService');
+const { parseOptKeyword } = require('../../services/smsOptOutService');
+const { extractAddress, tokenFromAddress } = require('./inboundRoutingService');
+
+const BOUNCE_SENDER = /^(mailer-daemon|postmaster)@/;
+const BOUNCE_SUBJECT = /(undeliver|delivery status notification|delivery failure|failure notice|returned mail|mail delivery failed|mail delivery subsystem)/i;
+const DELAYED = /(delayed|will (?:be )?retr(?:y|ied)|temporar)/i;
+const DSN_STATUS = /\bstatus:\s*([245]\.\d{1,3}\.\d{1,3})/i;
+const SMTP_STATUS = /\b([45]\d\d)[ -]#?([45]\.\d{1,3}\.\d{1,3})/;
+const COMPLAINT_BODY = /feedback-type:\s*abuse/i;
+const COMPLAINT_SUBJECT = /(abuse report|complaint)/i;
+
+// Where the new text of a reply ends and the quoted original begins
+const QUOTE_MARKERS = [
+  /^>/,
+  /^on\b.*\bwrote:\s*$/i,
+  /^-{2,}\s*original message\s*-{2,}/i,
+  /^_{5,}/,
+  /^from:\s/i,
+  /^sent from my /i
+];
+
+/**
+ * { local, domain } of BLAST_REPLY_EMAIL, or null when reply capture is off
+ */
+function replyBase() {
+  const address = extractAddress(process.env.BLAST_REPLY_EMAIL);
+  if (!address) return null;
+  const [local, domain] = address.split('@');
+  return { local: local.split('+')[0], domain };
+}
+
+/**
+ * Reply address for a blast recipient ("replies+<token>@domain"), issuing the token on first use.
+ * The caller saves the recipient.
+ * @returns {String|null} null when BLAST_REPLY_EMAIL is not set
+ */
+function assignReplyAddress(recipient) {
+  const base = replyBase();
+  if (!base) return null;
+  if (!recipient.replyToken) {
+    // Hex: mail systems may lowercase the address on the way back
+    recipient.replyToken = crypto.randomBytes(10).toString('hex');
+  }
+  return `${base.local}+${recipient.replyToken}@${base.domain}`;
+}
+
+/**
+ * Reply token from the recipients of an inbound email
+ * @param {String[]} to - Raw recipient strings
+ * @returns {String|null}
+ */
+function findReplyToken(to) {
+  const base = replyBase();
+  if (!base) return null;
+  for (const address of (to || []).map(extractAddress).filter(Boolean)) {
+    const [local, domain] = address.split('@');
+    const token = tokenFromAddress(address);
+    if (token && domain === base.domain && local.split('+')[0] === base.local) return token;
+  }
+  return null;
+}
+
+/**
+ * The new text of a reply, without the quoted blast below it
+ */
+function stripQuotedReply(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const wrapped = `${line} ${(lines[i + 1] || '').trim()}`; // "On Mon ... <x@y.com>" / "wrote:" split over two lines
+    if (QUOTE_MARKERS.some(marker => marker.test(line)) || /^on\b.*\bwrote:\s*$/i.test(wrapped)) break;
+    kept.push(lines[i]);
+  }
+  return kept.join('\n').trim();
+}
+
+/**
+ * Bounce (delivery status notification) or complaint (ARF feedback report) for a blast email
+ * @param {Object} one - Normalized inbound email
+ * @param {Object|null} buyer - Blast recipient's buyer; mail from the buyer is a reply, whatever its subject
+ * @returns {{ type: 'bounce', permanent: Boolean, code: String|null }|{ type: 'complaint' }|null}
+ */
+function detectDeliveryEvent(one, buyer) {
+  const sender = (one.senderEmail || '').toLowerCase();
+  const buyerEmails = [buyer?.email, ...(buyer?.emails || [])].filter(Boolean).map(e => e.toLowerCase());
+  if (sender && buyerEmails.includes(sender)) return null;
+
+  const body = one.bodyText || one.bodySnippet || '';
+  if (COMPLAINT_BODY.test(body) || COMPLAINT_SUBJECT.test(one.subject || '')) {
+    return { type: 'complaint' };
+  }
+  if (!BOUNCE_SENDER.test(sender) && !BOUNCE_SUBJECT.test(one.subject || '')) {
+    return null;
+  }
+
+  const status = body.match(DSN_STATUS) || body.match(SMTP_STATUS);
+  const code = status ? status[status.length - 1] : null;
+  const permanent = code ? code.startsWith('5') : !DELAYED.test(`${one.subject} ${body}`);
+  return { type: 'bounce', permanent, code };
+}
+
+/**
+ * Stop emailing a buyer (hard bounce, complaint, unsubscribe reply)
+ */
+async function optOutBuyerEmail(buyer, reason) {
+  if (!buyer) return;
+  buyer.optOut = { ...(buyer.optOut?.toObject ? buyer.optOut.toObject() : buyer.optOut), email: true, emailReason: reason, updatedAt: new Date() };
+  await buyer.save();
+  console.log(`[Blast Reply] Buyer ${buyer._id} opted out of email (${reason})`);
+}
+
+/**
+ * Handle an inbound email sent to a blast reply address
+ * @param {Object} one - Normalized email (parseInboundPayload item)
+ * @param {Object} options - { tenantId?: fixed tenant of the endpoint; mail for another tenant's blast is ignored }
+ * @returns {Promise<null|{ status: 'reply'|'opt_out'|'bounce'|'complaint'|'duplicate', recipientId? }>}
+ *   null when the email is not for a blast reply address (route it as usual)
+ */
+async function ingestBlastEmail(one, { tenantId: fixedTenantId = null } = {}) {
+  const token = findReplyToken(one.to);
+  if (!token) return null;
+
+  const recipient = await DealBlastRecipient.findOne({ replyToken: token }).populate('dealBlastId');
+  if (!recipient || !recipient.dealBlastId) return null;
+  const tenantId = recipient.dealBlastId.tenantId.toString();
+  if (fixedTenantId && fixedTenantId !== tenantId) return null;
+
+  if (one.messageId && await InboundEmail.exists({ messageId: one.messageId })) {
+    return { status: 'duplicate' };
+  }
+
+  const buyer = await Buyer.findById(recipient.buyerId);
+  const delivery = detectDeliveryEvent(one, buyer);
+  let status;
+
+  if (delivery && delivery.type === 'complaint') {
+    status = 'complaint';
+    recipient.status = 'opted_out';
+    await recipient.save();
+    await optOutBuyerEmail(buyer, 'complaint');
+  } else if (delivery) {
+    status = 'bounce';
+    recipient.set('tracking.deliveryStatus', delivery.permanent ? 'bounced' : 'deferred');
+    recipient.set('tracking.errorCode', delivery.code);
+    recipient.set('tracking.statusUpdatedAt', new Date());
+    if (delivery.permanent) {
+      if (['queued', 'sent', 'delivered'].includes(recipient.status)) recipient.status = 'failed';
+      await optOutBuyerEmail(buyer, 'bounce');
+    }
+    await recipient.save();
+  } else {
+    const body = stripQuotedReply(one.bodyText || one.bodySnippet) || one.subject || '';
+    if (parseOptKeyword(body) === 'opt_out') {
+      status = 'opt_out';
+      recipient.status = 'opted_out';
+      recipient.respondedAt = new Date();
+      recipient.responseText = body.substring(0, 500);
+      await recipient.save();
+      await optOutBuyerEmail(buyer, 'unsubscribe');
+    } else {
+      status = 'reply';
+      if (buyer) {
+        await recordBuyerReply({ tenantId, buyer, recipient, body, channel: 'email', externalAddress: one.senderEmail });
+      } else {
+        console.warn(`[Blast Reply] Buyer ${recipient.buyerId} no longer exists; reply to recipient ${recipient._id} not recorded`);
+      }
+    }
+  }
+
+  await InboundEmail.create({
+    tenantId,
+    messageId: one.messageId || undefined,
+    from: one.from || undefined,
+    senderEmail: one.senderEmail || undefined,
+    senderName: one.senderName || undefined,
+    to: one.to && one.to.length ? one.to : undefined,
+    subject: one.subject || undefined,
+    bodySnippet: one.bodySnippet || undefined,
+    bodyText: one.bodyText || undefined,
+    receivedAt: one.receivedAt || new Date(),
+    processedAt: new Date(),
+    dealBlastRecipientId: recipient._id,
+    blastEvent: status
+  });
+
+  return { status, recipientId: recipient._id };
+}
+
+module.exports = {
+  assignReplyAddress,
+  findReplyToken,
+  stripQuotedReply,
+  detectDeliveryEvent,
+  ingestBlastEmail
+};
@@ -0,0 +1,243 @@
+// src/services/dealPromotionService.js — Inbound Deal → Lead promotion (scoring, routing, buyer matching) + status sync
+const Deal = require('../../models/Deal');
+const Lead = require('../../models/Lead');
+const InboundEmail = require('../../models/InboundEmail');
+const Tenant = require('../../models/Tenant');
+const { upsertLeadFromSource } = require('../../utils/leadUpsert');
+const { parseDealEmail } = require('../../scrapers/emailDealParser');
+const { logActivity, ENTITY_DEAL } = require('../lib/auditLog');
+
+// Status equivalence between the two pipelines. Sync only happens when the other side
+// isn't already in an equivalent stage (so "offer_sent" isn't pulled back to "reviewing").
+const DEAL_TO_LEAD_STATUS = {
+  new: 'new',
+  reviewing: 'contacted',
+  underwriting: 'contacted',
+  offer_sent: 'contacted',
+  under_contract: 'under_contract',
+  closed: 'under_contract',
+  dead: 'dead'
+};
+const LEAD_TO_DEAL_STATUS = {
+  new: 'new',
+  attempted: 'reviewing',
+  contacted: 'reviewing',
+  under_contract: 'under_contract',
+  dead: 'dead'
+};
+
+// Parsed email fields copied onto the Lead (Deal only holds address + price/ARV/rehab)
+const LEAD_DETAIL_FIELDS = ['beds', 'baths', 'sqft', 'yearBuilt', 'assignmentFee', 'closingDate', 'lockboxCode'];
+
+/**
+ * Promotion settings: tenant overrides (Tenant.dealPromotion) over env defaults
+ * @returns {Promise<{enabled: Boolean, requireNumbers: Boolean}>}
+ */
+async function getPromotionSettings(tenantId) {
+  const defaults = {
+    enabled: process.env.INBOUND_DEAL_PROMOTION_ENABLED !== 'false',
+    requireNumbers: process.env.INBOUND_DEAL_PROMOTION_REQUIRE_NUMBERS !== 'false'
+  };
+  const tenant = tenantId ? await Tenant.findById(tenantId).select('dealPromotion').lean() : null;
+  const overrides = tenant?.dealPromotion || {};
+  return {
+    enabled: overrides.enabled ?? defaults.enabled,
+    requireNumbers: overrides.requireNumbers ?? defaults.requireNumbers
+  };
+}
+
+/**
+ * Fill empty Deal property / numbers from the email body (webhook deals arrive with sender + body only)
+ * @param {Object} deal - Deal document (not saved)
+ * @param {Object} email - { subject, text, html }
+ * @returns {Object} Parsed email fields (parseDealEmail result)
+ */
+function applyParsedEmail(deal, email) {
+  const parsed = parseDealEmail(email);
+  const property = deal.property || {};
+  const numbers = deal.numbers || {};
+
+  if (!property.address && parsed.propertyAddress) {
+    deal.set('property', {
+      address: parsed.propertyAddress,
+      city: property.city || parsed.city || undefined,
+      state: property.state || parsed.state || undefined,
+      zip: property.zip || parsed.zip || undefined,
+      county: property.county || undefined
+    });
+  }
+  if (numbers.askingPrice == null && parsed.askingPrice !== null) deal.set('numbers.askingPrice', parsed.askingPrice);
+  if (numbers.arv == null && parsed.arv !== null) deal.set('numbers.arv', parsed.arv);
+  if (numbers.rehabEstimate == null && parsed.rehabEstimate !== null) deal.set('numbers.rehabEstimate', parsed.rehabEstimate);
+
+  return parsed;
+}
+
+async function recordPromotion(deal, status, reason = null) {
+  deal.promotion = { status, reason, at: new Date() };
+  await deal.save();
+  return { status, reason, dealId: deal._id, leadId: deal.leadId || null };
+}
+
+/**
+ * Create or link the Lead for a Deal, then score it (scoring also routes the lead)
+ * @param {Object} deal - Deal document
+ * @param {Object} options - { actorId, force: ignore the enabled setting (manual promote) }
+ * @returns {Promise<{status: 'promoted'|'linked'|'skipped'|'failed', reason, dealId, leadId}>}
+ */
+async function promoteDealToLead(deal, options = {}) {
+  const { actorId = null, force = false } = options;
+
+  if (deal.leadId) {
+    const existing = await Lead.findOne({ _id: deal.leadId, tenantId: deal.tenantId }).select('_id').lean();
+    if (existing) return { status: 'linked', reason: 'Already linked', dealId: deal._id, leadId: deal.leadId };
+  }
+
+  const settings = await getPromotionSettings(deal.tenantId);
+  if (!settings.enabled && !force) {
+    return { status: 'skipped', reason: 'Promotion disabled', dealId: deal._id, leadId: null };
+  }
+
+  const property = deal.property || {};
+  const numbers = deal.numbers || {};
+  if (!property.address) {
+    return recordPromotion(deal, 'skipped', 'No property address');
+  }
+  if (settings.requireNumbers && numbers.askingPrice == null && numbers.arv == null) {
+    return recordPromotion(deal, 'skipped', 'No asking price or ARV');
+  }
+
+  try {
+    const email = await InboundEmail.findOne({ dealId: deal._id }).select('_id parsed').lean();
+    const details = email?.parsed || {};
+
+    const payload = {
+      tenantId: deal.tenantId,
+      source: 'email',
+      category: 'Wholesale Email',
+      propertyAddress: property.address,
+      city: property.city || undefined,
+      state: property.state || undefined,
+      zip: property.zip || undefined,
+      county: property.county || undefined,
+      askingPrice: numbers.askingPrice ?? undefined,
+      arv: numbers.arv ?? undefined,
+      rawEmailId: email ? email._id.toString() : undefined,
+      description: deal.subject || undefined,
+      signal: email ? { type: 'email', model: 'InboundEmail', recordId: email._id } : { type: 'email' }
+    };
+    for (const field of LEAD_DETAIL_FIELDS) {
+      if (details[field] !== null && details[field] !== undefined) payload[field] = details[field];
+    }
+
+    const { lead, isNew } = await upsertLeadFromSource('inbound_email', payload);
+
+    // First deal wins the back-reference; every linked deal is found via Deal.leadId
+    if (!lead.dealId) {
+      lead.dealId = deal._id;
+      await lead.save();
+    }
+    deal.leadId = lead._id;
+    if (email) {
+      await InboundEmail.updateOne({ _id: email._id }, { $set: { leadId: lead._id } });
+    }
+
+    const { recalculateAndSaveLeadScore } = require('../../utils/leadScoringEngine');
+    await recalculateAndSaveLeadScore(lead);
+
+    const result = await recordPromotion(deal, isNew ? 'promoted' : 'linked');
+    await logActivity({
+      tenantId: deal.tenantId,
+      entityType: ENTITY_DEAL,
+      entityId: deal._id,
+      action: 'promote',
+      actorId,
+      changes: { leadId: lead._id.toString(), isNew }
+    });
+
+    try {
+      const { emitToTenant } = require('../../utils/realtime');
+      emitToTenant(deal.tenantId, isNew ? 'lead:created' : 'lead:updated', { leadId: lead._id, dealId: deal._id, source: 'inbound_email' });
+    } catch (emitErr) {
+      console.error('[Deal Promotion] Failed to emit lead event:', emitErr.message);
+    }
+
+    return result;
+  } catch (err) {
+    console.error(`[Deal Promotion] Failed to promote deal ${deal._id}:`, err.message);
+    return recordPromotion(deal, 'failed', err.message);
+  }
+}
+
+/**
+ * Push a Deal status change to its linked Lead
+ * @returns {Promise<Object|null>} Updated lead, or null when nothing changed
+ */
+async function syncDealStatusToLead(deal) {
+  if (!deal.leadId) return null;
+  const target = DEAL_TO_LEAD_STATUS[deal.status];
+  if (!target) return null;
+
+  const lead = await Lead.findOne({ _id: deal.leadId, tenantId: deal.tenantId });
+  if (!lead || lead.status === target || LEAD_TO_DEAL_STATUS[lead.status] === deal.status) {
+    return null;
+  }
+
+  const previous = lead.status;
+  lead.status = target;
+  await lead.save();
+
+  try {
+    const { emitToTenant, emitToRoom } = require('../../utils/realtime');
+    emitToTenant(lead.tenantId, 'lead:updated', { leadId: lead._id, changes: { status: target }, syncedFrom: 'deal' });
+    emitToRoom(`lead:${lead._id}`, 'lead:updated', { leadId: lead._id, lead });
+  } catch (emitErr) {
+    console.error('[Deal Promotion] Failed to emit lead status sync:', emitErr.message);
+  }
+
+  console.log(`[Deal Promotion] Lead ${lead._id} status ${previous} -> ${target} (from deal ${deal._id})`);
+  return lead;
+}
+
+/**
+ * Push a Lead status change to every Deal linked to it
+ * @param {Object} lead - Lead (document or lean)
+ * @param {String|null} actorId - User making the change
+ * @returns {Promise<Number>} Deals updated
+ */
+async function syncLeadStatusToDeals(lead, actorId = null) {
+  const target = LEAD_TO_DEAL_STATUS[lead.status];
+  if (!target) return 0;
+
+  const deals = await Deal.find({ leadId: lead._id, tenantId: lead.tenantId });
+  let updated = 0;
+
+  for (const deal of deals) {
+    if (deal.status === target || DEAL_TO_LEAD_STATUS[deal.status] === lead.status) continue;
+
+    const previous = deal.status;
+    deal.status = target;
+    await deal.save();
+    await logActivity({
+      tenantId: deal.tenantId,
+      entityType: ENTITY_DEAL,
+      entityId: deal._id,
+      action: 'update',
+      actorId,
+      changes: { status: { from: previous, to: target }, syncedFrom: 'lead', leadId: lead._id.toString() }
+    });
+    updated++;
+  }
+
+  return updated;
+}
+
+module.exports = {
+  promoteDealToLead,
+  applyParsedEmail,
+  getPromotionSettings,
+  syncDealStatusToLead,
+  syncLeadStatusToDeals,
+  DEAL_TO_LEAD_STATUS,
+  LEAD_TO_DEAL_STATUS
+};
@@ -4,6 +4,7 @@ const DealNote = require('../../models/DealNote');
 const ActivityLog = require('../../models/ActivityLog');
 const { addTenantFilter, verifyTenantOwnership } = require('../../middleware/tenantScope');
 const { logActivity, ENTITY_DEAL, ENTITY_NOTE } = require('../lib/auditLog');
+const { promoteDealToLead, syncDealStatusToLead } = require('./dealPromotionService');
 const {
   createDealSchema,
   updateDealSchema,
@@ -114,9 +115,31 @@ async function updateDeal(tenantId, actorId, dealId, body) {
     actorId,
     changes: allowed
   });
+
+  // Keep the linked Lead in step; an unpromoted deal gets another chance once address / numbers are filled in
+  if (allowed.status && updated.leadId) {
+    await syncDealStatusToLead(updated);
+  }
+  if (!updated.leadId && updated.source === 'email' && (allowed.property || allowed.numbers)) {
+    await promoteDealToLead(updated, { actorId });
+  }
   return { success: true, data: updated };
 }
 
+/**
+ * Promote a deal to the Lead pipeline on demand (ignores the auto-promotion switch). Tenant-scoped.
+ */
+async function promoteDeal(tenantId, actorId, dealId) {
+  const result = await verifyTenantOwnership(Deal, dealId, tenantId);
+  if (!result.valid) return { success: false, notFound: true, error: result.error };
+  const deal = result.document;
+  const promotion = await promoteDealToLead(deal, { actorId, force: true });
+  if (promotion.status === 'skipped' || promotion.status === 'failed') {
+    return { success: false, error: `Deal not promoted: ${promotion.reason}` };
+  }
+  return { success: true, data: { deal, promotion } };
+}
+
 /**
  * Assign deal to user. Admin/manager only enforced in route. Logs activity.
  */
@@ -210,6 +233,7 @@ module.exports = {
   createDeal,
   getDealById,
   updateDeal,
+  promoteDeal,
   assignDeal,
   addNote,
   getNotes,
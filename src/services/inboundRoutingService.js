@@ -0,0 +1,352 @@
+// src/services/inboundRoutingService.js — Route inbound emails to tenants (token / recipient address), quarantine the rest
+const Deal = require('../../models/Deal');
+const InboundEmail = require('../../models/InboundEmail');
+const InboundQuarantine = require('../../models/InboundQuarantine');
+const Tenant = require('../../models/Tenant');
+const { applyParsedEmail, promoteDealToLead } = require('./dealPromotionService');
+const { generateSecret } = require('../lib/inboundSignature');
+
+const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+const SECRET_GRACE_HOURS = parseInt(process.env.INBOUND_SECRET_GRACE_HOURS) || 24;
+
+/**
+ * "Deals <Deals+abc@x.com>" → "deals+abc@x.com"
+ * @returns {String|null}
+ */
+function extractAddress(value) {
+  const match = typeof value === 'string' ? value.match(EMAIL_REGEX) : null;
+  return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Plus-address token: "deals+abc123@x.com" → "abc123"
+ * @returns {String|null}
+ */
+function tokenFromAddress(address) {
+  const local = (address || '').split('@')[0];
+  const plus = local.indexOf('+');
+  return plus >= 0 && plus < local.length - 1 ? local.slice(plus + 1) : null;
+}
+
+/**
+ * Pick the tenant for an email on the shared endpoint from its recipients.
+ * Order: Tenant.inbound.addresses / plus-address token, then the legacy INBOUND_TENANT_ID.
+ * @param {String[]} to - Raw recipient strings
+ * @returns {Promise<{ tenantId?: String, reason?: 'no_match'|'ambiguous', candidateTenantIds?: String[] }>}
+ */
+async function resolveTenantForRecipients(to) {
+  const addresses = [...new Set((to || []).map(extractAddress).filter(Boolean))];
+  const tokens = addresses.map(tokenFromAddress).filter(Boolean);
+
+  const matches = addresses.length
+    ? await Tenant.find({
+      $or: [
+        { 'inbound.addresses': { $in: addresses } },
+        ...(tokens.length ? [{ 'inbound.token': { $in: tokens } }] : [])
+      ]
+    }).select('_id').lean()
+    : [];
+
+  if (matches.length === 1) {
+    return { tenantId: matches[0]._id.toString() };
+  }
+  if (matches.length > 1) {
+    return { reason: 'ambiguous', candidateTenantIds: matches.map(t => t._id.toString()) };
+  }
+  // Deprecated single-tenant setup: everything unmatched goes to one tenant
+  if (process.env.INBOUND_TENANT_ID) {
+    return { tenantId: process.env.INBOUND_TENANT_ID };
+  }
+  return { reason: 'no_match' };
+}
+
+/**
+ * Tenant for POST /api/inbound/email/:token, with its signing secrets loaded
+ * @returns {Promise<Object|null>} Tenant document (lean)
+ */
+async function findTenantByToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  return Tenant.findOne({ 'inbound.token': token }).select('+inbound.secrets').lean();
+}
+
+/**
+ * Secrets accepted right now (the current one plus any still in their rotation grace period)
+ * @returns {String[]}
+ */
+function getActiveSecrets(tenant, now = new Date()) {
+  return ((tenant && tenant.inbound && tenant.inbound.secrets) || [])
+    .filter(s => !s.expiresAt || s.expiresAt > now)
+    .map(s => s.value);
+}
+
+/**
+ * Create the Deal + InboundEmail for one normalized email (parseInboundPayload item) and promote it.
+ * @param {String} tenantId
+ * @param {Object} one - Normalized email
+ * @returns {Promise<{ status: 'created'|'duplicate', deal?, promotion? }>}
+ */
+async function ingestInboundEmail(tenantId, one) {
+  if (one.messageId) {
+    const existing = await InboundEmail.findOne({ messageId: one.messageId }).lean();
+    if (existing) return { status: 'duplicate' };
+  }
+
+  const deal = new Deal({
+    tenantId,
+    source: 'email',
+    status: 'new',
+    priority: 'normal',
+    createdBy: null,
+    assignedTo: null,
+    senderName: one.senderName || undefined,
+    senderEmail: one.senderEmail || undefined,
+    subject: one.subject || undefined,
+    bodySnippet: one.bodySnippet || undefined
+  });
+  const parsedDeal = applyParsedEmail(deal, {
+    subject: one.subject,
+    text: one.bodyText || one.bodySnippet,
+    html: one.bodyHtml
+  });
+  await deal.save();
+
+  await InboundEmail.create({
+    tenantId,
+    messageId: one.messageId || undefined,
+    from: one.from || undefined,
+    senderEmail: one.senderEmail || undefined,
+    senderName: one.senderName || undefined,
+    to: one.to && one.to.length ? one.to : undefined,
+    subject: one.subject || undefined,
+    bodySnippet: one.bodySnippet || undefined,
+    bodyText: one.bodyText || undefined,
+    receivedAt: one.receivedAt || new Date(),
+    processedAt: new Date(),
+    dealId: deal._id,
+    parsed: parsedDeal,
+    parseStatus: parsedDeal.isDeal ? 'parsed' : 'no_deal'
+  });
+
+  const promotion = await promoteDealToLead(deal);
+  return { status: 'created', deal, promotion };
+}
+
+/**
+ * Hold an email that matched no tenant for admin review
+ * @param {Object} one - Normalized email
+ * @param {Object} route - resolveTenantForRecipients result
+ * @returns {Promise<{ status: 'quarantined'|'duplicate', quarantineId? }>}
+ */
+async function quarantineInboundEmail(one, route) {
+  try {
+    const doc = await InboundQuarantine.create({
+      messageId: one.messageId || undefined,
+      from: one.from || undefined,
+      senderEmail: one.senderEmail || undefined,
+      senderName: one.senderName || undefined,
+      to: one.to && one.to.length ? one.to : undefined,
+      subject: one.subject || undefined,
+      bodySnippet: one.bodySnippet || undefined,
+      bodyText: one.bodyText || undefined,
+      bodyHtml: one.bodyHtml || undefined,
+      reason: route.reason || 'no_match',
+      candidateTenantIds: route.candidateTenantIds || []
+    });
+    console.warn(`[Inbound Email] Quarantined ${one.messageId || doc._id} (${doc.reason}) to: ${(one.to || []).join(', ') || '-'}`);
+    return { status: 'quarantined', quarantineId: doc._id };
+  } catch (err) {
+    // Forwarder retried an email that is already held
+    if (err.code === 11000) return { status: 'duplicate' };
+    throw err;
+  }
+}
+
+// ---- Tenant inbound settings (admin) ----
+
+function toSettings(tenant) {
+  const inbound = tenant.inbound || {};
+  return {
+    tenantId: tenant._id,
+    token: inbound.token || null,
+    addresses: inbound.addresses || [],
+    secrets: (inbound.secrets || []).map(s => ({ createdAt: s.createdAt, expiresAt: s.expiresAt || null }))
+  };
+}
+
+/**
+ * Inbound token, addresses and secret metadata (secret values are never returned here)
+ */
+async function getInboundSettings(tenantId) {
+  const tenant = await Tenant.findById(tenantId).select('+inbound.secrets').lean();
+  if (!tenant) return { success: false, notFound: true };
+  return { success: true, data: toSettings(tenant) };
+}
+
+/**
+ * Replace the recipient addresses routed to a tenant on the shared endpoint
+ * @param {String[]} addresses
+ */
+async function setInboundAddresses(tenantId, addresses) {
+  if (!Array.isArray(addresses)) {
+    return { success: false, error: 'addresses must be an array' };
+  }
+  const invalid = addresses.filter(a => !extractAddress(a));
+  if (invalid.length) {
+    return { success: false, error: `Invalid email address: ${invalid.join(', ')}` };
+  }
+  const normalized = [...new Set(addresses.map(extractAddress))];
+
+  const tenant = await Tenant.findById(tenantId).select('+inbound.secrets');
+  if (!tenant) return { success: false, notFound: true };
+
+  if (normalized.length) {
+    const conflict = await Tenant.findOne({ _id: { $ne: tenant._id }, 'inbound.addresses': { $in: normalized } })
+      .select('name inbound.addresses').lean();
+    if (conflict) {
+      const taken = normalized.filter(a => conflict.inbound.addresses.includes(a));
+      return { success: false, conflict: true, error: `Address already routed to tenant ${conflict.name}: ${taken.join(', ')}` };
+    }
+  }
+
+  tenant.set('inbound.addresses', normalized);
+  await tenant.save();
+  return { success: true, data: toSettings(tenant) };
+}
+
+/**
+ * New signing secret; the previous ones stay valid for INBOUND_SECRET_GRACE_HOURS.
+ * Also issues the inbound token on first use.
+ * @returns {Promise<{success, data: { secret, token, ... }}>} The secret value is only returned here
+ */
+async function rotateInboundSecret(tenantId, now = new Date()) {
+  const tenant = await Tenant.findById(tenantId).select('+inbound.secrets');
+  if (!tenant) return { success: false, notFound: true };
+
+  const graceEnd = new Date(now.getTime() + SECRET_GRACE_HOURS * 60 * 60 * 1000);
+  const kept = (tenant.inbound.secrets || [])
+    .filter(s => !s.expiresAt || s.expiresAt > now)
+    .map(s => ({
+      value: s.value,
+      createdAt: s.createdAt,
+      expiresAt: s.expiresAt && s.expiresAt < graceEnd ? s.expiresAt : graceEnd
+    }));
+
+  const secret = generateSecret();
+  tenant.set('inbound.secrets', [{ value: secret, createdAt: now, expiresAt: null }, ...kept]);
+  if (!tenant.inbound.token) {
+    tenant.set('inbound.token', generateSecret(18));
+  }
+  await tenant.save();
+
+  return { success: true, data: { ...toSettings(tenant), secret } };
+}
+
+/**
+ * Replace the inbound token (old webhook URL / plus-address stops working immediately)
+ */
+async function rotateInboundToken(tenantId) {
+  const tenant = await Tenant.findById(tenantId).select('+inbound.secrets');
+  if (!tenant) return { success: false, notFound: true };
+  tenant.set('inbound.token', generateSecret(18));
+  await tenant.save();
+  return { success: true, data: toSettings(tenant) };
+}
+
+// ---- Quarantine review (admin) ----
+
+async function listQuarantine(query = {}) {
+  const filter = { status: query.status || 'pending' };
+  if (query.reason) filter.reason = query.reason;
+  const limit = Math.min(parseInt(query.limit) || 50, 200);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  const [items, total] = await Promise.all([
+    InboundQuarantine.find(filter)
+      .select('-bodyHtml')
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    InboundQuarantine.countDocuments(filter)
+  ]);
+
+  return { success: true, data: { items, pagination: { page, limit, total, pages: Math.ceil(total / limit) } } };
+}
+
+async function getQuarantined(id) {
+  const item = await InboundQuarantine.findById(id).lean();
+  if (!item) return { success: false, notFound: true };
+  return { success: true, data: item };
+}
+
+/**
+ * Deliver a held email to a tenant (creates the Deal and promotes it like a routed email)
+ */
+async function assignQuarantined(id, tenantId, actorId, note) {
+  if (!tenantId) return { success: false, error: 'tenantId is required' };
+  const item = await InboundQuarantine.findById(id);
+  if (!item) return { success: false, notFound: true };
+  if (item.status !== 'pending') {
+    return { success: false, conflict: true, error: `Email already ${item.status}` };
+  }
+  if (!(await Tenant.exists({ _id: tenantId }))) {
+    return { success: false, error: 'Tenant not found' };
+  }
+
+  const outcome = await ingestInboundEmail(tenantId, {
+    messageId: item.messageId,
+    from: item.from,
+    senderEmail: item.senderEmail,
+    senderName: item.senderName,
+    to: item.to,
+    subject: item.subject,
+    bodySnippet: item.bodySnippet,
+    bodyText: item.bodyText,
+    bodyHtml: item.bodyHtml,
+    receivedAt: item.receivedAt
+  });
+  if (outcome.status === 'duplicate') {
+    return { success: false, conflict: true, error: 'Email was already ingested' };
+  }
+
+  item.set({
+    status: 'assigned',
+    assignedTenantId: tenantId,
+    dealId: outcome.deal._id,
+    reviewedBy: actorId,
+    reviewedAt: new Date(),
+    note: note || item.note
+  });
+  await item.save();
+
+  return { success: true, data: { item, dealId: outcome.deal._id, promotion: outcome.promotion } };
+}
+
+async function discardQuarantined(id, actorId, note) {
+  const item = await InboundQuarantine.findById(id);
+  if (!item) return { success: false, notFound: true };
+  if (item.status !== 'pending') {
+    return { success: false, conflict: true, error: `Email already ${item.status}` };
+  }
+  item.set({ status: 'discarded', reviewedBy: actorId, reviewedAt: new Date(), note: note || item.note });
+  await item.save();
+  return { success: true, data: { item } };
+}
+
+module.exports = {
+  extractAddress,
+  tokenFromAddress,
+  resolveTenantForRecipients,
+  findTenantByToken,
+  getActiveSecrets,
+  ingestInboundEmail,
+  quarantineInboundEmail,
+  getInboundSettings,
+  setInboundAddresses,
+  rotateInboundSecret,
+  rotateInboundToken,
+  listQuarantine,
+  getQuarantined,
+  assignQuarantined,
+  discardQuarantined
+};
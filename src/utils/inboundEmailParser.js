@@ -3,7 +3,7 @@
  * No dependency on a specific provider (Zoho, SendGrid, Mailgun, etc.).
  *
  * Input: request body (object or array).
- * Output: array of { messageId, senderEmail, senderName, subject, bodySnippet }.
+ * Output: array of { messageId, senderEmail, senderName, subject, bodySnippet, bodyText, bodyHtml }.
  */
 
 const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
@@ -55,7 +55,7 @@ function extractBodySnippet(obj, maxLen = 2000) {
 /**
  * Normalize a single email object from a webhook into canonical fields.
  * @param {object} item - One email payload (any shape)
- * @returns {{ messageId: string | null, senderEmail: string | null, senderName: string | null, subject: string, bodySnippet: string, from: string | null, to: string[] }}
+ * @returns {{ messageId: string | null, senderEmail: string | null, senderName: string | null, subject: string, bodySnippet: string, from: string | null, to: string[], bodyText: string, bodyHtml: string }}
  */
 function normalizeOne(item) {
   if (!item || typeof item !== 'object') {
@@ -80,6 +80,9 @@ function normalizeOne(item) {
       ? toRaw.split(/[\s,;]+/).map((s) => s.trim()).filter(Boolean)
       : [];
 
+  const rawText = item.text ?? item.plain ?? item['body-plain'] ?? item.body ?? '';
+  const rawHtml = item.html ?? item['body-html'] ?? '';
+
   return {
     messageId: messageId ? String(messageId).trim() : null,
     senderEmail: senderEmail ? String(senderEmail).trim().toLowerCase() : null,
@@ -87,7 +90,10 @@ function normalizeOne(item) {
     subject: subject.slice(0, 500),
     bodySnippet,
     from: typeof fromRaw === 'string' ? fromRaw.trim().slice(0, 500) : null,
-    to
+    to,
+    // Full bodies (line breaks kept) for deal parsing; bodySnippet is collapsed to one line
+    bodyText: typeof rawText === 'string' ? rawText.slice(0, 50000) : '',
+    bodyHtml: typeof rawHtml === 'string' ? rawHtml.slice(0, 200000) : ''
   };
 }
 
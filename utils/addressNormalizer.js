@@ -0,0 +1,319 @@
+// utils/addressNormalizer.js
+// Offline US street address normalizer (USPS Publication 28 abbreviations)
+// "123 North Main Street, Apt. 4, Dallas, Texas 75201-1234" → line1 "123 N MAIN ST APT 4", city "Dallas", state "TX", zip "75201"
+// The `key` (street line without city/state/zip) is what leads and properties are matched on.
+
+// Street suffixes (common names + frequent variants → USPS standard abbreviation)
+const SUFFIXES = {
+  ALLEY: 'ALY', ALY: 'ALY', ALLY: 'ALY',
+  AVENUE: 'AVE', AVE: 'AVE', AV: 'AVE', AVEN: 'AVE', AVENU: 'AVE', AVN: 'AVE', AVNUE: 'AVE',
+  BEND: 'BND', BND: 'BND',
+  BOULEVARD: 'BLVD', BLVD: 'BLVD', BOUL: 'BLVD', BOULV: 'BLVD', BLV: 'BLVD',
+  BRANCH: 'BR', BR: 'BR',
+  BYPASS: 'BYP', BYP: 'BYP',
+  CIRCLE: 'CIR', CIR: 'CIR', CIRC: 'CIR', CRCL: 'CIR', CIRCL: 'CIR',
+  COURT: 'CT', CT: 'CT', CRT: 'CT',
+  COVE: 'CV', CV: 'CV',
+  CREEK: 'CRK', CRK: 'CRK',
+  CROSSING: 'XING', XING: 'XING', CRSSNG: 'XING',
+  DRIVE: 'DR', DR: 'DR', DRV: 'DR', DRIV: 'DR',
+  ESTATES: 'ESTS', ESTS: 'ESTS',
+  EXPRESSWAY: 'EXPY', EXPY: 'EXPY', EXPWY: 'EXPY',
+  FREEWAY: 'FWY', FWY: 'FWY', FRWY: 'FWY',
+  GLEN: 'GLN', GLN: 'GLN',
+  GROVE: 'GRV', GRV: 'GRV', GROV: 'GRV',
+  HEIGHTS: 'HTS', HTS: 'HTS', HT: 'HTS',
+  HIGHWAY: 'HWY', HWY: 'HWY', HIWAY: 'HWY', HWAY: 'HWY',
+  HILL: 'HL', HL: 'HL',
+  HOLLOW: 'HOLW', HOLW: 'HOLW', HOLLOWS: 'HOLW',
+  LANDING: 'LNDG', LNDG: 'LNDG',
+  LANE: 'LN', LN: 'LN',
+  LOOP: 'LOOP',
+  MEADOW: 'MDW', MDW: 'MDW', MEADOWS: 'MDWS', MDWS: 'MDWS',
+  PARK: 'PARK', PARKWAY: 'PKWY', PKWY: 'PKWY', PKY: 'PKWY', PARKWY: 'PKWY',
+  PASS: 'PASS', PATH: 'PATH', PIKE: 'PIKE',
+  PLACE: 'PL', PL: 'PL',
+  PLAZA: 'PLZ', PLZ: 'PLZ',
+  POINT: 'PT', PT: 'PT',
+  RANCH: 'RNCH', RNCH: 'RNCH',
+  RIDGE: 'RDG', RDG: 'RDG',
+  ROAD: 'RD', RD: 'RD',
+  ROW: 'ROW', RUN: 'RUN',
+  SPRING: 'SPG', SPG: 'SPG', SPRINGS: 'SPGS', SPGS: 'SPGS',
+  SQUARE: 'SQ', SQ: 'SQ',
+  STATION: 'STA', STA: 'STA',
+  STREET: 'ST', ST: 'ST', STR: 'ST', STRT: 'ST',
+  TERRACE: 'TER', TER: 'TER', TERR: 'TER',
+  TRAIL: 'TRL', TRL: 'TRL', TR: 'TRL',
+  VALLEY: 'VLY', VLY: 'VLY',
+  VIEW: 'VW', VW: 'VW',
+  VILLAGE: 'VLG', VLG: 'VLG',
+  VISTA: 'VIS', VIS: 'VIS',
+  WALK: 'WALK',
+  WAY: 'WAY', WY: 'WAY'
+};
+
+// Suffixes that almost always end the street (used to find where the city starts in comma-less addresses)
+const STRONG_SUFFIXES = new Set(['ST', 'AVE', 'RD', 'DR', 'LN', 'BLVD', 'CT', 'CIR', 'WAY', 'PKWY', 'HWY', 'PL', 'TRL', 'TER', 'LOOP', 'FWY', 'EXPY', 'CV', 'XING']);
+
+const DIRECTIONALS = {
+  N: 'N', NORTH: 'N', S: 'S', SOUTH: 'S', E: 'E', EAST: 'E', W: 'W', WEST: 'W',
+  NE: 'NE', NORTHEAST: 'NE', NW: 'NW', NORTHWEST: 'NW', SE: 'SE', SOUTHEAST: 'SE', SW: 'SW', SOUTHWEST: 'SW'
+};
+
+// Secondary unit designators
+const UNIT_TYPES = {
+  APARTMENT: 'APT', APT: 'APT',
+  SUITE: 'STE', STE: 'STE',
+  UNIT: 'UNIT',
+  BUILDING: 'BLDG', BLDG: 'BLDG',
+  FLOOR: 'FL', FL: 'FL',
+  ROOM: 'RM', RM: 'RM',
+  LOT: 'LOT',
+  SPACE: 'SPC', SPC: 'SPC',
+  TRAILER: 'TRLR', TRLR: 'TRLR',
+  '#': '#'
+};
+
+const ORDINALS = {
+  FIRST: '1ST', SECOND: '2ND', THIRD: '3RD', FOURTH: '4TH', FIFTH: '5TH',
+  SIXTH: '6TH', SEVENTH: '7TH', EIGHTH: '8TH', NINTH: '9TH', TENTH: '10TH'
+};
+
+const STATES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA', COLORADO: 'CO',
+  CONNECTICUT: 'CT', DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC', FLORIDA: 'FL', GEORGIA: 'GA',
+  HAWAII: 'HI', IDAHO: 'ID', ILLINOIS: 'IL', INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY',
+  LOUISIANA: 'LA', MAINE: 'ME', MARYLAND: 'MD', MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN',
+  MISSISSIPPI: 'MS', MISSOURI: 'MO', MONTANA: 'MT', NEBRASKA: 'NE', NEVADA: 'NV', 'NEW HAMPSHIRE': 'NH',
+  'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND',
+  OHIO: 'OH', OKLAHOMA: 'OK', OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI',
+  'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD', TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT',
+  VIRGINIA: 'VA', WASHINGTON: 'WA', 'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY'
+};
+const STATE_CODES = new Set(Object.values(STATES));
+// Longest names first so "WEST VIRGINIA" wins over "VIRGINIA"
+const STATE_NAMES = Object.keys(STATES).sort((a, b) => b.length - a.length);
+
+const ZIP_REGEX = /(?:^|\s)(\d{5})(?:-?(\d{4}))?$/;
+
+function titleCase(value) {
+  return value.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+/**
+ * Normalize a state name or code
+ * @returns {String|null} Two-letter code
+ */
+function normalizeState(value) {
+  if (!value) return null;
+  const upper = String(value).toUpperCase().replace(/\./g, '').trim();
+  if (STATE_CODES.has(upper)) return upper;
+  return STATES[upper] || null;
+}
+
+/**
+ * Pull a trailing state (code or full name) off a string
+ * @returns {{ state: String|null, rest: String }}
+ */
+function takeState(text) {
+  const code = text.match(/(?:^|\s)([A-Z]{2})$/);
+  if (code && STATE_CODES.has(code[1])) {
+    return { state: code[1], rest: text.slice(0, code.index).trim() };
+  }
+  for (const name of STATE_NAMES) {
+    if (text === name || text.endsWith(` ${name}`)) {
+      return { state: STATES[name], rest: text.slice(0, text.length - name.length).trim() };
+    }
+  }
+  return { state: null, rest: text };
+}
+
+function isUnitToken(token) {
+  return Object.prototype.hasOwnProperty.call(UNIT_TYPES, token);
+}
+
+/**
+ * Split street tokens into USPS components
+ * @param {String[]} tokens - Upper-case tokens of the street part
+ * @param {Boolean} mayContainCity - No comma separated the city, so trailing words may be the city
+ */
+function parseStreetTokens(tokens, mayContainCity) {
+  const result = {
+    number: null, predirectional: null, streetName: null, suffix: null, postdirectional: null,
+    unitType: null, unit: null, trailing: []
+  };
+  let rest = [...tokens];
+
+  // House number: "123", "123A", "123-125", "123 1/2"
+  if (rest.length && /^\d+[A-Z]?(?:-\d+[A-Z]?)?$/.test(rest[0])) {
+    result.number = rest.shift();
+    if (rest[0] === '1/2') result.number += ` ${rest.shift()}`;
+  }
+
+  // Secondary unit: designator + identifier ("APT 4", "# 12", "STE B"); anything after it is trailing text
+  const unitIndex = rest.findIndex((token, i) => i > 0 && isUnitToken(token));
+  if (unitIndex !== -1) {
+    const unitTokens = rest.slice(unitIndex);
+    rest = rest.slice(0, unitIndex);
+    result.unitType = UNIT_TYPES[unitTokens[0]];
+    if (unitTokens[1] && unitTokens[1] !== '#') {
+      result.unit = unitTokens[1].replace(/^#/, '');
+      result.trailing = unitTokens.slice(2);
+    } else if (unitTokens[2]) {
+      result.unit = unitTokens[2];
+      result.trailing = unitTokens.slice(3);
+    }
+    if (!result.unit) result.unitType = null;
+  }
+
+  // Suffix: last suffix word with a street name before it (strong suffixes first when a city may follow)
+  const suffixCandidates = rest
+    .map((token, i) => ({ token, i }))
+    .filter(({ token, i }) => SUFFIXES[token] && i > 0);
+  let suffixAt = -1;
+  if (suffixCandidates.length) {
+    const strong = suffixCandidates.filter(c => STRONG_SUFFIXES.has(SUFFIXES[c.token]));
+    const pool = mayContainCity && strong.length ? strong : suffixCandidates;
+    // Highway-style names ("STATE HWY 121") keep a number after the suffix word
+    suffixAt = pool[pool.length - 1].i;
+    if (/^\d+$/.test(rest[suffixAt + 1] || '') && pool.length === 1) suffixAt = -1;
+  }
+
+  let nameTokens = suffixAt === -1 ? rest : rest.slice(0, suffixAt);
+  let after = suffixAt === -1 ? [] : rest.slice(suffixAt + 1);
+  if (suffixAt !== -1) result.suffix = SUFFIXES[rest[suffixAt]];
+
+  // Pre-directional: only when something besides it names the street ("123 NORTH ST" is North Street)
+  if (nameTokens.length > 1 && DIRECTIONALS[nameTokens[0]]) {
+    result.predirectional = DIRECTIONALS[nameTokens[0]];
+    nameTokens = nameTokens.slice(1);
+  }
+  // Post-directional: right after the suffix, or ending a suffix-less name ("123 BROADWAY N")
+  if (after.length && DIRECTIONALS[after[0]]) {
+    result.postdirectional = DIRECTIONALS[after[0]];
+    after = after.slice(1);
+  } else if (suffixAt === -1 && nameTokens.length > 1 && DIRECTIONALS[nameTokens[nameTokens.length - 1]] && !mayContainCity) {
+    result.postdirectional = DIRECTIONALS[nameTokens[nameTokens.length - 1]];
+    nameTokens = nameTokens.slice(0, -1);
+  }
+
+  result.streetName = nameTokens.map(token => ORDINALS[token] || token).join(' ') || null;
+  result.trailing = [...after, ...result.trailing];
+  return result;
+}
+
+/**
+ * Normalize a free-form address
+ * @param {String} input - e.g. "123 Main Street, Dallas TX 75201" or "123 MAIN ST APT 4"
+ * @param {Object} hints - { city, state, zip } from separate fields, used when the string lacks them
+ * @returns {Object|null} { line1, number, predirectional, streetName, suffix, postdirectional, unitType, unit,
+ *   city, state, zip, zip4, key, formatted } — null when there is nothing to normalize
+ */
+function normalizeAddress(input, hints = {}) {
+  if (!input || typeof input !== 'string') return null;
+
+  let text = input
+    .toUpperCase()
+    .replace(/\./g, '')
+    .replace(/#\s*/g, ' # ')
+    .replace(/[^A-Z0-9#,/\-\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  text = text.replace(/,?\s*(USA|US|UNITED STATES)$/, '');
+  if (!text) return null;
+
+  let parts = text.split(',').map(p => p.trim()).filter(Boolean);
+  let zip = null;
+  let zip4 = null;
+  let state = null;
+  let city = null;
+
+  // Trailing ZIP, then state, then (when separated by a comma) city
+  const last = () => parts[parts.length - 1];
+  const zipMatch = last().match(ZIP_REGEX);
+  if (zipMatch && (parts.length > 1 || last().split(' ').length > 1)) {
+    zip = zipMatch[1];
+    zip4 = zipMatch[2] || null;
+    parts[parts.length - 1] = last().slice(0, zipMatch.index).trim();
+    if (!last()) parts.pop();
+  }
+  if (parts.length) {
+    const taken = takeState(last());
+    if (taken.state && (parts.length > 1 || taken.rest.split(' ').length > 1)) {
+      state = taken.state;
+      parts[parts.length - 1] = taken.rest;
+      if (!last()) parts.pop();
+    }
+  }
+  if (parts.length > 1 && !isUnitToken(last().split(' ')[0])) {
+    city = parts.pop();
+  }
+
+  // Remaining parts: street first, then any "APT 4" style parts
+  const streetTokens = parts.shift().split(' ').filter(Boolean);
+  for (const extra of parts) {
+    const tokens = extra.split(' ');
+    if (isUnitToken(tokens[0])) streetTokens.push(...tokens);
+  }
+
+  const street = parseStreetTokens(streetTokens, !city && parts.length === 0);
+  if (!city && street.trailing.length) {
+    city = street.trailing.join(' ');
+  }
+
+  city = city || (hints.city ? String(hints.city).toUpperCase().trim() : null);
+  state = state || normalizeState(hints.state);
+  if (!zip && hints.zip) {
+    const hinted = String(hints.zip).match(/^(\d{5})(?:-?(\d{4}))?/);
+    if (hinted) {
+      zip = hinted[1];
+      zip4 = hinted[2] || null;
+    }
+  }
+
+  const streetLine = [street.number, street.predirectional, street.streetName, street.suffix, street.postdirectional]
+    .filter(Boolean)
+    .join(' ');
+  if (!streetLine) return null;
+  const unitLine = street.unit ? `${street.unitType} ${street.unit}` : '';
+  const line1 = [streetLine, unitLine].filter(Boolean).join(' ');
+  const cityName = city ? titleCase(city) : null;
+
+  return {
+    line1,
+    number: street.number,
+    predirectional: street.predirectional,
+    streetName: street.streetName,
+    suffix: street.suffix,
+    postdirectional: street.postdirectional,
+    unitType: street.unit ? street.unitType : null,
+    unit: street.unit,
+    city: cityName,
+    state,
+    zip,
+    zip4,
+    // "APT 4", "UNIT 4" and "# 4" are the same unit
+    key: street.unit ? `${streetLine} #${street.unit}` : streetLine,
+    formatted: [line1, cityName, [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+  };
+}
+
+/**
+ * "Dallas County", "DALLAS CO", "dallas" → "dallas"
+ * @returns {String|null}
+ */
+function normalizeCounty(value) {
+  if (!value) return null;
+  const county = String(value).toLowerCase().replace(/\./g, '').replace(/\s+(county|co|parish)$/, '').replace(/\s+/g, ' ').trim();
+  return county || null;
+}
+
+module.exports = {
+  normalizeAddress,
+  normalizeState,
+  normalizeCounty,
+  SUFFIXES,
+  DIRECTIONALS,
+  UNIT_TYPES
+};
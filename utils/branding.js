@@ -0,0 +1,283 @@
+// utils/branding.js
+// Tenant branding / theme shared by every outbound artifact: buyer emails, deal packages,
+// login emails and PDFs. Tenant fields: brandName, logoUrl, primaryColor, secondaryColor,
+// footerText, replyToEmail (unset or invalid values fall back to DEFAULT_BRANDING).
+
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const Tenant = require('../models/Tenant');
+
+const DEFAULT_BRANDING = {
+  brandName: 'Elite Nexus',
+  logoUrl: '',
+  primaryColor: '#0b1d51',
+  secondaryColor: '#ff6f00',
+  footerText: '',
+  replyTo: null
+};
+
+const BRAND_FIELDS = 'name brandName logoUrl primaryColor secondaryColor footerText replyToEmail';
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HTTP_URL = /^https?:\/\/\S+$/i;
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+const LOGO_MAX_REDIRECTS = 3;
+const FOOTER_MAX_LENGTH = 500;
+
+// Logo URLs are tenant-supplied and fetched server-side: never connect to internal networks
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Theme for a tenant document (or defaults when there is none)
+ * @param {Object|null} tenant
+ * @returns {Object} { brandName, logoUrl, primaryColor, secondaryColor, footerText, replyTo }
+ */
+function resolveBranding(tenant) {
+  if (!tenant) return { ...DEFAULT_BRANDING };
+  return {
+    brandName: tenant.brandName || tenant.name || DEFAULT_BRANDING.brandName,
+    logoUrl: HTTP_URL.test(tenant.logoUrl || '') ? tenant.logoUrl : '',
+    primaryColor: HEX_COLOR.test(tenant.primaryColor || '') ? tenant.primaryColor : DEFAULT_BRANDING.primaryColor,
+    secondaryColor: HEX_COLOR.test(tenant.secondaryColor || '') ? tenant.secondaryColor : DEFAULT_BRANDING.secondaryColor,
+    footerText: tenant.footerText || '',
+    replyTo: EMAIL.test(tenant.replyToEmail || '') ? tenant.replyToEmail : null
+  };
+}
+
+/**
+ * Load a tenant's theme
+ * @param {ObjectId|String|null} tenantId
+ * @returns {Promise<Object>} See resolveBranding
+ */
+async function getTenantBranding(tenantId) {
+  if (!tenantId) return resolveBranding(null);
+  const tenant = await Tenant.findById(tenantId).select(BRAND_FIELDS).lean();
+  return resolveBranding(tenant);
+}
+
+/**
+ * Validate a branding update
+ * @returns {{update: Object, errors: Array<string>}}
+ */
+function validateBranding(body = {}) {
+  const update = {};
+  const errors = [];
+  const text = value => (value === null ? '' : String(value).trim());
+
+  if (body.brandName !== undefined) update.brandName = text(body.brandName);
+  if (body.logoUrl !== undefined) {
+    const logoUrl = text(body.logoUrl);
+    if (logoUrl && !HTTP_URL.test(logoUrl)) errors.push('logoUrl must be an http(s) URL');
+    else update.logoUrl = logoUrl;
+  }
+  for (const field of ['primaryColor', 'secondaryColor']) {
+    if (body[field] === undefined) continue;
+    if (!HEX_COLOR.test(text(body[field]))) errors.push(`${field} must be a hex color like #0b1d51`);
+    else update[field] = text(body[field]);
+  }
+  if (body.footerText !== undefined) {
+    const footerText = text(body.footerText);
+    if (footerText.length > FOOTER_MAX_LENGTH) errors.push(`footerText must be at most ${FOOTER_MAX_LENGTH} characters`);
+    else update.footerText = footerText;
+  }
+  if (body.replyToEmail !== undefined) {
+    const replyToEmail = text(body.replyToEmail).toLowerCase();
+    if (replyToEmail && !EMAIL.test(replyToEmail)) errors.push('replyToEmail must be an email address');
+    else update.replyToEmail = replyToEmail;
+  }
+
+  return { update, errors };
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Readable text color on a background (WCAG relative luminance)
+ */
+function textColorOn(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.4 ? '#111111' : '#ffffff';
+}
+
+/**
+ * Header bar for HTML emails and deal packages: logo (or brand name) on the primary color
+ */
+function brandHeaderHtml(branding) {
+  const mark = branding.logoUrl
+    ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.brandName)}" style="max-height: 48px; max-width: 220px;">`
+    : `<span style="font-size: 20px; font-weight: bold; color: ${textColorOn(branding.primaryColor)};">${escapeHtml(branding.brandName)}</span>`;
+  return `<div style="background: ${branding.primaryColor}; padding: 16px 20px; text-align: center;">${mark}</div>`;
+}
+
+/**
+ * Footer for HTML emails and deal packages: tenant footer text and brand name, under an accent rule
+ */
+function brandFooterHtml(branding) {
+  const footer = branding.footerText
+    ? `<p style="margin: 0 0 6px;">${escapeHtml(branding.footerText).replace(/\n/g, '<br>')}</p>`
+    : '';
+  return `<div style="border-top: 2px solid ${branding.secondaryColor}; margin-top: 24px; padding-top: 12px; font-size: 12px; color: #777;">` +
+    `${footer}<p style="margin: 0;">${escapeHtml(branding.brandName)}</p></div>`;
+}
+
+/**
+ * Full branded HTML email
+ * @param {Object} branding - From resolveBranding
+ * @param {Object} content - { title, bodyHtml }
+ * @returns {String}
+ */
+function emailLayout(branding, { title = '', bodyHtml = '' }) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title || branding.brandName)}</title></head>
+<body style="margin: 0; background: #f4f4f4;">
+  <div style="max-width: 600px; margin: 0 auto; background: #ffffff; font-family: Arial, sans-serif; line-height: 1.5; color: #333;">
+    ${brandHeaderHtml(branding)}
+    <div style="padding: 20px;">
+      ${bodyHtml}
+      ${brandFooterHtml(branding)}
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Plain-text email footer
+ */
+function textFooter(branding) {
+  return ['---', branding.footerText, branding.brandName].filter(Boolean).join('\n');
+}
+
+/**
+ * "Brand Name" <address> for the From header
+ */
+function senderFor(branding, address) {
+  if (!address) return address;
+  const bare = address.replace(/^.*<([^>]+)>\s*$/, '$1');
+  return `"${branding.brandName.replace(/["\\]/g, '')}" <${bare}>`;
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return !family || PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for the logo agent: refuses hosts that resolve to a private, loopback or link-local
+// address. Runs on every connection, so re-resolved (rebound) names are checked too. IP literals
+// skip the lookup; logoHostError checks those on every hop.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    callback(null, address, family);
+  });
+}
+
+let logoAgent = null;
+
+/**
+ * Why a logo URL (or redirect target) may not be fetched, or null when it may
+ */
+function logoHostError(url) {
+  if (!/^https?:$/.test(url.protocol)) return 'not http(s)';
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(host) && isPrivateAddress(host) ? 'private address' : null;
+}
+
+/**
+ * Response body up to maxBytes; null (and the download stopped) once it goes past
+ */
+async function readCapped(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) return null; // leaving the loop cancels the stream
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Logo bytes for PDFs (PNG / JPEG only, up to 2 MB); null when missing, unreachable, too large or
+ * not on a public host. Redirects are followed by hand so every hop is checked.
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadLogo(branding) {
+  if (!branding.logoUrl) return null;
+  try {
+    logoAgent = logoAgent || new Agent({ connect: { lookup: publicLookup } });
+    const signal = AbortSignal.timeout(5000);
+    let url = new URL(branding.logoUrl);
+    let response;
+    for (let hop = 0; ; hop++) {
+      const refused = logoHostError(url);
+      if (refused) {
+        console.warn(`[Branding] Logo ${branding.logoUrl} skipped (${url.host}: ${refused})`);
+        return null;
+      }
+      response = await fetch(url, { dispatcher: logoAgent, redirect: 'manual', signal });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      await response.body?.cancel();
+      if (hop === LOGO_MAX_REDIRECTS) {
+        console.warn(`[Branding] Logo ${branding.logoUrl} skipped (too many redirects)`);
+        return null;
+      }
+      url = new URL(location, url);
+    }
+
+    const type = response.headers.get('content-type') || '';
+    if (!response.ok || !/image\/(png|jpe?g)/i.test(type)) {
+      await response.body?.cancel();
+      console.warn(`[Branding] Logo ${branding.logoUrl} skipped (${response.status} ${type})`);
+      return null;
+    }
+    const length = parseInt(response.headers.get('content-length'));
+    const logo = length > LOGO_MAX_BYTES ? null : await readCapped(response, LOGO_MAX_BYTES);
+    if (!logo) {
+      await response.body?.cancel().catch(() => {});
+      console.warn(`[Branding] Logo ${branding.logoUrl} skipped (larger than ${LOGO_MAX_BYTES} bytes)`);
+    }
+    return logo;
+  } catch (err) {
+    console.warn(`[Branding] Logo ${branding.logoUrl} could not be loaded:`, (err.cause || err).message);
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_BRANDING,
+  resolveBranding,
+  getTenantBranding,
+  validateBranding,
+  escapeHtml,
+  textColorOn,
+  brandHeaderHtml,
+  brandFooterHtml,
+  emailLayout,
+  textFooter,
+  senderFor,
+  loadLogo
+};
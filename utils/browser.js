@@ -1,27 +1,31 @@
 // utils/browser.js
 // Playwright browser utilities for headless scraping
-// Only used when USE_PLAYWRIGHT=true
+// Only used when USE_PLAYWRIGHT=true (scraper SDK 'playwright' fetch strategy)
 
 const { chromium } = require('playwright');
+const { toPlaywrightProxy } = require('./proxypool');
 
 /**
  * Launches a headless browser instance with realistic defaults
  * @param {Object} options - Browser launch options
  * @param {Boolean} options.headless - Run in headless mode (default: true)
  * @param {String} options.userAgent - Custom user agent (default: realistic desktop)
+ * @param {String} options.proxy - Proxy URL for every page of this browser (from utils/proxypool)
  * @returns {Promise<Browser>} - Playwright browser instance
  */
 async function launchBrowser(options = {}) {
   const {
     headless = true,
-    userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    proxy = null
   } = options;
 
-  console.log('[PLAYWRIGHT] launch: Starting browser...');
+  console.log(`[PLAYWRIGHT] launch: Starting browser${proxy ? ' (proxied)' : ''}...`);
 
   try {
     const browser = await chromium.launch({
       headless,
+      ...(proxy && { proxy: toPlaywrightProxy(proxy) }),
       args: [
         '--no-sandbox',
         '--disable-setuid-sandbox',
@@ -45,22 +49,24 @@ async function launchBrowser(options = {}) {
  * @param {Object} options - Page options
  * @param {String} options.userAgent - Custom user agent
  * @param {Number} options.timeout - Navigation timeout in ms (default: 30000)
+ * @param {String} options.proxy - Proxy URL for this page's context (overrides the browser proxy)
  * @returns {Promise<Page>} - Playwright page instance
  */
 async function newPage(browser, options = {}) {
   const {
     userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    timeout = 30000
+    timeout = 30000,
+    proxy = null
   } = options;
 
   try {
-    const page = await browser.newPage();
-    
-    // Set realistic viewport
-    await page.setViewportSize({ width: 1920, height: 1080 });
-    
-    // Set user agent
-    await page.setUserAgent(userAgent);
+    // User agent is a context option in Playwright (no page.setUserAgent)
+    const context = await browser.newContext({
+      userAgent,
+      viewport: { width: 1920, height: 1080 },
+      ...(proxy && { proxy: toPlaywrightProxy(proxy) })
+    });
+    const page = await context.newPage();
     
     // Set default timeout
     page.setDefaultTimeout(timeout);
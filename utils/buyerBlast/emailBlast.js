@@ -4,15 +4,25 @@
  * Sends deal summary emails to matched buyers
  */
 
+const DealBlast = require('../../models/DealBlast');
+const DealBlastRecipient = require('../../models/DealBlastRecipient');
 const EmailProvider = require('../../services/outboundProviders/emailProvider');
+const { determineMarketKey } = require('../../services/buyerMatchingService');
+const { assignReplyAddress } = require('../../src/services/blastReplyService');
+const { DEFAULT_BRANDING, getTenantBranding, emailLayout, escapeHtml, textFooter } = require('../branding');
+
+// DealBlast.messageTemplateKey for these emails (formatDealSummary, not a Template)
+const DEAL_SUMMARY_TEMPLATE_KEY = 'closer_deal_summary';
 
 /**
  * Format deal summary for email
+ * @param {Object} options - { maskAddress, includeFullDetails, branding: utils/branding.js theme }
  */
 function formatDealSummary(lead, options = {}) {
   const {
     maskAddress = false,
-    includeFullDetails = true
+    includeFullDetails = true,
+    branding = DEFAULT_BRANDING
   } = options;
 
   const address = lead.propertyAddress || lead.dialerIntake?.propertyAddress || 'Address not available';
@@ -55,71 +65,67 @@ Additional Information:
 ${lead.description || lead.dialerIntake?.notes || 'No additional details available'}
 ` : ''}
 
----
-This is a deal opportunity from Elite Nexus CRM.
 Reply YES to express interest or request more information.
 To opt out, reply STOP or UNSUBSCRIBE.
+
+${textFooter(branding)}
   `.trim();
 
   // HTML version
-  const htmlSummary = `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-    .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
-    .content { padding: 20px; }
-    .property-details { background-color: #f5f5f5; padding: 15px; margin: 15px 0; border-radius: 5px; }
-    .detail-row { margin: 8px 0; }
-    .label { font-weight: bold; color: #555; }
-    .cta { background-color: #2196F3; color: white; padding: 15px; text-align: center; margin: 20px 0; border-radius: 5px; }
-    .footer { font-size: 12px; color: #777; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <h1>NEW DEAL OPPORTUNITY</h1>
-  </div>
-  <div class="content">
-    <div class="property-details">
-      <div class="detail-row"><span class="label">Address:</span> ${maskedAddress}</div>
-      <div class="detail-row"><span class="label">Location:</span> ${city}, ${state} ${lead.zip || ''}</div>
-      <div class="detail-row"><span class="label">County:</span> ${county}</div>
-      <div class="detail-row"><span class="label">Property Type:</span> ${propertyType}</div>
-      <div class="detail-row"><span class="label">Beds:</span> ${beds} | <span class="label">Baths:</span> ${baths} | <span class="label">SqFt:</span> ${sqftFormatted}</div>
-      <div class="detail-row"><span class="label">Year Built:</span> ${yearBuilt}</div>
-      <div class="detail-row"><span class="label">Condition:</span> ${condition}</div>
-      <div class="detail-row"><span class="label">Price/Terms:</span> ${priceFormatted}</div>
-    </div>
-    ${includeFullDetails && (lead.description || lead.dialerIntake?.notes) ? `
-    <div>
-      <h3>Additional Information:</h3>
-      <p>${(lead.description || lead.dialerIntake?.notes || '').replace(/\n/g, '<br>')}</p>
-    </div>
-    ` : ''}
-    <div class="cta">
-      <p><strong>Interested in this deal?</strong></p>
-      <p>Reply YES to express interest or request more information.</p>
-    </div>
-    <div class="footer">
-      <p>This is a deal opportunity from Elite Nexus CRM.</p>
-      <p>To opt out, reply STOP or UNSUBSCRIBE.</p>
-    </div>
-  </div>
-</body>
-</html>
-  `.trim();
+  const row = (label, value) => `<div style="margin: 8px 0;"><strong style="color: #555;">${label}:</strong> ${escapeHtml(value)}</div>`;
+  const notes = lead.description || lead.dialerIntake?.notes;
+  const htmlSummary = emailLayout(branding, {
+    title: 'New Deal Opportunity',
+    bodyHtml: `
+      <h1 style="color: ${branding.primaryColor}; font-size: 22px; text-align: center;">NEW DEAL OPPORTUNITY</h1>
+      <div style="background-color: #f5f5f5; padding: 15px; margin: 15px 0; border-radius: 5px;">
+        ${row('Address', maskedAddress)}
+        ${row('Location', `${city}, ${state} ${lead.zip || ''}`)}
+        ${row('County', county)}
+        ${row('Property Type', propertyType)}
+        ${row('Beds', beds)} ${row('Baths', baths)} ${row('SqFt', sqftFormatted)}
+        ${row('Year Built', yearBuilt)}
+        ${row('Condition', condition)}
+        ${row('Price/Terms', priceFormatted)}
+      </div>
+      ${includeFullDetails && notes ? `<h3>Additional Information:</h3><p>${escapeHtml(notes).replace(/\n/g, '<br>')}</p>` : ''}
+      <div style="border: 2px solid ${branding.secondaryColor}; padding: 15px; text-align: center; margin: 20px 0; border-radius: 5px;">
+        <p><strong>Interested in this deal?</strong></p>
+        <p>Reply YES to express interest or request more information.</p>
+      </div>
+      <p style="font-size: 12px; color: #777;">To opt out, reply STOP or UNSUBSCRIBE.</p>`
+  });
 
   return { text: textSummary, html: htmlSummary };
 }
 
+/**
+ * Email DealBlast for a closer's buyer blast, so it is tracked like /api/deal-blasts
+ */
+async function createEmailBlast(lead, createdBy) {
+  const blast = new DealBlast({
+    tenantId: lead.tenantId,
+    leadId: lead._id,
+    marketKey: determineMarketKey(lead) || 'UNKNOWN',
+    gradeAtBlast: lead.leadScore?.grade || 'Dead',
+    createdBy,
+    channel: 'email',
+    status: 'draft',
+    messageTemplateKey: DEAL_SUMMARY_TEMPLATE_KEY
+  });
+  await blast.save();
+  return blast;
+}
+
 /**
  * Send buyer blast email
+ * Real sends are recorded as an email DealBlast with a DealBlastRecipient per buyer; each email goes out
+ * with the recipient's reply address (BLAST_REPLY_EMAIL) so replies and bounces are captured.
  * @param {Object} lead - Lead document
  * @param {Array} buyers - Array of buyer documents
- * @param {Object} options - Options for email sending
- * @returns {Promise<Object>} Results with sent/failed counts
+ * @param {Object} options - Options for email sending: { createdBy (user id, required to send), maskAddress,
+ *   includeFullDetails, subject, branding (defaults to the lead's tenant) }
+ * @returns {Promise<Object>} Results with sent/failed counts and the DealBlast id (null when nothing was sent)
  */
 async function sendBuyerBlast(lead, buyers, options = {}) {
   const {
@@ -129,13 +135,17 @@ async function sendBuyerBlast(lead, buyers, options = {}) {
   } = options;
 
   const emailProvider = new EmailProvider();
-  const dealSummary = formatDealSummary(lead, { maskAddress, includeFullDetails });
+  const branding = options.branding || await getTenantBranding(lead.tenantId);
+  const dealSummary = formatDealSummary(lead, { maskAddress, includeFullDetails, branding });
 
   const results = {
     sent: [],
     failed: [],
-    total: buyers.length
+    total: buyers.length,
+    dealBlastId: null
   };
+  let blast = null;
+  const blastStats = { recipients: 0, delivered: 0, failed: 0 };
 
   const emailSubject = subject || `New Deal Opportunity - ${lead.propertyAddress || 'Property'}`;
 
@@ -177,17 +187,49 @@ async function sendBuyerBlast(lead, buyers, options = {}) {
 
       // Send email
       if (emailProvider.isConfigured()) {
-        await emailProvider.send({
-          to: buyerEmail,
-          subject: emailSubject,
-          message: dealSummary.text,
-          html: dealSummary.html,
-          metadata: {
-            leadId: lead._id.toString(),
-            buyerId: buyer._id.toString(),
-            type: 'buyer_blast'
-          }
+        blast = blast || await createEmailBlast(lead, options.createdBy);
+        results.dealBlastId = blast._id;
+
+        const recipient = new DealBlastRecipient({
+          dealBlastId: blast._id,
+          buyerId: buyer._id,
+          channel: 'email',
+          status: 'queued'
         });
+        // Replies and bounces come back to the recipient's own address (ingested via /api/inbound/email)
+        const replyAddress = assignReplyAddress(recipient);
+        await recipient.save();
+        blastStats.recipients++;
+
+        try {
+          const result = await emailProvider.send({
+            to: buyerEmail,
+            subject: emailSubject,
+            message: dealSummary.text,
+            html: dealSummary.html,
+            fromName: branding.brandName,
+            replyTo: replyAddress || branding.replyTo,
+            returnPath: replyAddress || undefined,
+            dealBlastRecipientId: recipient._id.toString(),
+            metadata: {
+              leadId: lead._id.toString(),
+              buyerId: buyer._id.toString(),
+              blastId: blast._id.toString(),
+              type: 'buyer_blast'
+            }
+          });
+          recipient.status = 'sent';
+          recipient.sentAt = new Date();
+          recipient.tracking = { messageId: result.messageId, provider: result.provider };
+          blastStats.delivered++;
+        } catch (sendErr) {
+          blastStats.failed++;
+          recipient.status = 'failed';
+          recipient.reasonExcluded = sendErr.message;
+          throw sendErr;
+        } finally {
+          await recipient.save();
+        }
       } else {
         // Stub mode - just log
         console.log(`[Buyer Blast] Would send email to ${buyerEmail} for lead ${lead._id}`);
@@ -214,6 +256,18 @@ async function sendBuyerBlast(lead, buyers, options = {}) {
     }
   }
 
+  if (blast) {
+    blast.status = 'sent';
+    blast.sentAt = new Date();
+    blast.stats = {
+      ...blastStats,
+      replies: 0,
+      interested: 0,
+      notInterested: 0
+    };
+    await blast.save();
+  }
+
   return results;
 }
 
@@ -0,0 +1,98 @@
+// utils/buyerReplyClassifier/index.js
+// Buyer reply classification for deal blast replies (SMS and email).
+// Classifiers are pluggable: register one with registerReplyClassifier and select it with BUYER_REPLY_CLASSIFIER.
+// A classifier takes (text, context) and returns { intent, counterPrice?, closeDays?, requests?, confidence? },
+// or null to leave the reply to the rules classifier.
+
+const rulesClassifier = require('./rulesClassifier');
+
+const INTENTS = ['interested', 'counter_offer', 'pass', 'price_too_high', 'needs_more_info', 'wrong_market', 'unknown'];
+const INFO_REQUESTS = ['photos', 'access', 'comps'];
+
+// Intent -> BuyerFeedback.responseType and DealBlastRecipient.status
+// A counter-offer is interest at the buyer's price; price discovery reads the price itself.
+const INTENT_OUTCOMES = {
+  interested: { responseType: 'interested', recipientStatus: 'interested' },
+  counter_offer: { responseType: 'interested', recipientStatus: 'interested' },
+  pass: { responseType: 'pass', recipientStatus: 'not_interested' },
+  price_too_high: { responseType: 'price_too_high', recipientStatus: 'not_interested' },
+  wrong_market: { responseType: 'wrong_market', recipientStatus: 'not_interested' },
+  needs_more_info: { responseType: 'needs_more_info', recipientStatus: 'replied' },
+  unknown: { responseType: 'needs_more_info', recipientStatus: 'replied' }
+};
+
+const classifiers = {
+  rules: rulesClassifier.classify
+};
+
+/**
+ * Register a reply classifier (e.g. one backed by a language model)
+ * @param {string} name - Value for BUYER_REPLY_CLASSIFIER
+ * @param {Function} classify - async (text, context) => result | null
+ */
+function registerReplyClassifier(name, classify) {
+  if (typeof classify !== 'function') {
+    throw new Error(`Reply classifier ${name} must be a function`);
+  }
+  classifiers[name] = classify;
+}
+
+/**
+ * Clean up a classifier result so a plug-in can't store junk on BuyerFeedback
+ */
+function normalizeResult(result, classifier) {
+  const intent = INTENTS.includes(result.intent) ? result.intent : 'unknown';
+  const counterPrice = Number(result.counterPrice);
+  const closeDays = Number(result.closeDays);
+  const confidence = Number(result.confidence);
+
+  return {
+    intent,
+    counterPrice: counterPrice > 0 ? Math.round(counterPrice) : null,
+    closeDays: closeDays > 0 ? Math.round(closeDays) : null,
+    requests: (result.requests || []).filter(r => INFO_REQUESTS.includes(r)),
+    confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+    classifier,
+    ...INTENT_OUTCOMES[intent]
+  };
+}
+
+/**
+ * Classify a buyer reply with the configured classifier, falling back to the rules classifier
+ * @param {string} text - Reply body
+ * @param {Object} context - { classifier?: name (overrides BUYER_REPLY_CLASSIFIER), channel?, leadId?, buyerId? }
+ * @returns {Promise<Object>} { intent, counterPrice, closeDays, requests, confidence, classifier, responseType, recipientStatus }
+ */
+async function classifyBuyerReply(text, context = {}) {
+  const name = context.classifier || process.env.BUYER_REPLY_CLASSIFIER || 'rules';
+  const classify = classifiers[name];
+
+  if (!classify) {
+    console.warn(`[Reply Classifier] Unknown classifier "${name}", using rules`);
+  } else if (name !== 'rules') {
+    try {
+      const result = await classify(text, context);
+      if (result) return normalizeResult(result, name);
+    } catch (err) {
+      console.error(`[Reply Classifier] ${name} failed, using rules:`, err.message);
+    }
+  }
+
+  return normalizeResult(rulesClassifier.classify(text, context), 'rules');
+}
+
+/**
+ * The classification as stored on BuyerFeedback.reply
+ */
+function toFeedbackReply(result) {
+  const { intent, counterPrice, closeDays, requests, confidence, classifier } = result;
+  return { intent, counterPrice, closeDays, requests, confidence, classifier };
+}
+
+module.exports = {
+  INTENTS,
+  INFO_REQUESTS,
+  classifyBuyerReply,
+  registerReplyClassifier,
+  toFeedbackReply
+};
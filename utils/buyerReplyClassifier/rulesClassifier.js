@@ -0,0 +1,170 @@
+// utils/buyerReplyClassifier/rulesClassifier.js
+// Pattern-based classifier for buyer replies to deal blasts ("I'd do 145k cash, close in 10 days", "send pics").
+// Pulls out the intent, a counter-offer price, the close timeline and requests for photos, access or comps.
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, ten: 10, fourteen: 14, twenty: 20, thirty: 30
+};
+const UNIT_DAYS = { day: 1, week: 7, wk: 7, month: 30, mo: 30 };
+const COUNT = `(\\d+|${Object.keys(WORD_NUMBERS).join('|')})`;
+const UNIT = '(day|week|wk|month|mo)s?';
+
+// "close in 10 days", "closing within 2 weeks", "10 day close", "coe in 30 days"
+const CLOSE_PATTERNS = [
+  new RegExp(`\\b(?:close|closing|coe)\\s+(?:in|within)\\s+${COUNT}\\s*-?\\s*${UNIT}\\b`),
+  new RegExp(`\\b${COUNT}\\s*-?\\s*${UNIT}\\s+(?:close|closing|coe)\\b`)
+];
+
+// $145,000 | 145k | $1.2m | 145 thousand | 145000
+const PRICE_PATTERN = /(\$\s*)?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k|m|mil|thousand|grand)?\b/g;
+const PRICE_MULTIPLIERS = { k: 1000, thousand: 1000, grand: 1000, m: 1000000, mil: 1000000 };
+const NOT_A_PRICE_AFTER = /^\s*-?\s*(sq|sf|square|day|week|wk|month|mo|year|yr|bed|bd|bath|ba|unit|door|%)/;
+const MIN_PRICE = 1000;
+const MAX_PRICE = 50000000;
+
+// The buyer naming their own number, as opposed to quoting ours back
+const OFFER_CUE = /\b(?:(?:i'?d|i\s+would|i\s+can|i\s+could|we'?d|we\s+would|we\s+can|we\s+could|i'?ll|we'?ll|willing\s+to)\s+(?:do|pay|offer|go|take\s+it|buy\s+it)|offer|counter|best\s+i\s+can\s+do|all\s+in\s+at|take\s+it\s+at|works?\s+at|max\s+(?:i\s+can\s+)?(?:do|pay))\b/;
+// ... or right after it: "150k works for me", "140k cash and I'm in"
+const OFFER_CUE_AFTER = /^\s*(?:cash\s+)?(?:works|and\s+i'?m\s+in|and\s+we'?re\s+in|i'?d\s+do\s+it|all\s+day)\b/;
+
+const INFO_REQUESTS = {
+  photos: /\b(pics?|pictures?|photos?|images?|videos?)\b/,
+  access: /\b(access|walk\s*-?\s*through|walk\s+it|see\s+(?:it|the\s+(?:house|property|place|inside))|showing|lock\s?box|look\s+inside|get\s+inside|tour)\b/,
+  comps: /\b(comps?|comparables?|comparable\s+sales|sold\s+data|arv\s+support)\b/
+};
+
+const YES_REPLY = /^(yes|y|yep|yeah|yes\s+please|interested|i'?m\s+interested|sure|ok|okay)$/;
+const NO_REPLY = /^(no|n|nope|nah|pass|not\s+int)$/;
+const NOT_INTERESTED = /\b(not\s+interested|no\s+thanks?|no\s+thank\s+you|(?:i|we)'?ll\s+pass|pass(?:ing)?\s+on|not\s+for\s+(?:me|us)|not\s+a\s+fit|no\s+interest|not\s+buying)\b/;
+const WRONG_MARKET = /(wrong\s+(?:market|area)|not\s+(?:in\s+)?my\s+(?:market|area)|different\s+area|outside\s+(?:my|our)\s+(?:market|area)|don'?t\s+buy\s+(?:there|in\s+that\s+area))/;
+const TOO_HIGH = /(too\s+high|too\s+expensive|too\s+much|too\s+rich|overpriced|price\s+is\s+high|numbers?\s+(?:don'?t|do\s+not)\s+work)/;
+const INTERESTED = /\b(interested|i'?m\s+in|we'?re\s+in|i\s+want\s+(?:it|this)|lock\s+(?:it|this)\s+up|send\s+(?:me\s+)?(?:the\s+)?contract|love\s+(?:it|this)|let'?s\s+do\s+it)\b/;
+const MORE_INFO = /(more\s+info|details|tell\s+me\s+more|what'?s\s+the\s+address|repairs?\s+needed|rehab\s+estimate|what\s+needs?\s+work|\?\s*$)/;
+
+/**
+ * Normalise casing, curly apostrophes and whitespace
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Dollar amounts in the text, in order
+ * Plain numbers without $, k/m or thousands commas need to be at least 10,000 to count (so "3 bed", "10 days" never do).
+ * @returns {Array<{ price: number, index: number, after: string }>}
+ */
+function extractPrices(text) {
+  const prices = [];
+  for (const match of text.matchAll(PRICE_PATTERN)) {
+    const [raw, dollar, digits, suffix] = match;
+    const after = text.slice(match.index + raw.length);
+    if (!suffix && NOT_A_PRICE_AFTER.test(after)) continue;
+
+    const multiplier = suffix ? PRICE_MULTIPLIERS[suffix] : 1;
+    const price = Math.round(parseFloat(digits.replace(/,/g, '')) * multiplier);
+    const marked = dollar || suffix || digits.includes(',');
+    if (!marked && price < 10000) continue;
+    if (price < MIN_PRICE || price > MAX_PRICE) continue;
+
+    prices.push({ price, index: match.index, after });
+  }
+  return prices;
+}
+
+/**
+ * Days to close from "close in 2 weeks" / "10 day close"
+ * @returns {number|null}
+ */
+function extractCloseDays(text) {
+  for (const pattern of CLOSE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const count = WORD_NUMBERS[match[1]] || parseInt(match[1], 10);
+      return count * UNIT_DAYS[match[2]];
+    }
+  }
+  return null;
+}
+
+/**
+ * The buyer's counter-offer: the first price after an offer cue ("I'd do 145k") or followed by one
+ * ("150k works for me"), or a reply that is little more than a price ("145k cash?")
+ * @returns {{ price: number, cued: boolean }|null}
+ */
+function extractCounterOffer(text, prices) {
+  if (prices.length === 0) return null;
+
+  const cue = text.match(OFFER_CUE);
+  if (cue) {
+    const afterCue = prices.find(p => p.index >= cue.index);
+    if (afterCue) return { price: afterCue.price, cued: true };
+  }
+  const cuedAfter = prices.find(p => OFFER_CUE_AFTER.test(p.after));
+  if (cuedAfter) return { price: cuedAfter.price, cued: true };
+
+  const leftover = text.replace(PRICE_PATTERN, '').replace(/\b(cash|all\s+in|firm|max)\b/g, '').replace(/[^a-z]/g, '');
+  if (prices.length === 1 && leftover.length === 0) {
+    return { price: prices[0].price, cued: false };
+  }
+  return null;
+}
+
+/**
+ * Classify a buyer reply
+ * @param {string} text - Reply body
+ * @returns {Object} { intent, counterPrice, closeDays, requests, confidence }
+ */
+function classify(text) {
+  const body = normalizeText(text);
+  const bare = body.replace(/[.!]+$/, '');
+  const prices = extractPrices(body);
+  const counter = extractCounterOffer(body, prices);
+  const requests = Object.keys(INFO_REQUESTS).filter(key => INFO_REQUESTS[key].test(body));
+
+  let intent = 'unknown';
+  let confidence = 0.2;
+  if (YES_REPLY.test(bare)) {
+    intent = 'interested';
+    confidence = 0.95;
+  } else if (NO_REPLY.test(bare)) {
+    intent = 'pass';
+    confidence = 0.95;
+  } else if (WRONG_MARKET.test(body)) {
+    intent = 'wrong_market';
+    confidence = 0.8;
+  } else if (counter) {
+    // A number beats "not interested at that price" - it's what the buyer would pay
+    intent = 'counter_offer';
+    confidence = counter.cued ? 0.85 : 0.6;
+  } else if (NOT_INTERESTED.test(body)) {
+    intent = 'pass';
+    confidence = 0.8;
+  } else if (TOO_HIGH.test(body)) {
+    intent = 'price_too_high';
+    confidence = 0.8;
+  } else if (INTERESTED.test(body)) {
+    intent = 'interested';
+    confidence = 0.75;
+  } else if (requests.length > 0 || MORE_INFO.test(body)) {
+    intent = 'needs_more_info';
+    confidence = 0.7;
+  }
+
+  return {
+    intent,
+    counterPrice: counter ? counter.price : null,
+    closeDays: extractCloseDays(body),
+    requests,
+    confidence
+  };
+}
+
+module.exports = {
+  classify,
+  extractPrices,
+  extractCloseDays
+};
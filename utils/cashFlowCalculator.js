@@ -1,6 +1,17 @@
 // utils/cashFlowCalculator.js
 // Cash Flow Calculation Engine for Buy & Hold and Commercial strategies
 
+const { describeEstimate } = require('./comps');
+
+// Default configuration (also the reserve rates for the creative finance calculators)
+const DEFAULT_RATES = {
+  vacancyRate: 0.065, // 6.5% default (5-8% range)
+  maintenanceRate: 0.065, // 6.5% default (5-8% range)
+  managementRate: 0.09, // 9% default (8-10% range)
+  interestRateBuffer: 0.0075, // 0.75% buffer (0.5-1% range)
+  baseInterestRate: 0.07 // 7% base rate
+};
+
 /**
  * Calculate cash flow for a property using conservative assumptions
  * @param {Object} inputs - Property and financial inputs
@@ -22,24 +33,16 @@ function calculateCashFlow(inputs, options = {}) {
     loanType = 'DSCR', // DSCR, conventional, commercial
     ltv = 0.75, // Loan-to-value ratio (default 75%)
     amortization = 30, // Years
-    requiredDscr = 1.25 // Minimum DSCR required (default 1.25)
+    requiredDscr = 1.25, // Minimum DSCR required (default 1.25)
+    provenance = [] // Where estimated inputs came from (appended to assumptionsUsed)
   } = inputs;
 
-  // Default configuration
-  const defaults = {
-    vacancyRate: 0.065, // 6.5% default (5-8% range)
-    maintenanceRate: 0.065, // 6.5% default (5-8% range)
-    managementRate: 0.09, // 9% default (8-10% range)
-    interestRateBuffer: 0.0075, // 0.75% buffer (0.5-1% range)
-    baseInterestRate: 0.07 // 7% base rate
-  };
-
   const config = {
-    vacancyRate: options.vacancyRate ?? defaults.vacancyRate,
-    maintenanceRate: options.maintenanceRate ?? defaults.maintenanceRate,
-    managementRate: options.managementRate ?? defaults.managementRate,
-    interestRateBuffer: options.interestRateBuffer ?? defaults.interestRateBuffer,
-    baseInterestRate: options.baseInterestRate ?? defaults.baseInterestRate
+    vacancyRate: options.vacancyRate ?? DEFAULT_RATES.vacancyRate,
+    maintenanceRate: options.maintenanceRate ?? DEFAULT_RATES.maintenanceRate,
+    managementRate: options.managementRate ?? DEFAULT_RATES.managementRate,
+    interestRateBuffer: options.interestRateBuffer ?? DEFAULT_RATES.interestRateBuffer,
+    baseInterestRate: options.baseInterestRate ?? DEFAULT_RATES.baseInterestRate
   };
 
   // Calculate total acquisition cost
@@ -83,7 +86,7 @@ function calculateCashFlow(inputs, options = {}) {
       dscr: null,
       cashFlowPass: false,
       dscrPass: false,
-      assumptionsUsed: [],
+      assumptionsUsed: [...provenance],
       error: 'Missing required input: estimatedRent or noi'
     };
   }
@@ -148,7 +151,8 @@ function calculateCashFlow(inputs, options = {}) {
     `Monthly NOI: $${monthlyNoi.toFixed(2)}`,
     `Monthly Cash Flow: $${monthlyCashFlow.toFixed(2)}`,
     `Annual Cash Flow: $${annualCashFlow.toFixed(2)}`,
-    `DSCR: ${dscr !== null ? dscr.toFixed(2) : 'N/A'} (Required: ${requiredDscr.toFixed(2)})`
+    `DSCR: ${dscr !== null ? dscr.toFixed(2) : 'N/A'} (Required: ${requiredDscr.toFixed(2)})`,
+    ...provenance
   ].filter(Boolean);
 
   return {
@@ -196,9 +200,24 @@ function extractCashFlowInputsFromLead(lead, buyBox = null) {
   // Get rehab cost (if available in lead)
   const rehabCost = lead.dialerIntake?.estimatedRehabCost || lead.metadata?.rehabCost || 0;
   
-  // Get rent estimate (from lead metadata or dialer intake)
-  const estimatedRent = lead.dialerIntake?.estimatedRent || lead.metadata?.estimatedRent || null;
+  // Get rent estimate (dialer intake, then lead metadata, then rent comps)
+  const provenance = [];
+  const rentComps = lead.valuation?.rent;
+  let estimatedRent = lead.dialerIntake?.estimatedRent || lead.metadata?.estimatedRent || null;
+  if (estimatedRent) {
+    provenance.push(`Rent source: ${lead.dialerIntake?.estimatedRent ? 'dialer intake' : 'lead metadata'}`);
+  } else if (rentComps?.value) {
+    estimatedRent = rentComps.value;
+    provenance.push(`Rent source: comps - ${describeEstimate('Estimated Rent', rentComps, '/mo')}`);
+  }
   const noi = lead.dialerIntake?.noi || lead.metadata?.noi || null;
+
+  // ARV isn't a cash flow input, but record where the one used for scoring came from
+  if (lead.arv) {
+    provenance.push('ARV source: lead');
+  } else if (lead.valuation?.arv?.value) {
+    provenance.push(`ARV source: comps - ${describeEstimate('ARV', lead.valuation.arv)}`);
+  }
   
   // Get taxes and insurance (from lead metadata or estimates)
   const taxes = lead.metadata?.annualTaxes || lead.dialerIntake?.annualTaxes || 0;
@@ -230,11 +249,13 @@ function extractCashFlowInputsFromLead(lead, buyBox = null) {
     loanType,
     ltv,
     amortization,
-    requiredDscr
+    requiredDscr,
+    provenance
   };
 }
 
 module.exports = {
+  DEFAULT_RATES,
   calculateCashFlow,
   extractCashFlowInputsFromLead
 };
@@ -0,0 +1,274 @@
+// utils/comps.js
+// Comparable selection and ARV / rent estimates.
+//
+// Candidates are scored by similarity to the subject: distance (or, without coordinates, same ZIP / city),
+// beds, baths, square footage, year built and how recent the sale or lease was. Candidates too far off on
+// any of those are dropped. The estimate is the similarity-weighted median of the comps' prices, adjusted
+// by price per square foot when both sides have sqft; the weighted 25th-75th percentiles give the range.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_MILES = 3958.8;
+
+const COMPS_MAX_MILES = parseFloat(process.env.COMPS_MAX_MILES) || 1.5;
+const COMPS_MAX_AGE_MONTHS = parseInt(process.env.COMPS_MAX_AGE_MONTHS) || 12;
+const COMPS_LIMIT = parseInt(process.env.COMPS_LIMIT) || 6;
+
+// Hard limits: a candidate outside any of these is not a comparable
+const MAX_BEDS_DIFF = 1;
+const MAX_BATHS_DIFF = 1;
+const MAX_SQFT_DIFF = 0.3; // fraction of the subject's sqft
+const MAX_YEAR_DIFF = 25;
+
+// Columns accepted by the comps CSV import (utils/leadImport.js mapping helpers)
+const COMP_FIELDS = {
+  address: {
+    type: 'string',
+    required: true,
+    aliases: ['property address', 'street address', 'full address', 'site address']
+  },
+  city: { type: 'string', aliases: ['property city'] },
+  state: { type: 'state', aliases: ['st', 'state or province', 'property state'] },
+  zip: { type: 'zip', aliases: ['zip code', 'zipcode', 'postal code'] },
+  county: { type: 'string', aliases: ['county or parish'] },
+  latitude: { type: 'number', aliases: ['lat'] },
+  longitude: { type: 'number', aliases: ['lng', 'lon', 'long'] },
+  propertyType: { type: 'string', aliases: ['property type', 'property sub type', 'type'] },
+  beds: { type: 'number', aliases: ['bd', 'bedrooms', 'bedrooms total', 'beds total'] },
+  baths: { type: 'number', aliases: ['ba', 'bathrooms', 'bathrooms total', 'baths total'] },
+  sqft: { type: 'number', aliases: ['square feet', 'living area', 'building sqft', 'living area sqft'] },
+  yearBuilt: { type: 'number', aliases: ['year built', 'yr built'] },
+  price: {
+    type: 'number',
+    required: true,
+    aliases: ['sold price', 'sale price', 'close price', 'closed price', 'rent', 'monthly rent', 'lease price', 'leased price']
+  },
+  eventDate: {
+    type: 'date',
+    required: true,
+    aliases: ['date', 'sold date', 'sale date', 'close date', 'closing date', 'closed date', 'lease date', 'leased date']
+  }
+};
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance in miles
+ */
+function haversineMiles(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function sameText(a, b) {
+  return Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Subject property fields from a lead (dialer intake wins, like scoring)
+ * @returns {Object} { latitude, longitude, city, zip, beds, baths, sqft, yearBuilt }
+ */
+function subjectFromLead(lead) {
+  return {
+    latitude: lead.latitude,
+    longitude: lead.longitude,
+    city: lead.city,
+    zip: lead.zip,
+    beds: lead.dialerIntake?.beds || lead.beds,
+    baths: lead.dialerIntake?.baths || lead.baths,
+    sqft: lead.dialerIntake?.sqft || lead.sqft,
+    yearBuilt: lead.dialerIntake?.yearBuilt || lead.yearBuilt
+  };
+}
+
+/**
+ * Similarity of one candidate to the subject
+ * @returns {{similarity: Number, distanceMiles: Number|null}|null} null when it isn't a comparable
+ */
+function scoreCandidate(subject, comp, options = {}) {
+  const maxMiles = options.maxMiles || COMPS_MAX_MILES;
+  const now = options.now || new Date();
+  let penalty = 0;
+
+  // Location
+  let distanceMiles = null;
+  const [lng, lat] = comp.location?.coordinates || [];
+  if (isNumber(subject.latitude) && isNumber(subject.longitude) && isNumber(lat) && isNumber(lng)) {
+    distanceMiles = haversineMiles(subject.latitude, subject.longitude, lat, lng);
+    if (distanceMiles > maxMiles) return null;
+    penalty += (distanceMiles / maxMiles) * 25;
+  } else if (sameText(subject.zip, comp.zip)) {
+    penalty += 10;
+  } else if (sameText(subject.city, comp.city)) {
+    penalty += 20;
+  } else {
+    return null;
+  }
+
+  // Size and layout; an unknown value on either side costs a little instead of excluding
+  if (isNumber(subject.beds) && isNumber(comp.beds)) {
+    const diff = Math.abs(subject.beds - comp.beds);
+    if (diff > MAX_BEDS_DIFF) return null;
+    penalty += diff * 8;
+  } else {
+    penalty += 4;
+  }
+  if (isNumber(subject.baths) && isNumber(comp.baths)) {
+    const diff = Math.abs(subject.baths - comp.baths);
+    if (diff > MAX_BATHS_DIFF) return null;
+    penalty += diff * 6;
+  } else {
+    penalty += 3;
+  }
+  if (subject.sqft > 0 && comp.sqft > 0) {
+    const diff = Math.abs(subject.sqft - comp.sqft) / subject.sqft;
+    if (diff > MAX_SQFT_DIFF) return null;
+    penalty += diff * 50;
+  } else {
+    penalty += 8;
+  }
+  if (isNumber(subject.yearBuilt) && isNumber(comp.yearBuilt)) {
+    const diff = Math.abs(subject.yearBuilt - comp.yearBuilt);
+    if (diff > MAX_YEAR_DIFF) return null;
+    penalty += diff * 0.4;
+  } else {
+    penalty += 3;
+  }
+
+  // Recency
+  const ageMonths = comp.eventDate ? (now - new Date(comp.eventDate)) / (30 * DAY_MS) : COMPS_MAX_AGE_MONTHS;
+  penalty += Math.max(0, ageMonths) * 1.2;
+
+  return {
+    similarity: Math.max(1, Math.round(100 - penalty)),
+    distanceMiles: distanceMiles === null ? null : Math.round(distanceMiles * 100) / 100
+  };
+}
+
+/**
+ * Pick the best comparables for a subject
+ * @param {Object} subject - subjectFromLead(lead)
+ * @param {Array<Object>} candidates - Comp documents (lean)
+ * @param {Object} options - { maxMiles, limit, now }
+ * @returns {Array<Object>} [{ comp, similarity, distanceMiles }] best first
+ */
+function selectComparables(subject, candidates, options = {}) {
+  const limit = options.limit || COMPS_LIMIT;
+  return candidates
+    .map(comp => ({ comp, ...scoreCandidate(subject, comp, options) }))
+    .filter(c => c.similarity)
+    .sort((a, b) => b.similarity - a.similarity || (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity))
+    .slice(0, limit);
+}
+
+/**
+ * Value at a weighted percentile (values sorted ascending)
+ */
+function weightedPercentile(items, percentile) {
+  const total = items.reduce((sum, i) => sum + i.weight, 0);
+  let running = 0;
+  for (const item of items) {
+    running += item.weight;
+    if (running >= total * percentile) return item.value;
+  }
+  return items[items.length - 1].value;
+}
+
+/**
+ * ARV or rent estimate from selected comparables
+ * @param {Object} subject - subjectFromLead(lead)
+ * @param {Array<Object>} selected - selectComparables() result
+ * @param {Object} options - { roundTo: 1000 for sales, 25 for rent }
+ * @returns {Object|null} { value, low, high, confidence, confidenceLevel, method, compCount, maxDistanceMiles, comps }
+ */
+function estimateFromComps(subject, selected, options = {}) {
+  if (!selected.length) return null;
+  const roundTo = options.roundTo || 1;
+  const round = value => Math.round(value / roundTo) * roundTo;
+
+  const perSqft = subject.sqft > 0 && selected.every(s => s.comp.sqft > 0);
+  const adjusted = selected.map(s => ({
+    ...s,
+    adjustedPrice: perSqft ? (s.comp.price / s.comp.sqft) * subject.sqft : s.comp.price
+  }));
+
+  const weighted = adjusted
+    .map(a => ({ value: a.adjustedPrice, weight: a.similarity }))
+    .sort((a, b) => a.value - b.value);
+  const value = weightedPercentile(weighted, 0.5);
+  const low = weightedPercentile(weighted, 0.25);
+  const high = weightedPercentile(weighted, 0.75);
+
+  // Confidence: how many comps, how closely they agree, how similar they are
+  const mean = weighted.reduce((sum, w) => sum + w.value, 0) / weighted.length;
+  const spread = Math.sqrt(weighted.reduce((sum, w) => sum + (w.value - mean) ** 2, 0) / weighted.length) / mean;
+  const avgSimilarity = selected.reduce((sum, s) => sum + s.similarity, 0) / selected.length;
+  const confidence = Math.round(
+    Math.min(selected.length / 5, 1) * 40 +
+    (1 - Math.min(spread / 0.25, 1)) * 30 +
+    avgSimilarity * 0.3
+  );
+  let confidenceLevel = 'low';
+  if (confidence >= 70 && selected.length >= 3) confidenceLevel = 'high';
+  else if (confidence >= 45) confidenceLevel = 'medium';
+
+  const distances = selected.map(s => s.distanceMiles).filter(d => d !== null);
+  return {
+    value: round(value),
+    low: round(low),
+    high: round(high),
+    confidence,
+    confidenceLevel,
+    method: perSqft ? 'price_per_sqft' : 'price',
+    compCount: selected.length,
+    maxDistanceMiles: distances.length ? Math.max(...distances) : null,
+    comps: adjusted.map(a => ({
+      compId: a.comp._id,
+      address: [a.comp.address, a.comp.city, a.comp.zip].filter(Boolean).join(', '),
+      price: a.comp.price,
+      adjustedPrice: Math.round(a.adjustedPrice),
+      distanceMiles: a.distanceMiles,
+      similarity: a.similarity,
+      eventDate: a.comp.eventDate
+    }))
+  };
+}
+
+function money(value) {
+  return `$${Math.round(value).toLocaleString()}`;
+}
+
+/**
+ * One-line provenance for an estimate, e.g.
+ * "Estimated Rent: $1,650/mo from 5 rent comps within 0.8 mi (range $1,550-$1,725, medium confidence)"
+ * @param {String} label - "ARV" | "Estimated Rent"
+ * @param {Object} estimate - estimateFromComps() result
+ * @param {String} unit - Suffix for the value, e.g. "/mo"
+ */
+function describeEstimate(label, estimate, unit = '') {
+  const kind = label === 'ARV' ? 'sale' : 'rent';
+  const where = estimate.maxDistanceMiles !== null && estimate.maxDistanceMiles !== undefined
+    ? ` within ${estimate.maxDistanceMiles} mi`
+    : ' in the same ZIP / city';
+  return `${label}: ${money(estimate.value)}${unit} from ${estimate.compCount} ${kind} comp${estimate.compCount === 1 ? '' : 's'}${where} ` +
+    `(range ${money(estimate.low)}-${money(estimate.high)}, ${estimate.confidenceLevel} confidence)`;
+}
+
+module.exports = {
+  COMP_FIELDS,
+  COMPS_MAX_MILES,
+  COMPS_MAX_AGE_MONTHS,
+  haversineMiles,
+  subjectFromLead,
+  scoreCandidate,
+  selectComparables,
+  estimateFromComps,
+  describeEstimate
+};
@@ -0,0 +1,420 @@
+// utils/creativeFinanceCalculator.js
+// Deal calculators for the creative offer lanes (utils/offerLaneClassifier.js): subject-to, seller finance,
+// novation and lease option. Conventional and DSCR financing stay in utils/cashFlowCalculator.js.
+//
+// Every lane reports the entry cost (cash in to close the deal), the monthly spread, and the highest offer
+// price that still meets the return thresholds. Rental expenses use the cash flow calculator's reserve rates.
+
+const { DEFAULT_RATES, extractCashFlowInputsFromLead } = require('./cashFlowCalculator');
+
+const CREATIVE_LANES = ['subto', 'sellerfinance', 'novation', 'leaseoption'];
+
+const LANE_LABELS = {
+  subto: 'Subject-To',
+  sellerfinance: 'Seller Finance',
+  novation: 'Novation',
+  leaseoption: 'Lease Option'
+};
+
+// Return thresholds; tenants override them on Tenant.creativeFinance (services/creativeFinanceService.js)
+const DEFAULT_THRESHOLDS = {
+  minMonthlySpread: parseFloat(process.env.CREATIVE_MIN_MONTHLY_SPREAD) || 200,
+  minCashOnCashPercent: parseFloat(process.env.CREATIVE_MIN_CASH_ON_CASH_PERCENT) || 15, // annual spread / entry cost
+  maxEntryCost: parseFloat(process.env.CREATIVE_MAX_ENTRY_COST) || 25000,
+  maxPriceToArvPercent: parseFloat(process.env.CREATIVE_MAX_PRICE_TO_ARV_PERCENT) || 90,
+  minNovationProfit: parseFloat(process.env.NOVATION_MIN_PROFIT) || 20000
+};
+
+// Deal terms used when the request doesn't set them
+const DEFAULT_TERMS = {
+  closingCostPercent: 2, // Buyer closing costs, % of price
+  escrowIncluded: true, // Subject-to: the existing payment includes taxes and insurance
+  arrears: 0, // Subject-to: past-due payments to reinstate the loan
+  sellerFinanceDownPercent: 10,
+  sellerFinanceRate: 0.06,
+  sellerFinanceAmortizationYears: 30,
+  sellerFinanceBalloonYears: 5,
+  novationCommissionPercent: 6, // Listing and buyer agent commissions
+  novationSaleClosingPercent: 2, // Seller-side closing costs on the retail sale
+  novationHoldMonths: 4,
+  novationMonthlyUtilities: 250,
+  leaseOptionFeePercent: 3, // Option fee paid to the seller, % of the option price
+  leaseOptionTermMonths: 24,
+  leaseOptionRentCredit: 0 // Per month credited toward the option price
+};
+
+// Balloon above this share of ARV is flagged: a refinance may not cover it
+const BALLOON_REFINANCE_LTV = 0.75;
+const OFFER_STEP = 500;
+
+function money(value) {
+  return `$${Math.round(value).toLocaleString()}`;
+}
+
+function round2(value) {
+  return value === null || value === undefined ? value : Math.round(value * 100) / 100;
+}
+
+/**
+ * Level monthly payment on an amortizing loan
+ */
+function amortizedPayment(principal, annualRate, years) {
+  if (principal <= 0) return 0;
+  const n = years * 12;
+  if (!annualRate) return principal / n;
+  const r = annualRate / 12;
+  return principal * (r * Math.pow(1 + r, n)) / (Math.pow(1 + r, n) - 1);
+}
+
+/**
+ * Loan balance left after a number of monthly payments
+ */
+function remainingBalance(principal, annualRate, years, months) {
+  if (principal <= 0) return 0;
+  const payment = amortizedPayment(principal, annualRate, years);
+  if (!annualRate) return Math.max(0, principal - payment * months);
+  const r = annualRate / 12;
+  return Math.max(0, principal * Math.pow(1 + r, months) - payment * (Math.pow(1 + r, months) - 1) / r);
+}
+
+/**
+ * Monthly vacancy, maintenance and management reserves on the rent, plus taxes and insurance when the
+ * buyer pays them outside the debt / lease payment
+ */
+function rentalExpenses(rent, { taxes = 0, insurance = 0, includeTaxesAndInsurance = true }) {
+  const reserves = rent * (DEFAULT_RATES.vacancyRate + DEFAULT_RATES.maintenanceRate + DEFAULT_RATES.managementRate);
+  return reserves + (includeTaxesAndInsurance ? (taxes + insurance) / 12 : 0);
+}
+
+function missing(inputs, fields) {
+  return fields.filter(field => !(inputs[field] > 0));
+}
+
+// Lane models: inputs + offer price -> deal metrics. Each is monotonic in price (a higher price never
+// improves a metric), which the max offer search relies on.
+const LANES = {
+  subto: {
+    required: ['price', 'estimatedRent', 'mortgageBalance', 'mortgagePayment'],
+    rental: true,
+    floor: inputs => inputs.mortgageBalance, // Can't take over the loan for less than it owes
+    evaluate(price, t) {
+      const closingCosts = price * t.closingCostPercent / 100;
+      const cashToSeller = Math.max(0, price - t.mortgageBalance);
+      const expenses = rentalExpenses(t.estimatedRent, { ...t, includeTaxesAndInsurance: !t.escrowIncluded });
+      return {
+        entryCost: cashToSeller + t.arrears + closingCosts + t.rehabCost,
+        monthlySpread: t.estimatedRent - expenses - t.mortgagePayment,
+        breakdown: {
+          cashToSeller,
+          arrears: t.arrears,
+          closingCosts,
+          rehabCost: t.rehabCost,
+          existingLoanBalance: t.mortgageBalance,
+          existingLoanPayment: t.mortgagePayment,
+          monthlyExpenses: expenses
+        }
+      };
+    },
+    describe(m, t) {
+      return [
+        `Takes over existing loan: ${money(t.mortgageBalance)} balance, ${money(t.mortgagePayment)}/mo`,
+        t.escrowIncluded ? 'Existing payment includes taxes and insurance' : 'Taxes and insurance paid outside the loan payment',
+        `Cash to seller: ${money(m.breakdown.cashToSeller)}`,
+        t.arrears > 0 ? `Arrears to reinstate: ${money(t.arrears)}` : null
+      ];
+    },
+    risks(m, t) {
+      return [
+        'Due-on-sale: the lender may call the loan after the transfer',
+        t.mortgageCurrent === 'no' ? 'Mortgage not current - reinstatement required at closing' : null
+      ];
+    }
+  },
+
+  sellerfinance: {
+    required: ['price', 'estimatedRent'],
+    rental: true,
+    evaluate(price, t) {
+      const downPayment = price * t.sellerFinanceDownPercent / 100;
+      const closingCosts = price * t.closingCostPercent / 100;
+      const noteAmount = price - downPayment;
+      const payment = amortizedPayment(noteAmount, t.sellerFinanceRate, t.sellerFinanceAmortizationYears);
+      const balloon = remainingBalance(noteAmount, t.sellerFinanceRate, t.sellerFinanceAmortizationYears, t.sellerFinanceBalloonYears * 12);
+      const expenses = rentalExpenses(t.estimatedRent, t);
+      return {
+        entryCost: downPayment + closingCosts + t.rehabCost,
+        monthlySpread: t.estimatedRent - expenses - payment,
+        breakdown: {
+          downPayment,
+          closingCosts,
+          rehabCost: t.rehabCost,
+          noteAmount,
+          notePayment: payment,
+          balloonAmount: balloon,
+          monthlyExpenses: expenses
+        }
+      };
+    },
+    describe(m, t) {
+      return [
+        `Seller carry: ${money(m.breakdown.noteAmount)} at ${(t.sellerFinanceRate * 100).toFixed(2)}% over ${t.sellerFinanceAmortizationYears} years, ${money(m.breakdown.notePayment)}/mo`,
+        `Down payment (${t.sellerFinanceDownPercent}%): ${money(m.breakdown.downPayment)}`,
+        `Balloon after ${t.sellerFinanceBalloonYears} years: ${money(m.breakdown.balloonAmount)}`
+      ];
+    },
+    risks(m, t) {
+      return [
+        t.arv > 0 && m.breakdown.balloonAmount > t.arv * BALLOON_REFINANCE_LTV
+          ? `Balloon of ${money(m.breakdown.balloonAmount)} is above ${BALLOON_REFINANCE_LTV * 100}% of ARV - a refinance may not cover it`
+          : null,
+        t.mortgageBalance > 0 && t.mortgageFreeAndClear !== 'yes'
+          ? `Existing mortgage of ${money(t.mortgageBalance)} must be paid off or wrapped`
+          : null
+      ];
+    }
+  },
+
+  novation: {
+    required: ['price', 'arv'],
+    rental: false,
+    evaluate(price, t) {
+      const commission = t.arv * t.novationCommissionPercent / 100;
+      const saleClosingCosts = t.arv * t.novationSaleClosingPercent / 100;
+      const monthlyHolding = (t.taxes + t.insurance) / 12 + t.novationMonthlyUtilities;
+      const holdingCosts = monthlyHolding * t.novationHoldMonths;
+      return {
+        entryCost: t.rehabCost + holdingCosts,
+        // No rent while listed: the spread is the carrying cost
+        monthlySpread: -monthlyHolding,
+        profit: t.arv - commission - saleClosingCosts - holdingCosts - t.rehabCost - price,
+        breakdown: {
+          salePrice: t.arv,
+          commission,
+          saleClosingCosts,
+          holdingCosts,
+          rehabCost: t.rehabCost,
+          sellerPayout: price
+        }
+      };
+    },
+    describe(m, t) {
+      return [
+        `Retail sale at ARV: ${money(t.arv)}`,
+        `Commissions (${t.novationCommissionPercent}%): ${money(m.breakdown.commission)}`,
+        `Sale closing costs (${t.novationSaleClosingPercent}%): ${money(m.breakdown.saleClosingCosts)}`,
+        `Holding ${t.novationHoldMonths} months: ${money(m.breakdown.holdingCosts)}`,
+        `Profit: ${money(m.profit)}`
+      ];
+    },
+    risks() {
+      return ['Profit depends on selling at ARV within the hold period'];
+    }
+  },
+
+  leaseoption: {
+    required: ['price', 'estimatedRent', 'leasePayment'],
+    rental: true,
+    evaluate(price, t) {
+      const optionFee = t.optionFee ?? price * t.leaseOptionFeePercent / 100;
+      const rentCredits = t.leaseOptionRentCredit * t.leaseOptionTermMonths;
+      // The owner keeps paying taxes and insurance; the option fee is credited toward the price
+      const expenses = rentalExpenses(t.estimatedRent, { includeTaxesAndInsurance: false });
+      const exercisePrice = Math.max(0, price - optionFee - rentCredits);
+      return {
+        entryCost: optionFee + t.rehabCost,
+        monthlySpread: t.estimatedRent - expenses - t.leasePayment,
+        breakdown: {
+          optionFee,
+          rehabCost: t.rehabCost,
+          leasePayment: t.leasePayment,
+          rentCredits,
+          exercisePrice,
+          equityAtExercise: t.arv > 0 ? t.arv - exercisePrice : null,
+          monthlyExpenses: expenses
+        }
+      };
+    },
+    describe(m, t) {
+      return [
+        `Option price: ${money(m.price)}, option fee ${money(m.breakdown.optionFee)}`,
+        `Lease payment to seller: ${money(t.leasePayment)}/mo for ${t.leaseOptionTermMonths} months`,
+        m.breakdown.rentCredits > 0 ? `Rent credits: ${money(t.leaseOptionRentCredit)}/mo (${money(m.breakdown.rentCredits)} total)` : null,
+        `Price at exercise: ${money(m.breakdown.exercisePrice)}`
+      ];
+    },
+    risks(m) {
+      return [
+        m.breakdown.equityAtExercise !== null && m.breakdown.equityAtExercise <= 0
+          ? 'No equity at exercise: the option price is at or above ARV'
+          : null
+      ];
+    }
+  }
+};
+
+/**
+ * Threshold checks for one lane's metrics at an offer price
+ * @returns {Array<String>} Failed checks (empty when the deal meets every threshold)
+ */
+function failedThresholds(lane, metrics, inputs, thresholds) {
+  const failed = [];
+  if (metrics.entryCost > thresholds.maxEntryCost) {
+    failed.push(`Entry cost ${money(metrics.entryCost)} above the ${money(thresholds.maxEntryCost)} maximum`);
+  }
+
+  if (lane === 'novation') {
+    if (metrics.profit < thresholds.minNovationProfit) {
+      failed.push(`Profit ${money(metrics.profit)} below the ${money(thresholds.minNovationProfit)} minimum`);
+    }
+    return failed;
+  }
+
+  if (metrics.monthlySpread < thresholds.minMonthlySpread) {
+    failed.push(`Monthly spread ${money(metrics.monthlySpread)} below the ${money(thresholds.minMonthlySpread)} minimum`);
+  }
+  if (metrics.cashOnCashPercent !== null && metrics.cashOnCashPercent < thresholds.minCashOnCashPercent) {
+    failed.push(`Cash-on-cash ${metrics.cashOnCashPercent.toFixed(1)}% below the ${thresholds.minCashOnCashPercent}% minimum`);
+  }
+  if (inputs.arv > 0 && metrics.price > inputs.arv * thresholds.maxPriceToArvPercent / 100) {
+    failed.push(`Price ${money(metrics.price)} above ${thresholds.maxPriceToArvPercent}% of ARV (${money(inputs.arv)})`);
+  }
+  return failed;
+}
+
+function evaluateAt(lane, price, inputs, thresholds) {
+  const metrics = { price, ...LANES[lane].evaluate(price, inputs) };
+  const annualSpread = metrics.monthlySpread * 12;
+  // Nothing in (e.g. subject-to at the loan balance) means any positive spread is an infinite return
+  metrics.cashOnCashPercent = LANES[lane].rental && metrics.entryCost > 0 ? (annualSpread / metrics.entryCost) * 100 : null;
+  metrics.failedChecks = failedThresholds(lane, metrics, inputs, thresholds);
+  return metrics;
+}
+
+/**
+ * Highest offer (rounded down to OFFER_STEP) that meets every threshold
+ * @returns {{maxOffer: Number|null, limitedBy: String|null}} limitedBy: thresholds | arv | asking_price
+ */
+function solveMaxOffer(lane, inputs, thresholds) {
+  const model = LANES[lane];
+  let ceiling;
+  let limitedBy;
+  if (inputs.arv > 0) {
+    ceiling = lane === 'novation' ? inputs.arv : inputs.arv * thresholds.maxPriceToArvPercent / 100;
+    limitedBy = 'arv';
+  } else {
+    ceiling = inputs.askingPrice || inputs.price;
+    limitedBy = 'asking_price';
+  }
+  const floor = model.floor ? model.floor(inputs) : 0;
+  const passes = price => evaluateAt(lane, price, inputs, thresholds).failedChecks.length === 0;
+
+  if (!(ceiling > floor) || !passes(floor)) return { maxOffer: null, limitedBy: null };
+  if (passes(ceiling)) return { maxOffer: Math.floor(ceiling / OFFER_STEP) * OFFER_STEP, limitedBy };
+
+  let low = floor;
+  let high = ceiling;
+  while (high - low > OFFER_STEP / 2) {
+    const mid = (low + high) / 2;
+    if (passes(mid)) low = mid;
+    else high = mid;
+  }
+  const rounded = Math.floor(high / OFFER_STEP) * OFFER_STEP;
+  const maxOffer = rounded > low && passes(rounded) ? rounded : Math.floor(low / OFFER_STEP) * OFFER_STEP;
+  return { maxOffer: Math.max(floor, maxOffer), limitedBy: 'thresholds' };
+}
+
+/**
+ * Run one creative lane calculator
+ * @param {String} lane - subto | sellerfinance | novation | leaseoption
+ * @param {Object} inputs - extractCreativeInputsFromLead() result, optionally with DEFAULT_TERMS overrides
+ * @param {Object} thresholds - DEFAULT_THRESHOLDS shape
+ * @returns {Object} { lane, label, price, entryCost, monthlySpread, annualSpread, cashOnCashPercent, profit?,
+ *   maxOffer, maxOfferLimitedBy, meetsThresholds, failedChecks, risks, assumptionsUsed, breakdown }
+ *   or { lane, label, error, missingFields } when required inputs are missing
+ */
+function calculateCreativeLane(lane, inputs, thresholds = DEFAULT_THRESHOLDS) {
+  const model = LANES[lane];
+  if (!model) throw new Error(`Unknown creative lane: ${lane}`);
+
+  const t = { ...DEFAULT_TERMS, taxes: 0, insurance: 0, rehabCost: 0, ...inputs };
+  if (lane === 'leaseoption' && !(t.leasePayment > 0)) t.leasePayment = t.mortgagePayment;
+  const thresholdValues = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+  const missingFields = missing(t, model.required);
+  if (missingFields.length) {
+    return {
+      lane,
+      label: LANE_LABELS[lane],
+      error: `Missing required input: ${missingFields.join(', ')}`,
+      missingFields
+    };
+  }
+
+  const metrics = evaluateAt(lane, t.price, t, thresholdValues);
+  const { maxOffer, limitedBy } = solveMaxOffer(lane, t, thresholdValues);
+  const breakdown = Object.fromEntries(Object.entries(metrics.breakdown).map(([key, value]) => [key, round2(value)]));
+
+  const assumptionsUsed = [
+    `Offer Price: ${money(t.price)}`,
+    ...model.describe(metrics, t),
+    t.rehabCost > 0 ? `Rehab Cost: ${money(t.rehabCost)}` : null,
+    model.rental ? `Rent: ${money(t.estimatedRent)}/mo` : null,
+    `Entry Cost: ${money(metrics.entryCost)}`,
+    `Monthly Spread: ${money(metrics.monthlySpread)}`,
+    metrics.cashOnCashPercent !== null ? `Cash-on-Cash: ${metrics.cashOnCashPercent.toFixed(1)}%` : null,
+    maxOffer !== null ? `Max Offer: ${money(maxOffer)} (limited by ${limitedBy.replace('_', ' ')})` : 'Max Offer: none meets the thresholds',
+    ...(t.provenance || [])
+  ].filter(Boolean);
+
+  return {
+    lane,
+    label: LANE_LABELS[lane],
+    price: t.price,
+    entryCost: round2(metrics.entryCost),
+    monthlySpread: round2(metrics.monthlySpread),
+    annualSpread: round2(metrics.monthlySpread * 12),
+    cashOnCashPercent: metrics.cashOnCashPercent === null ? null : Math.round(metrics.cashOnCashPercent * 10) / 10,
+    ...(metrics.profit !== undefined ? { profit: round2(metrics.profit) } : {}),
+    maxOffer,
+    maxOfferLimitedBy: limitedBy,
+    meetsThresholds: metrics.failedChecks.length === 0,
+    failedChecks: metrics.failedChecks,
+    risks: model.risks(metrics, t).filter(Boolean),
+    assumptionsUsed,
+    breakdown
+  };
+}
+
+/**
+ * Creative lane inputs from a lead: the cash flow inputs (rent, taxes, rehab, provenance), ARV and the
+ * existing mortgage from dialer intake
+ * @returns {Object}
+ */
+function extractCreativeInputsFromLead(lead) {
+  const cashFlow = extractCashFlowInputsFromLead(lead);
+  const intake = lead.dialerIntake || {};
+  return {
+    price: cashFlow.purchasePrice || null,
+    askingPrice: cashFlow.purchasePrice || null,
+    arv: lead.arv || lead.valuation?.arv?.value || null,
+    estimatedRent: cashFlow.estimatedRent,
+    taxes: cashFlow.taxes,
+    insurance: cashFlow.insurance,
+    rehabCost: cashFlow.rehabCost,
+    mortgageBalance: intake.mortgageBalance || null,
+    mortgagePayment: intake.mortgageMonthlyPayment || null,
+    mortgageFreeAndClear: intake.mortgageFreeAndClear,
+    mortgageCurrent: intake.mortgageCurrent,
+    provenance: cashFlow.provenance
+  };
+}
+
+module.exports = {
+  CREATIVE_LANES,
+  DEFAULT_THRESHOLDS,
+  DEFAULT_TERMS,
+  amortizedPayment,
+  remainingBalance,
+  calculateCreativeLane,
+  extractCreativeInputsFromLead
+};
@@ -22,6 +22,26 @@ async function parseCsvBuffer(buffer) {
   }
 }
 
+/**
+ * Parses a CSV buffer into its header row and raw cell rows (duplicate or blank headers are kept as-is)
+ * @param {Buffer} buffer - CSV file buffer
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>}
+ */
+async function parseCsvTable(buffer) {
+  try {
+    const [headers = [], ...rows] = parse(buffer.toString('utf-8'), {
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+    return { headers, rows };
+  } catch (err) {
+    throw new Error(`CSV parsing error: ${err.message}`);
+  }
+}
+
 module.exports = {
-  parseCsvBuffer
+  parseCsvBuffer,
+  parseCsvTable
 };
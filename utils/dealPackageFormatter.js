@@ -4,6 +4,8 @@
  * Supports both "redacted" (for initial blast) and "full" (after interest confirmed) versions
  */
 
+const { brandHeaderHtml, brandFooterHtml, textFooter } = require('./branding');
+
 /**
  * Mask street number in address (for redacted version)
  * @param {string} address - Full address
@@ -109,11 +111,11 @@ function formatDealPackage(lead, options = {}) {
 /**
  * Format deal package as text (for SMS/email templates)
  * @param {Object} lead - Lead document
- * @param {Object} options - { redacted: boolean }
+ * @param {Object} options - { redacted: boolean, branding: utils/branding.js theme (adds the tenant footer) }
  * @returns {string} Formatted text
  */
 function formatDealPackageAsText(lead, options = {}) {
-  const { redacted = false } = options;
+  const { redacted = false, branding = null } = options;
   const pkg = formatDealPackage(lead, { redacted });
   
   let text = `🏠 NEW DEAL OPPORTUNITY\n\n`;
@@ -158,21 +160,28 @@ function formatDealPackageAsText(lead, options = {}) {
     text += `\n⚠️ Full details available upon interest confirmation`;
   }
   
+  if (branding) {
+    text += `\n\n${textFooter(branding)}`;
+  }
+  
   return text;
 }
 
 /**
  * Format deal package as HTML (for email templates)
  * @param {Object} lead - Lead document
- * @param {Object} options - { redacted: boolean }
+ * @param {Object} options - { redacted: boolean, branding: utils/branding.js theme (adds the tenant header and footer) }
  * @returns {string} Formatted HTML
  */
 function formatDealPackageAsHTML(lead, options = {}) {
-  const { redacted = false } = options;
+  const { redacted = false, branding = null } = options;
   const pkg = formatDealPackage(lead, { redacted });
   
   let html = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">`;
-  html += `<h2 style="color: #333;">🏠 New Deal Opportunity</h2>`;
+  if (branding) {
+    html += brandHeaderHtml(branding);
+  }
+  html += `<h2 style="color: ${branding ? branding.primaryColor : '#333'};">🏠 New Deal Opportunity</h2>`;
   html += `<div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 15px 0;">`;
   
   html += `<p><strong>📍 Address:</strong> ${pkg.fullAddress}</p>`;
@@ -214,7 +223,11 @@ function formatDealPackageAsHTML(lead, options = {}) {
   html += `<p style="font-size: 12px; color: #666; margin-top: 20px;">${pkg.disclaimer}</p>`;
   
   if (redacted) {
-    html += `<p style="color: #ff6600; font-weight: bold;">⚠️ Full details available upon interest confirmation</p>`;
+    html += `<p style="color: ${branding ? branding.secondaryColor : '#ff6600'}; font-weight: bold;">⚠️ Full details available upon interest confirmation</p>`;
+  }
+  
+  if (branding) {
+    html += brandFooterHtml(branding);
   }
   
   html += `</div>`;
@@ -0,0 +1,193 @@
+// utils/leadExport.js
+// Column catalog, built-in presets and nested-field flattening for CRM lead exports
+// (mail house and dialer lists). Saved presets live in models/LeadExportPreset.js.
+
+// Exportable fields and their default headers. "[]" = every array item, "[n]" (e.g. skipTrace.phones[0].number)
+// picks one item and is allowed for any "[]" field.
+const LEAD_EXPORT_FIELDS = {
+  _id: 'Lead ID',
+  ownerName: 'Owner Name',
+  propertyAddress: 'Property Address',
+  mailingAddress: 'Mailing Address',
+  city: 'City',
+  state: 'State',
+  zip: 'Zip',
+  county: 'County',
+  source: 'Source',
+  category: 'Category',
+  status: 'Status',
+  'tags[]': 'Tags',
+  'distressSignals[]': 'Distress Signals',
+  askingPrice: 'Asking Price',
+  arv: 'ARV',
+  delinquentAmount: 'Delinquent Amount',
+  beds: 'Beds',
+  baths: 'Baths',
+  sqft: 'Sq Ft',
+  yearBuilt: 'Year Built',
+  nextFollowUp: 'Next Follow Up',
+  createdAt: 'Created At',
+  updatedAt: 'Updated At',
+
+  leadTier: 'Lead Tier',
+  'leadScore.score': 'Score',
+  'leadScore.grade': 'Grade',
+  'leadScore.buyBoxLabel': 'Buy Box',
+  'leadScore.motivation.score': 'Motivation Score',
+  'leadScore.motivation.level': 'Motivation Level',
+  'leadScore.reasons[]': 'Score Reasons',
+
+  'routing.route': 'Route',
+  'routing.priorityLevel': 'Priority',
+  'routing.routedAt': 'Routed At',
+  'routing.sla.dueAt': 'SLA Due At',
+
+  'phones[]': 'Phones',
+  'emails[]': 'Emails',
+  'skipTrace.status': 'Skip Trace Status',
+  'skipTrace.phones[].number': 'Phone',
+  'skipTrace.phones[].type': 'Phone Type',
+  'skipTrace.emails[].email': 'Email',
+  'skipTrace.mailingAddresses[].address': 'Skip Trace Mailing Address',
+  'skipTrace.entityInfo.entityName': 'Entity Name',
+
+  'dialerIntake.motivationRating': 'Motivation Rating',
+  'dialerIntake.timelineToClose': 'Timeline To Close',
+  'dialerIntake.sellerReason': 'Seller Reason',
+  'handoff.status': 'Handoff Status',
+  'closer.offerLaneFinal': 'Offer Lane',
+  'closer.offerAmount': 'Offer Amount',
+  'closer.disposition': 'Closer Disposition',
+  'closer.offerSentAt': 'Offer Sent At',
+  'closer.contractSentAt': 'Contract Sent At',
+  'closer.underContractAt': 'Under Contract At'
+};
+
+const BUILT_IN_PRESETS = {
+  default: {
+    description: 'Lead overview with score, route and skip-traced phones',
+    columns: [
+      'ownerName', 'propertyAddress', 'city', 'state', 'zip', 'county', 'status', 'source',
+      'leadScore.score', 'leadScore.grade', 'routing.route', 'routing.priorityLevel',
+      'skipTrace.phones[].number', 'createdAt'
+    ]
+  },
+  mail_house: {
+    description: 'Owner and mailing address for direct mail',
+    columns: [
+      'ownerName', 'mailingAddress', 'skipTrace.mailingAddresses[0].address',
+      'propertyAddress', 'city', 'state', 'zip', '_id'
+    ]
+  },
+  dialer: {
+    description: 'Up to three skip-traced phones per lead for dialer upload',
+    columns: [
+      'ownerName', 'skipTrace.phones[0].number', 'skipTrace.phones[0].type',
+      'skipTrace.phones[1].number', 'skipTrace.phones[1].type',
+      'skipTrace.phones[2].number', 'skipTrace.phones[2].type',
+      'propertyAddress', 'city', 'state', 'zip', 'leadScore.grade', 'routing.priorityLevel', '_id'
+    ]
+  }
+};
+
+const PATH_PATTERN = /^[A-Za-z_]\w*(\[\d*\])?(\.[A-Za-z_]\w*(\[\d*\])?)*$/;
+
+/**
+ * Catalog entry for a field path ("skipTrace.phones[1].number" -> "skipTrace.phones[].number")
+ */
+function catalogKey(field) {
+  return field.replace(/\[\d+\]/g, '[]');
+}
+
+/**
+ * Default header for a field; indexed paths are numbered ("Phone 2")
+ */
+function defaultHeader(field) {
+  const header = LEAD_EXPORT_FIELDS[catalogKey(field)];
+  const index = field.match(/\[(\d+)\]/);
+  return index ? `${header} ${Number(index[1]) + 1}` : header;
+}
+
+/**
+ * Normalize and validate column specs
+ * @param {Array<string|{field: String, header?: String}>} columns
+ * @returns {{columns: Array<{field: String, header: String}>, errors: Array<string>}}
+ */
+function normalizeColumns(columns) {
+  const errors = [];
+  if (!Array.isArray(columns) || columns.length === 0) {
+    return { columns: [], errors: ['columns: must be a non-empty array'] };
+  }
+  if (columns.length > 100) {
+    return { columns: [], errors: ['columns: at most 100 columns'] };
+  }
+
+  const normalized = [];
+  columns.forEach((column, i) => {
+    const spec = typeof column === 'string' ? { field: column } : column;
+    const field = typeof spec?.field === 'string' ? spec.field.trim() : '';
+    if (!PATH_PATTERN.test(field) || !Object.prototype.hasOwnProperty.call(LEAD_EXPORT_FIELDS, catalogKey(field))) {
+      errors.push(`columns[${i}]: unknown field ${field || '(empty)'}`);
+      return;
+    }
+    if (spec.header !== undefined && (typeof spec.header !== 'string' || !spec.header.trim())) {
+      errors.push(`columns[${i}].header: must be a non-empty string`);
+      return;
+    }
+    normalized.push({ field, header: spec.header ? spec.header.trim() : defaultHeader(field) });
+  });
+
+  return { columns: normalized, errors };
+}
+
+/**
+ * Read a field path from a (lean) lead
+ * @returns {*} Value, an array for "[]" paths, or null
+ */
+function getPath(doc, field) {
+  let values = [doc];
+  let many = false;
+
+  for (const token of field.split('.')) {
+    const [, key, index] = token.match(/^([^[\]]+)(?:\[(\d*)\])?$/);
+    const next = [];
+    for (const value of values) {
+      if (value === null || value === undefined) continue;
+      const child = value[key];
+      if (index === undefined) {
+        next.push(child);
+      } else if (Array.isArray(child)) {
+        if (index === '') next.push(...child);
+        else next.push(child[Number(index)]);
+      }
+    }
+    if (index === '') many = true;
+    values = next;
+  }
+
+  if (many) return values.filter(v => v !== null && v !== undefined);
+  return values[0] === undefined ? null : values[0];
+}
+
+/**
+ * Flatten a lead to one value per column (arrays stay arrays; the output format joins them)
+ */
+function flattenLead(lead, columns) {
+  return columns.map(({ field }) => getPath(lead, field));
+}
+
+/**
+ * Top-level fields to load for a column set
+ */
+function projectionFor(columns) {
+  return [...new Set(columns.map(({ field }) => field.split(/[.[]/)[0]))].join(' ');
+}
+
+module.exports = {
+  LEAD_EXPORT_FIELDS,
+  BUILT_IN_PRESETS,
+  normalizeColumns,
+  getPath,
+  flattenLead,
+  projectionFor
+};
@@ -0,0 +1,77 @@
+// utils/leadFilters.js
+// Shared CRM lead filters (used by crm.getLeads, bulk skip trace, exports)
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a comma-separated query value (or array) into trimmed values
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Build a tenant-scoped Mongo filter for Lead queries
+ * Supported filters (query string or JSON body):
+ * - status, category, grade, route, county: single value or comma-separated list
+ * - tags: comma-separated list, lead must have any of them
+ * - q: owner name / property address search
+ * @param {ObjectId} tenantId - Tenant ID (required)
+ * @param {Object} query - Filter values
+ * @returns {Object} Mongo filter
+ */
+function buildLeadFilter(tenantId, query = {}) {
+  if (!tenantId) {
+    throw new Error('tenantId is required');
+  }
+
+  const filter = { tenantId }; // Tenant-scoped
+  const { q } = query;
+
+  const listFilters = {
+    status: 'status',
+    category: 'category',
+    grade: 'leadScore.grade',
+    route: 'routing.route',
+    county: 'county'
+  };
+
+  for (const [param, field] of Object.entries(listFilters)) {
+    const values = toList(query[param]);
+    if (values.length === 1) {
+      filter[field] = param === 'county' ? new RegExp(`^${escapeRegex(values[0])}$`, 'i') : values[0];
+    } else if (values.length > 1) {
+      filter[field] = param === 'county'
+        ? { $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) }
+        : { $in: values };
+    }
+  }
+
+  const tags = toList(query.tags);
+  if (tags.length > 0) {
+    filter.tags = { $in: tags };
+  }
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [
+      { ownerName: pattern },
+      { propertyAddress: pattern }
+    ];
+  }
+
+  return filter;
+}
+
+module.exports = {
+  buildLeadFilter,
+  toList,
+  escapeRegex
+};
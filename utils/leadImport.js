@@ -0,0 +1,184 @@
+// utils/leadImport.js
+// CSV lead import: header → lead field mapping and per-row validation.
+// The mapping helpers take any field table of the same shape (comp imports use utils/comps.js COMP_FIELDS).
+
+const LEAD_STATUSES = ['new', 'attempted', 'contacted', 'under_contract', 'dead'];
+
+// Importable lead fields. Header aliases are compared after normalizeHeader();
+// the field name itself always matches.
+const IMPORT_FIELDS = {
+  ownerName: { type: 'string', aliases: ['owner', 'owner name', 'owner full name', 'name', 'seller', 'seller name'] },
+  propertyAddress: {
+    type: 'string',
+    required: true,
+    aliases: ['address', 'property address', 'property street', 'site address', 'situs address', 'street address']
+  },
+  mailingAddress: { type: 'string', aliases: ['mailing address', 'mail address', 'owner address'] },
+  city: { type: 'string', aliases: ['property city', 'site city'] },
+  state: { type: 'state', aliases: ['st', 'property state', 'site state'] },
+  zip: { type: 'zip', aliases: ['zip code', 'zipcode', 'postal code', 'property zip', 'site zip'] },
+  county: { type: 'string', aliases: ['property county'] },
+  parcelId: { type: 'string', aliases: ['parcel', 'parcel id', 'parcel number', 'apn'] },
+  caseNumber: { type: 'string', aliases: ['case', 'case no', 'case number'] },
+  category: { type: 'string', aliases: ['lead type', 'list type'] },
+  source: { type: 'string', aliases: ['lead source'] },
+  status: { type: 'status', aliases: ['lead status'] },
+  tags: { type: 'tags', aliases: ['tag', 'list', 'lists'] },
+  notes: { type: 'string', aliases: ['note', 'comments'] },
+  askingPrice: { type: 'number', aliases: ['asking', 'asking price', 'price'] },
+  listPrice: { type: 'number', aliases: ['list price'] },
+  arv: { type: 'number', aliases: ['after repair value'] },
+  delinquentAmount: { type: 'number', aliases: ['delinquent amount', 'amount owed', 'tax owed', 'balance due'] },
+  beds: { type: 'number', aliases: ['bd', 'bedrooms'] },
+  baths: { type: 'number', aliases: ['ba', 'bathrooms'] },
+  sqft: { type: 'number', aliases: ['square feet', 'living area', 'building sqft'] },
+  yearBuilt: { type: 'number', aliases: ['year built', 'yr built'] },
+  lotSizeSqft: { type: 'number', aliases: ['lot size', 'lot sqft'] },
+  latitude: { type: 'number', aliases: ['lat'] },
+  longitude: { type: 'number', aliases: ['lng', 'lon', 'long'] }
+};
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function aliasIndex(fields) {
+  return Object.entries(fields).reduce((acc, [field, def]) => {
+    for (const alias of [field, ...def.aliases]) {
+      acc[normalizeHeader(alias)] = field;
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Guess the mapping from CSV headers (first matching header wins per field)
+ * @param {Array<string>} headers
+ * @param {Object} fields - Field table (default IMPORT_FIELDS)
+ * @returns {Object} { "<csv header>": "<lead field>" }
+ */
+function detectMapping(headers = [], fields = IMPORT_FIELDS) {
+  const index = aliasIndex(fields);
+  const mapping = {};
+  const used = new Set();
+  for (const header of headers) {
+    const field = index[normalizeHeader(header)];
+    if (field && !used.has(field)) {
+      mapping[header] = field;
+      used.add(field);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Validate a header → field mapping against the file's headers
+ * @param {Object} options - { fields: field table (default IMPORT_FIELDS), label: used in errors (default "lead field") }
+ * @returns {Array<string>} Errors
+ */
+function validateMapping(mapping, headers = [], { fields = IMPORT_FIELDS, label = 'lead field' } = {}) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return [`mapping must be an object of { "<csv header>": "<${label}>" }`];
+  }
+
+  const errors = [];
+  const seen = new Map();
+  for (const [header, field] of Object.entries(mapping)) {
+    if (field === null || field === '') continue; // explicitly ignored column
+    if (!headers.includes(header)) {
+      errors.push(`mapping["${header}"]: no such column in the file`);
+    } else if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+      errors.push(`mapping["${header}"]: unknown ${label} ${field}`);
+    } else if (seen.has(field)) {
+      errors.push(`mapping["${header}"]: ${field} is already mapped from "${seen.get(field)}"`);
+    } else {
+      seen.set(field, header);
+    }
+  }
+
+  for (const [field, def] of Object.entries(fields)) {
+    if (def.required && !seen.has(field)) {
+      errors.push(`mapping: no column mapped to ${field}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Coerce one cell to its field type
+ * @returns {{value: *, error?: string}}
+ */
+function coerceValue(type, raw) {
+  const text = String(raw).trim();
+
+  switch (type) {
+    case 'number': {
+      const value = Number(text.replace(/[$,\s]/g, ''));
+      return Number.isFinite(value) ? { value } : { value: undefined, error: 'must be a number' };
+    }
+    case 'state':
+      return /^[a-z]{2}$/i.test(text)
+        ? { value: text.toUpperCase() }
+        : { value: undefined, error: 'must be a 2-letter state code' };
+    case 'zip':
+      // Spreadsheets drop leading zeros ("2134" for 02134)
+      if (/^\d{3,4}$/.test(text)) return { value: text.padStart(5, '0') };
+      return /^\d{5}(-\d{4})?$/.test(text) ? { value: text } : { value: undefined, error: 'must be a 5-digit ZIP' };
+    case 'status': {
+      const value = text.toLowerCase().replace(/[\s-]+/g, '_');
+      return LEAD_STATUSES.includes(value)
+        ? { value }
+        : { value: undefined, error: `must be one of: ${LEAD_STATUSES.join(', ')}` };
+    }
+    case 'tags':
+      return { value: text.split(/[;,]/).map(t => t.trim()).filter(Boolean) };
+    case 'date': {
+      const value = new Date(text);
+      return isNaN(value.getTime()) ? { value: undefined, error: 'must be a date' } : { value };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Map one CSV row to an upsertLeadFromSource payload
+ * Blank cells are left out so an import never blanks fields on an existing lead.
+ * @param {Object} row - Parsed CSV row keyed by header
+ * @param {Object} mapping - { "<csv header>": "<lead field>" }
+ * @param {Object} fields - Field table (default IMPORT_FIELDS)
+ * @returns {{payload: Object, errors: Array<{field: string, value: string, message: string}>}}
+ */
+function mapRow(row, mapping, fields = IMPORT_FIELDS) {
+  const payload = {};
+  const errors = [];
+
+  for (const [header, field] of Object.entries(mapping)) {
+    if (!field) continue;
+    const raw = row[header];
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+
+    const { value, error } = coerceValue(fields[field].type, raw);
+    if (error) {
+      errors.push({ field, value: String(raw), message: `${field} ${error}` });
+    } else {
+      payload[field] = value;
+    }
+  }
+
+  for (const [field, def] of Object.entries(fields)) {
+    if (def.required && payload[field] === undefined && !errors.some(e => e.field === field)) {
+      errors.push({ field, value: '', message: `${field} is required` });
+    }
+  }
+
+  return { payload, errors };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  normalizeHeader,
+  detectMapping,
+  validateMapping,
+  mapRow
+};
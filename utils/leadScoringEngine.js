@@ -2,6 +2,7 @@
 const BuyBox = require('../models/BuyBox');
 const { getStateFromMarket, normalizeMarket } = require('./marketUtils');
 const { calculateCashFlow, extractCashFlowInputsFromLead } = require('./cashFlowCalculator');
+const { getLeadMotivation, formatMotivationReason } = require('./motivationScore');
 
 /**
  * Score a lead against active Buy Boxes for its market
@@ -10,6 +11,24 @@ const { calculateCashFlow, extractCashFlowInputsFromLead } = require('./cashFlow
  * @returns {Promise<Object>} Scoring result
  */
 async function scoreLead(lead, buyBoxes = null) {
+  // Distress-signal motivation is scored independently of the buy box fit
+  let motivation = null;
+  try {
+    motivation = await getLeadMotivation(lead);
+  } catch (err) {
+    console.error('Failed to calculate lead motivation score:', err);
+  }
+
+  // ARV / rent from comparables fill in when the lead has neither (cached on lead.valuation)
+  if (!lead.arv || !(lead.dialerIntake?.estimatedRent || lead.metadata?.estimatedRent)) {
+    try {
+      const { refreshLeadValuation } = require('../services/compsService');
+      await refreshLeadValuation(lead);
+    } catch (err) {
+      console.error('Failed to estimate lead value from comps:', err);
+    }
+  }
+
   // Default result
   const defaultResult = {
     score: 0,
@@ -23,10 +42,10 @@ async function scoreLead(lead, buyBoxes = null) {
   // Determine market from lead
   const marketKey = determineMarketKey(lead);
   if (!marketKey) {
-    return {
+    return applyMotivation({
       ...defaultResult,
       failedChecks: ['Could not determine market from lead location']
-    };
+    }, motivation);
   }
 
   // Get active buy boxes for this market if not provided
@@ -38,10 +57,10 @@ async function scoreLead(lead, buyBoxes = null) {
   }
 
   if (!buyBoxes || buyBoxes.length === 0) {
-    return {
+    return applyMotivation({
       ...defaultResult,
       failedChecks: [`No active Buy Boxes found for market: ${marketKey}`]
-    };
+    }, motivation);
   }
 
   // Score against each buy box and return the best match
@@ -56,7 +75,27 @@ async function scoreLead(lead, buyBoxes = null) {
     }
   }
 
-  return bestResult;
+  return applyMotivation({ ...bestResult, reasons: [...bestResult.reasons] }, motivation);
+}
+
+/**
+ * Attach the motivation sub-score to a scoring result: adds it to reasons and lets
+ * high/medium motivation raise the lead tier (the buy box score and grade are unchanged)
+ * @param {Object} result - Scoring result
+ * @param {Object|null} motivation - utils/motivationScore result
+ * @returns {Object} The same result
+ */
+function applyMotivation(result, motivation) {
+  result.motivation = motivation;
+  if (!motivation || motivation.score <= 0) return result;
+
+  result.reasons.push(formatMotivationReason(motivation));
+  if (motivation.level === 'high') {
+    result.leadTier = 'hot';
+  } else if (motivation.level === 'medium' && result.leadTier === 'cold') {
+    result.leadTier = 'warm';
+  }
+  return result;
 }
 
 /**
@@ -90,7 +129,8 @@ function scoreLeadAgainstBuyBox(lead, buyBox) {
   const yearBuilt = lead.dialerIntake?.yearBuilt || lead.yearBuilt;
   const condition = normalizeCondition(lead.dialerIntake?.conditionTier);
   const askingPrice = lead.dialerIntake?.askingPrice || lead.askingPrice;
-  const arv = lead.arv;
+  const arv = lead.arv || lead.valuation?.arv?.value;
+  const arvNote = lead.arv ? '' : ' (comps estimate)';
   const city = (lead.dialerIntake?.propertyAddress || lead.propertyAddress || lead.city || '').toLowerCase();
   const county = (lead.county || '').toLowerCase();
   const description = (lead.description || lead.notes || lead.dialerIntake?.sellerReason || '').toLowerCase();
@@ -210,9 +250,9 @@ function scoreLeadAgainstBuyBox(lead, buyBox) {
   if (buyBox.arvMin !== undefined && buyBox.arvMax !== undefined) {
     if (arv && arv >= buyBox.arvMin && arv <= buyBox.arvMax) {
       earnedWeight += weight7;
-      result.reasons.push(`ARV within range: $${arv.toLocaleString()} (${buyBox.arvMin.toLocaleString()}-${buyBox.arvMax.toLocaleString()})`);
+      result.reasons.push(`ARV within range: $${arv.toLocaleString()}${arvNote} (${buyBox.arvMin.toLocaleString()}-${buyBox.arvMax.toLocaleString()})`);
     } else if (arv) {
-      result.failedChecks.push(`ARV out of range: $${arv.toLocaleString()} not in ${buyBox.arvMin.toLocaleString()}-${buyBox.arvMax.toLocaleString()}`);
+      result.failedChecks.push(`ARV out of range: $${arv.toLocaleString()}${arvNote} not in ${buyBox.arvMin.toLocaleString()}-${buyBox.arvMax.toLocaleString()}`);
     } else {
       // ARV not available but required - partial penalty
       earnedWeight += weight7 * 0.5;
@@ -481,6 +521,9 @@ async function recalculateAndSaveLeadScore(lead, options = {}) {
     reasons: scoringResult.reasons,
     failedChecks: scoringResult.failedChecks,
     cashFlow: scoringResult.cashFlow || null, // Store cash flow results
+    motivation: scoringResult.motivation
+      ? { ...scoringResult.motivation, evaluatedAt: new Date() }
+      : null,
     override: existingOverride || null // Preserve override
   };
 
@@ -531,6 +574,7 @@ async function recalculateAndSaveLeadScore(lead, options = {}) {
           previousScore,
           previousGrade,
           buyBoxKey: scoringResult.matchedBuyBox?.marketKey || null,
+          motivationScore: scoringResult.motivation?.score ?? null,
           reasons: scoringResult.reasons.length,
           failedChecks: scoringResult.failedChecks.length
         }
@@ -548,6 +592,7 @@ module.exports = {
   scoreLead,
   scoreLeadAgainstBuyBox,
   recalculateAndSaveLeadScore,
-  determineMarketKey
+  determineMarketKey,
+  normalizeCondition
 };
 
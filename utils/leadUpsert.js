@@ -2,71 +2,142 @@
 // Centralized lead upsert and deduplication logic
 
 const Lead = require('../models/Lead');
+const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { normalizeAddress } = require('./addressNormalizer');
+const { resolveProperty, attachSignal, DISTRESS_SIGNALS } = require('./propertyIdentity');
+
+// Set by the source on create; a later source stacking onto the lead doesn't replace them
+const ORIGIN_FIELDS = ['source', 'category', 'createdFrom', 'caseNumber', 'description'];
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Street line used for dedupe: normalized ("123 MAIN ST") when parseable, else the lowercased raw string
+ */
+function addressForKey(propertyAddress) {
+  const normalized = normalizeAddress(propertyAddress || '');
+  return normalized ? normalized.key.toLowerCase() : (propertyAddress || '').toLowerCase().trim();
+}
 
 /**
  * Builds a deterministic dedupeKey from lead data
  * @param {Object} payload - Lead data object
  * @param {String} sourceType - Source type (e.g., 'county_scraper', 'email_scraper')
+ * @param {Object} options - { legacy: hash the raw lowercased address (keys written before address normalization) }
  * @returns {String} - Deterministic dedupeKey
  */
-function buildDedupeKey(payload, sourceType) {
+function buildDedupeKey(payload, sourceType, options = {}) {
   // Strategy 1: Use (county + caseNumber) when both are available
   if (payload.county && payload.caseNumber) {
     const normalized = `${payload.county.toLowerCase().trim()}|${payload.caseNumber.trim()}`;
-    return crypto.createHash('sha256').update(normalized).digest('hex');
+    return hash(normalized);
   }
-  
+
   // Strategy 2: Use (propertyAddress + county) as primary uniqueness key (per requirements)
   // Fallback to (ownerName + propertyAddress + sourceType + date) if county not available
-  const propertyAddress = (payload.propertyAddress || '').toLowerCase().trim();
+  const propertyAddress = options.legacy
+    ? (payload.propertyAddress || '').toLowerCase().trim()
+    : addressForKey(payload.propertyAddress);
   const county = (payload.county || '').toLowerCase().trim();
-  
+
   if (propertyAddress && county) {
     // Primary strategy: propertyAddress + county (as per requirements)
     const normalized = `${propertyAddress}|${county}`;
-    return crypto.createHash('sha256').update(normalized).digest('hex');
+    return hash(normalized);
   }
-  
+
   // Fallback: Use (ownerName + propertyAddress + sourceType + date field)
   const ownerName = (payload.ownerName || '').toLowerCase().trim();
   const dateField = payload.closingDate || payload.auctionDate || payload.createdAt || '';
   const dateStr = typeof dateField === 'string' ? dateField.trim() : String(dateField);
-  
+
   const normalized = `${ownerName}|${propertyAddress}|${sourceType}|${dateStr}`;
-  return crypto.createHash('sha256').update(normalized).digest('hex');
+  return hash(normalized);
+}
+
+/**
+ * Lead already linked to the property, if it still exists in the tenant
+ */
+async function findPropertyLead(property, tenantId) {
+  if (!property || !property.leadId) return null;
+  return Lead.findOne({ _id: property.leadId, tenantId });
+}
+
+/**
+ * Link the property to its lead and the source record to the property
+ */
+async function linkProperty(property, lead, signal) {
+  if (!property) return;
+  if (!property.leadId || property.leadId.toString() !== lead._id.toString()) {
+    property.leadId = lead._id;
+    await property.save();
+  }
+  if (signal && signal.model && signal.recordId) {
+    await mongoose.model(signal.model).updateOne({ _id: signal.recordId }, { $set: { propertyId: property._id } });
+  }
 }
 
 /**
  * Upserts a lead from a source, handling deduplication
+ * The address is normalized and resolved to a Property first, so records for the same parcel from
+ * different sources (pre-foreclosure, tax lien, probate, email, ...) land on one lead.
  * @param {String} sourceType - Source type (e.g., 'county_scraper', 'email_scraper', 'manual', 'csv_upload')
- * @param {Object} payload - Lead data to upsert
- * @returns {Promise<{lead: Object, isNew: Boolean}>}
+ * @param {Object} payload - Lead data to upsert; optional `signal` ({ type, model, recordId }) names the source record
+ * @returns {Promise<{lead: Object, isNew: Boolean, property: Object|null, stacked: Boolean}>}
+ *   stacked = an existing lead gained a distress signal type it didn't have
  */
 async function upsertLeadFromSource(sourceType, payload) {
+  const { signal, ...fields } = payload;
+
   try {
+    // Fill city / state / zip from the address string when the source didn't split them out
+    const address = normalizeAddress(fields.propertyAddress, fields);
+    if (address) {
+      if (!fields.city && address.city) fields.city = address.city;
+      if (!fields.state && address.state) fields.state = address.state;
+      if (!fields.zip && address.zip) fields.zip = address.zip;
+    }
+
     // Build dedupeKey
-    const dedupeKey = buildDedupeKey(payload, sourceType);
-    
+    const dedupeKey = buildDedupeKey(fields, sourceType);
+    const legacyKey = buildDedupeKey(fields, sourceType, { legacy: true });
+
     // Prepare lead data with dedupeKey and sourceType
     const leadData = {
-      ...payload,
+      ...fields,
       dedupeKey,
       createdFrom: sourceType,
       // Ensure source field is set
-      source: payload.source || sourceType
+      source: fields.source || sourceType
     };
-    
-    // Find existing lead by dedupeKey (tenant-scoped if tenantId provided)
-    const findFilter = { dedupeKey };
-    if (payload.tenantId) {
-      findFilter.tenantId = payload.tenantId;
+
+    const property = fields.tenantId
+      ? await resolveProperty(fields.tenantId, address, { county: fields.county, parcelId: fields.parcelId })
+      : null;
+    if (property) leadData.propertyId = property._id;
+
+    // Same parcel first, then dedupeKey (tenant-scoped if tenantId provided)
+    let lead = await findPropertyLead(property, fields.tenantId);
+    if (!lead) {
+      const findFilter = { dedupeKey: { $in: [...new Set([dedupeKey, legacyKey])] } };
+      if (fields.tenantId) {
+        findFilter.tenantId = fields.tenantId;
+      }
+      lead = await Lead.findOne(findFilter);
+    }
+
+    const signalType = signal && DISTRESS_SIGNALS.includes(signal.type) ? signal.type : null;
+    if (property && signal) {
+      await attachSignal(property, { ...signal, source: leadData.source });
     }
-    let lead = await Lead.findOne(findFilter);
-    
+
     if (lead) {
       // Update existing lead (preserve existing alertedAt, status, notes, etc.)
       // Only update fields that are provided and not null/undefined
+      const stackedSource = lead.source && lead.source !== leadData.source;
       const updateData = {};
       Object.keys(leadData).forEach(key => {
         if (leadData[key] !== null && leadData[key] !== undefined && key !== 'dedupeKey') {
@@ -75,28 +146,47 @@ async function upsertLeadFromSource(sourceType, payload) {
           if (crmFields.includes(key) && lead[key] && !leadData[key]) {
             return; // Skip update
           }
+          // A re-scraped record never moves a worked lead back to "new"
+          if (key === 'status' && leadData.status === 'new' && lead.status) {
+            return;
+          }
+          if (stackedSource && ORIGIN_FIELDS.includes(key) && lead[key]) {
+            return;
+          }
           updateData[key] = leadData[key];
         }
       });
-      
+      if (updateData.tags) {
+        updateData.tags = [...new Set([...(lead.tags || []), ...updateData.tags])];
+      }
+
+      let stacked = false;
+      if (signalType && !(lead.distressSignals || []).includes(signalType)) {
+        updateData.distressSignals = [...(lead.distressSignals || []), signalType];
+        stacked = true;
+      }
+
       // Update the lead
       Object.assign(lead, updateData);
       await lead.save();
-      
-      return { lead, isNew: false };
+      await linkProperty(property, lead, signal);
+
+      return { lead, isNew: false, property, stacked };
     } else {
       // Create new lead
+      if (signalType) leadData.distressSignals = [signalType];
       lead = await Lead.create(leadData);
-      return { lead, isNew: true };
+      await linkProperty(property, lead, signal);
+      return { lead, isNew: true, property, stacked: false };
     }
   } catch (err) {
     // Handle unique index violation (shouldn't happen with dedupeKey, but safety check)
     if (err.code === 11000) {
       // Try to find by dedupeKey again
-      const dedupeKey = buildDedupeKey(payload, sourceType);
+      const dedupeKey = buildDedupeKey(fields, sourceType);
       const lead = await Lead.findOne({ dedupeKey });
       if (lead) {
-        return { lead, isNew: false };
+        return { lead, isNew: false, property: null, stacked: false };
       }
     }
     throw err;
@@ -107,4 +197,3 @@ module.exports = {
   upsertLeadFromSource,
   buildDedupeKey
 };
-
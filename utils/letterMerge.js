@@ -0,0 +1,119 @@
+// utils/letterMerge.js
+// Merge fields for direct mail letter templates: {{ownerFirstName}}, {{propertyAddress}}, ...
+// A fallback can follow a pipe: {{ownerFirstName|Homeowner}}
+
+const { normalizeAddress } = require('./addressNormalizer');
+
+const MERGE_FIELDS = {
+  ownerName: 'Owner name as listed',
+  ownerFirstName: 'Owner first name (blank for companies, trusts and estates)',
+  propertyAddress: 'Property street address',
+  propertyCity: 'Property city',
+  propertyState: 'Property state',
+  propertyZip: 'Property ZIP',
+  county: 'Property county',
+  mailingAddress: 'Owner mailing address (falls back to the property address)',
+  askingPrice: 'Asking price, e.g. $145,000',
+  companyName: 'Tenant brand name',
+  today: 'Mailing date, e.g. October 19, 2026'
+};
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z]+)\s*(?:\|([^}]*))?\}\}/g;
+const ENTITY_NAME = /\b(LLC|INC|CORP|CO|LP|LLP|LTD|TRUST|TRUSTEE|ESTATE|BANK|ASSOCIATION|CHURCH|CITY|COUNTY)\b/i;
+
+function titleCase(value) {
+  return String(value).toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+/**
+ * First name for the salutation; county records usually list "LAST FIRST" or "LAST, FIRST"
+ */
+function ownerFirstName(ownerName) {
+  if (!ownerName || ENTITY_NAME.test(ownerName)) return '';
+  const name = String(ownerName).split(/\s*(?:&|\band\b)\s*/i)[0].trim();
+  if (name.includes(',')) {
+    return titleCase(name.split(',')[1].trim().split(/\s+/)[0] || '');
+  }
+  const parts = name.split(/\s+/);
+  // All-caps records are "LAST FIRST MIDDLE"
+  const first = name === name.toUpperCase() && parts.length > 1 ? parts[1] : parts[0];
+  return titleCase(first || '');
+}
+
+/**
+ * Where the letter goes: the owner's mailing address when it parses, else the property address
+ * @returns {{name: String, line1: String, city: String, state: String, zip: String}|null} null when undeliverable
+ */
+function recipientAddress(lead) {
+  const name = lead.ownerName ? titleCase(lead.ownerName) : 'Current Resident';
+
+  const mailing = normalizeAddress(lead.mailingAddress || '');
+  if (mailing && mailing.zip && mailing.state) {
+    return { name, line1: mailing.line1, city: mailing.city || '', state: mailing.state, zip: mailing.zip };
+  }
+
+  const property = normalizeAddress(lead.propertyAddress || '', lead);
+  if (property && property.zip && property.state) {
+    return { name, line1: property.line1, city: property.city || '', state: property.state, zip: property.zip };
+  }
+  return null;
+}
+
+/**
+ * Values for every merge field
+ * @param {Object} lead
+ * @param {Object} tenant - { name, brandName }
+ * @param {Date} date - Mailing date
+ */
+function mergeValues(lead, tenant = {}, date = new Date()) {
+  const recipient = recipientAddress(lead);
+  return {
+    ownerName: lead.ownerName ? titleCase(lead.ownerName) : '',
+    ownerFirstName: ownerFirstName(lead.ownerName),
+    propertyAddress: lead.propertyAddress || '',
+    propertyCity: lead.city || '',
+    propertyState: lead.state || '',
+    propertyZip: lead.zip || '',
+    county: lead.county || '',
+    mailingAddress: recipient ? `${recipient.line1}, ${recipient.city} ${recipient.state} ${recipient.zip}`.replace(/\s+/g, ' ') : '',
+    askingPrice: lead.askingPrice ? `$${Math.round(lead.askingPrice).toLocaleString('en-US')}` : '',
+    companyName: tenant.brandName || tenant.name || '',
+    today: date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+  };
+}
+
+/**
+ * Placeholders in a template that aren't merge fields
+ * @returns {Array<string>}
+ */
+function findUnknownFields(content) {
+  const unknown = new Set();
+  for (const [, field] of String(content || '').matchAll(PLACEHOLDER)) {
+    if (!Object.prototype.hasOwnProperty.call(MERGE_FIELDS, field)) unknown.add(field);
+  }
+  return [...unknown];
+}
+
+/**
+ * Fill a template's placeholders
+ * @returns {{text: String, missing: Array<string>}} missing = fields that were blank with no fallback
+ */
+function renderLetter(content, values) {
+  const missing = new Set();
+  const text = String(content || '').replace(PLACEHOLDER, (match, field, fallback) => {
+    if (!Object.prototype.hasOwnProperty.call(values, field)) return match;
+    if (values[field]) return values[field];
+    if (fallback === undefined) missing.add(field);
+    return fallback !== undefined ? fallback.trim() : '';
+  });
+  return { text, missing: [...missing] };
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  ownerFirstName,
+  recipientAddress,
+  mergeValues,
+  findUnknownFields,
+  renderLetter
+};
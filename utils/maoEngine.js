@@ -0,0 +1,170 @@
+// utils/maoEngine.js
+// Maximum allowable offer (MAO) from the buy box formula:
+//   ARV x arvPercent - rehab - assignment fee - holding costs - closing costs
+// Rehab comes from the lead when a number was given, else from the buy box rehab table (condition x sqft).
+
+const { normalizeCondition } = require('./leadScoringEngine');
+
+const OFFER_STEP = 500;
+
+// Used for any setting the buy box leaves empty (or when the lead has no buy box)
+const DEFAULT_MAO = {
+  arvPercent: 70,
+  assignmentFee: 10000,
+  holdingCostPercent: 0,
+  closingCostPercent: 0,
+  ladder: { openingPercent: 85, targetPercent: 93 }
+};
+
+const DEFAULT_REHAB_TABLE = [
+  { conditionTier: 'light', maxSqft: null, costPerSqft: 15, baseCost: 0 },
+  { conditionTier: 'medium', maxSqft: null, costPerSqft: 30, baseCost: 0 },
+  { conditionTier: 'heavy', maxSqft: null, costPerSqft: 50, baseCost: 5000 }
+];
+
+function money(value) {
+  return `$${Math.round(value).toLocaleString()}`;
+}
+
+function roundDown(value) {
+  return Math.floor(value / OFFER_STEP) * OFFER_STEP;
+}
+
+/**
+ * MAO settings for a buy box, with defaults for anything unset
+ * @param {Object|null} buyBox - BuyBox document
+ * @returns {Object} { arvPercent, assignmentFee, holdingCostPercent, closingCostPercent, rehabTable, ladder }
+ */
+function resolveMaoConfig(buyBox) {
+  const mao = buyBox?.mao || {};
+  return {
+    arvPercent: mao.arvPercent ?? DEFAULT_MAO.arvPercent,
+    assignmentFee: mao.assignmentFee ?? DEFAULT_MAO.assignmentFee,
+    holdingCostPercent: mao.holdingCostPercent ?? DEFAULT_MAO.holdingCostPercent,
+    closingCostPercent: mao.closingCostPercent ?? DEFAULT_MAO.closingCostPercent,
+    rehabTable: mao.rehabTable?.length ? mao.rehabTable : DEFAULT_REHAB_TABLE,
+    ladder: {
+      openingPercent: mao.ladder?.openingPercent ?? DEFAULT_MAO.ladder.openingPercent,
+      targetPercent: mao.ladder?.targetPercent ?? DEFAULT_MAO.ladder.targetPercent
+    }
+  };
+}
+
+/**
+ * Rehab estimate: the lead's own number, else the rehab table row for its condition and size
+ * @returns {Object} { cost, source: lead | table, detail } or { cost: null, missingFields }
+ */
+function estimateRehab(lead, rehabTable) {
+  const given = lead.metadata?.rehabCost || lead.dialerIntake?.estimatedRehabCost;
+  if (given > 0) return { cost: given, source: 'lead', detail: `Rehab: ${money(given)} (from lead)` };
+
+  const tier = normalizeCondition(lead.dialerIntake?.conditionTier || lead.conditionTier);
+  const sqft = lead.dialerIntake?.sqft || lead.sqft;
+  const missingFields = [];
+  if (!tier) missingFields.push('conditionTier');
+  if (!(sqft > 0)) missingFields.push('sqft');
+  if (missingFields.length) return { cost: null, missingFields };
+
+  const row = rehabTable
+    .filter(r => r.conditionTier === tier && (r.maxSqft === null || r.maxSqft === undefined || sqft <= r.maxSqft))
+    .sort((a, b) => (a.maxSqft ?? Infinity) - (b.maxSqft ?? Infinity))[0];
+  if (!row) return { cost: null, missingFields: [`rehabTable.${tier}`] };
+
+  const cost = (row.baseCost || 0) + row.costPerSqft * sqft;
+  return {
+    cost,
+    source: 'table',
+    detail: `Rehab: ${money(cost)} (${tier}, ${money(row.costPerSqft)}/sqft x ${sqft.toLocaleString()} sqft` +
+      `${row.baseCost ? ` + ${money(row.baseCost)}` : ''})`
+  };
+}
+
+/**
+ * Opening / target / max offers below a max offer
+ * @returns {{opening: Number, target: Number, max: Number}}
+ */
+function buildLadder(maxOffer, ladder = DEFAULT_MAO.ladder) {
+  return {
+    opening: roundDown(maxOffer * ladder.openingPercent / 100),
+    target: roundDown(maxOffer * ladder.targetPercent / 100),
+    max: maxOffer
+  };
+}
+
+/**
+ * Cash MAO for a lead against a buy box formula
+ * @param {Object} lead - Lead document
+ * @param {Object|null} buyBox - BuyBox document (null = default formula)
+ * @returns {Object} { mao, ladder, arv, rehab, formula, missingFields, assumptionsUsed }; mao is null when
+ *   ARV or rehab inputs are missing, and 0 when the costs exceed ARV x %
+ */
+function calculateCashMao(lead, buyBox) {
+  const config = resolveMaoConfig(buyBox);
+  const arv = lead.arv || lead.valuation?.arv?.value || null;
+  const arvSource = lead.arv ? 'lead' : (arv ? 'comps' : null);
+  const rehab = estimateRehab(lead, config.rehabTable);
+
+  const missingFields = [...(arv ? [] : ['arv']), ...(rehab.missingFields || [])];
+  if (missingFields.length) {
+    return { mao: null, ladder: null, arv, rehab: null, formula: null, missingFields, assumptionsUsed: [] };
+  }
+
+  const arvAmount = arv * config.arvPercent / 100;
+  const holdingCosts = arv * config.holdingCostPercent / 100;
+  const closingCosts = arv * config.closingCostPercent / 100;
+  const mao = Math.max(0, roundDown(arvAmount - rehab.cost - config.assignmentFee - holdingCosts - closingCosts));
+
+  const assumptionsUsed = [
+    buyBox ? `Buy Box: ${buyBox.label || buyBox.marketKey}` : 'No buy box - default MAO formula',
+    `ARV: ${money(arv)} (${arvSource})`,
+    `ARV x ${config.arvPercent}%: ${money(arvAmount)}`,
+    rehab.detail,
+    `Assignment Fee: ${money(config.assignmentFee)}`,
+    holdingCosts > 0 ? `Holding Costs (${config.holdingCostPercent}% of ARV): ${money(holdingCosts)}` : null,
+    closingCosts > 0 ? `Closing Costs (${config.closingCostPercent}% of ARV): ${money(closingCosts)}` : null,
+    `MAO: ${money(mao)}`
+  ].filter(Boolean);
+
+  return {
+    mao,
+    ladder: buildLadder(mao, config.ladder),
+    arv,
+    rehab: { cost: Math.round(rehab.cost), source: rehab.source },
+    formula: {
+      arvPercent: config.arvPercent,
+      arvAmount: Math.round(arvAmount),
+      rehab: Math.round(rehab.cost),
+      assignmentFee: config.assignmentFee,
+      holdingCosts: Math.round(holdingCosts),
+      closingCosts: Math.round(closingCosts)
+    },
+    missingFields: [],
+    assumptionsUsed
+  };
+}
+
+/**
+ * Compare an offer with the lane's max offer
+ * @returns {Object|null} { lane, offerAmount, maxOffer, exceedsBy, warning } (null when there's no max to compare)
+ */
+function checkOfferAgainstMax(lane, offerAmount, maxOffer) {
+  if (!(offerAmount > 0) || maxOffer === null || maxOffer === undefined) return null;
+  const exceedsBy = Math.max(0, offerAmount - maxOffer);
+  return {
+    lane,
+    offerAmount,
+    maxOffer,
+    exceedsBy,
+    warning: exceedsBy > 0 ? `Offer ${money(offerAmount)} exceeds the ${lane} max offer of ${money(maxOffer)} by ${money(exceedsBy)}` : null
+  };
+}
+
+module.exports = {
+  DEFAULT_MAO,
+  DEFAULT_REHAB_TABLE,
+  resolveMaoConfig,
+  estimateRehab,
+  buildLadder,
+  calculateCashMao,
+  checkOfferAgainstMax
+};
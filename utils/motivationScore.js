@@ -0,0 +1,239 @@
+// utils/motivationScore.js
+// Seller motivation sub-score (0-100) from the distress records linked to a lead's Property:
+// pre-foreclosure, tax lien, code violation and probate. Stacked, recent and severe signals score higher.
+
+const PreForeclosure = require('../models/PreForeclosure');
+const TaxLien = require('../models/TaxLien');
+const CodeViolation = require('../models/CodeViolation');
+const Probate = require('../models/Probate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Base points per record type (strongest record of each type counts)
+const SIGNAL_WEIGHTS = {
+  preforeclosure: 30,
+  probate: 25,
+  tax_lien: 20,
+  code_violation: 15
+};
+
+// Bonus by number of distinct signal types on the property
+const STACK_BONUS = { 2: 15, 3: 25, 4: 35 };
+
+const SEVERE_VIOLATION_TERMS = ['vacant', 'unsafe', 'substandard', 'condemn', 'fire', 'structural', 'dangerous', 'boarded'];
+const CLOSED_VIOLATION_STATUSES = ['closed', 'resolved', 'complied', 'dismissed', 'abated'];
+
+const RECORD_SOURCES = [
+  { type: 'preforeclosure', model: PreForeclosure },
+  { type: 'tax_lien', model: TaxLien },
+  { type: 'code_violation', model: CodeViolation },
+  { type: 'probate', model: Probate }
+];
+
+/**
+ * Parse a scraped money string ("$12,500.00") to a number
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+  const amount = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(amount) ? amount : null;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Years of back taxes from the county's yearsOwed text: "3", "2019-2022", "2021, 2022, 2023"
+ */
+function parseYearsOwed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) return parseInt(text, 10);
+
+  const years = (text.match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+  if (!years.length) return null;
+  if (years.length === 2 && /\d\s*(-|–|to|thru|through)\s*\d/i.test(text)) {
+    return Math.abs(years[1] - years[0]) + 1;
+  }
+  return new Set(years).size;
+}
+
+/**
+ * Older filings say less about motivation today
+ */
+function recencyFactor(date, now) {
+  if (!date) return 0.6;
+  const ageDays = (now - date) / DAY_MS;
+  if (ageDays <= 30) return 1;
+  if (ageDays <= 90) return 0.85;
+  if (ageDays <= 180) return 0.7;
+  if (ageDays <= 365) return 0.5;
+  return 0.3;
+}
+
+function formatMoney(amount) {
+  return `$${Math.round(amount).toLocaleString()}`;
+}
+
+/**
+ * Points for one distress record
+ * @param {String} type - preforeclosure | tax_lien | code_violation | probate
+ * @param {Object} record - Record document (lean)
+ * @param {Date} now
+ * @returns {{type: String, points: Number, factors: Array<String>}}
+ */
+function scoreRecord(type, record, now) {
+  let points = SIGNAL_WEIGHTS[type] || 0;
+  let bonus = 0; // not decayed by filing age
+  const factors = [];
+  const filedAt = parseDate(record.createdAt);
+
+  if (type === 'preforeclosure') {
+    const delinquent = parseAmount(record.amountDelinquent);
+    if (delinquent >= 50000) points += 10;
+    else if (delinquent >= 20000) points += 6;
+    else if (delinquent >= 5000) points += 3;
+    if (delinquent) factors.push(`pre-foreclosure ${formatMoney(delinquent)} delinquent`);
+
+    const auctionDate = parseDate(record.auctionDate);
+    if (auctionDate) {
+      const daysOut = Math.ceil((auctionDate - now) / DAY_MS);
+      if (daysOut < -7) {
+        // Sold, cancelled or postponed - the filing alone is weak evidence now
+        factors.push('auction date passed');
+        return { type, points: Math.round(points * recencyFactor(filedAt, now) * 0.3), factors };
+      }
+      if (daysOut <= 14) bonus = 25;
+      else if (daysOut <= 30) bonus = 18;
+      else if (daysOut <= 60) bonus = 10;
+      else if (daysOut <= 90) bonus = 5;
+      factors.push(daysOut <= 0 ? 'auction this week' : `auction in ${daysOut} days`);
+    } else if (!delinquent) {
+      factors.push('pre-foreclosure');
+    }
+  } else if (type === 'tax_lien') {
+    const delinquent = parseAmount(record.delinquentAmount);
+    if (delinquent >= 20000) points += 10;
+    else if (delinquent >= 10000) points += 6;
+    else if (delinquent >= 3000) points += 3;
+
+    const yearsOwed = parseYearsOwed(record.yearsOwed);
+    if (yearsOwed >= 3) points += 12;
+    else if (yearsOwed === 2) points += 7;
+    else if (yearsOwed === 1) points += 2;
+
+    const parts = [];
+    if (delinquent) parts.push(`${formatMoney(delinquent)} owed`);
+    if (yearsOwed) parts.push(`${yearsOwed} year${yearsOwed === 1 ? '' : 's'}`);
+    factors.push(parts.length ? `tax lien ${parts.join(', ')}` : 'tax lien');
+  } else if (type === 'code_violation') {
+    const violation = (record.violationType || '').toLowerCase();
+    const status = (record.status || '').toLowerCase();
+    if (SEVERE_VIOLATION_TERMS.some(term => violation.includes(term))) points += 10;
+    if (CLOSED_VIOLATION_STATUSES.some(s => status.includes(s))) {
+      points *= 0.3;
+      factors.push(`closed code violation${record.violationType ? ` (${record.violationType})` : ''}`);
+    } else {
+      factors.push(`open code violation${record.violationType ? ` (${record.violationType})` : ''}`);
+    }
+  } else if (type === 'probate') {
+    factors.push('probate estate');
+  }
+
+  return { type, points: Math.round(points * recencyFactor(filedAt, now) + bonus), factors };
+}
+
+/**
+ * Calculate the motivation sub-score for a set of distress records on one property
+ * @param {Array<{type: String, record: Object}>} records - Linked distress records
+ * @param {Date} now - Reference time (default now)
+ * @returns {{score: Number, level: String, signalCount: Number, signalTypes: Array<String>, factors: Array<String>}}
+ */
+function calculateMotivationScore(records = [], now = new Date()) {
+  const byType = new Map();
+  for (const { type, record } of records) {
+    if (!SIGNAL_WEIGHTS[type] || !record) continue;
+    const scored = scoreRecord(type, record, now);
+    const entry = byType.get(type) || { best: null, count: 0 };
+    entry.count++;
+    if (!entry.best || scored.points > entry.best.points) entry.best = scored;
+    byType.set(type, entry);
+  }
+
+  let score = 0;
+  const factors = [];
+  for (const { best, count } of byType.values()) {
+    // Repeat filings of the same type add a little on top of the strongest one
+    score += best.points + Math.min(count - 1, 2) * 3;
+    factors.push(...best.factors);
+    if (count > 1) factors.push(`${count} ${best.type.replace('_', ' ')} records`);
+  }
+
+  const signalTypes = [...byType.keys()];
+  if (STACK_BONUS[signalTypes.length]) {
+    score += STACK_BONUS[signalTypes.length];
+    factors.push(`${signalTypes.length} stacked distress signals`);
+  }
+
+  score = Math.min(100, Math.round(score));
+  let level = 'none';
+  if (score >= 70) level = 'high';
+  else if (score >= 40) level = 'medium';
+  else if (score > 0) level = 'low';
+
+  return {
+    score,
+    level,
+    signalCount: records.filter(r => SIGNAL_WEIGHTS[r.type] && r.record).length,
+    signalTypes,
+    factors
+  };
+}
+
+/**
+ * Load the distress records linked to a lead's Property
+ * @param {Object} lead - Lead document (needs propertyId)
+ * @returns {Promise<Array<{type: String, record: Object}>>}
+ */
+async function loadDistressRecords(lead) {
+  if (!lead.propertyId) return [];
+  const filter = { propertyId: lead.propertyId };
+  if (lead.tenantId) filter.tenantId = lead.tenantId;
+
+  const results = await Promise.all(RECORD_SOURCES.map(async ({ type, model }) => {
+    const docs = await model.find(filter).sort({ createdAt: -1 }).limit(20).lean();
+    return docs.map(record => ({ type, record }));
+  }));
+  return results.flat();
+}
+
+/**
+ * Motivation sub-score for a lead from its linked distress records
+ * @param {Object} lead - Lead document
+ * @param {Date} now - Reference time (default now)
+ * @returns {Promise<Object>} calculateMotivationScore result
+ */
+async function getLeadMotivation(lead, now = new Date()) {
+  return calculateMotivationScore(await loadDistressRecords(lead), now);
+}
+
+/**
+ * Human-readable reason line for leadScore.reasons
+ */
+function formatMotivationReason(motivation) {
+  const detail = motivation.factors.length ? `: ${motivation.factors.join(', ')}` : '';
+  return `Motivation ${motivation.score}/100 (${motivation.level})${detail}`;
+}
+
+module.exports = {
+  calculateMotivationScore,
+  getLeadMotivation,
+  loadDistressRecords,
+  formatMotivationReason,
+  parseYearsOwed,
+  parseAmount
+};
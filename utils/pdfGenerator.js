@@ -1,14 +1,22 @@
 // utils/pdfGenerator.js
-// PDF generation utility for lead letters
+// PDF generation utility for lead letters (tenant letterhead and footer from utils/branding.js)
 
 const PDFDocument = require('pdfkit');
+const { once } = require('events');
+const { drained } = require('./xlsxWriter');
+
+// Print layout for US Letter in a #10 double-window envelope (points; 72 per inch)
+const PAGE_MARGIN = 72;
+const RECIPIENT_TOP = 162; // 2.25in: lines up with the envelope's address window
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
 
 /**
  * Generates a PDF letter for a lead and streams it to the response
  * @param {Object} lead - Lead document from MongoDB
  * @param {Object} res - Express response object
+ * @param {Object} branding - See generateCampaignLetters
  */
-function generateLeadLetter(lead, res) {
+function generateLeadLetter(lead, res, branding = {}) {
   try {
     const doc = new PDFDocument({ margin: 50 });
     
@@ -22,8 +30,11 @@ function generateLeadLetter(lead, res) {
     // Pipe PDF to response
     doc.pipe(res);
     
+    drawLetterhead(doc, branding);
+    drawFooter(doc, branding);
+
     // Generate letter content
-    doc.fontSize(20).text('Lead Information Letter', { align: 'center' });
+    doc.fontSize(20).text('Lead Information Letter', 50, 130, { align: 'center' });
     doc.moveDown();
     
     doc.fontSize(12);
@@ -61,6 +72,90 @@ function generateLeadLetter(lead, res) {
   }
 }
 
+/**
+ * Company letterhead: logo (or brand name) on the left, brand name in the primary color, accent rule
+ */
+function drawLetterhead(doc, branding) {
+  const primary = HEX_COLOR.test(branding.primaryColor || '') ? branding.primaryColor : '#0b1d51';
+  const accent = HEX_COLOR.test(branding.secondaryColor || '') ? branding.secondaryColor : '#ff6f00';
+  const top = 40;
+
+  let textLeft = PAGE_MARGIN;
+  if (branding.logo) {
+    try {
+      doc.image(branding.logo, PAGE_MARGIN, top, { fit: [140, 48] });
+      textLeft = PAGE_MARGIN + 152;
+    } catch (err) {
+      // Unsupported image data - fall back to the text letterhead
+    }
+  }
+  if (branding.brandName) {
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(primary)
+      .text(branding.brandName, textLeft, top + 14, { width: doc.page.width - PAGE_MARGIN - textLeft, lineBreak: false });
+  }
+  doc.moveTo(PAGE_MARGIN, top + 60).lineTo(doc.page.width - PAGE_MARGIN, top + 60)
+    .lineWidth(2).strokeColor(accent).stroke();
+  doc.font('Helvetica').fillColor('black');
+}
+
+/**
+ * Footer line (tenant footerText, else the brand name) pinned to the bottom of the current page
+ */
+function drawFooter(doc, branding) {
+  const footer = branding.footerText || branding.brandName;
+  if (!footer) return;
+
+  const { x, y } = doc;
+  const bottomMargin = doc.page.margins.bottom;
+  // Writing inside the bottom margin would otherwise start a new page
+  doc.page.margins.bottom = 0;
+  doc.font('Helvetica').fontSize(8).fillColor('#777777')
+    .text(footer, PAGE_MARGIN, doc.page.height - 48, { width: doc.page.width - PAGE_MARGIN * 2, align: 'center', height: 24, ellipsis: true });
+  doc.page.margins.bottom = bottomMargin;
+  doc.fillColor('black');
+  doc.x = x;
+  doc.y = y;
+}
+
+/**
+ * Render a mail campaign as one print-ready PDF (US Letter, each letter starting on a new page)
+ * @param {Writable} output - e.g. Express response (headers are the caller's job)
+ * @param {Object} options
+ * @param {Object} options.branding - { brandName, logo (PNG/JPEG Buffer), primaryColor, secondaryColor, footerText }
+ * @param {AsyncIterable<{recipient: Object, body: String}>} options.letters - recipient = { name, line1, city, state, zip }
+ * @param {String} options.title - PDF document title
+ * @returns {Promise<Number>} Letters written
+ */
+async function generateCampaignLetters(output, { branding = {}, letters, title = 'Mail campaign' }) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, autoFirstPage: false, info: { Title: title } });
+  const ended = once(doc, 'end');
+  doc.pipe(output);
+
+  let count = 0;
+  for await (const { recipient, body } of letters) {
+    doc.addPage();
+    drawLetterhead(doc, branding);
+    drawFooter(doc, branding);
+
+    doc.fontSize(11).text(
+      [recipient.name, recipient.line1, `${recipient.city} ${recipient.state} ${recipient.zip}`.trim()].join('\n'),
+      PAGE_MARGIN,
+      RECIPIENT_TOP
+    );
+    doc.moveDown(3);
+    doc.fontSize(11).text(body, { align: 'left', paragraphGap: 6, lineGap: 2 });
+    count++;
+
+    // pdfkit buffers whatever the response hasn't taken yet; don't race ahead of a slow download
+    if (output.writableNeedDrain) await drained(output);
+  }
+
+  doc.end();
+  await ended;
+  return count;
+}
+
 module.exports = {
-  generateLeadLetter
+  generateLeadLetter,
+  generateCampaignLetters
 };
@@ -3,6 +3,29 @@ const Lead = require('../models/Lead');
 const BuyerFeedback = require('../models/BuyerFeedback');
 const Buyer = require('../models/Buyer');
 
+// Counter-offers needed before they set the suggested price instead of the feedback ratios
+const MIN_COUNTER_OFFERS = parseInt(process.env.PRICE_DISCOVERY_MIN_COUNTER_OFFERS) || 2;
+
+/**
+ * Low / high / median / buyer-weighted average of counter-offer prices
+ * @param {Array<{ price: number, weight: number }>} counters
+ */
+function summarizeCounterOffers(counters) {
+  if (counters.length === 0) return null;
+  const prices = counters.map(c => c.price).sort((a, b) => a - b);
+  const mid = Math.floor(prices.length / 2);
+  const median = prices.length % 2 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+  const totalWeight = counters.reduce((sum, c) => sum + c.weight, 0);
+  const weightedAverage = counters.reduce((sum, c) => sum + c.price * c.weight, 0) / totalWeight;
+  return {
+    count: counters.length,
+    low: prices[0],
+    high: prices[prices.length - 1],
+    median: Math.round(median),
+    weightedAverage: Math.round(weightedAverage)
+  };
+}
+
 /**
  * Run price discovery analysis for a lead based on buyer feedback
  * Aggregates buyer feedback, weights by buyer quality, and calculates:
@@ -10,6 +33,9 @@ const Buyer = require('../models/Buyer');
  * - rejectionRate (0-100)
  * - suggestedPriceAdjustment (±%)
  * 
+ * Counter-offers parsed from replies (BuyerFeedback.reply.counterPrice) are real price points: once there are
+ * MIN_COUNTER_OFFERS of them, the suggested range comes from what buyers said they'd pay.
+ * 
  * Results are stored on the Lead model but never auto-change prices (suggestions only)
  */
 async function runPriceDiscovery(leadId) {
@@ -29,12 +55,16 @@ async function runPriceDiscovery(leadId) {
       // No feedback yet, clear discovery fields
       lead.buyerInterestScore = null;
       lead.suggestedPriceRange = null;
+      lead.buyerCounterOffers = null;
       lead.lastPriceDiscoveryAt = null;
       await lead.save();
       return null;
     }
 
+    const currentPrice = lead.askingPrice || lead.listPrice;
+
     // Calculate weighted scores
+    const counters = [];
     let totalWeight = 0;
     let weightedInterest = 0;
     let weightedRejection = 0;
@@ -65,14 +95,22 @@ async function runPriceDiscovery(leadId) {
 
       totalWeight += buyerWeight;
 
+      const counterPrice = fb.reply?.counterPrice;
+      if (counterPrice) {
+        counters.push({ price: counterPrice, weight: buyerWeight });
+      }
+
+      // Interest at a price below ours says our price is too high: scored as price_too_high, not interest
+      const counterBelowAsking = !!(counterPrice && currentPrice && counterPrice < currentPrice);
+
       // Score feedback
-      if (fb.responseType === 'interested') {
+      if (fb.responseType === 'interested' && !counterBelowAsking) {
         weightedInterest += buyerWeight;
         interestedCount++;
       } else if (fb.responseType === 'pass') {
         weightedRejection += buyerWeight;
         passCount++;
-      } else if (fb.responseType === 'price_too_high') {
+      } else if (fb.responseType === 'price_too_high' || fb.responseType === 'interested') {
         weightedRejection += buyerWeight;
         priceTooHighCount++;
       } else if (fb.responseType === 'wrong_market') {
@@ -124,8 +162,22 @@ async function runPriceDiscovery(leadId) {
 
     // Calculate suggested price range
     let suggestedPriceRange = null;
-    const currentPrice = lead.askingPrice || lead.listPrice;
-    if (currentPrice && suggestedPriceAdjustment !== 0) {
+    const counterOffers = summarizeCounterOffers(counters);
+    if (counterOffers && counterOffers.count >= MIN_COUNTER_OFFERS) {
+      // What buyers said they'd pay, weighted by how much we trust each buyer
+      const suggestedPrice = counterOffers.weightedAverage;
+      suggestedPriceAdjustment = currentPrice
+        ? Math.round(((suggestedPrice - currentPrice) / currentPrice) * 100)
+        : 0;
+      suggestedPriceRange = {
+        min: counterOffers.low,
+        max: counterOffers.high,
+        suggested: suggestedPrice,
+        current: currentPrice || null,
+        adjustmentPercent: currentPrice ? suggestedPriceAdjustment : null,
+        basis: 'counter_offers'
+      };
+    } else if (currentPrice && suggestedPriceAdjustment !== 0) {
       const adjustmentFactor = 1 + (suggestedPriceAdjustment / 100);
       const suggestedPrice = Math.round(currentPrice * adjustmentFactor);
       
@@ -136,7 +188,8 @@ async function runPriceDiscovery(leadId) {
         max: Math.round(suggestedPrice + rangeBuffer),
         suggested: suggestedPrice,
         current: currentPrice,
-        adjustmentPercent: suggestedPriceAdjustment
+        adjustmentPercent: suggestedPriceAdjustment,
+        basis: 'feedback_ratio'
       };
     } else if (currentPrice) {
       // No adjustment suggested, but include current price as reference
@@ -145,13 +198,15 @@ async function runPriceDiscovery(leadId) {
         max: currentPrice,
         suggested: currentPrice,
         current: currentPrice,
-        adjustmentPercent: 0
+        adjustmentPercent: 0,
+        basis: 'feedback_ratio'
       };
     }
 
     // Store results on lead
     lead.buyerInterestScore = interestScore;
     lead.suggestedPriceRange = suggestedPriceRange;
+    lead.buyerCounterOffers = counterOffers;
     lead.lastPriceDiscoveryAt = new Date();
     await lead.save();
 
@@ -160,6 +215,7 @@ async function runPriceDiscovery(leadId) {
       rejectionRate,
       suggestedPriceAdjustment,
       suggestedPriceRange,
+      counterOffers,
       feedbackCount: feedback.length,
       interestedCount,
       passCount,
@@ -172,6 +228,7 @@ async function runPriceDiscovery(leadId) {
 }
 
 module.exports = {
-  runPriceDiscovery
+  runPriceDiscovery,
+  summarizeCounterOffers
 };
 
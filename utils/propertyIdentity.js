@@ -0,0 +1,130 @@
+// utils/propertyIdentity.js
+// Resolves records from different sources (county scrapers, wholesale emails, CSV, manual) to one Property
+// per parcel, so a second distress signal stacks onto the existing lead instead of creating another one.
+
+const Property = require('../models/Property');
+const { normalizeCounty } = require('./addressNormalizer');
+
+const DISTRESS_SIGNALS = ['preforeclosure', 'tax_lien', 'code_violation', 'probate'];
+
+/**
+ * Compare a stored property with an incoming record's locality.
+ * ZIP decides when both sides have one; otherwise county and city must not disagree.
+ * @returns {Number} -1 = conflicting, 0 = nothing to compare, >0 = number of agreeing fields
+ */
+function localityMatch(property, locality) {
+  if (locality.parcelId && property.parcelId) {
+    return locality.parcelId === property.parcelId ? 3 : -1;
+  }
+  if (locality.zip && property.zip) {
+    return locality.zip === property.zip ? 2 : -1;
+  }
+  let agreeing = 0;
+  for (const field of ['county', 'city']) {
+    if (!locality[field] || !property[field]) continue;
+    if (locality[field].toLowerCase() !== property[field].toLowerCase()) return -1;
+    agreeing++;
+  }
+  return agreeing;
+}
+
+/**
+ * Pick the property an incoming record belongs to among same-street-line candidates
+ * @param {Object[]} candidates - Properties with the same addressKey (oldest first)
+ * @param {Object} locality - { zip, city, county, parcelId }
+ * @returns {Object|null}
+ */
+function pickCandidate(candidates, locality) {
+  const scored = candidates
+    .map(property => ({ property, score: localityMatch(property, locality) }))
+    .filter(c => c.score >= 0);
+  if (!scored.length) return null;
+
+  const best = scored.reduce((top, c) => (c.score > top.score ? c : top), scored[0]);
+  if (best.score > 0) return best.property;
+
+  // No locality to compare: only safe when the street line is unique for the tenant
+  const hasLocality = locality.zip || locality.city || locality.county || locality.parcelId;
+  return !hasLocality && candidates.length === 1 ? best.property : null;
+}
+
+/**
+ * Find or create the Property for an address
+ * @param {String} tenantId
+ * @param {Object} address - normalizeAddress() result
+ * @param {Object} extra - { county, parcelId }
+ * @returns {Promise<Object|null>} Property document, or null when the address has no house number
+ */
+async function resolveProperty(tenantId, address, extra = {}) {
+  if (!tenantId || !address || !address.number) return null;
+
+  const locality = {
+    zip: address.zip || null,
+    city: address.city || null,
+    county: normalizeCounty(extra.county),
+    parcelId: extra.parcelId || null
+  };
+
+  const candidates = await Property.find({ tenantId, addressKey: address.key }).sort({ createdAt: 1 }).limit(20);
+  let property = pickCandidate(candidates, locality);
+
+  if (!property && locality.parcelId) {
+    property = await Property.findOne({ tenantId, parcelId: locality.parcelId });
+  }
+
+  if (!property) {
+    return Property.create({
+      tenantId,
+      addressKey: address.key,
+      line1: address.line1,
+      city: locality.city || undefined,
+      state: address.state || undefined,
+      zip: locality.zip || undefined,
+      county: locality.county || undefined,
+      parcelId: locality.parcelId || undefined
+    });
+  }
+
+  // Learn locality fields the first source didn't have
+  const fill = { city: locality.city, state: address.state, zip: locality.zip, county: locality.county, parcelId: locality.parcelId };
+  let changed = false;
+  for (const [field, value] of Object.entries(fill)) {
+    if (value && !property[field]) {
+      property[field] = value;
+      changed = true;
+    }
+  }
+  if (changed) await property.save();
+  return property;
+}
+
+/**
+ * Record a source record on the property (idempotent per record, or per type when there is no record id)
+ * @param {Object} property - Property document
+ * @param {Object} signal - { type, model, recordId, source }
+ * @returns {Promise<Boolean>} true when the signal was new
+ */
+async function attachSignal(property, signal) {
+  if (!signal || !signal.type) return false;
+  const exists = property.signals.some(s => (signal.recordId
+    ? s.recordId && s.recordId.toString() === signal.recordId.toString()
+    : s.type === signal.type && !s.recordId));
+  if (exists) return false;
+
+  property.signals.push({
+    type: signal.type,
+    model: signal.model,
+    recordId: signal.recordId,
+    source: signal.source
+  });
+  await property.save();
+  return true;
+}
+
+module.exports = {
+  resolveProperty,
+  attachSignal,
+  pickCandidate,
+  localityMatch,
+  DISTRESS_SIGNALS
+};
@@ -30,13 +30,15 @@ function emitToUser(userId, event, payload) {
 
 /**
  * Emit event to all users with a specific role
+ * Pass tenantId to limit to that tenant's users with the role
  */
-function emitToRole(role, event, payload) {
+function emitToRole(role, event, payload, tenantId = null) {
   if (!ioInstance) {
     console.warn('⚠️  Socket.IO not initialized, skipping emitToRole');
     return;
   }
-  ioInstance.to(`role:${role}`).emit(event, payload);
+  const room = tenantId ? `tenant:${tenantId}:role:${role}` : `role:${role}`;
+  ioInstance.to(room).emit(event, payload);
 }
 
 /**
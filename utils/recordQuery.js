@@ -0,0 +1,221 @@
+// utils/recordQuery.js
+// Tenant-scoped filters and cursor pagination for the county record APIs
+// (pre-foreclosures, tax liens, code violations, probate) and their exports
+
+const mongoose = require('mongoose');
+const PreForeclosure = require('../models/PreForeclosure');
+const TaxLien = require('../models/TaxLien');
+const CodeViolation = require('../models/CodeViolation');
+const Probate = require('../models/Probate');
+const { toList, escapeRegex } = require('./leadFilters');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// amountField / auctionField are stored as scraped strings ("$41,200.00", "2024-03-20")
+const RECORD_TYPES = {
+  preforeclosures: {
+    model: PreForeclosure,
+    addressField: 'propertyAddress',
+    amountField: 'amountDelinquent',
+    auctionField: 'auctionDate',
+    exportFields: ['county', 'ownerName', 'propertyAddress', 'amountDelinquent', 'auctionDate'],
+    filename: 'preforeclosures'
+  },
+  taxliens: {
+    model: TaxLien,
+    addressField: 'propertyAddress',
+    amountField: 'delinquentAmount',
+    exportFields: ['county', 'ownerName', 'propertyAddress', 'delinquentAmount', 'yearsOwed'],
+    filename: 'taxliens'
+  },
+  codeviolations: {
+    model: CodeViolation,
+    addressField: 'propertyAddress',
+    exportFields: ['county', 'ownerName', 'propertyAddress', 'violationType', 'openedDate'],
+    filename: 'codeviolations'
+  },
+  probate: {
+    model: Probate,
+    addressField: 'estateAddress',
+    exportFields: ['county', 'executorName', 'attorneyName', 'estateAddress', 'caseNumber'],
+    filename: 'probate'
+  }
+};
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Opaque cursor for (createdAt, _id) keyset pagination, newest first
+ */
+function encodeCursor(record) {
+  return Buffer.from(`${new Date(record.createdAt).getTime()}_${record._id}`).toString('base64url');
+}
+
+/**
+ * @returns {{createdAt: Date, id: ObjectId}|null} null if malformed
+ */
+function decodeCursor(cursor) {
+  const [ms, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const createdAt = new Date(Number(ms));
+  if (!ms || isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Validate list/export query params for a record type
+ * @param {String} type - RECORD_TYPES key
+ * @param {Object} query - Request query
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRecordQuery(type, query = {}) {
+  const config = RECORD_TYPES[type];
+  const errors = [];
+
+  for (const key of ['from', 'to']) {
+    if (query[key] && !parseDate(query[key])) errors.push(`${key}: invalid date`);
+  }
+
+  for (const key of ['minAmount', 'maxAmount']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    if (!config.amountField) {
+      errors.push(`${key}: not supported for ${type}`);
+    } else if (!Number.isFinite(Number(query[key])) || Number(query[key]) < 0) {
+      errors.push(`${key}: must be a non-negative number`);
+    }
+  }
+
+  for (const key of ['auctionFrom', 'auctionTo']) {
+    if (!query[key]) continue;
+    if (!config.auctionField) {
+      errors.push(`${key}: not supported for ${type}`);
+    } else if (!DATE_ONLY.test(query[key]) || !parseDate(query[key])) {
+      errors.push(`${key}: must be a YYYY-MM-DD date`);
+    }
+  }
+
+  if (query.cursor && !decodeCursor(query.cursor)) errors.push('cursor: invalid');
+
+  return errors;
+}
+
+/**
+ * Scraped amount string as a number inside an aggregation expression (null if unparseable)
+ */
+function numericAmount(field) {
+  const text = { $toString: `$${field}` };
+  const stripped = {
+    $replaceAll: { input: { $replaceAll: { input: text, find: { $literal: '$' }, replacement: '' } }, find: ',', replacement: '' }
+  };
+  return { $convert: { input: stripped, to: 'double', onError: null, onNull: null } };
+}
+
+/**
+ * Build a tenant-scoped Mongo filter for a record type (run validateRecordQuery first)
+ * Supported filters:
+ * - county: single value or comma-separated list (case-insensitive)
+ * - from, to: createdAt range (date-only `to` includes the whole day)
+ * - minAmount, maxAmount: delinquent amount (pre-foreclosures, tax liens)
+ * - auctionFrom, auctionTo: YYYY-MM-DD auction date range (pre-foreclosures)
+ * - q: owner / address search
+ * - cursor: nextCursor from the previous page
+ * @param {ObjectId} tenantId - Tenant ID (required)
+ * @param {String} type - RECORD_TYPES key
+ * @param {Object} query - Filter values
+ * @returns {Object} Mongo filter
+ */
+function buildRecordFilter(tenantId, type, query = {}) {
+  if (!tenantId) {
+    throw new Error('tenantId is required');
+  }
+  const config = RECORD_TYPES[type];
+  const filter = { tenantId };
+  const and = [];
+
+  const counties = toList(query.county);
+  if (counties.length === 1) {
+    filter.county = new RegExp(`^${escapeRegex(counties[0])}$`, 'i');
+  } else if (counties.length > 1) {
+    filter.county = { $in: counties.map(c => new RegExp(`^${escapeRegex(c)}$`, 'i')) };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = parseDate(query.from);
+    if (query.to) {
+      const to = parseDate(query.to);
+      if (DATE_ONLY.test(query.to)) to.setUTCDate(to.getUTCDate() + 1);
+      filter.createdAt[DATE_ONLY.test(query.to) ? '$lt' : '$lte'] = to;
+    }
+  }
+
+  const hasMin = query.minAmount !== undefined && query.minAmount !== '';
+  const hasMax = query.maxAmount !== undefined && query.maxAmount !== '';
+  if (config.amountField && (hasMin || hasMax)) {
+    const amount = numericAmount(config.amountField);
+    const conditions = [{ $isNumber: amount }];
+    if (hasMin) conditions.push({ $gte: [amount, Number(query.minAmount)] });
+    if (hasMax) conditions.push({ $lte: [amount, Number(query.maxAmount)] });
+    filter.$expr = { $and: conditions };
+  }
+
+  if (config.auctionField && (query.auctionFrom || query.auctionTo)) {
+    // ISO date strings sort chronologically
+    filter[config.auctionField] = {};
+    if (query.auctionFrom) filter[config.auctionField].$gte = query.auctionFrom;
+    if (query.auctionTo) filter[config.auctionField].$lte = query.auctionTo;
+  }
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(query.q), 'i');
+    const ownerField = type === 'probate' ? 'executorName' : 'ownerName';
+    and.push({ $or: [{ [ownerField]: pattern }, { [config.addressField]: pattern }] });
+  }
+
+  const cursor = query.cursor && decodeCursor(query.cursor);
+  if (cursor) {
+    and.push({
+      $or: [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+      ]
+    });
+  }
+
+  if (and.length) filter.$and = and;
+  return filter;
+}
+
+/**
+ * One page of records, newest first
+ * @param {String} type - RECORD_TYPES key
+ * @param {ObjectId} tenantId
+ * @param {Object} query - Validated query (filters, cursor, limit)
+ * @returns {Promise<{rows: Array, nextCursor: String|null}>}
+ */
+async function findRecordsPage(type, tenantId, query = {}) {
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const rows = await RECORD_TYPES[type].model.find(buildRecordFilter(tenantId, type, query))
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+
+  return {
+    rows,
+    nextCursor: rows.length === limit ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+module.exports = {
+  RECORD_TYPES,
+  validateRecordQuery,
+  buildRecordFilter,
+  findRecordsPage,
+  encodeCursor,
+  decodeCursor,
+  parseDate
+};
@@ -3,6 +3,7 @@
 
 const { upsertLeadFromSource } = require('./leadUpsert');
 const { recalculateAndSaveLeadScore } = require('./leadScoringEngine');
+const { normalizeAddress } = require('./addressNormalizer');
 
 /**
  * Normalizes a preforeclosure record into a Lead
@@ -16,6 +17,7 @@ async function normalizePreforeclosureToLead(preforeclosureRecord) {
     const delinquentAmount = parseAmount(preforeclosureRecord.amountDelinquent);
     
     const leadPayload = {
+      tenantId: preforeclosureRecord.tenantId,
       source: 'preforeclosure',
       category: 'Pre-Foreclosure',
       ownerName: preforeclosureRecord.ownerName,
@@ -31,13 +33,15 @@ async function normalizePreforeclosureToLead(preforeclosureRecord) {
         'preforeclosure',
         preforeclosureRecord.county ? preforeclosureRecord.county.toLowerCase().replace(/\s+/g, '_') : 'unknown_county'
       ],
-      createdFrom: 'scraper'
+      createdFrom: 'scraper',
+      // Links the record to its Property; a second record type for the same parcel stacks onto the lead
+      signal: { type: 'preforeclosure', model: 'PreForeclosure', recordId: preforeclosureRecord._id }
     };
     
-    const { lead, isNew } = await upsertLeadFromSource('county_scraper', leadPayload);
+    const { lead, isNew, stacked } = await upsertLeadFromSource('county_scraper', leadPayload);
     
-    // Auto-score the lead
-    if (isNew) {
+    // Auto-score the lead (re-score when another distress signal stacked onto it)
+    if (isNew || stacked) {
       try {
         await recalculateAndSaveLeadScore(lead);
       } catch (scoreErr) {
@@ -61,6 +65,7 @@ async function normalizeTaxLienToLead(taxLienRecord) {
     const delinquentAmount = parseAmount(taxLienRecord.delinquentAmount);
     
     const leadPayload = {
+      tenantId: taxLienRecord.tenantId,
       source: 'tax_lien',
       category: 'Tax Lien',
       ownerName: taxLienRecord.ownerName,
@@ -76,12 +81,13 @@ async function normalizeTaxLienToLead(taxLienRecord) {
         'tax_lien',
         taxLienRecord.county ? taxLienRecord.county.toLowerCase().replace(/\s+/g, '_') : 'unknown_county'
       ],
-      createdFrom: 'scraper'
+      createdFrom: 'scraper',
+      signal: { type: 'tax_lien', model: 'TaxLien', recordId: taxLienRecord._id }
     };
     
-    const { lead, isNew } = await upsertLeadFromSource('county_scraper', leadPayload);
+    const { lead, isNew, stacked } = await upsertLeadFromSource('county_scraper', leadPayload);
     
-    if (isNew) {
+    if (isNew || stacked) {
       try {
         await recalculateAndSaveLeadScore(lead);
       } catch (scoreErr) {
@@ -104,6 +110,7 @@ async function normalizeCodeViolationToLead(codeViolationRecord) {
     const addressParts = parseAddress(codeViolationRecord.propertyAddress);
     
     const leadPayload = {
+      tenantId: codeViolationRecord.tenantId,
       source: 'code_violation',
       category: 'Code Violation',
       ownerName: codeViolationRecord.ownerName,
@@ -120,12 +127,13 @@ async function normalizeCodeViolationToLead(codeViolationRecord) {
         'code_violation',
         codeViolationRecord.county ? codeViolationRecord.county.toLowerCase().replace(/\s+/g, '_') : 'unknown_county'
       ],
-      createdFrom: 'scraper'
+      createdFrom: 'scraper',
+      signal: { type: 'code_violation', model: 'CodeViolation', recordId: codeViolationRecord._id }
     };
     
-    const { lead, isNew } = await upsertLeadFromSource('county_scraper', leadPayload);
+    const { lead, isNew, stacked } = await upsertLeadFromSource('county_scraper', leadPayload);
     
-    if (isNew) {
+    if (isNew || stacked) {
       try {
         await recalculateAndSaveLeadScore(lead);
       } catch (scoreErr) {
@@ -148,6 +156,7 @@ async function normalizeProbateToLead(probateRecord) {
     const addressParts = parseAddress(probateRecord.estateAddress);
     
     const leadPayload = {
+      tenantId: probateRecord.tenantId,
       source: 'probate',
       category: 'Probate',
       ownerName: probateRecord.executorName || 'Estate',
@@ -164,12 +173,13 @@ async function normalizeProbateToLead(probateRecord) {
         'probate',
         probateRecord.county ? probateRecord.county.toLowerCase().replace(/\s+/g, '_') : 'unknown_county'
       ],
-      createdFrom: 'scraper'
+      createdFrom: 'scraper',
+      signal: { type: 'probate', model: 'Probate', recordId: probateRecord._id }
     };
     
-    const { lead, isNew } = await upsertLeadFromSource('county_scraper', leadPayload);
+    const { lead, isNew, stacked } = await upsertLeadFromSource('county_scraper', leadPayload);
     
-    if (isNew) {
+    if (isNew || stacked) {
       try {
         await recalculateAndSaveLeadScore(lead);
       } catch (scoreErr) {
@@ -185,37 +195,14 @@ async function normalizeProbateToLead(probateRecord) {
 }
 
 /**
- * Parses an address string into components
+ * Parses an address string into components (utils/addressNormalizer)
  */
 function parseAddress(addressString) {
-  if (!addressString) {
+  const normalized = normalizeAddress(addressString);
+  if (!normalized) {
     return { city: null, state: null, zip: null };
   }
-  
-  // Common format: "123 Main St, City, ST ZIP" or "123 Main St, City, ST  ZIP"
-  const parts = addressString.split(',').map(p => p.trim());
-  
-  let city = null;
-  let state = null;
-  let zip = null;
-  
-  if (parts.length >= 2) {
-    city = parts[parts.length - 2] || null;
-    const lastPart = parts[parts.length - 1] || '';
-    const stateZipMatch = lastPart.match(/^([A-Z]{2})\s*(\d{5}(?:-\d{4})?)$/);
-    if (stateZipMatch) {
-      state = stateZipMatch[1];
-      zip = stateZipMatch[2];
-    } else {
-      // Try to extract just state
-      const stateMatch = lastPart.match(/^([A-Z]{2})/);
-      if (stateMatch) {
-        state = stateMatch[1];
-      }
-    }
-  }
-  
-  return { city, state, zip };
+  return { city: normalized.city, state: normalized.state, zip: normalized.zip };
 }
 
 /**
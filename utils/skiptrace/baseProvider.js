@@ -39,6 +39,16 @@ class BaseProvider {
   getName() {
     return this.constructor.name;
   }
+
+  /**
+   * Returns cost per lookup in dollars (free providers return 0)
+   * Override via env: SKIPTRACE_COST_<PROVIDER_NAME> (e.g. SKIPTRACE_COST_PEOPLE_DATA_LABS=0.15)
+   * @returns {number}
+   */
+  getCostPerLookup() {
+    const envKey = `SKIPTRACE_COST_${this.getName().toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    return parseFloat(process.env[envKey]) || 0;
+  }
 }
 
 module.exports = BaseProvider;
@@ -23,6 +23,59 @@ class SkipTraceOrchestrator {
     ];
   }
 
+  /**
+   * Returns enabled providers in run order
+   * @returns {Array<BaseProvider>}
+   */
+  getEnabledProviders() {
+    return this.providers.filter(provider => provider.isEnabled());
+  }
+
+  /**
+   * Finds an enabled provider by name
+   * @param {string} name - Provider name (from getName())
+   * @returns {BaseProvider|null}
+   */
+  getProvider(name) {
+    return this.getEnabledProviders().find(provider => provider.getName() === name) || null;
+  }
+
+  /**
+   * Estimated cost of one skip trace across all enabled providers
+   * @returns {number} Cost in dollars
+   */
+  estimateCost() {
+    return this.getEnabledProviders().reduce((sum, provider) => sum + provider.getCostPerLookup(), 0);
+  }
+
+  /**
+   * Runs a single provider with a timeout (used by the skip trace queue for per-provider retries)
+   * Unlike skipTrace(), errors are thrown so the caller can schedule a retry
+   * @param {BaseProvider} provider - Provider instance
+   * @param {Object} lead - Lead document
+   * @param {number} timeoutMs - Timeout in milliseconds
+   * @returns {Promise<Object>} Provider result
+   */
+  async runProvider(provider, lead, timeoutMs = 30000) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Provider ${provider.getName()} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([provider.skipTrace(lead), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Checks whether a provider result contains any contact data
+   */
+  hasData(result) {
+    return !!(result && (result.phones?.length > 0 || result.emails?.length > 0 || result.mailingAddress || result.mailingAddresses?.length > 0));
+  }
+
   /**
    * Runs skip trace using all enabled providers and merges results
    * @param {Object} lead - Lead document
@@ -203,6 +256,7 @@ const orchestrator = new SkipTraceOrchestrator();
 
 module.exports = {
   skipTrace: (lead) => orchestrator.skipTrace(lead),
+  orchestrator,
   SkipTraceOrchestrator
 };
 
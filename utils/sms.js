@@ -101,15 +101,17 @@ async function sendRoutingAlert(lead, routingResult) {
     return;
   }
   
+  // Tenant routing config (quiet hours + alert channels)
+  const { getRoutingConfig, isQuietHours } = require('../config/routingConfig');
+  const config = await getRoutingConfig(lead.tenantId);
+
   // Check quiet hours
-  const { isQuietHours } = require('../config/routingConfig');
-  if (isQuietHours()) {
+  if (isQuietHours(config.quietHours)) {
     console.log('[SMS] Routing alert skipped - quiet hours');
     return;
   }
   
   // Check if alerts are enabled
-  const config = await require('../config/routingConfig').getRoutingConfig();
   if (!config.alertChannels.sms && !config.alertChannels.internal) {
     console.log('[SMS] Routing alerts disabled');
     return;
@@ -159,8 +161,54 @@ async function sendRoutingAlert(lead, routingResult) {
   }
 }
 
+/**
+ * Sends SLA escalation SMS for a routed lead that passed its SLA
+ * Caller is responsible for quiet hours and alert channel checks.
+ * SMS failures are caught and logged, but do not throw errors.
+ * 
+ * @param {Object} lead - Lead document
+ * @param {Object} breach - { overdueMinutes, assigneeName }
+ * @returns {Promise<Boolean>} True if sent
+ */
+async function sendSlaEscalationAlert(lead, breach = {}) {
+  if (!twilioClient) {
+    console.log('[SMS] Twilio not configured, skipping SLA escalation');
+    return false;
+  }
+  
+  const alertPhone = process.env.ALERT_PHONE_NUMBER;
+  if (!alertPhone) {
+    console.log('[SMS] ALERT_PHONE_NUMBER not configured, skipping SLA escalation');
+    return false;
+  }
+  
+  try {
+    const address = lead.propertyAddress || lead.mailingAddress || 'Unknown address';
+    const owner = lead.ownerName || 'Unknown owner';
+    const grade = lead.leadScore?.grade || 'Dead';
+    const route = lead.routing?.route || 'unrouted';
+    const overdueHours = Math.round((breach.overdueMinutes || 0) / 6) / 10;
+    const assignee = breach.assigneeName || 'Unassigned';
+    
+    const message = `⏰ SLA BREACH - ${grade}-grade ${route}\n\n${owner}\n📍 ${address}\n👤 ${assignee}\n⌛ ${overdueHours}h overdue (SLA ${lead.routing?.slaHours}h)\n\nView: ${process.env.FRONTEND_URL || 'https://app.elitenexus.com'}/leads/${lead._id}`;
+    
+    await twilioClient.messages.create({
+      body: message,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: alertPhone
+    });
+    
+    console.log(`[SMS] SLA escalation sent for lead ${lead._id}`);
+    return true;
+  } catch (err) {
+    console.error('[SMS] error sending SLA escalation:', err.message);
+    return false;
+  }
+}
+
 module.exports = {
   sendNewDealAlert,
-  sendRoutingAlert
+  sendRoutingAlert,
+  sendSlaEscalationAlert
 };
 
@@ -4,6 +4,7 @@
 const twilio = require('twilio');
 const Buyer = require('../models/Buyer');
 const BuyerBlastLog = require('../models/BuyerBlastLog');
+const { statusCallbackUrl } = require('./twilioWebhooks');
 
 // Initialize Twilio client (only if credentials are available)
 let twilioClient = null;
@@ -141,6 +142,12 @@ async function sendSmsToBuyer(params) {
       return { success: false, error: 'No valid phone number for buyer' };
     }
     
+    // Check the SMS do-not-contact list (STOP from this number to the buyer's tenant)
+    const { isSmsOptedOut } = require('../services/smsOptOutService');
+    if (await isSmsOptedOut(phone, buyer.tenantId)) {
+      return { success: false, error: 'Phone number opted out of SMS' };
+    }
+    
     // Check preferred contact
     if (buyer.preferredContact && buyer.preferredContact !== 'sms' && buyer.preferredContact !== 'both') {
       return { success: false, error: 'Buyer prefers email contact' };
@@ -158,11 +165,16 @@ async function sendSmsToBuyer(params) {
     // Format message if not provided
     const smsMessage = message || formatDealMessage(await require('../models/Lead').findById(leadId));
     
-    // Send SMS
+    // Send SMS from the buyer's tenant number, so replies route back to that tenant
+    // (delivery failures come back on the status callback and can suppress the number)
+    const { getTenantSmsNumber } = require('../services/smsNumberRoutingService');
+    const from = (await getTenantSmsNumber(buyer.tenantId)) || FROM_NUMBER;
+    const statusCallback = statusCallbackUrl();
     const result = await twilioClient.messages.create({
       body: smsMessage,
-      from: FROM_NUMBER,
-      to: phone
+      from,
+      to: phone,
+      ...(statusCallback ? { statusCallback } : {})
     });
     
     // Update buyer
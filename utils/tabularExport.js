@@ -0,0 +1,89 @@
+// utils/tabularExport.js
+// Stream rows to an HTTP response as CSV, XLSX or JSON Lines without building the file in memory
+
+const { createXlsxStream, drained } = require('./xlsxWriter');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Multi-value cells (e.g. every skip-traced phone) in CSV / XLSX
+const LIST_SEPARATOR = '; ';
+
+function joinList(value) {
+  return Array.isArray(value)
+    ? value.map(v => (v instanceof Date ? v.toISOString() : String(v))).join(LIST_SEPARATOR)
+    : value;
+}
+
+function csvCell(value) {
+  value = joinList(value);
+  if (value === null || value === undefined) return '""';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function jsonLine(headers, values) {
+  const row = {};
+  headers.forEach((header, i) => {
+    row[header] = values[i] === undefined ? null : values[i];
+  });
+  return JSON.stringify(row) + '\n';
+}
+
+/**
+ * Resolve ?format= to a supported export format (default csv)
+ * @returns {String|null} null if unsupported
+ */
+function parseExportFormat(value) {
+  const format = String(value || 'csv').toLowerCase();
+  return EXPORT_FORMATS[format] ? format : null;
+}
+
+/**
+ * Write rows to the response as they arrive. Stops early if the client disconnects.
+ * @param {Response} res - Express response (headers not sent yet)
+ * @param {Object} options
+ * @param {String} options.format - csv | xlsx | jsonl (one object per row, keyed by header)
+ * @param {String} options.filename - Download name without extension
+ * @param {Array<string>} options.headers - Header row
+ * @param {AsyncIterable<Array>} options.rows - Row values in header order (arrays are joined for csv / xlsx)
+ * @returns {Promise<Number>} Rows written
+ */
+async function streamTable(res, { format, filename, headers, rows }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  let count = 0;
+  if (format === 'xlsx') {
+    const sheet = await createXlsxStream(res, { sheetName: filename, headers });
+    for await (const values of rows) {
+      if (res.destroyed) break;
+      await sheet.writeRow(values.map(joinList));
+      count++;
+    }
+    if (!res.destroyed) await sheet.end();
+  } else {
+    const write = async (line) => {
+      if (!res.write(line)) await drained(res);
+    };
+    if (format === 'csv') await write(headers.map(csvCell).join(',') + '\n');
+    for await (const values of rows) {
+      if (res.destroyed) break;
+      await write(format === 'csv' ? values.map(csvCell).join(',') + '\n' : jsonLine(headers, values));
+      count++;
+    }
+  }
+
+  res.end();
+  return count;
+}
+
+module.exports = {
+  streamTable,
+  parseExportFormat,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,67 @@
+// utils/twilioWebhooks.js
+// Twilio webhook helpers: X-Twilio-Signature (HMAC-SHA1, base64 of the full URL followed by every POST
+// param name + value, sorted by name) and the public URLs Twilio calls back on.
+const crypto = require('crypto');
+
+/**
+ * Signature Twilio sends for a request (used by tests and local tooling to sign requests)
+ * @param {String} authToken - Twilio auth token
+ * @param {String} url - Full URL Twilio requested, including the query string
+ * @param {Object} params - Parsed form body
+ * @returns {String} Base64 signature
+ */
+function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => {
+      const values = Array.isArray(params[key]) ? [...params[key]].sort() : [params[key]];
+      return acc + values.map(value => `${key}${value ?? ''}`).join('');
+    }, url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check X-Twilio-Signature against each auth token (the secondary token is valid while rotating)
+ * @param {Object} params - { signature, url, params, authTokens: [String] }
+ * @returns {{ valid: Boolean, reason?: String }}
+ */
+function validateTwilioSignature({ signature, url, params, authTokens }) {
+  if (!signature) {
+    return { valid: false, reason: 'Missing X-Twilio-Signature' };
+  }
+  const matched = (authTokens || []).filter(Boolean).some(token => safeEqual(computeTwilioSignature(token, url, params), signature));
+  return matched ? { valid: true } : { valid: false, reason: 'Signature mismatch' };
+}
+
+/**
+ * URL Twilio called. Behind a proxy the scheme / host Express sees differ from the public ones,
+ * so TWILIO_WEBHOOK_BASE_URL (e.g. https://api.example.com) takes precedence.
+ */
+function requestUrl(req) {
+  const base = process.env.TWILIO_WEBHOOK_BASE_URL
+    ? process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/+$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  return base + req.originalUrl;
+}
+
+/**
+ * Delivery status callback URL to pass on outbound messages (null when no public base URL is set)
+ */
+function statusCallbackUrl() {
+  if (process.env.TWILIO_STATUS_CALLBACK_URL) return process.env.TWILIO_STATUS_CALLBACK_URL;
+  if (!process.env.TWILIO_WEBHOOK_BASE_URL) return null;
+  return `${process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/+$/, '')}/api/webhooks/twilio/status`;
+}
+
+module.exports = {
+  computeTwilioSignature,
+  validateTwilioSignature,
+  requestUrl,
+  statusCallbackUrl
+};
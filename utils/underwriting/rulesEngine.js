@@ -2,6 +2,7 @@
 // Rules-based underwriting engine (always available, no AI required)
 
 const BuyBox = require('../../models/BuyBox');
+const { calculateCashMao } = require('../maoEngine');
 
 /**
  * Analyze lead using buy box rules and lead data
@@ -68,8 +69,15 @@ async function analyzeWithRules(lead) {
     }
   }
 
-  // Suggest price range based on buy box and ARV
-  if (buyBox && lead.arv) {
+  // Suggest price range: opening offer to MAO from the buy box formula, else a % of ARV or asking price
+  const cashMao = buyBox ? calculateCashMao(lead, buyBox) : null;
+  if (cashMao?.mao) {
+    result.suggestedPriceRange = {
+      min: cashMao.ladder.opening,
+      max: cashMao.mao
+    };
+    result.assumptions.push(...cashMao.assumptionsUsed);
+  } else if (buyBox && lead.arv) {
     const maxOfferPercent = buyBox.maxOfferPercent || 70;
     const minOfferPercent = buyBox.minOfferPercent || 50;
     result.suggestedPriceRange = {
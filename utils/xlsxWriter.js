@@ -0,0 +1,220 @@
+// utils/xlsxWriter.js
+// Minimal streaming XLSX writer (single worksheet, inline strings) for large exports.
+// Rows are deflated straight into the output stream, so memory stays flat regardless of row count.
+// No ZIP64: a workbook is limited to 4 GB, which is far beyond what Excel opens anyway.
+
+const zlib = require('zlib');
+const { once } = require('events');
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Resolve once a writable that returned false from write() can take more data (or has closed)
+ */
+function drained(output) {
+  if (output.destroyed || output.writableEnded) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+}
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const DOC_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function cellXml(value) {
+  if (value === null || value === undefined || value === '') return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  if (value instanceof Date) value = value.toISOString();
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Write a ZIP archive entry by entry (deflate, sizes in data descriptors)
+ */
+function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+  const stamp = dosDateTime(new Date());
+
+  async function write(buffer) {
+    offset += buffer.length;
+    if (!output.write(buffer)) await drained(output);
+  }
+
+  /**
+   * Start a deflated entry
+   * @returns {{write: Function, end: Function}} async write(string|Buffer), async end()
+   */
+  async function openEntry(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { name: nameBuffer, offset, crc: 0, compressedSize: 0, size: 0 };
+    entries.push(entry);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // data descriptor + UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await write(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    let pending = Promise.resolve();
+    deflate.on('data', chunk => {
+      entry.compressedSize += chunk.length;
+      deflate.pause();
+      pending = pending.then(() => write(chunk)).then(() => deflate.resume());
+    });
+    const finished = once(deflate, 'end');
+
+    return {
+      async write(data) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) await once(deflate, 'drain');
+      },
+      async end() {
+        deflate.end();
+        await finished;
+        await pending;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await write(descriptor);
+      }
+    };
+  }
+
+  async function addFile(name, content) {
+    const entry = await openEntry(name);
+    await entry.write(content);
+    await entry.end();
+  }
+
+  /**
+   * Write the central directory (the output stream is left open)
+   */
+  async function finish() {
+    const start = offset;
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(0x0808, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(stamp.time, 12);
+      header.writeUInt16LE(stamp.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await write(end);
+  }
+
+  return { openEntry, addFile, finish };
+}
+
+/**
+ * Stream a single-sheet workbook to a writable stream (e.g. an Express response)
+ * @param {Writable} output
+ * @param {Object} options - { sheetName, headers: Array<string> }
+ * @returns {Promise<{writeRow: Function, end: Function}>} async writeRow(values), async end()
+ */
+async function createXlsxStream(output, { sheetName = 'Sheet1', headers = [] } = {}) {
+  const zip = createZipWriter(output);
+  const name = escapeXml(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+  await zip.addFile('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>');
+  await zip.addFile('_rels/.rels', `${XML_HEADER}<Relationships xmlns="${REL_NS}">` +
+    `<Relationship Id="rId1" Type="${DOC_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+  await zip.addFile('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${DOC_REL}">` +
+    `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+  await zip.addFile('xl/_rels/workbook.xml.rels', `${XML_HEADER}<Relationships xmlns="${REL_NS}">` +
+    `<Relationship Id="rId1" Type="${DOC_REL}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`);
+
+  const sheet = await zip.openEntry('xl/worksheets/sheet1.xml');
+  await sheet.write(`${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>`);
+
+  async function writeRow(values) {
+    await sheet.write(`<row>${values.map(cellXml).join('')}</row>`);
+  }
+
+  if (headers.length) await writeRow(headers);
+
+  return {
+    writeRow,
+    async end() {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      await zip.finish();
+    }
+  };
+}
+
+module.exports = {
+  createXlsxStream,
+  createZipWriter,
+  crc32,
+  drained
+};